@@ -0,0 +1,77 @@
+/**
+ * add-epic.js
+ * Direct function implementation for adding an epic or milestone
+ */
+
+import { addEpic } from '../../../../scripts/modules/task-epics.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Add an epic, a milestone when it has a target date
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Epic ID (default: derived from the title)
+ * @param {string} args.title - Title of the epic
+ * @param {string} args.goal - What the epic delivers
+ * @param {string} args.targetDate - Target date as YYYY-MM-DD
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addEpicDirect(args, log) {
+	const { tasksJsonPath, id, title, goal, targetDate } = args;
+
+	if (!tasksJsonPath) {
+		log.error('addEpicDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!title) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'The title of the epic is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Adding epic "${title}"`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let epic;
+		try {
+			epic = addEpic(tasksJsonPath, { id, title, goal, targetDate });
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Added epic "${epic.title}" with ID ${epic.id}`,
+				epic
+			}
+		};
+	} catch (error) {
+		log.error(`Error adding epic: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ADD_EPIC_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * add-labels.js
+ * Direct function implementation for adding labels to tasks and subtasks
+ */
+
+import path from 'path';
+import { addTaskLabels } from '../../../../scripts/modules/task-fields.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Add labels to tasks and subtasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Comma-separated task or subtask IDs (e.g. "3,4.1")
+ * @param {string} args.labels - Comma-separated labels to add
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addLabelsDirect(args, log) {
+	const { tasksJsonPath, id, labels } = args;
+
+	if (!tasksJsonPath) {
+		log.error('addLabelsDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id || !labels) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'Task ID (id) and labels are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Adding labels ${labels} to tasks ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let tasks;
+		try {
+			tasks = addTaskLabels(tasksJsonPath, id, labels);
+			if (tasks.some((task) => task.changed)) {
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Added labels ${labels} on ${tasks.filter((task) => task.changed).length} tasks`,
+				tasks
+			}
+		};
+	} catch (error) {
+		log.error(`Error adding labels: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ADD_LABELS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -17,8 +17,12 @@ import {
  * @param {string} [args.title] - Title for new subtask (when creating a new subtask)
  * @param {string} [args.description] - Description for new subtask
  * @param {string} [args.details] - Implementation details for new subtask
- * @param {string} [args.status] - Status for new subtask (default: 'pending')
+ * @param {string} [args.status] - Status for new subtask (default: the initial status of the workflow)
  * @param {string} [args.dependencies] - Comma-separated list of dependency IDs
+ * @param {string} [args.labels] - Comma-separated labels for the new subtask
+ * @param {Object} [args.fields] - Custom field values for the new subtask by field name
+ * @param {string} [args.dueDate] - Due date for the new subtask (YYYY-MM-DD)
+ * @param {number|string} [args.estimate] - Estimated effort for the new subtask in hours
  * @param {boolean} [args.skipGenerate] - Skip regenerating task files
  * @param {Object} log - Logger object
  * @returns {Promise<{success: boolean, data?: Object, error?: string}>}
@@ -34,6 +38,10 @@ export async function addSubtaskDirect(args, log) {
 		details,
 		status,
 		dependencies: dependenciesStr,
+		labels,
+		fields,
+		dueDate,
+		estimate,
 		skipGenerate
 	} = args;
 	try {
@@ -87,8 +95,11 @@ export async function addSubtaskDirect(args, log) {
 		// Convert existingTaskId to a number if provided
 		const existingTaskId = taskId ? parseInt(taskId, 10) : null;
 
-		// Convert parent ID to a number
-		const parentId = parseInt(id, 10);
+		// Convert parent ID to a number, subtask IDs like "4.2" nest the new
+		// subtask under that subtask
+		const parentId = String(id).includes('.')
+			? String(id).trim()
+			: parseInt(id, 10);
 
 		// Determine if we should generate files
 		const generateFiles = !skipGenerate;
@@ -126,8 +137,12 @@ export async function addSubtaskDirect(args, log) {
 				title: title,
 				description: description || '',
 				details: details || '',
-				status: status || 'pending',
-				dependencies: dependencies
+				status,
+				dependencies: dependencies,
+				labels,
+				fields,
+				dueDate,
+				estimate
 			};
 
 			const result = await addSubtask(
@@ -0,0 +1,66 @@
+/**
+ * add-tag.js
+ * Direct function implementation for creating a task list (tag)
+ */
+
+import { addTag } from '../../../../scripts/modules/task-tags.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Create a new, empty task list (tag) or a copy of an existing one
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.name - Name of the new tag
+ * @param {string} [args.description] - Description of the tag
+ * @param {string} [args.copyFrom] - Tag whose tasks are copied into the new tag
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addTagDirect(args, log) {
+	const { tasksJsonPath, name, description, copyFrom } = args;
+
+	if (!tasksJsonPath || !name) {
+		log.error('addTagDirect called without tasksJsonPath or name');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and name are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Creating tag "${name}" in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = addTag(tasksJsonPath, name, { description, copyFrom });
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Created tag "${name}" with ${result.taskCount} tasks`
+			}
+		};
+	} catch (error) {
+		log.error(`Error creating tag: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ADD_TAG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,81 @@
+/**
+ * add-task-note.js
+ * Direct function implementation for adding a note to a task
+ */
+
+import { addTaskNote } from '../../../../scripts/modules/task-notes.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Add a note to the log of a task or subtask
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID (e.g. "3" or "3.2")
+ * @param {string} args.note - Text of the note
+ * @param {string} [args.kind] - progress, decision, blocker or research
+ * @param {string} [args.author] - Person or agent writing the note
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function addTaskNoteDirect(args, log) {
+	const { tasksJsonPath, id, note, kind, author } = args;
+
+	if (!tasksJsonPath) {
+		log.error('addTaskNoteDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id || !note) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'The task ID (id) and the text of the note (note) are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Adding a note to task ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = addTaskNote(tasksJsonPath, id, note, {
+				kind,
+				author,
+				source: 'mcp'
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Added a ${result.note.kind} note to task ${result.id}`,
+				...result
+			}
+		};
+	} catch (error) {
+		log.error(`Error adding task note: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ADD_TASK_NOTE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
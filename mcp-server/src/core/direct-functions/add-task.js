@@ -33,6 +33,11 @@ import {
  * @param {string} [args.file='tasks/tasks.json'] - Path to the tasks file
  * @param {string} [args.projectRoot] - Project root directory
  * @param {boolean} [args.research=false] - Whether to use research capabilities (Note: Research needs to be handled by the client LLM now)
+ * @param {string} [args.labels] - Comma-separated labels for the task
+ * @param {Object} [args.fields] - Custom field values by field name (optionally "name:type")
+ * @param {string} [args.dueDate] - Due date of the task (YYYY-MM-DD)
+ * @param {number|string} [args.estimate] - Estimated effort in hours
+ * @param {string} [args.epic] - ID of the epic the task belongs to
  * @param {Object} log - Logger object
  * @param {Object} context - Additional context (session for sampling)
  * @returns {Promise<Object>} - Result object { success: boolean, data?: any, error?: { code: string, message: string } }
@@ -207,7 +212,14 @@ export async function addTaskDirect(args, log, context = {}) {
 			},
 			'json', // Request JSON output format
 			null, // No custom env
-			manualTaskData || taskDataFromAI // Pass the appropriate task data
+			manualTaskData || taskDataFromAI, // Pass the appropriate task data
+			{
+				labels: args.labels,
+				fields: args.fields,
+				dueDate: args.dueDate,
+				estimate: args.estimate,
+				epic: args.epic
+			}
 		);
 
 		// Restore normal logging
@@ -0,0 +1,55 @@
+/**
+ * analyze-impact.js
+ * Direct function implementation for the impact of removing tasks or changing their status
+ */
+
+import { getTaskImpact } from '../../../../scripts/modules/task-impact.js';
+
+/**
+ * Analyze what depends on tasks before they are removed or their status changes
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask IDs (comma-separated)
+ * @param {string} [args.status] - New status to analyze instead of removal
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function analyzeImpactDirect(args, log) {
+	const { tasksJsonPath, id, status } = args;
+
+	if (!tasksJsonPath) {
+		log.error('analyzeImpactDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(
+			`Analyzing the impact of ${status ? `setting ${id} to ${status}` : `removing ${id}`}`
+		);
+
+		const impact = getTaskImpact(tasksJsonPath, id, { status });
+
+		return {
+			success: true,
+			data: {
+				...impact,
+				message: `${impact.dependents.length} dependent task(s), ${impact.unblocked.length} can start afterwards, ${impact.permanentlyBlocked.length} can never start`
+			}
+		};
+	} catch (error) {
+		log.error(`Error analyzing the impact: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ANALYZE_IMPACT_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -6,9 +6,9 @@
 import {
 	enableSilentMode,
 	disableSilentMode,
-	readJSON,
 	writeJSON // Needed to write the report
 } from '../../../../scripts/modules/utils.js';
+import { readTasks } from '../../../../scripts/modules/task-store.js';
 // Import necessary AI prompt/parsing helpers from the correct location
 import {
 	generateComplexityAnalysisPrompt,
@@ -58,7 +58,7 @@ export async function analyzeTaskComplexityDirect(args, log, context = {}) {
 
 	try {
 		// --- Read Task Data ---
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !Array.isArray(data.tasks)) {
 			return { success: false, error: { code: 'INVALID_TASKS_FILE', message: `Invalid tasks data in ${tasksPath}` }, fromCache: false };
 		}
@@ -0,0 +1,74 @@
+/**
+ * archive-tasks.js
+ * Direct function implementation for moving completed tasks into the archive
+ */
+
+import { archiveTasks } from '../../../../scripts/modules/task-archive.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Move completed tasks out of tasks.json into the archive
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.olderThan] - Only archive tasks completed at least this many days ago
+ * @param {string} [args.status] - Only archive tasks with these statuses (comma-separated)
+ * @param {string} [args.ids] - Only archive these tasks (comma-separated IDs)
+ * @param {boolean} [args.dryRun] - Only report which tasks would be archived
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function archiveTasksDirect(args, log) {
+	const { tasksJsonPath, olderThan, status, ids, dryRun } = args;
+
+	if (!tasksJsonPath) {
+		log.error('archiveTasksDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Archiving completed tasks in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = archiveTasks(tasksJsonPath, {
+				olderThan,
+				status: status ? status.split(',') : undefined,
+				ids: ids ? ids.split(',').map((id) => id.trim()) : undefined,
+				dryRun: !!dryRun
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: dryRun
+					? `${result.archived.length} tasks would be archived`
+					: `Archived ${result.archived.length} tasks, ${result.remainingCount} tasks left`
+			}
+		};
+	} catch (error) {
+		log.error(`Error archiving tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ARCHIVE_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,75 @@
+/**
+ * assign-epic.js
+ * Direct function implementation for moving tasks into or out of an epic
+ */
+
+import { assignEpic } from '../../../../scripts/modules/task-epics.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Move tasks into an epic, or out of their epic
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Epic ID, or "none" to take the tasks out of their epic
+ * @param {string} args.tasks - Comma-separated task IDs (e.g. "3,4")
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function assignEpicDirect(args, log) {
+	const { tasksJsonPath, id, tasks } = args;
+
+	if (!tasksJsonPath) {
+		log.error('assignEpicDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id || !tasks) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'Epic ID (id) and task IDs (tasks) are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Assigning tasks ${tasks} to epic ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let results;
+		try {
+			results = assignEpic(tasksJsonPath, tasks, id);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Moved ${results.filter((result) => result.changed).length} tasks to epic ${id}`,
+				tasks: results
+			}
+		};
+	} catch (error) {
+		log.error(`Error assigning epic: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'ASSIGN_EPIC_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
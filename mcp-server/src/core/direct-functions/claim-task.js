@@ -0,0 +1,95 @@
+/**
+ * claim-task.js
+ * Direct function implementation for claiming a task
+ */
+
+import { claimTask } from '../../../../scripts/modules/task-claims.js';
+import { claimNextTask } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Claim a task or subtask for an owner, or the next one to work on
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.owner - Owner ID, e.g. the name of the agent
+ * @param {string} [args.id] - Task or subtask ID; without it the next task (or its next subtask) is claimed
+ * @param {number} [args.leaseMinutes] - Minutes until the claim expires (default: 30)
+ * @param {boolean} [args.force] - Take over a claim someone else holds
+ * @param {string} [args.labels] - Only claim a next task with these comma-separated labels
+ * @param {Object} [args.fields] - Only claim a next task with these custom field values
+ * @param {string} [args.reportPath] - Path to the complexity report, for projects that weigh complexity
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function claimTaskDirect(args, log) {
+	const {
+		tasksJsonPath,
+		owner,
+		id,
+		leaseMinutes,
+		force,
+		labels,
+		fields,
+		reportPath
+	} = args;
+
+	if (!tasksJsonPath) {
+		log.error('claimTaskDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Claiming ${id ? `task ${id}` : 'the next task'} for ${owner}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let data;
+		try {
+			if (id) {
+				const claim = claimTask(tasksJsonPath, id, owner, {
+					leaseMinutes,
+					force
+				});
+				data = {
+					message: `Task ${claim.id} is claimed by ${claim.owner} until ${claim.expiresAt}`,
+					claim
+				};
+			} else {
+				const result = claimNextTask(tasksJsonPath, owner, {
+					leaseMinutes,
+					filters: { labels, fields },
+					complexityReportPath: reportPath
+				});
+				data = {
+					message: result.claim
+						? `Task ${result.claim.id} is claimed by ${result.claim.owner} until ${result.claim.expiresAt}`
+						: 'No task to claim: all open tasks are waiting for dependencies or claimed by someone else',
+					...result
+				};
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return { success: true, data };
+	} catch (error) {
+		log.error(`Error claiming task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'CLAIM_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
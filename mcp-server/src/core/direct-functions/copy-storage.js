@@ -0,0 +1,74 @@
+/**
+ * copy-storage.js
+ * Direct function implementation for copying tasks between storage backends
+ */
+
+import path from 'path';
+import { copyTasksStorage } from '../../../../scripts/modules/task-store.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Copy all tasks from one storage file to another (e.g. tasks.json to tasks.db)
+ * @param {Object} args - Function arguments
+ * @param {string} args.sourcePath - Absolute path of the tasks file to copy from
+ * @param {string} args.targetPath - Absolute path of the tasks file to copy to
+ * @param {boolean} [args.force] - Replace the target if it already exists
+ * @param {boolean} [args.generateFiles] - Regenerate the task files next to the target
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function copyStorageDirect(args, log) {
+	const { sourcePath, targetPath, force, generateFiles } = args;
+
+	if (!sourcePath || !targetPath) {
+		log.error('copyStorageDirect called without sourcePath or targetPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'sourcePath and targetPath are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Copying tasks from ${sourcePath} to ${targetPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = copyTasksStorage(sourcePath, targetPath, { force: !!force });
+
+			if (generateFiles) {
+				generateTaskFiles(targetPath, path.dirname(targetPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				sourcePath,
+				targetPath,
+				message: `Copied ${result.taskCount} tasks from ${result.sourceType} to ${result.targetType} storage`
+			}
+		};
+	} catch (error) {
+		log.error(`Error copying tasks storage: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'COPY_STORAGE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
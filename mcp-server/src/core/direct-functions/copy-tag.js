@@ -0,0 +1,71 @@
+/**
+ * copy-tag.js
+ * Direct function implementation for copying a task list (tag)
+ */
+
+import path from 'path';
+import { copyTag, runWithTag } from '../../../../scripts/modules/task-tags.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Copy a task list (tag) with all of its tasks to a new tag
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.source - Tag to copy
+ * @param {string} args.target - Name of the new tag
+ * @param {string} [args.description] - Description of the new tag
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function copyTagDirect(args, log) {
+	const { tasksJsonPath, source, target, description } = args;
+
+	if (!tasksJsonPath || !source || !target) {
+		log.error('copyTagDirect called without tasksJsonPath, source or target');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath, source and target are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Copying tag "${source}" to "${target}" in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = copyTag(tasksJsonPath, source, target, { description });
+			runWithTag(target, () =>
+				generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath))
+			);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Copied tag "${source}" to "${target}" with ${result.taskCount} tasks`
+			}
+		};
+	} catch (error) {
+		log.error(`Error copying tag: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'COPY_TAG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,70 @@
+/**
+ * critical-path.js
+ * Direct function implementation for the dependency graph analysis
+ */
+
+import { analyzeCriticalPath } from '../../../../scripts/modules/dependency-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Find the critical path and the waves of tasks that can run in parallel
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.weightBy] - 'complexity', 'estimate' or 'count'
+ * @param {string} [args.reportPath] - Path to the complexity report
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function criticalPathDirect(args, log) {
+	const { tasksJsonPath, weightBy, reportPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('criticalPathDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Analyzing the dependency graph of ${tasksJsonPath}`);
+
+		// The complexity report is read through the CLI logger
+		enableSilentMode();
+		let analysis;
+		try {
+			analysis = analyzeCriticalPath(tasksJsonPath, {
+				weightBy,
+				complexityReportPath: reportPath
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...analysis,
+				message:
+					analysis.order.length > 0
+						? `Critical path ${analysis.criticalPath.tasks.map((task) => task.id).join(' -> ')} (${analysis.criticalPath.length} by ${analysis.weightBy}), ${analysis.waves[0].length} tasks can start in parallel`
+						: 'All tasks are finished'
+			}
+		};
+	} catch (error) {
+		log.error(`Error analyzing the critical path: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'CRITICAL_PATH_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
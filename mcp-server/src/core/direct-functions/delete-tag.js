@@ -0,0 +1,64 @@
+/**
+ * delete-tag.js
+ * Direct function implementation for deleting a task list (tag)
+ */
+
+import { deleteTag } from '../../../../scripts/modules/task-tags.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Delete a task list (tag) with all of its tasks and task files
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.name - Tag to delete
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function deleteTagDirect(args, log) {
+	const { tasksJsonPath, name } = args;
+
+	if (!tasksJsonPath || !name) {
+		log.error('deleteTagDirect called without tasksJsonPath or name');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and name are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Deleting tag "${name}" in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = deleteTag(tasksJsonPath, name);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Deleted tag "${name}" with ${result.taskCount} tasks`
+			}
+		};
+	} catch (error) {
+		log.error(`Error deleting tag: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'DELETE_TAG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -6,10 +6,9 @@
 import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js'; // Keep for generating files
 import {
 	enableSilentMode,
-	disableSilentMode,
-	readJSON,
-	writeJSON
+	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
 // Removed AI client utils: import { getAnthropicClientForMCP } from '../utils/ai-client-utils.js';
 // Import necessary AI prompt/parsing helpers from the correct location
 import {
@@ -66,9 +65,10 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 
 	log.info(`Expanding all tasks via MCP sampling. NumSubtasks=${numSubtasks || 'default'}, Force=${forceFlag}, Research hint: ${useResearch}`);
 
+	let lock;
 	try {
 		// --- Read Task Data ---
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !Array.isArray(data.tasks)) {
 			return { success: false, error: { code: 'INVALID_TASKS_FILE', message: `Invalid tasks data in ${tasksPath}` }, fromCache: false };
 		}
@@ -145,7 +145,10 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 
 		// 5. Save Updated Tasks (only if any were expanded)
 		if (tasksExpandedCount > 0) {
-			writeJSON(tasksPath, data);
+			// The tool runs unlocked while the AI answers, so wait for the lock
+			// without blocking the MCP server
+			lock = await acquireTasksLockAsync(tasksPath);
+			writeTasks(tasksPath, data);
 			log.info(`Saved updates to ${tasksPath} after expanding ${tasksExpandedCount} tasks.`);
 
 			// 6. Generate Individual Task Files (in silent mode)
@@ -190,5 +193,7 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 			},
 			fromCache: false
 		};
+	} finally {
+		lock?.release();
 	}
 }
@@ -7,11 +7,12 @@
 import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js'; // Keep for generating files
 import {
 	readJSON,
-	writeJSON,
 	enableSilentMode,
-	disableSilentMode
+	disableSilentMode,
+	findTaskPath
 	// Removed: isSilentMode (handled implicitly)
 } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
 import {
 	// Removed: getAnthropicClientForMCP,
 	// Removed: getModelConfig
@@ -53,7 +54,8 @@ export async function expandTaskDirect(args, log, context = {}) {
 			fromCache: false
 		};
 	}
-	const taskId = id ? parseInt(id, 10) : null;
+	// A subtask ID like "4.2" breaks the subtask down further
+	const taskId = id && String(id).includes('.') ? String(id).trim() : id ? parseInt(id, 10) : null;
 	if (!taskId) {
 		log.error('Task ID is required');
 		return {
@@ -83,10 +85,11 @@ export async function expandTaskDirect(args, log, context = {}) {
 		`[expandTaskDirect] Expanding task ${taskId} via MCP sampling. NumSubtasks=${numSubtasks || 'default'}, Force=${forceFlag}`
 	);
 
+	let lock;
 	try {
 		// --- Read Task Data ---
 		log.info(`[expandTaskDirect] Reading tasks from: ${tasksPath}`);
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !Array.isArray(data.tasks)) {
 			log.error(`[expandTaskDirect] Failed to read valid tasks data from ${tasksPath}`);
 			return {
@@ -96,9 +99,9 @@ export async function expandTaskDirect(args, log, context = {}) {
 			};
 		}
 
-		// Find the task to expand
-		const taskIndex = data.tasks.findIndex((t) => t.id === taskId);
-		if (taskIndex === -1) {
+		// Find the task or subtask to expand
+		const found = findTaskPath(data.tasks, taskId);
+		if (!found) {
 			log.error(`[expandTaskDirect] Task ${taskId} not found.`);
 			return {
 				success: false,
@@ -106,7 +109,7 @@ export async function expandTaskDirect(args, log, context = {}) {
 				fromCache: false
 			};
 		}
-		const task = data.tasks[taskIndex];
+		const task = found.item;
 
 		// --- Pre-Expansion Checks ---
 		if (task.status === 'done' || task.status === 'completed') {
@@ -149,7 +152,8 @@ export async function expandTaskDirect(args, log, context = {}) {
 		    log.warn(`Could not read complexity report at ${reportPath}: ${err.message}`);
 		}
 
-		const subtaskPrompt = generateSubtaskPrompt(task, numSubtasks, additionalContext, complexityReport);
+		// Only tasks are in the complexity report, not their subtasks
+		const subtaskPrompt = generateSubtaskPrompt(task, numSubtasks, additionalContext, found.parent ? null : complexityReport);
 		if (!subtaskPrompt) {
 			throw new Error('Failed to generate the prompt for subtask expansion.');
 		}
@@ -200,9 +204,11 @@ export async function expandTaskDirect(args, log, context = {}) {
 		task.subtasks = newSubtasks;
 
 		// 4. Save Updated Task Data
-		// Update the task in the main data array
-		data.tasks[taskIndex] = task;
-		writeJSON(tasksPath, data);
+		// The task was updated in place in the main data array
+		// The tool runs unlocked while the AI answers, so wait for the lock
+		// without blocking the MCP server
+		lock = await acquireTasksLockAsync(tasksPath);
+		writeTasks(tasksPath, data);
 		log.info(`Updated tasks file ${tasksPath} with new subtasks for task ${taskId}.`);
 
 		// Create logger wrapper
@@ -247,5 +253,7 @@ export async function expandTaskDirect(args, log, context = {}) {
 			},
 			fromCache: false
 		};
+	} finally {
+		lock?.release();
 	}
 }
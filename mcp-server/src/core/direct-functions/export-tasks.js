@@ -0,0 +1,82 @@
+/**
+ * export-tasks.js
+ * Direct function implementation for exporting tasks as a report
+ */
+
+import { exportTasks } from '../../../../scripts/modules/task-export.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Export the tasks as a Markdown, CSV, HTML or JSON report
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.format] - Report format: markdown, csv, html or json
+ * @param {string} [args.status] - Only export tasks with this status
+ * @param {string} [args.epic] - Only export the tasks of this epic, or "none" for tasks without one
+ * @param {string} [args.reportPath] - Path to the complexity report
+ * @param {string} [args.outputPath] - File to write the report to (the report is returned without it)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function exportTasksDirect(args, log) {
+	const { tasksJsonPath, format, status, epic, reportPath, outputPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('exportTasksDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(
+			`Exporting tasks from ${tasksJsonPath} as ${format || 'markdown'}`
+		);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = exportTasks(tasksJsonPath, {
+				format,
+				status,
+				epic,
+				complexityReportPath: reportPath,
+				output: outputPath
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		// Reports written to a file aren't repeated in the response
+		return {
+			success: true,
+			data: {
+				format: result.format,
+				taskCount: result.taskCount,
+				outputPath: result.outputPath,
+				...(result.outputPath ? {} : { content: result.content }),
+				message: result.outputPath
+					? `Exported ${result.taskCount} tasks as ${result.format} to ${result.outputPath}`
+					: `Exported ${result.taskCount} tasks as ${result.format}`
+			}
+		};
+	} catch (error) {
+		log.error(`Error exporting tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'EXPORT_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,72 @@
+/**
+ * forecast.js
+ * Direct function implementation for forecasting the task schedule
+ */
+
+import { forecastTasks } from '../../../../scripts/modules/task-schedule.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Forecast when each open task starts and finishes, and which will be late
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.people] - Number of people working on the tasks
+ * @param {number} [args.hoursPerDay] - Work hours per person per day
+ * @param {string} [args.startDate] - First day of work as YYYY-MM-DD
+ * @param {boolean} [args.save] - Store the capacity as the project's default
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function forecastDirect(args, log) {
+	const { tasksJsonPath, people, hoursPerDay, startDate, save } = args;
+
+	if (!tasksJsonPath) {
+		log.error('forecastDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Forecasting the schedule of ${tasksJsonPath}`);
+
+		enableSilentMode();
+		let forecast;
+		try {
+			forecast = forecastTasks(tasksJsonPath, {
+				people,
+				hoursPerDay,
+				startDate,
+				save
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...forecast,
+				message: forecast.finish
+					? `${forecast.tasks.length} open tasks finish by ${forecast.finish}, ${forecast.late.length} of them late`
+					: 'No open tasks to forecast'
+			}
+		};
+	} catch (error) {
+		log.error(`Error forecasting tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'FORECAST_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -13,13 +13,13 @@ import path from 'path';
 /**
  * Direct function wrapper for generateTaskFiles with error handling.
  *
- * @param {Object} args - Command arguments containing tasksJsonPath and outputDir.
+ * @param {Object} args - Command arguments containing tasksJsonPath, outputDir and force (overwrite edited task files).
  * @param {Object} log - Logger object.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function generateTaskFilesDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath, outputDir } = args;
+	const { tasksJsonPath, outputDir, force } = args;
 	try {
 		log.info(`Generating task files with args: ${JSON.stringify(args)}`);
 
@@ -50,12 +50,16 @@ export async function generateTaskFilesDirect(args, log) {
 		log.info(`Generating task files from ${tasksPath} to ${resolvedOutputDir}`);
 
 		// Execute core generateTaskFiles function in a separate try/catch
+		let result;
 		try {
 			// Enable silent mode to prevent logs from being written to stdout
 			enableSilentMode();
 
 			// The function is synchronous despite being awaited elsewhere
-			generateTaskFiles(tasksPath, resolvedOutputDir);
+			result = generateTaskFiles(tasksPath, resolvedOutputDir, {
+				mcpLog: log,
+				force: !!force
+			});
 
 			// Restore normal logging after task generation
 			disableSilentMode();
@@ -71,15 +75,20 @@ export async function generateTaskFilesDirect(args, log) {
 			};
 		}
 
-		// Return success with file paths
+		// Return success with file paths, and the edited files that were left alone
+		const { skippedFiles } = result;
 		return {
 			success: true,
 			data: {
-				message: `Successfully generated task files`,
+				message:
+					skippedFiles.length > 0
+						? `Generated task files, skipped ${skippedFiles.length} files with edits that are not in tasks.json yet (sync them with sync_task_files, or pass force to overwrite them)`
+						: `Successfully generated task files`,
 				tasksPath: tasksPath,
 				outputDir: resolvedOutputDir,
 				taskFiles:
-					'Individual task files have been generated in the output directory'
+					'Individual task files have been generated in the output directory',
+				skippedFiles
 			},
 			fromCache: false // This operation always modifies state and should never be cached
 		};
@@ -0,0 +1,82 @@
+/**
+ * get-dependency-graph.js
+ * Direct function implementation for rendering the dependency graph
+ */
+
+import { renderTaskGraph } from '../../../../scripts/modules/task-graph.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Render the dependency graph as Mermaid, Graphviz DOT or a text tree
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.format] - mermaid (default), dot or ascii
+ * @param {boolean} [args.subtasks] - Include subtasks
+ * @param {string} [args.focus] - Only show the tasks connected to this task or subtask
+ * @param {string} [args.direction] - ancestors, descendants or both of the focused task
+ * @param {string} [args.outputPath] - Absolute path of a file to write the graph to
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getDependencyGraphDirect(args, log) {
+	const { tasksJsonPath, format, subtasks, focus, direction, outputPath } =
+		args;
+
+	if (!tasksJsonPath) {
+		log.error('getDependencyGraphDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(
+			`Rendering the dependency graph of ${tasksJsonPath} as ${format || 'mermaid'}`
+		);
+
+		enableSilentMode();
+		let result;
+		try {
+			result = renderTaskGraph(tasksJsonPath, {
+				format: format || 'mermaid',
+				subtasks,
+				focus,
+				direction,
+				output: outputPath
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		// Graphs written to a file aren't repeated in the response
+		return {
+			success: true,
+			data: {
+				format: result.format,
+				nodeCount: result.nodeCount,
+				edgeCount: result.edgeCount,
+				outputPath: result.outputPath,
+				...(result.outputPath ? {} : { content: result.content }),
+				message: result.outputPath
+					? `Wrote the ${result.format} graph of ${result.nodeCount} tasks to ${result.outputPath}`
+					: `Rendered the ${result.format} graph of ${result.nodeCount} tasks`
+			}
+		};
+	} catch (error) {
+		log.error(`Error rendering the dependency graph: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'DEPENDENCY_GRAPH_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,67 @@
+/**
+ * get-epics.js
+ * Direct function implementation for listing the epics with their progress
+ */
+
+import { readTasks } from '../../../../scripts/modules/task-store.js';
+import { readArchivedTasks } from '../../../../scripts/modules/task-archive.js';
+import { listEpics } from '../../../../scripts/modules/task-epics.js';
+
+/**
+ * List the epics of a project with the progress of their tasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getEpicsDirect(args, log) {
+	const { tasksJsonPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getEpicsDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Listing the epics of ${tasksJsonPath}`);
+
+		const data = readTasks(tasksJsonPath);
+		if (!data || !data.tasks) {
+			return {
+				success: false,
+				error: {
+					code: 'TASKS_FILE_NOT_FOUND',
+					message: `No valid tasks found in ${tasksJsonPath}`
+				}
+			};
+		}
+
+		const summary = listEpics(
+			[...data.tasks, ...readArchivedTasks(tasksJsonPath)],
+			data.meta
+		);
+		const late = summary.epics.filter((epic) => epic.late).length;
+		return {
+			success: true,
+			data: {
+				...summary,
+				message: `${summary.epics.length} epics${late > 0 ? `, ${late} past their target date` : ''}`
+			}
+		};
+	} catch (error) {
+		log.error(`Error listing epics: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'GET_EPICS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
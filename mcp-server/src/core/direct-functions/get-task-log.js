@@ -0,0 +1,62 @@
+/**
+ * get-task-log.js
+ * Direct function implementation for the notes of a task
+ */
+
+import { getTaskLog } from '../../../../scripts/modules/task-notes.js';
+
+/**
+ * Get the notes of a task or subtask and of its subtasks, oldest first
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID (e.g. "3" or "3.2")
+ * @param {string} [args.kind] - Only notes of this kind
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getTaskLogDirect(args, log) {
+	const { tasksJsonPath, id, kind } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getTaskLogDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'Task ID is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Getting the log of task ${id} from ${tasksJsonPath}`);
+
+		const result = getTaskLog(tasksJsonPath, id, { kind });
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Task ${result.id} has ${result.notes.length} notes`
+			}
+		};
+	} catch (error) {
+		log.error(`Error getting task log: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'GET_TASK_LOG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,61 @@
+/**
+ * get-task-timeline.js
+ * Direct function implementation for the status history of a task
+ */
+
+import { getTaskTimeline } from '../../../../scripts/modules/task-timeline.js';
+
+/**
+ * Get the status changes of a task or subtask with its lead and cycle time
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID (e.g. "3" or "3.2")
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getTaskTimelineDirect(args, log) {
+	const { tasksJsonPath, id } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getTaskTimelineDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'Task ID is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Getting the timeline of task ${id} from ${tasksJsonPath}`);
+
+		const timeline = getTaskTimeline(tasksJsonPath, id);
+		return {
+			success: true,
+			data: {
+				...timeline,
+				message: `Task ${timeline.id} has ${timeline.history.length} recorded status changes`
+			}
+		};
+	} catch (error) {
+		log.error(`Error getting task timeline: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'GET_TIMELINE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
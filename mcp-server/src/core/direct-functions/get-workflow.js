@@ -0,0 +1,51 @@
+/**
+ * get-workflow.js
+ * Direct function implementation for showing the status workflow
+ */
+
+import { readTasksMeta } from '../../../../scripts/modules/task-store.js';
+import { getWorkflow } from '../../../../scripts/modules/task-workflow.js';
+
+/**
+ * Get the statuses tasks can have and the allowed transitions between them
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function getWorkflowDirect(args, log) {
+	const { tasksJsonPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('getWorkflowDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Reading the workflow of ${tasksJsonPath}`);
+
+		const workflow = getWorkflow(readTasksMeta(tasksJsonPath));
+		return {
+			success: true,
+			data: {
+				...workflow,
+				message: `${workflow.custom ? 'Custom' : 'Default'} workflow with ${workflow.statuses.length} statuses`
+			}
+		};
+	} catch (error) {
+		log.error(`Error reading workflow: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'GET_WORKFLOW_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
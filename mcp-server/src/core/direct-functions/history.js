@@ -0,0 +1,55 @@
+/**
+ * history.js
+ * Direct function implementation for listing the undo history of tasks.json
+ */
+
+import { getHistory } from '../../../../scripts/modules/task-history.js';
+
+/**
+ * List the operations recorded in the undo history, newest first
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {number} [args.limit] - Maximum number of entries to return (default: 20)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function historyDirect(args, log) {
+	const { tasksJsonPath, limit } = args;
+
+	if (!tasksJsonPath) {
+		log.error('historyDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Getting history for ${tasksJsonPath}`);
+
+		const entries = getHistory(tasksJsonPath, { limit: limit || 20 });
+
+		return {
+			success: true,
+			data: {
+				entries,
+				canUndo: entries.some((entry) => !entry.undone),
+				canRedo: entries.some((entry) => entry.undone),
+				message: `Found ${entries.length} history entries`,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		log.error(`Error getting history: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'HISTORY_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
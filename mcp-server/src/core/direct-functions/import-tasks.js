@@ -0,0 +1,78 @@
+/**
+ * import-tasks.js
+ * Direct function implementation for importing tasks from other tools
+ */
+
+import path from 'path';
+import { importTasks } from '../../../../scripts/modules/task-import.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Import tasks from a CSV file, a Markdown checklist or a GitHub issues export
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.inputPath - File to import
+ * @param {string} [args.format] - csv, markdown or github (default: from the file extension)
+ * @param {string} [args.mapping] - Field mapping, e.g. "title=Summary,details=Notes"
+ * @param {boolean} [args.dryRun] - Only report what would be imported
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function importTasksDirect(args, log) {
+	const { tasksJsonPath, inputPath, format, mapping, dryRun } = args;
+
+	if (!tasksJsonPath || !inputPath) {
+		log.error('importTasksDirect called without tasksJsonPath or inputPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and inputPath are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Importing tasks from ${inputPath} into ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = importTasks(tasksJsonPath, inputPath, {
+				format,
+				mapping,
+				dryRun: !!dryRun
+			});
+			if (!result.dryRun && result.tasks.length > 0) {
+				generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: dryRun
+					? `${result.tasks.length} tasks would be imported from ${inputPath}`
+					: `Imported ${result.tasks.length} tasks from ${inputPath}`
+			}
+		};
+	} catch (error) {
+		log.error(`Error importing tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'IMPORT_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,64 @@
+/**
+ * list-tags.js
+ * Direct function implementation for listing the task lists (tags)
+ */
+
+import { listTags } from '../../../../scripts/modules/task-tags.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * List the task lists (tags) of a project and which one is current
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function listTagsDirect(args, log) {
+	const { tasksJsonPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('listTagsDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Listing tags in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = listTags(tasksJsonPath);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				tags: result,
+				currentTag: result.find((tag) => tag.current)?.name,
+				message: `Found ${result.length} tags`
+			}
+		};
+	} catch (error) {
+		log.error(`Error listing tags: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'LIST_TAGS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -4,6 +4,7 @@
  */
 
 import { listTasks } from '../../../../scripts/modules/task-manager.js';
+import { getActiveTag } from '../../../../scripts/modules/task-tags.js';
 import { getCachedOrExecute } from '../../tools/utils.js';
 import {
 	enableSilentMode,
@@ -19,7 +20,15 @@ import {
  */
 export async function listTasksDirect(args, log) {
 	// Destructure the explicit tasksJsonPath from args
-	const { tasksJsonPath, status, withSubtasks } = args;
+	const {
+		tasksJsonPath,
+		status,
+		withSubtasks,
+		includeArchived,
+		labels,
+		fields,
+		epic
+	} = args;
 
 	if (!tasksJsonPath) {
 		log.error('listTasksDirect called without tasksJsonPath');
@@ -36,7 +45,9 @@ export async function listTasksDirect(args, log) {
 	// Use the explicit tasksJsonPath for cache key
 	const statusFilter = status || 'all';
 	const withSubtasksFilter = withSubtasks || false;
-	const cacheKey = `listTasks:${tasksJsonPath}:${statusFilter}:${withSubtasksFilter}`;
+	const includeArchivedFilter = includeArchived || false;
+	const metadataFilter = { labels, fields, epic };
+	const cacheKey = `listTasks:${tasksJsonPath}:${getActiveTag(tasksJsonPath)}:${statusFilter}:${withSubtasksFilter}:${includeArchivedFilter}:${JSON.stringify(metadataFilter)}`;
 
 	// Define the action function to be executed on cache miss
 	const coreListTasksAction = async () => {
@@ -52,7 +63,9 @@ export async function listTasksDirect(args, log) {
 				tasksJsonPath,
 				statusFilter,
 				withSubtasksFilter,
-				'json'
+				'json',
+				includeArchivedFilter,
+				metadataFilter
 			);
 
 			if (!resultData || !resultData.tasks) {
@@ -0,0 +1,111 @@
+/**
+ * merge-tasks.js
+ * Direct function implementation for merging tasks into one
+ */
+
+import path from 'path';
+import {
+	draftMerge,
+	mergeTasks
+} from '../../../../scripts/modules/task-split.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import { withTasksLockAsync } from '../../../../scripts/modules/task-store.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Merge tasks into the first of them, with a description and details
+ * drafted by Claude or combined as they are
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.ids - Comma-separated IDs of the tasks to merge
+ * @param {string} [args.title] - Title of the merged task
+ * @param {boolean} [args.manual] - Combine the texts as they are instead of having Claude rewrite them
+ * @param {string} [args.prompt] - Additional instructions for Claude
+ * @param {boolean} [args.dryRun] - Only return Claude's draft
+ * @param {Object} log - Logger object
+ * @param {Object} context - Context object containing the MCP session
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function mergeTasksDirect(args, log, context = {}) {
+	const { tasksJsonPath, ids, title, manual, prompt, dryRun } = args;
+	const { session } = context;
+
+	if (!tasksJsonPath) {
+		log.error('mergeTasksDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!ids) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'The IDs of the tasks to merge are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Merging tasks ${ids}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		try {
+			let draft = { title };
+			if (!manual) {
+				const proposal = await draftMerge(tasksJsonPath, ids, {
+					prompt,
+					session,
+					mcpLog: log
+				});
+				proposal.task.title = title || proposal.task.title;
+				if (dryRun) {
+					return {
+						success: true,
+						data: {
+							message: `Drafted a merge of tasks ${proposal.ids.join(', ')}`,
+							...proposal
+						}
+					};
+				}
+				draft = proposal.task;
+			}
+
+			// The tool runs unlocked while the AI drafts, so wait for the lock
+			// without blocking the MCP server
+			const result = await withTasksLockAsync(tasksJsonPath, async () => {
+				const applied = mergeTasks(tasksJsonPath, ids, draft);
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+				return applied;
+			});
+			return {
+				success: true,
+				data: {
+					message: `Merged tasks ${result.merged.join(', ')} into task ${result.id}`,
+					...result
+				}
+			};
+		} finally {
+			disableSilentMode();
+		}
+	} catch (error) {
+		log.error(`Error merging tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'MERGE_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
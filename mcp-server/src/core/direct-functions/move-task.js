@@ -0,0 +1,80 @@
+/**
+ * move-task.js
+ * Direct function implementation for moving a task or subtask to a new ID
+ */
+
+import path from 'path';
+import { moveTask } from '../../../../scripts/modules/task-move.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Move a task or subtask, with its subtasks, to a new ID
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.from - ID of the task or subtask to move (e.g. "5.2")
+ * @param {string} args.to - New ID (e.g. "9" for a task, "3.4" for a subtask of task 3)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function moveTaskDirect(args, log) {
+	const { tasksJsonPath, from, to } = args;
+
+	if (!tasksJsonPath) {
+		log.error('moveTaskDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!from || !to) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'The ID to move (from) and the new ID (to) are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Moving task ${from} to ${to}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = moveTask(tasksJsonPath, from, to);
+			if (result.mapping.length > 0) {
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Moved task ${from} to ${result.id}`,
+				...result
+			}
+		};
+	} catch (error) {
+		log.error(`Error moving task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'MOVE_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -3,25 +3,40 @@
  * Direct function implementation for finding the next task to work on
  */
 
-import { findNextTask } from '../../../../scripts/modules/task-manager.js';
-import { readJSON } from '../../../../scripts/modules/utils.js';
-import { getCachedOrExecute } from '../../tools/utils.js';
+import {
+	rankNextTasks,
+	findNextSubtask
+} from '../../../../scripts/modules/task-manager.js';
+import { getScoringOptions } from '../../../../scripts/modules/task-scoring.js';
+import { getWorkflow } from '../../../../scripts/modules/task-workflow.js';
+import { readArchivedTasks } from '../../../../scripts/modules/task-archive.js';
+import { readTasks } from '../../../../scripts/modules/task-store.js';
+import { parseTaskFilters } from '../../../../scripts/modules/task-fields.js';
 import {
 	enableSilentMode,
 	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
 
 /**
- * Direct function wrapper for finding the next task to work on with error handling and caching.
+ * Direct function wrapper for finding the next task to work on with error handling.
  *
  * @param {Object} args - Command arguments
  * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.labels] - Only consider tasks with these comma-separated labels
+ * @param {Object} [args.fields] - Only consider tasks with these custom field values
+ * @param {string} [args.epic] - Only consider the tasks of this epic, or "none" for tasks without one
+ * @param {number} [args.limit] - Also return this many ranked candidates with their scores
+ * @param {string} [args.owner] - Owner asking; tasks claimed by anyone else are skipped
+ * @param {string} [args.reportPath] - Path to the complexity report, for projects that weigh complexity
  * @param {Object} log - Logger object
  * @returns {Promise<Object>} - Next task result { success: boolean, data?: any, error?: { code: string, message: string }, fromCache: boolean }
+ * The data holds the next task and, when it has subtasks, the next subtask to work on.
+ * With a limit, candidates lists the best tasks with their score breakdown.
  */
 export async function nextTaskDirect(args, log) {
 	// Destructure expected args
-	const { tasksJsonPath } = args;
+	const { tasksJsonPath, labels, fields, epic, limit, reportPath, owner } =
+		args;
 
 	if (!tasksJsonPath) {
 		log.error('nextTaskDirect called without tasksJsonPath');
@@ -35,10 +50,6 @@ export async function nextTaskDirect(args, log) {
 		};
 	}
 
-	// Generate cache key using the provided task path
-	const cacheKey = `nextTask:${tasksJsonPath}`;
-
-	// Define the action function to be executed on cache miss
 	const coreNextTaskAction = async () => {
 		try {
 			// Enable silent mode to prevent console logs from interfering with JSON response
@@ -47,7 +58,7 @@ export async function nextTaskDirect(args, log) {
 			log.info(`Finding next task from ${tasksJsonPath}`);
 
 			// Read tasks data using the provided path
-			const data = readJSON(tasksJsonPath);
+			const data = readTasks(tasksJsonPath);
 			if (!data || !data.tasks) {
 				disableSilentMode(); // Disable before return
 				return {
@@ -59,8 +70,27 @@ export async function nextTaskDirect(args, log) {
 				};
 			}
 
-			// Find the next task
-			const nextTask = findNextTask(data.tasks);
+			// Find the next task (done archived tasks satisfy dependencies)
+			const archivedTasks = readArchivedTasks(tasksJsonPath);
+			const filters = parseTaskFilters({ labels, fields, epic }, data.meta);
+			const workflow = getWorkflow(data.meta);
+			const ranked = rankNextTasks(
+				data.tasks,
+				archivedTasks,
+				filters,
+				workflow,
+				{ ...getScoringOptions(data.meta, reportPath), owner }
+			);
+			const nextTask = ranked.length > 0 ? ranked[0].task : null;
+			const candidates = limit
+				? ranked.slice(0, limit).map(({ task, ...scores }) => ({
+						id: task.id,
+						title: task.title,
+						status: task.status,
+						priority: task.priority,
+						...scores
+					}))
+				: undefined;
 
 			if (!nextTask) {
 				log.info(
@@ -72,22 +102,36 @@ export async function nextTaskDirect(args, log) {
 						message:
 							'No eligible next task found. All tasks are either completed or have unsatisfied dependencies',
 						nextTask: null,
+						nextSubtask: null,
+						candidates,
 						allTasks: data.tasks
 					}
 				};
 			}
 
+			// The subtask to start with, its parentTask holds the task's context
+			const nextSubtask = findNextSubtask(
+				nextTask,
+				data.tasks,
+				archivedTasks,
+				filters,
+				workflow,
+				{ owner }
+			);
+
 			// Restore normal logging
 			disableSilentMode();
 
 			// Return the next task data with the full tasks array for reference
 			log.info(
-				`Successfully found next task ${nextTask.id}: ${nextTask.title}`
+				`Successfully found next task ${nextTask.id}: ${nextTask.title}${nextSubtask ? `, next subtask ${nextSubtask.parentTask.id}.${nextSubtask.id}` : ''}`
 			);
 			return {
 				success: true,
 				data: {
 					nextTask,
+					nextSubtask,
+					candidates,
 					allTasks: data.tasks
 				}
 			};
@@ -106,27 +150,8 @@ export async function nextTaskDirect(args, log) {
 		}
 	};
 
-	// Use the caching utility
-	try {
-		const result = await getCachedOrExecute({
-			cacheKey,
-			actionFn: coreNextTaskAction,
-			log
-		});
-		log.info(`nextTaskDirect completed. From cache: ${result.fromCache}`);
-		return result; // Returns { success, data/error, fromCache }
-	} catch (error) {
-		// Catch unexpected errors from getCachedOrExecute itself
-		log.error(
-			`Unexpected error during getCachedOrExecute for nextTask: ${error.message}`
-		);
-		return {
-			success: false,
-			error: {
-				code: 'UNEXPECTED_ERROR',
-				message: error.message
-			},
-			fromCache: false
-		};
-	}
+	// Not cached: claims expire and scores depend on the current time, so the
+	// next task can change without the tasks file changing
+	const result = await coreNextTaskAction();
+	return { ...result, fromCache: false };
 }
@@ -10,9 +10,13 @@ import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
 import {
 	enableSilentMode,
 	disableSilentMode,
-	readJSON, // Need readJSON for append mode
-	writeJSON // Need writeJSON to save result
+	readJSON // Need readJSON for append mode
 } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, writeTasks } from '../../../../scripts/modules/task-store.js';
+import {
+	getEpics,
+	mergeGeneratedEpics
+} from '../../../../scripts/modules/task-epics.js';
 // Removed: import {
 // 	getModelConfig,
 // 	_generateParsePRDPrompt,
@@ -63,7 +67,12 @@ export async function saveTasksAndGenerateFilesDirect(saveArgs, log) {
 		`Saving tasks: Output=${outputPath}, Append=${append}, Force=${force}`
 	);
 
+	let lock;
 	try {
+		// The tool runs unlocked while the AI answers, so wait for the lock
+		// without blocking the MCP server, and hold it from reading to saving
+		lock = await acquireTasksLockAsync(outputPath);
+
 		// Handle Appending/Overwriting (Keep this logic)
 		let existingTasks = { tasks: [], metadata: {} };
 		let lastTaskId = 0;
@@ -109,21 +118,32 @@ export async function saveTasksAndGenerateFilesDirect(saveArgs, log) {
 			});
 		}
 
+		// Epics generated with the tasks join the epics the project already has
+		const epics = mergeGeneratedEpics(
+			newTasksData,
+			append ? getEpics(existingTasks.meta) : []
+		);
+
 		// Merge tasks if appending (Keep this logic)
 		const tasksData = append
 			? {
+				meta: existingTasks.meta,
 				...existingTasks.metadata,
 				...newTasksData.metadata,
 				tasks: [...(existingTasks.tasks || []), ...newTasksData.tasks]
 			}
 			: newTasksData;
+		if (epics.length > 0) {
+			tasksData.meta = { ...(tasksData.meta || {}), epics };
+		}
 
 		// Save Tasks (Keep this logic)
 		if (!fs.existsSync(outputDir)) {
 			log.info(`Creating output directory: ${outputDir}`);
 			fs.mkdirSync(outputDir, { recursive: true });
 		}
-		writeJSON(outputPath, tasksData);
+		// Overwriting (non-append) replaces the file on purpose, skip the stale check
+		writeTasks(outputPath, tasksData, { force: !append });
 		const actionVerb = append ? 'appended' : 'generated';
 		log.info(`Tasks ${actionVerb} and saved to: ${outputPath}`);
 
@@ -173,5 +193,7 @@ export async function saveTasksAndGenerateFilesDirect(saveArgs, log) {
 			},
 			fromCache: false
 		};
+	} finally {
+		lock?.release();
 	}
 }
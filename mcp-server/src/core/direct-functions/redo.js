@@ -0,0 +1,80 @@
+/**
+ * redo.js
+ * Direct function implementation for re-applying the most recently undone tasks.json operation
+ */
+
+import path from 'path';
+import {
+	redoOperation,
+	runWithOperation
+} from '../../../../scripts/modules/task-history.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Re-apply the most recently undone operation from the undo history
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.force] - Redo even if tasks.json was changed outside of the history
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function redoDirect(args, log) {
+	const { tasksJsonPath, force } = args;
+
+	if (!tasksJsonPath) {
+		log.error('redoDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Redoing operation in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let entry;
+		try {
+			// Stepping through the history must not be recorded in it
+			entry = runWithOperation(
+				{ label: 'redo', source: 'mcp', journal: false },
+				() => {
+					const restored = redoOperation(tasksJsonPath, { force: !!force });
+
+					// Keep the task files in sync with the restored tasks.json
+					generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+					return restored;
+				}
+			);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				entry,
+				message: `Redid operation #${entry.id}: ${entry.label}`,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		log.error(`Error redoing operation: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'REDO_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,78 @@
+/**
+ * release-task.js
+ * Direct function implementation for releasing a claimed task
+ */
+
+import { releaseTask } from '../../../../scripts/modules/task-claims.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Release the claim on a task or subtask
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Task or subtask ID
+ * @param {string} args.owner - Owner ID the task was claimed with
+ * @param {boolean} [args.force] - Release a claim someone else holds
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function releaseTaskDirect(args, log) {
+	const { tasksJsonPath, id, owner, force } = args;
+
+	if (!tasksJsonPath) {
+		log.error('releaseTaskDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'Task ID (id) is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Releasing task ${id} for ${owner}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = releaseTask(tasksJsonPath, id, owner, { force });
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: result.released
+					? `Released the claim of ${result.previousOwner} on task ${id}`
+					: `Task ${id} wasn't claimed`,
+				...result
+			}
+		};
+	} catch (error) {
+		log.error(`Error releasing task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'RELEASE_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
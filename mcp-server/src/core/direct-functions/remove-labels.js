@@ -0,0 +1,80 @@
+/**
+ * remove-labels.js
+ * Direct function implementation for removing labels from tasks and subtasks
+ */
+
+import path from 'path';
+import { removeTaskLabels } from '../../../../scripts/modules/task-fields.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Remove labels from tasks and subtasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Comma-separated task or subtask IDs (e.g. "3,4.1")
+ * @param {string} args.labels - Comma-separated labels to remove
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function removeLabelsDirect(args, log) {
+	const { tasksJsonPath, id, labels } = args;
+
+	if (!tasksJsonPath) {
+		log.error('removeLabelsDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id || !labels) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'Task ID (id) and labels are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Removing labels ${labels} from tasks ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let tasks;
+		try {
+			tasks = removeTaskLabels(tasksJsonPath, id, labels);
+			if (tasks.some((task) => task.changed)) {
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Removed labels ${labels} from ${tasks.filter((task) => task.changed).length} tasks`,
+				tasks
+			}
+		};
+	} catch (error) {
+		log.error(`Error removing labels: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'REMOVE_LABELS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -9,9 +9,10 @@ import {
 } from '../../../../scripts/modules/task-manager.js';
 import {
 	enableSilentMode,
-	disableSilentMode,
-	readJSON
+	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { readTasks } from '../../../../scripts/modules/task-store.js';
+import { getTaskImpact } from '../../../../scripts/modules/task-impact.js';
 
 /**
  * Direct function wrapper for removeTask with error handling.
@@ -22,6 +23,7 @@ import {
  * @param {string} args.id - The ID(s) of the task(s) or subtask(s) to remove (comma-separated for multiple).
  * @param {Object} log - Logger object
  * @returns {Promise<Object>} - Remove task result { success: boolean, data?: any, error?: { code: string, message: string }, fromCache: false }
+ * The data includes the impact of the removal on the remaining tasks.
  */
 export async function removeTaskDirect(args, log) {
 	// Destructure expected args
@@ -61,7 +63,7 @@ export async function removeTaskDirect(args, log) {
 		);
 
 		// Validate all task IDs exist before proceeding
-		const data = readJSON(tasksJsonPath);
+		const data = readTasks(tasksJsonPath);
 		if (!data || !data.tasks) {
 			return {
 				success: false,
@@ -88,6 +90,9 @@ export async function removeTaskDirect(args, log) {
 			};
 		}
 
+		// Work out what depends on the tasks while they are still there
+		const impact = getTaskImpact(tasksJsonPath, taskIdArray);
+
 		// Remove tasks one by one
 		const results = [];
 
@@ -146,6 +151,7 @@ export async function removeTaskDirect(args, log) {
 				successful: successfulRemovals.length,
 				failed: failedRemovals.length,
 				results: results,
+				impact,
 				tasksPath: tasksJsonPath
 			},
 			fromCache: false
@@ -0,0 +1,68 @@
+/**
+ * renumber-tasks.js
+ * Direct function implementation for renumbering tasks and subtasks
+ */
+
+import path from 'path';
+import { renumberTasks } from '../../../../scripts/modules/task-move.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Renumber tasks and subtasks from 1, closing the gaps between their IDs
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function renumberTasksDirect(args, log) {
+	const { tasksJsonPath } = args;
+
+	if (!tasksJsonPath) {
+		log.error('renumberTasksDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Renumbering tasks in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = renumberTasks(tasksJsonPath);
+			if (result.mapping.length > 0) {
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Renumbered ${result.mapping.length} tasks and subtasks`,
+				...result
+			}
+		};
+	} catch (error) {
+		log.error(`Error renumbering tasks: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'RENUMBER_TASKS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -3,7 +3,7 @@
  * Direct function wrapper to save subtasks for multiple parent tasks.
  */
 
-import { readJSON, writeJSON } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
 import { generateTaskFilesDirect } from './generate-task-files.js';
 import path from 'path';
 
@@ -29,9 +29,14 @@ export async function saveMultipleTaskSubtasksDirect(args, log) {
 
     log.info(`Saving subtask updates for ${subtaskUpdates.length} parent tasks to ${tasksJsonPath}`);
 
+    let lock;
     try {
+        // The tool runs unlocked while the AI answers, so wait for the lock
+        // without blocking the MCP server, and hold it from reading to saving
+        lock = await acquireTasksLockAsync(tasksJsonPath);
+
         // Read existing tasks data
-        const existingTasksData = readJSON(tasksJsonPath);
+        const existingTasksData = readTasks(tasksJsonPath);
         if (!existingTasksData || !Array.isArray(existingTasksData.tasks)) {
             throw new Error('Failed to read or parse existing tasks.json.');
         }
@@ -73,7 +78,7 @@ export async function saveMultipleTaskSubtasksDirect(args, log) {
         }
 
         // Write the potentially modified data back
-        writeJSON(tasksJsonPath, existingTasksData);
+        writeTasks(tasksJsonPath, existingTasksData);
         log.info(`Successfully saved subtask updates for ${updatedCount} tasks. Skipped ${skippedCount}.`);
 
         // Regenerate task files if any updates were made
@@ -102,5 +107,7 @@ export async function saveMultipleTaskSubtasksDirect(args, log) {
         log.error(`Error saving multiple subtasks: ${error.message}`);
         log.error(error.stack);
         return { success: false, error: { code: 'SAVE_MULTI_SUBTASK_ERROR', message: `Failed to save multiple subtasks: ${error.message}` } };
+    } finally {
+        lock?.release();
     }
-} 
\ No newline at end of file
+}
@@ -3,7 +3,7 @@
  * Direct function wrapper to save subtasks generated by expand-task.
  */
 
-import { readJSON, writeJSON } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
 import { generateTaskFilesDirect } from './generate-task-files.js'; // Assuming we want to regenerate files
 import path from 'path';
 
@@ -30,9 +30,14 @@ export async function saveSubtasksDirect(args, log) {
 
     log.info(`Saving ${subtasks.length} subtasks for parent task ID ${taskId} to ${tasksJsonPath}`);
 
+    let lock;
     try {
+        // The tool runs unlocked while the AI answers, so wait for the lock
+        // without blocking the MCP server, and hold it from reading to saving
+        lock = await acquireTasksLockAsync(tasksJsonPath);
+
         // Read existing tasks data
-        const existingTasksData = readJSON(tasksJsonPath);
+        const existingTasksData = readTasks(tasksJsonPath);
         if (!existingTasksData || !Array.isArray(existingTasksData.tasks)) {
             throw new Error('Failed to read or parse existing tasks.json.');
         }
@@ -65,7 +70,7 @@ export async function saveSubtasksDirect(args, log) {
         existingTasksData.tasks[parentTaskIndex] = parentTask;
 
         // Write the updated data back
-        writeJSON(tasksJsonPath, existingTasksData);
+        writeTasks(tasksJsonPath, existingTasksData);
         log.info(`Successfully saved subtasks for task ${taskId}.`);
 
         // Regenerate task files
@@ -85,5 +90,7 @@ export async function saveSubtasksDirect(args, log) {
         log.error(`Error saving subtasks for task ${taskId}: ${error.message}`);
         log.error(error.stack); // Log stack for debugging
         return { success: false, error: { code: 'SAVE_SUBTASK_ERROR', message: `Failed to save subtasks: ${error.message}` } };
+    } finally {
+        lock?.release();
     }
-} 
\ No newline at end of file
+}
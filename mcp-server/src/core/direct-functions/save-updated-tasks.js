@@ -3,7 +3,8 @@
  * Direct function wrapper to save tasks updated by LLM sampling.
  */
 
-import { readJSON, writeJSON } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
+import { addNote, restoreNotes } from '../../../../scripts/modules/task-notes.js';
 import { generateTaskFilesDirect } from './generate-task-files.js'; // Assuming we want to regenerate files
 import path from 'path';
 
@@ -14,11 +15,12 @@ import path from 'path';
  * @param {string} args.tasksJsonPath - Absolute path to the tasks.json file.
  * @param {string} args.projectRoot - Absolute path to the project root.
  * @param {Array<Object>} args.updatedTasks - Array of task objects to merge/save.
+ * @param {Object} [args.note] - Note to add to each updated task: body, kind, author and source.
  * @param {Object} log - Logger object.
  * @returns {Promise<Object>} - Standard success/error object.
  */
 export async function saveUpdatedTasksDirect(args, log) {
-	const { tasksJsonPath, projectRoot, updatedTasks } = args;
+	const { tasksJsonPath, projectRoot, updatedTasks, note } = args;
 
 	if (!tasksJsonPath || !projectRoot || !Array.isArray(updatedTasks)) {
 		const message = 'Missing required arguments: tasksJsonPath, projectRoot, or updatedTasks array.';
@@ -28,9 +30,14 @@ export async function saveUpdatedTasksDirect(args, log) {
 
 	log.info(`Saving ${updatedTasks.length} updated tasks to ${tasksJsonPath}`);
 
+	let lock;
 	try {
+		// The tool runs unlocked while the AI answers, so wait for the lock
+		// without blocking the MCP server, and hold it from reading to saving
+		lock = await acquireTasksLockAsync(tasksJsonPath);
+
 		// Read existing tasks data
-		const existingTasksData = readJSON(tasksJsonPath);
+		const existingTasksData = readTasks(tasksJsonPath);
 		if (!existingTasksData || !Array.isArray(existingTasksData.tasks)) {
 			throw new Error('Failed to read or parse existing tasks.json.');
 		}
@@ -50,6 +57,11 @@ export async function saveUpdatedTasksDirect(args, log) {
 				const updatedTask = updatedTasksMap.get(taskIdStr);
 				log.info(`Merging updated task ID: ${taskIdStr}`);
 				updatedTasksMap.delete(taskIdStr); // Remove from map to track which were merged
+				// Notes are only ever appended to, whatever the LLM returned
+				restoreNotes(updatedTask, task);
+				if (note) {
+					addNote(updatedTask, note.body, note);
+				}
 				return updatedTask;
 			} else {
 				// Keep the existing task
@@ -69,7 +81,7 @@ export async function saveUpdatedTasksDirect(args, log) {
 
 		// Write the merged data back
 		const finalTasksData = { ...existingTasksData, tasks: mergedTasks };
-		writeJSON(tasksJsonPath, finalTasksData);
+		writeTasks(tasksJsonPath, finalTasksData);
 
 		log.info(`Successfully merged and saved updated tasks.`);
 
@@ -93,5 +105,7 @@ export async function saveUpdatedTasksDirect(args, log) {
 		log.error(`Error saving updated tasks: ${error.message}`);
 		log.error(error.stack); // Log stack for debugging
 		return { success: false, error: { code: 'SAVE_ERROR', message: `Failed to save updated tasks: ${error.message}` } };
+	} finally {
+		lock?.release();
 	}
-} 
\ No newline at end of file
+}
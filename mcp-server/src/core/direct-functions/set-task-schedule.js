@@ -0,0 +1,81 @@
+/**
+ * set-task-schedule.js
+ * Direct function implementation for setting due dates and estimates
+ */
+
+import path from 'path';
+import { setTaskSchedule } from '../../../../scripts/modules/task-schedule.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Set the due date and/or estimate of tasks and subtasks
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - Comma-separated task or subtask IDs (e.g. "3,4.1")
+ * @param {string} [args.dueDate] - Due date as YYYY-MM-DD ("none" clears it)
+ * @param {number|string} [args.estimate] - Estimate in hours ("none" clears it)
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function setTaskScheduleDirect(args, log) {
+	const { tasksJsonPath, id, dueDate, estimate } = args;
+
+	if (!tasksJsonPath) {
+		log.error('setTaskScheduleDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'Task ID (id) is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Setting the schedule of tasks ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let tasks;
+		try {
+			tasks = setTaskSchedule(tasksJsonPath, id, { dueDate, estimate });
+			if (tasks.some((task) => task.changed)) {
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+			}
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				message: `Updated the schedule of ${tasks.filter((task) => task.changed).length} tasks`,
+				tasks
+			}
+		};
+	} catch (error) {
+		log.error(`Error setting task schedule: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'SET_SCHEDULE_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -13,13 +13,14 @@ import {
 /**
  * Direct function wrapper for setTaskStatus with error handling.
  *
- * @param {Object} args - Command arguments containing id, status and tasksJsonPath.
+ * @param {Object} args - Command arguments containing id, status, force and tasksJsonPath.
+ *   force skips the transition rules of the project's workflow.
  * @param {Object} log - Logger object.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function setTaskStatusDirect(args, log) {
 	// Destructure expected args, including the resolved tasksJsonPath
-	const { tasksJsonPath, id, status } = args;
+	const { tasksJsonPath, id, status, force } = args;
 	try {
 		log.info(`Setting task status with args: ${JSON.stringify(args)}`);
 
@@ -70,17 +71,29 @@ export async function setTaskStatusDirect(args, log) {
 		enableSilentMode(); // Enable silent mode before calling core function
 		try {
 			// Call the core function
-			await setTaskStatus(tasksPath, taskId, newStatus, { mcpLog: log });
+			const { updatedTasks, advancedParents, completableParents } =
+				await setTaskStatus(tasksPath, taskId, newStatus, {
+					mcpLog: log,
+					force
+				});
+			const updatedStatus = updatedTasks[0]?.status || newStatus;
 
-			log.info(`Successfully set task ${taskId} status to ${newStatus}`);
+			log.info(`Successfully set task ${taskId} status to ${updatedStatus}`);
 
 			// Return success data
 			const result = {
 				success: true,
 				data: {
-					message: `Successfully updated task ${taskId} status to "${newStatus}"`,
+					message:
+						`Successfully updated task ${taskId} status to "${updatedStatus}"` +
+						(completableParents.length > 0
+							? `. All subtasks of task(s) ${completableParents.map((parent) => parent.id).join(', ')} are finished, consider setting them to "${updatedStatus}" as well`
+							: ''),
 					taskId,
-					status: newStatus,
+					status: updatedStatus,
+					updatedTasks,
+					advancedParents,
+					completableParents,
 					tasksPath: tasksPath // Return the path used
 				},
 				fromCache: false // This operation always modifies state and should never be cached
@@ -91,7 +104,8 @@ export async function setTaskStatusDirect(args, log) {
 			return {
 				success: false,
 				error: {
-					code: 'SET_STATUS_ERROR',
+					// Workflow errors (INVALID_STATUS, INVALID_STATUS_TRANSITION) keep their code
+					code: error.code || 'SET_STATUS_ERROR',
 					message: error.message || 'Unknown error setting task status'
 				},
 				fromCache: false
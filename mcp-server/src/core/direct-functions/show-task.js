@@ -3,8 +3,13 @@
  * Direct function implementation for showing task details
  */
 
-import { findTaskById } from '../../../../scripts/modules/utils.js';
-import { readJSON } from '../../../../scripts/modules/utils.js';
+import fs from 'fs';
+import {
+	readTask,
+	queryTasks
+} from '../../../../scripts/modules/task-store.js';
+import { getActiveTag } from '../../../../scripts/modules/task-tags.js';
+import { findArchivedTask } from '../../../../scripts/modules/task-archive.js';
 import { getCachedOrExecute } from '../../tools/utils.js';
 import {
 	enableSilentMode,
@@ -51,7 +56,7 @@ export async function showTaskDirect(args, log) {
 	}
 
 	// Generate cache key using the provided task path and ID
-	const cacheKey = `showTask:${tasksJsonPath}:${taskId}`;
+	const cacheKey = `showTask:${tasksJsonPath}:${getActiveTag(tasksJsonPath)}:${taskId}`;
 
 	// Define the action function to be executed on cache miss
 	const coreShowTaskAction = async () => {
@@ -63,9 +68,7 @@ export async function showTaskDirect(args, log) {
 				`Retrieving task details for ID: ${taskId} from ${tasksJsonPath}`
 			);
 
-			// Read tasks data using the provided path
-			const data = readJSON(tasksJsonPath);
-			if (!data || !data.tasks) {
+			if (!fs.existsSync(tasksJsonPath)) {
 				disableSilentMode(); // Disable before returning
 				return {
 					success: false,
@@ -76,8 +79,9 @@ export async function showTaskDirect(args, log) {
 				};
 			}
 
-			// Find the specific task
-			const task = findTaskById(data.tasks, taskId);
+			// Only load the task itself, archived tasks can still be looked up
+			const activeTask = readTask(tasksJsonPath, taskId);
+			const task = activeTask || findArchivedTask(tasksJsonPath, taskId);
 
 			if (!task) {
 				disableSilentMode(); // Disable before returning
@@ -93,14 +97,19 @@ export async function showTaskDirect(args, log) {
 			// Restore normal logging
 			disableSilentMode();
 
-			// Return the task data with the full tasks array for reference
+			// Return the task data with the tasks it depends on for reference
 			// (needed for formatDependenciesWithStatus function in UI)
 			log.info(`Successfully found task ${taskId}`);
 			return {
 				success: true,
 				data: {
 					task,
-					allTasks: data.tasks
+					archived: !activeTask,
+					dependencyTasks: queryTasks(tasksJsonPath, {
+						ids: (task.dependencies || []).map(
+							(dep) => String(dep).split('.')[0]
+						)
+					})
 				}
 			};
 		} catch (error) {
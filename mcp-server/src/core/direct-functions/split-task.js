@@ -0,0 +1,110 @@
+/**
+ * split-task.js
+ * Direct function implementation for splitting a task into several tasks
+ */
+
+import path from 'path';
+import {
+	draftSplit,
+	splitTask
+} from '../../../../scripts/modules/task-split.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import { withTasksLockAsync } from '../../../../scripts/modules/task-store.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Split a task into several tasks, as given or as drafted by Claude
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.id - ID of the task to split
+ * @param {Array<Object>} [args.parts] - New tasks, each with a title and optionally a description, details, test strategy and subtask IDs. Without them Claude drafts the split
+ * @param {number} [args.count] - Number of tasks Claude should split into
+ * @param {string} [args.prompt] - Additional instructions for Claude
+ * @param {boolean} [args.dryRun] - Only return Claude's draft
+ * @param {Object} log - Logger object
+ * @param {Object} context - Context object containing the MCP session
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function splitTaskDirect(args, log, context = {}) {
+	const { tasksJsonPath, id, parts, count, prompt, dryRun } = args;
+	const { session } = context;
+
+	if (!tasksJsonPath) {
+		log.error('splitTaskDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (!id) {
+		return {
+			success: false,
+			error: {
+				code: 'INPUT_VALIDATION_ERROR',
+				message: 'The ID of the task to split is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Splitting task ${id}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		try {
+			let newParts = parts;
+			if (!newParts || newParts.length === 0) {
+				const proposal = await draftSplit(tasksJsonPath, id, {
+					count,
+					prompt,
+					session,
+					mcpLog: log
+				});
+				if (dryRun) {
+					return {
+						success: true,
+						data: {
+							message: `Drafted a split of task ${id} into ${proposal.parts.length} tasks, pass them as parts to apply it`,
+							...proposal
+						}
+					};
+				}
+				newParts = proposal.parts;
+			}
+
+			// The tool runs unlocked while the AI drafts, so wait for the lock
+			// without blocking the MCP server
+			const result = await withTasksLockAsync(tasksJsonPath, async () => {
+				const applied = splitTask(tasksJsonPath, id, newParts);
+				await generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+				return applied;
+			});
+			return {
+				success: true,
+				data: {
+					message: `Split task ${id} into tasks ${result.tasks.map((task) => task.id).join(', ')}`,
+					...result
+				}
+			};
+		} finally {
+			disableSilentMode();
+		}
+	} catch (error) {
+		log.error(`Error splitting task: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'SPLIT_TASK_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
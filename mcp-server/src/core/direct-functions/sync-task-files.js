@@ -0,0 +1,74 @@
+/**
+ * sync-task-files.js
+ * Direct function implementation for merging edited task files back into tasks.json
+ */
+
+import { syncTaskFiles } from '../../../../scripts/modules/task-files.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Sync the task files with tasks.json in both directions
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.outputDir - Directory with the task files
+ * @param {string} [args.prefer] - Side that wins conflicts: 'file' or 'tasks'
+ * @param {boolean} [args.dryRun] - Only report what would change
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function syncTaskFilesDirect(args, log) {
+	const { tasksJsonPath, outputDir, prefer, dryRun } = args;
+
+	if (!tasksJsonPath || !outputDir) {
+		log.error('syncTaskFilesDirect called without tasksJsonPath or outputDir');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and outputDir are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Syncing task files in ${outputDir} with ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = syncTaskFiles(tasksJsonPath, outputDir, {
+				prefer,
+				dryRun: !!dryRun
+			});
+		} finally {
+			disableSilentMode();
+		}
+
+		let message = `${result.fromFiles.length} tasks updated from their files, ${result.toFiles.length} files updated from tasks.json`;
+		if (result.conflicts.length > 0) {
+			message += `, ${result.conflicts.length} files with conflicts left alone`;
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: dryRun ? `Dry run: ${message}` : message
+			}
+		};
+	} catch (error) {
+		log.error(`Error syncing task files: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'SYNC_TASK_FILES_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * undo.js
+ * Direct function implementation for undoing the latest tasks.json operation
+ */
+
+import path from 'path';
+import {
+	undoOperation,
+	runWithOperation
+} from '../../../../scripts/modules/task-history.js';
+import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Revert the latest operation recorded in the undo history
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.force] - Undo even if tasks.json was changed outside of the history
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function undoDirect(args, log) {
+	const { tasksJsonPath, force } = args;
+
+	if (!tasksJsonPath) {
+		log.error('undoDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Undoing latest operation in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let entry;
+		try {
+			// Stepping through the history must not be recorded in it
+			entry = runWithOperation(
+				{ label: 'undo', source: 'mcp', journal: false },
+				() => {
+					const restored = undoOperation(tasksJsonPath, { force: !!force });
+
+					// Keep the task files in sync with the restored tasks.json
+					generateTaskFiles(tasksJsonPath, path.dirname(tasksJsonPath));
+					return restored;
+				}
+			);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				entry,
+				message: `Undid operation #${entry.id}: ${entry.label}`,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		log.error(`Error undoing operation: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'UNDO_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
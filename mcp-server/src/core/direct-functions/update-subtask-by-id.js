@@ -7,10 +7,10 @@
 import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js'; // Keep for generating files
 import {
 	enableSilentMode,
-	disableSilentMode,
-	readJSON,
-	writeJSON
+	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
+import { addNote, parseNoteKind, restoreNotes } from '../../../../scripts/modules/task-notes.js';
 import {
 	// Removed: getAnthropicClientForMCP,
 	// Removed: getPerplexityClientForMCP
@@ -25,14 +25,14 @@ import path from 'path'; // Needed for generateTaskFiles
 /**
  * Direct function wrapper for updateSubtaskById using FastMCP sampling.
  *
- * @param {Object} args - Command arguments containing id, prompt, useResearch and tasksJsonPath.
+ * @param {Object} args - Command arguments containing id, prompt, useResearch, kind, author and tasksJsonPath.
  * @param {Object} log - Logger object.
  * @param {Object} context - Context object containing session data for sampling.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function updateSubtaskByIdDirect(args, log, context = {}) {
 	const { session } = context; // Session is needed for sampling
-	const { tasksJsonPath, id, prompt, research } = args;
+	const { tasksJsonPath, id, prompt, research, kind, author } = args;
 
 	// --- Input Validation ---
 	if (!tasksJsonPath) {
@@ -67,9 +67,10 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
 
 	log.info(`Updating subtask ${subtaskIdStr} via MCP sampling. Research hint: ${useResearch}`);
 
+	let lock;
 	try {
 		// --- Read Task Data ---
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !Array.isArray(data.tasks)) {
 			return { success: false, error: { code: 'INVALID_TASKS_FILE', message: `Invalid tasks data in ${tasksPath}` }, fromCache: false };
 		}
@@ -156,13 +157,19 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
 			updatedSubtaskDataFromAI.status = subtaskToUpdate.status;
 		}
 		// Note: Completed subtask validation doesn't apply here as we check status before starting
+		// The prompt goes to the notes of the subtask, which the AI can't rewrite
+		restoreNotes(updatedSubtaskDataFromAI, subtaskToUpdate);
+		addNote(updatedSubtaskDataFromAI, prompt, { kind: parseNoteKind(kind, useResearch ? 'research' : 'progress'), author, source: 'update-subtask' });
 
 		// 5. Update Subtask in Data
 		parentTask.subtasks[subtaskIndex] = updatedSubtaskDataFromAI; // Replace with validated data
 		data.tasks[parentTaskIndex] = parentTask; // Update parent task in main array
 
 		// 6. Save Updated Task Data
-		writeJSON(tasksPath, data);
+		// The tool runs unlocked while the AI answers, so wait for the lock
+		// without blocking the MCP server
+		lock = await acquireTasksLockAsync(tasksPath);
+		writeTasks(tasksPath, data);
 		log.info(`Updated subtask ${subtaskIdStr} in ${tasksPath}.`);
 
 		// 7. Generate Individual Task Files (in silent mode)
@@ -197,5 +204,7 @@ export async function updateSubtaskByIdDirect(args, log, context = {}) {
 			},
 			fromCache: false
 		};
+	} finally {
+		lock?.release();
 	}
 }
@@ -7,10 +7,10 @@
 import { generateTaskFiles } from '../../../../scripts/modules/task-manager.js'; // Keep for generating files
 import {
 	enableSilentMode,
-	disableSilentMode,
-	readJSON,
-	writeJSON,
+	disableSilentMode
 } from '../../../../scripts/modules/utils.js';
+import { acquireTasksLockAsync, readTasks, writeTasks } from '../../../../scripts/modules/task-store.js';
+import { restoreNotes } from '../../../../scripts/modules/task-notes.js';
 import {
 	// Removed: getAnthropicClientForMCP,
 	// Removed: getPerplexityClientForMCP
@@ -56,6 +56,7 @@ export async function updateTasksDirect(args, log, context = {}) {
 		return { success: false, error: { code: 'MISSING_PROMPT', message: errorMessage }, fromCache: false };
 	}
 	let fromId;
+	let lock;
 	try {
 		fromId = parseInt(String(from), 10);
 		if (isNaN(fromId)) throw new Error('Not an integer');
@@ -82,7 +83,7 @@ export async function updateTasksDirect(args, log, context = {}) {
 
 	try {
 		// --- Read Task Data ---
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !Array.isArray(data.tasks)) {
 			return { success: false, error: { code: 'INVALID_TASKS_FILE', message: `Invalid tasks data in ${tasksPath}` }, fromCache: false };
 		}
@@ -196,14 +197,17 @@ export async function updateTasksDirect(args, log, context = {}) {
 		validatedUpdatedTasks.forEach(updatedTask => {
 			const index = data.tasks.findIndex(t => t.id === updatedTask.id);
 			if (index !== -1) {
-				data.tasks[index] = updatedTask;
+				data.tasks[index] = restoreNotes(updatedTask, data.tasks[index]);
 				tasksUpdatedCount++;
 			}
 		});
 		log.info(`Merged ${tasksUpdatedCount} validated updated tasks back into main data.`);
 
 		// 6. Save Updated Task Data
-		writeJSON(tasksPath, data);
+		// The tool runs unlocked while the AI answers, so wait for the lock
+		// without blocking the MCP server
+		lock = await acquireTasksLockAsync(tasksPath);
+		writeTasks(tasksPath, data);
 		log.info(`Updated tasks file ${tasksPath}.`);
 
 		// 7. Generate Individual Task Files (in silent mode)
@@ -238,5 +242,7 @@ export async function updateTasksDirect(args, log, context = {}) {
 			},
 			fromCache: false
 		};
+	} finally {
+		lock?.release();
 	}
 }
@@ -0,0 +1,64 @@
+/**
+ * use-tag.js
+ * Direct function implementation for switching the current task list (tag)
+ */
+
+import { useTag } from '../../../../scripts/modules/task-tags.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Make a task list (tag) the current one for the project
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} args.name - Tag to switch to
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function useTagDirect(args, log) {
+	const { tasksJsonPath, name } = args;
+
+	if (!tasksJsonPath || !name) {
+		log.error('useTagDirect called without tasksJsonPath or name');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath and name are required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Switching to tag "${name}" in ${tasksJsonPath}`);
+
+		// Enable silent mode to prevent console logs from interfering with JSON response
+		enableSilentMode();
+
+		let result;
+		try {
+			result = useTag(tasksJsonPath, name);
+		} finally {
+			disableSilentMode();
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				message: `Switched to tag "${name}" with ${result.taskCount} tasks`
+			}
+		};
+	} catch (error) {
+		log.error(`Error switching tag: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: error.code || 'USE_TAG_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,80 @@
+/**
+ * Direct function wrapper for validating tasks.json against the schema
+ */
+
+import {
+	readTasks,
+	writeTasks,
+	validateStoredTasks
+} from '../../../../scripts/modules/task-store.js';
+import fs from 'fs';
+
+/**
+ * Validate tasks.json against the schema, optionally applying pending migrations
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {boolean} [args.migrate] - Apply pending migrations and save the file
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ */
+export async function validateSchemaDirect(args, log) {
+	const { tasksJsonPath, migrate } = args;
+
+	if (!tasksJsonPath) {
+		log.error('validateSchemaDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	try {
+		log.info(`Validating schema of tasks file: ${tasksJsonPath}`);
+
+		if (!fs.existsSync(tasksJsonPath)) {
+			return {
+				success: false,
+				error: {
+					code: 'FILE_NOT_FOUND',
+					message: `Tasks file not found at ${tasksJsonPath}`
+				}
+			};
+		}
+
+		let result = validateStoredTasks(tasksJsonPath);
+		let migrationsApplied = [];
+
+		if (migrate && result.pendingMigrations.length > 0) {
+			// readTasks runs the migrations, writing the data back persists them
+			const data = readTasks(tasksJsonPath);
+			writeTasks(tasksJsonPath, data);
+			migrationsApplied = result.pendingMigrations;
+			log.info(`Applied ${migrationsApplied.length} schema migration(s)`);
+			result = validateStoredTasks(tasksJsonPath);
+		}
+
+		return {
+			success: true,
+			data: {
+				...result,
+				migrationsApplied,
+				message: result.valid
+					? 'tasks.json matches the schema'
+					: `Found ${result.errors.length} schema violation(s)`,
+				tasksPath: tasksJsonPath
+			}
+		};
+	} catch (error) {
+		log.error(`Error validating schema: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'VALIDATION_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
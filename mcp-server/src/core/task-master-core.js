@@ -31,6 +31,40 @@ import { saveTasksAndGenerateFilesDirect } from './direct-functions/parse-prd.js
 import { saveUpdatedTasksDirect } from './direct-functions/save-updated-tasks.js';
 import { saveSubtasksDirect } from './direct-functions/save-subtasks.js';
 import { saveMultipleTaskSubtasksDirect } from './direct-functions/save-multiple-task-subtasks.js';
+import { validateSchemaDirect } from './direct-functions/validate-schema.js';
+import { undoDirect } from './direct-functions/undo.js';
+import { redoDirect } from './direct-functions/redo.js';
+import { historyDirect } from './direct-functions/history.js';
+import { copyStorageDirect } from './direct-functions/copy-storage.js';
+import { listTagsDirect } from './direct-functions/list-tags.js';
+import { addTagDirect } from './direct-functions/add-tag.js';
+import { useTagDirect } from './direct-functions/use-tag.js';
+import { copyTagDirect } from './direct-functions/copy-tag.js';
+import { deleteTagDirect } from './direct-functions/delete-tag.js';
+import { archiveTasksDirect } from './direct-functions/archive-tasks.js';
+import { syncTaskFilesDirect } from './direct-functions/sync-task-files.js';
+import { exportTasksDirect } from './direct-functions/export-tasks.js';
+import { importTasksDirect } from './direct-functions/import-tasks.js';
+import { addLabelsDirect } from './direct-functions/add-labels.js';
+import { removeLabelsDirect } from './direct-functions/remove-labels.js';
+import { getWorkflowDirect } from './direct-functions/get-workflow.js';
+import { getTaskTimelineDirect } from './direct-functions/get-task-timeline.js';
+import { setTaskScheduleDirect } from './direct-functions/set-task-schedule.js';
+import { forecastDirect } from './direct-functions/forecast.js';
+import { criticalPathDirect } from './direct-functions/critical-path.js';
+import { getDependencyGraphDirect } from './direct-functions/get-dependency-graph.js';
+import { analyzeImpactDirect } from './direct-functions/analyze-impact.js';
+import { claimTaskDirect } from './direct-functions/claim-task.js';
+import { releaseTaskDirect } from './direct-functions/release-task.js';
+import { getEpicsDirect } from './direct-functions/get-epics.js';
+import { addEpicDirect } from './direct-functions/add-epic.js';
+import { assignEpicDirect } from './direct-functions/assign-epic.js';
+import { moveTaskDirect } from './direct-functions/move-task.js';
+import { renumberTasksDirect } from './direct-functions/renumber-tasks.js';
+import { splitTaskDirect } from './direct-functions/split-task.js';
+import { mergeTasksDirect } from './direct-functions/merge-tasks.js';
+import { getTaskLogDirect } from './direct-functions/get-task-log.js';
+import { addTaskNoteDirect } from './direct-functions/add-task-note.js';
 
 // Re-export utility functions
 export { findTasksJsonPath } from './utils/path-utils.js';
@@ -71,7 +105,41 @@ export const directFunctions = new Map([
 	['initializeProjectDirect', initializeProjectDirect],
 	['saveUpdatedTasksDirect', saveUpdatedTasksDirect],
 	['saveSubtasksDirect', saveSubtasksDirect],
-	['saveMultipleTaskSubtasksDirect', saveMultipleTaskSubtasksDirect]
+	['saveMultipleTaskSubtasksDirect', saveMultipleTaskSubtasksDirect],
+	['validateSchemaDirect', validateSchemaDirect],
+	['undoDirect', undoDirect],
+	['redoDirect', redoDirect],
+	['historyDirect', historyDirect],
+	['copyStorageDirect', copyStorageDirect],
+	['listTagsDirect', listTagsDirect],
+	['addTagDirect', addTagDirect],
+	['useTagDirect', useTagDirect],
+	['copyTagDirect', copyTagDirect],
+	['deleteTagDirect', deleteTagDirect],
+	['archiveTasksDirect', archiveTasksDirect],
+	['syncTaskFilesDirect', syncTaskFilesDirect],
+	['exportTasksDirect', exportTasksDirect],
+	['importTasksDirect', importTasksDirect],
+	['addLabelsDirect', addLabelsDirect],
+	['removeLabelsDirect', removeLabelsDirect],
+	['getWorkflowDirect', getWorkflowDirect],
+	['getTaskTimelineDirect', getTaskTimelineDirect],
+	['setTaskScheduleDirect', setTaskScheduleDirect],
+	['forecastDirect', forecastDirect],
+	['criticalPathDirect', criticalPathDirect],
+	['getDependencyGraphDirect', getDependencyGraphDirect],
+	['analyzeImpactDirect', analyzeImpactDirect],
+	['claimTaskDirect', claimTaskDirect],
+	['releaseTaskDirect', releaseTaskDirect],
+	['getEpicsDirect', getEpicsDirect],
+	['addEpicDirect', addEpicDirect],
+	['assignEpicDirect', assignEpicDirect],
+	['moveTaskDirect', moveTaskDirect],
+	['renumberTasksDirect', renumberTasksDirect],
+	['splitTaskDirect', splitTaskDirect],
+	['mergeTasksDirect', mergeTasksDirect],
+	['getTaskLogDirect', getTaskLogDirect],
+	['addTaskNoteDirect', addTaskNoteDirect]
 ]);
 
 // Re-export all direct function implementations
@@ -101,5 +169,39 @@ export {
 	saveTasksAndGenerateFilesDirect,
 	saveUpdatedTasksDirect,
 	saveSubtasksDirect,
-	saveMultipleTaskSubtasksDirect
+	saveMultipleTaskSubtasksDirect,
+	validateSchemaDirect,
+	undoDirect,
+	redoDirect,
+	historyDirect,
+	copyStorageDirect,
+	listTagsDirect,
+	addTagDirect,
+	useTagDirect,
+	copyTagDirect,
+	deleteTagDirect,
+	archiveTasksDirect,
+	syncTaskFilesDirect,
+	exportTasksDirect,
+	importTasksDirect,
+	addLabelsDirect,
+	removeLabelsDirect,
+	getWorkflowDirect,
+	getTaskTimelineDirect,
+	setTaskScheduleDirect,
+	forecastDirect,
+	criticalPathDirect,
+	getDependencyGraphDirect,
+	analyzeImpactDirect,
+	claimTaskDirect,
+	releaseTaskDirect,
+	getEpicsDirect,
+	addEpicDirect,
+	assignEpicDirect,
+	moveTaskDirect,
+	renumberTasksDirect,
+	splitTaskDirect,
+	mergeTasksDirect,
+	getTaskLogDirect,
+	addTaskNoteDirect
 };
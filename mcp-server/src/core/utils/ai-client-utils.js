@@ -5,6 +5,7 @@
 
 import { Anthropic } from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
+import { EPICS_PROMPT } from '../../../../scripts/modules/task-epics.js';
 
 // Load environment variables for CLI mode
 dotenv.config();
@@ -217,9 +218,10 @@ function handleClaudeError(error) {
  * @param {string} prdContent - The content of the PRD.
  * @param {number} numTasks - The target number of tasks.
  * @param {string} [prdPath=\'N/A\'] - The path to the PRD file (optional).
+ * @param {boolean} [epics=false] - Whether to group the tasks into epics (optional).
  * @returns {Object} The system prompt object { systemPrompt, userPrompt }
  */
-function _generateParsePRDPrompt(prdContent, numTasks, prdPath = 'N/A') {
+function _generateParsePRDPrompt(prdContent, numTasks, prdPath = 'N/A', epics = false) {
 	const systemPrompt = `You are an AI assistant tasked with breaking down a Product Requirements Document (PRD) into a set of sequential development tasks. Your goal is to create exactly <num_tasks>${numTasks}</num_tasks> well-structured, actionable development tasks based on the PRD provided.
 
 First, carefully read and analyze the attached PRD below in the user message.
@@ -257,7 +259,7 @@ Guidelines for creating tasks:
 8. Include detailed implementation guidance in the "details" field.
 9. Strictly adhere to any specific requirements for libraries, database schemas, frameworks, tech stacks, or other implementation details mentioned in the PRD.
 10. Fill in gaps left by the PRD while preserving all explicit requirements.
-11. Provide the most direct path to implementation, avoiding over-engineering.
+11. Provide the most direct path to implementation, avoiding over-engineering.${epics ? `\n\n${EPICS_PROMPT}` : ''}
 
 The final output should be valid JSON only, with no additional explanation or comments. Do not duplicate or rehash any of the work you did in the prd_breakdown section in your final output. The JSON must start with { and end with }. Example structure:
 
@@ -21,6 +21,7 @@ export const PROJECT_MARKERS = [
 	// Task Master specific
 	'tasks.json',
 	'tasks/tasks.json',
+	'tasks/tasks.db',
 
 	// Common version control
 	'.git',
@@ -180,10 +181,11 @@ function findTasksJsonInDirectory(dirPath, explicitFilePath, log) {
 		possiblePaths.push(path.resolve(dirPath, explicitFilePath));
 	}
 
-	// 2. Check the standard locations relative to dirPath
+	// 2. Check the standard locations relative to dirPath (JSON before SQLite)
 	possiblePaths.push(
 		path.join(dirPath, 'tasks.json'),
-		path.join(dirPath, 'tasks', 'tasks.json')
+		path.join(dirPath, 'tasks', 'tasks.json'),
+		path.join(dirPath, 'tasks', 'tasks.db')
 	);
 
 	log.info(`Checking potential task file paths: ${possiblePaths.join(', ')}`);
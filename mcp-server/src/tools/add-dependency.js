@@ -19,7 +19,8 @@ import { findTasksJsonPath } from '../core/utils/path-utils.js';
 export function registerAddDependencyTool(server) {
 	server.addTool({
 		name: 'add_dependency',
-		description: 'Add a dependency relationship between two tasks',
+		description:
+			'Add a dependency relationship between two tasks or subtasks, including subtasks of different tasks',
 		parameters: z.object({
 			id: z.string().describe('ID of task that will depend on another task'),
 			dependsOn: z
@@ -0,0 +1,100 @@
+/**
+ * tools/add-epic.js
+ * Tool for adding an epic or milestone
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { addEpicDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the addEpic tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddEpicTool(server) {
+	server.addTool({
+		name: 'add_epic',
+		description:
+			'Add an epic that groups tasks, or a milestone when it has a target date. Put tasks in it with assign_epic',
+		parameters: z.object({
+			title: z.string().describe('Title of the epic'),
+			id: z
+				.string()
+				.optional()
+				.describe(
+					'Epic ID, lowercase letters, numbers and "-" (default: derived from the title)'
+				),
+			goal: z.string().optional().describe('What the epic delivers'),
+			targetDate: z
+				.string()
+				.optional()
+				.describe('Target date as YYYY-MM-DD, which makes it a milestone'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Adding epic ${args.title}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await addEpicDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						title: args.title,
+						goal: args.goal,
+						targetDate: args.targetDate
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to add epic: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error adding epic');
+			} catch (error) {
+				log.error(`Error in addEpic tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
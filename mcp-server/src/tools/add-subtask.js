@@ -21,7 +21,11 @@ export function registerAddSubtaskTool(server) {
 		name: 'add_subtask',
 		description: 'Add a subtask to an existing task',
 		parameters: z.object({
-			id: z.string().describe('Parent task ID (required)'),
+			id: z
+				.string()
+				.describe(
+					'Parent task ID, or a subtask ID (e.g. "4.2") to nest the new subtask under (required)'
+				),
 			taskId: z
 				.string()
 				.optional()
@@ -41,11 +45,31 @@ export function registerAddSubtaskTool(server) {
 			status: z
 				.string()
 				.optional()
-				.describe("Status for the new subtask (default: 'pending')"),
+				.describe(
+					"Status for the new subtask (default: the workflow's initial status, usually 'pending')"
+				),
 			dependencies: z
 				.string()
 				.optional()
 				.describe('Comma-separated list of dependency IDs for the new subtask'),
+			labels: z
+				.string()
+				.optional()
+				.describe('Comma-separated labels for the new subtask'),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean()]))
+				.optional()
+				.describe(
+					'Custom field values by name, e.g. {"points": 3, "owner": "alice"}. Use "name:type" keys (string, number, boolean, date) to set the type of a new field'
+				),
+			dueDate: z
+				.string()
+				.optional()
+				.describe('Due date for the new subtask (YYYY-MM-DD)'),
+			estimate: z
+				.union([z.number(), z.string()])
+				.optional()
+				.describe('Estimated effort for the new subtask in hours'),
 			file: z
 				.string()
 				.optional()
@@ -97,6 +121,10 @@ export function registerAddSubtaskTool(server) {
 						details: args.details,
 						status: args.status,
 						dependencies: args.dependencies,
+						labels: args.labels,
+						fields: args.fields,
+						dueDate: args.dueDate,
+						estimate: args.estimate,
 						skipGenerate: args.skipGenerate
 					},
 					log
@@ -0,0 +1,90 @@
+/**
+ * tools/add-tag.js
+ * Tool for creating a task list (tag)
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { addTagDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the add-tag tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddTagTool(server) {
+	server.addTool({
+		name: 'add_tag',
+		description:
+			'Create a new task list (tag), empty or as a copy of an existing one. Tags keep separate lists of tasks (e.g. per feature branch) in one tasks file.',
+		parameters: z.object({
+			name: z
+				.string()
+				.describe(
+					'Name of the new tag (letters, numbers, dashes and underscores)'
+				),
+			description: z.string().optional().describe('Description of the tag'),
+			copyFrom: z
+				.string()
+				.optional()
+				.describe('Existing tag whose tasks are copied into the new tag'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Creating tag with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await addTagDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						name: args.name,
+						description: args.description,
+						copyFrom: args.copyFrom
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Tag created: ${result.data.message}`);
+				} else {
+					log.error(`Failed to create tag: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error creating tag');
+			} catch (error) {
+				log.error(`Error in add-tag tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
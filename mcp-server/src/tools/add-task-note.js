@@ -0,0 +1,98 @@
+/**
+ * tools/add-task-note.js
+ * Tool for adding a note to a task
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { addTaskNoteDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the addTaskNote tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAddTaskNoteTool(server) {
+	server.addTool({
+		name: 'add_task_note',
+		description:
+			'Add a timestamped note to the log of a task or subtask without calling the AI: record progress, a decision, a blocker or research findings. Notes are never rewritten by later updates',
+		parameters: z.object({
+			id: z.string().describe("Task or subtask ID (e.g. '3' or '3.2')"),
+			note: z.string().describe('Text of the note'),
+			kind: z
+				.enum(['progress', 'decision', 'blocker', 'research'])
+				.optional()
+				.describe('Kind of the note (default: progress)'),
+			author: z
+				.string()
+				.optional()
+				.describe('Person or agent writing the note'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Adding a note to task ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await addTaskNoteDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						note: args.note,
+						kind: args.kind,
+						author: args.author
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to add task note: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error adding task note');
+			} catch (error) {
+				log.error(`Error in addTaskNote tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
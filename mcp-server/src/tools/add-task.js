@@ -11,9 +11,9 @@ import {
 	executeTaskMasterCommand,
 	handleApiResult
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { addTaskDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 import fs from 'fs';
 import {
 	_buildAddTaskPrompt,
@@ -46,6 +46,26 @@ export function registerAddTaskTool(server) {
 				.string()
 				.optional()
 				.describe('Task priority (high, medium, low)'),
+			labels: z
+				.string()
+				.optional()
+				.describe('Comma-separated labels for the task (e.g. frontend,security)'),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean()]))
+				.optional()
+				.describe('Custom field values by name, e.g. {"points": 3, "owner": "alice"}. Use "name:type" keys (string, number, boolean, date) to set the type of a new field'),
+			dueDate: z
+				.string()
+				.optional()
+				.describe('Due date of the task (YYYY-MM-DD)'),
+			estimate: z
+				.union([z.number(), z.string()])
+				.optional()
+				.describe('Estimated effort in hours (e.g. 4 or "2.5h")'),
+			epic: z
+				.string()
+				.optional()
+				.describe('ID of the epic the task belongs to (see get_epics)'),
 			file: z
 				.string()
 				.optional()
@@ -77,7 +97,7 @@ export function registerAddTaskTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					existingTasksData = readJSON(tasksJsonPath, log);
+					existingTasksData = readTasks(tasksJsonPath);
 				} catch (error) {
 					log.error(`Error finding or reading tasks.json: ${error.message}`);
 					return createErrorResponse(
@@ -136,7 +156,12 @@ export function registerAddTaskTool(server) {
 					title: args.title,
 					description: args.description,
 					details: args.details,
-					testStrategy: args.testStrategy
+					testStrategy: args.testStrategy,
+					labels: args.labels,
+					fields: args.fields,
+					dueDate: args.dueDate,
+					estimate: args.estimate,
+					epic: args.epic
 				};
 				const result = await addTaskDirect(directArgs, log, { session });
 
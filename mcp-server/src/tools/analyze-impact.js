@@ -0,0 +1,91 @@
+/**
+ * tools/analyze-impact.js
+ * Tool for checking what a removal or status change affects
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { analyzeImpactDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the analyzeImpact tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAnalyzeImpactTool(server) {
+	server.addTool({
+		name: 'analyze_impact',
+		description:
+			'Show what removing tasks, or changing their status, affects before doing it: all transitive dependents, subtasks referencing the tasks, tasks that become unblocked and tasks that can never start',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe("Task or subtask IDs to analyze (e.g. '5', '5.2' or '5,7')"),
+			status: z
+				.string()
+				.optional()
+				.describe(
+					'Analyze setting this status instead of removing the tasks (e.g. cancelled)'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Analyzing the impact of changing task(s) ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await analyzeImpactDirect(
+					{ tasksJsonPath, id: args.id, status: args.status },
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to analyze the impact: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error analyzing the impact');
+			} catch (error) {
+				log.error(`Error in analyzeImpact tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -9,9 +9,9 @@ import {
 	createErrorResponse,
 	getProjectRootFromSession
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { analyzeTaskComplexityDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 import path from 'path';
 import fs from 'fs';
 import {
@@ -85,7 +85,7 @@ export function registerAnalyzeTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					tasksData = readJSON(tasksJsonPath, log);
+					tasksData = readTasks(tasksJsonPath);
 				} catch (error) {
 					log.error(`Error finding or reading tasks.json: ${error.message}`);
 					return createErrorResponse(
@@ -0,0 +1,99 @@
+/**
+ * tools/archive-tasks.js
+ * Tool for moving completed tasks into the archive
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { archiveTasksDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the archive-tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerArchiveTasksTool(server) {
+	server.addTool({
+		name: 'archive_tasks',
+		description:
+			'Move completed (done or cancelled) tasks out of tasks.json into the archive file, optionally only tasks completed a number of days ago. Archived tasks remain valid dependencies and can still be looked up with get_task or get_tasks with includeArchived.',
+		parameters: z.object({
+			olderThan: z
+				.number()
+				.optional()
+				.describe('Only archive tasks completed at least this many days ago'),
+			status: z
+				.string()
+				.optional()
+				.describe(
+					"Only archive tasks with these statuses, comma-separated (default: all statuses in the workflow's done and closed categories)"
+				),
+			ids: z
+				.string()
+				.optional()
+				.describe('Only archive these tasks, comma-separated IDs'),
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe('Only report which tasks would be archived'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Archiving tasks with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await archiveTasksDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						olderThan: args.olderThan,
+						status: args.status,
+						ids: args.ids,
+						dryRun: args.dryRun
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Archive finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to archive tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error archiving tasks');
+			} catch (error) {
+				log.error(`Error in archive-tasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,90 @@
+/**
+ * tools/assign-epic.js
+ * Tool for moving tasks into or out of an epic
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { assignEpicDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the assignEpic tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerAssignEpicTool(server) {
+	server.addTool({
+		name: 'assign_epic',
+		description:
+			'Move tasks into an epic, or out of their epic with id "none". Subtasks belong to the epic of their task',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe('Epic ID, or "none" to take the tasks out of their epic'),
+			tasks: z.string().describe('Comma-separated task IDs (e.g. "3,4")'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Assigning tasks ${args.tasks} to epic ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await assignEpicDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						tasks: args.tasks
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to assign epic: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error assigning epic');
+			} catch (error) {
+				log.error(`Error in assignEpic tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
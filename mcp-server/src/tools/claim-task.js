@@ -0,0 +1,134 @@
+/**
+ * tools/claim-task.js
+ * Tool for claiming tasks, so concurrent agents don't work on the same task
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { claimTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the claimTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerClaimTaskTool(server) {
+	server.addTool({
+		name: 'claim_task',
+		description:
+			'Claim a task or subtask for an owner (e.g. your agent name) with a lease, so next_task skips it for other agents. Without id, claims the next task to work on (or its next subtask) in one step. Claim the task again to extend the lease, and release it with release_task when done; expired claims are free again',
+		parameters: z.object({
+			owner: z
+				.string()
+				.describe(
+					'Owner ID, e.g. a unique name of the agent claiming the task'
+				),
+			id: z
+				.string()
+				.optional()
+				.describe(
+					'Task or subtask ID (e.g. "3" or "3.2"). Omit it to claim the next task'
+				),
+			leaseMinutes: z
+				.number()
+				.positive()
+				.optional()
+				.describe('Minutes until the claim expires (default: 30)'),
+			force: z
+				.boolean()
+				.optional()
+				.describe('Take over a task another owner claimed'),
+			labels: z
+				.string()
+				.optional()
+				.describe(
+					'Without id: only claim a task with all of these comma-separated labels'
+				),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean()]))
+				.optional()
+				.describe(
+					'Without id: only claim a task with these custom field values'
+				),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report, used when the project weighs complexity (default: scripts/task-complexity-report.json)'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Claiming a task with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await claimTaskDirect(
+					{
+						tasksJsonPath,
+						owner: args.owner,
+						id: args.id,
+						leaseMinutes: args.leaseMinutes,
+						force: args.force,
+						labels: args.labels,
+						fields: args.fields,
+						reportPath: path.resolve(
+							rootFolder,
+							args.complexityReport ||
+								path.join('scripts', 'task-complexity-report.json')
+						)
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to claim task: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error claiming task');
+			} catch (error) {
+				log.error(`Error in claimTask tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,82 @@
+/**
+ * tools/copy-tag.js
+ * Tool for copying a task list (tag)
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { copyTagDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the copy-tag tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerCopyTagTool(server) {
+	server.addTool({
+		name: 'copy_tag',
+		description: 'Copy a task list (tag) with all of its tasks to a new tag.',
+		parameters: z.object({
+			source: z.string().describe('Tag to copy'),
+			target: z.string().describe('Name of the new tag'),
+			description: z.string().optional().describe('Description of the new tag'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Copying tag with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await copyTagDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						source: args.source,
+						target: args.target,
+						description: args.description
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Tag copied: ${result.data.message}`);
+				} else {
+					log.error(`Failed to copy tag: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error copying tag');
+			} catch (error) {
+				log.error(`Error in copy-tag tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
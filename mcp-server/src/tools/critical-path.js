@@ -0,0 +1,109 @@
+/**
+ * tools/critical-path.js
+ * Tool for finding the critical path and parallelizable tasks
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { criticalPathDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the criticalPath tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerCriticalPathTool(server) {
+	server.addTool({
+		name: 'critical_path',
+		description:
+			'Analyze the dependency graph of the unfinished tasks: their topological order, the longest dependency chain (critical path) and the waves of tasks that can be worked on in parallel, e.g. by several agents at once',
+		parameters: z.object({
+			weightBy: z
+				.enum(['complexity', 'estimate', 'count'])
+				.optional()
+				.describe(
+					'Weigh tasks by complexity score (from the complexity report), estimate in hours or count them. Default: complexity if analyzed, else estimate, else count'
+				),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report (default: scripts/task-complexity-report.json)'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info('Analyzing the critical path');
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await criticalPathDirect(
+					{
+						tasksJsonPath,
+						weightBy: args.weightBy,
+						reportPath: path.resolve(
+							rootFolder,
+							args.complexityReport ||
+								path.join('scripts', 'task-complexity-report.json')
+						)
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(
+						`Failed to analyze the critical path: ${result.error.message}`
+					);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error analyzing the critical path'
+				);
+			} catch (error) {
+				log.error(`Error in criticalPath tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
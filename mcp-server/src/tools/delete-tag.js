@@ -0,0 +1,79 @@
+/**
+ * tools/delete-tag.js
+ * Tool for deleting a task list (tag)
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { deleteTagDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the delete-tag tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerDeleteTagTool(server) {
+	server.addTool({
+		name: 'delete_tag',
+		description:
+			'Delete a task list (tag) with all of its tasks and task files. The default "master" tag cannot be deleted.',
+		parameters: z.object({
+			name: z.string().describe('Tag to delete'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Deleting tag with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await deleteTagDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						name: args.name
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Tag deleted: ${result.data.message}`);
+				} else {
+					log.error(`Failed to delete tag: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error deleting tag');
+			} catch (error) {
+				log.error(`Error in delete-tag tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -9,9 +9,9 @@ import {
 	createErrorResponse,
 	getProjectRootFromSession
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { saveMultipleTaskSubtasksDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 import {
 	generateSubtaskPrompt,
 	parseSubtasksFromText
@@ -73,7 +73,7 @@ export function registerExpandAllTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					existingTasksData = readJSON(tasksJsonPath, log);
+					existingTasksData = readTasks(tasksJsonPath);
 				} catch (error) {
 					log.error(`Error finding or reading tasks.json: ${error.message}`);
 					return createErrorResponse(
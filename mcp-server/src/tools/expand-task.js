@@ -9,9 +9,9 @@ import {
 	createErrorResponse,
 	getProjectRootFromSession
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { saveSubtasksDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 import fs from 'fs';
 import path from 'path';
 import {
@@ -28,7 +28,7 @@ export function registerExpandTaskTool(server) {
 		name: 'expand_task',
 		description: 'Expand a task into subtasks for detailed implementation using client-side LLM sampling.',
 		parameters: z.object({
-			id: z.string().describe('ID of task to expand'),
+			id: z.string().describe('ID of task to expand, or a subtask ID (e.g. "4.2") to break down further'),
 			num: z.string().optional().describe('Approximate number of subtasks to generate'),
 			research: z
 				.boolean()
@@ -64,7 +64,7 @@ export function registerExpandTaskTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					existingTasksData = readJSON(tasksJsonPath, log);
+					existingTasksData = readTasks(tasksJsonPath);
 					parentTask = existingTasksData.tasks.find(t => t.id === args.id);
 					if (!parentTask) {
 						throw new Error(`Task with ID ${args.id} not found.`);
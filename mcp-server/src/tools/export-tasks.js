@@ -0,0 +1,119 @@
+/**
+ * tools/export-tasks.js
+ * Tool for exporting tasks as a report
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { exportTasksDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the export-tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerExportTasksTool(server) {
+	server.addTool({
+		name: 'export_tasks',
+		description:
+			'Export tasks with their subtasks, dependencies, priorities, complexity scores and a progress summary as a Markdown, CSV, HTML or JSON report for reading outside the terminal.',
+		parameters: z.object({
+			format: z
+				.enum(['markdown', 'csv', 'html', 'json'])
+				.optional()
+				.describe('Report format (default: markdown)'),
+			status: z
+				.string()
+				.optional()
+				.describe(
+					"Only export tasks with this status (e.g. 'pending', 'done')"
+				),
+			epic: z
+				.string()
+				.optional()
+				.describe(
+					'Only export the tasks of this epic ID, with the progress of the epic, or "none" for tasks without an epic'
+				),
+			output: z
+				.string()
+				.optional()
+				.describe(
+					'File to write the report to, relative to the project root. Without it, the report is returned.'
+				),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report (default: scripts/task-complexity-report.json)'
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Exporting tasks with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await exportTasksDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						format: args.format,
+						status: args.status,
+						epic: args.epic,
+						reportPath: args.complexityReport
+							? path.resolve(rootFolder, args.complexityReport)
+							: path.resolve(
+									rootFolder,
+									'scripts',
+									'task-complexity-report.json'
+								),
+						outputPath: args.output
+							? path.resolve(rootFolder, args.output)
+							: undefined
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Export finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to export tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error exporting tasks');
+			} catch (error) {
+				log.error(`Error in export-tasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,110 @@
+/**
+ * tools/forecast.js
+ * Tool for forecasting when tasks will be finished
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { forecastDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the forecast tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerForecastTool(server) {
+	server.addTool({
+		name: 'forecast',
+		description:
+			'Forecast when each open task starts and finishes, following the dependency order, the task estimates and the team capacity, and list the tasks that will miss their due date',
+		parameters: z.object({
+			people: z
+				.number()
+				.optional()
+				.describe(
+					'Number of people working on the tasks (default: saved capacity or 1)'
+				),
+			hoursPerDay: z
+				.number()
+				.optional()
+				.describe(
+					'Work hours per person per day (default: saved capacity or 6)'
+				),
+			startDate: z
+				.string()
+				.optional()
+				.describe('First day of work as YYYY-MM-DD (default: today)'),
+			save: z
+				.boolean()
+				.optional()
+				.describe(
+					'Save people and hoursPerDay as the default capacity of the project'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info('Forecasting the task schedule');
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await forecastDirect(
+					{
+						tasksJsonPath,
+						people: args.people,
+						hoursPerDay: args.hoursPerDay,
+						startDate: args.startDate,
+						save: args.save
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to forecast tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error forecasting tasks');
+			} catch (error) {
+				log.error(`Error in forecast tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
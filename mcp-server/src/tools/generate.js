@@ -28,6 +28,12 @@ export function registerGenerateTool(server) {
 				.string()
 				.optional()
 				.describe('Output directory (default: same directory as tasks file)'),
+			force: z
+				.boolean()
+				.optional()
+				.describe(
+					'Overwrite task files with edits that have not been synced into tasks.json yet'
+				),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -70,8 +76,8 @@ export function registerGenerateTool(server) {
 					{
 						// Pass the explicitly resolved paths
 						tasksJsonPath: tasksJsonPath,
-						outputDir: outputDir
-						// No other args specific to this tool
+						outputDir: outputDir,
+						force: args.force
 					},
 					log
 				);
@@ -0,0 +1,126 @@
+/**
+ * tools/get-dependency-graph.js
+ * Tool for rendering the dependency graph of the tasks
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { getDependencyGraphDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getDependencyGraph tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetDependencyGraphTool(server) {
+	server.addTool({
+		name: 'get_dependency_graph',
+		description:
+			'Render the task dependency graph, colored by status, as a Mermaid flowchart (e.g. to embed in a PR description), Graphviz DOT or a text tree. Edges point from a dependency to the task waiting for it',
+		parameters: z.object({
+			format: z
+				.enum(['mermaid', 'dot', 'ascii'])
+				.optional()
+				.describe('Graph format (default: mermaid)'),
+			subtasks: z
+				.boolean()
+				.optional()
+				.describe('Include subtasks as nodes, linked to their parent task'),
+			focus: z
+				.string()
+				.optional()
+				.describe(
+					"Only show the tasks connected to this task or subtask ID (e.g. '5' or '5.2')"
+				),
+			direction: z
+				.enum(['ancestors', 'descendants', 'both'])
+				.optional()
+				.describe(
+					'With focus: show what the task depends on (ancestors), what depends on it (descendants) or both (default)'
+				),
+			output: z
+				.string()
+				.optional()
+				.describe(
+					'File to write the graph to, relative to the project root. Without it, the graph is returned.'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(
+					`Rendering the dependency graph with args: ${JSON.stringify(args)}`
+				);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getDependencyGraphDirect(
+					{
+						tasksJsonPath,
+						format: args.format,
+						subtasks: args.subtasks,
+						focus: args.focus,
+						direction: args.direction,
+						outputPath: args.output
+							? path.resolve(rootFolder, args.output)
+							: undefined
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(
+						`Failed to render the dependency graph: ${result.error.message}`
+					);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error rendering the dependency graph'
+				);
+			} catch (error) {
+				log.error(`Error in getDependencyGraph tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,79 @@
+/**
+ * tools/get-epics.js
+ * Tool for listing the epics and milestones with their progress
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { getEpicsDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getEpics tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetEpicsTool(server) {
+	server.addTool({
+		name: 'get_epics',
+		description:
+			'List the epics and milestones of the project with the progress of their tasks, whether they are past their target date, and the tasks without an epic',
+		parameters: z.object({
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info('Listing epics');
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getEpicsDirect({ tasksJsonPath }, log);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to list epics: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error listing epics');
+			} catch (error) {
+				log.error(`Error in getEpics tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,87 @@
+/**
+ * tools/get-task-log.js
+ * Tool for showing the notes of a task
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { getTaskLogDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getTaskLog tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetTaskLogTool(server) {
+	server.addTool({
+		name: 'get_task_log',
+		description:
+			'Get the notes of a task or subtask and of its subtasks, oldest first: progress, decisions, blockers and research logged by update_subtask, update_task and add_task_note, each with its timestamp and author',
+		parameters: z.object({
+			id: z.string().describe("Task or subtask ID (e.g. '3' or '3.2')"),
+			kind: z
+				.enum(['progress', 'decision', 'blocker', 'research'])
+				.optional()
+				.describe('Only notes of this kind'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Getting the log of task ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getTaskLogDirect(
+					{ tasksJsonPath, id: args.id, kind: args.kind },
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to get task log: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting task log');
+			} catch (error) {
+				log.error(`Error in getTaskLog tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
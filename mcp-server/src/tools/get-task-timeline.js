@@ -0,0 +1,83 @@
+/**
+ * tools/get-task-timeline.js
+ * Tool for showing the status history of a task
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { getTaskTimelineDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getTaskTimeline tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetTaskTimelineTool(server) {
+	server.addTool({
+		name: 'get_task_timeline',
+		description:
+			'Get the status changes of a task or subtask (when, from which status, via CLI or MCP), the time spent in each status and its lead and cycle time',
+		parameters: z.object({
+			id: z.string().describe("Task or subtask ID (e.g. '3' or '3.2')"),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Getting the timeline of task ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getTaskTimelineDirect(
+					{ tasksJsonPath, id: args.id },
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to get task timeline: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting task timeline');
+			} catch (error) {
+				log.error(`Error in getTaskTimeline tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -13,16 +13,16 @@ import { showTaskDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
 
 /**
- * Custom processor function that removes allTasks from the response
+ * Custom processor function that removes dependencyTasks from the response
  * @param {Object} data - The data returned from showTaskDirect
- * @returns {Object} - The processed data with allTasks removed
+ * @returns {Object} - The processed data with dependencyTasks removed
  */
 function processTaskResponse(data) {
 	if (!data) return data;
 
-	// If we have the expected structure with task and allTasks
+	// If we have the expected structure with task and dependencyTasks
 	if (data.task) {
-		// Return only the task object, removing the allTasks array
+		// Return only the task object, removing the dependencyTasks array
 		return data.task;
 	}
 
@@ -107,7 +107,7 @@ export function registerShowTaskTool(server) {
 					log.error(`Failed to get task: ${result.error.message}`);
 				}
 
-				// Use our custom processor function to remove allTasks from the response
+				// Use our custom processor function to remove dependencyTasks from the response
 				return handleApiResult(
 					result,
 					log,
@@ -20,7 +20,7 @@ export function registerListTasksTool(server) {
 	server.addTool({
 		name: 'get_tasks',
 		description:
-			'Get all tasks from Task Master, optionally filtering by status and including subtasks.',
+			'Get all tasks from Task Master, optionally filtering by status, epic, labels or custom fields and including subtasks. Lists the epics with their progress when the project has any.',
 		parameters: z.object({
 			status: z
 				.string()
@@ -32,6 +32,28 @@ export function registerListTasksTool(server) {
 				.describe(
 					'Include subtasks nested within their parent tasks in the response'
 				),
+			includeArchived: z
+				.boolean()
+				.optional()
+				.describe('Also return tasks moved to the archive (marked archived)'),
+			labels: z
+				.string()
+				.optional()
+				.describe(
+					'Only return tasks with all of these comma-separated labels (tasks also match through their subtasks)'
+				),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean()]))
+				.optional()
+				.describe(
+					'Only return tasks with these custom field values, e.g. {"owner": "alice"}'
+				),
+			epic: z
+				.string()
+				.optional()
+				.describe(
+					'Only return the tasks of this epic ID, or "none" for tasks without an epic'
+				),
 			file: z
 				.string()
 				.optional()
@@ -76,7 +98,11 @@ export function registerListTasksTool(server) {
 					{
 						tasksJsonPath: tasksJsonPath,
 						status: args.status,
-						withSubtasks: args.withSubtasks
+						withSubtasks: args.withSubtasks,
+						includeArchived: args.includeArchived,
+						labels: args.labels,
+						fields: args.fields,
+						epic: args.epic
 					},
 					log
 				);
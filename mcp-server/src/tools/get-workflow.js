@@ -0,0 +1,79 @@
+/**
+ * tools/get-workflow.js
+ * Tool for showing the statuses tasks can have
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { getWorkflowDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the getWorkflow tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerGetWorkflowTool(server) {
+	server.addTool({
+		name: 'get_workflow',
+		description:
+			'Get the statuses tasks can have in this project, what each status means (category) and which status changes are allowed',
+		parameters: z.object({
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info('Getting the status workflow');
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await getWorkflowDirect({ tasksJsonPath }, log);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to get workflow: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting workflow');
+			} catch (error) {
+				log.error(`Error in getWorkflow tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
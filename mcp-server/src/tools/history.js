@@ -0,0 +1,82 @@
+/**
+ * tools/history.js
+ * Tool for listing the undo/redo history of tasks.json
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { historyDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the history tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerHistoryTool(server) {
+	server.addTool({
+		name: 'history',
+		description:
+			'List the operations recorded in the Task Master undo history, newest first, with the tasks each one added, changed or removed.',
+		parameters: z.object({
+			limit: z
+				.number()
+				.optional()
+				.describe('Maximum number of entries to return (default: 20)'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Getting history with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await historyDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						limit: args.limit
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Retrieved history: ${result.data.message}`);
+				} else {
+					log.error(`Failed to get history: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error getting history');
+			} catch (error) {
+				log.error(`Error in history tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
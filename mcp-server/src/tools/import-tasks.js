@@ -0,0 +1,101 @@
+/**
+ * tools/import-tasks.js
+ * Tool for importing tasks from other tools
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { importTasksDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the import-tasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerImportTasksTool(server) {
+	server.addTool({
+		name: 'import_tasks',
+		description:
+			'Import tasks from a CSV file, a Markdown checklist or a GitHub issues JSON export, without any AI calls. Imported items get new task IDs and dependencies between them are kept.',
+		parameters: z.object({
+			input: z
+				.string()
+				.describe('File to import, absolute or relative to the project root'),
+			format: z
+				.enum(['csv', 'markdown', 'github'])
+				.optional()
+				.describe(
+					"Format of the file: 'csv', 'markdown' (a '- [ ]' checklist) or 'github' (issues JSON). Default: from the file extension"
+				),
+			map: z
+				.string()
+				.optional()
+				.describe(
+					"Map task fields to CSV columns or GitHub issue properties, e.g. 'title=Summary,details=Notes'"
+				),
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe('Only report the tasks that would be imported'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Importing tasks with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await importTasksDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						inputPath: path.resolve(rootFolder, args.input),
+						format: args.format,
+						mapping: args.map,
+						dryRun: args.dryRun
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Import finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to import tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error importing tasks');
+			} catch (error) {
+				log.error(`Error in import-tasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
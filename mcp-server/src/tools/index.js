@@ -27,14 +27,183 @@ import { registerComplexityReportTool } from './complexity-report.js';
 import { registerAddDependencyTool } from './add-dependency.js';
 import { registerRemoveTaskTool } from './remove-task.js';
 import { registerInitializeProjectTool } from './initialize-project.js';
+import { registerValidateSchemaTool } from './validate-schema.js';
+import { registerUndoTool } from './undo.js';
+import { registerRedoTool } from './redo.js';
+import { registerHistoryTool } from './history.js';
+import { registerStorageExportTool } from './storage-export.js';
+import { registerStorageImportTool } from './storage-import.js';
+import { registerListTagsTool } from './list-tags.js';
+import { registerAddTagTool } from './add-tag.js';
+import { registerUseTagTool } from './use-tag.js';
+import { registerCopyTagTool } from './copy-tag.js';
+import { registerDeleteTagTool } from './delete-tag.js';
+import { registerArchiveTasksTool } from './archive-tasks.js';
+import { registerSyncTaskFilesTool } from './sync-task-files.js';
+import { registerExportTasksTool } from './export-tasks.js';
+import { registerImportTasksTool } from './import-tasks.js';
+import { registerAddLabelsTool } from './add-labels.js';
+import { registerRemoveLabelsTool } from './remove-labels.js';
+import { registerGetWorkflowTool } from './get-workflow.js';
+import { registerGetTaskTimelineTool } from './get-task-timeline.js';
+import { registerSetTaskScheduleTool } from './set-task-schedule.js';
+import { registerForecastTool } from './forecast.js';
+import { registerCriticalPathTool } from './critical-path.js';
+import { registerGetDependencyGraphTool } from './get-dependency-graph.js';
+import { registerAnalyzeImpactTool } from './analyze-impact.js';
+import { registerClaimTaskTool } from './claim-task.js';
+import { registerReleaseTaskTool } from './release-task.js';
+import { registerGetEpicsTool } from './get-epics.js';
+import { registerAddEpicTool } from './add-epic.js';
+import { registerAssignEpicTool } from './assign-epic.js';
+import { registerMoveTaskTool } from './move-task.js';
+import { registerRenumberTasksTool } from './renumber-tasks.js';
+import { registerSplitTaskTool } from './split-task.js';
+import { registerMergeTasksTool } from './merge-tasks.js';
+import { registerGetTaskLogTool } from './get-task-log.js';
+import { registerAddTaskNoteTool } from './add-task-note.js';
 import { asyncOperationManager } from '../core/utils/async-manager.js';
+import { z } from 'zod';
+import { runWithOperation } from '../../../scripts/modules/task-history.js';
+import { withTasksLockAsync } from '../../../scripts/modules/task-store.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+import { getProjectRootFromSession } from './utils.js';
+import { runWithTag } from '../../../scripts/modules/task-tags.js';
+
+// Tools that work on the whole tasks file rather than a single task list
+const TAGLESS_TOOLS = [
+	'initialize_project',
+	'complexity_report',
+	'validate_schema',
+	'undo',
+	'redo',
+	'history',
+	'storage_export',
+	'storage_import',
+	'list_tags',
+	'add_tag',
+	'use_tag',
+	'copy_tag',
+	'delete_tag'
+];
+
+// Tools waiting for an AI, which don't hold the tasks lock while they do.
+// Their writes are checked against the revision they read instead.
+const AI_TOOLS = [
+	'parse_prd',
+	'update',
+	'update_task',
+	'update_subtask',
+	'expand_task',
+	'expand_all',
+	'add_task',
+	'analyze_project_complexity',
+	'split_task',
+	'merge_tasks'
+];
 
 /**
- * Register all Task Master tools with the MCP server
+ * Finds the tasks file a tool call works on
+ * @param {Object} args - Tool arguments
+ * @param {Object} context - Tool context with the session and logger
+ * @returns {string|null} Path to the tasks file, or null if there is none yet
+ */
+function findToolTasksPath(args, context) {
+	const projectRoot =
+		args.projectRoot || getProjectRootFromSession(context.session, context.log);
+	if (!projectRoot) {
+		return null;
+	}
+	try {
+		return findTasksJsonPath({ projectRoot, file: args.file }, context.log);
+	} catch (error) {
+		// e.g. initialize_project, which creates the tasks file
+		return null;
+	}
+}
+
+/**
+ * Wraps the server so every tool call runs as one operation in the undo
+ * history, no matter how many times the tool saves tasks.json. Tools that
+ * don't wait for an AI hold the tasks lock for the whole call, taken without
+ * blocking the server while other calls or processes hold it.
+ * @param {Object} server - FastMCP server instance
+ * @returns {Object} Server whose addTool() wraps the tool's execute function
+ */
+function withOperationTracking(server) {
+	const trackedServer = Object.create(server);
+	trackedServer.addTool = (tool) =>
+		server.addTool({
+			...tool,
+			execute: (args, context) =>
+				runWithOperation({ label: tool.name, source: 'mcp' }, () => {
+					const tasksPath = AI_TOOLS.includes(tool.name)
+						? null
+						: findToolTasksPath(args, context);
+					return tasksPath
+						? withTasksLockAsync(tasksPath, () => tool.execute(args, context))
+						: tool.execute(args, context);
+				})
+		});
+	return trackedServer;
+}
+
+/**
+ * Adds the optional tag parameter to a tool's parameters schema, keeping any
+ * refinements (e.g. "either id or all") wrapped around the object
+ * @param {Object} schema - Zod object schema, possibly refined
+ * @returns {Object} Schema with the tag parameter
+ */
+function addTagParameter(schema) {
+	if (schema instanceof z.ZodEffects) {
+		return new z.ZodEffects({
+			...schema._def,
+			schema: addTagParameter(schema.innerType())
+		});
+	}
+
+	return schema.extend({
+		tag: z
+			.string()
+			.optional()
+			.describe(
+				'Task list (tag) to work on instead of the current one (see list_tags)'
+			)
+	});
+}
+
+/**
+ * Wraps the server so every tool working on a task list accepts an optional
+ * `tag` parameter, and runs against that list instead of the current one
  * @param {Object} server - FastMCP server instance
+ * @returns {Object} Server whose addTool() adds the tag parameter
+ */
+function withTagOption(server) {
+	const taggedServer = Object.create(server);
+	taggedServer.addTool = (tool) => {
+		if (TAGLESS_TOOLS.includes(tool.name)) {
+			return server.addTool(tool);
+		}
+
+		return server.addTool({
+			...tool,
+			parameters: addTagParameter(tool.parameters),
+			execute: (args, context) =>
+				args.tag
+					? runWithTag(args.tag, () => tool.execute(args, context))
+					: tool.execute(args, context)
+		});
+	};
+	return taggedServer;
+}
+
+/**
+ * Register all Task Master tools with the MCP server
+ * @param {Object} mcpServer - FastMCP server instance
  * @param {asyncOperationManager} asyncManager - The async operation manager instance
  */
-export function registerTaskMasterTools(server, asyncManager) {
+export function registerTaskMasterTools(mcpServer, asyncManager) {
+	const server = withTagOption(withOperationTracking(mcpServer));
 	try {
 		// Register each tool
 		registerListTasksTool(server);
@@ -60,6 +229,41 @@ export function registerTaskMasterTools(server, asyncManager) {
 		registerAddDependencyTool(server);
 		registerRemoveTaskTool(server);
 		registerInitializeProjectTool(server);
+		registerValidateSchemaTool(server);
+		registerUndoTool(server);
+		registerRedoTool(server);
+		registerHistoryTool(server);
+		registerStorageExportTool(server);
+		registerStorageImportTool(server);
+		registerListTagsTool(server);
+		registerAddTagTool(server);
+		registerUseTagTool(server);
+		registerCopyTagTool(server);
+		registerDeleteTagTool(server);
+		registerArchiveTasksTool(server);
+		registerSyncTaskFilesTool(server);
+		registerExportTasksTool(server);
+		registerImportTasksTool(server);
+		registerAddLabelsTool(server);
+		registerRemoveLabelsTool(server);
+		registerGetWorkflowTool(server);
+		registerGetTaskTimelineTool(server);
+		registerSetTaskScheduleTool(server);
+		registerForecastTool(server);
+		registerCriticalPathTool(server);
+		registerGetDependencyGraphTool(server);
+		registerAnalyzeImpactTool(server);
+		registerClaimTaskTool(server);
+		registerReleaseTaskTool(server);
+		registerGetEpicsTool(server);
+		registerAddEpicTool(server);
+		registerAssignEpicTool(server);
+		registerMoveTaskTool(server);
+		registerRenumberTasksTool(server);
+		registerSplitTaskTool(server);
+		registerMergeTasksTool(server);
+		registerGetTaskLogTool(server);
+		registerAddTaskNoteTool(server);
 	} catch (error) {
 		logger.error(`Error registering Task Master tools: ${error.message}`);
 		throw error;
@@ -0,0 +1,77 @@
+/**
+ * tools/list-tags.js
+ * Tool for listing the task lists (tags) of a project
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { listTagsDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the list-tags tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerListTagsTool(server) {
+	server.addTool({
+		name: 'list_tags',
+		description:
+			'List the task lists (tags) in the tasks file with their task counts, and show which one is current. Every task tool accepts a tag parameter to work on a list other than the current one.',
+		parameters: z.object({
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Listing tags with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await listTagsDirect(
+					{
+						tasksJsonPath: tasksJsonPath
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Tags listed: ${result.data.message}`);
+				} else {
+					log.error(`Failed to list tags: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error listing tags');
+			} catch (error) {
+				log.error(`Error in list-tags tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
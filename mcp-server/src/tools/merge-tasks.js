@@ -0,0 +1,110 @@
+/**
+ * tools/merge-tasks.js
+ * Tool for merging tasks into one
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { mergeTasksDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the mergeTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerMergeTasksTool(server) {
+	server.addTool({
+		name: 'merge_tasks',
+		description:
+			'Merge top-level tasks into the first of them, which takes over their subtasks, dependencies and dependents. Claude drafts the title, description and details of the merged task unless manual is set; use dryRun to review the draft first',
+		parameters: z.object({
+			ids: z
+				.string()
+				.describe(
+					'Comma-separated IDs of the tasks to merge (e.g. "8,9"); the first one takes in the others'
+				),
+			title: z.string().optional().describe('Title of the merged task'),
+			manual: z
+				.boolean()
+				.optional()
+				.describe(
+					'Combine the descriptions and details as they are instead of having Claude rewrite them'
+				),
+			prompt: z
+				.string()
+				.optional()
+				.describe('Additional instructions for Claude'),
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe("Only return Claude's draft, without merging the tasks"),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Merging tasks ${args.ids}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await mergeTasksDirect(
+					{
+						tasksJsonPath,
+						ids: args.ids,
+						title: args.title,
+						manual: args.manual,
+						prompt: args.prompt,
+						dryRun: args.dryRun
+					},
+					log,
+					{ session }
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to merge tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error merging tasks');
+			} catch (error) {
+				log.error(`Error in mergeTasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
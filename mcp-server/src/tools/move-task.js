@@ -0,0 +1,94 @@
+/**
+ * tools/move-task.js
+ * Tool for moving a task or subtask to a new ID
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { moveTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the moveTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerMoveTaskTool(server) {
+	server.addTool({
+		name: 'move_task',
+		description:
+			'Move a task or subtask, with its subtasks, to a new ID: promote a subtask to a task, move it under another task, or reorder tasks. Items already at the new ID shift up by one, and every dependency is rewritten. Returns the old and new IDs of everything that moved',
+		parameters: z.object({
+			from: z
+				.string()
+				.describe('ID of the task or subtask to move (e.g. "5.2")'),
+			to: z
+				.string()
+				.describe(
+					'New ID, e.g. "9" to make it a task or "3.4" to move it under task 3'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Moving task ${args.from} to ${args.to}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await moveTaskDirect(
+					{
+						tasksJsonPath,
+						from: args.from,
+						to: args.to
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to move task: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error moving task');
+			} catch (error) {
+				log.error(`Error in moveTask tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
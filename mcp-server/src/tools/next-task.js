@@ -3,6 +3,7 @@
  * Tool to find the next task to work on
  */
 
+import path from 'path';
 import { z } from 'zod';
 import {
 	handleApiResult,
@@ -20,9 +21,47 @@ export function registerNextTaskTool(server) {
 	server.addTool({
 		name: 'next_task',
 		description:
-			'Find the next task to work on based on dependencies and status',
+			"Find the next task to work on based on dependencies and status, ranked by the project's scoring (see the scoring command). When the task has subtasks, nextSubtask is the subtask to work on (its dependencies are done), with the task in parentTask. With limit, candidates lists the best ranked tasks with the points each scoring factor gave them. Tasks claimed by other agents are skipped; use claim_task without id to get and claim the next task in one step",
 		parameters: z.object({
 			file: z.string().optional().describe('Absolute path to the tasks file'),
+			labels: z
+				.string()
+				.optional()
+				.describe(
+					'Only consider tasks with all of these comma-separated labels'
+				),
+			fields: z
+				.record(z.union([z.string(), z.number(), z.boolean()]))
+				.optional()
+				.describe(
+					'Only consider tasks with these custom field values, e.g. {"owner": "alice"}'
+				),
+			epic: z
+				.string()
+				.optional()
+				.describe(
+					'Only consider the tasks of this epic ID, or "none" for tasks without an epic'
+				),
+			owner: z
+				.string()
+				.optional()
+				.describe(
+					'Your owner ID when tasks are claimed with claim_task: only tasks claimed by others are skipped (without it, all claimed tasks are)'
+				),
+			limit: z
+				.number()
+				.int()
+				.positive()
+				.optional()
+				.describe(
+					'Also return this many ranked candidates with their score breakdown, e.g. to hand tasks to several agents'
+				),
+			complexityReport: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the complexity report, used when the project weighs complexity (default: scripts/task-complexity-report.json)'
+				),
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.')
@@ -59,8 +98,17 @@ export function registerNextTaskTool(server) {
 				const result = await nextTaskDirect(
 					{
 						// Pass the explicitly resolved path
-						tasksJsonPath: tasksJsonPath
-						// No other args specific to this tool
+						tasksJsonPath: tasksJsonPath,
+						labels: args.labels,
+						fields: args.fields,
+						epic: args.epic,
+						limit: args.limit,
+						owner: args.owner,
+						reportPath: path.resolve(
+							rootFolder,
+							args.complexityReport ||
+								path.join('scripts', 'task-complexity-report.json')
+						)
 					},
 					log
 				);
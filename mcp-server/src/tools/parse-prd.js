@@ -59,6 +59,12 @@ export function registerParsePRDTool(server) {
 				.describe(
 					'Append new tasks to existing tasks.json instead of overwriting'
 				),
+			epics: z
+				.boolean()
+				.optional()
+				.describe(
+					'Group the tasks into epics, one for each major section of the PRD'
+				),
 			projectRoot: z
 				.string()
 				.optional()
@@ -98,9 +104,10 @@ export function registerParsePRDTool(server) {
                 }
                 const append = args.append === true;
                 const force = args.force === true;
+                const epics = args.epics === true;
 
                 // 4. Build Prompt
-                const { systemPrompt, userPrompt } = _generateParsePRDPrompt(prdContent, numTasks, path.basename(prdPath));
+                const { systemPrompt, userPrompt } = _generateParsePRDPrompt(prdContent, numTasks, path.basename(prdPath), epics);
                 if (!userPrompt) {
                     return createErrorResponse('Failed to generate prompt for PRD parsing.');
                 }
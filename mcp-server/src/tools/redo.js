@@ -0,0 +1,82 @@
+/**
+ * tools/redo.js
+ * Tool for re-applying the most recently undone change to tasks.json
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { redoDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the redo tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRedoTool(server) {
+	server.addTool({
+		name: 'redo',
+		description:
+			'Re-apply the most recently undone operation from the Task Master history.',
+		parameters: z.object({
+			force: z
+				.boolean()
+				.optional()
+				.describe('Redo even if tasks.json was changed outside of Task Master'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Redoing operation with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await redoDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Redo finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to redo operation: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error redoing operation');
+			} catch (error) {
+				log.error(`Error in redo tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,96 @@
+/**
+ * tools/release-task.js
+ * Tool for releasing claimed tasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { releaseTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the releaseTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerReleaseTaskTool(server) {
+	server.addTool({
+		name: 'release_task',
+		description:
+			'Release the claim on a task or subtask, so other agents can pick it up',
+		parameters: z.object({
+			id: z.string().describe('Task or subtask ID (e.g. "3" or "3.2")'),
+			owner: z
+				.string()
+				.optional()
+				.describe('Owner ID the task was claimed with (optional with force)'),
+			force: z
+				.boolean()
+				.optional()
+				.describe('Release a claim another owner holds'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Releasing task ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await releaseTaskDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						owner: args.owner,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to release task: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error releasing task');
+			} catch (error) {
+				log.error(`Error in releaseTask tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
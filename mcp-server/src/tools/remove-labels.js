@@ -0,0 +1,93 @@
+/**
+ * tools/remove-labels.js
+ * Tool for removing labels from tasks and subtasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { removeLabelsDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the removeLabels tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRemoveLabelsTool(server) {
+	server.addTool({
+		name: 'remove_labels',
+		description: 'Remove labels from one or more tasks or subtasks',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe('Comma-separated task or subtask IDs (e.g. "3,4.1")'),
+			labels: z
+				.string()
+				.describe(
+					'Comma-separated labels to remove (e.g. "frontend,security")'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Removing labels ${args.labels} from tasks ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await removeLabelsDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						id: args.id,
+						labels: args.labels
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to remove labels: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error removing labels');
+			} catch (error) {
+				log.error(`Error in removeLabels tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -19,7 +19,8 @@ import { findTasksJsonPath } from '../core/utils/path-utils.js';
 export function registerRemoveTaskTool(server) {
 	server.addTool({
 		name: 'remove_task',
-		description: 'Remove a task or subtask permanently from the tasks list',
+		description:
+			'Remove a task or subtask permanently from the tasks list. The response includes the impact: dependent tasks, subtasks referencing the removed tasks and tasks that can start afterwards',
 		parameters: z.object({
 			id: z
 				.string()
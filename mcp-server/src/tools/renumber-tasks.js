@@ -0,0 +1,79 @@
+/**
+ * tools/renumber-tasks.js
+ * Tool for renumbering tasks and subtasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { renumberTasksDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the renumberTasks tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerRenumberTasksTool(server) {
+	server.addTool({
+		name: 'renumber_tasks',
+		description:
+			'Renumber tasks from 1, and the subtasks of each task from 1, closing the gaps left by moved and removed tasks. Archived task IDs are skipped and every dependency is rewritten. Returns the old and new IDs',
+		parameters: z.object({
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info('Renumbering tasks');
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await renumberTasksDirect({ tasksJsonPath }, log);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to renumber tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error renumbering tasks');
+			} catch (error) {
+				log.error(`Error in renumberTasks tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
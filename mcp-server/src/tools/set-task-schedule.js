@@ -0,0 +1,100 @@
+/**
+ * tools/set-task-schedule.js
+ * Tool for setting due dates and estimates of tasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { setTaskScheduleDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the setTaskSchedule tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSetTaskScheduleTool(server) {
+	server.addTool({
+		name: 'set_task_schedule',
+		description:
+			'Set the due date and/or estimate (in hours) of one or more tasks or subtasks. Use "none" to clear a value',
+		parameters: z.object({
+			id: z
+				.string()
+				.describe('Comma-separated task or subtask IDs (e.g. "3,4.1")'),
+			dueDate: z
+				.string()
+				.optional()
+				.describe('Due date as YYYY-MM-DD, or "none" to clear it'),
+			estimate: z
+				.union([z.number(), z.string()])
+				.optional()
+				.describe(
+					'Estimated effort in hours (e.g. 4 or "2.5h"), or "none" to clear it'
+				),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Setting the schedule of tasks ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await setTaskScheduleDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						dueDate: args.dueDate,
+						estimate: args.estimate
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to set task schedule: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error setting task schedule');
+			} catch (error) {
+				log.error(`Error in setTaskSchedule tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
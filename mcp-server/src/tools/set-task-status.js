@@ -19,7 +19,8 @@ import { findTasksJsonPath } from '../core/utils/path-utils.js';
 export function registerSetTaskStatusTool(server) {
 	server.addTool({
 		name: 'set_task_status',
-		description: 'Set the status of one or more tasks or subtasks.',
+		description:
+			'Set the status of one or more tasks or subtasks. Starting a subtask starts its parent task too (advancedParents), and parents whose subtasks are all finished are listed in completableParents.',
 		parameters: z.object({
 			id: z
 				.string()
@@ -29,7 +30,13 @@ export function registerSetTaskStatusTool(server) {
 			status: z
 				.string()
 				.describe(
-					"New status to set (e.g., 'pending', 'done', 'in-progress', 'review', 'deferred', 'cancelled'."
+					"New status to set (e.g., 'pending', 'done', 'in-progress', 'review', 'deferred', 'cancelled'). Projects with a custom workflow have their own statuses, see get_workflow."
+				),
+			force: z
+				.boolean()
+				.optional()
+				.describe(
+					"Ignore the workflow's transition rules (e.g. to fix a status set by mistake)"
 				),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
 			projectRoot: z
@@ -72,7 +79,8 @@ export function registerSetTaskStatusTool(server) {
 						tasksJsonPath: tasksJsonPath,
 						// Pass other relevant args
 						id: args.id,
-						status: args.status
+						status: args.status,
+						force: args.force
 					},
 					log
 				);
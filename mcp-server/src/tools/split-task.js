@@ -0,0 +1,122 @@
+/**
+ * tools/split-task.js
+ * Tool for splitting a task into several tasks
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { splitTaskDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the splitTask tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSplitTaskTool(server) {
+	server.addTool({
+		name: 'split_task',
+		description:
+			'Split a top-level task into several tasks. Without parts, Claude drafts the split; use dryRun to review the draft and pass its parts back to apply it. The task keeps its ID as the first new task, the others are added after the last task, and everything that depended on it depends on all of them',
+		parameters: z.object({
+			id: z.string().describe('ID of the task to split'),
+			parts: z
+				.array(
+					z.object({
+						title: z.string().describe('Title of the new task'),
+						description: z.string().optional(),
+						details: z.string().optional(),
+						testStrategy: z.string().optional(),
+						subtasks: z
+							.array(z.union([z.string(), z.number()]))
+							.optional()
+							.describe(
+								'IDs of the subtasks of the task that move to this new task'
+							)
+					})
+				)
+				.optional()
+				.describe(
+					'The new tasks, in order; the first one keeps the ID and the subtasks no other one takes. Without them Claude drafts the split'
+				),
+			count: z
+				.number()
+				.optional()
+				.describe('Number of tasks Claude should split into (2 to 10)'),
+			prompt: z
+				.string()
+				.optional()
+				.describe('Additional instructions for Claude'),
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe("Only return Claude's draft, without splitting the task"),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the tasks file (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Splitting task ${args.id}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				// Ensure project root was determined
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// Resolve the path to tasks.json
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await splitTaskDirect(
+					{
+						tasksJsonPath,
+						id: args.id,
+						parts: args.parts,
+						count: args.count,
+						prompt: args.prompt,
+						dryRun: args.dryRun
+					},
+					log,
+					{ session }
+				);
+
+				if (result.success) {
+					log.info(result.data.message);
+				} else {
+					log.error(`Failed to split task: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error splitting task');
+			} catch (error) {
+				log.error(`Error in splitTask tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
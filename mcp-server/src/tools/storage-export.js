@@ -0,0 +1,91 @@
+/**
+ * tools/storage-export.js
+ * Tool for copying all tasks to another storage file
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { copyStorageDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the storage-export tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerStorageExportTool(server) {
+	server.addTool({
+		name: 'storage_export',
+		description:
+			'Copy all tasks to another storage file, e.g. to move a project from tasks.json to an SQLite database. Files ending in .db, .sqlite or .sqlite3 use SQLite, anything else JSON.',
+		parameters: z.object({
+			output: z
+				.string()
+				.describe(
+					'File to copy the tasks to, relative to the project root (e.g. tasks/tasks.db)'
+				),
+			force: z
+				.boolean()
+				.optional()
+				.describe('Replace the output file if it already exists'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Exporting tasks storage with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const otherPath = path.resolve(rootFolder, args.output);
+
+				const result = await copyStorageDirect(
+					{
+						sourcePath: tasksJsonPath,
+						targetPath: otherPath,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Export finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to export tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error exporting tasks');
+			} catch (error) {
+				log.error(`Error in storage-export tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,96 @@
+/**
+ * tools/storage-import.js
+ * Tool for replacing the tasks with the contents of another storage file
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { copyStorageDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the storage-import tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerStorageImportTool(server) {
+	server.addTool({
+		name: 'storage_import',
+		description:
+			'Replace the tasks with the contents of another storage file (JSON or SQLite) and regenerate the task files.',
+		parameters: z.object({
+			input: z
+				.string()
+				.describe(
+					'File to copy the tasks from, relative to the project root (e.g. tasks/tasks.db)'
+				),
+			force: z
+				.boolean()
+				.optional()
+				.describe('Replace the tasks file if it already exists'),
+			file: z
+				.string()
+				.optional()
+				.describe(
+					'Path to the tasks file to replace (default: tasks/tasks.json)'
+				),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Importing tasks storage with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				// The tasks file may not exist yet, that's what importing creates
+				let tasksJsonPath;
+				if (args.file) {
+					tasksJsonPath = path.resolve(rootFolder, args.file);
+				} else {
+					try {
+						tasksJsonPath = findTasksJsonPath({ projectRoot: rootFolder }, log);
+					} catch (error) {
+						tasksJsonPath = path.resolve(rootFolder, 'tasks', 'tasks.json');
+					}
+				}
+
+				const otherPath = path.resolve(rootFolder, args.input);
+
+				const result = await copyStorageDirect(
+					{
+						sourcePath: otherPath,
+						targetPath: tasksJsonPath,
+						force: args.force,
+						generateFiles: true
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Import finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to import tasks: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error importing tasks');
+			} catch (error) {
+				log.error(`Error in storage-import tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,99 @@
+/**
+ * tools/sync-task-files.js
+ * Tool for merging edited task files back into tasks.json
+ */
+
+import path from 'path';
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { syncTaskFilesDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the sync-task-files tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerSyncTaskFilesTool(server) {
+	server.addTool({
+		name: 'sync_task_files',
+		description:
+			'Merge edits made in the generated task files (task_001.txt, ...) back into tasks.json, and rewrite task files whose tasks changed in tasks.json. Fields changed on both sides since the files were generated are reported as conflicts instead of being overwritten.',
+		parameters: z.object({
+			output: z
+				.string()
+				.optional()
+				.describe(
+					'Directory with the task files (default: same directory as the tasks file)'
+				),
+			prefer: z
+				.enum(['file', 'tasks'])
+				.optional()
+				.describe(
+					"Resolve conflicts with the task file ('file') or tasks.json ('tasks'). Without it, fields changed on both sides are reported and left alone."
+				),
+			dryRun: z.boolean().optional().describe('Only report what would change'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Syncing task files with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				// Determine output directory: use explicit arg or default to tasks.json directory
+				const outputDir = args.output
+					? path.resolve(rootFolder, args.output)
+					: path.dirname(tasksJsonPath);
+
+				const result = await syncTaskFilesDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						outputDir: outputDir,
+						prefer: args.prefer,
+						dryRun: args.dryRun
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Task files synced: ${result.data.message}`);
+				} else {
+					log.error(`Failed to sync task files: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error syncing task files');
+			} catch (error) {
+				log.error(`Error in sync-task-files tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -0,0 +1,82 @@
+/**
+ * tools/undo.js
+ * Tool for reverting the latest change to tasks.json
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { undoDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the undo tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUndoTool(server) {
+	server.addTool({
+		name: 'undo',
+		description:
+			'Revert the latest operation recorded in the Task Master history (e.g. a bad update or expansion). Each CLI command or MCP tool call is one operation.',
+		parameters: z.object({
+			force: z
+				.boolean()
+				.optional()
+				.describe('Undo even if tasks.json was changed outside of Task Master'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Undoing latest operation with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await undoDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						force: args.force
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Undo finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to undo operation: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error undoing operation');
+			} catch (error) {
+				log.error(`Error in undo tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -20,7 +20,7 @@ export function registerUpdateSubtaskTool(server) {
 	server.addTool({
 		name: 'update_subtask',
 		description:
-			'Appends timestamped information to a specific subtask without replacing existing content',
+			'Updates a specific subtask and adds the information as a timestamped note to its log',
 		parameters: z.object({
 			id: z
 				.string()
@@ -32,6 +32,16 @@ export function registerUpdateSubtaskTool(server) {
 				.boolean()
 				.optional()
 				.describe('Use Perplexity AI for research-backed updates'),
+			kind: z
+				.enum(['progress', 'decision', 'blocker', 'research'])
+				.optional()
+				.describe(
+					'Kind of the note: progress, decision, blocker or research (default: progress, or research with research)'
+				),
+			author: z
+				.string()
+				.optional()
+				.describe('Person or agent adding the information'),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
 			projectRoot: z
 				.string()
@@ -73,7 +83,9 @@ export function registerUpdateSubtaskTool(server) {
 						// Pass other relevant args
 						id: args.id,
 						prompt: args.prompt,
-						research: args.research
+						research: args.research,
+						kind: args.kind,
+						author: args.author
 					},
 					log,
 					{ session }
@@ -9,9 +9,9 @@ import {
 	createErrorResponse,
 	getProjectRootFromSession
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { saveUpdatedTasksDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 
 // NEW: Import AI utils
 import {
@@ -41,6 +41,14 @@ export function registerUpdateTaskTool(server) {
 				.boolean()
 				.optional()
 				.describe('Hint for client LLM to use research capabilities'),
+			kind: z
+				.enum(['progress', 'decision', 'blocker', 'research'])
+				.optional()
+				.describe('Kind of the note the prompt is logged as (default: progress)'),
+			author: z
+				.string()
+				.optional()
+				.describe('Person or agent requesting the update'),
 			file: z.string().optional().describe('Absolute path to the tasks file'),
 			projectRoot: z
 				.string()
@@ -66,7 +74,7 @@ export function registerUpdateTaskTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					existingTasksData = readJSON(tasksJsonPath, log);
+					existingTasksData = readTasks(tasksJsonPath);
 					taskToUpdate = existingTasksData.tasks.find(t => t.id === args.id);
 					if (!taskToUpdate) {
 						throw new Error(`Task with ID ${args.id} not found.`);
@@ -131,7 +139,9 @@ export function registerUpdateTaskTool(server) {
 				const saveArgs = {
 					tasksJsonPath,
 					projectRoot: rootFolder,
-					updatedTasks: [updatedTask]
+					updatedTasks: [updatedTask],
+					// The prompt is logged in the notes of the task
+					note: { body: args.prompt, kind: args.kind, author: args.author, source: 'update-task' }
 				};
 				const result = await saveUpdatedTasksDirect(saveArgs, log);
 
@@ -9,9 +9,9 @@ import {
 	createErrorResponse,
 	getProjectRootFromSession
 } from './utils.js';
+import { readTasks } from '../../../scripts/modules/task-store.js';
 import { saveUpdatedTasksDirect } from '../core/task-master-core.js';
 import { findTasksJsonPath } from '../core/utils/path-utils.js';
-import { readJSON } from '../../../scripts/modules/utils.js';
 import {
 	_buildUpdateMultipleTasksPrompt,
 	parseTasksFromCompletion
@@ -63,7 +63,7 @@ export function registerUpdateTool(server) {
 						{ projectRoot: rootFolder, file: args.file },
 						log
 					);
-					existingTasksData = readJSON(tasksJsonPath);
+					existingTasksData = readTasks(tasksJsonPath);
 					if (!existingTasksData || !Array.isArray(existingTasksData.tasks)) {
 						throw new Error('Invalid tasks.json structure: \'tasks\' array not found.');
 					}
@@ -0,0 +1,79 @@
+/**
+ * tools/use-tag.js
+ * Tool for switching the current task list (tag)
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { useTagDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the use-tag tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerUseTagTool(server) {
+	server.addTool({
+		name: 'use_tag',
+		description:
+			'Switch the current task list (tag). Task tools called without a tag parameter work on the current tag.',
+		parameters: z.object({
+			name: z.string().describe('Tag to switch to'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Switching tag with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await useTagDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						name: args.name
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Tag switched: ${result.data.message}`);
+				} else {
+					log.error(`Failed to switch tag: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error switching tag');
+			} catch (error) {
+				log.error(`Error in use-tag tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
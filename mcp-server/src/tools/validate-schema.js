@@ -0,0 +1,82 @@
+/**
+ * tools/validate-schema.js
+ * Tool for validating tasks.json against the schema
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	getProjectRootFromSession
+} from './utils.js';
+import { validateSchemaDirect } from '../core/task-master-core.js';
+import { findTasksJsonPath } from '../core/utils/path-utils.js';
+
+/**
+ * Register the validateSchema tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerValidateSchemaTool(server) {
+	server.addTool({
+		name: 'validate_schema',
+		description:
+			'Check tasks.json against the Task Master schema and report every violation with its JSON path. Optionally applies pending schema migrations.',
+		parameters: z.object({
+			migrate: z
+				.boolean()
+				.optional()
+				.describe('Apply pending schema migrations and save the file'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.')
+		}),
+		execute: async (args, { log, session }) => {
+			try {
+				log.info(`Validating schema with args: ${JSON.stringify(args)}`);
+
+				// Get project root from args or session
+				const rootFolder =
+					args.projectRoot || getProjectRootFromSession(session, log);
+
+				if (!rootFolder) {
+					return createErrorResponse(
+						'Could not determine project root. Please provide it explicitly or ensure your session contains valid root information.'
+					);
+				}
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksJsonPath(
+						{ projectRoot: rootFolder, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await validateSchemaDirect(
+					{
+						tasksJsonPath: tasksJsonPath,
+						migrate: args.migrate
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Schema validation finished: ${result.data.message}`);
+				} else {
+					log.error(`Failed to validate schema: ${result.error.message}`);
+				}
+
+				return handleApiResult(result, log, 'Error validating schema');
+			} catch (error) {
+				log.error(`Error in validateSchema tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		}
+	});
+}
@@ -10,6 +10,7 @@ import OpenAI from 'openai';
 import dotenv from 'dotenv';
 import { CONFIG, log, sanitizePrompt, isSilentMode } from './utils.js';
 import { startLoadingIndicator, stopLoadingIndicator } from './ui.js';
+import { EPICS_PROMPT } from './task-epics.js';
 import chalk from 'chalk';
 
 // Load environment variables
@@ -147,6 +148,7 @@ function handleClaudeError(error) {
  *   - reportProgress: Function to report progress to MCP server (optional)
  *   - mcpLog: MCP logger object (optional)
  *   - session: Session object from MCP server (optional)
+ *   - epics: Whether to group the tasks into epics (optional)
  * @param {Object} aiClient - AI client instance (optional - will use default if not provided)
  * @param {Object} modelConfig - Model configuration (optional)
  * @returns {Object} Claude's response
@@ -156,13 +158,16 @@ async function callClaude(
 	prdPath,
 	numTasks,
 	retryCount = 0,
-	{ reportProgress, mcpLog, session } = {},
+	{ reportProgress, mcpLog, session, epics } = {},
 	aiClient = null,
 	modelConfig = null
 ) {
 	try {
 		log('info', 'Calling Claude...');
 
+		// Group the tasks into epics, one for each major section of the PRD
+		const epicInstructions = epics ? `\n\n${EPICS_PROMPT}` : '';
+
 		// Build the system prompt
 		const systemPrompt = `You are an AI assistant tasked with breaking down a Product Requirements Document (PRD) into a set of sequential development tasks. Your goal is to create exactly <num_tasks>${numTasks}</num_tasks> well-structured, actionable development tasks based on the PRD provided.
 
@@ -201,7 +206,7 @@ Guidelines for creating tasks:
 8. Include detailed implementation guidance in the "details" field.
 9. Strictly adhere to any specific requirements for libraries, database schemas, frameworks, tech stacks, or other implementation details mentioned in the PRD.
 10. Fill in gaps left by the PRD while preserving all explicit requirements.
-11. Provide the most direct path to implementation, avoiding over-engineering.
+11. Provide the most direct path to implementation, avoiding over-engineering.${epicInstructions}
 
 The final output should be valid JSON with this structure:
 
@@ -238,7 +243,7 @@ Your response should be valid JSON only, with no additional explanation or comme
 			numTasks,
 			modelConfig?.maxTokens || CONFIG.maxTokens,
 			systemPrompt,
-			{ reportProgress, mcpLog, session },
+			{ reportProgress, mcpLog, session, epics },
 			aiClient || anthropic,
 			modelConfig
 		);
@@ -266,7 +271,7 @@ Your response should be valid JSON only, with no additional explanation or comme
 				prdPath,
 				numTasks,
 				retryCount + 1,
-				{ reportProgress, mcpLog, session },
+				{ reportProgress, mcpLog, session, epics },
 				aiClient,
 				modelConfig
 			);
@@ -291,6 +296,7 @@ Your response should be valid JSON only, with no additional explanation or comme
  *   - reportProgress: Function to report progress to MCP server (optional)
  *   - mcpLog: MCP logger object (optional)
  *   - session: Session object from MCP server (optional)
+ *   - epics: Whether the tasks are grouped into epics (optional)
  * @param {Object} aiClient - AI client instance (optional - will use default if not provided)
  * @param {Object} modelConfig - Model configuration (optional)
  * @returns {Object} Claude's response
@@ -301,7 +307,7 @@ async function handleStreamingRequest(
 	numTasks,
 	maxTokens,
 	systemPrompt,
-	{ reportProgress, mcpLog, session } = {},
+	{ reportProgress, mcpLog, session, epics } = {},
 	aiClient = null,
 	modelConfig = null
 ) {
@@ -398,7 +404,7 @@ async function handleStreamingRequest(
 			0,
 			prdContent,
 			prdPath,
-			{ reportProgress, mcpLog, session }
+			{ reportProgress, mcpLog, session, epics }
 		);
 	} catch (error) {
 		if (streamingInterval) clearInterval(streamingInterval);
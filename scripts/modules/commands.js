@@ -8,11 +8,12 @@ import path from 'path';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import fs from 'fs';
+import os from 'os';
 import https from 'https';
 import inquirer from 'inquirer';
 import ora from 'ora';
 
-import { CONFIG, log, readJSON, writeJSON } from './utils.js';
+import { CONFIG, log, writeJSON } from './utils.js';
 import {
 	parsePRD,
 	updateTasks,
@@ -30,14 +31,17 @@ import {
 	updateSubtaskById,
 	removeTask,
 	findTaskById,
-	taskExists
+	taskExists,
+	claimNextTask
 } from './task-manager.js';
 
 import {
 	addDependency,
 	removeDependency,
 	validateDependenciesCommand,
-	fixDependenciesCommand
+	fixDependenciesCommand,
+	analyzeCriticalPath,
+	CRITICAL_PATH_WEIGHTS
 } from './dependency-manager.js';
 
 import {
@@ -49,11 +53,122 @@ import {
 	getStatusWithColor,
 	confirmTaskOverwrite,
 	startLoadingIndicator,
-	stopLoadingIndicator
+	stopLoadingIndicator,
+	displaySchemaValidation,
+	displayHistory,
+	displayHistoryStep,
+	displayStorageCopy,
+	displayArchiveResult,
+	displaySyncResult,
+	displayImportResult,
+	displayTags,
+	displayTagChange,
+	displayLabels,
+	displayLabelChange,
+	displayEpics,
+	displayEpicChange,
+	displayEpicAssignment,
+	displayIdMapping,
+	displaySplitProposal,
+	displaySplitResult,
+	displayWorkflow,
+	displayScoring,
+	displayClaimResult,
+	displayTimeline,
+	displayScheduleChange,
+	displayForecast,
+	displayCriticalPath,
+	getStatusColor,
+	displayImpact,
+	displayTaskLog
 } from './ui.js';
 
+import { CURRENT_SCHEMA_VERSION } from './task-schema.js';
+import {
+	readTasks,
+	writeTasks,
+	validateStoredTasks,
+	copyTasksStorage
+} from './task-store.js';
+import {
+	runWithOperation,
+	undoOperation,
+	redoOperation,
+	getHistory
+} from './task-history.js';
+import { archiveTasks, readArchivedTasks } from './task-archive.js';
+import { syncTaskFiles } from './task-files.js';
+import { EXPORT_FORMATS, exportTasks } from './task-export.js';
+import { IMPORT_FORMATS, importTasks } from './task-import.js';
+import { addTaskLabels, removeTaskLabels, countLabels } from './task-fields.js';
+import { getWorkflow, setWorkflow } from './task-workflow.js';
+import { getTaskTimeline } from './task-timeline.js';
+import { setTaskSchedule, forecastTasks } from './task-schedule.js';
+import { getScoringSettings, setScoringSettings } from './task-scoring.js';
+import {
+	DEFAULT_LEASE_MINUTES,
+	claimTask,
+	releaseTask
+} from './task-claims.js';
+import { getTaskImpact } from './task-impact.js';
+import {
+	listEpics,
+	addEpic,
+	updateEpic,
+	removeEpic,
+	assignEpic
+} from './task-epics.js';
+import { moveTask, renumberTasks } from './task-move.js';
+import { draftSplit, draftMerge, splitTask, mergeTasks } from './task-split.js';
+import { NOTE_KINDS, getTaskLog, addTaskNote } from './task-notes.js';
+import {
+	GRAPH_FORMATS,
+	FOCUS_DIRECTIONS,
+	renderTaskGraph
+} from './task-graph.js';
+import {
+	runWithTag,
+	setProcessTag,
+	validateTagName,
+	listTags,
+	addTag,
+	copyTag,
+	deleteTag,
+	useTag
+} from './task-tags.js';
+
 import { initializeProject } from '../init.js';
 
+// Default locations of the tasks file for JSON and SQLite storage
+const DEFAULT_TASKS_PATH = 'tasks/tasks.json';
+const DEFAULT_SQLITE_TASKS_PATH = 'tasks/tasks.db';
+
+// Commands that work on the whole tasks file rather than a single task list,
+// so they don't take --tag
+const TAGLESS_COMMANDS = [
+	'init',
+	'tags',
+	'complexity-report',
+	'validate-schema',
+	'history',
+	'undo',
+	'redo',
+	'storage-export',
+	'storage-import'
+];
+
+/**
+ * Collects the values of an option that can be repeated, e.g. --field. These
+ * options have no default value, since bin/task-master.js would pass an empty
+ * array on as an empty --field= to dev.js.
+ * @param {string} value - Value of this occurrence
+ * @param {Array<string>} previous - Values collected so far (none before the first one)
+ * @returns {Array<string>} All values
+ */
+function collectOptionValues(value, previous = []) {
+	return [...previous, value];
+}
+
 /**
  * Configure and register CLI commands
  * @param {Object} program - Commander program instance
@@ -92,6 +207,7 @@ function registerCommands(programInstance) {
 			'--append',
 			'Append new tasks to existing tasks.json instead of overwriting'
 		)
+		.option('--epics', 'Group the tasks into epics, one for each PRD section')
 		.action(async (file, options) => {
 			// Use input option if file argument not provided
 			const inputFile = file || options.input;
@@ -100,6 +216,7 @@ function registerCommands(programInstance) {
 			const outputPath = options.output;
 			const force = options.force || false;
 			const append = options.append || false;
+			const epics = options.epics || false;
 
 			// Helper function to check if tasks.json exists and confirm overwrite
 			async function confirmOverwriteIfNeeded() {
@@ -122,7 +239,10 @@ function registerCommands(programInstance) {
 					if (!(await confirmOverwriteIfNeeded())) return;
 
 					console.log(chalk.blue(`Generating ${numTasks} tasks...`));
-					await parsePRD(defaultPrdPath, outputPath, numTasks, { append });
+					await parsePRD(defaultPrdPath, outputPath, numTasks, {
+						append,
+						epics
+					});
 					return;
 				}
 
@@ -144,7 +264,8 @@ function registerCommands(programInstance) {
 							'  -o, --output <file>      Output file path (default: "tasks/tasks.json")\n' +
 							'  -n, --num-tasks <number> Number of tasks to generate (default: 10)\n' +
 							'  -f, --force              Skip confirmation when overwriting existing tasks\n' +
-							'  --append                 Append new tasks to existing tasks.json instead of overwriting\n\n' +
+							'  --append                 Append new tasks to existing tasks.json instead of overwriting\n' +
+							'  --epics                  Group the tasks into epics, one for each PRD section\n\n' +
 							chalk.cyan('Example:') +
 							'\n' +
 							'  task-master parse-prd requirements.txt --num-tasks 15\n' +
@@ -173,7 +294,7 @@ function registerCommands(programInstance) {
 				console.log(chalk.blue('Appending to existing tasks...'));
 			}
 
-			await parsePRD(inputFile, outputPath, numTasks, { append });
+			await parsePRD(inputFile, outputPath, numTasks, { append, epics });
 		});
 
 	// update command
@@ -266,6 +387,11 @@ function registerCommands(programInstance) {
 			'-r, --research',
 			'Use Perplexity AI for research-backed task updates'
 		)
+		.option(
+			'-k, --kind <kind>',
+			'Kind of the note recording the update: progress, decision, blocker or research'
+		)
+		.option('--author <name>', 'Author of the note recording the update')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file;
@@ -362,7 +488,8 @@ function registerCommands(programInstance) {
 					tasksPath,
 					taskId,
 					prompt,
-					useResearch
+					useResearch,
+					{ kind: options.kind, author: options.author }
 				);
 
 				// If the task wasn't updated (e.g., if it was already marked as done)
@@ -406,7 +533,7 @@ function registerCommands(programInstance) {
 	programInstance
 		.command('update-subtask')
 		.description(
-			'Update a subtask by appending additional timestamped information'
+			'Update a subtask by adding AI-generated information to its notes'
 		)
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option(
@@ -418,6 +545,11 @@ function registerCommands(programInstance) {
 			'Prompt explaining what information to add (required)'
 		)
 		.option('-r, --research', 'Use Perplexity AI for research-backed updates')
+		.option(
+			'-k, --kind <kind>',
+			'Kind of the note: progress, decision, blocker or research (default: research with --research, progress otherwise)'
+		)
+		.option('--author <name>', 'Author of the note')
 		.action(async (options) => {
 			try {
 				const tasksPath = options.file;
@@ -516,7 +648,8 @@ function registerCommands(programInstance) {
 					tasksPath,
 					subtaskId,
 					prompt,
-					useResearch
+					useResearch,
+					{ kind: options.kind, author: options.author }
 				);
 
 				if (!result) {
@@ -563,6 +696,10 @@ function registerCommands(programInstance) {
 		.description('Generate task files from tasks.json')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option('-o, --output <dir>', 'Output directory', 'tasks')
+		.option(
+			'--force',
+			'Overwrite task files with edits that have not been synced yet'
+		)
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const outputDir = options.output;
@@ -570,7 +707,150 @@ function registerCommands(programInstance) {
 			console.log(chalk.blue(`Generating task files from: ${tasksPath}`));
 			console.log(chalk.blue(`Output directory: ${outputDir}`));
 
-			await generateTaskFiles(tasksPath, outputDir);
+			await generateTaskFiles(tasksPath, outputDir, {
+				force: !!options.force
+			});
+		});
+
+	// import command
+	programInstance
+		.command('import')
+		.description(
+			`Import tasks from a CSV file, a Markdown checklist or a GitHub issues export${chalk.reset('')}`
+		)
+		.argument('[source]', 'File to import')
+		.option(
+			'-i, --input <file>',
+			'File to import (alternative to positional argument)'
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--format <format>',
+			`Format of the file (${IMPORT_FORMATS.join(', ')}; default: from the file extension)`
+		)
+		.option(
+			'--map <mapping>',
+			'Map task fields to CSV columns or GitHub issue properties, e.g. "title=Summary,details=Notes"'
+		)
+		.option('--dry-run', 'Show the tasks that would be imported')
+		.option('--skip-generate', 'Skip regenerating task files')
+		.action(async (source, options) => {
+			const sourcePath = source || options.input;
+			if (!sourcePath) {
+				console.error(chalk.red('Error: Please specify a file to import'));
+				process.exit(1);
+			}
+
+			try {
+				const result = importTasks(options.file, sourcePath, {
+					format: options.format,
+					mapping: options.map,
+					dryRun: options.dryRun
+				});
+
+				if (
+					!result.dryRun &&
+					result.tasks.length > 0 &&
+					!options.skipGenerate
+				) {
+					generateTaskFiles(options.file, path.dirname(options.file));
+				}
+
+				displayImportResult(result, sourcePath);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// export command
+	programInstance
+		.command('export')
+		.description(
+			`Export tasks as a Markdown, CSV, HTML or JSON report${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--format <format>',
+			`Report format (${EXPORT_FORMATS.join(', ')})`,
+			'markdown'
+		)
+		.option(
+			'-o, --output <file>',
+			'File to write the report to (default: print it)'
+		)
+		.option('-s, --status <status>', 'Only export tasks with this status')
+		.option(
+			'--epic <id>',
+			'Only export the tasks of this epic ("none" for tasks without one)'
+		)
+		.option(
+			'-r, --report <report>',
+			'Path to the complexity report',
+			'scripts/task-complexity-report.json'
+		)
+		.action(async (options) => {
+			try {
+				const result = exportTasks(options.file, {
+					format: options.format,
+					status: options.status,
+					epic: options.epic,
+					complexityReportPath: options.report,
+					output: options.output
+				});
+
+				if (!result.outputPath) {
+					process.stdout.write(result.content);
+					return;
+				}
+
+				console.log(
+					boxen(
+						chalk.green(
+							`Exported ${result.taskCount} tasks as ${result.format} to ${result.outputPath}`
+						),
+						{
+							padding: 1,
+							borderColor: 'green',
+							borderStyle: 'round',
+							margin: { top: 1 }
+						}
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// sync-files command
+	programInstance
+		.command('sync-files')
+		.description(
+			`Merge edits made in task files back into tasks.json${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-o, --output <dir>', 'Directory with the task files', 'tasks')
+		.option(
+			'--prefer <side>',
+			'Resolve conflicts with the task file ("file") or tasks.json ("tasks")'
+		)
+		.option('--dry-run', 'Show what would change without changing anything')
+		.action(async (options) => {
+			try {
+				const result = syncTaskFiles(options.file, options.output, {
+					prefer: options.prefer,
+					dryRun: options.dryRun
+				});
+				displaySyncResult(result);
+
+				if (result.conflicts.length > 0) {
+					process.exit(1);
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
 		});
 
 	// set-status command
@@ -583,8 +863,9 @@ function registerCommands(programInstance) {
 		)
 		.option(
 			'-s, --status <status>',
-			'New status (todo, in-progress, review, done)'
+			'New status (see task-master workflow for the valid ones)'
 		)
+		.option('--force', "Ignore the workflow's transition rules")
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.action(async (options) => {
 			const tasksPath = options.file;
@@ -600,7 +881,55 @@ function registerCommands(programInstance) {
 				chalk.blue(`Setting status of task(s) ${taskId} to: ${status}`)
 			);
 
-			await setTaskStatus(tasksPath, taskId, status);
+			// Work out beforehand which tasks can never start after the change
+			let impact = null;
+			try {
+				impact = getTaskImpact(tasksPath, taskId, { status });
+			} catch (error) {
+				// setTaskStatus reports unknown tasks and statuses itself
+			}
+
+			const { completableParents } = await setTaskStatus(
+				tasksPath,
+				taskId,
+				status,
+				{ force: options.force }
+			);
+
+			if (impact && impact.permanentlyBlocked.length > 0) {
+				displayImpact(impact, tasksPath);
+			}
+
+			// Offer to finish parent tasks whose subtasks are all finished now
+			for (const parent of completableParents) {
+				console.log(
+					chalk.yellow(
+						`All subtasks of parent task ${parent.id} are now finished.`
+					)
+				);
+				if (!process.stdin.isTTY) {
+					console.log(
+						chalk.yellow(
+							`Consider updating the parent task status with: task-master set-status --id=${parent.id} --status=${status}`
+						)
+					);
+					continue;
+				}
+
+				const { confirm } = await inquirer.prompt([
+					{
+						type: 'confirm',
+						name: 'confirm',
+						message: `Mark task ${parent.id} "${parent.title}" as ${status} too?`,
+						default: true
+					}
+				]);
+				if (confirm) {
+					await setTaskStatus(tasksPath, parent.id, status, {
+						force: options.force
+					});
+				}
+			}
 		});
 
 	// list command
@@ -610,10 +939,32 @@ function registerCommands(programInstance) {
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option('-s, --status <status>', 'Filter by status')
 		.option('--with-subtasks', 'Show subtasks for each task')
+		.option('--include-archived', 'Also list archived tasks')
+		.option(
+			'-l, --label <labels>',
+			'Only list tasks with these labels (comma-separated)'
+		)
+		.option(
+			'--field <name=value>',
+			'Only list tasks with this custom field value (repeatable)',
+			collectOptionValues
+		)
+		.option(
+			'--epic <id>',
+			'Only list the tasks of this epic ("none" for tasks without one)'
+		)
+		.option('--by-epic', 'Group the tasks by epic, with the progress of each')
 		.action(async (options) => {
 			const tasksPath = options.file;
 			const statusFilter = options.status;
 			const withSubtasks = options.withSubtasks || false;
+			const includeArchived = options.includeArchived || false;
+			const fieldFilters = options.field || [];
+			const filters = {
+				labels: options.label,
+				fields: fieldFilters,
+				epic: options.epic
+			};
 
 			console.log(chalk.blue(`Listing tasks from: ${tasksPath}`));
 			if (statusFilter) {
@@ -622,8 +973,26 @@ function registerCommands(programInstance) {
 			if (withSubtasks) {
 				console.log(chalk.blue('Including subtasks in listing'));
 			}
+			if (includeArchived) {
+				console.log(chalk.blue('Including archived tasks in listing'));
+			}
+			if (options.label || fieldFilters.length > 0 || options.epic) {
+				console.log(
+					chalk.blue(
+						`Filtering by ${[options.epic && `epic: ${options.epic}`, options.label && `labels: ${options.label}`, ...fieldFilters].filter(Boolean).join(', ')}`
+					)
+				);
+			}
 
-			await listTasks(tasksPath, statusFilter, withSubtasks);
+			await listTasks(
+				tasksPath,
+				statusFilter,
+				withSubtasks,
+				'text',
+				includeArchived,
+				filters,
+				{ byEpic: options.byEpic || false }
+			);
 		});
 
 	// expand command
@@ -631,7 +1000,10 @@ function registerCommands(programInstance) {
 		.command('expand')
 		.description('Break down tasks into detailed subtasks')
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-		.option('-i, --id <id>', 'Task ID to expand')
+		.option(
+			'-i, --id <id>',
+			'Task ID to expand, or a subtask ID (e.g. 4.2) to break down further'
+		)
 		.option('-a, --all', 'Expand all tasks')
 		.option(
 			'-n, --num <number>',
@@ -789,7 +1161,7 @@ function registerCommands(programInstance) {
 
 			if (all) {
 				// If --all is specified, get all task IDs
-				const data = readJSON(tasksPath);
+				const data = readTasks(tasksPath);
 				if (!data || !data.tasks) {
 					console.error(chalk.red('Error: No valid tasks found'));
 					process.exit(1);
@@ -836,6 +1208,15 @@ function registerCommands(programInstance) {
 			'-r, --research',
 			'Whether to use research capabilities for task creation'
 		)
+		.option('-l, --label <labels>', 'Comma-separated labels for the task')
+		.option(
+			'--field <name=value>',
+			'Custom field value, e.g. owner=alice or reviewed:date=2025-06-01 (repeatable)',
+			collectOptionValues
+		)
+		.option('--due <date>', 'Due date of the task (YYYY-MM-DD)')
+		.option('--estimate <hours>', 'Estimated work hours for the task')
+		.option('--epic <id>', 'Epic the task belongs to')
 		.action(async (options) => {
 			const isManualCreation = options.title && options.description;
 
@@ -905,7 +1286,14 @@ function registerCommands(programInstance) {
 					},
 					options.research || false,
 					null,
-					manualTaskData
+					manualTaskData,
+					{
+						labels: options.label,
+						fields: options.field,
+						dueDate: options.due,
+						estimate: options.estimate,
+						epic: options.epic
+					}
 				);
 
 				console.log(chalk.green(`✓ Added new task #${newTaskId}`));
@@ -926,9 +1314,49 @@ function registerCommands(programInstance) {
 			`Show the next task to work on based on dependencies and status${chalk.reset('')}`
 		)
 		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-l, --label <labels>',
+			'Only consider tasks with these labels (comma-separated)'
+		)
+		.option(
+			'--field <name=value>',
+			'Only consider tasks with this custom field value (repeatable)',
+			collectOptionValues
+		)
+		.option(
+			'--epic <id>',
+			'Only consider the tasks of this epic ("none" for tasks without one)'
+		)
+		.option(
+			'-o, --owner <owner>',
+			'Owner asking: skip tasks claimed by anyone else (default: skip all claimed tasks)'
+		)
+		.option('--explain', 'Show how the candidate tasks were scored')
+		.option(
+			'-n, --limit <number>',
+			'Number of candidates to show with --explain',
+			'10'
+		)
 		.action(async (options) => {
 			const tasksPath = options.file;
-			await displayNextTask(tasksPath);
+			try {
+				await displayNextTask(
+					tasksPath,
+					{
+						labels: options.label,
+						fields: options.field,
+						epic: options.epic
+					},
+					{
+						explain: options.explain,
+						limit: parseInt(options.limit, 10) || 10,
+						owner: options.owner
+					}
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
 		});
 
 	// show command
@@ -952,6 +1380,47 @@ function registerCommands(programInstance) {
 			await displayTaskById(tasksPath, idArg);
 		});
 
+	// log command
+	programInstance
+		.command('log')
+		.description(
+			`Show the notes of a task and its subtasks, or add a note${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Task or subtask ID (e.g. 3 or 3.2)')
+		.option('-k, --kind <kind>', `Kind of note (${NOTE_KINDS.join(', ')})`)
+		.option('-n, --note <text>', 'Add a note with this text')
+		.option('--author <name>', 'Who is writing the note')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				if (options.note !== undefined) {
+					const result = addTaskNote(options.file, options.id, options.note, {
+						kind: options.kind,
+						author: options.author
+					});
+					console.log(
+						chalk.green(
+							`Added a ${result.note.kind} note to task ${result.id}: ${result.title}`
+						)
+					);
+					return;
+				}
+
+				const result = getTaskLog(options.file, options.id, {
+					kind: options.kind
+				});
+				displayTaskLog(result, options.kind);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
 	// add-dependency command
 	programInstance
 		.command('add-dependency')
@@ -1034,69 +1503,1081 @@ function registerCommands(programInstance) {
 			await fixDependenciesCommand(options.file);
 		});
 
-	// complexity-report command
+	// critical-path command
 	programInstance
-		.command('complexity-report')
-		.description(`Display the complexity analysis report${chalk.reset('')}`)
+		.command('critical-path')
+		.description(
+			`Show the critical path and the waves of tasks that can run in parallel${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
 		.option(
-			'-f, --file <file>',
-			'Path to the report file',
+			'--by <weight>',
+			`Weigh tasks by ${CRITICAL_PATH_WEIGHTS.join(', ')} (default: complexity if analyzed, else estimate)`
+		)
+		.option(
+			'-r, --report <report>',
+			'Path to the complexity report',
 			'scripts/task-complexity-report.json'
 		)
+		.option('--json', 'Print the analysis as JSON')
 		.action(async (options) => {
-			await displayComplexityReport(options.file);
+			try {
+				const analysis = analyzeCriticalPath(options.file, {
+					weightBy: options.by,
+					complexityReportPath: options.report
+				});
+				if (options.json) {
+					console.log(JSON.stringify(analysis, null, 2));
+					return;
+				}
+				displayCriticalPath(analysis, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
 		});
 
-	// add-subtask command
+	// impact command
 	programInstance
-		.command('add-subtask')
-		.description('Add a subtask to an existing task')
-		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
-		.option('-p, --parent <id>', 'Parent task ID (required)')
-		.option('-i, --task-id <id>', 'Existing task ID to convert to subtask')
-		.option(
-			'-t, --title <title>',
-			'Title for the new subtask (when creating a new subtask)'
+		.command('impact')
+		.description(
+			`Show what removing tasks or changing their status affects${chalk.reset('')}`
 		)
-		.option('-d, --description <text>', 'Description for the new subtask')
-		.option('--details <text>', 'Implementation details for the new subtask')
+		.option('-i, --id <ids>', 'Task or subtask IDs (comma-separated)')
 		.option(
-			'--dependencies <ids>',
-			'Comma-separated list of dependency IDs for the new subtask'
+			'-s, --status <status>',
+			'Analyze setting this status instead of removing the tasks'
 		)
-		.option('-s, --status <status>', 'Status for the new subtask', 'pending')
-		.option('--skip-generate', 'Skip regenerating task files')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--json', 'Print the impact as JSON')
 		.action(async (options) => {
-			const tasksPath = options.file;
-			const parentId = options.parent;
-			const existingTaskId = options.taskId;
-			const generateFiles = !options.skipGenerate;
-
-			if (!parentId) {
+			if (!options.id) {
+				console.error(chalk.red('Error: Task ID is required'));
 				console.error(
-					chalk.red(
-						'Error: --parent parameter is required. Please provide a parent task ID.'
+					chalk.yellow(
+						'Usage: task-master impact --id=<ids> [--status=<status>]'
 					)
 				);
-				showAddSubtaskHelp();
 				process.exit(1);
 			}
 
-			// Parse dependencies if provided
-			let dependencies = [];
-			if (options.dependencies) {
-				dependencies = options.dependencies.split(',').map((id) => {
-					// Handle both regular IDs and dot notation
-					return id.includes('.') ? id.trim() : parseInt(id.trim(), 10);
+			try {
+				const impact = getTaskImpact(options.file, options.id, {
+					status: options.status
 				});
+				if (options.json) {
+					console.log(JSON.stringify(impact, null, 2));
+					return;
+				}
+				displayBanner();
+				displayImpact(impact, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
 			}
+		});
 
-			try {
-				if (existingTaskId) {
-					// Convert existing task to subtask
-					console.log(
-						chalk.blue(
-							`Converting task ${existingTaskId} to a subtask of ${parentId}...`
+	// graph command
+	programInstance
+		.command('graph')
+		.description(
+			`Draw the dependency graph as a Mermaid flowchart, Graphviz DOT or text tree${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--format <format>',
+			`Graph format (${GRAPH_FORMATS.join(', ')})`,
+			'ascii'
+		)
+		.option('-s, --subtasks', 'Include subtasks')
+		.option(
+			'--focus <id>',
+			'Only show the tasks connected to this task or subtask'
+		)
+		.option(
+			'--direction <direction>',
+			`Part of the graph around --focus (${FOCUS_DIRECTIONS.join(', ')})`,
+			'both'
+		)
+		.option(
+			'-o, --output <file>',
+			'File to write the graph to (default: print it)'
+		)
+		.action(async (options) => {
+			try {
+				const result = renderTaskGraph(options.file, {
+					format: options.format,
+					subtasks: options.subtasks,
+					focus: options.focus,
+					direction: options.direction,
+					output: options.output,
+					// Colors would end up as escape codes in a file
+					colorize: options.output
+						? undefined
+						: (text, status, workflow) => getStatusColor(status, workflow)(text)
+				});
+
+				if (!result.outputPath) {
+					process.stdout.write(result.content);
+					return;
+				}
+
+				console.log(
+					chalk.green(
+						`Wrote the ${result.format} graph of ${result.nodeCount} tasks to ${result.outputPath}`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// validate-schema command
+	programInstance
+		.command('validate-schema')
+		.description(
+			`Check tasks.json against the schema and report every violation${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--migrate', 'Apply pending schema migrations and save the file')
+		.action(async (options) => {
+			const tasksPath = options.file;
+
+			try {
+				let result = validateStoredTasks(tasksPath);
+
+				if (options.migrate && result.pendingMigrations.length > 0) {
+					// readTasks runs the migrations, writing the data back persists them
+					const data = readTasks(tasksPath);
+					writeTasks(tasksPath, data);
+					console.log(
+						chalk.green(
+							`Migrated ${tasksPath} to schema v${CURRENT_SCHEMA_VERSION}`
+						)
+					);
+					result = validateStoredTasks(tasksPath);
+				}
+
+				displaySchemaValidation(result, tasksPath);
+
+				if (!result.valid) {
+					process.exit(1);
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// history command
+	programInstance
+		.command('history')
+		.description(
+			`Show the operations recorded in the undo history${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-l, --limit <number>', 'Maximum number of entries to show', '20')
+		.action(async (options) => {
+			const tasksPath = options.file;
+			const limit = parseInt(options.limit, 10);
+
+			try {
+				displayHistory(getHistory(tasksPath, { limit }), tasksPath);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// undo command
+	programInstance
+		.command('undo')
+		.description(
+			`Revert the latest change made to tasks.json${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--force',
+			'Undo even if tasks.json was changed outside of Task Master'
+		)
+		.action(async (options) => {
+			const tasksPath = options.file;
+
+			try {
+				// Restoring a snapshot must not itself end up in the journal
+				const entry = runWithOperation(
+					{ label: 'undo', source: 'cli', journal: false },
+					() => {
+						const restored = undoOperation(tasksPath, { force: options.force });
+						generateTaskFiles(tasksPath, path.dirname(tasksPath));
+						return restored;
+					}
+				);
+
+				displayHistoryStep('Undid', entry);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// redo command
+	programInstance
+		.command('redo')
+		.description(
+			`Re-apply the most recently undone change to tasks.json${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--force',
+			'Redo even if tasks.json was changed outside of Task Master'
+		)
+		.action(async (options) => {
+			const tasksPath = options.file;
+
+			try {
+				// Restoring a snapshot must not itself end up in the journal
+				const entry = runWithOperation(
+					{ label: 'redo', source: 'cli', journal: false },
+					() => {
+						const restored = redoOperation(tasksPath, { force: options.force });
+						generateTaskFiles(tasksPath, path.dirname(tasksPath));
+						return restored;
+					}
+				);
+
+				displayHistoryStep('Redid', entry);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// archive command
+	programInstance
+		.command('archive')
+		.description(
+			`Move completed tasks out of tasks.json into the archive${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--older-than <days>',
+			'Only archive tasks completed at least this many days ago'
+		)
+		.option(
+			'-s, --status <status>',
+			'Only archive tasks with these statuses (comma-separated, default: all done and closed statuses)'
+		)
+		.option('-i, --id <ids>', 'Only archive these tasks (comma-separated)')
+		.option(
+			'--dry-run',
+			'Show which tasks would be archived without moving them'
+		)
+		.action(async (options) => {
+			const tasksPath = options.file;
+
+			try {
+				const result = archiveTasks(tasksPath, {
+					olderThan: options.olderThan,
+					status: options.status ? options.status.split(',') : undefined,
+					ids: options.id
+						? options.id.split(',').map((id) => id.trim())
+						: undefined,
+					dryRun: options.dryRun
+				});
+
+				displayArchiveResult(result);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// storage-export command
+	programInstance
+		.command('storage-export')
+		.description(
+			`Copy all tasks to another storage file, e.g. an SQLite database${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.requiredOption(
+			'-o, --output <file>',
+			'File to copy the tasks to (.db, .sqlite or .sqlite3 for SQLite, otherwise JSON)'
+		)
+		.option('--force', 'Replace the output file if it already exists')
+		.action(async (options) => {
+			try {
+				const result = copyTasksStorage(options.file, options.output, {
+					force: options.force
+				});
+				displayStorageCopy(result, options.file, options.output);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// storage-import command
+	programInstance
+		.command('storage-import')
+		.description(
+			`Replace the tasks with the contents of another storage file${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.requiredOption(
+			'-i, --input <file>',
+			'File to copy the tasks from (.db, .sqlite or .sqlite3 for SQLite, otherwise JSON)'
+		)
+		.option('--force', 'Replace the tasks file if it already exists')
+		.action(async (options) => {
+			try {
+				const result = copyTasksStorage(options.input, options.file, {
+					force: options.force
+				});
+				generateTaskFiles(options.file, path.dirname(options.file));
+				displayStorageCopy(result, options.input, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// tags command with subcommands to manage named task lists
+	const tagsCommand = programInstance
+		.command('tags')
+		.description(
+			`Manage named task lists (tags) in the tasks file${chalk.reset('')}`
+		);
+
+	tagsCommand
+		.command('list', { isDefault: true })
+		.description('List the task lists and show the current one')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			try {
+				displayTags(listTags(options.file), options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	tagsCommand
+		.command('add <name>')
+		.description('Create a new, empty task list or a copy of an existing one')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-d, --description <text>', 'Description of the task list')
+		.option('--copy-from <tag>', 'Copy the tasks of an existing task list')
+		.action(async (name, options) => {
+			try {
+				const tag = runWithOperation(
+					{ label: `tags add ${name}`, source: 'cli' },
+					() =>
+						addTag(options.file, name, {
+							description: options.description,
+							copyFrom: options.copyFrom
+						})
+				);
+				displayTagChange(`Created task list "${name}"`, tag);
+				console.log(
+					chalk.white(
+						`\nRun ${chalk.yellow(`task-master tags use ${name}`)} to make it the current task list.`
+					)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	tagsCommand
+		.command('use <name>')
+		.description('Switch the current task list')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (name, options) => {
+			try {
+				const tag = useTag(options.file, name);
+				displayTagChange(`Switched to task list "${name}"`, tag);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	tagsCommand
+		.command('copy <source> <target>')
+		.description('Copy a task list with all of its tasks')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-d, --description <text>', 'Description of the new task list')
+		.action(async (source, target, options) => {
+			try {
+				const tag = runWithOperation(
+					{ label: `tags copy ${source} ${target}`, source: 'cli' },
+					() =>
+						copyTag(options.file, source, target, {
+							description: options.description
+						})
+				);
+				runWithTag(target, () =>
+					generateTaskFiles(options.file, path.dirname(options.file))
+				);
+				displayTagChange(`Copied task list "${source}" to "${target}"`, tag);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	tagsCommand
+		.command('delete <name>')
+		.description('Delete a task list with all of its tasks')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.action(async (name, options) => {
+			try {
+				if (!options.yes) {
+					const { confirm } = await inquirer.prompt([
+						{
+							type: 'confirm',
+							name: 'confirm',
+							message: chalk.red.bold(
+								`Are you sure you want to delete the task list "${name}" and all of its tasks?`
+							),
+							default: false
+						}
+					]);
+
+					if (!confirm) {
+						console.log(chalk.blue('Task list deletion cancelled.'));
+						process.exit(0);
+					}
+				}
+
+				const tag = runWithOperation(
+					{ label: `tags delete ${name}`, source: 'cli' },
+					() => deleteTag(options.file, name)
+				);
+				displayTagChange(`Deleted task list "${name}"`, tag);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// label command with subcommands to tag tasks with labels
+	const labelCommand = programInstance
+		.command('label')
+		.description(`Manage the labels of tasks and subtasks${chalk.reset('')}`);
+
+	labelCommand
+		.command('list', { isDefault: true })
+		.description('List the labels in use and how many tasks have them')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			const data = readTasks(options.file);
+			if (!data) {
+				console.error(
+					chalk.red(`Error: No valid tasks found in ${options.file}`)
+				);
+				process.exit(1);
+			}
+			displayLabels(countLabels(data.tasks), options.file);
+		});
+
+	labelCommand
+		.command('add')
+		.description('Add labels to tasks and subtasks')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-i, --id <ids>',
+			'Comma-separated task or subtask IDs (e.g. 3,4.1)'
+		)
+		.option('-l, --label <labels>', 'Comma-separated labels to add')
+		.action(async (options) => {
+			if (!options.id || !options.label) {
+				console.error(chalk.red('Error: Both --id and --label are required'));
+				process.exit(1);
+			}
+
+			try {
+				const results = addTaskLabels(options.file, options.id, options.label);
+				displayLabelChange(results, false);
+				if (results.some((result) => result.changed)) {
+					await generateTaskFiles(options.file, path.dirname(options.file));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	labelCommand
+		.command('remove')
+		.description('Remove labels from tasks and subtasks')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-i, --id <ids>',
+			'Comma-separated task or subtask IDs (e.g. 3,4.1)'
+		)
+		.option('-l, --label <labels>', 'Comma-separated labels to remove')
+		.action(async (options) => {
+			if (!options.id || !options.label) {
+				console.error(chalk.red('Error: Both --id and --label are required'));
+				process.exit(1);
+			}
+
+			try {
+				const results = removeTaskLabels(
+					options.file,
+					options.id,
+					options.label
+				);
+				displayLabelChange(results, true);
+				if (results.some((result) => result.changed)) {
+					await generateTaskFiles(options.file, path.dirname(options.file));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// epic command with subcommands to group tasks into epics and milestones
+	const epicCommand = programInstance
+		.command('epic')
+		.description(
+			`Manage the epics and milestones tasks belong to${chalk.reset('')}`
+		);
+
+	epicCommand
+		.command('list', { isDefault: true })
+		.description('List the epics with the progress of their tasks')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			const data = readTasks(options.file);
+			if (!data) {
+				console.error(
+					chalk.red(`Error: No valid tasks found in ${options.file}`)
+				);
+				process.exit(1);
+			}
+			const summary = listEpics(
+				[...data.tasks, ...readArchivedTasks(options.file)],
+				data.meta
+			);
+			displayEpics(summary, getWorkflow(data.meta), options.file);
+		});
+
+	epicCommand
+		.command('add')
+		.description('Add an epic, or a milestone when it has a target date')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-t, --title <title>', 'Title of the epic')
+		.option('--id <id>', 'Epic ID (default: derived from the title)')
+		.option('-g, --goal <goal>', 'What the epic delivers')
+		.option('--target-date <date>', 'Target date (YYYY-MM-DD)')
+		.action(async (options) => {
+			if (!options.title) {
+				console.error(chalk.red('Error: --title is required'));
+				process.exit(1);
+			}
+
+			try {
+				const epic = addEpic(options.file, {
+					id: options.id,
+					title: options.title,
+					goal: options.goal,
+					targetDate: options.targetDate
+				});
+				displayEpicChange(`Added epic "${epic.title}"`, epic);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	epicCommand
+		.command('update')
+		.description('Change the title, goal or target date of an epic')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Epic ID')
+		.option('-t, --title <title>', 'New title')
+		.option('-g, --goal <goal>', 'New goal (an empty goal removes it)')
+		.option(
+			'--target-date <date>',
+			'New target date (YYYY-MM-DD, "none" to remove it)'
+		)
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				const epic = updateEpic(options.file, options.id, {
+					title: options.title,
+					goal: options.goal,
+					targetDate: options.targetDate
+				});
+				displayEpicChange(`Updated epic "${epic.title}"`, epic);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	epicCommand
+		.command('remove')
+		.description('Remove an epic, its tasks are kept without an epic')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Epic ID')
+		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				if (!options.yes) {
+					const { confirm } = await inquirer.prompt([
+						{
+							type: 'confirm',
+							name: 'confirm',
+							message: chalk.red.bold(
+								`Are you sure you want to remove the epic "${options.id}"? Its tasks are kept.`
+							),
+							default: false
+						}
+					]);
+
+					if (!confirm) {
+						console.log(chalk.blue('Epic removal cancelled.'));
+						process.exit(0);
+					}
+				}
+
+				const { epic, unassigned } = removeEpic(options.file, options.id);
+				displayEpicChange(
+					`Removed epic "${epic.title}" from ${unassigned} task(s)`,
+					epic
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	epicCommand
+		.command('assign')
+		.description('Move tasks into an epic, or out of their epic')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Epic ID, or "none" to take the tasks out')
+		.option('-t, --tasks <ids>', 'Comma-separated task IDs (e.g. 3,4)')
+		.action(async (options) => {
+			if (!options.id || !options.tasks) {
+				console.error(chalk.red('Error: Both --id and --tasks are required'));
+				process.exit(1);
+			}
+
+			try {
+				displayEpicAssignment(
+					assignEpic(options.file, options.tasks, options.id)
+				);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// workflow command
+	const workflowCommand = programInstance
+		.command('workflow')
+		.description(
+			`Show or change the statuses tasks can have${chalk.reset('')}`
+		);
+
+	workflowCommand
+		.command('show', { isDefault: true })
+		.description('Show the statuses of the workflow and their transitions')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--json', 'Print the workflow definition as JSON')
+		.action(async (options) => {
+			const data = readTasks(options.file);
+			if (!data) {
+				console.error(
+					chalk.red(`Error: No valid tasks found in ${options.file}`)
+				);
+				process.exit(1);
+			}
+
+			try {
+				const workflow = getWorkflow(data.meta);
+				if (options.json) {
+					const { custom, ...definition } = workflow;
+					console.log(JSON.stringify(definition, null, 2));
+					return;
+				}
+				displayWorkflow(workflow, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	workflowCommand
+		.command('set')
+		.description('Use the workflow defined in a JSON file')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--from <file>', 'JSON file with the workflow definition')
+		.action(async (options) => {
+			if (!options.from) {
+				console.error(chalk.red('Error: --from is required'));
+				process.exit(1);
+			}
+
+			try {
+				const content = JSON.parse(fs.readFileSync(options.from, 'utf8'));
+				// Also accept a tasks.json-like file with the workflow in meta
+				const definition = content.meta?.workflow || content;
+				const workflow = setWorkflow(options.file, definition);
+				displayWorkflow(workflow, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	workflowCommand
+		.command('reset')
+		.description('Go back to the default workflow')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			try {
+				const workflow = setWorkflow(options.file, null);
+				displayWorkflow(workflow, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// scoring command
+	programInstance
+		.command('scoring')
+		.description(
+			`Show or change how the next command ranks tasks${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'--weight <factor=weight>',
+			'Weight of a factor, e.g. unblocks=0.5 (repeatable)',
+			collectOptionValues
+		)
+		.option(
+			'--label-weight <label=weight>',
+			'Points for tasks with a label, "none" removes it (repeatable)',
+			collectOptionValues
+		)
+		.option(
+			'--due-within <days>',
+			'Days before its due date a task starts to score'
+		)
+		.option('--max-age <days>', 'Age at which a task gets the full age value')
+		.option('--reset', 'Go back to the default scoring')
+		.option('--json', 'Print the scoring settings as JSON')
+		.action(async (options) => {
+			try {
+				const weights = options.weight || [];
+				const labelWeights = options.labelWeight || [];
+				const changed =
+					weights.length > 0 ||
+					labelWeights.length > 0 ||
+					options.dueWithin !== undefined ||
+					options.maxAge !== undefined;
+				let settings;
+				if (options.reset) {
+					settings = setScoringSettings(options.file, null);
+				} else if (changed) {
+					settings = setScoringSettings(options.file, {
+						weights,
+						labels: labelWeights,
+						dueWithinDays: options.dueWithin,
+						maxAgeDays: options.maxAge
+					});
+				} else {
+					const data = readTasks(options.file);
+					if (!data) {
+						console.error(
+							chalk.red(`Error: No valid tasks found in ${options.file}`)
+						);
+						process.exit(1);
+					}
+					settings = getScoringSettings(data.meta);
+				}
+
+				if (options.json) {
+					console.log(JSON.stringify(settings, null, 2));
+					return;
+				}
+				displayScoring(settings, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// claim command
+	programInstance
+		.command('claim')
+		.description(
+			`Claim a task or subtask so the next command skips it for others${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Task or subtask ID (e.g. 3 or 3.2)')
+		.option('--next', 'Claim the next task, or its next subtask')
+		.option(
+			'-o, --owner <owner>',
+			'Owner ID, e.g. the name of an agent',
+			os.userInfo().username
+		)
+		.option(
+			'--lease <minutes>',
+			'Minutes until the claim expires',
+			String(DEFAULT_LEASE_MINUTES)
+		)
+		.option('--force', 'Take over a task someone else claimed')
+		.action(async (options) => {
+			if (!options.id && !options.next) {
+				console.error(chalk.red('Error: Give a task with --id, or use --next'));
+				process.exit(1);
+			}
+
+			try {
+				if (options.next) {
+					const result = claimNextTask(options.file, options.owner, {
+						leaseMinutes: options.lease
+					});
+					displayClaimResult(result, 'claim-next');
+					return;
+				}
+				const result = claimTask(options.file, options.id, options.owner, {
+					leaseMinutes: options.lease,
+					force: options.force
+				});
+				displayClaimResult(result, 'claim');
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// release command
+	programInstance
+		.command('release')
+		.description(`Release the claim on a task or subtask${chalk.reset('')}`)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Task or subtask ID (e.g. 3 or 3.2)')
+		.option(
+			'-o, --owner <owner>',
+			'Owner ID the task was claimed with',
+			os.userInfo().username
+		)
+		.option('--force', 'Release a claim someone else holds')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				const result = releaseTask(options.file, options.id, options.owner, {
+					force: options.force
+				});
+				displayClaimResult(result, 'release');
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// set-schedule command
+	programInstance
+		.command('set-schedule')
+		.description(
+			`Set the due date and estimate of tasks and subtasks${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-i, --id <ids>',
+			'Comma-separated task or subtask IDs (e.g. 3,4.1)'
+		)
+		.option('--due <date>', 'Due date (YYYY-MM-DD), or "none" to remove it')
+		.option(
+			'--estimate <hours>',
+			'Estimated work hours, or "none" to remove the estimate'
+		)
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				const results = setTaskSchedule(options.file, options.id, {
+					dueDate: options.due,
+					estimate: options.estimate
+				});
+				displayScheduleChange(results);
+				if (results.some((result) => result.changed)) {
+					await generateTaskFiles(options.file, path.dirname(options.file));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// forecast command
+	programInstance
+		.command('forecast')
+		.description(
+			`Forecast when tasks will be finished and which will miss their due date${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--people <number>', 'Number of people working on the tasks')
+		.option('--hours-per-day <hours>', 'Work hours per person per day')
+		.option('--start <date>', 'First day of work (YYYY-MM-DD, default: today)')
+		.option('--save', 'Save the team capacity as the default of the project')
+		.option('--json', 'Print the forecast as JSON')
+		.action(async (options) => {
+			try {
+				const forecast = forecastTasks(options.file, {
+					people: options.people,
+					hoursPerDay: options.hoursPerDay,
+					startDate: options.start,
+					save: options.save
+				});
+				if (options.json) {
+					console.log(JSON.stringify(forecast, null, 2));
+					return;
+				}
+				displayForecast(forecast, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// timeline command
+	programInstance
+		.command('timeline')
+		.description(
+			`Show the status history of a task or subtask${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'Task or subtask ID (e.g. 3 or 3.2)')
+		.option('--json', 'Print the timeline as JSON')
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				process.exit(1);
+			}
+
+			try {
+				const timeline = getTaskTimeline(options.file, options.id);
+				if (options.json) {
+					console.log(JSON.stringify(timeline, null, 2));
+					return;
+				}
+				displayTimeline(timeline, options.file);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// complexity-report command
+	programInstance
+		.command('complexity-report')
+		.description(`Display the complexity analysis report${chalk.reset('')}`)
+		.option(
+			'-f, --file <file>',
+			'Path to the report file',
+			'scripts/task-complexity-report.json'
+		)
+		.action(async (options) => {
+			await displayComplexityReport(options.file);
+		});
+
+	// add-subtask command
+	programInstance
+		.command('add-subtask')
+		.description('Add a subtask to an existing task')
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-p, --parent <id>',
+			'Parent task ID, or a subtask ID to nest under (required)'
+		)
+		.option('-i, --task-id <id>', 'Existing task ID to convert to subtask')
+		.option(
+			'-t, --title <title>',
+			'Title for the new subtask (when creating a new subtask)'
+		)
+		.option('-d, --description <text>', 'Description for the new subtask')
+		.option('--details <text>', 'Implementation details for the new subtask')
+		.option(
+			'--dependencies <ids>',
+			'Comma-separated list of dependency IDs for the new subtask'
+		)
+		.option(
+			'-s, --status <status>',
+			'Status for the new subtask (default: the initial status of the workflow)'
+		)
+		.option(
+			'-l, --label <labels>',
+			'Comma-separated labels for the new subtask'
+		)
+		.option(
+			'--field <name=value>',
+			'Custom field value for the new subtask (repeatable)',
+			collectOptionValues
+		)
+		.option('--due <date>', 'Due date of the new subtask (YYYY-MM-DD)')
+		.option('--estimate <hours>', 'Estimated work hours for the new subtask')
+		.option('--skip-generate', 'Skip regenerating task files')
+		.action(async (options) => {
+			const tasksPath = options.file;
+			const parentId = options.parent;
+			const existingTaskId = options.taskId;
+			const generateFiles = !options.skipGenerate;
+
+			if (!parentId) {
+				console.error(
+					chalk.red(
+						'Error: --parent parameter is required. Please provide a parent task ID.'
+					)
+				);
+				showAddSubtaskHelp();
+				process.exit(1);
+			}
+
+			// Parse dependencies if provided
+			let dependencies = [];
+			if (options.dependencies) {
+				dependencies = options.dependencies.split(',').map((id) => {
+					// Handle both regular IDs and dot notation
+					return id.includes('.') ? id.trim() : parseInt(id.trim(), 10);
+				});
+			}
+
+			try {
+				if (existingTaskId) {
+					// Convert existing task to subtask
+					console.log(
+						chalk.blue(
+							`Converting task ${existingTaskId} to a subtask of ${parentId}...`
 						)
 					);
 					await addSubtask(
@@ -1121,8 +2602,12 @@ function registerCommands(programInstance) {
 						title: options.title,
 						description: options.description || '',
 						details: options.details || '',
-						status: options.status || 'pending',
-						dependencies: dependencies
+						status: options.status,
+						dependencies: dependencies,
+						labels: options.label,
+						fields: options.field,
+						dueDate: options.due,
+						estimate: options.estimate
 					};
 
 					const subtask = await addSubtask(
@@ -1218,7 +2703,7 @@ function registerCommands(programInstance) {
 					`  task-master add-subtask --parent=<id> [options]\n\n` +
 					chalk.cyan('Options:') +
 					'\n' +
-					'  -p, --parent <id>         Parent task ID (required)\n' +
+					'  -p, --parent <id>         Parent task ID, or a subtask ID like 4.2 to nest under (required)\n' +
 					'  -i, --task-id <id>        Existing task ID to convert to subtask\n' +
 					'  -t, --title <title>       Title for the new subtask\n' +
 					'  -d, --description <text>  Description for the new subtask\n' +
@@ -1230,7 +2715,8 @@ function registerCommands(programInstance) {
 					chalk.cyan('Examples:') +
 					'\n' +
 					'  task-master add-subtask --parent=5 --task-id=8\n' +
-					'  task-master add-subtask -p 5 -t "Implement login UI" -d "Create the login form"',
+					'  task-master add-subtask -p 5 -t "Implement login UI" -d "Create the login form"\n' +
+					'  task-master add-subtask -p 5.2 -t "Validate the login form"',
 				{ padding: 1, borderColor: 'blue', borderStyle: 'round' }
 			)
 		);
@@ -1383,6 +2869,193 @@ function registerCommands(programInstance) {
 		);
 	}
 
+	// move command
+	programInstance
+		.command('move')
+		.description(
+			`Move a task or subtask, with its subtasks, to a new ID${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('--from <id>', 'ID of the task or subtask to move (e.g. 5.2)')
+		.option(
+			'--to <id>',
+			'New ID (e.g. 9 to make it a task, 3.4 to move it under task 3)'
+		)
+		.action(async (options) => {
+			if (!options.from || !options.to) {
+				console.error(chalk.red('Error: Both --from and --to are required'));
+				console.error(
+					chalk.yellow('Usage: task-master move --from=<id> --to=<id>')
+				);
+				process.exit(1);
+			}
+
+			try {
+				const result = moveTask(options.file, options.from, options.to);
+				displayIdMapping(result);
+				if (result.mapping.length > 0) {
+					await generateTaskFiles(options.file, path.dirname(options.file));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// renumber command
+	programInstance
+		.command('renumber')
+		.description(
+			`Renumber tasks and subtasks from 1, closing the gaps${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.action(async (options) => {
+			try {
+				const result = renumberTasks(options.file);
+				displayIdMapping(result);
+				if (result.mapping.length > 0) {
+					await generateTaskFiles(options.file, path.dirname(options.file));
+				}
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// split command
+	programInstance
+		.command('split')
+		.description(
+			`Split a task into several tasks, drafted by AI or given by title${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option('-i, --id <id>', 'ID of the task to split')
+		.option(
+			'--title <title>',
+			'Title of a new task, repeat for each one; the first one keeps the ID and the subtasks (skips the AI draft)',
+			collectOptionValues
+		)
+		.option('-n, --count <number>', 'Number of tasks the AI should split into')
+		.option('-p, --prompt <text>', 'Additional instructions for the AI draft')
+		.option('--dry-run', 'Show the AI draft without splitting the task')
+		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.action(async (options) => {
+			if (!options.id) {
+				console.error(chalk.red('Error: --id is required'));
+				console.error(
+					chalk.yellow(
+						'Usage: task-master split --id=<id> [--title=<title> --title=<title>]'
+					)
+				);
+				process.exit(1);
+			}
+
+			try {
+				let parts = (options.title || []).map((title) => ({ title }));
+				if (parts.length === 0) {
+					const proposal = await draftSplit(options.file, options.id, {
+						count: options.count,
+						prompt: options.prompt
+					});
+					displaySplitProposal(proposal, 'split');
+					if (options.dryRun) {
+						return;
+					}
+
+					if (!options.yes) {
+						const { confirm } = await inquirer.prompt([
+							{
+								type: 'confirm',
+								name: 'confirm',
+								message: `Split task ${proposal.id} into these ${proposal.parts.length} tasks?`,
+								default: true
+							}
+						]);
+
+						if (!confirm) {
+							console.log(chalk.blue('Split cancelled.'));
+							process.exit(0);
+						}
+					}
+					parts = proposal.parts;
+				}
+
+				const result = splitTask(options.file, options.id, parts);
+				displaySplitResult(result, 'split');
+				await generateTaskFiles(options.file, path.dirname(options.file));
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
+	// merge command
+	programInstance
+		.command('merge')
+		.description(
+			`Merge tasks with their details and subtasks into the first one${chalk.reset('')}`
+		)
+		.option('-f, --file <file>', 'Path to the tasks file', 'tasks/tasks.json')
+		.option(
+			'-i, --ids <ids>',
+			'Comma-separated IDs of the tasks to merge (e.g. 8,9); the first one takes in the others'
+		)
+		.option('--title <title>', 'Title of the merged task')
+		.option(
+			'--manual',
+			'Combine the descriptions and details as they are instead of having the AI rewrite them'
+		)
+		.option('-p, --prompt <text>', 'Additional instructions for the AI draft')
+		.option('--dry-run', 'Show the AI draft without merging the tasks')
+		.option('-y, --yes', 'Skip confirmation prompt', false)
+		.action(async (options) => {
+			if (!options.ids) {
+				console.error(chalk.red('Error: --ids is required'));
+				console.error(
+					chalk.yellow('Usage: task-master merge --ids=<id>,<id> [--manual]')
+				);
+				process.exit(1);
+			}
+
+			try {
+				let draft = { title: options.title };
+				if (!options.manual) {
+					const proposal = await draftMerge(options.file, options.ids, {
+						prompt: options.prompt
+					});
+					proposal.task.title = options.title || proposal.task.title;
+					displaySplitProposal(proposal, 'merge');
+					if (options.dryRun) {
+						return;
+					}
+
+					if (!options.yes) {
+						const { confirm } = await inquirer.prompt([
+							{
+								type: 'confirm',
+								name: 'confirm',
+								message: `Merge tasks ${proposal.ids.join(', ')} into task ${proposal.ids[0]}?`,
+								default: true
+							}
+						]);
+
+						if (!confirm) {
+							console.log(chalk.blue('Merge cancelled.'));
+							process.exit(0);
+						}
+					}
+					draft = proposal.task;
+				}
+
+				const result = mergeTasks(options.file, options.ids, draft);
+				displaySplitResult(result, 'merge');
+				await generateTaskFiles(options.file, path.dirname(options.file));
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		});
+
 	// remove-task command
 	programInstance
 		.command('remove-task')
@@ -1407,7 +3080,7 @@ function registerCommands(programInstance) {
 
 			try {
 				// Check if the tasks file exists and is valid
-				const data = readJSON(tasksPath);
+				const data = readTasks(tasksPath);
 				if (!data || !data.tasks) {
 					console.error(
 						chalk.red(`Error: No valid tasks found in ${tasksPath}`)
@@ -1466,31 +3139,13 @@ function registerCommands(programInstance) {
 									)
 								);
 							}
-
-							// Show if other tasks depend on it
-							const dependentTasks = data.tasks.filter(
-								(t) =>
-									t.dependencies &&
-									t.dependencies.includes(parseInt(taskId, 10))
-							);
-
-							if (dependentTasks.length > 0) {
-								console.log(
-									chalk.yellow(
-										`⚠️ Warning: ${dependentTasks.length} other tasks depend on this task!`
-									)
-								);
-								console.log(
-									chalk.yellow('These dependencies will be removed:')
-								);
-								dependentTasks.forEach((t) => {
-									console.log(chalk.yellow(`  - Task ${t.id}: ${t.title}`));
-								});
-							}
 						}
 						console.log();
 					}
 
+					// Show what depends on the tasks before they are gone
+					displayImpact(getTaskImpact(tasksPath, taskIdArray), tasksPath);
+
 					// Prompt for confirmation
 					const { confirm } = await inquirer.prompt([
 						{
@@ -1663,6 +3318,44 @@ function setupCLI() {
 	// Register commands
 	registerCommands(programInstance);
 
+	// Every command working on the tasks file can target another task list
+	programInstance.commands
+		.filter((command) => !TAGLESS_COMMANDS.includes(command.name()))
+		// Subcommands such as `label add` work on a task list too
+		.flatMap((command) => [command, ...command.commands])
+		.filter((command) =>
+			command.options.some((option) => option.long === '--file')
+		)
+		.forEach((command) => {
+			command.option(
+				'--tag <name>',
+				'Task list (tag) to use instead of the current one'
+			);
+		});
+
+	// Projects stored in SQLite work without passing --file to every command
+	programInstance.hook('preAction', (thisCommand, actionCommand) => {
+		if (
+			actionCommand.getOptionValueSource('file') === 'default' &&
+			actionCommand.opts().file === DEFAULT_TASKS_PATH &&
+			!fs.existsSync(DEFAULT_TASKS_PATH) &&
+			fs.existsSync(DEFAULT_SQLITE_TASKS_PATH)
+		) {
+			actionCommand.setOptionValue('file', DEFAULT_SQLITE_TASKS_PATH);
+		}
+
+		const { tag } = actionCommand.opts();
+		if (tag) {
+			try {
+				validateTagName(tag);
+			} catch (error) {
+				console.error(chalk.red(`Error: ${error.message}`));
+				process.exit(1);
+			}
+		}
+		setProcessTag(tag);
+	});
+
 	return programInstance;
 }
 
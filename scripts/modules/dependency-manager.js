@@ -10,17 +10,35 @@ import { Anthropic } from '@anthropic-ai/sdk';
 
 import {
 	log,
-	readJSON,
-	writeJSON,
+	createError,
 	taskExists,
 	formatTaskId,
+	findTaskPath,
+	getParentTaskId,
+	resolveDependencyId,
+	flattenSubtasks,
 	findCycles,
-	isSilentMode
+	isSilentMode,
+	readComplexityReport,
+	findTaskInComplexityReport
 } from './utils.js';
 
 import { displayBanner } from './ui.js';
 
+import {
+	readTasks,
+	acquireTasksLock,
+	withTasksLock,
+	writeTasks
+} from './task-store.js';
+
 import { generateTaskFiles } from './task-manager.js';
+import { readArchivedTasks } from './task-archive.js';
+import { getWorkflow, isDoneStatus, isClosedStatus } from './task-workflow.js';
+import { getRemainingEffort } from './task-schedule.js';
+
+// What the length of a dependency chain is measured in
+const CRITICAL_PATH_WEIGHTS = ['complexity', 'estimate', 'count'];
 
 // Initialize Anthropic client
 const anthropic = new Anthropic({
@@ -34,9 +52,21 @@ const anthropic = new Anthropic({
  * @param {number|string} dependencyId - ID of the task to add as dependency
  */
 async function addDependency(tasksPath, taskId, dependencyId) {
+	return withTasksLock(tasksPath, () =>
+		addDependencyUnlocked(tasksPath, taskId, dependencyId)
+	);
+}
+
+/**
+ * Add a dependency to a task, assuming the caller holds the tasks lock
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} taskId - ID of the task to add dependency to
+ * @param {number|string} dependencyId - ID of the task to add as dependency
+ */
+async function addDependencyUnlocked(tasksPath, taskId, dependencyId) {
 	log('info', `Adding dependency ${dependencyId} to task ${taskId}...`);
 
-	const data = readJSON(tasksPath);
+	const data = readTasks(tasksPath);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found in tasks.json');
 		process.exit(1);
@@ -50,8 +80,13 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 
 	const formattedDependencyId = formatTaskId(dependencyId);
 
-	// Check if the dependency task or subtask actually exists
-	if (!taskExists(data.tasks, formattedDependencyId)) {
+	// Check if the dependency task or subtask actually exists (archived tasks do)
+	if (
+		!taskExists(
+			[...data.tasks, ...readArchivedTasks(tasksPath)],
+			formattedDependencyId
+		)
+	) {
 		log(
 			'error',
 			`Dependency target ${formattedDependencyId} does not exist in tasks.json`
@@ -59,43 +94,14 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		process.exit(1);
 	}
 
-	// Find the task to update
-	let targetTask = null;
-	let isSubtask = false;
-
-	if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-		// Handle dot notation for subtasks (e.g., "1.2")
-		const [parentId, subtaskId] = formattedTaskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = data.tasks.find((t) => t.id === parentId);
-
-		if (!parentTask) {
-			log('error', `Parent task ${parentId} not found.`);
-			process.exit(1);
-		}
-
-		if (!parentTask.subtasks) {
-			log('error', `Parent task ${parentId} has no subtasks.`);
-			process.exit(1);
-		}
-
-		targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-		isSubtask = true;
-
-		if (!targetTask) {
-			log('error', `Subtask ${formattedTaskId} not found.`);
-			process.exit(1);
-		}
-	} else {
-		// Regular task (not a subtask)
-		targetTask = data.tasks.find((t) => t.id === formattedTaskId);
-
-		if (!targetTask) {
-			log('error', `Task ${formattedTaskId} not found.`);
-			process.exit(1);
-		}
+	// Find the task or subtask to update, at any depth (e.g. "1.2.1")
+	const found = findTaskPath(data.tasks, formattedTaskId);
+	if (!found) {
+		log('error', `Task ${formattedTaskId} not found.`);
+		process.exit(1);
 	}
+	const targetTask = found.item;
+	const isSubtask = found.parent !== null;
 
 	// Initialize dependencies array if it doesn't exist
 	if (!targetTask.dependencies) {
@@ -154,22 +160,28 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		process.exit(1);
 	}
 
-	// Check for circular dependencies
-	let dependencyChain = [formattedTaskId];
-	if (
-		!isCircularDependency(data.tasks, formattedDependencyId, dependencyChain)
-	) {
-		// Add the dependency
-		targetTask.dependencies.push(formattedDependencyId);
-
+	// Add the dependency, storing plain task IDs as numbers to match the schema,
+	// then check for circular dependencies. Checking with the dependency in
+	// place also catches cycles through the subtasks of the task, which wait
+	// for its dependencies as well.
+	targetTask.dependencies.push(
+		/^\d+$/.test(String(formattedDependencyId))
+			? parseInt(formattedDependencyId, 10)
+			: formattedDependencyId
+	);
+	if (!isCircularDependency(data.tasks, formattedTaskId)) {
 		// Sort dependencies numerically or by parent task ID first, then subtask ID
 		targetTask.dependencies.sort((a, b) => {
 			if (typeof a === 'number' && typeof b === 'number') {
 				return a - b;
 			} else if (typeof a === 'string' && typeof b === 'string') {
-				const [aParent, aChild] = a.split('.').map(Number);
-				const [bParent, bChild] = b.split('.').map(Number);
-				return aParent !== bParent ? aParent - bParent : aChild - bChild;
+				// Compare subtask IDs part by part, so "2.1.3" comes before "2.10"
+				const aParts = a.split('.').map(Number);
+				const bParts = b.split('.').map(Number);
+				const index = aParts.findIndex((part, i) => part !== bParts[i]);
+				return index === -1
+					? aParts.length - bParts.length
+					: (aParts[index] ?? 0) - (bParts[index] ?? 0);
 			} else if (typeof a === 'number') {
 				return -1; // Numbers come before strings
 			} else {
@@ -178,7 +190,7 @@ async function addDependency(tasksPath, taskId, dependencyId) {
 		});
 
 		// Save changes
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 		log(
 			'success',
 			`Added dependency ${formattedDependencyId} to task ${formattedTaskId}`
@@ -220,10 +232,22 @@ async function addDependency(tasksPath, taskId, dependencyId) {
  * @param {number|string} dependencyId - ID of the task to remove as dependency
  */
 async function removeDependency(tasksPath, taskId, dependencyId) {
+	return withTasksLock(tasksPath, () =>
+		removeDependencyUnlocked(tasksPath, taskId, dependencyId)
+	);
+}
+
+/**
+ * Remove a dependency from a task, assuming the caller holds the tasks lock
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {number|string} taskId - ID of the task to remove dependency from
+ * @param {number|string} dependencyId - ID of the task to remove as dependency
+ */
+async function removeDependencyUnlocked(tasksPath, taskId, dependencyId) {
 	log('info', `Removing dependency ${dependencyId} from task ${taskId}...`);
 
 	// Read tasks file
-	const data = readJSON(tasksPath);
+	const data = readTasks(tasksPath);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
@@ -237,43 +261,14 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 
 	const formattedDependencyId = formatTaskId(dependencyId);
 
-	// Find the task to update
-	let targetTask = null;
-	let isSubtask = false;
-
-	if (typeof formattedTaskId === 'string' && formattedTaskId.includes('.')) {
-		// Handle dot notation for subtasks (e.g., "1.2")
-		const [parentId, subtaskId] = formattedTaskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = data.tasks.find((t) => t.id === parentId);
-
-		if (!parentTask) {
-			log('error', `Parent task ${parentId} not found.`);
-			process.exit(1);
-		}
-
-		if (!parentTask.subtasks) {
-			log('error', `Parent task ${parentId} has no subtasks.`);
-			process.exit(1);
-		}
-
-		targetTask = parentTask.subtasks.find((s) => s.id === subtaskId);
-		isSubtask = true;
-
-		if (!targetTask) {
-			log('error', `Subtask ${formattedTaskId} not found.`);
-			process.exit(1);
-		}
-	} else {
-		// Regular task (not a subtask)
-		targetTask = data.tasks.find((t) => t.id === formattedTaskId);
-
-		if (!targetTask) {
-			log('error', `Task ${formattedTaskId} not found.`);
-			process.exit(1);
-		}
+	// Find the task or subtask to update, at any depth (e.g. "1.2.1")
+	const found = findTaskPath(data.tasks, formattedTaskId);
+	if (!found) {
+		log('error', `Task ${formattedTaskId} not found.`);
+		process.exit(1);
 	}
+	const targetTask = found.item;
+	const isSubtask = found.parent !== null;
 
 	// Check if the task has any dependencies
 	if (!targetTask.dependencies || targetTask.dependencies.length === 0) {
@@ -289,17 +284,11 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 
 	// Check if the dependency exists by comparing string representations
 	const dependencyIndex = targetTask.dependencies.findIndex((dep) => {
-		// Convert both to strings for comparison
-		let depStr = String(dep);
-
-		// Special handling for numeric IDs that might be subtask references
-		if (typeof dep === 'number' && dep < 100 && isSubtask) {
-			// It's likely a reference to another subtask in the same parent task
-			// Convert to full format for comparison (e.g., 2 -> "1.2" for a subtask in task 1)
-			const [parentId] = formattedTaskId.split('.');
-			depStr = `${parentId}.${dep}`;
-		}
-
+		// Numeric dependencies of subtasks refer to sibling subtasks, so compare
+		// them by their full ID (e.g., 2 -> "1.2" for a subtask in task 1)
+		const depStr = String(
+			isSubtask ? resolveDependencyId(formattedTaskId, dep) : dep
+		);
 		return depStr === normalizedDependencyId;
 	});
 
@@ -315,7 +304,7 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 	targetTask.dependencies.splice(dependencyIndex, 1);
 
 	// Save the updated tasks
-	writeJSON(tasksPath, data);
+	writeTasks(tasksPath, data);
 
 	// Success message
 	log(
@@ -344,7 +333,12 @@ async function removeDependency(tasksPath, taskId, dependencyId) {
 }
 
 /**
- * Check if adding a dependency would create a circular dependency
+ * Check if adding a dependency would create a circular dependency.
+ * Subtasks may depend on subtasks of other tasks (e.g. "4.2" on "7.1"), so
+ * the check also follows the dependencies a subtask inherits from the tasks
+ * and subtasks above it and, for a task or subtask, the dependencies its
+ * subtasks have outside of it: 7.1 can't start before task 7 can, and task 4
+ * isn't done before 4.2 and its own subtasks are.
  * @param {Array} tasks - Array of all tasks
  * @param {number|string} taskId - ID of task to check
  * @param {Array} chain - Chain of dependencies to check
@@ -359,45 +353,282 @@ function isCircularDependency(tasks, taskId, chain = []) {
 		return true;
 	}
 
-	// Find the task or subtask
-	let task = null;
+	// A missing task can't create a circular dependency
+	const found = findTaskPath(tasks, taskIdStr);
+	if (!found) {
+		return false;
+	}
+
+	// Numeric subtask dependencies refer to sibling subtasks
+	const { item, ancestors, path } = found;
+	const resolve = (itemId, deps) =>
+		(deps || []).map((depId) => resolveDependencyId(itemId, depId));
+	const isOutside = (depId) =>
+		String(depId) !== taskIdStr && !String(depId).startsWith(`${taskIdStr}.`);
+	const dependencies = [
+		...resolve(taskIdStr, item.dependencies),
+		...ancestors.flatMap((ancestor, index) =>
+			resolve(path.slice(0, index + 1).join('.'), ancestor.dependencies)
+		),
+		...flattenSubtasks(item, taskIdStr).flatMap(({ subtask, id }) =>
+			resolve(id, subtask.dependencies).filter(isOutside)
+		)
+	];
+
+	// Check each dependency recursively
+	const newChain = [...chain, taskId];
+	return dependencies.some((depId) =>
+		isCircularDependency(tasks, depId, newChain)
+	);
+}
+
+/**
+ * Gets the IDs of the other tasks each task has to wait for. A subtask, at any
+ * depth, depending on a subtask of another task (e.g. "2.1") makes its task
+ * depend on that task. Dependencies on unknown or archived tasks are left out.
+ * @param {Array} tasks - Array of all tasks
+ * @returns {Map<number, Set<number>>} Prerequisite task IDs by task ID
+ */
+function getTaskPrerequisites(tasks) {
+	const byId = new Map(tasks.map((task) => [task.id, task]));
+	return new Map(
+		tasks.map((task) => {
+			const taskIds = [
+				...(task.dependencies || []),
+				...flattenSubtasks(task).flatMap(({ subtask, id }) =>
+					(subtask.dependencies || []).map((depId) =>
+						resolveDependencyId(id, depId)
+					)
+				)
+			]
+				.map((depId) => parseInt(String(depId).split('.')[0], 10))
+				.filter((depId) => depId !== task.id && byId.has(depId));
+			return [task.id, new Set(taskIds)];
+		})
+	);
+}
+
+/**
+ * Orders tasks so that every task comes after the tasks it depends on. A
+ * subtask depending on a subtask of another task (e.g. "2.1") makes its parent
+ * depend on that task. Tasks that are ready at the same time are ordered by
+ * priority, then by ID.
+ * @param {Array} tasks - Array of all tasks
+ * @returns {Array} The same tasks in dependency order
+ * @throws {Error} With code CIRCULAR_DEPENDENCY if the tasks depend on each other
+ */
+function sortTasksByDependencies(tasks) {
+	const priorityRank = { high: 0, medium: 1, low: 2 };
+	const waitsFor = getTaskPrerequisites(tasks);
+
+	const compare = (a, b) =>
+		(priorityRank[a.priority] ?? 1) - (priorityRank[b.priority] ?? 1) ||
+		a.id - b.id;
+
+	const ordered = [];
+	const placed = new Set();
+	while (ordered.length < tasks.length) {
+		const ready = tasks
+			.filter(
+				(task) =>
+					!placed.has(task.id) &&
+					[...waitsFor.get(task.id)].every((depId) => placed.has(depId))
+			)
+			.sort(compare);
+
+		if (ready.length === 0) {
+			const remaining = tasks
+				.filter((task) => !placed.has(task.id))
+				.map((task) => task.id);
+			throw createError(
+				'CIRCULAR_DEPENDENCY',
+				`Tasks ${remaining.join(', ')} have circular dependencies. Run task-master validate-dependencies to find them.`
+			);
+		}
 
-	// Check if this is a subtask reference (e.g., "1.2")
-	if (taskIdStr.includes('.')) {
-		const [parentId, subtaskId] = taskIdStr.split('.').map(Number);
-		const parentTask = tasks.find((t) => t.id === parentId);
+		// Place one task at a time, so a high priority task that becomes ready
+		// goes before lower priority tasks that were ready earlier
+		ordered.push(ready[0]);
+		placed.add(ready[0].id);
+	}
+	return ordered;
+}
 
-		if (parentTask && parentTask.subtasks) {
-			task = parentTask.subtasks.find((st) => st.id === subtaskId);
+/**
+ * Analyzes the dependency graph of the unfinished tasks. Tasks are grouped in
+ * waves: the first wave can start right away, every later wave once the
+ * waves before it are finished, so the tasks of one wave can be worked on in
+ * parallel. The critical path is the chain of dependent tasks with the
+ * largest total weight, which decides how soon all tasks can be finished.
+ * @param {Array} tasks - Array of all tasks
+ * @param {Object} options - Analysis options
+ * @param {Object} options.workflow - Workflow deciding which tasks are finished
+ * @param {Function} options.getWeight - Returns the weight of a task, or null if unknown (default: 1 per task)
+ * @returns {{order: Array<number>, waves: Array<Array<Object>>, criticalPath: {length: number, tasks: Array<Object>}, unweighted: Array<number>}} Analysis of the open tasks
+ * @throws {Error} With code CIRCULAR_DEPENDENCY if the tasks depend on each other
+ */
+function analyzeDependencyGraph(tasks, options = {}) {
+	const workflow = options.workflow || getWorkflow();
+	const getWeight = options.getWeight || (() => 1);
+	const waitsFor = getTaskPrerequisites(tasks);
+	const order = sortTasksByDependencies(tasks).filter(
+		(task) =>
+			!isDoneStatus(workflow, task.status) &&
+			!isClosedStatus(workflow, task.status)
+	);
+	const openIds = new Set(order.map((task) => task.id));
+
+	// Wave and longest chain ending at each task, in dependency order
+	const nodes = new Map();
+	const unweighted = [];
+	order.forEach((task) => {
+		const prerequisites = [...waitsFor.get(task.id)]
+			.filter((depId) => openIds.has(depId))
+			.map((depId) => nodes.get(depId));
+
+		let weight = getWeight(task);
+		if (typeof weight !== 'number') {
+			unweighted.push(task.id);
+			weight = 0;
 		}
-	} else {
-		// Regular task
-		task = tasks.find((t) => String(t.id) === taskIdStr);
+
+		const longest = prerequisites.reduce(
+			(best, node) => (!best || node.length > best.length ? node : best),
+			null
+		);
+		nodes.set(task.id, {
+			task,
+			weight,
+			wave: Math.max(-1, ...prerequisites.map((node) => node.wave)) + 1,
+			length: weight + (longest ? longest.length : 0),
+			previous: longest
+		});
+	});
+
+	const describe = (node) => ({
+		id: node.task.id,
+		title: node.task.title,
+		status: node.task.status,
+		priority: node.task.priority || 'medium',
+		weight: node.weight
+	});
+
+	const waves = [];
+	nodes.forEach((node) => {
+		waves[node.wave] = [...(waves[node.wave] || []), describe(node)];
+	});
+
+	const chain = [];
+	let node = [...nodes.values()].reduce(
+		(best, candidate) =>
+			!best || candidate.length > best.length ? candidate : best,
+		null
+	);
+	const length = node ? node.length : 0;
+	while (node) {
+		chain.unshift(describe(node));
+		node = node.previous;
 	}
 
-	if (!task) {
-		return false; // Task doesn't exist, can't create circular dependency
+	return {
+		order: order.map((task) => task.id),
+		waves,
+		criticalPath: { length, tasks: chain },
+		unweighted
+	};
+}
+
+/**
+ * Finds the critical path and the waves of parallel work in a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Analysis options
+ * @param {string} options.weightBy - 'complexity' (score from the complexity report), 'estimate' (hours) or 'count'; by default the first one available
+ * @param {string} options.complexityReportPath - Path to the complexity report
+ * @returns {Object} The weight used and the analysis from analyzeDependencyGraph()
+ */
+function analyzeCriticalPath(tasksPath, options = {}) {
+	const weightBy = options.weightBy
+		? String(options.weightBy).toLowerCase()
+		: null;
+	if (weightBy && !CRITICAL_PATH_WEIGHTS.includes(weightBy)) {
+		throw createError(
+			'INVALID_WEIGHT',
+			`Invalid weight "${options.weightBy}". Use one of: ${CRITICAL_PATH_WEIGHTS.join(', ')}`
+		);
 	}
 
-	// No dependencies, can't create circular dependency
-	if (!task.dependencies || task.dependencies.length === 0) {
-		return false;
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
 	}
 
-	// Check each dependency recursively
-	const newChain = [...chain, taskId];
-	return task.dependencies.some((depId) =>
-		isCircularDependency(tasks, depId, newChain)
-	);
+	const workflow = getWorkflow(data.meta);
+	const report = readComplexityReport(options.complexityReportPath);
+	const weights = {
+		complexity: (task) =>
+			findTaskInComplexityReport(report, task.id)?.complexityScore ?? null,
+		estimate: (task) => getRemainingEffort(task, workflow),
+		count: () => 1
+	};
+
+	// Without a choice, use the complexity report, then the estimates
+	const resolvedWeight =
+		weightBy ||
+		(report?.complexityAnalysis?.length > 0
+			? 'complexity'
+			: data.tasks.some((task) => weights.estimate(task) !== null)
+				? 'estimate'
+				: 'count');
+
+	return {
+		weightBy: resolvedWeight,
+		...analyzeDependencyGraph(data.tasks, {
+			workflow,
+			getWeight: weights[resolvedWeight]
+		})
+	};
 }
 
 /**
  * Validate task dependencies
  * @param {Array} tasks - Array of all tasks
+ * @param {Array} archivedTasks - Archived tasks, which remain valid dependencies
+ * @param {Object} workflow - Optional workflow; when given, tasks in a done status
+ *   whose dependencies aren't done are reported as well
  * @returns {Object} Validation result with valid flag and issues array
  */
-function validateTaskDependencies(tasks) {
+function validateTaskDependencies(tasks, archivedTasks = [], workflow = null) {
 	const issues = [];
+	const knownTasks = [...tasks, ...archivedTasks];
+
+	// validateDependenciesCommand re-evaluates this function's source, so it
+	// can only call the module functions that command passes in
+	const doneStatuses = workflow
+		? workflow.statuses
+				.filter((status) => status.category === 'done')
+				.map((status) => status.name)
+		: null;
+	const findDependencyStatus = (depId) => {
+		const found = findTaskPath(knownTasks, depId);
+		return found ? found.item.status : undefined;
+	};
+	const checkDoneDependency = (item, itemId, depId, kind) => {
+		if (!doneStatuses || !doneStatuses.includes(item.status)) {
+			return;
+		}
+		const depStatus = findDependencyStatus(depId);
+		if (depStatus !== undefined && !doneStatuses.includes(depStatus)) {
+			issues.push({
+				type: 'unsatisfied',
+				taskId: itemId,
+				dependencyId: depId,
+				message: `${kind} ${itemId} is ${item.status} but depends on ${depId}, which is ${depStatus || 'pending'}`
+			});
+		}
+	};
 
 	// Check each task's dependencies
 	tasks.forEach((task) => {
@@ -417,14 +648,17 @@ function validateTaskDependencies(tasks) {
 			}
 
 			// Check if dependency exists
-			if (!taskExists(tasks, depId)) {
+			if (!taskExists(knownTasks, depId)) {
 				issues.push({
 					type: 'missing',
 					taskId: task.id,
 					dependencyId: depId,
 					message: `Task ${task.id} depends on non-existent task ${depId}`
 				});
+				return;
 			}
+
+			checkDoneDependency(task, task.id, depId, 'Task');
 		});
 
 		// Check for circular dependencies
@@ -436,51 +670,50 @@ function validateTaskDependencies(tasks) {
 			});
 		}
 
-		// Check subtask dependencies if they exist
-		if (task.subtasks && task.subtasks.length > 0) {
-			task.subtasks.forEach((subtask) => {
-				if (!subtask.dependencies) {
-					return; // No dependencies to validate
-				}
+		// Check the dependencies of its subtasks, at every depth
+		flattenSubtasks(task).forEach(({ subtask, id: fullSubtaskId }) => {
+			if (!subtask.dependencies) {
+				return; // No dependencies to validate
+			}
 
-				// Create a full subtask ID for reference
-				const fullSubtaskId = `${task.id}.${subtask.id}`;
+			subtask.dependencies.forEach((depId) => {
+				// Numeric subtask dependencies refer to sibling subtasks, dotted
+				// ones may point at subtasks of any task
+				const fullDepId = resolveDependencyId(fullSubtaskId, depId);
 
-				subtask.dependencies.forEach((depId) => {
-					// Check for self-dependencies in subtasks
-					if (
-						String(depId) === String(fullSubtaskId) ||
-						(typeof depId === 'number' && depId === subtask.id)
-					) {
-						issues.push({
-							type: 'self',
-							taskId: fullSubtaskId,
-							message: `Subtask ${fullSubtaskId} depends on itself`
-						});
-						return;
-					}
-
-					// Check if dependency exists
-					if (!taskExists(tasks, depId)) {
-						issues.push({
-							type: 'missing',
-							taskId: fullSubtaskId,
-							dependencyId: depId,
-							message: `Subtask ${fullSubtaskId} depends on non-existent task/subtask ${depId}`
-						});
-					}
-				});
+				// Check for self-dependencies in subtasks
+				if (String(fullDepId) === fullSubtaskId) {
+					issues.push({
+						type: 'self',
+						taskId: fullSubtaskId,
+						message: `Subtask ${fullSubtaskId} depends on itself`
+					});
+					return;
+				}
 
-				// Check for circular dependencies in subtasks
-				if (isCircularDependency(tasks, fullSubtaskId)) {
+				// Check if dependency exists
+				if (!taskExists(knownTasks, fullDepId)) {
 					issues.push({
-						type: 'circular',
+						type: 'missing',
 						taskId: fullSubtaskId,
-						message: `Subtask ${fullSubtaskId} is part of a circular dependency chain`
+						dependencyId: depId,
+						message: `Subtask ${fullSubtaskId} depends on non-existent task/subtask ${fullDepId}`
 					});
+					return;
 				}
+
+				checkDoneDependency(subtask, fullSubtaskId, fullDepId, 'Subtask');
 			});
-		}
+
+			// Check for circular dependencies in subtasks
+			if (isCircularDependency(tasks, fullSubtaskId)) {
+				issues.push({
+					type: 'circular',
+					taskId: fullSubtaskId,
+					message: `Subtask ${fullSubtaskId} is part of a circular dependency chain`
+				});
+			}
+		});
 	});
 
 	return {
@@ -529,21 +762,18 @@ function cleanupSubtaskDependencies(tasksData) {
 			});
 		}
 
-		// Handle subtask dependencies
-		if (task.subtasks) {
-			task.subtasks = task.subtasks.map((subtask) => {
-				if (!subtask.dependencies) {
-					return subtask;
-				}
-
-				// Filter out dependencies to non-existent subtasks
-				subtask.dependencies = subtask.dependencies.filter((depId) => {
-					return taskExists(tasksData.tasks, depId);
-				});
+		// Handle subtask dependencies, at every depth
+		flattenSubtasks(task).forEach(({ subtask, id }) => {
+			if (!subtask.dependencies) {
+				return;
+			}
 
-				return subtask;
+			// Filter out dependencies to non-existent subtasks, numeric ones
+			// being siblings and dotted ones subtasks of any task
+			subtask.dependencies = subtask.dependencies.filter((depId) => {
+				return taskExists(tasksData.tasks, resolveDependencyId(id, depId));
 			});
-		}
+		});
 
 		return task;
 	});
@@ -567,7 +797,7 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 	log('info', 'Checking for invalid dependencies in task files...');
 
 	// Read tasks data
-	const data = readJSON(tasksPath);
+	const data = readTasks(tasksPath);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found in tasks.json');
 		process.exit(1);
@@ -577,9 +807,7 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 	const taskCount = data.tasks.length;
 	let subtaskCount = 0;
 	data.tasks.forEach((task) => {
-		if (task.subtasks && Array.isArray(task.subtasks)) {
-			subtaskCount += task.subtasks.length;
-		}
+		subtaskCount += flattenSubtasks(task).length;
 	});
 
 	log(
@@ -626,7 +854,11 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 		const originalValidateTaskDependencies = validateTaskDependencies;
 
 		// Create patched version that uses customLogger
-		const patchedValidateTaskDependencies = (tasks, tasksPath) => {
+		const patchedValidateTaskDependencies = (
+			tasks,
+			archivedTasks,
+			workflow
+		) => {
 			// Temporarily redirect log calls in this scope
 			const originalLog = log;
 			const logProxy = function (...args) {
@@ -639,19 +871,27 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 				// Pass isCircularDependency explicitly to make it available
 				return Function(
 					'tasks',
-					'tasksPath',
+					'archivedTasks',
+					'workflow',
 					'log',
 					'customLogger',
 					'isCircularDependency',
 					'taskExists',
-					`return (${originalValidateTaskDependencies.toString()})(tasks, tasksPath);`
+					'findTaskPath',
+					'flattenSubtasks',
+					'resolveDependencyId',
+					`return (${originalValidateTaskDependencies.toString()})(tasks, archivedTasks, workflow);`
 				)(
 					tasks,
-					tasksPath,
+					archivedTasks,
+					workflow,
 					logProxy,
 					customLogger,
 					isCircularDependency,
-					taskExists
+					taskExists,
+					findTaskPath,
+					flattenSubtasks,
+					resolveDependencyId
 				);
 			})();
 
@@ -660,7 +900,8 @@ async function validateDependenciesCommand(tasksPath, options = {}) {
 
 		const changesDetected = patchedValidateTaskDependencies(
 			data.tasks,
-			tasksPath
+			readArchivedTasks(tasksPath),
+			getWorkflow(data.meta)
 		);
 
 		// Create a detailed report
@@ -743,14 +984,12 @@ function countAllDependencies(tasks) {
 			count += task.dependencies.length;
 		}
 
-		// Count subtask dependencies
-		if (task.subtasks && Array.isArray(task.subtasks)) {
-			task.subtasks.forEach((subtask) => {
-				if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-					count += subtask.dependencies.length;
-				}
-			});
-		}
+		// Count subtask dependencies, at every depth
+		flattenSubtasks(task).forEach(({ subtask }) => {
+			if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+				count += subtask.dependencies.length;
+			}
+		});
 	});
 
 	return count;
@@ -769,9 +1008,12 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 
 	log('info', 'Checking for and fixing invalid dependencies in tasks.json...');
 
+	let lock;
 	try {
+		lock = acquireTasksLock(tasksPath);
+
 		// Read tasks data
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			log('error', 'No valid tasks found in tasks.json');
 			process.exit(1);
@@ -813,46 +1055,37 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 				}
 			}
 
-			// Check for duplicates in subtasks
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const uniqueDeps = new Set();
-						const originalLength = subtask.dependencies.length;
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							let depIdStr = String(depId);
-							if (typeof depId === 'number' && depId < 100) {
-								depIdStr = `${task.id}.${depId}`;
-							}
-							if (uniqueDeps.has(depIdStr)) {
-								log(
-									'info',
-									`Removing duplicate dependency from subtask ${task.id}.${subtask.id}: ${depId}`
-								);
-								stats.duplicateDependenciesRemoved++;
-								return false;
-							}
-							uniqueDeps.add(depIdStr);
-							return true;
-						});
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
+			// Check for duplicates in subtasks, at every depth
+			flattenSubtasks(task).forEach(({ subtask, id: subtaskId }) => {
+				if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+					const uniqueDeps = new Set();
+					const originalLength = subtask.dependencies.length;
+					subtask.dependencies = subtask.dependencies.filter((depId) => {
+						const depIdStr = String(resolveDependencyId(subtaskId, depId));
+						if (uniqueDeps.has(depIdStr)) {
+							log(
+								'info',
+								`Removing duplicate dependency from subtask ${subtaskId}: ${depId}`
+							);
+							stats.duplicateDependenciesRemoved++;
+							return false;
 						}
+						uniqueDeps.add(depIdStr);
+						return true;
+					});
+					if (subtask.dependencies.length < originalLength) {
+						stats.subtasksFixed++;
 					}
-				});
-			}
+				}
+			});
 		});
 
-		// Create validity maps for tasks and subtasks
-		const validTaskIds = new Set(data.tasks.map((t) => t.id));
-		const validSubtaskIds = new Set();
-		data.tasks.forEach((task) => {
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					validSubtaskIds.add(`${task.id}.${subtask.id}`);
-				});
-			}
-		});
+		// Create validity maps for tasks and subtasks, archived ones included
+		const knownTasks = [...data.tasks, ...readArchivedTasks(tasksPath)];
+		const validTaskIds = new Set(knownTasks.map((t) => t.id));
+		const validSubtaskIds = new Set(
+			knownTasks.flatMap((task) => flattenSubtasks(task).map(({ id }) => id))
+		);
 
 		// Second phase: Remove invalid task dependencies (non-existent tasks)
 		data.tasks.forEach((task) => {
@@ -893,122 +1126,93 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 				}
 			}
 
-			// Check subtask dependencies for invalid references
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const originalLength = subtask.dependencies.length;
-						const subtaskId = `${task.id}.${subtask.id}`;
-
-						// First check for self-dependencies
-						const hasSelfDependency = subtask.dependencies.some((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								return depId === subtaskId;
-							} else if (typeof depId === 'number' && depId < 100) {
-								return depId === subtask.id;
-							}
+			// Check subtask dependencies for invalid references, at every depth
+			flattenSubtasks(task).forEach(({ subtask, id: subtaskId }) => {
+				if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
+					const originalLength = subtask.dependencies.length;
+
+					// First check for self-dependencies
+					subtask.dependencies = subtask.dependencies.filter((depId) => {
+						const normalizedDepId = String(
+							resolveDependencyId(subtaskId, depId)
+						);
+
+						if (normalizedDepId === subtaskId) {
+							log('info', `Removing self-dependency from subtask ${subtaskId}`);
+							stats.selfDependenciesRemoved++;
 							return false;
-						});
-
-						if (hasSelfDependency) {
-							subtask.dependencies = subtask.dependencies.filter((depId) => {
-								const normalizedDepId =
-									typeof depId === 'number' && depId < 100
-										? `${task.id}.${depId}`
-										: String(depId);
-
-								if (normalizedDepId === subtaskId) {
-									log(
-										'info',
-										`Removing self-dependency from subtask ${subtaskId}`
-									);
-									stats.selfDependenciesRemoved++;
-									return false;
-								}
-								return true;
-							});
 						}
+						return true;
+					});
 
-						// Then check for non-existent dependencies
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								if (!validSubtaskIds.has(depId)) {
-									log(
-										'info',
-										`Removing invalid subtask dependency from subtask ${subtaskId}: ${depId} (subtask does not exist)`
-									);
-									stats.nonExistentDependenciesRemoved++;
-									return false;
-								}
-								return true;
+					// Then check for non-existent dependencies
+					subtask.dependencies = subtask.dependencies.filter((depId) => {
+						if (typeof depId === 'string' && depId.includes('.')) {
+							if (!validSubtaskIds.has(depId)) {
+								log(
+									'info',
+									`Removing invalid subtask dependency from subtask ${subtaskId}: ${depId} (subtask does not exist)`
+								);
+								stats.nonExistentDependenciesRemoved++;
+								return false;
 							}
+							return true;
+						}
 
-							// Handle numeric dependencies
-							const numericId =
-								typeof depId === 'number' ? depId : parseInt(depId, 10);
-
-							// Small numbers likely refer to subtasks in the same task
-							if (numericId < 100) {
-								const fullSubtaskId = `${task.id}.${numericId}`;
-
-								if (!validSubtaskIds.has(fullSubtaskId)) {
-									log(
-										'info',
-										`Removing invalid subtask dependency from subtask ${subtaskId}: ${numericId}`
-									);
-									stats.nonExistentDependenciesRemoved++;
-									return false;
-								}
+						// Handle numeric dependencies
+						const numericId =
+							typeof depId === 'number' ? depId : parseInt(depId, 10);
 
-								return true;
-							}
+						// Small numbers likely refer to sibling subtasks
+						if (typeof depId === 'number' && numericId < 100) {
+							const fullSubtaskId = resolveDependencyId(subtaskId, numericId);
 
-							// Otherwise it's a task reference
-							if (!validTaskIds.has(numericId)) {
+							if (!validSubtaskIds.has(fullSubtaskId)) {
 								log(
 									'info',
-									`Removing invalid task dependency from subtask ${subtaskId}: ${numericId}`
+									`Removing invalid subtask dependency from subtask ${subtaskId}: ${numericId}`
 								);
 								stats.nonExistentDependenciesRemoved++;
 								return false;
 							}
 
 							return true;
-						});
+						}
 
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
+						// Otherwise it's a task reference
+						if (!validTaskIds.has(numericId)) {
+							log(
+								'info',
+								`Removing invalid task dependency from subtask ${subtaskId}: ${numericId}`
+							);
+							stats.nonExistentDependenciesRemoved++;
+							return false;
 						}
+
+						return true;
+					});
+
+					if (subtask.dependencies.length < originalLength) {
+						stats.subtasksFixed++;
 					}
-				});
-			}
+				}
+			});
 		});
 
 		// Third phase: Check for circular dependencies
 		log('info', 'Checking for circular dependencies...');
 
-		// Build the dependency map for subtasks
+		// Build the dependency map for subtasks, at every depth
 		const subtaskDependencyMap = new Map();
 		data.tasks.forEach((task) => {
-			if (task.subtasks && Array.isArray(task.subtasks)) {
-				task.subtasks.forEach((subtask) => {
-					const subtaskId = `${task.id}.${subtask.id}`;
-
-					if (subtask.dependencies && Array.isArray(subtask.dependencies)) {
-						const normalizedDeps = subtask.dependencies.map((depId) => {
-							if (typeof depId === 'string' && depId.includes('.')) {
-								return depId;
-							} else if (typeof depId === 'number' && depId < 100) {
-								return `${task.id}.${depId}`;
-							}
-							return String(depId);
-						});
-						subtaskDependencyMap.set(subtaskId, normalizedDeps);
-					} else {
-						subtaskDependencyMap.set(subtaskId, []);
-					}
-				});
-			}
+			flattenSubtasks(task).forEach(({ subtask, id: subtaskId }) => {
+				subtaskDependencyMap.set(
+					subtaskId,
+					(subtask.dependencies || []).map((depId) =>
+						String(resolveDependencyId(subtaskId, depId))
+					)
+				);
+			});
 		});
 
 		// Check for and fix circular dependencies
@@ -1024,58 +1228,39 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 				recursionStack
 			);
 
-			if (cycleEdges.length > 0) {
-				const [taskId, subtaskNum] = subtaskId
-					.split('.')
-					.map((part) => Number(part));
-				const task = data.tasks.find((t) => t.id === taskId);
-
-				if (task && task.subtasks) {
-					const subtask = task.subtasks.find((st) => st.id === subtaskNum);
-
-					if (subtask && subtask.dependencies) {
-						const originalLength = subtask.dependencies.length;
-
-						const edgesToRemove = cycleEdges.map((edge) => {
-							if (edge.includes('.')) {
-								const [depTaskId, depSubtaskId] = edge
-									.split('.')
-									.map((part) => Number(part));
-
-								if (depTaskId === taskId) {
-									return depSubtaskId;
-								}
-
-								return edge;
-							}
-
-							return Number(edge);
-						});
-
-						subtask.dependencies = subtask.dependencies.filter((depId) => {
-							const normalizedDepId =
-								typeof depId === 'number' && depId < 100
-									? `${taskId}.${depId}`
-									: String(depId);
+			const subtask = findTaskPath(data.tasks, subtaskId)?.item;
+			if (cycleEdges.length > 0 && subtask && subtask.dependencies) {
+				const parentId = getParentTaskId(subtaskId);
+				const originalLength = subtask.dependencies.length;
+
+				// Sibling subtasks are stored by their number alone
+				const edgesToRemove = cycleEdges.map((edge) =>
+					getParentTaskId(edge) === parentId
+						? Number(edge.split('.').pop())
+						: edge.includes('.')
+							? edge
+							: Number(edge)
+				);
 
-							if (
-								edgesToRemove.includes(depId) ||
-								edgesToRemove.includes(normalizedDepId)
-							) {
-								log(
-									'info',
-									`Breaking circular dependency: Removing ${normalizedDepId} from subtask ${subtaskId}`
-								);
-								stats.circularDependenciesFixed++;
-								return false;
-							}
-							return true;
-						});
+				subtask.dependencies = subtask.dependencies.filter((depId) => {
+					const normalizedDepId = String(resolveDependencyId(subtaskId, depId));
 
-						if (subtask.dependencies.length < originalLength) {
-							stats.subtasksFixed++;
-						}
+					if (
+						edgesToRemove.includes(depId) ||
+						edgesToRemove.includes(normalizedDepId)
+					) {
+						log(
+							'info',
+							`Breaking circular dependency: Removing ${normalizedDepId} from subtask ${subtaskId}`
+						);
+						stats.circularDependenciesFixed++;
+						return false;
 					}
+					return true;
+				});
+
+				if (subtask.dependencies.length < originalLength) {
+					stats.subtasksFixed++;
 				}
 			}
 		}
@@ -1085,7 +1270,7 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 
 		if (dataChanged) {
 			// Save the changes
-			writeJSON(tasksPath, data);
+			writeTasks(tasksPath, data);
 			log('success', 'Fixed dependency issues in tasks.json');
 
 			// Regenerate task files
@@ -1147,11 +1332,28 @@ async function fixDependenciesCommand(tasksPath, options = {}) {
 	} catch (error) {
 		log('error', 'Error in fix-dependencies command:', error);
 		process.exit(1);
+	} finally {
+		lock?.release();
+	}
+}
+
+/**
+ * Checks whether a subtask dependency points at a sibling subtask, either by
+ * its subtask ID alone or as a dotted ID with the same parent
+ * @param {number|string} parentId - ID of the parent task or subtask
+ * @param {number|string} depId - Dependency of one of its subtasks
+ * @returns {boolean} True for a sibling subtask
+ */
+function isSiblingDependency(parentId, depId) {
+	if (typeof depId === 'number') {
+		return depId < 100;
 	}
+	return getParentTaskId(depId) === String(parentId);
 }
 
 /**
- * Ensure at least one subtask in each task has no dependencies
+ * Ensure at least one subtask in each task has no dependencies on its siblings,
+ * and likewise among the subtasks of each subtask
  * @param {Object} tasksData - The tasks data object with tasks array
  * @returns {boolean} - True if any changes were made
  */
@@ -1162,34 +1364,41 @@ function ensureAtLeastOneIndependentSubtask(tasksData) {
 
 	let changesDetected = false;
 
-	tasksData.tasks.forEach((task) => {
+	const parents = tasksData.tasks.flatMap((task) => [
+		{ item: task, id: task.id },
+		...flattenSubtasks(task).map(({ subtask, id }) => ({ item: subtask, id }))
+	]);
+	parents.forEach(({ item, id }) => {
 		if (
-			!task.subtasks ||
-			!Array.isArray(task.subtasks) ||
-			task.subtasks.length === 0
+			!item.subtasks ||
+			!Array.isArray(item.subtasks) ||
+			item.subtasks.length === 0
 		) {
 			return;
 		}
 
-		// Check if any subtask has no dependencies
-		const hasIndependentSubtask = task.subtasks.some(
+		// Check if any subtask has no dependencies on its siblings. Dependencies
+		// on subtasks of other tasks don't keep the subtasks of this one from
+		// being started in some order.
+		const isSibling = (depId) => isSiblingDependency(id, depId);
+		const hasIndependentSubtask = item.subtasks.some(
 			(st) =>
 				!st.dependencies ||
 				!Array.isArray(st.dependencies) ||
-				st.dependencies.length === 0
+				!st.dependencies.some(isSibling)
 		);
 
 		if (!hasIndependentSubtask) {
-			// Find the first subtask and clear its dependencies
-			if (task.subtasks.length > 0) {
-				const firstSubtask = task.subtasks[0];
-				log(
-					'debug',
-					`Ensuring at least one independent subtask: Clearing dependencies for subtask ${task.id}.${firstSubtask.id}`
-				);
-				firstSubtask.dependencies = [];
-				changesDetected = true;
-			}
+			// Find the first subtask and clear its sibling dependencies
+			const firstSubtask = item.subtasks[0];
+			log(
+				'debug',
+				`Ensuring at least one independent subtask: Clearing dependencies for subtask ${id}.${firstSubtask.id}`
+			);
+			firstSubtask.dependencies = firstSubtask.dependencies.filter(
+				(depId) => !isSibling(depId)
+			);
+			changesDetected = true;
 		}
 	});
 
@@ -1214,6 +1423,9 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 	// Create a deep copy for comparison
 	const originalData = JSON.parse(JSON.stringify(tasksData));
 
+	// Dependencies on archived tasks are valid
+	const archivedTasks = tasksPath ? readArchivedTasks(tasksPath) : [];
+
 	// 1. Remove duplicate dependencies from tasks and subtasks
 	tasksData.tasks = tasksData.tasks.map((task) => {
 		// Handle task dependencies
@@ -1222,16 +1434,13 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 			task.dependencies = uniqueDeps;
 		}
 
-		// Handle subtask dependencies
-		if (task.subtasks) {
-			task.subtasks = task.subtasks.map((subtask) => {
-				if (subtask.dependencies) {
-					const uniqueDeps = [...new Set(subtask.dependencies)];
-					subtask.dependencies = uniqueDeps;
-				}
-				return subtask;
-			});
-		}
+		// Handle subtask dependencies, at every depth
+		flattenSubtasks(task).forEach(({ subtask }) => {
+			if (subtask.dependencies) {
+				const uniqueDeps = [...new Set(subtask.dependencies)];
+				subtask.dependencies = uniqueDeps;
+			}
+		});
 		return task;
 	});
 
@@ -1245,44 +1454,28 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 					return false;
 				}
 				// Remove non-existent dependencies
-				return taskExists(tasksData.tasks, depId);
+				return taskExists([...tasksData.tasks, ...archivedTasks], depId);
 			});
 		}
 
-		// Clean up subtask dependencies
-		if (task.subtasks) {
-			task.subtasks.forEach((subtask) => {
-				if (subtask.dependencies) {
-					subtask.dependencies = subtask.dependencies.filter((depId) => {
-						// Handle numeric subtask references
-						if (typeof depId === 'number' && depId < 100) {
-							const fullSubtaskId = `${task.id}.${depId}`;
-							return taskExists(tasksData.tasks, fullSubtaskId);
-						}
-						// Handle full task/subtask references
-						return taskExists(tasksData.tasks, depId);
-					});
-				}
-			});
-		}
-	});
-
-	// 3. Ensure at least one subtask has no dependencies in each task
-	tasksData.tasks.forEach((task) => {
-		if (task.subtasks && task.subtasks.length > 0) {
-			const hasIndependentSubtask = task.subtasks.some(
-				(st) =>
-					!st.dependencies ||
-					!Array.isArray(st.dependencies) ||
-					st.dependencies.length === 0
-			);
-
-			if (!hasIndependentSubtask) {
-				task.subtasks[0].dependencies = [];
+		// Clean up subtask dependencies, at every depth
+		flattenSubtasks(task).forEach(({ subtask, id }) => {
+			if (subtask.dependencies) {
+				subtask.dependencies = subtask.dependencies.filter((depId) => {
+					// Handle numeric subtask references
+					if (typeof depId === 'number' && depId < 100) {
+						return taskExists(tasksData.tasks, resolveDependencyId(id, depId));
+					}
+					// Handle full task/subtask references
+					return taskExists([...tasksData.tasks, ...archivedTasks], depId);
+				});
 			}
-		}
+		});
 	});
 
+	// 3. Ensure at least one subtask has no dependencies on its siblings in each task
+	ensureAtLeastOneIndependentSubtask(tasksData);
+
 	// Check if any changes were made by comparing with original data
 	const changesDetected =
 		JSON.stringify(tasksData) !== JSON.stringify(originalData);
@@ -1290,7 +1483,7 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 	// Save changes if needed
 	if (tasksPath && changesDetected) {
 		try {
-			writeJSON(tasksPath, tasksData);
+			writeTasks(tasksPath, tasksData);
 			log('debug', 'Saved dependency fixes to tasks.json');
 		} catch (error) {
 			log('error', 'Failed to save dependency fixes to tasks.json', error);
@@ -1301,9 +1494,13 @@ function validateAndFixDependencies(tasksData, tasksPath = null) {
 }
 
 export {
+	CRITICAL_PATH_WEIGHTS,
 	addDependency,
 	removeDependency,
 	isCircularDependency,
+	sortTasksByDependencies,
+	analyzeDependencyGraph,
+	analyzeCriticalPath,
 	validateTaskDependencies,
 	validateDependenciesCommand,
 	fixDependenciesCommand,
@@ -0,0 +1,224 @@
+/**
+ * task-archive.js
+ * Moving completed tasks out of the active tasks file
+ *
+ * Archived tasks are kept in `archive.json` (or `archive.db` for SQLite
+ * projects) next to the tasks file, in the same format and with the same tags
+ * as the tasks file itself. Their IDs stay reserved: dependencies on archived
+ * tasks remain valid and new tasks never reuse an archived ID.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { log, createError, findTaskById } from './utils.js';
+import {
+	readTasks,
+	readTasksDocument,
+	writeTasks,
+	withTasksLock
+} from './task-store.js';
+import { getStorageType } from './task-storage.js';
+import {
+	getActiveTag,
+	hasTag,
+	extractTagView,
+	getTagTasks,
+	getTaskFileName
+} from './task-tags.js';
+import { getWorkflow, getFinishedStatuses } from './task-workflow.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the path of the archive that belongs to a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Path to the archive, using the same storage type
+ */
+function getArchivePath(tasksPath) {
+	const extension =
+		getStorageType(tasksPath) === 'sqlite' ? path.extname(tasksPath) : '.json';
+	return path.join(path.dirname(tasksPath), `archive${extension}`);
+}
+
+/**
+ * Reads the archived tasks of the active tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Array} Archived tasks (empty if nothing was archived yet)
+ */
+function readArchivedTasks(tasksPath) {
+	const archivePath = getArchivePath(tasksPath);
+	try {
+		const data = readTasksDocument(archivePath);
+		const tag = getActiveTag(tasksPath);
+		return hasTag(data, tag) ? getTagTasks(data, tag) : [];
+	} catch (error) {
+		// A broken archive shouldn't stop the active tasks from working
+		log(
+			'warn',
+			`Could not read archived tasks from ${archivePath}: ${error.message}`
+		);
+		return [];
+	}
+}
+
+/**
+ * Finds an archived task or subtask
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task ID, or "parentId.subtaskId" for a subtask
+ * @returns {Object|null} The archived task (subtasks get a parentTask reference), or null if not found
+ */
+function findArchivedTask(tasksPath, taskId) {
+	return findTaskById(readArchivedTasks(tasksPath), taskId);
+}
+
+/**
+ * Checks whether a task can be archived with the given filters
+ * @param {Object} task - Task to check
+ * @param {Object} filter - Archive filters
+ * @param {Array<string>} filter.statuses - Statuses that are archived
+ * @param {number|null} filter.cutoff - Only tasks completed before this time (ms)
+ * @returns {boolean} True if the task matches
+ */
+function isArchivable(task, { statuses, cutoff }) {
+	if (!statuses.includes(task.status)) {
+		return false;
+	}
+
+	// Tasks completed before completion dates were recorded count as old
+	if (cutoff !== null && task.completedAt) {
+		return Date.parse(task.completedAt) <= cutoff;
+	}
+	return true;
+}
+
+/**
+ * Gets the statuses to archive, checking they finish a task in the workflow
+ * @param {Object} workflow - Workflow of the project
+ * @param {string|Array<string>} status - Requested statuses (default: all done and closed statuses)
+ * @returns {Array<string>} Status names
+ */
+function resolveArchiveStatuses(workflow, status) {
+	const finished = getFinishedStatuses(workflow);
+	if (!status) {
+		return finished;
+	}
+
+	const statuses = [].concat(status).map((item) => item.trim().toLowerCase());
+	const invalidStatus = statuses.find((item) => !finished.includes(item));
+	if (invalidStatus) {
+		throw createError(
+			'INVALID_ARCHIVE_STATUS',
+			`Tasks with status "${invalidStatus}" can't be archived. Use one of: ${finished.join(', ')}`
+		);
+	}
+	return statuses;
+}
+
+/**
+ * Moves completed tasks, with their subtasks, from the tasks file to the
+ * archive and removes their task files
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Archive options
+ * @param {number} options.olderThan - Only archive tasks completed at least this many days ago
+ * @param {string|Array<string>} options.status - Only archive tasks with these statuses (default: the done and closed statuses of the workflow)
+ * @param {Array<number|string>} options.ids - Only archive these tasks
+ * @param {boolean} options.dryRun - Only report which tasks would be archived
+ * @returns {Object} Archived tasks, the archive path and the number of tasks left
+ */
+function archiveTasks(tasksPath, options = {}) {
+	const olderThan =
+		options.olderThan !== undefined ? Number(options.olderThan) : null;
+	if (olderThan !== null && (!Number.isFinite(olderThan) || olderThan < 0)) {
+		throw createError(
+			'INVALID_ARCHIVE_AGE',
+			`Invalid number of days: ${options.olderThan}`
+		);
+	}
+	const cutoff = olderThan !== null ? Date.now() - olderThan * DAY_MS : null;
+
+	const archivePath = getArchivePath(tasksPath);
+
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const filter = {
+			statuses: resolveArchiveStatuses(getWorkflow(data.meta), options.status),
+			cutoff
+		};
+
+		let candidates = data.tasks;
+		if (options.ids) {
+			const ids = options.ids.map((id) => parseInt(id, 10));
+			const missingId = ids.find(
+				(id) => !data.tasks.some((task) => task.id === id)
+			);
+			if (missingId !== undefined) {
+				throw createError('TASK_NOT_FOUND', `Task ${missingId} not found`);
+			}
+			candidates = data.tasks.filter((task) => ids.includes(task.id));
+		}
+
+		const archived = candidates.filter((task) => isArchivable(task, filter));
+		const result = {
+			archived: archived.map(({ id, title, status, completedAt }) => ({
+				id,
+				title,
+				status,
+				completedAt: completedAt || null
+			})),
+			archivePath,
+			remainingCount: data.tasks.length - archived.length,
+			dryRun: !!options.dryRun
+		};
+
+		if (archived.length === 0 || options.dryRun) {
+			return result;
+		}
+
+		// Write the archive first: if saving the tasks fails afterwards, the
+		// tasks are in both files instead of getting lost
+		const tag = getActiveTag(tasksPath);
+		const archiveData = readTasksDocument(archivePath);
+		const archive =
+			archiveData && hasTag(archiveData, tag)
+				? extractTagView(archiveData, tag)
+				: { meta: archiveData?.meta || {}, tasks: [] };
+
+		const archivedAt = new Date().toISOString();
+		const archivedIds = new Set(archived.map((task) => task.id));
+		archive.tasks = [
+			// Tasks restored with undo and archived again replace their old copy
+			...archive.tasks.filter((task) => !archivedIds.has(task.id)),
+			...archived.map((task) => ({ ...task, archivedAt }))
+		].sort((a, b) => a.id - b.id);
+		writeTasks(archivePath, archive, { journal: false });
+
+		data.tasks = data.tasks.filter((task) => !archivedIds.has(task.id));
+		writeTasks(tasksPath, data);
+
+		archived.forEach((task) => {
+			const taskFile = path.join(
+				path.dirname(tasksPath),
+				getTaskFileName(task.id, tag)
+			);
+			if (fs.existsSync(taskFile)) {
+				fs.unlinkSync(taskFile);
+			}
+		});
+
+		log(
+			'info',
+			`Archived ${archived.length} tasks to ${archivePath}, ${data.tasks.length} tasks left`
+		);
+		return result;
+	});
+}
+
+export { getArchivePath, readArchivedTasks, findArchivedTask, archiveTasks };
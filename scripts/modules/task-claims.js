@@ -0,0 +1,204 @@
+/**
+ * task-claims.js
+ * Claims that reserve a task or subtask for one agent or person
+ *
+ * A claim is stored in `claim` of the task or subtask, with the owner ID and
+ * when its lease expires. `next` passes over tasks other owners hold, so
+ * several agents working on the same project don't pick the same task.
+ * Leases run out on their own: an expired claim counts as no claim at all,
+ * so the task is free again when an agent stops without releasing it. The
+ * owner renews the lease by claiming the task again.
+ */
+
+import { log, createError, flattenSubtasks } from './utils.js';
+import { updateTask } from './task-store.js';
+
+const DEFAULT_LEASE_MINUTES = 30;
+
+// Owner IDs are shown in task lists, so keep them on one line
+const MAX_OWNER_LENGTH = 100;
+
+/**
+ * Validates an owner ID
+ * @param {string} owner - Owner ID, e.g. an agent name
+ * @returns {string} The trimmed owner ID
+ */
+function parseOwner(owner) {
+	const value = typeof owner === 'string' ? owner.trim() : '';
+	if (!value) {
+		throw createError('MISSING_ARGUMENT', 'An owner ID is required');
+	}
+	if (value.length > MAX_OWNER_LENGTH || /[\r\n]/.test(value)) {
+		throw createError(
+			'INVALID_OWNER',
+			`Owner IDs are one line of at most ${MAX_OWNER_LENGTH} characters`
+		);
+	}
+	return value;
+}
+
+/**
+ * Validates the length of a lease
+ * @param {string|number} value - Minutes (default: 30)
+ * @returns {number} Minutes
+ */
+function parseLeaseMinutes(value) {
+	if (value === undefined || value === null || value === '') {
+		return DEFAULT_LEASE_MINUTES;
+	}
+	const minutes = Number(value);
+	if (!Number.isFinite(minutes) || minutes <= 0) {
+		throw createError(
+			'INVALID_LEASE',
+			`Invalid lease: ${value}. Give the number of minutes`
+		);
+	}
+	return minutes;
+}
+
+/**
+ * Gets the claim on a task or subtask, unless its lease has expired
+ * @param {Object} item - Task or subtask
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} The claim, with owner, claimedAt and expiresAt
+ */
+function getActiveClaim(item, now = Date.now()) {
+	const claim = item?.claim;
+	if (!claim || !claim.owner || !(Date.parse(claim.expiresAt) > now)) {
+		return null;
+	}
+	return claim;
+}
+
+/**
+ * Checks whether someone else holds a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string|null} owner - Owner asking, null when nobody in particular asks
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if another owner has an active claim
+ */
+function isClaimedByOther(item, owner = null, now = Date.now()) {
+	const claim = getActiveClaim(item, now);
+	return !!claim && claim.owner !== owner;
+}
+
+/**
+ * Lists the active claims of the tasks and their subtasks
+ * @param {Array} tasks - Tasks
+ * @param {number} now - Current time in ms
+ * @returns {Array<{id: string, title: string, owner: string, claimedAt: string, expiresAt: string}>} Claims in task order
+ */
+function listClaims(tasks, now = Date.now()) {
+	const claims = [];
+	tasks.forEach((task) => {
+		[
+			{ item: task, id: String(task.id) },
+			...flattenSubtasks(task).map(({ subtask, id }) => ({ item: subtask, id }))
+		].forEach(({ item, id }) => {
+			const claim = getActiveClaim(item, now);
+			if (claim) {
+				claims.push({
+					id,
+					title: item.title,
+					owner: claim.owner,
+					claimedAt: claim.claimedAt,
+					expiresAt: claim.expiresAt
+				});
+			}
+		});
+	});
+	return claims;
+}
+
+/**
+ * Claims a task or subtask, or renews the lease of the owner's claim
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask
+ * @param {string} owner - Owner ID
+ * @param {Object} options - Claim options
+ * @param {number} options.leaseMinutes - Length of the lease (default: 30)
+ * @param {boolean} options.force - Take over a claim someone else holds
+ * @returns {{id: string, title: string, owner: string, claimedAt: string, expiresAt: string, renewed: boolean, previousOwner: string|null}} The claim
+ */
+function claimTask(tasksPath, id, owner, options = {}) {
+	const claimOwner = parseOwner(owner);
+	const leaseMinutes = parseLeaseMinutes(options.leaseMinutes);
+
+	const claim = updateTask(tasksPath, id, (item) => {
+		const now = Date.now();
+		const current = getActiveClaim(item, now);
+		if (current && current.owner !== claimOwner && !options.force) {
+			throw createError(
+				'TASK_CLAIMED',
+				`Task ${id} is claimed by ${current.owner} until ${current.expiresAt}`
+			);
+		}
+
+		const renewed = current?.owner === claimOwner;
+		item.claim = {
+			owner: claimOwner,
+			claimedAt: renewed ? current.claimedAt : new Date(now).toISOString(),
+			expiresAt: new Date(now + leaseMinutes * 60 * 1000).toISOString()
+		};
+		return {
+			id: String(id),
+			title: item.title,
+			...item.claim,
+			renewed,
+			previousOwner: current && !renewed ? current.owner : null
+		};
+	});
+
+	log(
+		'info',
+		`${claim.renewed ? 'Renewed the claim on' : 'Claimed'} task ${id} for ${claimOwner} until ${claim.expiresAt}`
+	);
+	return claim;
+}
+
+/**
+ * Releases the claim on a task or subtask
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask
+ * @param {string} owner - Owner ID releasing the claim
+ * @param {Object} options - Release options
+ * @param {boolean} options.force - Release a claim someone else holds
+ * @returns {{id: string, released: boolean, previousOwner: string|null}} Whether an active claim was released
+ */
+function releaseTask(tasksPath, id, owner, options = {}) {
+	const releaseOwner = options.force && !owner ? null : parseOwner(owner);
+
+	const current = updateTask(tasksPath, id, (item) => {
+		const claim = getActiveClaim(item);
+		if (claim && claim.owner !== releaseOwner && !options.force) {
+			throw createError(
+				'TASK_CLAIMED',
+				`Task ${id} is claimed by ${claim.owner}, not ${releaseOwner}`
+			);
+		}
+
+		// Expired claims are cleaned up as well
+		delete item.claim;
+		return claim;
+	});
+
+	if (current) {
+		log('info', `Released the claim of ${current.owner} on task ${id}`);
+	}
+	return {
+		id: String(id),
+		released: !!current,
+		previousOwner: current ? current.owner : null
+	};
+}
+
+export {
+	DEFAULT_LEASE_MINUTES,
+	parseOwner,
+	parseLeaseMinutes,
+	getActiveClaim,
+	isClaimedByOther,
+	listClaims,
+	claimTask,
+	releaseTask
+};
@@ -0,0 +1,466 @@
+/**
+ * task-epics.js
+ * Epics and milestones grouping tasks above the task level
+ *
+ * Epics are defined in `meta.epics` and shared by all tags, each with an ID,
+ * a title, a goal and a target date; a milestone is simply an epic with a
+ * target date. A task belongs to at most one epic through its `epic` field,
+ * its subtasks belong to the same epic. Progress isn't stored anywhere, it is
+ * computed from the tasks of the active tag, archived ones included, whenever
+ * it is shown.
+ */
+
+import { log, createError } from './utils.js';
+import {
+	readTasks,
+	readTasksDocument,
+	writeTasks,
+	withTasksLock
+} from './task-store.js';
+import { getTagNames, getTagTasks } from './task-tags.js';
+import {
+	getWorkflow,
+	isDoneStatus,
+	isClosedStatus,
+	countStatuses
+} from './task-workflow.js';
+import { getToday } from './task-schedule.js';
+import { coerceFieldValue } from './task-fields.js';
+
+// Epic IDs are typed on the command line, e.g. `list --epic=checkout`
+const EPIC_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_EPIC_ID_LENGTH = 40;
+
+// Stands for "no epic" in filters and assignments, so it can't be an epic ID
+const NO_EPIC = 'none';
+
+// Added to the parse-prd prompt to have the AI group its tasks into epics,
+// read back by mergeGeneratedEpics()
+const EPICS_PROMPT = `Also group the tasks into epics, one for each major section or feature area of the PRD. Add a top-level "epics" array next to "tasks", where each epic is:
+
+{
+  "id": string (short lowercase slug, e.g. "user-accounts"),
+  "title": string,
+  "goal": string (one sentence on what the epic delivers)
+}
+
+and give every task an "epic" field with the ID of the epic it belongs to.`;
+
+/**
+ * Gets the epics of a project
+ * @param {Object} meta - Meta data of the tasks file
+ * @returns {Array<{id: string, title: string, goal: string, targetDate: string}>} Epics in the order they were added
+ */
+function getEpics(meta) {
+	return meta?.epics || [];
+}
+
+/**
+ * Validates an epic ID
+ * @param {string} id - Epic ID
+ * @returns {string} The ID, trimmed and in lowercase
+ */
+function parseEpicId(id) {
+	const value = String(id ?? '')
+		.trim()
+		.toLowerCase();
+	if (!value) {
+		throw createError('MISSING_ARGUMENT', 'An epic ID is required');
+	}
+	if (
+		!EPIC_ID_PATTERN.test(value) ||
+		value.length > MAX_EPIC_ID_LENGTH ||
+		value === NO_EPIC
+	) {
+		throw createError(
+			'INVALID_EPIC',
+			`Invalid epic ID "${value}". Use up to ${MAX_EPIC_ID_LENGTH} letters, numbers and "-", other than "${NO_EPIC}"`
+		);
+	}
+	return value;
+}
+
+/**
+ * Finds an epic by its ID
+ * @param {Object} meta - Meta data of the tasks file
+ * @param {string} id - Epic ID
+ * @returns {Object} The epic
+ */
+function findEpic(meta, id) {
+	const epicId = parseEpicId(id);
+	const epic = getEpics(meta).find((e) => e.id === epicId);
+	if (!epic) {
+		const known = getEpics(meta).map((e) => e.id);
+		throw createError(
+			'EPIC_NOT_FOUND',
+			`Epic "${epicId}" not found${known.length > 0 ? ` (epics: ${known.join(', ')})` : ''}`
+		);
+	}
+	return epic;
+}
+
+/**
+ * Derives an epic ID from a title that no other epic uses yet
+ * @param {string} title - Epic title, e.g. "User Accounts"
+ * @param {Array<string>} takenIds - IDs already in use
+ * @returns {string} ID, e.g. "user-accounts" or "user-accounts-2"
+ */
+function createEpicId(title, takenIds = []) {
+	const base =
+		String(title)
+			.toLowerCase()
+			.normalize('NFKD')
+			.replace(/[^a-z0-9]+/g, '-')
+			.slice(0, MAX_EPIC_ID_LENGTH - 3)
+			.replace(/^-+|-+$/g, '') || 'epic';
+	const stem = base === NO_EPIC ? 'epic' : base;
+
+	let id = stem;
+	for (let n = 2; takenIds.includes(id); n++) {
+		id = `${stem}-${n}`;
+	}
+	return id;
+}
+
+/**
+ * Checks whether a task belongs to an epic
+ * @param {Object} task - Task
+ * @param {string} epicId - Epic ID, or "none" for tasks without an epic
+ * @returns {boolean} True if it does
+ */
+function isInEpic(task, epicId) {
+	return epicId === NO_EPIC ? !task.epic : task.epic === epicId;
+}
+
+/**
+ * Computes the progress of a group of tasks
+ * @param {Array} tasks - Tasks of the group
+ * @param {Object} workflow - Workflow deciding what is done
+ * @returns {{total: number, done: number, closed: number, percentage: number, byStatus: Object}} Task counts and the done percentage
+ */
+function getEpicProgress(tasks, workflow = getWorkflow()) {
+	const done = tasks.filter((task) => isDoneStatus(workflow, task.status));
+	const closed = tasks.filter((task) => isClosedStatus(workflow, task.status));
+	return {
+		total: tasks.length,
+		done: done.length,
+		closed: closed.length,
+		percentage: tasks.length > 0 ? (done.length / tasks.length) * 100 : 0,
+		byStatus: countStatuses(tasks, workflow)
+	};
+}
+
+/**
+ * Lists the epics with the progress of their tasks
+ * @param {Array} tasks - Tasks of the active tag
+ * @param {Object} meta - Meta data of the tasks file
+ * @param {Object} options - Options
+ * @param {Object} options.workflow - Workflow deciding what is done
+ * @param {string} options.today - Today as YYYY-MM-DD, to tell which epics are late
+ * @returns {{epics: Array, unassigned: Object}} Epics with their task IDs, progress and whether they are past their target date with open tasks, and the same for the tasks without an epic (or with one that no longer exists)
+ */
+function listEpics(tasks, meta, options = {}) {
+	const workflow = options.workflow || getWorkflow(meta);
+	const today = options.today || getToday();
+	const epicIds = new Set(getEpics(meta).map((epic) => epic.id));
+
+	const describe = (epicTasks) => ({
+		taskIds: epicTasks.map((task) => task.id),
+		progress: getEpicProgress(epicTasks, workflow)
+	});
+
+	return {
+		epics: getEpics(meta).map((epic) => {
+			const summary = describe(tasks.filter((task) => isInEpic(task, epic.id)));
+			const { total, done, closed } = summary.progress;
+			return {
+				...epic,
+				...summary,
+				late:
+					!!epic.targetDate && epic.targetDate < today && done + closed < total
+			};
+		}),
+		unassigned: describe(tasks.filter((task) => !epicIds.has(task.epic)))
+	};
+}
+
+/**
+ * Parses the target date of an epic
+ * @param {string|null} value - Date as YYYY-MM-DD, or "none" to remove it
+ * @returns {string|null|undefined} The date, null to remove it, undefined if not given
+ */
+function parseTargetDate(value) {
+	if (value === undefined) {
+		return undefined;
+	}
+	if (value === null || ['', NO_EPIC].includes(String(value).trim())) {
+		return null;
+	}
+	return coerceFieldValue('targetDate', value, 'date');
+}
+
+/**
+ * Reads the tasks data for a change to the epics
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Tasks data of the active tag
+ */
+function readEpicData(tasksPath) {
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+	if (!data.meta) {
+		data.meta = {};
+	}
+	return data;
+}
+
+/**
+ * Applies the title, goal and target date given for an epic
+ * @param {Object} epic - Epic to change
+ * @param {Object} changes - Changes; an empty goal or a target date of "none" removes it
+ * @returns {Object} The epic
+ */
+function applyEpicChanges(epic, { title, goal, targetDate } = {}) {
+	if (title !== undefined) {
+		if (!String(title).trim()) {
+			throw createError('MISSING_ARGUMENT', 'An epic needs a title');
+		}
+		epic.title = String(title).trim();
+	}
+	if (goal !== undefined) {
+		const text = String(goal ?? '').trim();
+		if (text) {
+			epic.goal = text;
+		} else {
+			delete epic.goal;
+		}
+	}
+	const date = parseTargetDate(targetDate);
+	if (date) {
+		epic.targetDate = date;
+	} else if (date === null) {
+		delete epic.targetDate;
+	}
+	return epic;
+}
+
+/**
+ * Adds an epic
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} input - Epic to add
+ * @param {string} input.id - Epic ID (default: derived from the title)
+ * @param {string} input.title - Title
+ * @param {string} input.goal - What the epic is meant to achieve
+ * @param {string} input.targetDate - Target date as YYYY-MM-DD
+ * @returns {Object} The new epic
+ */
+function addEpic(tasksPath, { id, title, goal, targetDate } = {}) {
+	if (!title || !String(title).trim()) {
+		throw createError('MISSING_ARGUMENT', 'An epic needs a title');
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readEpicData(tasksPath);
+		const epics = getEpics(data.meta);
+		const takenIds = epics.map((epic) => epic.id);
+
+		const epicId = id ? parseEpicId(id) : createEpicId(title, takenIds);
+		if (takenIds.includes(epicId)) {
+			throw createError('EPIC_EXISTS', `Epic "${epicId}" already exists`);
+		}
+
+		const epic = applyEpicChanges({ id: epicId }, { title, goal, targetDate });
+		data.meta.epics = [...epics, epic];
+		writeTasks(tasksPath, data);
+		log('info', `Added epic "${epic.id}"`);
+		return epic;
+	});
+}
+
+/**
+ * Changes the title, goal or target date of an epic
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} id - Epic ID
+ * @param {Object} changes - Changes; an empty goal or a target date of "none" removes it
+ * @param {string} changes.title - New title
+ * @param {string} changes.goal - New goal
+ * @param {string} changes.targetDate - New target date as YYYY-MM-DD
+ * @returns {Object} The updated epic
+ */
+function updateEpic(tasksPath, id, changes = {}) {
+	return withTasksLock(tasksPath, () => {
+		const data = readEpicData(tasksPath);
+		const epic = findEpic(data.meta, id);
+		applyEpicChanges(epic, changes);
+		writeTasks(tasksPath, data);
+		log('info', `Updated epic "${epic.id}"`);
+		return epic;
+	});
+}
+
+/**
+ * Removes an epic. Its tasks stay, without an epic, in every tag.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} id - Epic ID
+ * @returns {{epic: Object, unassigned: number}} The removed epic and how many tasks it held
+ */
+function removeEpic(tasksPath, id) {
+	return withTasksLock(tasksPath, () => {
+		const document = readTasksDocument(tasksPath);
+		if (!document) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const epic = findEpic(document.meta, id);
+		document.meta.epics = getEpics(document.meta).filter((e) => e !== epic);
+
+		let unassigned = 0;
+		getTagNames(document).forEach((tag) => {
+			getTagTasks(document, tag).forEach((task) => {
+				if (task.epic === epic.id) {
+					delete task.epic;
+					unassigned++;
+				}
+			});
+		});
+
+		writeTasks(tasksPath, document, { document: true });
+		log('info', `Removed epic "${epic.id}" from ${unassigned} tasks`);
+		return { epic, unassigned };
+	});
+}
+
+/**
+ * Moves tasks into an epic, or out of their epic
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array} ids - Comma-separated task IDs, or a list of them
+ * @param {string|null} epicId - Epic ID, or null or "none" to take the tasks out of their epic
+ * @returns {Array<{id: number, title: string, previousEpic: string|null, epic: string|null, changed: boolean}>} Result for each task
+ */
+function assignEpic(tasksPath, ids, epicId) {
+	const taskIds = []
+		.concat(ids ?? [])
+		.flatMap((id) => String(id).split(','))
+		.map((id) => id.trim())
+		.filter(Boolean);
+	if (taskIds.length === 0) {
+		throw createError('MISSING_ARGUMENT', 'No task IDs given');
+	}
+	const subtaskId = taskIds.find((id) => id.includes('.'));
+	if (subtaskId) {
+		throw createError(
+			'INVALID_TASK_ID',
+			`${subtaskId} is a subtask. Subtasks belong to the epic of their task`
+		);
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readEpicData(tasksPath);
+		const targetEpic =
+			epicId === null ||
+			epicId === undefined ||
+			String(epicId).trim().toLowerCase() === NO_EPIC
+				? null
+				: findEpic(data.meta, epicId).id;
+
+		const tasks = taskIds.map((id) => {
+			const task = data.tasks.find((t) => String(t.id) === id);
+			if (!task) {
+				throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+			}
+			return task;
+		});
+
+		const results = tasks.map((task) => {
+			const previousEpic = task.epic || null;
+			if (targetEpic) {
+				task.epic = targetEpic;
+			} else {
+				delete task.epic;
+			}
+			return {
+				id: task.id,
+				title: task.title,
+				previousEpic,
+				epic: targetEpic,
+				changed: previousEpic !== targetEpic
+			};
+		});
+
+		if (results.some((result) => result.changed)) {
+			writeTasks(tasksPath, data);
+		}
+		return results;
+	});
+}
+
+/**
+ * Checks the epics an AI generated along with tasks from a PRD, and links
+ * the tasks to them. Epics with the ID of an existing epic are merged into
+ * it; references to epics that weren't generated are dropped.
+ * @param {Object} generated - Generated data with `tasks` and `epics`, changed in place
+ * @param {Array} existingEpics - Epics the project already has
+ * @returns {Array} All epics: the existing ones, then the new ones
+ */
+function mergeGeneratedEpics(generated, existingEpics = []) {
+	const epics = [...existingEpics];
+	const idMap = new Map();
+
+	(Array.isArray(generated.epics) ? generated.epics : []).forEach((raw) => {
+		if (!raw || !raw.title || !String(raw.title).trim()) {
+			return;
+		}
+		const title = String(raw.title).trim();
+		let id;
+		try {
+			id = parseEpicId(raw.id || title);
+		} catch (error) {
+			id = createEpicId(raw.id || title);
+		}
+
+		if (!epics.some((epic) => epic.id === id)) {
+			const epic = { id, title };
+			if (raw.goal && String(raw.goal).trim()) {
+				epic.goal = String(raw.goal).trim();
+			}
+			epics.push(epic);
+		}
+		idMap.set(String(raw.id || title), id);
+		idMap.set(id, id);
+	});
+
+	generated.tasks.forEach((task) => {
+		const epicId = task.epic ? idMap.get(String(task.epic)) : null;
+		if (epicId) {
+			task.epic = epicId;
+		} else {
+			delete task.epic;
+		}
+	});
+	delete generated.epics;
+	return epics;
+}
+
+export {
+	NO_EPIC,
+	EPICS_PROMPT,
+	getEpics,
+	parseEpicId,
+	findEpic,
+	createEpicId,
+	isInEpic,
+	getEpicProgress,
+	listEpics,
+	addEpic,
+	updateEpic,
+	removeEpic,
+	assignEpic,
+	mergeGeneratedEpics
+};
@@ -0,0 +1,607 @@
+/**
+ * task-export.js
+ * Exporting tasks to Markdown, CSV, HTML and JSON reports
+ *
+ * Exports are meant to be read outside the terminal, so they only contain
+ * plain text: no colors, no boxes and no emoji.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	log,
+	createError,
+	findTaskById,
+	flattenSubtasks,
+	resolveDependencyId,
+	readComplexityReport,
+	findTaskInComplexityReport
+} from './utils.js';
+import { readTasks } from './task-store.js';
+import { getActiveTag, DEFAULT_TAG } from './task-tags.js';
+import { getWorkflow, isDoneStatus } from './task-workflow.js';
+import { readArchivedTasks } from './task-archive.js';
+import { NO_EPIC, findEpic, isInEpic } from './task-epics.js';
+
+const EXPORT_FORMATS = ['markdown', 'csv', 'html', 'json'];
+
+// Other names accepted for the export formats
+const FORMAT_ALIASES = { md: 'markdown', htm: 'html' };
+
+// Statuses are listed in this order in progress summaries, other statuses after them
+const STATUS_ORDER = [
+	'done',
+	'in-progress',
+	'review',
+	'pending',
+	'blocked',
+	'deferred',
+	'cancelled'
+];
+
+/**
+ * Resolves the name of an export format
+ * @param {string} format - Format name or alias, e.g. "md"
+ * @returns {string} One of EXPORT_FORMATS
+ */
+function resolveExportFormat(format = 'markdown') {
+	const name = format.toLowerCase();
+	const resolved = FORMAT_ALIASES[name] || name;
+	if (!EXPORT_FORMATS.includes(resolved)) {
+		throw createError(
+			'INVALID_EXPORT_FORMAT',
+			`Unknown export format: ${format}. Use one of: ${EXPORT_FORMATS.join(', ')}`
+		);
+	}
+	return resolved;
+}
+
+/**
+ * Counts tasks by status and computes the completion percentage
+ * @param {Array} tasks - Tasks or subtasks to count
+ * @param {Object} workflow - Workflow deciding which statuses are done
+ * @returns {Object} Total, done, completion percentage and counts by status
+ */
+function summarizeProgress(tasks, workflow) {
+	const byStatus = {};
+	tasks.forEach((task) => {
+		const status = task.status || workflow.initial;
+		byStatus[status] = (byStatus[status] || 0) + 1;
+	});
+
+	const done = tasks.filter((task) =>
+		isDoneStatus(workflow, task.status)
+	).length;
+	const statuses = [
+		...STATUS_ORDER.filter((status) => byStatus[status]),
+		...Object.keys(byStatus).filter((status) => !STATUS_ORDER.includes(status))
+	];
+
+	return {
+		total: tasks.length,
+		done,
+		completionPercentage:
+			tasks.length > 0 ? Math.round((done / tasks.length) * 100) : 0,
+		byStatus: statuses.map((status) => ({ status, count: byStatus[status] }))
+	};
+}
+
+/**
+ * Describes the dependencies of a task or subtask with their status
+ * @param {Array} dependencies - Dependency IDs
+ * @param {Array} dependencyTasks - Tasks that dependencies can refer to
+ * @param {string|number} itemId - Full ID of the task or subtask, to resolve sibling subtask dependencies
+ * @returns {Array<{id: string, status: string}>} Dependencies (status is "not found" for unknown IDs)
+ */
+function describeDependencies(dependencies, dependencyTasks, itemId) {
+	return (dependencies || []).map((depId) => {
+		const id = String(resolveDependencyId(itemId, depId));
+		const depTask = findTaskById(dependencyTasks, id);
+		return { id, status: depTask ? depTask.status || 'pending' : 'not found' };
+	});
+}
+
+/**
+ * Collects the tasks and progress summaries of the active tag for an export
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Export options
+ * @param {string} options.status - Only export tasks with this status (like `list --status`)
+ * @param {string} options.epic - Only export the tasks of this epic, or "none" for tasks without one
+ * @param {string} options.complexityReportPath - Complexity report to take scores from
+ * @returns {Object} Export data
+ */
+function buildExportData(tasksPath, options = {}) {
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	const statusFilter =
+		options.status && options.status.toLowerCase() !== 'all'
+			? options.status.toLowerCase()
+			: null;
+	const report = readComplexityReport(options.complexityReportPath);
+	const workflow = getWorkflow(data.meta);
+	const dependencyTasks = [...data.tasks, ...readArchivedTasks(tasksPath)];
+
+	// An epic narrows the export down like a tag of its own
+	const epicId = options.epic ? String(options.epic).trim().toLowerCase() : '';
+	const epic =
+		epicId && epicId !== NO_EPIC ? findEpic(data.meta, epicId) : null;
+	const scopeTasks = epicId
+		? data.tasks.filter((task) => isInEpic(task, epic ? epic.id : NO_EPIC))
+		: data.tasks;
+
+	const tasks = scopeTasks
+		.filter(
+			(task) =>
+				!statusFilter ||
+				(task.status && task.status.toLowerCase() === statusFilter)
+		)
+		.map((task) => {
+			const analysis = findTaskInComplexityReport(report, task.id);
+			return {
+				id: task.id.toString(),
+				title: task.title,
+				status: task.status || workflow.initial,
+				priority: task.priority || 'medium',
+				epic: task.epic || null,
+				dependencies: describeDependencies(
+					task.dependencies,
+					dependencyTasks,
+					task.id
+				),
+				complexityScore: analysis ? analysis.complexityScore : null,
+				description: task.description || '',
+				details: task.details || '',
+				testStrategy: task.testStrategy || '',
+				// Subtasks at every depth, each followed by its own subtasks
+				subtasks: flattenSubtasks(task).map(({ subtask, id, parentId }) => ({
+					id,
+					parentId,
+					title: subtask.title,
+					status: subtask.status || workflow.initial,
+					done: isDoneStatus(workflow, subtask.status),
+					dependencies: describeDependencies(
+						subtask.dependencies,
+						dependencyTasks,
+						id
+					),
+					description: subtask.description || '',
+					details: subtask.details || ''
+				}))
+			};
+		});
+
+	// Progress covers all tasks of the list (or epic), like the list dashboard
+	const tag = getActiveTag(tasksPath);
+	return {
+		project: data.meta?.projectName || 'Task Master',
+		tag,
+		epic: epic
+			? {
+					id: epic.id,
+					title: epic.title,
+					goal: epic.goal || '',
+					targetDate: epic.targetDate || null
+				}
+			: epicId
+				? { id: NO_EPIC, title: 'No epic', goal: '', targetDate: null }
+				: null,
+		filter: statusFilter || 'all',
+		exportedAt: new Date().toISOString(),
+		progress: {
+			tasks: summarizeProgress(scopeTasks, workflow),
+			subtasks: summarizeProgress(
+				scopeTasks.flatMap((task) =>
+					flattenSubtasks(task).map(({ subtask }) => subtask)
+				),
+				workflow
+			)
+		},
+		tasks
+	};
+}
+
+/**
+ * Formats a dependency list for a single line of text
+ * @param {Array} dependencies - Described dependencies
+ * @returns {string} e.g. "1 (done), 2 (pending)" or "None"
+ */
+function formatDependencies(dependencies) {
+	return dependencies.length > 0
+		? dependencies.map(({ id, status }) => `${id} (${status})`).join(', ')
+		: 'None';
+}
+
+/**
+ * Formats a progress summary for a single line of text
+ * @param {Object} progress - Progress summary
+ * @returns {string} e.g. "2/5 done (40%)"
+ */
+function formatProgress(progress) {
+	return `${progress.done}/${progress.total} done (${progress.completionPercentage}%)`;
+}
+
+/**
+ * Describes the epic an export is limited to
+ * @param {Object} epic - Epic of the export data
+ * @returns {string} e.g. "Checkout (target 2025-07-01)"
+ */
+function describeEpic(epic) {
+	return epic.targetDate
+		? `${epic.title} (target ${epic.targetDate})`
+		: epic.title;
+}
+
+/**
+ * Lists the task and subtask counts of every status in the progress summaries
+ * @param {Object} progress - Task and subtask progress summaries
+ * @returns {Array<{status: string, tasks: number, subtasks: number}>} Counts by status
+ */
+function statusCounts(progress) {
+	const countOf = (summary, status) =>
+		summary.byStatus.find((entry) => entry.status === status)?.count || 0;
+	const statuses = new Set([
+		...progress.tasks.byStatus.map(({ status }) => status),
+		...progress.subtasks.byStatus.map(({ status }) => status)
+	]);
+	return [...statuses].map((status) => ({
+		status,
+		tasks: countOf(progress.tasks, status),
+		subtasks: countOf(progress.subtasks, status)
+	}));
+}
+
+/**
+ * Escapes text for a Markdown table cell
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text on a single line
+ */
+function escapeMarkdownCell(text) {
+	return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Renders export data as Markdown
+ * @param {Object} exportData - Data from buildExportData
+ * @returns {string} Markdown document
+ */
+function formatMarkdown(exportData) {
+	const { progress } = exportData;
+	const lines = [`# ${exportData.project} Tasks`, ''];
+
+	const scope = [`Exported ${exportData.exportedAt}`];
+	if (exportData.tag !== DEFAULT_TAG) {
+		scope.push(`tag: ${exportData.tag}`);
+	}
+	if (exportData.epic) {
+		scope.push(`epic: ${describeEpic(exportData.epic)}`);
+	}
+	if (exportData.filter !== 'all') {
+		scope.push(`status: ${exportData.filter}`);
+	}
+	lines.push(`_${scope.join(' · ')}_`, '');
+	if (exportData.epic?.goal) {
+		lines.push(`**Goal:** ${exportData.epic.goal}`, '');
+	}
+
+	lines.push('## Progress', '');
+	lines.push(`- **Tasks:** ${formatProgress(progress.tasks)}`);
+	lines.push(`- **Subtasks:** ${formatProgress(progress.subtasks)}`, '');
+	lines.push('| Status | Tasks | Subtasks |', '| --- | --- | --- |');
+	statusCounts(progress).forEach(({ status, tasks, subtasks }) => {
+		lines.push(`| ${status} | ${tasks} | ${subtasks} |`);
+	});
+	lines.push('');
+
+	lines.push('## Tasks', '');
+	if (exportData.tasks.length === 0) {
+		lines.push('No tasks to export.', '');
+		return lines.join('\n');
+	}
+
+	lines.push(
+		'| ID | Title | Status | Priority | Dependencies | Complexity |',
+		'| --- | --- | --- | --- | --- | --- |'
+	);
+	exportData.tasks.forEach((task) => {
+		lines.push(
+			`| ${task.id} | ${escapeMarkdownCell(task.title)} | ${task.status} | ${task.priority} | ${escapeMarkdownCell(formatDependencies(task.dependencies))} | ${task.complexityScore ?? 'N/A'} |`
+		);
+	});
+	lines.push('');
+
+	lines.push('## Task Details', '');
+	exportData.tasks.forEach((task) => {
+		lines.push(`### ${task.id}. ${task.title}`, '');
+		lines.push(
+			`**Status:** ${task.status} · **Priority:** ${task.priority} · **Dependencies:** ${formatDependencies(task.dependencies)} · **Complexity:** ${task.complexityScore ?? 'N/A'}`,
+			''
+		);
+		if (task.description) {
+			lines.push(task.description, '');
+		}
+		if (task.details) {
+			lines.push('**Details**', '', task.details, '');
+		}
+		if (task.testStrategy) {
+			lines.push('**Test Strategy**', '', task.testStrategy, '');
+		}
+		if (task.subtasks.length > 0) {
+			lines.push('**Subtasks**', '');
+			task.subtasks.forEach((subtask) => {
+				const checkbox = subtask.done ? 'x' : ' ';
+				let line = `- [${checkbox}] ${subtask.id} ${subtask.title} (${subtask.status})`;
+				if (subtask.dependencies.length > 0) {
+					line += ` · depends on ${formatDependencies(subtask.dependencies)}`;
+				}
+				lines.push(line);
+			});
+			lines.push('');
+		}
+	});
+
+	return lines.join('\n');
+}
+
+/**
+ * Escapes a CSV field
+ * @param {*} value - Field value
+ * @returns {string} Field, quoted if needed
+ */
+function escapeCsvField(value) {
+	const text = value === null || value === undefined ? '' : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Renders export data as CSV, with one row per task and subtask
+ * @param {Object} exportData - Data from buildExportData
+ * @returns {string} CSV document
+ */
+function formatCsv(exportData) {
+	const rows = [
+		[
+			'ID',
+			'Parent ID',
+			'Title',
+			'Status',
+			'Priority',
+			'Dependencies',
+			'Complexity',
+			'Description',
+			'Details',
+			'Test Strategy'
+		]
+	];
+
+	exportData.tasks.forEach((task) => {
+		rows.push([
+			task.id,
+			'',
+			task.title,
+			task.status,
+			task.priority,
+			task.dependencies.map(({ id }) => id).join(', '),
+			task.complexityScore,
+			task.description,
+			task.details,
+			task.testStrategy
+		]);
+		task.subtasks.forEach((subtask) => {
+			rows.push([
+				subtask.id,
+				subtask.parentId,
+				subtask.title,
+				subtask.status,
+				'',
+				subtask.dependencies.map(({ id }) => id).join(', '),
+				'',
+				subtask.description,
+				subtask.details,
+				''
+			]);
+		});
+	});
+
+	return rows.map((row) => row.map(escapeCsvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+const HTML_STYLES = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 2rem auto; max-width: 1100px; color: #222; padding: 0 1rem; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+.meta { color: #777; }
+.progress { background: #eee; border-radius: 4px; height: 0.8rem; width: 300px; display: inline-block; vertical-align: middle; }
+.progress-bar { background: #2e9e4f; border-radius: 4px; height: 100%; }
+.status { border-radius: 3px; font-size: 0.85em; padding: 0.1rem 0.4rem; background: #eee; white-space: nowrap; }
+.status-done, .status-completed { background: #d7f2df; }
+.status-in-progress { background: #fff1cc; }
+.status-blocked { background: #fbd9d9; }
+.status-cancelled, .status-deferred { background: #e4e4e4; color: #666; }
+.task { border-top: 1px solid #ddd; padding-top: 0.5rem; }
+pre { white-space: pre-wrap; font-family: inherit; margin: 0; }
+`;
+
+/**
+ * Renders a status label
+ * @param {string} status - Task status
+ * @returns {string} HTML
+ */
+function htmlStatus(status) {
+	const className = status.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+	return `<span class="status status-${className}">${escapeHtml(status)}</span>`;
+}
+
+/**
+ * Renders a progress summary with a progress bar
+ * @param {string} label - Summary label
+ * @param {Object} progress - Progress summary
+ * @returns {string} HTML
+ */
+function htmlProgress(label, progress) {
+	return `<p><strong>${label}:</strong> <span class="progress"><span class="progress-bar" style="display: block; width: ${progress.completionPercentage}%"></span></span> ${escapeHtml(formatProgress(progress))}</p>`;
+}
+
+/**
+ * Renders export data as a standalone HTML page
+ * @param {Object} exportData - Data from buildExportData
+ * @returns {string} HTML document
+ */
+function formatHtml(exportData) {
+	const { progress } = exportData;
+	const title = `${exportData.project} Tasks`;
+	const scope = [`Exported ${exportData.exportedAt}`];
+	if (exportData.tag !== DEFAULT_TAG) {
+		scope.push(`tag: ${exportData.tag}`);
+	}
+	if (exportData.epic) {
+		scope.push(`epic: ${describeEpic(exportData.epic)}`);
+	}
+	if (exportData.filter !== 'all') {
+		scope.push(`status: ${exportData.filter}`);
+	}
+
+	const html = [
+		'<!DOCTYPE html>',
+		'<html lang="en">',
+		'<head>',
+		'<meta charset="utf-8">',
+		`<title>${escapeHtml(title)}</title>`,
+		`<style>${HTML_STYLES}</style>`,
+		'</head>',
+		'<body>',
+		`<h1>${escapeHtml(title)}</h1>`,
+		`<p class="meta">${escapeHtml(scope.join(' · '))}</p>`,
+		...(exportData.epic?.goal
+			? [`<p><strong>Goal:</strong> ${escapeHtml(exportData.epic.goal)}</p>`]
+			: []),
+		'<h2>Progress</h2>',
+		htmlProgress('Tasks', progress.tasks),
+		htmlProgress('Subtasks', progress.subtasks),
+		'<table>',
+		'<tr><th>Status</th><th>Tasks</th><th>Subtasks</th></tr>'
+	];
+
+	statusCounts(progress).forEach(({ status, tasks, subtasks }) => {
+		html.push(
+			`<tr><td>${htmlStatus(status)}</td><td>${tasks}</td><td>${subtasks}</td></tr>`
+		);
+	});
+	html.push('</table>', '<h2>Tasks</h2>');
+
+	if (exportData.tasks.length === 0) {
+		html.push('<p>No tasks to export.</p>');
+	} else {
+		html.push(
+			'<table>',
+			'<tr><th>ID</th><th>Title</th><th>Status</th><th>Priority</th><th>Dependencies</th><th>Complexity</th></tr>'
+		);
+		exportData.tasks.forEach((task) => {
+			html.push(
+				`<tr><td><a href="#task-${task.id}">${task.id}</a></td><td>${escapeHtml(task.title)}</td><td>${htmlStatus(task.status)}</td><td>${escapeHtml(task.priority)}</td><td>${escapeHtml(formatDependencies(task.dependencies))}</td><td>${task.complexityScore ?? 'N/A'}</td></tr>`
+			);
+		});
+		html.push('</table>', '<h2>Task Details</h2>');
+
+		exportData.tasks.forEach((task) => {
+			html.push(
+				`<div class="task" id="task-${task.id}">`,
+				`<h3>${task.id}. ${escapeHtml(task.title)} ${htmlStatus(task.status)}</h3>`,
+				`<p class="meta">Priority: ${escapeHtml(task.priority)} · Dependencies: ${escapeHtml(formatDependencies(task.dependencies))} · Complexity: ${task.complexityScore ?? 'N/A'}</p>`
+			);
+			if (task.description) {
+				html.push(`<p>${escapeHtml(task.description)}</p>`);
+			}
+			if (task.details) {
+				html.push('<h4>Details</h4>', `<pre>${escapeHtml(task.details)}</pre>`);
+			}
+			if (task.testStrategy) {
+				html.push(
+					'<h4>Test Strategy</h4>',
+					`<pre>${escapeHtml(task.testStrategy)}</pre>`
+				);
+			}
+			if (task.subtasks.length > 0) {
+				html.push(
+					'<h4>Subtasks</h4>',
+					'<table>',
+					'<tr><th>ID</th><th>Title</th><th>Status</th><th>Dependencies</th></tr>'
+				);
+				task.subtasks.forEach((subtask) => {
+					html.push(
+						`<tr><td>${subtask.id}</td><td>${escapeHtml(subtask.title)}</td><td>${htmlStatus(subtask.status)}</td><td>${escapeHtml(formatDependencies(subtask.dependencies))}</td></tr>`
+					);
+				});
+				html.push('</table>');
+			}
+			html.push('</div>');
+		});
+	}
+
+	html.push('</body>', '</html>', '');
+	return html.join('\n');
+}
+
+/**
+ * Exports the tasks of the active tag as a report
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Export options
+ * @param {string} options.format - markdown, csv, html or json (default: markdown)
+ * @param {string} options.status - Only export tasks with this status (like `list --status`)
+ * @param {string} options.complexityReportPath - Complexity report to take scores from
+ * @param {string} options.output - File to write the export to (the content is only returned without it)
+ * @returns {Object} Format, content, number of exported tasks and the output path
+ */
+function exportTasks(tasksPath, options = {}) {
+	const format = resolveExportFormat(options.format);
+	const exportData = buildExportData(tasksPath, options);
+
+	const formatters = {
+		markdown: formatMarkdown,
+		csv: formatCsv,
+		html: formatHtml,
+		json: (data) => JSON.stringify(data, null, 2) + '\n'
+	};
+	const content = formatters[format](exportData);
+
+	if (options.output) {
+		const outputDir = path.dirname(options.output);
+		if (!fs.existsSync(outputDir)) {
+			fs.mkdirSync(outputDir, { recursive: true });
+		}
+		fs.writeFileSync(options.output, content);
+		log(
+			'info',
+			`Exported ${exportData.tasks.length} tasks as ${format} to ${options.output}`
+		);
+	}
+
+	return {
+		format,
+		content,
+		taskCount: exportData.tasks.length,
+		outputPath: options.output || null
+	};
+}
+
+export { EXPORT_FORMATS, resolveExportFormat, buildExportData, exportTasks };
@@ -0,0 +1,568 @@
+/**
+ * task-fields.js
+ * Labels and typed custom fields on tasks and subtasks
+ *
+ * Labels are stored as a list of lowercase names in `labels`, custom fields
+ * as name/value pairs in `fields`. Each field name has one type for the whole
+ * tasks file, recorded in `meta.customFields` the first time the field is
+ * set, so e.g. `points` is a number on every task and filters can
+ * compare values of the right type.
+ */
+
+import { log, createError, findTaskPath } from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// Labels are used on the command line and in task files, so keep them simple
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._/-]*$/;
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const BOOLEAN_VALUES = {
+	true: true,
+	yes: true,
+	false: false,
+	no: false
+};
+
+/**
+ * Parses a list of labels
+ * @param {string|Array<string>} input - Comma-separated labels, or a list of them
+ * @returns {Array<string>} Unique, lowercase labels
+ */
+function parseLabels(input) {
+	if (!input) {
+		return [];
+	}
+
+	const labels = []
+		.concat(input)
+		.flatMap((item) => String(item).split(','))
+		.map((label) => label.trim().toLowerCase())
+		.filter(Boolean);
+
+	const invalid = labels.find((label) => !LABEL_PATTERN.test(label));
+	if (invalid) {
+		throw createError(
+			'INVALID_LABEL',
+			`Invalid label "${invalid}". Use letters, numbers, ".", "_", "-" and "/", starting with a letter or number`
+		);
+	}
+	return [...new Set(labels)];
+}
+
+/**
+ * Parses a field name with an optional type, e.g. "points:number"
+ * @param {string} key - Field name and type
+ * @returns {{name: string, type: string|undefined}} Field name and type
+ */
+function parseFieldKey(key) {
+	const [name, type] = key.split(':').map((part) => part.trim());
+	if (!FIELD_NAME_PATTERN.test(name)) {
+		throw createError(
+			'INVALID_FIELD',
+			`Invalid field name "${name}". Use letters, numbers, "_" and "-", starting with a letter`
+		);
+	}
+	if (type !== undefined && !FIELD_TYPES.includes(type.toLowerCase())) {
+		throw createError(
+			'INVALID_FIELD',
+			`Invalid type "${type}" for field "${name}". Use one of: ${FIELD_TYPES.join(', ')}`
+		);
+	}
+	return { name, type: type?.toLowerCase() };
+}
+
+/**
+ * Parses custom field values
+ * @param {string|Array<string>|Object} input - "name[:type]=value" assignments, or values by "name[:type]" (e.g. from MCP)
+ * @returns {Array<{name: string, type: string|undefined, value: *}>} Field assignments
+ */
+function parseFieldAssignments(input) {
+	if (!input) {
+		return [];
+	}
+
+	if (typeof input === 'object' && !Array.isArray(input)) {
+		return Object.entries(input).map(([key, value]) => ({
+			...parseFieldKey(key),
+			value
+		}));
+	}
+
+	return [].concat(input).map((assignment) => {
+		const separator = assignment.indexOf('=');
+		if (separator === -1) {
+			throw createError(
+				'INVALID_FIELD',
+				`Invalid field "${assignment}". Use name=value or name:type=value`
+			);
+		}
+		return {
+			...parseFieldKey(assignment.slice(0, separator)),
+			value: assignment.slice(separator + 1).trim()
+		};
+	});
+}
+
+/**
+ * Guesses the type of a field value that was given without one
+ * @param {*} value - Field value
+ * @returns {string} Field type
+ */
+function inferFieldType(value) {
+	if (typeof value === 'number' || typeof value === 'boolean') {
+		return typeof value;
+	}
+
+	const text = String(value).trim();
+	if (text !== '' && Number.isFinite(Number(text))) {
+		return 'number';
+	}
+	if (text === 'true' || text === 'false') {
+		return 'boolean';
+	}
+	if (DATE_PATTERN.test(text)) {
+		return 'date';
+	}
+	return 'string';
+}
+
+/**
+ * Converts a field value to a field type
+ * @param {string} name - Field name, used in error messages
+ * @param {*} value - Value to convert
+ * @param {string} type - Field type
+ * @returns {string|number|boolean} Converted value
+ */
+function coerceFieldValue(name, value, type) {
+	const text = String(value).trim();
+	let result;
+
+	switch (type) {
+		case 'number':
+			result = text === '' ? NaN : Number(text);
+			if (!Number.isFinite(result)) {
+				result = undefined;
+			}
+			break;
+		case 'boolean':
+			result = BOOLEAN_VALUES[text.toLowerCase()];
+			break;
+		case 'date':
+			// Dates are stored as YYYY-MM-DD, which also sorts correctly
+			if (
+				DATE_PATTERN.test(text) &&
+				!Number.isNaN(Date.parse(`${text}T00:00:00Z`)) &&
+				new Date(`${text}T00:00:00Z`).toISOString().startsWith(text)
+			) {
+				result = text;
+			}
+			break;
+		default:
+			result = text;
+	}
+
+	if (result === undefined) {
+		throw createError(
+			'INVALID_FIELD_VALUE',
+			`Invalid value "${text}" for ${type} field "${name}"`
+		);
+	}
+	return result;
+}
+
+/**
+ * Gets the types of the custom fields used in a tasks file
+ * @param {Object} meta - Meta data of the tasks file
+ * @returns {Object} Field types by field name
+ */
+function getFieldTypes(meta) {
+	return { ...(meta?.customFields || {}) };
+}
+
+/**
+ * Converts field assignments to stored field values, checking them against
+ * the types the fields already have. The types of new fields are recorded in
+ * `meta.customFields`.
+ * @param {Array<{name: string, type: string|undefined, value: *}>} assignments - Parsed field assignments
+ * @param {Object} meta - Meta data of the tasks file (updated in place)
+ * @returns {Object} Field values by field name (null for fields to remove)
+ */
+function resolveFieldValues(assignments, meta) {
+	const types = getFieldTypes(meta);
+	const fields = {};
+
+	assignments.forEach(({ name, type, value }) => {
+		if (value === null || String(value).trim() === '') {
+			fields[name] = null;
+			return;
+		}
+
+		const knownType = types[name];
+		if (type && knownType && type !== knownType) {
+			throw createError(
+				'FIELD_TYPE_MISMATCH',
+				`Field "${name}" is a ${knownType} field, not a ${type} field`
+			);
+		}
+
+		const fieldType = knownType || type || inferFieldType(value);
+		fields[name] = coerceFieldValue(name, value, fieldType);
+		types[name] = fieldType;
+	});
+
+	if (Object.keys(types).length > 0) {
+		meta.customFields = types;
+	}
+	return fields;
+}
+
+/**
+ * Sets labels and custom fields on a task or subtask. Labels are added to the
+ * existing ones; fields with a null value are removed.
+ * @param {Object} task - Task or subtask to update
+ * @param {Object} metadata - Labels and fields to set
+ * @param {Array<string>} metadata.labels - Parsed labels
+ * @param {Object} metadata.fields - Field values from resolveFieldValues()
+ */
+function applyTaskMetadata(task, { labels = [], fields = {} } = {}) {
+	if (labels.length > 0) {
+		task.labels = [...new Set([...(task.labels || []), ...labels])];
+	}
+
+	Object.entries(fields).forEach(([name, value]) => {
+		if (value === null) {
+			if (task.fields) {
+				delete task.fields[name];
+			}
+		} else {
+			task.fields = { ...task.fields, [name]: value };
+		}
+	});
+	if (task.fields && Object.keys(task.fields).length === 0) {
+		delete task.fields;
+	}
+}
+
+/**
+ * Parses the labels and custom fields given for a new task or subtask
+ * @param {Object} input - Raw input
+ * @param {string|Array<string>} input.labels - Labels
+ * @param {string|Array<string>|Object} input.fields - Field assignments
+ * @param {Object} meta - Meta data of the tasks file (new field types are recorded in it)
+ * @returns {{labels: Array<string>, fields: Object}} Parsed labels and fields
+ */
+function resolveTaskMetadata({ labels, fields } = {}, meta) {
+	return {
+		labels: parseLabels(labels),
+		fields: resolveFieldValues(parseFieldAssignments(fields), meta)
+	};
+}
+
+/**
+ * Finds a task or subtask without changing it
+ * @param {Array} tasks - Tasks to search
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask at any depth
+ * @returns {Object|null} The task or subtask
+ */
+function findTaskOrSubtask(tasks, id) {
+	return findTaskPath(tasks, id)?.item || null;
+}
+
+/**
+ * Adds labels to or removes labels from tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string>} ids - Comma-separated task/subtask IDs, or a list of them
+ * @param {string|Array<string>} labels - Labels to add or remove
+ * @param {boolean} remove - Remove the labels instead of adding them
+ * @returns {Array<{id: string, labels: Array<string>, changed: boolean}>} Labels of each task afterwards
+ */
+function changeTaskLabels(tasksPath, ids, labels, remove) {
+	const idList = []
+		.concat(ids || [])
+		.flatMap((id) => String(id).split(','))
+		.map((id) => id.trim())
+		.filter(Boolean);
+	const labelList = parseLabels(labels);
+	if (idList.length === 0 || labelList.length === 0) {
+		throw createError(
+			'MISSING_ARGUMENT',
+			'At least one task ID and one label are required'
+		);
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const results = idList.map((id) => {
+			const task = findTaskOrSubtask(data.tasks, id);
+			if (!task) {
+				throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+			}
+
+			const before = task.labels || [];
+			const after = remove
+				? before.filter((label) => !labelList.includes(label))
+				: [...new Set([...before, ...labelList])];
+			if (after.length > 0) {
+				task.labels = after;
+			} else {
+				delete task.labels;
+			}
+			return { id, labels: after, changed: after.length !== before.length };
+		});
+
+		if (results.some((result) => result.changed)) {
+			writeTasks(tasksPath, data);
+		}
+		log(
+			'info',
+			`${remove ? 'Removed' : 'Added'} labels ${labelList.join(', ')} on ${results.filter((result) => result.changed).length} tasks`
+		);
+		return results;
+	});
+}
+
+/**
+ * Adds labels to tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string>} ids - Task/subtask IDs
+ * @param {string|Array<string>} labels - Labels to add
+ * @returns {Array<{id: string, labels: Array<string>, changed: boolean}>} Labels of each task afterwards
+ */
+function addTaskLabels(tasksPath, ids, labels) {
+	return changeTaskLabels(tasksPath, ids, labels, false);
+}
+
+/**
+ * Removes labels from tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string>} ids - Task/subtask IDs
+ * @param {string|Array<string>} labels - Labels to remove
+ * @returns {Array<{id: string, labels: Array<string>, changed: boolean}>} Labels of each task afterwards
+ */
+function removeTaskLabels(tasksPath, ids, labels) {
+	return changeTaskLabels(tasksPath, ids, labels, true);
+}
+
+/**
+ * Counts how many tasks and subtasks use each label
+ * @param {Array} tasks - Tasks to count
+ * @returns {Array<{label: string, count: number}>} Labels in alphabetical order
+ */
+function countLabels(tasks) {
+	const counts = {};
+	tasks
+		.flatMap((task) => [task, ...(task.subtasks || [])])
+		.forEach((item) => {
+			(item.labels || []).forEach((label) => {
+				counts[label] = (counts[label] || 0) + 1;
+			});
+		});
+	return Object.keys(counts)
+		.sort()
+		.map((label) => ({ label, count: counts[label] }));
+}
+
+/**
+ * Parses an epic filter. Epics are defined in task-epics.js, which builds on
+ * this module, so they are looked up in the meta data directly.
+ * @param {string} epic - Epic ID, or "none" for tasks without an epic
+ * @param {Object} meta - Meta data of the tasks file
+ * @returns {string|null} Epic ID or "none", null when not filtering by epic
+ */
+function parseEpicFilter(epic, meta) {
+	const epicId =
+		epic === undefined || epic === null
+			? ''
+			: String(epic).trim().toLowerCase();
+	if (!epicId) {
+		return null;
+	}
+	if (
+		epicId !== 'none' &&
+		!(meta?.epics || []).some((definition) => definition.id === epicId)
+	) {
+		throw createError('EPIC_NOT_FOUND', `Epic "${epicId}" not found`);
+	}
+	return epicId;
+}
+
+/**
+ * Parses label, field and epic filters, e.g. from `list --label --field --epic`
+ * @param {Object} input - Raw filters
+ * @param {string|Array<string>} input.labels - Labels every match must have
+ * @param {string|Array<string>|Object} input.fields - Field values every match must have
+ * @param {string} input.epic - Epic the tasks must belong to, or "none"
+ * @param {Object} meta - Meta data of the tasks file, for the field types and epics
+ * @returns {{labels: Array<string>, fields: Object, epic?: string}} Parsed filters
+ */
+function parseTaskFilters({ labels, fields, epic } = {}, meta) {
+	const types = getFieldTypes(meta);
+	const fieldFilters = {};
+	parseFieldAssignments(fields).forEach(({ name, type, value }) => {
+		const fieldType = types[name] || type || inferFieldType(value);
+		fieldFilters[name] = coerceFieldValue(name, value, fieldType);
+	});
+	const filters = { labels: parseLabels(labels), fields: fieldFilters };
+	const epicFilter = parseEpicFilter(epic, meta);
+	if (epicFilter) {
+		filters.epic = epicFilter;
+	}
+	return filters;
+}
+
+/**
+ * Checks whether filters would filter anything out
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} True if there are label, field or epic filters
+ */
+function hasTaskFilters(filters) {
+	return (
+		!!filters &&
+		(filters.labels?.length > 0 ||
+			Object.keys(filters.fields || {}).length > 0 ||
+			!!filters.epic)
+	);
+}
+
+/**
+ * Checks whether a task is in the filtered epic. Subtasks are in the epic of
+ * their task, so this is checked on tasks only.
+ * @param {Object} task - Task
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} True if it is, or if there is no epic filter
+ */
+function matchesEpicFilter(task, filters) {
+	if (!filters?.epic) {
+		return true;
+	}
+	return filters.epic === 'none' ? !task.epic : task.epic === filters.epic;
+}
+
+/**
+ * Checks whether a task or subtask has all the filtered labels and fields
+ * @param {Object} item - Task or subtask
+ * @param {Object} filters - Parsed filters
+ * @returns {boolean} True if it matches
+ */
+function matchesTaskFilters(item, filters) {
+	if (!hasTaskFilters(filters)) {
+		return true;
+	}
+	const labels = item.labels || [];
+	return (
+		(filters.labels || []).every((label) => labels.includes(label)) &&
+		Object.entries(filters.fields || {}).every(
+			([name, value]) => item.fields?.[name] === value
+		)
+	);
+}
+
+/**
+ * Filters tasks by epic, labels and fields. A task matches when it is in the
+ * epic and it or one of its subtasks has the labels and fields; tasks that
+ * only match through subtasks keep just the matching subtasks.
+ * @param {Array} tasks - Tasks to filter
+ * @param {Object} filters - Parsed filters
+ * @returns {Array} Matching tasks
+ */
+function filterTasksByMetadata(tasks, filters) {
+	if (!hasTaskFilters(filters)) {
+		return tasks;
+	}
+
+	return tasks
+		.filter((task) => matchesEpicFilter(task, filters))
+		.map((task) => {
+			if (matchesTaskFilters(task, filters)) {
+				return task;
+			}
+			const subtasks = (task.subtasks || []).filter((subtask) =>
+				matchesTaskFilters(subtask, filters)
+			);
+			return subtasks.length > 0 ? { ...task, subtasks } : null;
+		})
+		.filter(Boolean);
+}
+
+/**
+ * Describes filters for messages, e.g. "epic checkout, label frontend, owner=alice"
+ * @param {Object} filters - Parsed filters
+ * @returns {string} Description
+ */
+function describeTaskFilters(filters) {
+	return [
+		...(filters.epic
+			? [filters.epic === 'none' ? 'no epic' : `epic ${filters.epic}`]
+			: []),
+		...(filters.labels || []).map((label) => `label ${label}`),
+		...Object.entries(filters.fields || {}).map(
+			([name, value]) => `${name}=${value}`
+		)
+	].join(', ');
+}
+
+/**
+ * Formats custom fields for display and task files
+ * @param {Object} fields - Field values by name
+ * @returns {string} Fields as "name=value; name=value"
+ */
+function formatFields(fields) {
+	return Object.entries(fields || {})
+		.map(([name, value]) => `${name}=${value}`)
+		.join('; ');
+}
+
+/**
+ * Parses custom fields written by formatFields()
+ * @param {string} text - Fields as "name=value; name=value"
+ * @returns {Object} Field values by name, as strings
+ */
+function parseFormattedFields(text) {
+	const fields = {};
+	(text || '')
+		.split(';')
+		.map((part) => part.trim())
+		.filter(Boolean)
+		.forEach((part) => {
+			const separator = part.indexOf('=');
+			if (separator > 0) {
+				fields[part.slice(0, separator).trim()] = part
+					.slice(separator + 1)
+					.trim();
+			}
+		});
+	return fields;
+}
+
+export {
+	FIELD_TYPES,
+	parseLabels,
+	parseFieldAssignments,
+	inferFieldType,
+	coerceFieldValue,
+	getFieldTypes,
+	resolveFieldValues,
+	resolveTaskMetadata,
+	applyTaskMetadata,
+	addTaskLabels,
+	removeTaskLabels,
+	countLabels,
+	parseTaskFilters,
+	hasTaskFilters,
+	matchesTaskFilters,
+	matchesEpicFilter,
+	filterTasksByMetadata,
+	describeTaskFilters,
+	formatFields,
+	parseFormattedFields
+};
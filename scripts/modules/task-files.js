@@ -0,0 +1,800 @@
+/**
+ * task-files.js
+ * Formatting, parsing and syncing the generated task_XXX.txt files
+ *
+ * generateTaskFiles records what it wrote to each task file in
+ * `.task-files.json` in the output directory. syncTaskFiles compares both the
+ * task file and the task in tasks.json with that snapshot, so it can tell
+ * which side changed since the files were generated: edits made in a file are
+ * merged back into tasks.json, changes made in tasks.json are written to the
+ * file, and fields changed on both sides are reported as conflicts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	log,
+	createError,
+	findTaskPath,
+	getParentTaskId,
+	flattenSubtasks
+} from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { getActiveTag, getTaskFileName } from './task-tags.js';
+import { readArchivedTasks } from './task-archive.js';
+import {
+	getWorkflow,
+	isFinishedStatus,
+	resolveStatus
+} from './task-workflow.js';
+import { formatDependenciesWithStatus } from './ui.js';
+import { recordStatusChange } from './task-timeline.js';
+import {
+	formatFields,
+	parseFormattedFields,
+	resolveFieldValues,
+	parseFieldAssignments
+} from './task-fields.js';
+
+const MANIFEST_FILE = '.task-files.json';
+
+// Headers of a task file, in the order they are written
+const TASK_HEADERS = [
+	'Task ID',
+	'Title',
+	'Status',
+	'Dependencies',
+	'Priority',
+	'Labels',
+	'Fields',
+	'Description',
+	'Details',
+	'Test Strategy',
+	'Subtasks'
+];
+const SUBTASK_HEADERS = [
+	'Dependencies',
+	'Labels',
+	'Fields',
+	'Description',
+	'Details'
+];
+
+// Task and subtask fields that are written to task files and synced back
+const TASK_FIELDS = [
+	'title',
+	'status',
+	'dependencies',
+	'priority',
+	'labels',
+	'fields',
+	'description',
+	'details',
+	'testStrategy'
+];
+const SUBTASK_FIELDS = [
+	'title',
+	'status',
+	'dependencies',
+	'labels',
+	'fields',
+	'description',
+	'details'
+];
+
+// Nested subtasks are written with their path below the task, e.g. "## 2.1."
+const SUBTASK_HEADING = /^## (\d+(?:\.\d+)*)\. (.*) \[([^\]]*)\]$/;
+
+/**
+ * Formats the labels and custom fields lines of a task or subtask. They are
+ * left out when empty, so files of tasks without them don't change.
+ * @param {Object} task - Task or subtask
+ * @param {string} prefix - Prefix of the header lines, e.g. "#"
+ * @returns {string} Header lines
+ */
+function formatMetadataHeaders(task, prefix) {
+	let content = '';
+	if (task.labels && task.labels.length > 0) {
+		content += `${prefix} Labels: ${task.labels.join(', ')}\n`;
+	}
+	if (task.fields && Object.keys(task.fields).length > 0) {
+		content += `${prefix} Fields: ${formatFields(task.fields)}\n`;
+	}
+	return content;
+}
+
+/**
+ * Formats the contents of a task file
+ * @param {Object} task - Task to format
+ * @param {Array} dependencyTasks - Tasks that dependencies can refer to
+ * @returns {string} Task file contents
+ */
+function formatTaskFile(task, dependencyTasks) {
+	let content = `# Task ID: ${task.id}\n`;
+	content += `# Title: ${task.title}\n`;
+	content += `# Status: ${task.status || 'pending'}\n`;
+
+	// Format dependencies with their status
+	if (task.dependencies && task.dependencies.length > 0) {
+		content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, dependencyTasks, false)}\n`;
+	} else {
+		content += '# Dependencies: None\n';
+	}
+
+	content += `# Priority: ${task.priority || 'medium'}\n`;
+	content += formatMetadataHeaders(task, '#');
+	content += `# Description: ${task.description || ''}\n`;
+
+	// Add more detailed sections
+	content += '# Details:\n';
+	content += task.details || '';
+	content += '\n\n';
+
+	content += '# Test Strategy:\n';
+	content += task.testStrategy || '';
+	content += '\n';
+
+	// Add subtasks if they exist, each one followed by its own subtasks
+	if (task.subtasks && task.subtasks.length > 0) {
+		content += '\n# Subtasks:\n';
+
+		flattenSubtasks(task).forEach(({ subtask, id, parentId }) => {
+			const siblings = findTaskPath([task], parentId).item.subtasks;
+			const subtaskPath = id.slice(String(task.id).length + 1);
+			content += `## ${subtaskPath}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
+
+			if (subtask.dependencies && subtask.dependencies.length > 0) {
+				// Dependencies on sibling subtasks are written as "parentId.subtaskId"
+				const subtaskDeps = subtask.dependencies
+					.map((depId) => {
+						if (
+							typeof depId === 'number' &&
+							siblings.some((st) => st.id === depId)
+						) {
+							return `${parentId}.${depId}`;
+						}
+						return depId.toString();
+					})
+					.join(', ');
+
+				content += `### Dependencies: ${subtaskDeps}\n`;
+			} else {
+				content += '### Dependencies: None\n';
+			}
+
+			content += formatMetadataHeaders(subtask, '###');
+			content += `### Description: ${subtask.description || ''}\n`;
+			content += '### Details:\n';
+			content += subtask.details || '';
+			content += '\n\n';
+		});
+	}
+
+	return content;
+}
+
+/**
+ * Splits lines into the sections started by the given headers. Headers are
+ * only recognized in the given order, so text that happens to look like a
+ * header inside details doesn't end the section early.
+ * @param {Array<string>} lines - Lines to split
+ * @param {Array<string>} headers - Header names, in order
+ * @param {string} prefix - Prefix of the header lines, e.g. "#"
+ * @returns {Object} Section text by header name (missing headers are left out)
+ */
+function readSections(lines, headers, prefix) {
+	const starts = [];
+	let index = 0;
+	headers.forEach((header) => {
+		const marker = `${prefix} ${header}:`;
+		const lineIndex = lines.findIndex(
+			(line, i) => i >= index && line.startsWith(marker)
+		);
+		if (lineIndex !== -1) {
+			starts.push({
+				header,
+				lineIndex,
+				inline: lines[lineIndex].slice(marker.length)
+			});
+			index = lineIndex + 1;
+		}
+	});
+
+	const sections = {};
+	starts.forEach(({ header, lineIndex, inline }, i) => {
+		const end = i + 1 < starts.length ? starts[i + 1].lineIndex : lines.length;
+		const text = lines.slice(lineIndex + 1, end);
+		if (inline.trim()) {
+			text.unshift(inline.replace(/^ /, ''));
+		}
+		sections[header] = text.join('\n').replace(/\s+$/, '');
+	});
+	return sections;
+}
+
+/**
+ * Parses a dependency list written to a task file
+ * @param {string} text - Dependencies, e.g. "1, 2.3" or "None"
+ * @param {number|string} [parentId] - Full ID of the parent task or subtask, for subtask dependencies
+ * @returns {Array<number|string>} Dependency IDs
+ */
+function parseDependencies(text, parentId) {
+	if (!text || text.trim().toLowerCase() === 'none') {
+		return [];
+	}
+
+	return text
+		.split(',')
+		.map((dep) => dep.trim().match(/^\d+(?:\.\d+)*/))
+		.filter(Boolean)
+		.map(([depId]) => {
+			const depParentId = getParentTaskId(depId);
+			if (depParentId === null) {
+				// A number would mean a sibling of a subtask
+				return parentId !== undefined ? depId : parseInt(depId, 10);
+			}
+			// Sibling subtasks are referred to by their subtask ID alone
+			return parentId !== undefined && depParentId === String(parentId)
+				? parseInt(depId.split('.').pop(), 10)
+				: depId;
+		});
+}
+
+/**
+ * Parses a label list written to a task file
+ * @param {string} text - Labels, e.g. "frontend, security"
+ * @returns {Array<string>} Labels
+ */
+function parseLabelList(text) {
+	return (text || '')
+		.split(',')
+		.map((label) => label.trim().toLowerCase())
+		.filter(Boolean);
+}
+
+/**
+ * Parses the contents of a generated task file
+ * @param {string} content - Task file contents
+ * @returns {Object} Task with the fields that task files contain
+ */
+function parseTaskFile(content) {
+	const lines = content.replace(/\r\n/g, '\n').split('\n');
+	const sections = readSections(lines, TASK_HEADERS, '#');
+
+	const id = parseInt(sections['Task ID'], 10);
+	if (Number.isNaN(id)) {
+		throw createError(
+			'INVALID_TASK_FILE',
+			'Task file has no valid "# Task ID:" header'
+		);
+	}
+
+	const task = {
+		id,
+		title: sections.Title || '',
+		status: sections.Status || 'pending',
+		dependencies: parseDependencies(sections.Dependencies),
+		priority: sections.Priority || 'medium',
+		labels: parseLabelList(sections.Labels),
+		fields: parseFormattedFields(sections.Fields),
+		description: sections.Description || '',
+		details: sections.Details || '',
+		testStrategy: sections['Test Strategy'] || '',
+		subtasks: []
+	};
+
+	// Each subtask starts with a "## id. title [status]" heading, nested
+	// subtasks with their path below the task, after their parent
+	const subtaskLines = (sections.Subtasks || '').split('\n');
+	subtaskLines.forEach((line, index) => {
+		const heading = line.match(SUBTASK_HEADING);
+		if (!heading) {
+			return;
+		}
+
+		const nextHeading = subtaskLines.findIndex(
+			(next, i) => i > index && SUBTASK_HEADING.test(next)
+		);
+		const subtaskSections = readSections(
+			subtaskLines.slice(
+				index + 1,
+				nextHeading === -1 ? undefined : nextHeading
+			),
+			SUBTASK_HEADERS,
+			'###'
+		);
+
+		const parentPath = getParentTaskId(heading[1]);
+		const parent = parentPath ? findTaskPath(task.subtasks, parentPath) : null;
+		if (parentPath && !parent) {
+			throw createError(
+				'INVALID_TASK_FILE',
+				`Subtask ${heading[1]} comes before its parent subtask ${parentPath}`
+			);
+		}
+
+		const subtask = {
+			id: parseInt(heading[1].split('.').pop(), 10),
+			title: heading[2].trim(),
+			status: heading[3].trim() || 'pending',
+			dependencies: parseDependencies(
+				subtaskSections.Dependencies,
+				parentPath ? `${id}.${parentPath}` : id
+			),
+			labels: parseLabelList(subtaskSections.Labels),
+			fields: parseFormattedFields(subtaskSections.Fields),
+			description: subtaskSections.Description || '',
+			details: subtaskSections.Details || ''
+		};
+		if (parent) {
+			parent.item.subtasks = [...(parent.item.subtasks || []), subtask];
+		} else {
+			task.subtasks.push(subtask);
+		}
+	});
+
+	return task;
+}
+
+/**
+ * Gets the path of the manifest that records the generated task files
+ * @param {string} outputDir - Directory with the task files
+ * @returns {string} Path to the manifest
+ */
+function getTaskFilesManifestPath(outputDir) {
+	return path.join(outputDir, MANIFEST_FILE);
+}
+
+/**
+ * Reads the manifest of generated task files
+ * @param {string} outputDir - Directory with the task files
+ * @returns {Object} Parsed task file contents by file name (empty if there is no manifest yet)
+ */
+function readTaskFilesManifest(outputDir) {
+	try {
+		return JSON.parse(
+			fs.readFileSync(getTaskFilesManifestPath(outputDir), 'utf8')
+		);
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * Records what was written to task files, so later syncs can tell which side
+ * changed. Entries for other task files are kept.
+ * @param {string} outputDir - Directory with the task files
+ * @param {Object} files - Written contents by file name
+ */
+function recordTaskFiles(outputDir, files) {
+	const manifest = readTaskFilesManifest(outputDir);
+	Object.entries(files).forEach(([fileName, content]) => {
+		manifest[fileName] = parseTaskFile(content);
+	});
+	fs.writeFileSync(
+		getTaskFilesManifestPath(outputDir),
+		JSON.stringify(manifest, null, 2)
+	);
+}
+
+/**
+ * Checks whether a task file was edited since it was generated, i.e. it no
+ * longer matches its snapshot in the manifest. Files without a snapshot can't
+ * be told apart from generated ones and count as unchanged.
+ * @param {string} filePath - Path to the task file
+ * @param {Object|undefined} snapshot - Manifest entry of the file
+ * @returns {boolean} True if rewriting the file would lose edits
+ */
+function hasUnsyncedEdits(filePath, snapshot) {
+	if (!snapshot || !fs.existsSync(filePath)) {
+		return false;
+	}
+
+	try {
+		const fileFields = flattenTaskFields(
+			parseTaskFile(fs.readFileSync(filePath, 'utf8'))
+		);
+		const baseFields = flattenTaskFields(snapshot);
+		return Object.keys({ ...fileFields, ...baseFields }).some(
+			(field) => !sameValue(fileFields[field], baseFields[field])
+		);
+	} catch (error) {
+		// A file that no longer parses was edited by hand as well
+		return true;
+	}
+}
+
+/**
+ * Gets the value of a synced field of a parsed task or subtask. Snapshots
+ * recorded before labels and custom fields existed don't have them.
+ * @param {Object} item - Parsed task or subtask
+ * @param {string} field - Field name
+ * @returns {*} Field value
+ */
+function getSyncedValue(item, field) {
+	if (field === 'labels') {
+		return item.labels || [];
+	}
+	if (field === 'fields') {
+		return item.fields || {};
+	}
+	return item[field];
+}
+
+/**
+ * Flattens the synced fields of a parsed task, so tasks can be compared field
+ * by field. Subtask fields are keyed as "subtasks.<path>.<field>", the path
+ * being the subtask ID below the task (e.g. "2.1"), and the IDs of the
+ * subtasks of a subtask as "subtasks.<path>.subtasks".
+ * @param {Object} task - Parsed task
+ * @returns {Object} Field values by field name
+ */
+function flattenTaskFields(task) {
+	const fields = {};
+	TASK_FIELDS.forEach((field) => {
+		fields[field] = getSyncedValue(task, field);
+	});
+	fields.subtasks = task.subtasks.map((subtask) => subtask.id);
+	flattenSubtasks(task).forEach(({ subtask, id }) => {
+		const subtaskPath = id.slice(String(task.id).length + 1);
+		SUBTASK_FIELDS.forEach((field) => {
+			fields[`subtasks.${subtaskPath}.${field}`] = getSyncedValue(
+				subtask,
+				field
+			);
+		});
+		fields[`subtasks.${subtaskPath}.subtasks`] = (subtask.subtasks || []).map(
+			(st) => st.id
+		);
+	});
+	return fields;
+}
+
+/**
+ * Converts the custom field values read from a task file, which are text, to
+ * their field types
+ * @param {Object} fields - Flattened field values to apply
+ * @param {Object} meta - Meta data of the tasks file, for the field types
+ * @returns {Object} Field values with typed custom fields
+ */
+function convertCustomFields(fields, meta) {
+	const converted = {};
+	Object.entries(fields).forEach(([field, value]) => {
+		if (field !== 'fields' && !field.endsWith('.fields')) {
+			converted[field] = value;
+			return;
+		}
+		const values = resolveFieldValues(parseFieldAssignments(value), meta);
+		converted[field] = Object.fromEntries(
+			Object.entries(values).filter(([, fieldValue]) => fieldValue !== null)
+		);
+	});
+	return converted;
+}
+
+/**
+ * Resolves the statuses in a task file to statuses of the workflow, so files
+ * only accept the statuses set-status accepts
+ * @param {Object} fields - Flattened field values from a task file
+ * @param {Object} workflow - Workflow of the project
+ * @returns {Object} Field values with the statuses resolved
+ */
+function resolveFileStatuses(fields, workflow) {
+	return Object.fromEntries(
+		Object.entries(fields).map(([field, value]) => [
+			field,
+			field === 'status' || field.endsWith('.status')
+				? resolveStatus(workflow, value)
+				: value
+		])
+	);
+}
+
+/**
+ * Sets a synced field, leaving out empty labels and custom fields
+ * @param {Object} item - Task or subtask to update
+ * @param {string} field - Field name
+ * @param {*} value - New value
+ */
+function setSyncedValue(item, field, value) {
+	const empty =
+		(field === 'labels' && value.length === 0) ||
+		(field === 'fields' && Object.keys(value).length === 0);
+	if (empty) {
+		delete item[field];
+	} else {
+		item[field] = value;
+	}
+}
+
+/**
+ * Checks whether two field values are the same
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function sameValue(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Sets the status of a task or subtask, keeping the completion date and status
+ * history up to date like set-status
+ * @param {Object} task - Task or subtask to update
+ * @param {string} status - New status
+ * @param {Object} workflow - Workflow deciding which statuses finish a task
+ */
+function setStatus(task, status, workflow) {
+	const oldStatus = task.status || workflow.initial;
+	task.status = status;
+	recordStatusChange(task, oldStatus, status);
+	if (!isFinishedStatus(workflow, status)) {
+		delete task.completedAt;
+	} else if (!isFinishedStatus(workflow, oldStatus)) {
+		task.completedAt = new Date().toISOString();
+	}
+}
+
+/**
+ * Applies field values from a task file to a task
+ * @param {Object} task - Task from tasks.json
+ * @param {Object} fields - Flattened field values to apply
+ * @param {Object} workflow - Workflow of the project
+ */
+function applyTaskFields(task, fields, workflow) {
+	const isSubtaskList = (field) =>
+		field === 'subtasks' || field.endsWith('.subtasks');
+	// Path of the subtask a "subtasks.<path>.<field>" key belongs to
+	const getSubtaskPath = (field) => field.split('.').slice(1, -1).join('.');
+
+	// Add and remove subtasks first, from the task down, so their fields can
+	// be set afterwards
+	Object.keys(fields)
+		.filter(isSubtaskList)
+		.sort((a, b) => a.split('.').length - b.split('.').length)
+		.forEach((field) => {
+			const parent =
+				field === 'subtasks'
+					? task
+					: findTaskPath(task.subtasks, getSubtaskPath(field))?.item;
+			// Subtasks of subtasks that were removed are dropped with them
+			if (!parent) {
+				return;
+			}
+			if (parent !== task && fields[field].length === 0) {
+				delete parent.subtasks;
+				return;
+			}
+			const subtasks = parent.subtasks || [];
+			parent.subtasks = fields[field].map(
+				(id) =>
+					subtasks.find((subtask) => subtask.id === id) || {
+						id,
+						title: '',
+						description: '',
+						details: '',
+						status: workflow.initial,
+						dependencies: []
+					}
+			);
+		});
+
+	Object.entries(fields).forEach(([field, value]) => {
+		if (isSubtaskList(field)) {
+			return;
+		}
+		if (field === 'status') {
+			setStatus(task, value, workflow);
+			return;
+		}
+		if (TASK_FIELDS.includes(field)) {
+			setSyncedValue(task, field, value);
+			return;
+		}
+
+		// Fields of subtasks that were removed are dropped with them
+		const subtaskField = field.split('.').pop();
+		const subtask = findTaskPath(task.subtasks, getSubtaskPath(field))?.item;
+		if (!subtask) {
+			return;
+		}
+		if (subtaskField === 'status') {
+			setStatus(subtask, value, workflow);
+			return;
+		}
+		setSyncedValue(subtask, subtaskField, value);
+	});
+}
+
+/**
+ * Merges edits made in the task files of the active tag back into tasks.json
+ * and rewrites the files of tasks that changed in tasks.json. Fields changed
+ * on both sides since the files were generated are reported as conflicts and
+ * left alone, unless a side to prefer is given.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} outputDir - Directory with the task files
+ * @param {Object} options - Sync options
+ * @param {string} options.prefer - Side that wins conflicts: "file" or "tasks"
+ * @param {boolean} options.dryRun - Only report what would change
+ * @returns {Object} Tasks updated from files, files updated from tasks, conflicts and unreadable files
+ */
+function syncTaskFiles(tasksPath, outputDir, options = {}) {
+	const { prefer, dryRun = false } = options;
+	if (prefer && !['file', 'tasks'].includes(prefer)) {
+		throw createError(
+			'INVALID_SYNC_PREFERENCE',
+			`Invalid side to prefer: ${prefer}. Use "file" or "tasks"`
+		);
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		if (!data.meta) {
+			data.meta = {};
+		}
+
+		const tag = getActiveTag(tasksPath);
+		const manifest = readTaskFilesManifest(outputDir);
+		const workflow = getWorkflow(data.meta);
+		const dependencyTasks = [...data.tasks, ...readArchivedTasks(tasksPath)];
+		const result = {
+			fromFiles: [],
+			toFiles: [],
+			conflicts: [],
+			errors: [],
+			dryRun
+		};
+		const filesToWrite = {};
+
+		data.tasks.forEach((task) => {
+			const fileName = getTaskFileName(task.id, tag);
+			const filePath = path.join(outputDir, fileName);
+			if (!fs.existsSync(filePath)) {
+				return;
+			}
+
+			let fileTask;
+			try {
+				fileTask = parseTaskFile(fs.readFileSync(filePath, 'utf8'));
+			} catch (error) {
+				result.errors.push({
+					id: task.id,
+					file: fileName,
+					message: error.message
+				});
+				return;
+			}
+			if (fileTask.id !== task.id) {
+				result.errors.push({
+					id: task.id,
+					file: fileName,
+					message: `File is for task ${fileTask.id}, not task ${task.id}`
+				});
+				return;
+			}
+
+			// Compare what tasks.json would generate now, so defaults and
+			// formatting don't count as changes
+			const fileFields = flattenTaskFields(fileTask);
+			const taskFields = flattenTaskFields(
+				parseTaskFile(formatTaskFile(task, dependencyTasks))
+			);
+			// Without a snapshot there's no telling which side changed
+			const baseFields = manifest[fileName]
+				? flattenTaskFields(manifest[fileName])
+				: null;
+
+			const fromFile = {};
+			const toFile = [];
+			const conflicts = [];
+			const fieldNames = new Set([
+				...Object.keys(fileFields),
+				...Object.keys(taskFields)
+			]);
+			fieldNames.forEach((field) => {
+				const fileValue = fileFields[field];
+				const taskValue = taskFields[field];
+				if (sameValue(fileValue, taskValue)) {
+					return;
+				}
+
+				const baseValue = baseFields ? baseFields[field] : undefined;
+				const fileChanged = !baseFields || !sameValue(fileValue, baseValue);
+				const taskChanged = !baseFields || !sameValue(taskValue, baseValue);
+
+				if (fileChanged && (!taskChanged || prefer === 'file')) {
+					fromFile[field] = fileValue;
+				} else if (!fileChanged || prefer === 'tasks') {
+					toFile.push(field);
+				} else {
+					conflicts.push({ field, fileValue, taskValue });
+				}
+			});
+
+			let fileValues;
+			try {
+				fileValues = resolveFileStatuses(
+					convertCustomFields(fromFile, data.meta),
+					workflow
+				);
+			} catch (error) {
+				result.errors.push({
+					id: task.id,
+					file: fileName,
+					message: error.message
+				});
+				return;
+			}
+
+			if (Object.keys(fromFile).length > 0) {
+				result.fromFiles.push({
+					id: task.id,
+					file: fileName,
+					fields: Object.keys(fromFile)
+				});
+				applyTaskFields(task, fileValues, workflow);
+			}
+
+			if (conflicts.length > 0) {
+				// Leave the file and its snapshot alone until the conflict is resolved
+				result.conflicts.push({
+					id: task.id,
+					file: fileName,
+					fields: conflicts
+				});
+				return;
+			}
+
+			if (toFile.length > 0) {
+				result.toFiles.push({ id: task.id, file: fileName, fields: toFile });
+			}
+			filesToWrite[fileName] = task;
+		});
+
+		if (dryRun) {
+			return result;
+		}
+
+		if (result.fromFiles.length > 0) {
+			writeTasks(tasksPath, data);
+		}
+
+		// Rewrite files in sync with tasks.json and record them as generated
+		const written = {};
+		Object.entries(filesToWrite).forEach(([fileName, task]) => {
+			const content = formatTaskFile(task, dependencyTasks);
+			const filePath = path.join(outputDir, fileName);
+			if (fs.readFileSync(filePath, 'utf8') !== content) {
+				fs.writeFileSync(filePath, content);
+			}
+			written[fileName] = content;
+		});
+		if (Object.keys(written).length > 0) {
+			recordTaskFiles(outputDir, written);
+		}
+
+		log(
+			'info',
+			`Synced task files: ${result.fromFiles.length} tasks updated from files, ${result.toFiles.length} files updated from tasks, ${result.conflicts.length} conflicts`
+		);
+		return result;
+	});
+}
+
+export {
+	formatTaskFile,
+	parseTaskFile,
+	getTaskFilesManifestPath,
+	readTaskFilesManifest,
+	recordTaskFiles,
+	hasUnsyncedEdits,
+	syncTaskFiles
+};
@@ -0,0 +1,402 @@
+/**
+ * task-graph.js
+ * Dependency graph of the tasks as a Mermaid flowchart, Graphviz DOT or text
+ *
+ * Edges point from a dependency to the task waiting for it, so the graph
+ * reads in the order the work gets done. With subtasks, every subtask (at any
+ * depth) also has a dashed edge to its parent task or subtask.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	log,
+	createError,
+	flattenSubtasks,
+	resolveDependencyId
+} from './utils.js';
+import { readTasks } from './task-store.js';
+import { getWorkflow, getStatusDefinition } from './task-workflow.js';
+
+const GRAPH_FORMATS = ['mermaid', 'dot', 'ascii'];
+
+// Which part of the graph around a focused task is shown
+const FOCUS_DIRECTIONS = ['ancestors', 'descendants', 'both'];
+
+// Hex values of the status colors chalk knows by name
+const COLOR_HEX = {
+	black: '#000000',
+	red: '#e5534b',
+	green: '#57ab5a',
+	yellow: '#e2c541',
+	blue: '#539bf5',
+	magenta: '#b083f0',
+	cyan: '#39c5cf',
+	white: '#f0f0f0',
+	gray: '#a0a0a0',
+	grey: '#a0a0a0',
+	redBright: '#ff8080',
+	greenBright: '#8ddb8c',
+	yellowBright: '#f5e28c',
+	blueBright: '#96c4ff',
+	magentaBright: '#dcbdfb',
+	cyanBright: '#a1eef2',
+	whiteBright: '#ffffff'
+};
+
+// Color of statuses that aren't part of the workflow
+const UNKNOWN_STATUS_COLOR = '#d0d0d0';
+
+// Longest title shown in a node
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Builds the nodes and edges of the dependency graph
+ * @param {Array} tasks - Tasks of the active tag
+ * @param {Object} options - Graph options
+ * @param {boolean} options.subtasks - Include subtasks, nested ones too, as nodes of their own
+ * @param {string} options.focus - Only show the graph around this task or subtask ID
+ * @param {string} options.direction - ancestors, descendants or both (default) of the focused task
+ * @returns {{nodes: Array<{id: string, title: string, status: string, parentId: string|null}>, edges: Array<{from: string, to: string, type: string}>}} The graph
+ */
+function buildDependencyGraph(tasks, options = {}) {
+	const focus =
+		options.focus !== undefined && options.focus !== null
+			? String(options.focus).trim()
+			: null;
+	const direction = (options.direction || 'both').toLowerCase();
+	if (!FOCUS_DIRECTIONS.includes(direction)) {
+		throw createError(
+			'INVALID_DIRECTION',
+			`Unknown direction: ${options.direction}. Use one of: ${FOCUS_DIRECTIONS.join(', ')}`
+		);
+	}
+	// Focusing on a subtask needs the subtasks in the graph
+	const withSubtasks = !!options.subtasks || (!!focus && focus.includes('.'));
+
+	const nodes = [];
+	tasks.forEach((task) => {
+		nodes.push({
+			id: String(task.id),
+			title: task.title,
+			status: task.status || 'pending',
+			parentId: null
+		});
+		if (withSubtasks) {
+			flattenSubtasks(task).forEach(({ subtask, id, parentId }) => {
+				nodes.push({
+					id,
+					title: subtask.title,
+					status: subtask.status || 'pending',
+					parentId
+				});
+			});
+		}
+	});
+	const nodeIds = new Set(nodes.map((node) => node.id));
+
+	// Without subtasks, dependencies on them point at their parent instead
+	const resolveNode = (id) => {
+		if (nodeIds.has(id)) {
+			return id;
+		}
+		const taskId = id.split('.')[0];
+		return !withSubtasks && nodeIds.has(taskId) ? taskId : null;
+	};
+
+	const edges = [];
+	const addEdge = (fromId, toId, type) => {
+		const from = resolveNode(fromId);
+		const to = resolveNode(toId);
+		if (
+			from &&
+			to &&
+			from !== to &&
+			!edges.some((edge) => edge.from === from && edge.to === to)
+		) {
+			edges.push({ from, to, type });
+		}
+	};
+
+	tasks.forEach((task) => {
+		(task.dependencies || []).forEach((depId) => {
+			addEdge(String(depId), String(task.id), 'dependency');
+		});
+		flattenSubtasks(task).forEach(({ subtask, id: subtaskId, parentId }) => {
+			(subtask.dependencies || []).forEach((depId) => {
+				// Numeric subtask dependencies refer to sibling subtasks
+				addEdge(
+					String(resolveDependencyId(subtaskId, depId)),
+					subtaskId,
+					'dependency'
+				);
+			});
+			if (withSubtasks) {
+				addEdge(subtaskId, parentId, 'subtask');
+			}
+		});
+	});
+
+	if (!focus) {
+		return { nodes, edges };
+	}
+	if (!nodeIds.has(focus)) {
+		throw createError('TASK_NOT_FOUND', `Task ${focus} not found`);
+	}
+
+	// Walk the edges backwards for ancestors and forwards for descendants
+	const keep = new Set([focus]);
+	const walk = (forward) => {
+		const queue = [focus];
+		while (queue.length > 0) {
+			const id = queue.shift();
+			edges.forEach((edge) => {
+				const [near, far] = forward
+					? [edge.from, edge.to]
+					: [edge.to, edge.from];
+				if (near === id && !keep.has(far)) {
+					keep.add(far);
+					queue.push(far);
+				}
+			});
+		}
+	};
+	if (direction !== 'descendants') {
+		walk(false);
+	}
+	if (direction !== 'ancestors') {
+		walk(true);
+	}
+
+	return {
+		nodes: nodes.filter((node) => keep.has(node.id)),
+		edges: edges.filter((edge) => keep.has(edge.from) && keep.has(edge.to))
+	};
+}
+
+/**
+ * Gets the fill and text colors of a status
+ * @param {Object} workflow - Workflow with the status colors
+ * @param {string} status - Status name
+ * @returns {{fill: string, text: string}} Hex colors
+ */
+function getStatusColors(workflow, status) {
+	const color = getStatusDefinition(workflow, status)?.color;
+	const fill = color
+		? COLOR_HEX[color] || color.toLowerCase()
+		: UNKNOWN_STATUS_COLOR;
+	const [red, green, blue] = [1, 3, 5].map((index) =>
+		parseInt(fill.slice(index, index + 2), 16)
+	);
+	const luminance = (0.299 * red + 0.587 * green + 0.114 * blue) / 255;
+	return { fill, text: luminance > 0.55 ? '#000000' : '#ffffff' };
+}
+
+/**
+ * Shortens a title for a node label
+ * @param {string} title - Title
+ * @returns {string} Title of at most MAX_LABEL_LENGTH characters
+ */
+function shortenTitle(title) {
+	const text = String(title || '').replace(/\s+/g, ' ');
+	return text.length > MAX_LABEL_LENGTH
+		? `${text.slice(0, MAX_LABEL_LENGTH - 3)}...`
+		: text;
+}
+
+/**
+ * Formats a graph as a Mermaid flowchart
+ * @param {Object} graph - Graph from buildDependencyGraph()
+ * @param {Object} workflow - Workflow with the status colors
+ * @returns {string} Mermaid source
+ */
+function formatMermaid(graph, workflow) {
+	const nodeId = (id) => `t${id.replaceAll('.', '_')}`;
+	const statusClass = (status) =>
+		`status_${status.replace(/[^a-zA-Z0-9]/g, '_')}`;
+	// Mermaid has no escape for quotes inside labels, only entity codes
+	const label = (node) =>
+		`${node.id}: ${shortenTitle(node.title)}`
+			.replace(/"/g, '#quot;')
+			.replace(/[<>]/g, (char) => (char === '<' ? '#lt;' : '#gt;'));
+
+	const lines = ['flowchart TD'];
+	graph.nodes.forEach((node) => {
+		lines.push(`    ${nodeId(node.id)}["${label(node)}"]`);
+	});
+	graph.edges.forEach((edge) => {
+		const arrow = edge.type === 'subtask' ? '-.->' : '-->';
+		lines.push(`    ${nodeId(edge.from)} ${arrow} ${nodeId(edge.to)}`);
+	});
+
+	const statuses = [...new Set(graph.nodes.map((node) => node.status))];
+	statuses.forEach((status) => {
+		const { fill, text } = getStatusColors(workflow, status);
+		lines.push(
+			`    classDef ${statusClass(status)} fill:${fill},stroke:#333333,color:${text}`
+		);
+		lines.push(
+			`    class ${graph.nodes
+				.filter((node) => node.status === status)
+				.map((node) => nodeId(node.id))
+				.join(',')} ${statusClass(status)}`
+		);
+	});
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a graph in the Graphviz DOT language
+ * @param {Object} graph - Graph from buildDependencyGraph()
+ * @param {Object} workflow - Workflow with the status colors
+ * @returns {string} DOT source
+ */
+function formatDot(graph, workflow) {
+	const quote = (text) =>
+		`"${String(text)
+			.replace(/\\/g, '\\\\')
+			.replace(/"/g, '\\"')
+			.replace(/\n/g, '\\n')}"`;
+
+	const lines = [
+		'digraph tasks {',
+		'    rankdir=TB;',
+		'    node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+	];
+	graph.nodes.forEach((node) => {
+		const { fill, text } = getStatusColors(workflow, node.status);
+		lines.push(
+			`    ${quote(node.id)} [label=${quote(`${node.id}: ${shortenTitle(node.title)}\n(${node.status})`)}, fillcolor="${fill}", fontcolor="${text}"];`
+		);
+	});
+	graph.edges.forEach((edge) => {
+		lines.push(
+			`    ${quote(edge.from)} -> ${quote(edge.to)}${edge.type === 'subtask' ? ' [style=dashed]' : ''};`
+		);
+	});
+	lines.push('}');
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats a graph as a text tree for the terminal. Every task without
+ * dependencies in the graph starts a tree of the tasks waiting for it; a task
+ * that was already drawn further up is only named again.
+ * @param {Object} graph - Graph from buildDependencyGraph()
+ * @param {Object} workflow - Workflow passed on to colorize
+ * @param {Function} colorize - Colors a node's text by status, (text, status, workflow) => string
+ * @returns {string} Text tree
+ */
+function formatAscii(graph, workflow, colorize = (text) => text) {
+	const byId = new Map(graph.nodes.map((node) => [node.id, node]));
+	const outgoing = new Map(graph.nodes.map((node) => [node.id, []]));
+	const incoming = new Set();
+	graph.edges.forEach((edge) => {
+		outgoing.get(edge.from).push(edge);
+		incoming.add(edge.to);
+	});
+
+	const lines = [];
+	const drawn = new Set();
+	const draw = (id, prefix, connector, childPrefix) => {
+		const node = byId.get(id);
+		const text = `[${node.id}] ${shortenTitle(node.title)} (${node.status})`;
+		if (drawn.has(id)) {
+			lines.push(
+				`${prefix}${connector}${colorize(`[${node.id}]`, node.status, workflow)} ↑`
+			);
+			return;
+		}
+		drawn.add(id);
+		lines.push(`${prefix}${connector}${colorize(text, node.status, workflow)}`);
+
+		const children = outgoing.get(id);
+		children.forEach((edge, index) => {
+			const last = index === children.length - 1;
+			const arrow = edge.type === 'subtask' ? '┄> ' : '─> ';
+			draw(
+				edge.to,
+				prefix + childPrefix,
+				(last ? '└' : '├') + arrow,
+				last ? '    ' : '│   '
+			);
+		});
+	};
+
+	graph.nodes
+		.filter((node) => !incoming.has(node.id))
+		.forEach((node) => draw(node.id, '', '', ''));
+	// Nodes only reachable through a cycle have no root of their own
+	graph.nodes
+		.filter((node) => !drawn.has(node.id))
+		.forEach((node) => draw(node.id, '', '', ''));
+
+	return lines.join('\n') + '\n';
+}
+
+/**
+ * Renders the dependency graph of the active tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Graph options
+ * @param {string} options.format - mermaid, dot or ascii (default: mermaid)
+ * @param {boolean} options.subtasks - Include subtasks
+ * @param {string} options.focus - Only show the graph around this task or subtask ID
+ * @param {string} options.direction - ancestors, descendants or both (default) of the focused task
+ * @param {Function} options.colorize - Colors nodes of the ascii format, (text, status, workflow) => string
+ * @param {string} options.output - File to write the graph to (it is only returned without it)
+ * @returns {{format: string, content: string, nodeCount: number, edgeCount: number, outputPath: string|null}} The rendered graph
+ */
+function renderTaskGraph(tasksPath, options = {}) {
+	const format = (options.format || 'mermaid').toLowerCase();
+	if (!GRAPH_FORMATS.includes(format)) {
+		throw createError(
+			'INVALID_GRAPH_FORMAT',
+			`Unknown graph format: ${options.format}. Use one of: ${GRAPH_FORMATS.join(', ')}`
+		);
+	}
+
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	const workflow = getWorkflow(data.meta);
+	const graph = buildDependencyGraph(data.tasks, options);
+	const formatters = {
+		mermaid: () => formatMermaid(graph, workflow),
+		dot: () => formatDot(graph, workflow),
+		ascii: () => formatAscii(graph, workflow, options.colorize)
+	};
+	const content = formatters[format]();
+
+	if (options.output) {
+		fs.mkdirSync(path.dirname(options.output), { recursive: true });
+		fs.writeFileSync(options.output, content);
+		log(
+			'info',
+			`Wrote the ${format} graph of ${graph.nodes.length} tasks to ${options.output}`
+		);
+	}
+
+	return {
+		format,
+		content,
+		nodeCount: graph.nodes.length,
+		edgeCount: graph.edges.length,
+		outputPath: options.output || null
+	};
+}
+
+export {
+	GRAPH_FORMATS,
+	FOCUS_DIRECTIONS,
+	buildDependencyGraph,
+	formatMermaid,
+	formatDot,
+	formatAscii,
+	renderTaskGraph
+};
@@ -0,0 +1,731 @@
+/**
+ * task-history.js
+ * Undo/redo journal for tasks.json
+ *
+ * Every save that goes through writeTasks() is recorded in a `.history`
+ * directory next to tasks.json, which keeps a journal for each tasks file
+ * (e.g. `.history/tasks.json` and `.history/tasks.db`) so that undo never
+ * steps through the changes of another file. Writes made by the same operation
+ * (one CLI invocation or one MCP tool call) are grouped into a single entry
+ * holding a patch of what the operation changed: the tasks it added, removed
+ * or edited (before and after), the new task order where it changed, and any
+ * other top-level field it touched. Undo and redo apply one side of the patch,
+ * so they restore exactly what the operation changed and nothing else.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { log, createError, writeFileAtomic } from './utils.js';
+import { acquireTasksLock, writeTasks } from './task-store.js';
+import { migrateTasksData } from './task-schema.js';
+import { getStorageBackend } from './task-storage.js';
+import { DEFAULT_TAG, getTagNames, getTagTasks } from './task-tags.js';
+
+// Maximum number of operations kept in the journal
+const HISTORY_LIMIT = parseInt(process.env.TASKMASTER_HISTORY_LIMIT || '50');
+
+const INDEX_FILE = 'index.json';
+
+// Operation context for code running inside runWithOperation()
+const operationStorage = new AsyncLocalStorage();
+
+// Fallback operation for a CLI process: everything it writes is one operation
+const processOperation = {
+	id: `${process.pid}-${Date.now()}`,
+	label: process.argv.slice(2).join(' ') || 'task-master',
+	source: 'cli',
+	journal: true
+};
+
+/**
+ * Runs a function as a single journaled operation. All writes made while it
+ * runs (including after awaits) are grouped into one history entry.
+ * @param {Object} operation - Operation details
+ * @param {string} operation.label - Human readable description (e.g. the tool name)
+ * @param {string} operation.source - Where the operation came from ('cli' or 'mcp')
+ * @param {boolean} operation.journal - Set to false to skip recording writes
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runWithOperation(operation, fn) {
+	return operationStorage.run(
+		{
+			id: `${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+			label: operation.label,
+			source: operation.source || 'cli',
+			journal: operation.journal !== false
+		},
+		fn
+	);
+}
+
+/**
+ * Gets the operation the current code is running in
+ * @returns {Object} Operation details
+ */
+function getCurrentOperation() {
+	return operationStorage.getStore() || processOperation;
+}
+
+/**
+ * Gets the journal directory for a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {string} Path to the journal of the file in the .history directory
+ */
+function getHistoryDir(tasksPath) {
+	return path.join(
+		path.dirname(tasksPath),
+		'.history',
+		path.basename(tasksPath)
+	);
+}
+
+/**
+ * Reads the journal index
+ * @param {string} historyDir - Journal directory from getHistoryDir()
+ * @returns {Object} Index with `entries`, `position` and `nextId`
+ */
+function readIndex(historyDir) {
+	const indexPath = path.join(historyDir, INDEX_FILE);
+	if (!fs.existsSync(indexPath)) {
+		return { position: 0, nextId: 1, entries: [] };
+	}
+	return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+}
+
+/**
+ * Writes the journal index
+ * @param {string} historyDir - Journal directory from getHistoryDir()
+ * @param {Object} index - Index to write
+ */
+function writeIndex(historyDir, index) {
+	writeFileAtomic(
+		path.join(historyDir, INDEX_FILE),
+		JSON.stringify(index, null, 2)
+	);
+}
+
+/**
+ * Gets the path of the patch file for a journal entry
+ * @param {string} historyDir - Journal directory from getHistoryDir()
+ * @param {number} id - Entry ID
+ * @returns {string} Path to the entry file
+ */
+function getEntryPath(historyDir, id) {
+	return path.join(historyDir, `${String(id).padStart(6, '0')}.json`);
+}
+
+/**
+ * Removes the patch file of a journal entry
+ * @param {string} historyDir - Journal directory from getHistoryDir()
+ * @param {number} id - Entry ID
+ */
+function removeEntryFile(historyDir, id) {
+	const entryPath = getEntryPath(historyDir, id);
+	if (fs.existsSync(entryPath)) {
+		fs.unlinkSync(entryPath);
+	}
+}
+
+/**
+ * Migrates a copy of a tasks document to the current schema
+ * @param {Object} data - Tasks document
+ * @returns {{data: Object}} Migration result
+ */
+function migrateDocument(data) {
+	return migrateTasksData(JSON.parse(JSON.stringify(data)));
+}
+
+/**
+ * Checks whether two values serialize to the same JSON
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if they are the same
+ */
+function isSame(a, b) {
+	return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Splits a tasks document into the parts the journal diffs separately: the
+ * task list of every tag, and every other top-level field. Tag metadata is
+ * kept without its tasks and the revision counter is left out.
+ * @param {Object} data - Tasks document
+ * @returns {{fields: Object, lists: Object}} Fields by key and task lists by tag
+ */
+function splitDocument(data) {
+	const fields = {};
+	Object.entries(data).forEach(([key, value]) => {
+		if (key === 'tasks') {
+			return;
+		}
+		if (key === 'meta' && value) {
+			const { revision, ...meta } = value;
+			fields.meta = meta;
+		} else if (key === 'tags' && value) {
+			fields.tags = Object.fromEntries(
+				Object.entries(value).map(([tag, { tasks, ...info }]) => [tag, info])
+			);
+		} else {
+			fields[key] = value;
+		}
+	});
+
+	const lists = {};
+	getTagNames(data).forEach((tag) => {
+		if (tag !== DEFAULT_TAG || Array.isArray(data.tasks)) {
+			lists[tag] = getTagTasks(data, tag);
+		}
+	});
+	return { fields, lists };
+}
+
+/**
+ * Builds a change record, leaving out the sides where the value is missing
+ * @param {*} before - Value before the change (undefined if missing)
+ * @param {*} after - Value after the change (undefined if missing)
+ * @returns {Object} Change with `before` and/or `after`
+ */
+function createChange(before, after) {
+	const change = {};
+	if (before !== undefined) {
+		change.before = before;
+	}
+	if (after !== undefined) {
+		change.after = after;
+	}
+	return change;
+}
+
+/**
+ * Checks whether a change leaves the value as it was
+ * @param {Object} change - Change record
+ * @returns {boolean} True if both sides are equal
+ */
+function isNoopChange(change) {
+	return (
+		'before' in change === 'after' in change &&
+		isSame(change.before, change.after)
+	);
+}
+
+/**
+ * Diffs two tasks documents into a journal patch
+ * @param {Object} before - Tasks document before the change
+ * @param {Object} after - Tasks document after the change
+ * @returns {{fields: Object, lists: Object}} Changed fields, and per tag the changed tasks and order
+ */
+function diffDocuments(before, after) {
+	const beforeParts = splitDocument(before);
+	const afterParts = splitDocument(after);
+	const patch = { fields: {}, lists: {} };
+
+	new Set([
+		...Object.keys(beforeParts.fields),
+		...Object.keys(afterParts.fields)
+	]).forEach((key) => {
+		const change = createChange(
+			beforeParts.fields[key],
+			afterParts.fields[key]
+		);
+		if (!isNoopChange(change)) {
+			patch.fields[key] = change;
+		}
+	});
+
+	new Set([
+		...Object.keys(beforeParts.lists),
+		...Object.keys(afterParts.lists)
+	]).forEach((tag) => {
+		const beforeTasks = beforeParts.lists[tag];
+		const afterTasks = afterParts.lists[tag];
+		const beforeById = new Map(
+			(beforeTasks || []).map((task) => [String(task.id), task])
+		);
+		const afterById = new Map(
+			(afterTasks || []).map((task) => [String(task.id), task])
+		);
+
+		const tasks = {};
+		new Set([...beforeById.keys(), ...afterById.keys()]).forEach((id) => {
+			const change = createChange(beforeById.get(id), afterById.get(id));
+			if (!isNoopChange(change)) {
+				tasks[id] = change;
+			}
+		});
+
+		const order = {
+			before: beforeTasks ? [...beforeById.keys()] : null,
+			after: afterTasks ? [...afterById.keys()] : null
+		};
+		const orderChanged = !isSame(order.before, order.after);
+		if (orderChanged || Object.keys(tasks).length > 0) {
+			patch.lists[tag] = orderChanged ? { order, tasks } : { tasks };
+		}
+	});
+
+	return patch;
+}
+
+/**
+ * Merges a patch into the patch of earlier writes from the same operation
+ * @param {Object} first - Patch of the earlier writes
+ * @param {Object} second - Patch of the latest write
+ * @returns {Object} Patch from before the first write to after the latest one
+ */
+function mergePatches(first, second) {
+	const mergeChanges = (a = {}, b = {}) => {
+		const merged = {};
+		new Set([...Object.keys(a), ...Object.keys(b)]).forEach((key) => {
+			const from = a[key] || b[key];
+			const to = b[key] || a[key];
+			const change = createChange(from.before, to.after);
+			if (!isNoopChange(change)) {
+				merged[key] = change;
+			}
+		});
+		return merged;
+	};
+
+	const lists = {};
+	new Set([...Object.keys(first.lists), ...Object.keys(second.lists)]).forEach(
+		(tag) => {
+			const a = first.lists[tag] || {};
+			const b = second.lists[tag] || {};
+			const tasks = mergeChanges(a.tasks, b.tasks);
+			const order = a.order || b.order;
+			const merged =
+				order &&
+				(a.order && b.order
+					? { before: a.order.before, after: b.order.after }
+					: order);
+			const orderChanged = merged && !isSame(merged.before, merged.after);
+			if (orderChanged || Object.keys(tasks).length > 0) {
+				lists[tag] = orderChanged ? { order: merged, tasks } : { tasks };
+			}
+		}
+	);
+
+	return { fields: mergeChanges(first.fields, second.fields), lists };
+}
+
+/**
+ * Checks whether a tasks document is in the state one side of a patch
+ * describes, looking only at the parts the patch touches
+ * @param {Object} data - Tasks document
+ * @param {Object} patch - Journal patch
+ * @param {string} side - 'before' or 'after'
+ * @returns {boolean} True if every touched part matches
+ */
+function matchesPatch(data, patch, side) {
+	const { fields, lists } = splitDocument(data);
+
+	const fieldsMatch = Object.entries(patch.fields).every(([key, change]) =>
+		isSame(fields[key], change[side])
+	);
+	const listsMatch = Object.entries(patch.lists).every(([tag, change]) => {
+		const tasks = lists[tag];
+		const byId = new Map((tasks || []).map((task) => [String(task.id), task]));
+		if (change.order) {
+			const ids = tasks ? [...byId.keys()] : null;
+			if (!isSame(ids, change.order[side])) {
+				return false;
+			}
+		}
+		return Object.entries(change.tasks).every(([id, taskChange]) =>
+			isSame(byId.get(id), taskChange[side])
+		);
+	});
+
+	return fieldsMatch && listsMatch;
+}
+
+/**
+ * Applies one side of a patch to a tasks document
+ * @param {Object} data - Tasks document
+ * @param {Object} patch - Journal patch
+ * @param {string} side - 'before' to undo the patch, 'after' to redo it
+ * @returns {Object} New tasks document
+ */
+function applyPatch(data, patch, side) {
+	const { lists } = splitDocument(data);
+	const result = JSON.parse(JSON.stringify(data));
+
+	Object.entries(patch.fields).forEach(([key, change]) => {
+		if (!(side in change)) {
+			delete result[key];
+		} else if (key === 'meta') {
+			result.meta = { ...change[side], revision: data.meta?.revision };
+		} else if (key === 'tags') {
+			// Tag metadata is stored without tasks, the lists below fill them in
+			result.tags = Object.fromEntries(
+				Object.entries(change[side]).map(([tag, info]) => [
+					tag,
+					{ ...info, tasks: lists[tag] || [] }
+				])
+			);
+		} else {
+			result[key] = change[side];
+		}
+	});
+
+	Object.entries(patch.lists).forEach(([tag, change]) => {
+		const byId = new Map(
+			(lists[tag] || []).map((task) => [String(task.id), task])
+		);
+		Object.entries(change.tasks).forEach(([id, taskChange]) => {
+			if (side in taskChange) {
+				byId.set(id, taskChange[side]);
+			} else {
+				byId.delete(id);
+			}
+		});
+
+		const order = change.order ? change.order[side] : [...byId.keys()];
+		if (!order) {
+			// The tag didn't exist on this side, its metadata is already gone
+			return;
+		}
+		const tasks = order.map((id) => byId.get(id)).filter(Boolean);
+		if (tag === DEFAULT_TAG) {
+			result.tasks = tasks;
+		} else if (result.tags?.[tag]) {
+			result.tags[tag].tasks = tasks;
+		}
+	});
+
+	return JSON.parse(JSON.stringify(result));
+}
+
+/**
+ * Summarizes which tasks a journal patch adds, removes or modifies. Tasks of
+ * tags other than the default one are reported as "tag:id".
+ * @param {Object} patch - Journal patch
+ * @returns {{added: Array, removed: Array, modified: Array}} Task IDs per kind of change
+ */
+function summarizePatch(patch) {
+	const added = [];
+	const removed = [];
+	const modified = [];
+
+	Object.entries(patch.lists).forEach(([tag, change]) => {
+		Object.values(change.tasks).forEach((taskChange) => {
+			const { id } = taskChange.after || taskChange.before;
+			const key = tag === DEFAULT_TAG ? id : `${tag}:${id}`;
+			if (!('before' in taskChange)) {
+				added.push(key);
+			} else if (!('after' in taskChange)) {
+				removed.push(key);
+			} else {
+				modified.push(key);
+			}
+		});
+	});
+
+	return { added, removed, modified };
+}
+
+/**
+ * Summarizes which tasks an operation added, removed or modified. Tasks of
+ * tags other than the default one are reported as "tag:id".
+ * @param {Object|null} before - Tasks document before the operation
+ * @param {Object} after - Tasks document after the operation
+ * @returns {{added: Array, removed: Array, modified: Array}} Task IDs per kind of change
+ */
+function summarizeChanges(before, after) {
+	return summarizePatch(diffDocuments(before || { tasks: [] }, after));
+}
+
+/**
+ * Adds a patch to the journal, extending the latest entry if it belongs to
+ * the same operation
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object|null} patch - Journal patch, or null if the write created the file
+ * @param {Object} details - Entry details
+ * @param {number|null} details.revisionBefore - Revision before the write
+ * @param {number|null} details.revisionAfter - Revision after the write
+ * @param {Object} details.changes - Summary of the changes (see summarizePatch())
+ */
+function recordPatch(tasksPath, patch, details) {
+	const operation = getCurrentOperation();
+	if (!operation.journal) {
+		return;
+	}
+	// Writes that change nothing (e.g. setting the current status) leave
+	// nothing to undo
+	if (
+		patch &&
+		Object.keys(patch.fields).length === 0 &&
+		Object.keys(patch.lists).length === 0
+	) {
+		return;
+	}
+
+	const historyDir = getHistoryDir(tasksPath);
+	const index = readIndex(historyDir);
+	const timestamp = new Date().toISOString();
+	const latest = index.entries[index.position - 1];
+
+	if (latest && latest.operation === operation.id) {
+		// Another write from the same operation, extend the existing entry
+		const entryPath = getEntryPath(historyDir, latest.id);
+		const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+		latest.revisionAfter = details.revisionAfter;
+		latest.timestamp = timestamp;
+		if (entry.patch && patch) {
+			entry.patch = mergePatches(entry.patch, patch);
+			latest.changes = summarizePatch(entry.patch);
+		} else if (!patch) {
+			// The operation (re)created the file
+			delete entry.patch;
+			entry.created = true;
+			latest.changes = details.changes;
+		} else {
+			// Everything in a file the operation created counts as added
+			const { added, removed } = details.changes;
+			latest.changes = {
+				added: [
+					...latest.changes.added.filter(
+						(id) => !added.includes(id) && !removed.includes(id)
+					),
+					...added
+				],
+				removed: [],
+				modified: []
+			};
+		}
+		writeFileAtomic(
+			entryPath,
+			JSON.stringify({ ...entry, ...latest }, null, 2)
+		);
+		writeIndex(historyDir, index);
+		return;
+	}
+
+	// A new operation invalidates everything that was undone before it
+	index.entries
+		.splice(index.position)
+		.forEach((entry) => removeEntryFile(historyDir, entry.id));
+
+	const summary = {
+		id: index.nextId,
+		operation: operation.id,
+		label: operation.label,
+		source: operation.source,
+		timestamp,
+		revisionBefore: details.revisionBefore,
+		revisionAfter: details.revisionAfter,
+		changes: details.changes
+	};
+
+	writeFileAtomic(
+		getEntryPath(historyDir, summary.id),
+		JSON.stringify(
+			patch ? { ...summary, patch } : { ...summary, created: true },
+			null,
+			2
+		)
+	);
+
+	index.entries.push(summary);
+	index.nextId += 1;
+
+	// Keep the journal bounded
+	while (index.entries.length > HISTORY_LIMIT) {
+		removeEntryFile(historyDir, index.entries.shift().id);
+	}
+	index.position = index.entries.length;
+
+	writeIndex(historyDir, index);
+}
+
+/**
+ * Records a change to tasks.json in the journal. Called by writeTasks() while
+ * it holds the tasks lock.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object|null} before - Tasks data before the write (null if the file didn't exist)
+ * @param {Object} after - Tasks data that was written
+ */
+function recordTaskChange(tasksPath, before, after) {
+	// The file's creation can't be undone, so only its contents are summarized
+	const patch = before
+		? diffDocuments(migrateDocument(before).data, after)
+		: null;
+	recordPatch(tasksPath, patch, {
+		revisionBefore: before?.meta?.revision ?? null,
+		revisionAfter: after.meta?.revision ?? null,
+		changes: patch ? summarizePatch(patch) : summarizeChanges(null, after)
+	});
+}
+
+/**
+ * Records a change to a single task of the default tag in the journal. Called
+ * by updateTask() while it holds the tasks lock, without reading the other
+ * tasks.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} before - The task before the write
+ * @param {Object} after - The task that was written
+ * @param {{before: number, after: number}} revision - Revisions before and after the write
+ */
+function recordTaskUpdate(tasksPath, before, after, revision) {
+	const patch = {
+		fields: {},
+		lists: {
+			[DEFAULT_TAG]: { tasks: { [String(after.id)]: { before, after } } }
+		}
+	};
+	recordPatch(tasksPath, patch, {
+		revisionBefore: revision.before,
+		revisionAfter: revision.after,
+		changes: summarizePatch(patch)
+	});
+}
+
+/**
+ * Reads the current contents of the tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object|null} Stored contents, or null if the file is missing
+ */
+function readCurrentTasks(tasksPath) {
+	return getStorageBackend(tasksPath).load();
+}
+
+/**
+ * Works out the tasks document that undoing or redoing a journal entry leads
+ * to, after checking that the parts it touches weren't changed since
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} summary - Index entry of the operation
+ * @param {Object} entry - Contents of the entry file
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {Object} options - Options (force)
+ * @returns {Object} Tasks document to write
+ */
+function restoreEntry(tasksPath, summary, entry, direction, options) {
+	const isUndo = direction === 'undo';
+	const current = readCurrentTasks(tasksPath);
+	const conflictError = createError(
+		'HISTORY_CONFLICT',
+		`${tasksPath} was changed outside of the history journal since operation #${summary.id}. Use --force to ${direction} anyway.`
+	);
+
+	if (!entry.patch) {
+		throw createError(
+			'HISTORY_CANNOT_RESTORE',
+			`Operation #${summary.id} (${summary.label}) created ${tasksPath} and can't be undone`
+		);
+	}
+	if (!current) {
+		throw createError(
+			'HISTORY_CANNOT_RESTORE',
+			`${tasksPath} no longer exists, so operation #${summary.id} can't be ${isUndo ? 'undone' : 'redone'}`
+		);
+	}
+
+	const { data } = migrateDocument(current);
+	if (
+		!options.force &&
+		!matchesPatch(data, entry.patch, isUndo ? 'after' : 'before')
+	) {
+		throw conflictError;
+	}
+	return applyPatch(data, entry.patch, isUndo ? 'before' : 'after');
+}
+
+/**
+ * Moves the journal one step back (undo) or forward (redo)
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string} direction - 'undo' or 'redo'
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Restore even if tasks.json was changed outside of the journal
+ * @returns {Object} The journal entry that was undone or redone
+ */
+function stepHistory(tasksPath, direction, options = {}) {
+	const lock = acquireTasksLock(tasksPath);
+	try {
+		const historyDir = getHistoryDir(tasksPath);
+		const index = readIndex(historyDir);
+		const isUndo = direction === 'undo';
+
+		const summary = isUndo
+			? index.entries[index.position - 1]
+			: index.entries[index.position];
+		if (!summary) {
+			throw createError(
+				isUndo ? 'NOTHING_TO_UNDO' : 'NOTHING_TO_REDO',
+				`Nothing to ${direction}`
+			);
+		}
+
+		const entry = JSON.parse(
+			fs.readFileSync(getEntryPath(historyDir, summary.id), 'utf8')
+		);
+		const target = restoreEntry(tasksPath, summary, entry, direction, options);
+
+		// Restored documents get a fresh revision so stale writers are still detected
+		writeTasks(tasksPath, target, {
+			force: true,
+			journal: false,
+			document: true
+		});
+
+		index.position += isUndo ? -1 : 1;
+		writeIndex(historyDir, index);
+
+		log(
+			'info',
+			`${isUndo ? 'Undid' : 'Redid'} operation #${summary.id}: ${summary.label}`
+		);
+		return summary;
+	} finally {
+		lock.release();
+	}
+}
+
+/**
+ * Reverts the most recent operation on tasks.json
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options (force)
+ * @returns {Object} The journal entry that was undone
+ */
+function undoOperation(tasksPath, options = {}) {
+	return stepHistory(tasksPath, 'undo', options);
+}
+
+/**
+ * Re-applies the most recently undone operation on tasks.json
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options (force)
+ * @returns {Object} The journal entry that was redone
+ */
+function redoOperation(tasksPath, options = {}) {
+	return stepHistory(tasksPath, 'redo', options);
+}
+
+/**
+ * Lists the operations recorded in the journal, newest first
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of entries to return
+ * @returns {Array<Object>} Entries with an `undone` flag for operations that can be redone
+ */
+function getHistory(tasksPath, options = {}) {
+	const index = readIndex(getHistoryDir(tasksPath));
+	const entries = index.entries
+		.map((entry, i) => ({ ...entry, undone: i >= index.position }))
+		.reverse();
+	return options.limit ? entries.slice(0, options.limit) : entries;
+}
+
+export {
+	runWithOperation,
+	getCurrentOperation,
+	getHistoryDir,
+	recordTaskChange,
+	recordTaskUpdate,
+	summarizeChanges,
+	undoOperation,
+	redoOperation,
+	getHistory
+};
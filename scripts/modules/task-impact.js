@@ -0,0 +1,212 @@
+/**
+ * task-impact.js
+ * Impact of removing a task or changing its status on the tasks around it
+ *
+ * Tasks and subtasks are treated alike here: "3" is a task, "3.2" one of its
+ * subtasks and "3.2.1" a subtask of that. Removing a task removes its subtasks
+ * at every depth as well, so whatever depends on those subtasks is affected
+ * too.
+ */
+
+import { createError, flattenSubtasks, resolveDependencyId } from './utils.js';
+import { readTasks } from './task-store.js';
+import {
+	getWorkflow,
+	isDoneStatus,
+	isClosedStatus,
+	resolveStatus
+} from './task-workflow.js';
+
+/**
+ * Lists the tasks and subtasks with their dependencies as full IDs
+ * @param {Array} tasks - Tasks
+ * @returns {Map<string, Object>} Items by ID, with title, status, parent ID and dependency IDs
+ */
+function getItems(tasks) {
+	const items = new Map();
+	tasks.forEach((task) => {
+		items.set(String(task.id), {
+			id: String(task.id),
+			title: task.title,
+			status: task.status,
+			parentId: null,
+			dependencies: (task.dependencies || []).map(String)
+		});
+		flattenSubtasks(task).forEach(({ subtask, id, parentId }) => {
+			items.set(id, {
+				id,
+				title: subtask.title,
+				status: subtask.status,
+				parentId,
+				dependencies: (subtask.dependencies || []).map((depId) =>
+					String(resolveDependencyId(id, depId))
+				)
+			});
+		});
+	});
+	return items;
+}
+
+/**
+ * Analyzes what removing tasks, or changing their status, does to the tasks
+ * that depend on them
+ * @param {Array} tasks - Tasks of the active tag
+ * @param {Array<string>} ids - Task or subtask IDs that change
+ * @param {Object} options - Change to analyze
+ * @param {string} options.status - New status of the tasks (without it, their removal is analyzed)
+ * @param {Object} options.workflow - Workflow
+ * @returns {Object} Targets, transitive dependents, subtasks referencing the targets, and items that become unblocked or permanently blocked
+ */
+function analyzeImpact(tasks, ids, options = {}) {
+	const workflow = options.workflow || getWorkflow();
+	const status = options.status || null;
+	const items = getItems(tasks);
+	const targetIds = ids.map(String);
+	const isOpen = (item) =>
+		!isDoneStatus(workflow, item.status) &&
+		!isClosedStatus(workflow, item.status);
+
+	// Removing a task takes its subtasks at every depth with it
+	const affected = new Set(targetIds);
+	if (!status) {
+		targetIds.forEach((id) => {
+			items.forEach((item) => {
+				if (item.id.startsWith(`${id}.`)) {
+					affected.add(item.id);
+				}
+			});
+		});
+	}
+
+	const dependentsOf = new Map();
+	items.forEach((item) => {
+		item.dependencies.forEach((depId) => {
+			dependentsOf.set(depId, [...(dependentsOf.get(depId) || []), item.id]);
+		});
+	});
+
+	// Breadth first, so direct dependents come first
+	const dependents = [];
+	const seen = new Set(affected);
+	let level = [...affected];
+	while (level.length > 0) {
+		const next = [];
+		level.forEach((id) => {
+			(dependentsOf.get(id) || []).forEach((dependentId) => {
+				if (seen.has(dependentId)) {
+					return;
+				}
+				seen.add(dependentId);
+				next.push(dependentId);
+				const item = items.get(dependentId);
+				dependents.push({
+					id: item.id,
+					title: item.title,
+					status: item.status,
+					direct: item.dependencies.some((depId) => affected.has(depId))
+				});
+			});
+		});
+		level = next;
+	}
+
+	const referencingSubtasks = [...items.values()]
+		.filter(
+			(item) =>
+				item.parentId &&
+				!affected.has(item.id) &&
+				!affected.has(item.parentId) &&
+				item.dependencies.some((depId) => affected.has(depId))
+		)
+		.map((item) => ({
+			id: item.id,
+			title: item.title,
+			references: item.dependencies.filter((depId) => affected.has(depId))
+		}));
+
+	// Dependencies on archived or unknown tasks don't hold anything up
+	const doneBefore = (depId) =>
+		!items.has(depId) || isDoneStatus(workflow, items.get(depId).status);
+	const doneAfter = (depId) => {
+		if (!affected.has(depId)) {
+			return doneBefore(depId);
+		}
+		// Removed dependencies are dropped from the tasks waiting for them
+		return status ? isDoneStatus(workflow, status) : true;
+	};
+
+	const describe = ({ id, title }) => ({ id, title });
+	const unblocked = dependents
+		.map((dependent) => items.get(dependent.id))
+		.filter(
+			(item) =>
+				isOpen(item) &&
+				!item.dependencies.every(doneBefore) &&
+				item.dependencies.every(doneAfter)
+		)
+		.map(describe);
+	const permanentlyBlocked =
+		status && isClosedStatus(workflow, status)
+			? dependents
+					.filter((dependent) => isOpen(items.get(dependent.id)))
+					.map(describe)
+			: [];
+
+	return {
+		action: status ? 'status' : 'remove',
+		status,
+		targets: targetIds.map((id) => ({
+			id,
+			title: items.get(id).title,
+			status: items.get(id).status
+		})),
+		dependents,
+		referencingSubtasks,
+		unblocked,
+		permanentlyBlocked
+	};
+}
+
+/**
+ * Analyzes the impact of removing tasks, or changing their status, in a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string>} ids - Comma-separated task or subtask IDs, or a list of them
+ * @param {Object} options - Change to analyze
+ * @param {string} options.status - New status (without it, removal is analyzed)
+ * @returns {Object} Impact from analyzeImpact()
+ */
+function getTaskImpact(tasksPath, ids, options = {}) {
+	const idList = []
+		.concat(ids || [])
+		.flatMap((id) => String(id).split(','))
+		.map((id) => id.trim())
+		.filter(Boolean);
+	if (idList.length === 0) {
+		throw createError('MISSING_ARGUMENT', 'No task IDs given');
+	}
+
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	const items = getItems(data.tasks);
+	const unknown = idList.filter((id) => !items.has(id));
+	if (unknown.length > 0) {
+		throw createError(
+			'TASK_NOT_FOUND',
+			`The following tasks were not found: ${unknown.join(', ')}`
+		);
+	}
+
+	const workflow = getWorkflow(data.meta);
+	return analyzeImpact(data.tasks, idList, {
+		workflow,
+		status: options.status ? resolveStatus(workflow, options.status) : null
+	});
+}
+
+export { analyzeImpact, getTaskImpact };
@@ -0,0 +1,669 @@
+/**
+ * task-import.js
+ * Importing existing backlogs from CSV, Markdown checklists and GitHub issues
+ *
+ * Each format has an adapter that turns the source into import items with
+ * their own (source) IDs. The items are then given new task IDs after the
+ * highest existing ID, and dependencies between imported items are rewritten
+ * to the new IDs. Nothing here calls an AI service.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { log, createError } from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { readArchivedTasks } from './task-archive.js';
+import { getStatusDefinition, getWorkflow } from './task-workflow.js';
+
+const IMPORT_FORMATS = ['csv', 'markdown', 'github'];
+
+// Formats picked from the file extension when none is given
+const EXTENSION_FORMATS = {
+	'.csv': 'csv',
+	'.md': 'markdown',
+	'.markdown': 'markdown',
+	'.json': 'github'
+};
+
+// Task fields that can be mapped to CSV columns or GitHub issue properties
+const IMPORT_FIELDS = [
+	'id',
+	'parent',
+	'title',
+	'description',
+	'details',
+	'testStrategy',
+	'status',
+	'priority',
+	'dependencies'
+];
+
+// CSV column names recognized for each field, after normalizeColumnName
+const CSV_COLUMNS = {
+	id: ['id', 'taskid', 'key', 'number'],
+	parent: ['parentid', 'parent'],
+	title: ['title', 'name', 'summary', 'task'],
+	description: ['description', 'desc'],
+	details: ['details', 'notes', 'body'],
+	testStrategy: ['teststrategy', 'test', 'acceptancecriteria'],
+	status: ['status', 'state'],
+	priority: ['priority'],
+	dependencies: ['dependencies', 'dependson', 'deps', 'blockedby']
+};
+
+const STATUS_ALIASES = {
+	todo: 'pending',
+	'to-do': 'pending',
+	open: 'pending',
+	new: 'pending',
+	doing: 'in-progress',
+	started: 'in-progress',
+	closed: 'done',
+	complete: 'done',
+	completed: 'done',
+	finished: 'done'
+};
+
+const PRIORITIES = ['high', 'medium', 'low'];
+const PRIORITY_ALIASES = { p0: 'high', p1: 'high', p2: 'medium', p3: 'low' };
+
+/**
+ * Resolves the format of an import source
+ * @param {string} sourcePath - Path of the file to import
+ * @param {string} [format] - Format given by the user
+ * @returns {string} One of IMPORT_FORMATS
+ */
+function resolveImportFormat(sourcePath, format) {
+	const resolved = format
+		? format.toLowerCase().replace(/^md$/, 'markdown')
+		: EXTENSION_FORMATS[path.extname(sourcePath).toLowerCase()];
+	if (!IMPORT_FORMATS.includes(resolved)) {
+		throw createError(
+			'INVALID_IMPORT_FORMAT',
+			format
+				? `Unknown import format: ${format}. Use one of: ${IMPORT_FORMATS.join(', ')}`
+				: `Can't tell the format of ${sourcePath}. Use --format with one of: ${IMPORT_FORMATS.join(', ')}`
+		);
+	}
+	return resolved;
+}
+
+/**
+ * Parses a field mapping like "title=Summary,status=State"
+ * @param {string|Object} mapping - Mapping string, or an object of field to column
+ * @returns {Object} Column or property name by task field
+ */
+function parseFieldMapping(mapping) {
+	if (!mapping) {
+		return {};
+	}
+
+	const entries =
+		typeof mapping === 'string'
+			? mapping
+					.split(',')
+					.filter((pair) => pair.trim())
+					.map((pair) => {
+						const separator = pair.indexOf('=');
+						if (separator === -1) {
+							throw createError(
+								'INVALID_FIELD_MAPPING',
+								`Invalid field mapping "${pair}". Use field=column`
+							);
+						}
+						return [
+							pair.slice(0, separator).trim(),
+							pair.slice(separator + 1).trim()
+						];
+					})
+			: Object.entries(mapping);
+
+	entries.forEach(([field]) => {
+		if (!IMPORT_FIELDS.includes(field)) {
+			throw createError(
+				'INVALID_FIELD_MAPPING',
+				`Unknown task field "${field}" in field mapping. Use one of: ${IMPORT_FIELDS.join(', ')}`
+			);
+		}
+	});
+	return Object.fromEntries(entries);
+}
+
+/**
+ * Normalizes a status from another tool
+ * @param {string} status - Status to normalize
+ * @param {Object} workflow - Workflow of the project the items are imported into
+ * @returns {string|null} Task Master status (the initial one when empty), or
+ *   null if the workflow has no such status
+ */
+function normalizeStatus(status, workflow) {
+	const name = (status || '')
+		.trim()
+		.toLowerCase()
+		.replace(/[\s_]+/g, '-');
+	if (!name) {
+		return workflow.initial;
+	}
+	// A custom workflow may use one of the aliases as a status of its own
+	const definition =
+		getStatusDefinition(workflow, name) ||
+		getStatusDefinition(workflow, STATUS_ALIASES[name]);
+	return definition ? definition.name : null;
+}
+
+/**
+ * Normalizes a priority from another tool
+ * @param {string} priority - Priority to normalize
+ * @returns {string|null} high, medium or low, or null if it isn't recognized
+ */
+function normalizePriority(priority) {
+	const name = (priority || '').trim().toLowerCase();
+	if (PRIORITIES.includes(name)) {
+		return name;
+	}
+	return PRIORITY_ALIASES[name] || null;
+}
+
+/**
+ * Splits a list of dependency IDs, e.g. "1, 2.1" or "#3 #4"
+ * @param {string} text - Dependency list
+ * @returns {Array<string>} Source IDs
+ */
+function splitDependencies(text) {
+	return (text || '')
+		.split(/[\s,;]+/)
+		.map((dep) => dep.replace(/^#/, ''))
+		.filter(Boolean);
+}
+
+/**
+ * Parses CSV text into rows of fields
+ * @param {string} content - CSV text
+ * @returns {Array<Array<string>>} Rows
+ */
+function parseCsv(content) {
+	const rows = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	for (let i = 0; i < content.length; i++) {
+		const char = content[i];
+		if (quoted) {
+			if (char === '"' && content[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			row.push(field);
+			field = '';
+		} else if (char === '\n' || char === '\r') {
+			if (char === '\r' && content[i + 1] === '\n') {
+				i++;
+			}
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = '';
+		} else {
+			field += char;
+		}
+	}
+
+	if (field || row.length > 0) {
+		row.push(field);
+		rows.push(row);
+	}
+
+	// Skip blank lines
+	return rows.filter((fields) => fields.some((value) => value.trim()));
+}
+
+/**
+ * Normalizes a CSV column name for matching, e.g. "Test Strategy" -> "teststrategy"
+ * @param {string} name - Column name
+ * @returns {string} Normalized name
+ */
+function normalizeColumnName(name) {
+	return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Reads import items from CSV with a header row. Rows with a parent ID
+ * become subtasks of that row.
+ * @param {string} content - CSV text
+ * @param {Object} mapping - Column name by task field
+ * @returns {Array<Object>} Import items
+ */
+function readCsvItems(content, mapping) {
+	const [header, ...rows] = parseCsv(content.replace(/^\uFEFF/, ''));
+	if (!header) {
+		return [];
+	}
+
+	const columns = header.map(normalizeColumnName);
+	const columnIndex = {};
+	IMPORT_FIELDS.forEach((field) => {
+		const names = mapping[field]
+			? [normalizeColumnName(mapping[field])]
+			: CSV_COLUMNS[field];
+		const index = columns.findIndex((column) => names.includes(column));
+		if (mapping[field] && index === -1) {
+			throw createError(
+				'INVALID_FIELD_MAPPING',
+				`Column "${mapping[field]}" not found. Columns: ${header.join(', ')}`
+			);
+		}
+		if (index !== -1) {
+			columnIndex[field] = index;
+		}
+	});
+
+	if (columnIndex.title === undefined) {
+		throw createError(
+			'INVALID_IMPORT_SOURCE',
+			`No title column found. Columns: ${header.join(', ')}. Use --map title=<column>`
+		);
+	}
+
+	const value = (row, field) =>
+		columnIndex[field] !== undefined
+			? (row[columnIndex[field]] || '').trim()
+			: '';
+
+	return rows.map((row, index) => ({
+		sourceId: value(row, 'id') || `row ${index + 2}`,
+		parentSourceId: value(row, 'parent') || null,
+		title: value(row, 'title'),
+		description: value(row, 'description'),
+		details: value(row, 'details'),
+		testStrategy: value(row, 'testStrategy'),
+		status: value(row, 'status'),
+		priority: value(row, 'priority'),
+		dependencies: splitDependencies(value(row, 'dependencies'))
+	}));
+}
+
+/**
+ * Reads import items from a Markdown checklist. Unchecked and checked items
+ * ("- [ ]" and "- [x]") become tasks, nested items become subtasks of the
+ * item above them and other indented lines become details.
+ * @param {string} content - Markdown text
+ * @returns {Array<Object>} Import items
+ */
+function readMarkdownItems(content) {
+	const items = [];
+	let topIndent = null;
+	let parent = null;
+	let current = null;
+
+	content.split(/\r?\n/).forEach((line) => {
+		const checklistItem = line.match(/^(\s*)[-*+] \[([ xX])\] (.+)$/);
+		if (checklistItem) {
+			const indent = checklistItem[1].replace(/\t/g, '    ').length;
+			if (topIndent === null || indent <= topIndent) {
+				topIndent = indent;
+			}
+
+			const isSubtask = parent && indent > topIndent;
+			current = {
+				sourceId: isSubtask
+					? `${parent.sourceId}.${items.filter((item) => item.parentSourceId === parent.sourceId).length + 1}`
+					: `${items.filter((item) => !item.parentSourceId).length + 1}`,
+				parentSourceId: isSubtask ? parent.sourceId : null,
+				title: checklistItem[3].trim(),
+				description: '',
+				details: '',
+				testStrategy: '',
+				status: checklistItem[2] === ' ' ? 'pending' : 'done',
+				priority: '',
+				dependencies: []
+			};
+			items.push(current);
+			if (!isSubtask) {
+				parent = current;
+			}
+			return;
+		}
+
+		// Indented text below an item belongs to it, anything else ends it
+		if (current && /^\s+\S/.test(line)) {
+			current.details = current.details
+				? `${current.details}\n${line.trim()}`
+				: line.trim();
+		} else if (line.trim()) {
+			current = null;
+			parent = null;
+			topIndent = null;
+		}
+	});
+
+	return items;
+}
+
+/**
+ * Gets the labels of a GitHub issue, from either the REST API or `gh` output
+ * @param {Object} issue - GitHub issue
+ * @returns {Array<string>} Label names
+ */
+function getIssueLabels(issue) {
+	return (issue.labels || []).map((label) =>
+		typeof label === 'string' ? label : label.name || ''
+	);
+}
+
+/**
+ * Reads import items from a GitHub issues export: the JSON of the REST API
+ * or of `gh issue list --json number,title,body,state,labels`. Dependencies
+ * are taken from "Depends on #12" and "Blocked by #12" in the issue body.
+ * @param {string} content - JSON text
+ * @param {Object} mapping - Issue property by task field
+ * @returns {Array<Object>} Import items
+ */
+function readGithubItems(content, mapping) {
+	let data;
+	try {
+		data = JSON.parse(content);
+	} catch (error) {
+		throw createError(
+			'INVALID_IMPORT_SOURCE',
+			`Invalid GitHub issues JSON: ${error.message}`
+		);
+	}
+
+	const issues = Array.isArray(data) ? data : data.items || data.issues;
+	if (!Array.isArray(issues)) {
+		throw createError(
+			'INVALID_IMPORT_SOURCE',
+			'Expected a JSON array of GitHub issues'
+		);
+	}
+
+	const property = (issue, field, fallback) =>
+		mapping[field] ? issue[mapping[field]] : fallback;
+
+	return (
+		issues
+			// The REST API lists pull requests as issues too
+			.filter((issue) => !issue.pull_request)
+			.map((issue) => {
+				const body = String(property(issue, 'details', issue.body) || '');
+				const labels = getIssueLabels(issue);
+				const state = String(property(issue, 'status', issue.state) || '');
+				const stateReason = (
+					issue.state_reason ||
+					issue.stateReason ||
+					''
+				).toLowerCase();
+
+				const priorityLabel = labels
+					.map((label) =>
+						normalizePriority(label.replace(/^priority[:/\s-]*/i, ''))
+					)
+					.find(Boolean);
+
+				const dependencies = [];
+				const dependencyPattern =
+					/(?:depends on|blocked by)\s*:?\s*((?:#\d+(?:\s*,\s*|\s+and\s+|\s+)?)+)/gi;
+				let match;
+				while ((match = dependencyPattern.exec(body)) !== null) {
+					dependencies.push(...splitDependencies(match[1].replace(/and/g, '')));
+				}
+
+				return {
+					sourceId: String(property(issue, 'id', issue.number) ?? ''),
+					parentSourceId: property(issue, 'parent', null)
+						? String(property(issue, 'parent', null))
+						: null,
+					title: String(property(issue, 'title', issue.title) || ''),
+					description: String(
+						property(
+							issue,
+							'description',
+							body.split(/\r?\n/).find((line) => line.trim()) || ''
+						)
+					).trim(),
+					details: body.trim(),
+					testStrategy: String(property(issue, 'testStrategy', '') || ''),
+					status:
+						state.toLowerCase() === 'closed' && stateReason === 'not_planned'
+							? 'cancelled'
+							: state,
+					priority: String(
+						property(issue, 'priority', priorityLabel || '') || ''
+					),
+					dependencies: [...new Set(dependencies)]
+				};
+			})
+	);
+}
+
+/**
+ * Turns import items into tasks with new IDs after the highest existing ID,
+ * rewriting dependencies between imported items to the new IDs
+ * @param {Array<Object>} items - Import items
+ * @param {number} firstId - ID of the first new task
+ * @param {Object} workflow - Workflow the statuses have to be part of
+ * @returns {{tasks: Array<Object>, idMap: Object, warnings: Array<string>}} New tasks, new ID by source ID and warnings
+ */
+function remapImportItems(items, firstId, workflow = getWorkflow()) {
+	const warnings = [];
+	const idMap = {};
+	const seenIds = new Set();
+
+	const validItems = items.filter((item) => {
+		if (!item.title) {
+			warnings.push(`Skipped item ${item.sourceId}: it has no title`);
+			return false;
+		}
+		if (seenIds.has(item.sourceId)) {
+			warnings.push(
+				`Skipped item ${item.sourceId}: another item has the same ID`
+			);
+			return false;
+		}
+		seenIds.add(item.sourceId);
+		return true;
+	});
+
+	// Subtasks of items that aren't imported become tasks themselves
+	const topLevelIds = new Set(
+		validItems
+			.filter((item) => !item.parentSourceId)
+			.map((item) => item.sourceId)
+	);
+	validItems.forEach((item) => {
+		if (item.parentSourceId && !topLevelIds.has(item.parentSourceId)) {
+			warnings.push(
+				`Item ${item.sourceId} has a parent (${item.parentSourceId}) that is not imported as a task, so it is imported as a task itself`
+			);
+			item.parentSourceId = null;
+			topLevelIds.add(item.sourceId);
+		}
+	});
+
+	const topLevelItems = validItems.filter((item) => !item.parentSourceId);
+	topLevelItems.forEach((item, index) => {
+		idMap[item.sourceId] = `${firstId + index}`;
+	});
+	topLevelItems.forEach((item) => {
+		validItems
+			.filter((child) => child.parentSourceId === item.sourceId)
+			.forEach((child, index) => {
+				idMap[child.sourceId] = `${idMap[item.sourceId]}.${index + 1}`;
+			});
+	});
+
+	const fields = (item, ownId) => {
+		const priority = normalizePriority(item.priority);
+		if (item.priority && !priority) {
+			warnings.push(
+				`Item ${item.sourceId} has an unknown priority "${item.priority}", using medium`
+			);
+		}
+
+		const status = normalizeStatus(item.status, workflow);
+		if (!status) {
+			warnings.push(
+				`Item ${item.sourceId} has an unknown status "${item.status}", using ${workflow.initial}`
+			);
+		}
+
+		const dependencies = [];
+		item.dependencies.forEach((depSourceId) => {
+			const depId = idMap[depSourceId];
+			if (!depId) {
+				warnings.push(
+					`Dropped dependency of item ${item.sourceId} on ${depSourceId}: it isn't part of the import`
+				);
+			} else if (depId !== ownId && !dependencies.includes(depId)) {
+				dependencies.push(depId);
+			}
+		});
+
+		return {
+			title: item.title,
+			description: item.description,
+			details: item.details,
+			testStrategy: item.testStrategy,
+			status: status || workflow.initial,
+			priority: priority || 'medium',
+			dependencies
+		};
+	};
+
+	const tasks = topLevelItems.map((item) => {
+		const taskId = parseInt(idMap[item.sourceId], 10);
+		const { dependencies, ...task } = fields(item, idMap[item.sourceId]);
+		const subtasks = validItems
+			.filter((child) => child.parentSourceId === item.sourceId)
+			.map((child) => {
+				const subtaskId = idMap[child.sourceId];
+				const { dependencies: subtaskDeps, ...subtask } = fields(
+					child,
+					subtaskId
+				);
+				delete subtask.priority;
+				delete subtask.testStrategy;
+				return {
+					id: parseInt(subtaskId.split('.')[1], 10),
+					...subtask,
+					// Depending on the parent is implied, and sibling subtasks are
+					// referred to by their subtask ID alone
+					dependencies: subtaskDeps
+						.filter((depId) => depId !== `${taskId}`)
+						.map((depId) =>
+							depId.startsWith(`${taskId}.`)
+								? parseInt(depId.split('.')[1], 10)
+								: depId.includes('.')
+									? depId
+									: parseInt(depId, 10)
+						)
+				};
+			});
+
+		return {
+			id: taskId,
+			...task,
+			dependencies: dependencies.map((depId) =>
+				depId.includes('.') ? depId : parseInt(depId, 10)
+			),
+			...(subtasks.length > 0 ? { subtasks } : {})
+		};
+	});
+
+	return { tasks, idMap, warnings };
+}
+
+/**
+ * Imports tasks into the active tag from a CSV file, a Markdown checklist or
+ * a GitHub issues export
+ * @param {string} tasksPath - Path to the tasks file (created if it doesn't exist)
+ * @param {string} sourcePath - Path of the file to import
+ * @param {Object} options - Import options
+ * @param {string} options.format - csv, markdown or github (default: from the file extension)
+ * @param {string|Object} options.mapping - Column (CSV) or property (GitHub) by task field, e.g. "title=Summary"
+ * @param {boolean} options.dryRun - Only report what would be imported
+ * @returns {Object} Imported tasks, new ID by source ID, warnings and the format used
+ */
+function importTasks(tasksPath, sourcePath, options = {}) {
+	const format = resolveImportFormat(sourcePath, options.format);
+	const mapping = parseFieldMapping(options.mapping);
+	if (format === 'markdown' && Object.keys(mapping).length > 0) {
+		throw createError(
+			'INVALID_FIELD_MAPPING',
+			'Field mappings only apply to CSV and GitHub imports'
+		);
+	}
+
+	if (!fs.existsSync(sourcePath)) {
+		throw createError(
+			'IMPORT_SOURCE_NOT_FOUND',
+			`Import file not found: ${sourcePath}`
+		);
+	}
+	const content = fs.readFileSync(sourcePath, 'utf8');
+
+	const adapters = {
+		csv: readCsvItems,
+		markdown: readMarkdownItems,
+		github: readGithubItems
+	};
+	const items = adapters[format](content, mapping);
+
+	return withTasksLock(tasksPath, () => {
+		const isNewFile = !fs.existsSync(tasksPath);
+		const data = isNewFile ? { tasks: [] } : readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		// Archived IDs stay reserved
+		const highestId = Math.max(
+			0,
+			...[...data.tasks, ...readArchivedTasks(tasksPath)].map((t) => t.id)
+		);
+		const { tasks, idMap, warnings } = remapImportItems(
+			items,
+			highestId + 1,
+			getWorkflow(data.meta)
+		);
+		const result = {
+			format,
+			tasks,
+			idMap,
+			warnings,
+			dryRun: !!options.dryRun
+		};
+
+		if (tasks.length === 0 || options.dryRun) {
+			return result;
+		}
+
+		data.tasks.push(...tasks);
+		writeTasks(tasksPath, data);
+		log(
+			'info',
+			`Imported ${tasks.length} tasks from ${sourcePath} into ${tasksPath}`
+		);
+		return result;
+	});
+}
+
+export {
+	IMPORT_FORMATS,
+	resolveImportFormat,
+	parseFieldMapping,
+	parseCsv,
+	importTasks
+};
@@ -20,6 +20,10 @@ import {
 	writeJSON,
 	sanitizePrompt,
 	findTaskById,
+	findTaskPath,
+	getParentTaskId,
+	resolveDependencyId,
+	flattenSubtasks,
 	readComplexityReport,
 	findTaskInComplexityReport,
 	truncate,
@@ -35,7 +39,9 @@ import {
 	getComplexityWithColor,
 	startLoadingIndicator,
 	stopLoadingIndicator,
-	createProgressBar
+	createProgressBar,
+	getStatusColor,
+	formatEpicHeading
 } from './ui.js';
 
 import {
@@ -58,6 +64,71 @@ import {
 	validateAndFixDependencies
 } from './dependency-manager.js';
 
+import {
+	readTasks,
+	acquireTasksLock,
+	withTasksLock,
+	withTasksLockAsync,
+	writeTasks
+} from './task-store.js';
+import { DEFAULT_TAG, getActiveTag, getTaskFileName } from './task-tags.js';
+import { readArchivedTasks } from './task-archive.js';
+import {
+	formatTaskFile,
+	readTaskFilesManifest,
+	recordTaskFiles,
+	hasUnsyncedEdits
+} from './task-files.js';
+import {
+	resolveTaskMetadata,
+	applyTaskMetadata,
+	parseTaskFilters,
+	hasTaskFilters,
+	matchesTaskFilters,
+	matchesEpicFilter,
+	filterTasksByMetadata,
+	describeTaskFilters
+} from './task-fields.js';
+import {
+	getWorkflow,
+	resolveStatus,
+	checkStatusTransition,
+	isDoneStatus,
+	isClosedStatus,
+	isFinishedStatus,
+	isWorkableStatus,
+	getStatusCategory,
+	countStatuses,
+	getStatusBreakdown
+} from './task-workflow.js';
+import {
+	resolveTaskSchedule,
+	applyTaskSchedule,
+	isOverdue,
+	findOverdueItems,
+	getToday
+} from './task-schedule.js';
+import { rankTasks, getScoringOptions } from './task-scoring.js';
+import {
+	parseOwner,
+	getActiveClaim,
+	isClaimedByOther,
+	claimTask
+} from './task-claims.js';
+import {
+	getEpics,
+	findEpic,
+	isInEpic,
+	listEpics,
+	mergeGeneratedEpics
+} from './task-epics.js';
+import {
+	recordStatusChange,
+	summarizeTaskTimes,
+	formatDuration
+} from './task-timeline.js';
+import { addNote, parseNoteKind, restoreNotes } from './task-notes.js';
+
 // Initialize Anthropic client
 const anthropic = new Anthropic({
 	apiKey: process.env.ANTHROPIC_API_KEY
@@ -95,6 +166,7 @@ try {
  * @param {Object} options.reportProgress - Function to report progress to MCP server (optional)
  * @param {Object} options.mcpLog - MCP logger object (optional)
  * @param {Object} options.session - Session object from MCP server (optional)
+ * @param {boolean} options.epics - Group the tasks into epics, one for each major PRD section (optional)
  * @param {Object} aiClient - AI client to use (optional)
  * @param {Object} modelConfig - Model configuration (optional)
  */
@@ -106,7 +178,7 @@ async function parsePRD(
 	aiClient = null,
 	modelConfig = null
 ) {
-	const { reportProgress, mcpLog, session, append } = options;
+	const { reportProgress, mcpLog, session, append, epics } = options;
 
 	// Determine output format based on mcpLog presence (simplification)
 	const outputFormat = mcpLog ? 'json' : 'text';
@@ -132,7 +204,7 @@ async function parsePRD(
 		let lastTaskId = 0;
 		if (append && fs.existsSync(tasksPath)) {
 			try {
-				existingTasks = readJSON(tasksPath);
+				existingTasks = readTasks(tasksPath);
 				if (existingTasks.tasks?.length) {
 					// Find the highest task ID
 					lastTaskId = existingTasks.tasks.reduce((maxId, task) => {
@@ -155,11 +227,18 @@ async function parsePRD(
 			prdPath,
 			numTasks,
 			0,
-			{ reportProgress, mcpLog, session },
+			{ reportProgress, mcpLog, session, epics },
 			aiClient,
 			modelConfig
 		);
 
+		// Epics from the PRD join the epics of the project, and tasks keep
+		// only epic IDs that exist
+		const generatedEpics = mergeGeneratedEpics(
+			newTasksData,
+			append ? getEpics(existingTasks.meta) : []
+		);
+
 		// Update task IDs if appending
 		if (append && lastTaskId > 0) {
 			report(`Updating task IDs to continue from ID ${lastTaskId}`, 'info');
@@ -175,6 +254,9 @@ async function parsePRD(
 					tasks: [...existingTasks.tasks, ...newTasksData.tasks]
 				}
 			: newTasksData;
+		if (generatedEpics.length > 0) {
+			tasksData.meta = { ...(tasksData.meta || {}), epics: generatedEpics };
+		}
 
 		// Create the directory if it doesn't exist
 		const tasksDir = path.dirname(tasksPath);
@@ -182,8 +264,22 @@ async function parsePRD(
 			fs.mkdirSync(tasksDir, { recursive: true });
 		}
 
-		// Write the tasks to the file
-		writeJSON(tasksPath, tasksData);
+		// The MCP server doesn't lock the tasks file while an AI tool waits for
+		// the AI, so wait for other tool calls here without blocking the server
+		await withTasksLockAsync(tasksPath, async () => {
+			// Write the tasks to the file (a non-append run replaces the file on purpose)
+			writeTasks(tasksPath, tasksData, { force: !append });
+
+			// Generate individual task files
+			if (reportProgress && mcpLog) {
+				// Enable silent mode when being called from MCP server
+				enableSilentMode();
+				await generateTaskFiles(tasksPath, tasksDir);
+				disableSilentMode();
+			} else {
+				await generateTaskFiles(tasksPath, tasksDir);
+			}
+		});
 		const actionVerb = append ? 'appended' : 'generated';
 		report(
 			`Successfully ${actionVerb} ${newTasksData.tasks.length} tasks from PRD`,
@@ -191,16 +287,6 @@ async function parsePRD(
 		);
 		report(`Tasks saved to: ${tasksPath}`, 'info');
 
-		// Generate individual task files
-		if (reportProgress && mcpLog) {
-			// Enable silent mode when being called from MCP server
-			enableSilentMode();
-			await generateTaskFiles(tasksPath, tasksDir);
-			disableSilentMode();
-		} else {
-			await generateTaskFiles(tasksPath, tasksDir);
-		}
-
 		// Only show success boxes for text output (CLI)
 		if (outputFormat === 'text') {
 			console.log(
@@ -281,7 +367,7 @@ async function updateTasks(
 		report(`Updating tasks from ID ${fromId} with prompt: "${prompt}"`);
 
 		// Read the tasks file
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
@@ -656,22 +742,23 @@ Return only the updated task as a valid JSON object.`
 				);
 			}
 
-			// Replace the tasks in the original data
+			// Replace the tasks in the original data, keeping their notes
 			updatedTasks.forEach((updatedTask) => {
 				const index = data.tasks.findIndex((t) => t.id === updatedTask.id);
 				if (index !== -1) {
-					data.tasks[index] = updatedTask;
+					data.tasks[index] = restoreNotes(updatedTask, data.tasks[index]);
 				}
 			});
 
-			// Write the updated tasks to the file
-			writeJSON(tasksPath, data);
+			// Write the updated tasks and generate individual task files, waiting
+			// for the lock without blocking the MCP server
+			await withTasksLockAsync(tasksPath, async () => {
+				writeTasks(tasksPath, data);
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			});
 
 			report(`Successfully updated ${updatedTasks.length} tasks`, 'success');
 
-			// Generate individual task files
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-
 			// Only show success box for text output (CLI)
 			if (outputFormat === 'text') {
 				console.log(
@@ -731,7 +818,7 @@ Return only the updated task as a valid JSON object.`
 }
 
 /**
- * Update a single task by ID
+ * Update a single task by ID. The prompt is added to the task's notes.
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {number} taskId - Task ID to update
  * @param {string} prompt - Prompt with new context
@@ -739,6 +826,8 @@ Return only the updated task as a valid JSON object.`
  * @param {function} reportProgress - Function to report progress to MCP server (optional)
  * @param {Object} mcpLog - MCP logger object (optional)
  * @param {Object} session - Session object from MCP server (optional)
+ * @param {string} kind - Kind of the note (optional, default: progress)
+ * @param {string} author - Author of the note (optional)
  * @returns {Object} - Updated task data or null if task wasn't updated
  */
 async function updateTaskById(
@@ -746,7 +835,7 @@ async function updateTaskById(
 	taskId,
 	prompt,
 	useResearch = false,
-	{ reportProgress, mcpLog, session } = {}
+	{ reportProgress, mcpLog, session, kind, author } = {}
 ) {
 	// Determine output format based on mcpLog presence (simplification)
 	const outputFormat = mcpLog ? 'json' : 'text';
@@ -777,6 +866,7 @@ async function updateTaskById(
 				'Prompt cannot be empty. Please provide context for the task update.'
 			);
 		}
+		const noteKind = parseNoteKind(kind);
 
 		// Validate research flag
 		if (
@@ -807,7 +897,7 @@ async function updateTaskById(
 		}
 
 		// Read the tasks file
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(
 				`No valid tasks found in ${tasksPath}. The file may be corrupted or have an invalid format.`
@@ -1316,6 +1406,14 @@ Return only the updated task as a valid JSON object.`
 				}
 			}
 
+			// The AI doesn't get to rewrite the log, the update is added to it
+			restoreNotes(updatedTask, taskToUpdate);
+			addNote(updatedTask, prompt, {
+				kind: noteKind,
+				author,
+				source: 'update-task'
+			});
+
 			// Update the task in the original data
 			const index = data.tasks.findIndex((t) => t.id === taskId);
 			if (index !== -1) {
@@ -1324,14 +1422,15 @@ Return only the updated task as a valid JSON object.`
 				throw new Error(`Task with ID ${taskId} not found in tasks array.`);
 			}
 
-			// Write the updated tasks to the file
-			writeJSON(tasksPath, data);
+			// Write the updated tasks and generate individual task files, waiting
+			// for the lock without blocking the MCP server
+			await withTasksLockAsync(tasksPath, async () => {
+				writeTasks(tasksPath, data);
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			});
 
 			report(`Successfully updated task ${taskId}`, 'success');
 
-			// Generate individual task files
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-
 			// Only show success box for text output (CLI)
 			if (outputFormat === 'text') {
 				console.log(
@@ -1397,10 +1496,11 @@ Return only the updated task as a valid JSON object.`
 }
 
 /**
- * Generate individual task files from tasks.json
+ * Generate individual task files from tasks.json. Files edited since they
+ * were generated are skipped, so edits waiting for sync-files aren't lost.
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} outputDir - Output directory for task files
- * @param {Object} options - Additional options (mcpLog for MCP mode)
+ * @param {Object} options - Additional options (mcpLog for MCP mode, force to overwrite edited files)
  * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
  */
 function generateTaskFiles(tasksPath, outputDir, options = {}) {
@@ -1410,7 +1510,7 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 
 		log('info', `Reading tasks from ${tasksPath}...`);
 
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
@@ -1429,100 +1529,57 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
 		);
 		validateAndFixDependencies(data, tasksPath);
 
-		// Generate task files
+		// Generate task files, named after the tag so lists don't overwrite each other
 		log('info', 'Generating individual task files...');
+		const tag = getActiveTag(tasksPath);
+		// Archived tasks are still valid dependencies
+		const dependencyTasks = [...data.tasks, ...readArchivedTasks(tasksPath)];
+		const manifest = readTaskFilesManifest(outputDir);
+		const generatedFiles = {};
+		const skippedFiles = [];
 		data.tasks.forEach((task) => {
-			const taskPath = path.join(
-				outputDir,
-				`task_${task.id.toString().padStart(3, '0')}.txt`
-			);
-
-			// Format the content
-			let content = `# Task ID: ${task.id}\n`;
-			content += `# Title: ${task.title}\n`;
-			content += `# Status: ${task.status || 'pending'}\n`;
+			const taskFileName = getTaskFileName(task.id, tag);
+			const taskPath = path.join(outputDir, taskFileName);
 
-			// Format dependencies with their status
-			if (task.dependencies && task.dependencies.length > 0) {
-				content += `# Dependencies: ${formatDependenciesWithStatus(task.dependencies, data.tasks, false)}\n`;
-			} else {
-				content += '# Dependencies: None\n';
+			// Don't overwrite edits that haven't been synced into tasks.json yet
+			if (
+				!options.force &&
+				hasUnsyncedEdits(taskPath, manifest[taskFileName])
+			) {
+				skippedFiles.push(taskFileName);
+				log(
+					'warn',
+					`Skipped ${taskFileName}: it has edits that are not in tasks.json yet. Run sync-files to merge them, or generate --force to overwrite them.`
+				);
+				return;
 			}
 
-			content += `# Priority: ${task.priority || 'medium'}\n`;
-			content += `# Description: ${task.description || ''}\n`;
-
-			// Add more detailed sections
-			content += '# Details:\n';
-			content += (task.details || '')
-				.split('\n')
-				.map((line) => line)
-				.join('\n');
-			content += '\n\n';
-
-			content += '# Test Strategy:\n';
-			content += (task.testStrategy || '')
-				.split('\n')
-				.map((line) => line)
-				.join('\n');
-			content += '\n';
-
-			// Add subtasks if they exist
-			if (task.subtasks && task.subtasks.length > 0) {
-				content += '\n# Subtasks:\n';
-
-				task.subtasks.forEach((subtask) => {
-					content += `## ${subtask.id}. ${subtask.title} [${subtask.status || 'pending'}]\n`;
-
-					if (subtask.dependencies && subtask.dependencies.length > 0) {
-						// Format subtask dependencies
-						let subtaskDeps = subtask.dependencies
-							.map((depId) => {
-								if (typeof depId === 'number') {
-									// Handle numeric dependencies to other subtasks
-									const foundSubtask = task.subtasks.find(
-										(st) => st.id === depId
-									);
-									if (foundSubtask) {
-										// Just return the plain ID format without any color formatting
-										return `${task.id}.${depId}`;
-									}
-								}
-								return depId.toString();
-							})
-							.join(', ');
-
-						content += `### Dependencies: ${subtaskDeps}\n`;
-					} else {
-						content += '### Dependencies: None\n';
-					}
-
-					content += `### Description: ${subtask.description || ''}\n`;
-					content += '### Details:\n';
-					content += (subtask.details || '')
-						.split('\n')
-						.map((line) => line)
-						.join('\n');
-					content += '\n\n';
-				});
-			}
+			const content = formatTaskFile(task, dependencyTasks);
 
 			// Write the file
 			fs.writeFileSync(taskPath, content);
-			log('info', `Generated: task_${task.id.toString().padStart(3, '0')}.txt`);
+			generatedFiles[taskFileName] = content;
+			log('info', `Generated: ${taskFileName}`);
 		});
 
+		// Remember what was generated, so sync-files can tell which side changed
+		recordTaskFiles(outputDir, generatedFiles);
+
+		const generatedCount = Object.keys(generatedFiles).length;
 		log(
 			'success',
-			`All ${data.tasks.length} tasks have been generated into '${outputDir}'.`
+			skippedFiles.length > 0
+				? `${generatedCount} of ${data.tasks.length} tasks have been generated into '${outputDir}'. Skipped edited files: ${skippedFiles.join(', ')}.`
+				: `All ${data.tasks.length} tasks have been generated into '${outputDir}'.`
 		);
 
 		// Return success data in MCP mode
 		if (isMcpMode) {
 			return {
 				success: true,
-				count: data.tasks.length,
-				directory: outputDir
+				count: generatedCount,
+				directory: outputDir,
+				skippedFiles
 			};
 		}
 	} catch (error) {
@@ -1548,11 +1605,12 @@ function generateTaskFiles(tasksPath, outputDir, options = {}) {
  * Set the status of a task
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} taskIdInput - Task ID(s) to update
- * @param {string} newStatus - New status
- * @param {Object} options - Additional options (mcpLog for MCP mode)
- * @returns {Object|undefined} Result object in MCP mode, undefined in CLI mode
+ * @param {string} newStatus - New status, one of the project's workflow
+ * @param {Object} options - Additional options (mcpLog for MCP mode, force to skip the workflow's transition rules)
+ * @returns {Object} Result with the updated tasks, the parent tasks that were started along with their subtasks (advancedParents) and the parents whose subtasks are all finished (completableParents)
  */
 async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
+	let lock;
 	try {
 		// Determine if we're in MCP mode by checking for mcpLog
 		const isMcpMode = !!options?.mcpLog;
@@ -1570,28 +1628,64 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 			);
 		}
 
+		// Hold the lock for the whole read-modify-write cycle
+		lock = acquireTasksLock(tasksPath);
+
 		log('info', `Reading tasks from ${tasksPath}...`);
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
 
+		// Only statuses of the project's workflow are accepted
+		const workflow = getWorkflow(data.meta);
+		const status = resolveStatus(workflow, newStatus);
+
 		// Handle multiple task IDs (comma-separated)
 		const taskIds = taskIdInput.split(',').map((id) => id.trim());
 		const updatedTasks = [];
 
-		// Update each task
+		// Update each task, nothing is written if one of them fails
 		for (const id of taskIds) {
-			await updateSingleTaskStatus(tasksPath, id, newStatus, data, !isMcpMode);
-			updatedTasks.push(id);
+			const previousStatus = await updateSingleTaskStatus(
+				tasksPath,
+				id,
+				status,
+				data,
+				!isMcpMode,
+				{ workflow, force: options.force }
+			);
+			updatedTasks.push({ id, previousStatus });
 		}
 
+		// Start the parents of started subtasks, and find the parents whose
+		// subtasks are now all finished
+		const { advancedParents, completableParents } = updateParentTasks(
+			data,
+			taskIds,
+			status,
+			workflow,
+			options.force
+		);
+
 		// Write the updated tasks to the file
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 
-		// Validate dependencies after status update
+		// Validate dependencies after status update, and warn about tasks that
+		// were marked as done before the tasks they depend on
 		log('info', 'Validating dependencies after status update...');
-		validateTaskDependencies(data.tasks);
+		const { issues } = validateTaskDependencies(
+			data.tasks,
+			readArchivedTasks(tasksPath),
+			workflow
+		);
+		issues
+			.filter(
+				(issue) =>
+					issue.type === 'unsatisfied' &&
+					updatedTasks.some(({ id }) => id === String(issue.taskId))
+			)
+			.forEach((issue) => log('warn', issue.message));
 
 		// Generate individual task files
 		log('info', 'Regenerating task files...');
@@ -1601,29 +1695,36 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 
 		// Display success message - only in CLI mode
 		if (!isMcpMode) {
-			for (const id of updatedTasks) {
-				const task = findTaskById(data.tasks, id);
-				const taskName = task ? task.title : id;
-
+			for (const { id, previousStatus } of updatedTasks) {
 				console.log(
 					boxen(
 						chalk.white.bold(`Successfully updated task ${id} status:`) +
 							'\n' +
-							`From: ${chalk.yellow(task ? task.status : 'unknown')}\n` +
-							`To:   ${chalk.green(newStatus)}`,
+							`From: ${chalk.yellow(previousStatus)}\n` +
+							`To:   ${chalk.green(status)}`,
 						{ padding: 1, borderColor: 'green', borderStyle: 'round' }
 					)
 				);
 			}
+			advancedParents.forEach(({ id, previousStatus }) => {
+				console.log(
+					chalk.blue(
+						`Parent task ${id} moved from ${previousStatus} to ${status} as well`
+					)
+				);
+			});
 		}
 
 		// Return success value for programmatic use
 		return {
 			success: true,
-			updatedTasks: updatedTasks.map((id) => ({
+			updatedTasks: updatedTasks.map(({ id, previousStatus }) => ({
 				id,
-				status: newStatus
-			}))
+				status,
+				previousStatus
+			})),
+			advancedParents,
+			completableParents
 		};
 	} catch (error) {
 		log('error', `Error setting task status: ${error.message}`);
@@ -1641,7 +1742,88 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 			// In MCP mode, throw the error for the caller to handle
 			throw error;
 		}
+	} finally {
+		lock?.release();
+	}
+}
+
+/**
+ * Keeps parent tasks in step with their subtasks after a status change. A
+ * parent that wasn't started yet moves to the active status its subtask was
+ * set to, unless the workflow doesn't allow it. Parents whose subtasks are
+ * all finished are only reported, so the user can decide to mark them done.
+ * @param {Object} data - Tasks data, changed in place
+ * @param {Array<string>} taskIds - IDs whose status was set
+ * @param {string} status - Status they were set to
+ * @param {Object} workflow - Workflow of the project
+ * @param {boolean} force - Skip the workflow's transition rules
+ * @returns {{advancedParents: Array, completableParents: Array}} Parents that were started, and parents that can be marked done
+ */
+function updateParentTasks(data, taskIds, status, workflow, force = false) {
+	// Every level above a nested subtask counts as a parent
+	const parentIds = [];
+	taskIds.forEach((id) => {
+		for (
+			let parentId = getParentTaskId(id);
+			parentId;
+			parentId = getParentTaskId(parentId)
+		) {
+			parentIds.push(parentId);
+		}
+	});
+	const parents = [...new Set(parentIds)]
+		.filter((parentId) => !taskIds.includes(parentId))
+		.map((parentId) => {
+			const parent = findTaskPath(data.tasks, parentId)?.item;
+			return parent && { id: parentId, item: parent };
+		})
+		.filter(Boolean);
+
+	const advancedParents = [];
+	if (getStatusCategory(workflow, status) === 'active') {
+		parents.forEach(({ id, item: parent }) => {
+			const previousStatus = parent.status || workflow.initial;
+			if (getStatusCategory(workflow, previousStatus) !== 'todo') {
+				return;
+			}
+			try {
+				if (!force) {
+					checkStatusTransition(workflow, previousStatus, status, `task ${id}`);
+				}
+			} catch (error) {
+				log('warn', `Parent task ${id} was left alone: ${error.message}`);
+				return;
+			}
+			parent.status = status;
+			recordStatusChange(parent, previousStatus, status);
+			log(
+				'info',
+				`Updated parent task ${id} status from '${previousStatus}' to '${status}'`
+			);
+			advancedParents.push({ id, status, previousStatus });
+		});
 	}
+
+	const completableParents = isDoneStatus(workflow, status)
+		? parents
+				.filter(
+					({ item: parent }) =>
+						!isDoneStatus(workflow, parent.status) &&
+						!isClosedStatus(workflow, parent.status) &&
+						parent.subtasks.every(
+							(st) =>
+								isDoneStatus(workflow, st.status) ||
+								isClosedStatus(workflow, st.status)
+						)
+				)
+				.map(({ id, item: parent }) => ({
+					id,
+					title: parent.title,
+					status: parent.status
+				}))
+		: [];
+
+	return { advancedParents, completableParents };
 }
 
 /**
@@ -1651,22 +1833,28 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
  * @param {string} newStatus - New status
  * @param {Object} data - Tasks data
  * @param {boolean} showUi - Whether to show UI elements
+ * @param {Object} options - Options
+ * @param {Object} options.workflow - Workflow of the project (read from data.meta by default)
+ * @param {boolean} options.force - Skip the workflow's transition rules
+ * @returns {string} The previous status
  */
 async function updateSingleTaskStatus(
 	tasksPath,
 	taskIdInput,
 	newStatus,
 	data,
-	showUi = true
+	showUi = true,
+	options = {}
 ) {
-	// Check if it's a subtask (e.g., "1.2")
+	const workflow = options.workflow || getWorkflow(data.meta);
+
+	// Check if it's a subtask (e.g., "1.2", or "1.2.1" for a nested one)
 	if (taskIdInput.includes('.')) {
-		const [parentId, subtaskId] = taskIdInput
-			.split('.')
-			.map((id) => parseInt(id, 10));
+		const parentId = getParentTaskId(taskIdInput);
+		const subtaskId = parseInt(taskIdInput.split('.').pop(), 10);
 
-		// Find the parent task
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		// Find the parent task or subtask
+		const parentTask = findTaskPath(data.tasks, parentId)?.item;
 		if (!parentTask) {
 			throw new Error(`Parent task ${parentId} not found`);
 		}
@@ -1684,44 +1872,26 @@ async function updateSingleTaskStatus(
 		}
 
 		// Update the subtask status
-		const oldStatus = subtask.status || 'pending';
+		const oldStatus = subtask.status || workflow.initial;
+		if (!options.force) {
+			checkStatusTransition(
+				workflow,
+				oldStatus,
+				newStatus,
+				`subtask ${parentId}.${subtaskId}`
+			);
+		}
 		subtask.status = newStatus;
+		recordStatusChange(subtask, oldStatus, newStatus);
 
 		log(
 			'info',
 			`Updated subtask ${parentId}.${subtaskId} status from '${oldStatus}' to '${newStatus}'`
 		);
 
-		// Check if all subtasks are done (if setting to 'done')
-		if (
-			newStatus.toLowerCase() === 'done' ||
-			newStatus.toLowerCase() === 'completed'
-		) {
-			const allSubtasksDone = parentTask.subtasks.every(
-				(st) => st.status === 'done' || st.status === 'completed'
-			);
+		completeSubtasks(subtask, newStatus, workflow);
 
-			// Suggest updating parent task if all subtasks are done
-			if (
-				allSubtasksDone &&
-				parentTask.status !== 'done' &&
-				parentTask.status !== 'completed'
-			) {
-				// Only show suggestion in CLI mode
-				if (showUi) {
-					console.log(
-						chalk.yellow(
-							`All subtasks of parent task ${parentId} are now marked as done.`
-						)
-					);
-					console.log(
-						chalk.yellow(
-							`Consider updating the parent task status with: task-master set-status --id=${parentId} --status=done`
-						)
-					);
-				}
-			}
-		}
+		return oldStatus;
 	} else {
 		// Handle regular task
 		const taskId = parseInt(taskIdInput, 10);
@@ -1732,36 +1902,59 @@ async function updateSingleTaskStatus(
 		}
 
 		// Update the task status
-		const oldStatus = task.status || 'pending';
+		const oldStatus = task.status || workflow.initial;
+		if (!options.force) {
+			checkStatusTransition(workflow, oldStatus, newStatus, `task ${taskId}`);
+		}
 		task.status = newStatus;
+		recordStatusChange(task, oldStatus, newStatus);
+
+		// Remember when the task was finished, so it can be archived by age
+		if (!isFinishedStatus(workflow, newStatus)) {
+			delete task.completedAt;
+		} else if (!isFinishedStatus(workflow, oldStatus)) {
+			task.completedAt = new Date().toISOString();
+		}
 
 		log(
 			'info',
 			`Updated task ${taskId} status from '${oldStatus}' to '${newStatus}'`
 		);
 
-		// If marking as done, also mark all subtasks as done
-		if (
-			(newStatus.toLowerCase() === 'done' ||
-				newStatus.toLowerCase() === 'completed') &&
-			task.subtasks &&
-			task.subtasks.length > 0
-		) {
-			const pendingSubtasks = task.subtasks.filter(
-				(st) => st.status !== 'done' && st.status !== 'completed'
-			);
+		completeSubtasks(task, newStatus, workflow);
 
-			if (pendingSubtasks.length > 0) {
-				log(
-					'info',
-					`Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`
-				);
+		return oldStatus;
+	}
+}
 
-				pendingSubtasks.forEach((subtask) => {
-					subtask.status = newStatus;
-				});
-			}
-		}
+/**
+ * When a task or subtask is marked as done, marks its subtasks at every
+ * depth as done too (transition rules only apply to the item that was
+ * changed)
+ * @param {Object} item - Task or subtask whose status was set
+ * @param {string} newStatus - Status it was set to
+ * @param {Object} workflow - Workflow of the project
+ */
+function completeSubtasks(item, newStatus, workflow) {
+	if (!isDoneStatus(workflow, newStatus)) {
+		return;
+	}
+
+	const pendingSubtasks = flattenSubtasks(item)
+		.map(({ subtask }) => subtask)
+		.filter((subtask) => !isDoneStatus(workflow, subtask.status));
+
+	if (pendingSubtasks.length > 0) {
+		log(
+			'info',
+			`Also marking ${pendingSubtasks.length} subtasks as '${newStatus}'`
+		);
+
+		pendingSubtasks.forEach((subtask) => {
+			const oldSubtaskStatus = subtask.status || workflow.initial;
+			subtask.status = newStatus;
+			recordStatusChange(subtask, oldSubtaskStatus, newStatus);
+		});
 	}
 }
 
@@ -1771,13 +1964,23 @@ async function updateSingleTaskStatus(
  * @param {string} statusFilter - Filter by status
  * @param {boolean} withSubtasks - Whether to show subtasks
  * @param {string} outputFormat - Output format (text or json)
+ * @param {boolean} includeArchived - Whether to list archived tasks too
+ * @param {Object} filters - Only list tasks with these labels and custom field values
+ * @param {string|Array<string>} filters.labels - Labels
+ * @param {string|Array<string>|Object} filters.fields - Field values, e.g. ["owner=alice"]
+ * @param {string} filters.epic - Epic ID, or "none" for tasks without an epic
+ * @param {Object} options - Display options
+ * @param {boolean} options.byEpic - Group the tasks by epic, with the progress of each epic
  * @returns {Object} - Task list result for json format
  */
 function listTasks(
 	tasksPath,
 	statusFilter,
 	withSubtasks = false,
-	outputFormat = 'text'
+	outputFormat = 'text',
+	includeArchived = false,
+	filters = {},
+	options = {}
 ) {
 	try {
 		// Only display banner for text output
@@ -1785,13 +1988,28 @@ function listTasks(
 			displayBanner();
 		}
 
-		const data = readJSON(tasksPath); // Reads the whole tasks.json
+		const data = readTasks(tasksPath); // Reads the whole tasks.json
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
 
+		// Archived tasks are still valid dependencies, and are listed on request
+		// (tasks restored with undo may still have a copy in the archive)
+		const archivedTasks = readArchivedTasks(tasksPath).filter(
+			(archivedTask) => !data.tasks.some((task) => task.id === archivedTask.id)
+		);
+		// Archived tasks count toward the progress of their epic
+		const epicSummary = listEpics([...data.tasks, ...archivedTasks], data.meta);
+		if (includeArchived) {
+			data.tasks = [
+				...data.tasks,
+				...archivedTasks.map((task) => ({ ...task, archived: true }))
+			].sort((a, b) => a.id - b.id);
+		}
+		const dependencyTasks = [...data.tasks, ...archivedTasks];
+
 		// Filter tasks by status if specified
-		const filteredTasks =
+		const statusFilteredTasks =
 			statusFilter && statusFilter.toLowerCase() !== 'all' // <-- Added check for 'all'
 				? data.tasks.filter(
 						(task) =>
@@ -1800,10 +2018,18 @@ function listTasks(
 					)
 				: data.tasks; // Default to all tasks if no filter or filter is 'all'
 
-		// Calculate completion statistics
+		// Then by labels and custom fields, a task matches through its subtasks too
+		const taskFilters = parseTaskFilters(filters, data.meta);
+		const filteredTasks = filterTasksByMetadata(
+			statusFilteredTasks,
+			taskFilters
+		);
+
+		// Calculate completion statistics, the workflow decides what counts as done
+		const workflow = getWorkflow(data.meta);
 		const totalTasks = data.tasks.length;
-		const completedTasks = data.tasks.filter(
-			(task) => task.status === 'done' || task.status === 'completed'
+		const completedTasks = data.tasks.filter((task) =>
+			isDoneStatus(workflow, task.status)
 		).length;
 		const completionPercentage =
 			totalTasks > 0 ? (completedTasks / totalTasks) * 100 : 0;
@@ -1838,8 +2064,8 @@ function listTasks(
 		data.tasks.forEach((task) => {
 			if (task.subtasks && task.subtasks.length > 0) {
 				totalSubtasks += task.subtasks.length;
-				completedSubtasks += task.subtasks.filter(
-					(st) => st.status === 'done' || st.status === 'completed'
+				completedSubtasks += task.subtasks.filter((st) =>
+					isDoneStatus(workflow, st.status)
 				).length;
 				inProgressSubtasks += task.subtasks.filter(
 					(st) => st.status === 'in-progress'
@@ -1862,6 +2088,13 @@ function listTasks(
 		const subtaskCompletionPercentage =
 			totalSubtasks > 0 ? (completedSubtasks / totalSubtasks) * 100 : 0;
 
+		// Lead and cycle times of the finished tasks with a status history
+		const taskTimes = summarizeTaskTimes(data.tasks, workflow);
+
+		// Unfinished tasks and subtasks past their due date
+		const today = getToday();
+		const overdueItems = findOverdueItems(data.tasks, workflow, today);
+
 		// For JSON output, return structured data
 		if (outputFormat === 'json') {
 			// *** Modification: Remove 'details' field for JSON output ***
@@ -1884,6 +2117,8 @@ function listTasks(
 			return {
 				tasks: tasksWithoutDetails, // <--- THIS IS THE ARRAY BEING RETURNED
 				filter: statusFilter || 'all', // Return the actual filter used
+				...(hasTaskFilters(taskFilters) && { metadataFilter: taskFilters }),
+				...(epicSummary.epics.length > 0 && { epics: epicSummary.epics }),
 				stats: {
 					total: totalTasks,
 					completed: doneCount,
@@ -1892,7 +2127,11 @@ function listTasks(
 					blocked: blockedCount,
 					deferred: deferredCount,
 					cancelled: cancelledCount,
+					byStatus: countStatuses(data.tasks, workflow),
 					completionPercentage,
+					leadTime: taskTimes.leadTime,
+					cycleTime: taskTimes.cycleTime,
+					overdue: overdueItems,
 					subtasks: {
 						total: totalSubtasks,
 						completed: completedSubtasks,
@@ -1901,6 +2140,10 @@ function listTasks(
 						blocked: blockedSubtasks,
 						deferred: deferredSubtasks,
 						cancelled: cancelledSubtasks,
+						byStatus: countStatuses(
+							data.tasks.flatMap((task) => task.subtasks || []),
+							workflow
+						),
 						completionPercentage: subtaskCompletionPercentage
 					}
 				}
@@ -1909,56 +2152,44 @@ function listTasks(
 
 		// ... existing code for text output ...
 
-		// Calculate status breakdowns as percentages of total
-		const taskStatusBreakdown = {
-			'in-progress': totalTasks > 0 ? (inProgressCount / totalTasks) * 100 : 0,
-			pending: totalTasks > 0 ? (pendingCount / totalTasks) * 100 : 0,
-			blocked: totalTasks > 0 ? (blockedCount / totalTasks) * 100 : 0,
-			deferred: totalTasks > 0 ? (deferredCount / totalTasks) * 100 : 0,
-			cancelled: totalTasks > 0 ? (cancelledCount / totalTasks) * 100 : 0
-		};
-
-		const subtaskStatusBreakdown = {
-			'in-progress':
-				totalSubtasks > 0 ? (inProgressSubtasks / totalSubtasks) * 100 : 0,
-			pending: totalSubtasks > 0 ? (pendingSubtasks / totalSubtasks) * 100 : 0,
-			blocked: totalSubtasks > 0 ? (blockedSubtasks / totalSubtasks) * 100 : 0,
-			deferred:
-				totalSubtasks > 0 ? (deferredSubtasks / totalSubtasks) * 100 : 0,
-			cancelled:
-				totalSubtasks > 0 ? (cancelledSubtasks / totalSubtasks) * 100 : 0
-		};
+		// Calculate status breakdowns as percentages of total, for every status
+		// of the workflow
+		const taskStatusBreakdown = getStatusBreakdown(data.tasks, workflow);
+		const subtaskStatusBreakdown = getStatusBreakdown(
+			data.tasks.flatMap((task) => task.subtasks || []),
+			workflow
+		);
 
 		// Create progress bars with status breakdowns
 		const taskProgressBar = createProgressBar(
 			completionPercentage,
 			30,
-			taskStatusBreakdown
+			taskStatusBreakdown,
+			workflow
 		);
 		const subtaskProgressBar = createProgressBar(
 			subtaskCompletionPercentage,
 			30,
-			subtaskStatusBreakdown
+			subtaskStatusBreakdown,
+			workflow
 		);
 
 		// Calculate dependency statistics
 		const completedTaskIds = new Set(
 			data.tasks
-				.filter((t) => t.status === 'done' || t.status === 'completed')
+				.filter((t) => isDoneStatus(workflow, t.status))
 				.map((t) => t.id)
 		);
 
 		const tasksWithNoDeps = data.tasks.filter(
 			(t) =>
-				t.status !== 'done' &&
-				t.status !== 'completed' &&
+				!isDoneStatus(workflow, t.status) &&
 				(!t.dependencies || t.dependencies.length === 0)
 		).length;
 
 		const tasksWithAllDepsSatisfied = data.tasks.filter(
 			(t) =>
-				t.status !== 'done' &&
-				t.status !== 'completed' &&
+				!isDoneStatus(workflow, t.status) &&
 				t.dependencies &&
 				t.dependencies.length > 0 &&
 				t.dependencies.every((depId) => completedTaskIds.has(depId))
@@ -1966,8 +2197,7 @@ function listTasks(
 
 		const tasksWithUnsatisfiedDeps = data.tasks.filter(
 			(t) =>
-				t.status !== 'done' &&
-				t.status !== 'completed' &&
+				!isDoneStatus(workflow, t.status) &&
 				t.dependencies &&
 				t.dependencies.length > 0 &&
 				!t.dependencies.every((depId) => completedTaskIds.has(depId))
@@ -2011,10 +2241,26 @@ function listTasks(
 		const avgDependenciesPerTask = totalDependencies / data.tasks.length;
 
 		// Find next task to work on
-		const nextTask = findNextTask(data.tasks);
+		const nextTask = findNextTask(
+			data.tasks,
+			archivedTasks,
+			null,
+			workflow,
+			getScoringOptions(data.meta)
+		);
+		const nextSubtask = findNextSubtask(
+			nextTask,
+			data.tasks,
+			archivedTasks,
+			null,
+			workflow
+		);
 		const nextTaskInfo = nextTask
-			? `ID: ${chalk.cyan(nextTask.id)} - ${chalk.white.bold(truncate(nextTask.title, 40))}\n` +
-				`Priority: ${chalk.white(nextTask.priority || 'medium')}  Dependencies: ${formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true)}`
+			? `ID: ${chalk.cyan(nextTask.id)} - ${(isOverdue(nextTask, workflow, today) ? chalk.red.bold : chalk.white.bold)(truncate(nextTask.title, 40))}\n` +
+				(nextTask.dueDate
+					? `Due: ${(isOverdue(nextTask, workflow, today) ? chalk.red : chalk.white)(nextTask.dueDate)}  `
+					: '') +
+				`Priority: ${chalk.white(nextTask.priority || 'medium')}  Dependencies: ${formatDependenciesWithStatus(nextTask.dependencies, dependencyTasks, true, workflow)}`
 			: chalk.yellow(
 					'No eligible tasks found. All tasks are either completed or have unsatisfied dependencies.'
 				);
@@ -2034,14 +2280,47 @@ function listTasks(
 		// Ensure terminal width is at least a minimum value to prevent layout issues
 		terminalWidth = Math.max(terminalWidth, 80);
 
-		// Create dashboard content
+		// A custom workflow has its own statuses, so count those instead of the
+		// default ones
+		const formatOpenCounts = (items) =>
+			Object.entries(countStatuses(items, workflow))
+				.filter(([status]) => !isDoneStatus(workflow, status))
+				.map(
+					([status, count]) =>
+						`${status}: ${getStatusColor(status, workflow)(count)}`
+				)
+				.join('  ');
+		const taskCountsLine = workflow.custom
+			? `Done: ${chalk.green(doneCount)}  ${formatOpenCounts(data.tasks)}`
+			: `Done: ${chalk.green(doneCount)}  In Progress: ${chalk.blue(inProgressCount)}  Pending: ${chalk.yellow(pendingCount)}  Blocked: ${chalk.red(blockedCount)}  Deferred: ${chalk.gray(deferredCount)}  Cancelled: ${chalk.gray(cancelledCount)}`;
+		const subtaskCountsLine = workflow.custom
+			? `Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  ${formatOpenCounts(data.tasks.flatMap((task) => task.subtasks || []))}`
+			: `Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  In Progress: ${chalk.blue(inProgressSubtasks)}  Pending: ${chalk.yellow(pendingSubtasks)}  Blocked: ${chalk.red(blockedSubtasks)}  Deferred: ${chalk.gray(deferredSubtasks)}  Cancelled: ${chalk.gray(cancelledSubtasks)}`;
+
+		const describeTime = (label, { count, average, median }) =>
+			count > 0
+				? `${label}: ${chalk.cyan(formatDuration(average))} avg, ${formatDuration(median)} median (${count} ${count === 1 ? 'task' : 'tasks'})`
+				: `${label}: ${chalk.gray('-')}`;
+		const timesLine = `${describeTime('Cycle time', taskTimes.cycleTime)}  ${describeTime('Lead time', taskTimes.leadTime)}`;
+
+		// Create dashboard content, naming the tag when it isn't the default one
+		const activeTag = getActiveTag(tasksPath);
 		const projectDashboardContent =
 			chalk.white.bold('Project Dashboard') +
+			(activeTag !== DEFAULT_TAG ? chalk.gray(` (tag: ${activeTag})`) : '') +
 			'\n' +
 			`Tasks Progress: ${chalk.greenBright(taskProgressBar)} ${completionPercentage.toFixed(0)}%\n` +
-			`Done: ${chalk.green(doneCount)}  In Progress: ${chalk.blue(inProgressCount)}  Pending: ${chalk.yellow(pendingCount)}  Blocked: ${chalk.red(blockedCount)}  Deferred: ${chalk.gray(deferredCount)}  Cancelled: ${chalk.gray(cancelledCount)}\n\n` +
+			`${taskCountsLine}\n\n` +
 			`Subtasks Progress: ${chalk.cyan(subtaskProgressBar)} ${subtaskCompletionPercentage.toFixed(0)}%\n` +
-			`Completed: ${chalk.green(completedSubtasks)}/${totalSubtasks}  In Progress: ${chalk.blue(inProgressSubtasks)}  Pending: ${chalk.yellow(pendingSubtasks)}  Blocked: ${chalk.red(blockedSubtasks)}  Deferred: ${chalk.gray(deferredSubtasks)}  Cancelled: ${chalk.gray(cancelledSubtasks)}\n\n` +
+			`${subtaskCountsLine}\n\n` +
+			(taskTimes.leadTime.count > 0 || taskTimes.cycleTime.count > 0
+				? `${timesLine}\n\n`
+				: '') +
+			(overdueItems.length > 0
+				? chalk.red(
+						`Overdue: ${overdueItems.map((item) => item.id).join(', ')}\n\n`
+					)
+				: '') +
 			chalk.cyan.bold('Priority Breakdown:') +
 			'\n' +
 			`${chalk.red('•')} ${chalk.white('High priority:')} ${data.tasks.filter((t) => t.priority === 'high').length}\n` +
@@ -2061,7 +2340,10 @@ function listTasks(
 			chalk.cyan.bold('Next Task to Work On:') +
 			'\n' +
 			`ID: ${chalk.cyan(nextTask ? nextTask.id : 'N/A')} - ${nextTask ? chalk.white.bold(truncate(nextTask.title, 40)) : chalk.yellow('No task available')}\n` +
-			`Priority: ${nextTask ? chalk.white(nextTask.priority || 'medium') : ''}  Dependencies: ${nextTask ? formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true) : ''}`;
+			`Priority: ${nextTask ? chalk.white(nextTask.priority || 'medium') : ''}  Dependencies: ${nextTask ? formatDependenciesWithStatus(nextTask.dependencies, dependencyTasks, true, workflow) : ''}` +
+			(nextSubtask
+				? `\nSubtask: ${chalk.cyan(`${nextSubtask.parentTask.id}.${nextSubtask.id}`)} - ${chalk.white(truncate(nextSubtask.title, 40))}`
+				: '');
 
 		// Calculate width for side-by-side display
 		// Box borders, padding take approximately 4 chars on each side
@@ -2144,10 +2426,18 @@ function listTasks(
 		}
 
 		if (filteredTasks.length === 0) {
+			const filterDescriptions = [
+				...(statusFilter ? [`status '${statusFilter}'`] : []),
+				...(hasTaskFilters(taskFilters)
+					? [describeTaskFilters(taskFilters)]
+					: [])
+			];
 			console.log(
 				boxen(
-					statusFilter
-						? chalk.yellow(`No tasks with status '${statusFilter}' found`)
+					filterDescriptions.length > 0
+						? chalk.yellow(
+								`No tasks with ${filterDescriptions.join(', ')} found`
+							)
 						: chalk.yellow('No tasks found'),
 					{ padding: 1, borderColor: 'yellow', borderStyle: 'round' }
 				)
@@ -2204,16 +2494,23 @@ function listTasks(
 			wrapOnWordBoundary: true
 		});
 
-		// Process tasks for the table
-		filteredTasks.forEach((task) => {
+		// Who holds a task, shown after its title
+		const formatOwner = (item) => {
+			const claim = getActiveClaim(item);
+			return claim ? chalk.cyan(` @${claim.owner}`) : '';
+		};
+
+		// Adds the rows of a task, and its subtasks if requested, to the table
+		const addTaskRows = (task) => {
 			// Format dependencies with status indicators (colored)
 			let depText = 'None';
 			if (task.dependencies && task.dependencies.length > 0) {
 				// Use the proper formatDependenciesWithStatus function for colored status
 				depText = formatDependenciesWithStatus(
 					task.dependencies,
-					data.tasks,
-					true
+					dependencyTasks,
+					true,
+					workflow
 				);
 			} else {
 				depText = chalk.gray('None');
@@ -2231,12 +2528,18 @@ function listTasks(
 				}[task.priority || 'medium'] || chalk.white;
 
 			// Format status
-			const status = getStatusWithColor(task.status, true);
+			const status = getStatusWithColor(task.status, true, workflow);
 
 			// Add the row without truncating dependencies
 			table.push([
 				task.id.toString(),
-				truncate(cleanTitle, titleWidth - 3),
+				(task.archived
+					? chalk.gray(truncate(`[archived] ${cleanTitle}`, titleWidth - 3))
+					: isOverdue(task, workflow, today)
+						? chalk.red(
+								truncate(`${cleanTitle} (due ${task.dueDate})`, titleWidth - 3)
+							)
+						: truncate(cleanTitle, titleWidth - 3)) + formatOwner(task),
 				status,
 				priorityColor(truncate(task.priority || 'medium', priorityWidth - 2)),
 				depText // No truncation for dependencies
@@ -2245,66 +2548,63 @@ function listTasks(
 			// Add subtasks if requested
 			if (withSubtasks && task.subtasks && task.subtasks.length > 0) {
 				task.subtasks.forEach((subtask) => {
-					// Format subtask dependencies with status indicators
-					let subtaskDepText = 'None';
-					if (subtask.dependencies && subtask.dependencies.length > 0) {
-						// Handle both subtask-to-subtask and subtask-to-task dependencies
-						const formattedDeps = subtask.dependencies
-							.map((depId) => {
-								// Check if it's a dependency on another subtask
-								if (typeof depId === 'number' && depId < 100) {
-									const foundSubtask = task.subtasks.find(
-										(st) => st.id === depId
-									);
-									if (foundSubtask) {
-										const isDone =
-											foundSubtask.status === 'done' ||
-											foundSubtask.status === 'completed';
-										const isInProgress = foundSubtask.status === 'in-progress';
-
-										// Use consistent color formatting instead of emojis
-										if (isDone) {
-											return chalk.green.bold(`${task.id}.${depId}`);
-										} else if (isInProgress) {
-											return chalk.hex('#FFA500').bold(`${task.id}.${depId}`);
-										} else {
-											return chalk.red.bold(`${task.id}.${depId}`);
-										}
-									}
-								}
-								// Default to regular task dependency
-								const depTask = data.tasks.find((t) => t.id === depId);
-								if (depTask) {
-									const isDone =
-										depTask.status === 'done' || depTask.status === 'completed';
-									const isInProgress = depTask.status === 'in-progress';
-									// Use the same color scheme as in formatDependenciesWithStatus
-									if (isDone) {
-										return chalk.green.bold(`${depId}`);
-									} else if (isInProgress) {
-										return chalk.hex('#FFA500').bold(`${depId}`);
-									} else {
-										return chalk.red.bold(`${depId}`);
-									}
-								}
-								return chalk.cyan(depId.toString());
-							})
-							.join(', ');
-
-						subtaskDepText = formattedDeps || chalk.gray('None');
-					}
+					// Format subtask dependencies with status indicators, numeric ones
+					// being siblings and dotted ones subtasks of any task
+					const subtaskDepText = formatDependenciesWithStatus(
+						subtask.dependencies,
+						dependencyTasks,
+						true,
+						workflow,
+						task.id
+					);
 
 					// Add the subtask row without truncating dependencies
 					table.push([
 						`${task.id}.${subtask.id}`,
-						chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5)}`),
-						getStatusWithColor(subtask.status, true),
+						(isOverdue(subtask, workflow, today)
+							? chalk.red(
+									`└─ ${truncate(`${subtask.title} (due ${subtask.dueDate})`, titleWidth - 5)}`
+								)
+							: chalk.dim(`└─ ${truncate(subtask.title, titleWidth - 5)}`)) +
+							formatOwner(subtask),
+						getStatusWithColor(subtask.status, true, workflow),
 						chalk.dim('-'),
 						subtaskDepText // No truncation for dependencies
 					]);
 				});
 			}
-		});
+		};
+
+		if (options.byEpic) {
+			// A heading row with the progress of the epic above its tasks
+			const groups = [
+				...epicSummary.epics.map((epic) => ({
+					epic,
+					progress: epic.progress,
+					tasks: filteredTasks.filter((task) => isInEpic(task, epic.id))
+				})),
+				{
+					epic: null,
+					progress: epicSummary.unassigned.progress,
+					tasks: filteredTasks.filter((task) =>
+						epicSummary.unassigned.taskIds.includes(task.id)
+					)
+				}
+			];
+			groups
+				.filter((group) => group.tasks.length > 0)
+				.forEach((group) => {
+					table.push([
+						{
+							colSpan: 5,
+							content: formatEpicHeading(group.epic, group.progress, workflow)
+						}
+					]);
+					group.tasks.forEach(addTaskRows);
+				});
+		} else {
+			filteredTasks.forEach(addTaskRows);
+		}
 
 		// Ensure we output the table even if it had to wrap
 		try {
@@ -2320,7 +2620,7 @@ function listTasks(
 			);
 			filteredTasks.forEach((task) => {
 				console.log(
-					`${chalk.cyan(task.id)}: ${chalk.white(task.title)} - ${getStatusWithColor(task.status)}`
+					`${chalk.cyan(task.id)}: ${chalk.white(task.title)} - ${getStatusWithColor(task.status, false, workflow)}`
 				);
 			});
 		}
@@ -2349,18 +2649,8 @@ function listTasks(
 				subtasksSection += nextTask.subtasks
 					.map((subtask) => {
 						// Using a more simplified format for subtask status display
-						const status = subtask.status || 'pending';
-						const statusColors = {
-							done: chalk.green,
-							completed: chalk.green,
-							pending: chalk.yellow,
-							'in-progress': chalk.blue,
-							deferred: chalk.gray,
-							blocked: chalk.red,
-							cancelled: chalk.gray
-						};
-						const statusColor =
-							statusColors[status.toLowerCase()] || chalk.white;
+						const status = subtask.status || workflow.initial;
+						const statusColor = getStatusColor(status, workflow);
 						return `${chalk.cyan(`${nextTask.id}.${subtask.id}`)} [${statusColor(status)}] ${subtask.title}`;
 					})
 					.join('\n');
@@ -2374,12 +2664,15 @@ function listTasks(
 							`🔥 Next Task to Work On: #${nextTask.id} - ${nextTask.title}`
 						) +
 						'\n\n' +
-						`${chalk.white('Priority:')} ${priorityColors[nextTask.priority || 'medium'](nextTask.priority || 'medium')}   ${chalk.white('Status:')} ${getStatusWithColor(nextTask.status, true)}\n` +
-						`${chalk.white('Dependencies:')} ${nextTask.dependencies && nextTask.dependencies.length > 0 ? formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true) : chalk.gray('None')}\n\n` +
+						`${chalk.white('Priority:')} ${priorityColors[nextTask.priority || 'medium'](nextTask.priority || 'medium')}   ${chalk.white('Status:')} ${getStatusWithColor(nextTask.status, true, workflow)}\n` +
+						`${chalk.white('Dependencies:')} ${nextTask.dependencies && nextTask.dependencies.length > 0 ? formatDependenciesWithStatus(nextTask.dependencies, dependencyTasks, true, workflow) : chalk.gray('None')}\n\n` +
 						`${chalk.white('Description:')} ${nextTask.description}` +
 						subtasksSection +
 						'\n\n' +
-						`${chalk.cyan('Start working:')} ${chalk.yellow(`task-master set-status --id=${nextTask.id} --status=in-progress`)}\n` +
+						(nextSubtask
+							? `${chalk.cyan('Next subtask:')} ${nextSubtask.parentTask.id}.${nextSubtask.id} - ${nextSubtask.title}\n`
+							: '') +
+						`${chalk.cyan('Start working:')} ${chalk.yellow(`task-master set-status --id=${nextSubtask ? `${nextSubtask.parentTask.id}.${nextSubtask.id}` : nextTask.id} --status=in-progress`)}\n` +
 						`${chalk.cyan('View details:')} ${chalk.yellow(`task-master show ${nextTask.id}`)}`,
 					{
 						padding: { left: 2, right: 2, top: 1, bottom: 1 },
@@ -2465,7 +2758,7 @@ function safeColor(text, colorFn, maxLength = 0) {
 /**
  * Expand a task into subtasks
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {number} taskId - Task ID to expand
+ * @param {number|string} taskId - Task ID to expand, or a subtask ID (e.g. "4.2") to break the subtask down further
  * @param {number} numSubtasks - Number of subtasks to generate
  * @param {boolean} useResearch - Whether to use research with Perplexity
  * @param {string} additionalContext - Additional context
@@ -2505,16 +2798,19 @@ async function expandTask(
 
 	try {
 		// Read the tasks.json file
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error('Invalid or missing tasks.json');
 		}
 
-		// Find the task
-		const task = data.tasks.find((t) => t.id === parseInt(taskId, 10));
-		if (!task) {
+		// Find the task, or the subtask to break down further
+		const found = findTaskPath(data.tasks, taskId);
+		if (!found) {
 			throw new Error(`Task with ID ${taskId} not found`);
 		}
+		const task = found.item;
+		const fullTaskId = found.path.join('.');
+		const isSubtask = found.path.length > 1;
 
 		report(`Expanding task ${taskId}: ${task.title}`);
 
@@ -2527,11 +2823,12 @@ async function expandTask(
 		// Determine the number of subtasks to generate
 		let subtaskCount = parseInt(numSubtasks, 10) || CONFIG.defaultSubtasks;
 
-		// Check if we have a complexity analysis for this task
+		// Check if we have a complexity analysis for this task (only tasks are
+		// analyzed, not their subtasks)
 		let taskAnalysis = null;
 		try {
 			const reportPath = 'scripts/task-complexity-report.json';
-			if (fs.existsSync(reportPath)) {
+			if (!isSubtask && fs.existsSync(reportPath)) {
 				const report = readJSON(reportPath);
 				if (report && report.complexityAnalysis) {
 					taskAnalysis = report.complexityAnalysis.find(
@@ -2565,6 +2862,19 @@ async function expandTask(
 			}
 		}
 
+		// The AI needs to know what a subtask is part of to break it down
+		if (isSubtask) {
+			const parentContext = `Parent tasks: ${found.ancestors
+				.map(
+					(ancestor, index) =>
+						`${found.path.slice(0, index + 1).join('.')} "${ancestor.title}"`
+				)
+				.join(' > ')}`;
+			additionalContext = additionalContext
+				? `${additionalContext}\n\n${parentContext}`
+				: parentContext;
+		}
+
 		// Generate subtasks with AI
 		let generatedSubtasks = [];
 
@@ -2593,7 +2903,7 @@ async function expandTask(
 				} else {
 					report('Using Perplexity for research-backed subtasks');
 					generatedSubtasks = await generateSubtasksWithPerplexity(
-						task,
+						{ ...task, id: fullTaskId },
 						subtaskCount,
 						nextSubtaskId,
 						additionalContext,
@@ -2634,7 +2944,7 @@ Each subtask should be implementable in a focused coding session.`;
 
 				const userPrompt = `Please break down this task into ${subtaskCount} specific, actionable subtasks:
 
-Task ID: ${task.id}
+Task ID: ${fullTaskId}
 Title: ${task.title}
 Description: ${task.description}
 Current details: ${task.details || 'None provided'}
@@ -2680,14 +2990,20 @@ Note on dependencies: Subtasks can depend on other subtasks with lower IDs. Use
 				);
 			}
 
+			// Only the direct subtasks of a task record the ID of their parent
+			if (isSubtask) {
+				generatedSubtasks.forEach((subtask) => delete subtask.parentTaskId);
+			}
+
 			// Add the generated subtasks to the task
 			task.subtasks = generatedSubtasks;
 
-			// Write the updated tasks back to the file
-			writeJSON(tasksPath, data);
-
-			// Generate the individual task files
-			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			// Write the updated tasks back and generate the individual task files,
+			// waiting for the lock without blocking the MCP server
+			await withTasksLockAsync(tasksPath, async () => {
+				writeTasks(tasksPath, data);
+				await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			});
 
 			return task;
 		} catch (error) {
@@ -2758,7 +3074,7 @@ async function expandAllTasks(
 	// Load tasks
 	let data;
 	try {
-		data = readJSON(tasksPath);
+		data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error('No valid tasks found');
 		}
@@ -2941,15 +3257,17 @@ async function expandAllTasks(
 			await new Promise((resolve) => setTimeout(resolve, 100));
 		}
 
-		// Save the updated tasks
-		writeJSON(tasksPath, data);
+		// Save the updated tasks, waiting for the lock without blocking the MCP server
+		await withTasksLockAsync(tasksPath, async () => {
+			writeTasks(tasksPath, data);
 
-		// Generate task files
-		if (outputFormat === 'text') {
-			// Only perform file generation for CLI (text) mode
-			const outputDir = path.dirname(tasksPath);
-			await generateTaskFiles(tasksPath, outputDir);
-		}
+			// Generate task files
+			if (outputFormat === 'text') {
+				// Only perform file generation for CLI (text) mode
+				const outputDir = path.dirname(tasksPath);
+				await generateTaskFiles(tasksPath, outputDir);
+			}
+		});
 
 		// Return structured result for MCP
 		return {
@@ -3031,8 +3349,10 @@ async function expandAllTasks(
 function clearSubtasks(tasksPath, taskIds) {
 	displayBanner();
 
+	const lock = acquireTasksLock(tasksPath);
+
 	log('info', `Reading tasks from ${tasksPath}...`);
-	const data = readJSON(tasksPath);
+	const data = readTasks(tasksPath);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
@@ -3098,7 +3418,7 @@ function clearSubtasks(tasksPath, taskIds) {
 	});
 
 	if (clearedCount > 0) {
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 
 		// Show summary table
 		console.log(
@@ -3155,6 +3475,8 @@ function clearSubtasks(tasksPath, taskIds) {
 			})
 		);
 	}
+
+	lock.release();
 }
 
 /**
@@ -3169,6 +3491,12 @@ function clearSubtasks(tasksPath, taskIds) {
  * @param {string} outputFormat - Output format (text or json)
  * @param {Object} customEnv - Custom environment variables (optional)
  * @param {Object} manualTaskData - Manual task data (optional, for direct task creation without AI)
+ * @param {Object} metadata - Labels, custom fields, due date and estimate for the task (optional)
+ * @param {string|Array<string>} metadata.labels - Labels
+ * @param {string|Array<string>|Object} metadata.fields - Custom field values, e.g. ["owner=alice"]
+ * @param {string} metadata.dueDate - Due date as YYYY-MM-DD
+ * @param {string|number} metadata.estimate - Estimate in work hours
+ * @param {string} metadata.epic - ID of the epic the task belongs to
  * @returns {number} The new task ID
  */
 async function addTask(
@@ -3179,7 +3507,8 @@ async function addTask(
 	{ reportProgress, mcpLog, session } = {},
 	outputFormat = 'text',
 	customEnv = null,
-	manualTaskData = null
+	manualTaskData = null,
+	metadata = null
 ) {
 	let loadingIndicator = null; // Keep indicator variable accessible
 
@@ -3199,16 +3528,28 @@ async function addTask(
 		}
 
 		// Read the existing tasks
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			log('error', 'Invalid or missing tasks.json.');
 			throw new Error('Invalid or missing tasks.json.');
 		}
 
-		// Find the highest task ID to determine the next ID
-		const highestId = Math.max(...data.tasks.map((t) => t.id));
+		// Find the highest task ID to determine the next ID (a new tag has none).
+		// Archived IDs stay reserved, so dependencies on them remain unambiguous.
+		const highestId = Math.max(
+			0,
+			...[...data.tasks, ...readArchivedTasks(tasksPath)].map((t) => t.id)
+		);
 		const newTaskId = highestId + 1;
 
+		// Check labels and custom fields before spending an AI call on the task
+		if (!data.meta) {
+			data.meta = {};
+		}
+		const taskMetadata = resolveTaskMetadata(metadata || {}, data.meta);
+		const taskSchedule = resolveTaskSchedule(metadata || {});
+		const taskEpic = metadata?.epic ? findEpic(data.meta, metadata.epic) : null;
+
 		// Only show UI box for CLI mode
 		if (outputFormat === 'text') {
 			console.log(
@@ -3497,20 +3838,28 @@ async function addTask(
 			description: taskData.description,
 			details: taskData.details || '',
 			testStrategy: taskData.testStrategy || '',
-			status: 'pending',
+			status: getWorkflow(data.meta).initial,
 			dependencies: dependencies,
 			priority: priority
 		};
+		applyTaskMetadata(newTask, taskMetadata);
+		applyTaskSchedule(newTask, taskSchedule);
+		if (taskEpic) {
+			newTask.epic = taskEpic.id;
+		}
+		recordStatusChange(newTask, null, newTask.status);
 
 		// Add the task to the tasks array
 		data.tasks.push(newTask);
 
-		// Write the updated tasks to the file
-		writeJSON(tasksPath, data);
+		// Write the updated tasks and generate markdown task files, waiting for
+		// the lock without blocking the MCP server
+		await withTasksLockAsync(tasksPath, async () => {
+			writeTasks(tasksPath, data);
 
-		// Generate markdown task files
-		log('info', 'Generating task files...');
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+			log('info', 'Generating task files...');
+			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+		});
 
 		// Stop the loading indicator if it's still running
 		if (outputFormat === 'text' && loadingIndicator) {
@@ -3553,6 +3902,9 @@ async function addTask(
 						(dependencies.length > 0
 							? chalk.white(`Dependencies: ${dependencies.join(', ')}`) + '\n'
 							: '') +
+						(newTask.labels
+							? chalk.white(`Labels: ${newTask.labels.join(', ')}`) + '\n'
+							: '') +
 						'\n' +
 						chalk.white.bold('Next Steps:') +
 						'\n' +
@@ -3646,7 +3998,7 @@ async function analyzeTaskComplexity(
 			} else {
 				// Try to read the original file to get the count
 				try {
-					const originalData = readJSON(tasksPath);
+					const originalData = readTasks(tasksPath);
 					if (originalData && originalData.tasks) {
 						originalTaskCount = originalData.tasks.length;
 					}
@@ -3657,7 +4009,7 @@ async function analyzeTaskComplexity(
 			}
 		} else {
 			// No filtered data provided, read from file
-			tasksData = readJSON(tasksPath);
+			tasksData = readTasks(tasksPath);
 
 			if (
 				!tasksData ||
@@ -4516,67 +4868,288 @@ DO NOT include any text before or after the JSON array. No explanations, no mark
 }
 
 /**
- * Find the next pending task based on dependencies
+ * Gets the IDs of the finished tasks and subtasks at every depth ("3", "3.1"
+ * and "3.1.2"), which satisfy the dependencies on them
  * @param {Object[]} tasks - The array of tasks
- * @returns {Object|null} The next task to work on or null if no eligible tasks
+ * @param {Object[]} archivedTasks - Archived tasks
+ * @param {Object} workflow - Workflow deciding which statuses are done
+ * @returns {Set<string>} Task and subtask IDs
  */
-function findNextTask(tasks) {
-	// Get all completed task IDs
-	const completedTaskIds = new Set(
-		tasks
-			.filter((t) => t.status === 'done' || t.status === 'completed')
-			.map((t) => t.id)
+function getCompletedTaskIds(tasks, archivedTasks, workflow) {
+	const completedTaskIds = new Set();
+	[...tasks, ...archivedTasks].forEach((t) => {
+		if (isDoneStatus(workflow, t.status)) {
+			completedTaskIds.add(String(t.id));
+		}
+		flattenSubtasks(t).forEach(({ subtask, id }) => {
+			if (isDoneStatus(workflow, subtask.status)) {
+				completedTaskIds.add(id);
+			}
+		});
+	});
+	return completedTaskIds;
+}
+
+/**
+ * Checks whether the siblings (numeric IDs) and the other tasks and subtasks
+ * (full IDs) a subtask depends on are done
+ * @param {string} subtaskId - Full ID of the subtask (e.g. "1.2.3")
+ * @param {Object} subtask - Subtask
+ * @param {Set<string>} completedTaskIds - IDs from getCompletedTaskIds()
+ * @returns {boolean} True if the subtask can be started
+ */
+function isSubtaskReady(subtaskId, subtask, completedTaskIds) {
+	return (subtask.dependencies || []).every((depId) =>
+		completedTaskIds.has(String(resolveDependencyId(subtaskId, depId)))
 	);
+}
 
-	// Filter for pending tasks whose dependencies are all satisfied
-	const eligibleTasks = tasks.filter(
-		(task) =>
-			(task.status === 'pending' || task.status === 'in-progress') &&
+/**
+ * Lists the subtasks of a task that have no subtasks of their own, at every
+ * depth. A subtask is only ready when the subtasks it belongs to are ready
+ * too, as the dependencies of a subtask hold for all of its subtasks.
+ * @param {Object} task - Parent task
+ * @param {Set<string>} completedTaskIds - IDs from getCompletedTaskIds()
+ * @returns {Array<{subtask: Object, parent: Object, parentId: string, ready: boolean}>} Leaf subtasks in order, with their parent and its full ID
+ */
+function getLeafSubtasks(task, completedTaskIds) {
+	const items = new Map([[String(task.id), { item: task, ready: true }]]);
+	const leaves = [];
+	flattenSubtasks(task).forEach(({ subtask, id, parentId }) => {
+		const parent = items.get(parentId);
+		const ready = parent.ready && isSubtaskReady(id, subtask, completedTaskIds);
+		items.set(id, { item: subtask, ready });
+		if (!subtask.subtasks || subtask.subtasks.length === 0) {
+			leaves.push({ subtask, parent: parent.item, parentId, ready });
+		}
+	});
+	return leaves;
+}
+
+/**
+ * Gets the tasks that can be worked on (e.g. pending or in-progress), whose
+ * dependencies are all satisfied and that have a subtask to start when their
+ * subtasks still wait for other tasks. Tasks and subtasks other owners
+ * claimed are left out.
+ * @param {Object[]} tasks - The array of tasks
+ * @param {Object[]} archivedTasks - Archived tasks, which satisfy dependencies when done
+ * @param {Object} filters - Parsed epic, label and field filters; tasks match labels and fields through their subtasks too
+ * @param {Object} workflow - Workflow deciding which statuses are done and which can be worked on
+ * @param {string|null} owner - Owner whose own claims don't count
+ * @param {number} now - Current time in ms, to tell which claims expired
+ * @returns {Object[]} Tasks that can be started
+ */
+function getEligibleTasks(tasks, archivedTasks, filters, workflow, owner, now) {
+	// Get all completed task and subtask IDs, archived tasks count as
+	// dependencies too
+	const completedTaskIds = getCompletedTaskIds(tasks, archivedTasks, workflow);
+
+	return tasks.filter((task) => {
+		const workableSubtasks = getLeafSubtasks(task, completedTaskIds).filter(
+			({ subtask }) => isWorkableStatus(workflow, subtask.status)
+		);
+		return (
+			isWorkableStatus(workflow, task.status) &&
+			!isClaimedByOther(task, owner, now) &&
 			task.dependencies && // Make sure dependencies array exists
-			task.dependencies.every((depId) => completedTaskIds.has(depId))
+			task.dependencies.every((depId) => completedTaskIds.has(String(depId))) &&
+			(workableSubtasks.length === 0 ||
+				workableSubtasks.some(
+					({ subtask, ready }) =>
+						ready && !isClaimedByOther(subtask, owner, now)
+				)) &&
+			matchesEpicFilter(task, filters) &&
+			(matchesTaskFilters(task, filters) ||
+				flattenSubtasks(task).some(({ subtask }) =>
+					matchesTaskFilters(subtask, filters)
+				))
+		);
+	});
+}
+
+/**
+ * Ranks the tasks that can be worked on next by the project's scoring
+ * @param {Object[]} tasks - The array of tasks
+ * @param {Object[]} archivedTasks - Archived tasks, which satisfy dependencies when done
+ * @param {Object} filters - Parsed label and field filters (see parseTaskFilters); tasks match through their subtasks too
+ * @param {Object} workflow - Workflow deciding which statuses are done and which can be worked on
+ * @param {Object} options - Scoring settings and complexity report (see rankTasks)
+ * @param {string} options.owner - Owner asking; tasks claimed by anyone else are skipped
+ * @returns {Array<{task: Object, score: number, factors: Object, labels: Object}>} Candidates, best first
+ */
+function rankNextTasks(
+	tasks,
+	archivedTasks = [],
+	filters = null,
+	workflow = getWorkflow(),
+	options = {}
+) {
+	const now = options.now || Date.now();
+	return rankTasks(
+		getEligibleTasks(
+			tasks,
+			archivedTasks,
+			filters,
+			workflow,
+			options.owner || null,
+			now
+		),
+		tasks,
+		{ ...options, workflow, now }
 	);
+}
 
-	if (eligibleTasks.length === 0) {
+/**
+ * Find the next pending task based on dependencies
+ * @param {Object[]} tasks - The array of tasks
+ * @param {Object[]} archivedTasks - Archived tasks, which satisfy dependencies when done
+ * @param {Object} filters - Parsed label and field filters (see parseTaskFilters); tasks match through their subtasks too
+ * @param {Object} workflow - Workflow deciding which statuses are done and which can be worked on
+ * @param {Object} options - Scoring settings, complexity report and owner (see rankNextTasks); without settings tasks are ranked by priority, then by dependency count
+ * @returns {Object|null} The next task to work on or null if no eligible tasks
+ */
+function findNextTask(
+	tasks,
+	archivedTasks = [],
+	filters = null,
+	workflow = getWorkflow(),
+	options = {}
+) {
+	const [best] = rankNextTasks(
+		tasks,
+		archivedTasks,
+		filters,
+		workflow,
+		options
+	);
+	return best ? best.task : null;
+}
+
+/**
+ * Find the subtask of a task to work on next: one without subtasks of its own,
+ * at any depth, that can be worked on and whose dependencies are done.
+ * Subtasks the owner already claimed come first, then the ones that were
+ * already started, then the subtasks in their order.
+ * @param {Object} task - Parent task, usually the one from findNextTask()
+ * @param {Object[]} tasks - The array of tasks
+ * @param {Object[]} archivedTasks - Archived tasks, which satisfy dependencies when done
+ * @param {Object} filters - Parsed label and field filters; when the task doesn't match them itself, only matching subtasks are considered
+ * @param {Object} workflow - Workflow deciding which statuses are done and which can be worked on
+ * @param {Object} options - Options
+ * @param {string} options.owner - Owner asking; subtasks claimed by anyone else are skipped
+ * @param {number} options.now - Current time in ms, to tell which claims have expired
+ * @returns {Object|null} The subtask with a reference to its parent (like findTaskById, so "parentTask.id.id" is its full ID), or null
+ */
+function findNextSubtask(
+	task,
+	tasks,
+	archivedTasks = [],
+	filters = null,
+	workflow = getWorkflow(),
+	options = {}
+) {
+	if (!task || !task.subtasks || task.subtasks.length === 0) {
 		return null;
 	}
 
-	// Sort eligible tasks by:
-	// 1. Priority (high > medium > low)
-	// 2. Dependencies count (fewer dependencies first)
-	// 3. ID (lower ID first)
-	const priorityValues = { high: 3, medium: 2, low: 1 };
+	const owner = options.owner || null;
+	const now = options.now || Date.now();
+	const completedTaskIds = getCompletedTaskIds(tasks, archivedTasks, workflow);
+	const taskMatches = matchesTaskFilters(task, filters);
+	const candidates = getLeafSubtasks(task, completedTaskIds).filter(
+		({ subtask, ready }) =>
+			isWorkableStatus(workflow, subtask.status) &&
+			ready &&
+			!isClaimedByOther(subtask, owner, now) &&
+			(taskMatches || matchesTaskFilters(subtask, filters))
+	);
 
-	const nextTask = eligibleTasks.sort((a, b) => {
-		// Sort by priority first
-		const priorityA = priorityValues[a.priority || 'medium'] || 2;
-		const priorityB = priorityValues[b.priority || 'medium'] || 2;
+	const next =
+		(owner &&
+			candidates.find(
+				({ subtask }) => getActiveClaim(subtask, now)?.owner === owner
+			)) ||
+		candidates.find(
+			({ subtask }) => getStatusCategory(workflow, subtask.status) === 'active'
+		) ||
+		candidates[0];
+	if (!next) {
+		return null;
+	}
 
-		if (priorityB !== priorityA) {
-			return priorityB - priorityA; // Higher priority first
-		}
+	return {
+		...next.subtask,
+		parentTask: {
+			id: next.parent === task ? task.id : next.parentId,
+			title: next.parent.title,
+			status: next.parent.status
+		},
+		isSubtask: true
+	};
+}
 
-		// If priority is the same, sort by dependency count
-		if (
-			a.dependencies &&
-			b.dependencies &&
-			a.dependencies.length !== b.dependencies.length
-		) {
-			return a.dependencies.length - b.dependencies.length; // Fewer dependencies first
+/**
+ * Claims the next task for an owner, or its next subtask when it has
+ * subtasks, so agents asking at the same time get different tasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} owner - Owner ID
+ * @param {Object} options - Options
+ * @param {Object} options.filters - Label and field filters, as given to parseTaskFilters()
+ * @param {number} options.leaseMinutes - Length of the lease (default: 30)
+ * @param {string} options.complexityReportPath - Path to the complexity report, for projects that weigh complexity
+ * @returns {{nextTask: Object|null, nextSubtask: Object|null, claim: Object|null}} The claimed task, subtask and claim; all null when nothing can be started
+ */
+function claimNextTask(tasksPath, owner, options = {}) {
+	const claimOwner = parseOwner(owner);
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data || !data.tasks) {
+			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
 
-		// If dependency count is the same, sort by ID
-		return a.id - b.id; // Lower ID first
-	})[0]; // Return the first (highest priority) task
+		const archivedTasks = readArchivedTasks(tasksPath);
+		const filters = parseTaskFilters(options.filters || {}, data.meta);
+		const workflow = getWorkflow(data.meta);
+		const nextTask = findNextTask(
+			data.tasks,
+			archivedTasks,
+			filters,
+			workflow,
+			{
+				...getScoringOptions(data.meta, options.complexityReportPath),
+				owner: claimOwner
+			}
+		);
+		const nextSubtask = findNextSubtask(
+			nextTask,
+			data.tasks,
+			archivedTasks,
+			filters,
+			workflow,
+			{ owner: claimOwner }
+		);
+		if (!nextTask) {
+			return { nextTask: null, nextSubtask: null, claim: null };
+		}
 
-	return nextTask;
+		const claim = claimTask(
+			tasksPath,
+			nextSubtask
+				? `${nextSubtask.parentTask.id}.${nextSubtask.id}`
+				: nextTask.id,
+			claimOwner,
+			{ leaseMinutes: options.leaseMinutes }
+		);
+		return { nextTask, nextSubtask, claim };
+	});
 }
 
 /**
  * Add a subtask to a parent task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {number|string} parentId - ID of the parent task
+ * @param {number|string} parentId - ID of the parent task, or of a subtask (e.g. "4.2") to nest the subtask under
  * @param {number|string|null} existingTaskId - ID of an existing task to convert to subtask (optional)
- * @param {Object} newSubtaskData - Data for creating a new subtask (used if existingTaskId is null)
+ * @param {Object} newSubtaskData - Data for creating a new subtask (used if existingTaskId is null), including optional labels, custom fields, due date and estimate
  * @param {boolean} generateFiles - Whether to regenerate task files after adding the subtask
  * @returns {Object} The newly created or converted subtask
  */
@@ -4587,23 +5160,30 @@ async function addSubtask(
 	newSubtaskData = null,
 	generateFiles = true
 ) {
+	let lock;
 	try {
 		log('info', `Adding subtask to parent task ${parentId}...`);
+		lock = acquireTasksLock(tasksPath);
 
 		// Read the existing tasks
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
 		}
 
-		// Convert parent ID to number
-		const parentIdNum = parseInt(parentId, 10);
-
-		// Find the parent task
-		const parentTask = data.tasks.find((t) => t.id === parentIdNum);
-		if (!parentTask) {
-			throw new Error(`Parent task with ID ${parentIdNum} not found`);
+		// Find the parent, a task or a subtask to nest the new subtask under
+		const parentPath = findTaskPath(data.tasks, parentId);
+		if (!parentPath) {
+			throw new Error(`Parent task with ID ${parentId} not found`);
 		}
+		const parentTask = parentPath.item;
+		const fullParentId = parentPath.path.join('.');
+		// The task at the top, where a nested subtask ultimately belongs
+		const parentIdNum = parentPath.path[0];
+		const topTask = parentPath.ancestors[0] || parentTask;
+		// Only the direct subtasks of a task record the ID of their parent
+		const parentTaskIdField =
+			parentPath.path.length === 1 ? { parentTaskId: parentIdNum } : {};
 
 		// Initialize subtasks array if it doesn't exist
 		if (!parentTask.subtasks) {
@@ -4640,7 +5220,7 @@ async function addSubtask(
 
 			// Check if parent task is a subtask of the task we're converting
 			// This would create a circular dependency
-			if (isTaskDependentOn(data.tasks, parentTask, existingTaskIdNum)) {
+			if (isTaskDependentOn(data.tasks, topTask, existingTaskIdNum)) {
 				throw new Error(
 					`Cannot create circular dependency: task ${parentIdNum} is already a subtask or dependent of task ${existingTaskIdNum}`
 				);
@@ -4657,7 +5237,7 @@ async function addSubtask(
 			newSubtask = {
 				...existingTask,
 				id: newSubtaskId,
-				parentTaskId: parentIdNum
+				...parentTaskIdField
 			};
 
 			// Add to parent's subtasks
@@ -4668,11 +5248,25 @@ async function addSubtask(
 
 			log(
 				'info',
-				`Converted task ${existingTaskIdNum} to subtask ${parentIdNum}.${newSubtaskId}`
+				`Converted task ${existingTaskIdNum} to subtask ${fullParentId}.${newSubtaskId}`
 			);
 		}
 		// Case 2: Create a new subtask
 		else if (newSubtaskData) {
+			// Labels and custom fields are checked before anything changes
+			if (!data.meta) {
+				data.meta = {};
+			}
+			const subtaskMetadata = resolveTaskMetadata(
+				{ labels: newSubtaskData.labels, fields: newSubtaskData.fields },
+				data.meta
+			);
+			const subtaskSchedule = resolveTaskSchedule(newSubtaskData);
+			const workflow = getWorkflow(data.meta);
+			const subtaskStatus = newSubtaskData.status
+				? resolveStatus(workflow, newSubtaskData.status)
+				: workflow.initial;
+
 			// Find the highest subtask ID to determine the next ID
 			const highestSubtaskId =
 				parentTask.subtasks.length > 0
@@ -4686,15 +5280,18 @@ async function addSubtask(
 				title: newSubtaskData.title,
 				description: newSubtaskData.description || '',
 				details: newSubtaskData.details || '',
-				status: newSubtaskData.status || 'pending',
+				status: subtaskStatus,
 				dependencies: newSubtaskData.dependencies || [],
-				parentTaskId: parentIdNum
+				...parentTaskIdField
 			};
+			applyTaskMetadata(newSubtask, subtaskMetadata);
+			applyTaskSchedule(newSubtask, subtaskSchedule);
+			recordStatusChange(newSubtask, null, subtaskStatus);
 
 			// Add to parent's subtasks
 			parentTask.subtasks.push(newSubtask);
 
-			log('info', `Created new subtask ${parentIdNum}.${newSubtaskId}`);
+			log('info', `Created new subtask ${fullParentId}.${newSubtaskId}`);
 		} else {
 			throw new Error(
 				'Either existingTaskId or newSubtaskData must be provided'
@@ -4702,7 +5299,7 @@ async function addSubtask(
 		}
 
 		// Write the updated tasks back to the file
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 
 		// Generate task files if requested
 		if (generateFiles) {
@@ -4714,6 +5311,8 @@ async function addSubtask(
 	} catch (error) {
 		log('error', `Error adding subtask: ${error.message}`);
 		throw error;
+	} finally {
+		lock?.release();
 	}
 }
 
@@ -4761,7 +5360,7 @@ function isTaskDependentOn(allTasks, task, targetTaskId) {
 /**
  * Remove a subtask from its parent task
  * @param {string} tasksPath - Path to the tasks.json file
- * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId"
+ * @param {string} subtaskId - ID of the subtask to remove in format "parentId.subtaskId", e.g. "4.2" or "4.2.1"
  * @param {boolean} convertToTask - Whether to convert the subtask to a standalone task
  * @param {boolean} generateFiles - Whether to regenerate task files after removing the subtask
  * @returns {Object|null} The removed subtask if convertToTask is true, otherwise null
@@ -4772,11 +5371,13 @@ async function removeSubtask(
 	convertToTask = false,
 	generateFiles = true
 ) {
+	let lock;
 	try {
 		log('info', `Removing subtask ${subtaskId}...`);
+		lock = acquireTasksLock(tasksPath);
 
 		// Read the existing tasks
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`Invalid or missing tasks file at ${tasksPath}`);
 		}
@@ -4788,12 +5389,12 @@ async function removeSubtask(
 			);
 		}
 
-		const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-		const parentId = parseInt(parentIdStr, 10);
-		const subtaskIdNum = parseInt(subtaskIdStr, 10);
+		// The parent is a task, or a subtask for nested subtasks like "4.2.1"
+		const parentId = getParentTaskId(subtaskId);
+		const subtaskIdNum = parseInt(subtaskId.split('.').pop(), 10);
 
 		// Find the parent task
-		const parentTask = data.tasks.find((t) => t.id === parentId);
+		const parentTask = findTaskPath(data.tasks, parentId)?.item;
 		if (!parentTask) {
 			throw new Error(`Parent task with ID ${parentId} not found`);
 		}
@@ -4828,24 +5429,42 @@ async function removeSubtask(
 		if (convertToTask) {
 			log('info', `Converting subtask ${subtaskId} to a standalone task...`);
 
-			// Find the highest task ID to determine the next ID
-			const highestId = Math.max(...data.tasks.map((t) => t.id));
+			// Find the highest task ID to determine the next ID, archived IDs included
+			const highestId = Math.max(
+				0,
+				...[...data.tasks, ...readArchivedTasks(tasksPath)].map((t) => t.id)
+			);
 			const newTaskId = highestId + 1;
 
-			// Create the new task from the subtask
+			// Create the new task from the subtask. Dependencies on its former
+			// siblings become full subtask IDs, now that it has no siblings.
 			convertedTask = {
 				id: newTaskId,
 				title: removedSubtask.title,
 				description: removedSubtask.description || '',
 				details: removedSubtask.details || '',
 				status: removedSubtask.status || 'pending',
-				dependencies: removedSubtask.dependencies || [],
+				dependencies: (removedSubtask.dependencies || []).map((depId) =>
+					resolveDependencyId(subtaskId, depId)
+				),
 				priority: parentTask.priority || 'medium' // Inherit priority from parent
 			};
 
-			// Add the parent task as a dependency if not already present
-			if (!convertedTask.dependencies.includes(parentId)) {
-				convertedTask.dependencies.push(parentId);
+			// Its own subtasks come along
+			if (removedSubtask.subtasks && removedSubtask.subtasks.length > 0) {
+				convertedTask.subtasks = removedSubtask.subtasks.map((subtask) => ({
+					...subtask,
+					parentTaskId: newTaskId
+				}));
+			}
+
+			// Add the parent as a dependency if not already present, a task ID or
+			// the full ID of a subtask
+			const parentDependency = parentId.includes('.')
+				? parentId
+				: parseInt(parentId, 10);
+			if (!convertedTask.dependencies.includes(parentDependency)) {
+				convertedTask.dependencies.push(parentDependency);
 			}
 
 			// Add the converted task to the tasks array
@@ -4857,7 +5476,7 @@ async function removeSubtask(
 		}
 
 		// Write the updated tasks back to the file
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 
 		// Generate task files if requested
 		if (generateFiles) {
@@ -4869,11 +5488,13 @@ async function removeSubtask(
 	} catch (error) {
 		log('error', `Error removing subtask: ${error.message}`);
 		throw error;
+	} finally {
+		lock?.release();
 	}
 }
 
 /**
- * Update a subtask by appending additional information to its description and details
+ * Update a subtask by adding the additional information to its notes
  * @param {string} tasksPath - Path to the tasks.json file
  * @param {string} subtaskId - ID of the subtask to update in format "parentId.subtaskId"
  * @param {string} prompt - Prompt for generating additional information
@@ -4881,6 +5502,8 @@ async function removeSubtask(
  * @param {function} reportProgress - Function to report progress to MCP server (optional)
  * @param {Object} mcpLog - MCP logger object (optional)
  * @param {Object} session - Session object from MCP server (optional)
+ * @param {string} kind - Kind of the note (optional, default: research with useResearch, progress otherwise)
+ * @param {string} author - Author of the note (optional)
  * @returns {Object|null} - The updated subtask or null if update failed
  */
 async function updateSubtaskById(
@@ -4888,7 +5511,7 @@ async function updateSubtaskById(
 	subtaskId,
 	prompt,
 	useResearch = false,
-	{ reportProgress, mcpLog, session } = {}
+	{ reportProgress, mcpLog, session, kind, author } = {}
 ) {
 	// Determine output format based on mcpLog presence (simplification)
 	const outputFormat = mcpLog ? 'json' : 'text';
@@ -4925,6 +5548,8 @@ async function updateSubtaskById(
 			);
 		}
 
+		const noteKind = parseNoteKind(kind, useResearch ? 'research' : 'progress');
+
 		// Prepare for fallback handling
 		let claudeOverloaded = false;
 
@@ -4934,31 +5559,26 @@ async function updateSubtaskById(
 		}
 
 		// Read the tasks file
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(
 				`No valid tasks found in ${tasksPath}. The file may be corrupted or have an invalid format.`
 			);
 		}
 
-		// Parse parent and subtask IDs
-		const [parentIdStr, subtaskIdStr] = subtaskId.split('.');
-		const parentId = parseInt(parentIdStr, 10);
-		const subtaskIdNum = parseInt(subtaskIdStr, 10);
+		// Parse parent and subtask IDs, the parent being a subtask itself for
+		// nested subtasks like "4.2.1"
+		const parentId = getParentTaskId(subtaskId);
+		const subtaskIdNum = parseInt(subtaskId.split('.').pop(), 10);
 
-		if (
-			isNaN(parentId) ||
-			parentId <= 0 ||
-			isNaN(subtaskIdNum) ||
-			subtaskIdNum <= 0
-		) {
+		if (parentId === null) {
 			throw new Error(
 				`Invalid subtask ID format: ${subtaskId}. Both parent ID and subtask ID must be positive integers.`
 			);
 		}
 
 		// Find the parent task
-		const parentTask = data.tasks.find((task) => task.id === parentId);
+		const parentTask = findTaskPath(data.tasks, parentId)?.item;
 		if (!parentTask) {
 			throw new Error(
 				`Parent task with ID ${parentId} not found. Please verify the task ID and try again.`
@@ -5277,37 +5897,14 @@ Provide concrete examples, code snippets, or implementation details when relevan
 			);
 		}
 
-		// Create timestamp
+		// Add the information to the subtask's notes
 		const currentDate = new Date();
-		const timestamp = currentDate.toISOString();
-
-		// Format the additional information with timestamp
-		const formattedInformation = `\n\n<info added on ${timestamp}>\n${additionalInformation}\n</info added on ${timestamp}>`;
-
-		// Only show debug info for text output (CLI)
-		if (outputFormat === 'text') {
-			console.log(
-				'>>> DEBUG: formattedInformation:',
-				formattedInformation.substring(0, 70) + '...'
-			);
-		}
-
-		// Append to subtask details and description
-		// Only show debug info for text output (CLI)
-		if (outputFormat === 'text') {
-			console.log('>>> DEBUG: Subtask details BEFORE append:', subtask.details);
-		}
-
-		if (subtask.details) {
-			subtask.details += formattedInformation;
-		} else {
-			subtask.details = `${formattedInformation}`;
-		}
-
-		// Only show debug info for text output (CLI)
-		if (outputFormat === 'text') {
-			console.log('>>> DEBUG: Subtask details AFTER append:', subtask.details);
-		}
+		addNote(subtask, additionalInformation, {
+			kind: noteKind,
+			author,
+			source: 'update-subtask',
+			now: currentDate
+		});
 
 		if (subtask.description) {
 			// Only append to description if it makes sense (for shorter updates)
@@ -5335,8 +5932,12 @@ Provide concrete examples, code snippets, or implementation details when relevan
 			console.log('>>> DEBUG: About to call writeJSON with updated data...');
 		}
 
-		// Write the updated tasks to the file
-		writeJSON(tasksPath, data);
+		// Write the updated tasks and generate individual task files, waiting
+		// for the lock without blocking the MCP server
+		await withTasksLockAsync(tasksPath, async () => {
+			writeTasks(tasksPath, data);
+			await generateTaskFiles(tasksPath, path.dirname(tasksPath));
+		});
 
 		// Only show debug info for text output (CLI)
 		if (outputFormat === 'text') {
@@ -5345,9 +5946,6 @@ Provide concrete examples, code snippets, or implementation details when relevan
 
 		report(`Successfully updated subtask ${subtaskId}`, 'success');
 
-		// Generate individual task files
-		await generateTaskFiles(tasksPath, path.dirname(tasksPath));
-
 		// Stop indicator before final console output - only for text output (CLI)
 		if (outputFormat === 'text') {
 			if (loadingIndicator) {
@@ -5445,13 +6043,16 @@ Provide concrete examples, code snippets, or implementation details when relevan
 /**
  * Removes a task or subtask from the tasks file
  * @param {string} tasksPath - Path to the tasks file
- * @param {string|number} taskId - ID of task or subtask to remove (e.g., '5' or '5.2')
+ * @param {string|number} taskId - ID of task or subtask to remove (e.g., '5', '5.2' or '5.2.1')
  * @returns {Object} Result object with success message and removed task info
  */
 async function removeTask(tasksPath, taskId) {
+	let lock;
 	try {
+		lock = acquireTasksLock(tasksPath);
+
 		// Read the tasks file
-		const data = readJSON(tasksPath);
+		const data = readTasks(tasksPath);
 		if (!data || !data.tasks) {
 			throw new Error(`No valid tasks found in ${tasksPath}`);
 		}
@@ -5461,14 +6062,16 @@ async function removeTask(tasksPath, taskId) {
 			throw new Error(`Task with ID ${taskId} not found`);
 		}
 
-		// Handle subtask removal (e.g., '5.2')
+		// Handle subtask removal (e.g., '5.2', or '5.2.1' for a nested subtask)
 		if (typeof taskId === 'string' && taskId.includes('.')) {
-			const [parentTaskId, subtaskId] = taskId
-				.split('.')
-				.map((id) => parseInt(id, 10));
-
-			// Find the parent task
-			const parentTask = data.tasks.find((t) => t.id === parentTaskId);
+			const parentId = getParentTaskId(taskId);
+			const parentTaskId = parentId.includes('.')
+				? parentId
+				: parseInt(parentId, 10);
+			const subtaskId = parseInt(taskId.split('.').pop(), 10);
+
+			// Find the parent task, or the parent subtask
+			const parentTask = findTaskPath(data.tasks, parentId)?.item;
 			if (!parentTask || !parentTask.subtasks) {
 				throw new Error(
 					`Parent task with ID ${parentTaskId} or its subtasks not found`
@@ -5506,7 +6109,7 @@ async function removeTask(tasksPath, taskId) {
 			}
 
 			// Save the updated tasks
-			writeJSON(tasksPath, data);
+			writeTasks(tasksPath, data);
 
 			// Generate updated task files
 			try {
@@ -5549,12 +6152,12 @@ async function removeTask(tasksPath, taskId) {
 		});
 
 		// Save the updated tasks
-		writeJSON(tasksPath, data);
+		writeTasks(tasksPath, data);
 
 		// Delete the task file if it exists
 		const taskFileName = path.join(
 			path.dirname(tasksPath),
-			`task_${taskIdNum.toString().padStart(3, '0')}.txt`
+			getTaskFileName(taskIdNum, getActiveTag(tasksPath))
 		);
 		if (fs.existsSync(taskFileName)) {
 			try {
@@ -5589,6 +6192,8 @@ async function removeTask(tasksPath, taskId) {
 			message: error.message,
 			details: error.stack
 		};
+	} finally {
+		lock?.release();
 	}
 }
 
@@ -5599,26 +6204,8 @@ async function removeTask(tasksPath, taskId) {
  * @returns {boolean} Whether the task exists
  */
 function taskExists(tasks, taskId) {
-	// Handle subtask IDs (e.g., "1.2")
-	if (typeof taskId === 'string' && taskId.includes('.')) {
-		const [parentIdStr, subtaskIdStr] = taskId.split('.');
-		const parentId = parseInt(parentIdStr, 10);
-		const subtaskId = parseInt(subtaskIdStr, 10);
-
-		// Find the parent task
-		const parentTask = tasks.find((t) => t.id === parentId);
-
-		// If parent exists, check if subtask exists
-		return (
-			parentTask &&
-			parentTask.subtasks &&
-			parentTask.subtasks.some((st) => st.id === subtaskId)
-		);
-	}
-
-	// Handle regular task IDs
-	const id = parseInt(taskId, 10);
-	return tasks.some((t) => t.id === id);
+	// Handles subtask IDs at any depth (e.g., "1.2" or "1.2.1")
+	return !!findTaskPath(tasks, taskId);
 }
 
 /**
@@ -5811,6 +6398,9 @@ export {
 	addSubtask,
 	removeSubtask,
 	findNextTask,
+	rankNextTasks,
+	findNextSubtask,
+	claimNextTask,
 	analyzeTaskComplexity,
 	removeTask,
 	findTaskById,
@@ -0,0 +1,343 @@
+/**
+ * task-move.js
+ * Moving tasks and subtasks to new IDs, and renumbering them
+ *
+ * A task or subtask moves with its subtasks, to any ID: `move --from=5.2
+ * --to=9` promotes subtask 5.2 to task 9, `--to=3.4` moves it under task 3.
+ * When the new ID is taken, that item and the ones right after it shift up by
+ * one to make room. `renumber` closes the gaps left by moves and removed
+ * tasks. Both rewrite the dependencies on every moved item, so they keep
+ * pointing at the same tasks. Archived tasks keep their IDs: their numbers
+ * are skipped and their dependencies aren't rewritten, as they don't hold up
+ * any work.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	log,
+	createError,
+	parseTaskIdPath,
+	findTaskPath,
+	getParentTaskId,
+	resolveDependencyId,
+	flattenSubtasks
+} from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { getActiveTag, getTaskFileName } from './task-tags.js';
+import { readArchivedTasks } from './task-archive.js';
+import { isCircularDependency } from './dependency-manager.js';
+
+/**
+ * Validates a task or subtask ID
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask
+ * @returns {string} The ID, e.g. "5.2"
+ */
+function parseMoveId(id) {
+	const ids = parseTaskIdPath(id);
+	if (!ids) {
+		throw createError(
+			'INVALID_TASK_ID',
+			`Invalid task ID: ${id}. Use a task ID like 5, or 5.2 for a subtask`
+		);
+	}
+	return ids.join('.');
+}
+
+/**
+ * Reads the tasks file for a move
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Tasks data
+ */
+function readMoveTasks(tasksPath) {
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+	return data;
+}
+
+/**
+ * Lists every task and subtask with its full ID
+ * @param {Array} tasks - Tasks
+ * @returns {Array<{item: Object, id: string}>} Tasks, each followed by its subtasks
+ */
+function listItems(tasks) {
+	return tasks.flatMap((task) => [
+		{ item: task, id: String(task.id) },
+		...flattenSubtasks(task).map(({ subtask, id }) => ({ item: subtask, id }))
+	]);
+}
+
+/**
+ * Writes a dependency the way it is stored: sibling subtasks by their number,
+ * other subtasks by their full ID and task IDs as numbers, except on
+ * subtasks where a number would mean a sibling
+ * @param {string} itemId - Full ID of the task or subtask
+ * @param {string} depId - Full ID of the dependency
+ * @returns {string|number} Dependency as stored
+ */
+function encodeDependencyId(itemId, depId) {
+	const ids = parseTaskIdPath(depId);
+	if (!ids) {
+		return depId;
+	}
+	if (ids.length === 1) {
+		return getParentTaskId(itemId) === null ? ids[0] : depId;
+	}
+	const last = ids[ids.length - 1];
+	return getParentTaskId(depId) === getParentTaskId(itemId) && last < 100
+		? last
+		: depId;
+}
+
+/**
+ * Rewrites the IDs that changed after tasks were moved, renumbered, split or
+ * merged: the dependencies and parent references of every task and subtask
+ * @param {Object} data - Tasks data, already changed
+ * @param {Map<Object, string>} oldIds - Full ID of each task and subtask before the change
+ * @param {Map<string, string>} aliases - New IDs of tasks that no longer exist, e.g. tasks merged into another one
+ * @returns {Array<{from: string, to: string}>} Old and new IDs of the items that moved
+ */
+function rewriteIds(data, oldIds, aliases = new Map()) {
+	const items = listItems(data.tasks);
+	const newIds = new Map(items.map(({ item, id }) => [item, id]));
+
+	const mapping = [];
+	const idMap = new Map(aliases);
+	oldIds.forEach((from, item) => {
+		const to = newIds.get(item);
+		if (to !== undefined && to !== from) {
+			idMap.set(from, to);
+		}
+	});
+	idMap.forEach((to, from) => mapping.push({ from, to }));
+
+	items.forEach(({ item, id }) => {
+		const oldId = oldIds.get(item);
+		if (oldId !== id) {
+			// Only direct subtasks of a task record their parent
+			const ids = parseTaskIdPath(id);
+			if (ids.length === 2) {
+				item.parentTaskId = ids[0];
+			} else {
+				delete item.parentTaskId;
+			}
+		}
+
+		if (Array.isArray(item.dependencies)) {
+			item.dependencies = item.dependencies
+				.map((depId) => {
+					const oldDepId = String(resolveDependencyId(oldId, depId));
+					const newDepId = idMap.get(oldDepId) || oldDepId;
+					return oldId === id && newDepId === oldDepId
+						? depId
+						: encodeDependencyId(id, newDepId);
+				})
+				// A task moved under a task it waited for is now part of it, and
+				// tasks merged into each other don't wait for themselves
+				.filter((depId, index, deps) => {
+					const fullDepId = String(resolveDependencyId(id, depId));
+					return (
+						fullDepId !== id &&
+						!id.startsWith(`${fullDepId}.`) &&
+						deps.indexOf(depId) === index
+					);
+				});
+		}
+	});
+
+	return mapping;
+}
+
+/**
+ * Deletes the task files of tasks whose ID is no longer used. The files of
+ * the remaining tasks are regenerated by the caller.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} data - Tasks data
+ * @param {Array<{from: string, to: string}>} mapping - Old and new IDs
+ */
+function removeStaleTaskFiles(tasksPath, data, mapping) {
+	const taskIds = new Set(data.tasks.map((task) => String(task.id)));
+	const tag = getActiveTag(tasksPath);
+	mapping
+		.filter(({ from }) => !from.includes('.') && !taskIds.has(from))
+		.forEach(({ from }) => {
+			const taskFile = path.join(
+				path.dirname(tasksPath),
+				getTaskFileName(parseInt(from, 10), tag)
+			);
+			if (fs.existsSync(taskFile)) {
+				fs.unlinkSync(taskFile);
+			}
+		});
+}
+
+/**
+ * Moves a task or subtask, with its subtasks, to a new ID
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} fromId - Task ID, or "parentId.subtaskId" for a subtask at any depth
+ * @param {string|number} toId - New ID; its parent task or subtask must exist
+ * @returns {{id: string, title: string, mapping: Array<{from: string, to: string}>}} New ID of the item and the old and new IDs of everything that moved
+ */
+function moveTask(tasksPath, fromId, toId) {
+	const from = parseMoveId(fromId);
+	const to = parseMoveId(toId);
+	if (to.startsWith(`${from}.`)) {
+		throw createError(
+			'INVALID_MOVE',
+			`Task ${from} can't be moved under its own subtasks`
+		);
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readMoveTasks(tasksPath);
+
+		const source = findTaskPath(data.tasks, from);
+		if (!source) {
+			throw createError('TASK_NOT_FOUND', `Task ${from} not found`);
+		}
+		const { item } = source;
+		if (from === to) {
+			return { id: to, title: item.title, mapping: [] };
+		}
+
+		const parentId = getParentTaskId(to);
+		const parent = parentId ? findTaskPath(data.tasks, parentId)?.item : null;
+		if (parentId && !parent) {
+			throw createError('TASK_NOT_FOUND', `Task ${parentId} not found`);
+		}
+
+		const oldIds = new Map(
+			listItems(data.tasks).map((entry) => [entry.item, entry.id])
+		);
+
+		// Take the item out first, so moving it further down its own list
+		// doesn't shift it
+		const sourceList = source.parent ? source.parent.subtasks : data.tasks;
+		sourceList.splice(sourceList.indexOf(item), 1);
+		if (source.parent && sourceList.length === 0) {
+			delete source.parent.subtasks;
+		}
+
+		if (parent && !parent.subtasks) {
+			parent.subtasks = [];
+		}
+		const targetList = parent ? parent.subtasks : data.tasks;
+		const newId = parseTaskIdPath(to).pop();
+
+		// Make room by shifting the run of taken IDs starting at the new one,
+		// which is empty when the new ID is free
+		const takenIds = new Set(targetList.map((entry) => entry.id));
+		let lastId = newId - 1;
+		while (takenIds.has(lastId + 1)) {
+			lastId++;
+		}
+		if (!parent) {
+			const archivedIds = new Set(
+				readArchivedTasks(tasksPath).map((task) => task.id)
+			);
+			if (archivedIds.has(lastId + 1)) {
+				throw createError(
+					'TASK_ID_ARCHIVED',
+					`Task ${lastId + 1} is archived, its ID can't be reused`
+				);
+			}
+		}
+		targetList
+			.filter((entry) => entry.id >= newId && entry.id <= lastId)
+			.forEach((entry) => {
+				entry.id++;
+			});
+
+		item.id = newId;
+		const index = targetList.findIndex((entry) => entry.id > newId);
+		targetList.splice(index === -1 ? targetList.length : index, 0, item);
+
+		// Epics belong to tasks; a promoted subtask stays in the epic of its
+		// former task
+		if (parent) {
+			delete item.epic;
+		} else if (source.parent) {
+			const task = source.ancestors[0];
+			if (!item.epic && task.epic) {
+				item.epic = task.epic;
+			}
+			item.priority = item.priority || task.priority || 'medium';
+			item.description = item.description || '';
+			item.details = item.details || '';
+		}
+
+		const mapping = rewriteIds(data, oldIds);
+		if (isCircularDependency(data.tasks, to)) {
+			throw createError(
+				'CIRCULAR_DEPENDENCY',
+				`Moving task ${from} to ${to} would create a circular dependency`
+			);
+		}
+
+		writeTasks(tasksPath, data);
+		removeStaleTaskFiles(tasksPath, data, mapping);
+		log('info', `Moved task ${from} to ${to}`);
+		return { id: to, title: item.title, mapping };
+	});
+}
+
+/**
+ * Renumbers tasks from 1 and the subtasks of each task or subtask from 1,
+ * keeping their order and skipping the IDs of archived tasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {{mapping: Array<{from: string, to: string}>}} Old and new IDs of everything that was renumbered
+ */
+function renumberTasks(tasksPath) {
+	return withTasksLock(tasksPath, () => {
+		const data = readMoveTasks(tasksPath);
+		const oldIds = new Map(
+			listItems(data.tasks).map((entry) => [entry.item, entry.id])
+		);
+		const archivedIds = new Set(
+			readArchivedTasks(tasksPath).map((task) => task.id)
+		);
+
+		const renumberSubtasks = (item) => {
+			if (!item.subtasks) {
+				return;
+			}
+			item.subtasks.sort((a, b) => a.id - b.id);
+			item.subtasks.forEach((subtask, index) => {
+				subtask.id = index + 1;
+				renumberSubtasks(subtask);
+			});
+		};
+
+		let nextId = 1;
+		data.tasks.sort((a, b) => a.id - b.id);
+		data.tasks.forEach((task) => {
+			while (archivedIds.has(nextId)) {
+				nextId++;
+			}
+			task.id = nextId++;
+			renumberSubtasks(task);
+		});
+
+		const mapping = rewriteIds(data, oldIds);
+		writeTasks(tasksPath, data);
+		removeStaleTaskFiles(tasksPath, data, mapping);
+		log('info', `Renumbered ${mapping.length} tasks and subtasks`);
+		return { mapping };
+	});
+}
+
+export {
+	parseMoveId,
+	listItems,
+	encodeDependencyId,
+	rewriteIds,
+	removeStaleTaskFiles,
+	moveTask,
+	renumberTasks
+};
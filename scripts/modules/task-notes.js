@@ -0,0 +1,197 @@
+/**
+ * task-notes.js
+ * Activity log of tasks and subtasks
+ *
+ * Each task and subtask keeps its log in `notes`: entries with when they were
+ * written, who wrote them or which command did, their kind and the text.
+ * `update-subtask` and `update-task` add a note for each update instead of
+ * appending to the details, and `log` shows the notes of a task together with
+ * those of its subtasks. AI updates rewrite tasks as a whole, so the notes
+ * are always restored from the stored task afterwards: the log is only ever
+ * appended to.
+ */
+
+import fs from 'fs';
+import { log, createError, findTaskPath, flattenSubtasks } from './utils.js';
+import { readTask, updateTask } from './task-store.js';
+import { readArchivedTasks } from './task-archive.js';
+import { NOTE_KINDS } from './task-schema.js';
+
+const DEFAULT_NOTE_KIND = 'progress';
+
+// Authors are shown in a column of the log, so keep them on one line
+const MAX_AUTHOR_LENGTH = 100;
+
+/**
+ * Validates the kind of a note
+ * @param {string} kind - Kind, one of NOTE_KINDS
+ * @param {string} fallback - Kind to use when none is given
+ * @returns {string} The kind
+ */
+function parseNoteKind(kind, fallback = DEFAULT_NOTE_KIND) {
+	if (kind === undefined || kind === null || kind === '') {
+		return fallback;
+	}
+	const value = String(kind).trim().toLowerCase();
+	if (!NOTE_KINDS.includes(value)) {
+		throw createError(
+			'INVALID_NOTE_KIND',
+			`Invalid note kind: ${kind}. Use one of: ${NOTE_KINDS.join(', ')}`
+		);
+	}
+	return value;
+}
+
+/**
+ * Validates the author of a note
+ * @param {string} author - Person or agent writing the note, optional
+ * @returns {string|undefined} The trimmed author
+ */
+function parseAuthor(author) {
+	const value = typeof author === 'string' ? author.trim() : '';
+	if (!value) {
+		return undefined;
+	}
+	if (value.length > MAX_AUTHOR_LENGTH || /[\r\n]/.test(value)) {
+		throw createError(
+			'INVALID_AUTHOR',
+			`Authors are one line of at most ${MAX_AUTHOR_LENGTH} characters`
+		);
+	}
+	return value;
+}
+
+/**
+ * Appends a note to the log of a task or subtask
+ * @param {Object} item - Task or subtask
+ * @param {string} body - Text of the note
+ * @param {Object} options - Note options
+ * @param {string} options.kind - progress, decision, blocker or research (default: progress)
+ * @param {string} options.author - Person or agent writing the note
+ * @param {string} options.source - Command adding the note, e.g. "update-subtask"
+ * @param {Date} options.now - Time of the note (default: now)
+ * @returns {Object} The note
+ */
+function addNote(item, body, options = {}) {
+	const text = typeof body === 'string' ? body.trim() : '';
+	if (!text) {
+		throw createError('MISSING_ARGUMENT', 'A note needs some text');
+	}
+
+	const note = {
+		timestamp: (options.now || new Date()).toISOString(),
+		kind: parseNoteKind(options.kind)
+	};
+	const author = parseAuthor(options.author);
+	if (author) {
+		note.author = author;
+	}
+	if (options.source) {
+		note.source = options.source;
+	}
+	note.body = text;
+
+	item.notes = [...(item.notes || []), note];
+	return note;
+}
+
+/**
+ * Puts back the notes of a task or subtask after an AI rewrote it, so the
+ * log is never rewritten or lost
+ * @param {Object} updated - Task or subtask as the AI returned it
+ * @param {Object} original - Task or subtask as stored
+ * @returns {Object} The updated task or subtask
+ */
+function restoreNotes(updated, original) {
+	if (original?.notes && original.notes.length > 0) {
+		updated.notes = original.notes;
+	} else {
+		delete updated.notes;
+	}
+	(updated.subtasks || []).forEach((subtask) => {
+		const stored = original?.subtasks?.find((st) => st.id === subtask.id);
+		restoreNotes(subtask, stored);
+	});
+	return updated;
+}
+
+/**
+ * Lists the notes of a task or subtask and of its subtasks, oldest first
+ * @param {Object} item - Task or subtask
+ * @param {string} id - Full ID of the task or subtask
+ * @param {Object} options - Filter options
+ * @param {string} options.kind - Only notes of this kind
+ * @returns {Array<Object>} Notes, each with the ID of the task or subtask it belongs to
+ */
+function listNotes(item, id, options = {}) {
+	const kind = options.kind ? parseNoteKind(options.kind) : null;
+	const entries = [{ subtask: item, id }, ...flattenSubtasks(item, id)].flatMap(
+		({ subtask, id: itemId }) =>
+			(subtask.notes || []).map((note) => ({ id: itemId, ...note }))
+	);
+
+	return entries
+		.filter((note) => !kind || note.kind === kind)
+		.sort(
+			(a, b) => (Date.parse(a.timestamp) || 0) - (Date.parse(b.timestamp) || 0)
+		);
+}
+
+/**
+ * Gets the activity log of a task or subtask, archived ones included
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask
+ * @param {Object} options - Filter options
+ * @param {string} options.kind - Only notes of this kind
+ * @returns {{id: string, title: string, notes: Array<Object>}} The notes, oldest first
+ */
+function getTaskLog(tasksPath, id, options = {}) {
+	if (!fs.existsSync(tasksPath)) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	// Only the task itself is loaded, archived tasks can still be looked up
+	const item =
+		readTask(tasksPath, id) ||
+		findTaskPath(readArchivedTasks(tasksPath), id)?.item;
+	if (!item) {
+		throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+	}
+	return {
+		id: String(id),
+		title: item.title,
+		notes: listNotes(item, String(id), options)
+	};
+}
+
+/**
+ * Writes a note in the log of a task or subtask
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} id - Task ID, or "parentId.subtaskId" for a subtask
+ * @param {string} body - Text of the note
+ * @param {Object} options - Note options, see addNote()
+ * @returns {{id: string, title: string, note: Object}} The note
+ */
+function addTaskNote(tasksPath, id, body, options = {}) {
+	const result = updateTask(tasksPath, id, (item) => ({
+		id: String(id),
+		title: item.title,
+		note: addNote(item, body, { source: 'log', ...options })
+	}));
+	log('info', `Added a ${result.note.kind} note to task ${id}`);
+	return result;
+}
+
+export {
+	NOTE_KINDS,
+	DEFAULT_NOTE_KIND,
+	parseNoteKind,
+	addNote,
+	restoreNotes,
+	listNotes,
+	getTaskLog,
+	addTaskNote
+};
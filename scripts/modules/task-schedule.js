@@ -0,0 +1,487 @@
+/**
+ * task-schedule.js
+ * Due dates, estimates and schedule forecasts
+ *
+ * Tasks and subtasks can have a `dueDate` (YYYY-MM-DD) and an `estimate` in
+ * work hours. The forecast walks the tasks in dependency order and hands each
+ * unfinished task to the first team member who is free once its dependencies
+ * are finished, counting `hoursPerDay` work hours per person on work days.
+ * The team capacity is stored in `meta.schedule`.
+ */
+
+import { log, createError } from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { coerceFieldValue } from './task-fields.js';
+import { getWorkflow, isDoneStatus, isClosedStatus } from './task-workflow.js';
+import { sortTasksByDependencies } from './dependency-manager.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Team capacity used when the project doesn't define one
+const DEFAULT_SCHEDULE = {
+	people: 1,
+	hoursPerDay: 6,
+	// Days of the week people work on, 0 is Sunday
+	workDays: [1, 2, 3, 4, 5]
+};
+
+// Values that clear a due date or estimate
+const CLEAR_VALUES = ['', 'none', 'null'];
+
+/**
+ * Gets today's date in the local time zone
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getToday() {
+	const now = new Date();
+	return new Date(now.getTime() - now.getTimezoneOffset() * 60 * 1000)
+		.toISOString()
+		.slice(0, 10);
+}
+
+/**
+ * Parses a due date
+ * @param {string|null} value - Date as YYYY-MM-DD, or "none" to clear it
+ * @returns {string|null|undefined} The date, null to clear it, undefined if not given
+ */
+function parseDueDate(value) {
+	if (value === undefined) {
+		return undefined;
+	}
+	if (value === null || CLEAR_VALUES.includes(String(value).trim())) {
+		return null;
+	}
+	return coerceFieldValue('dueDate', value, 'date');
+}
+
+/**
+ * Parses an estimate in work hours, e.g. "6" or "6h"
+ * @param {string|number|null} value - Estimate, or "none" to clear it
+ * @returns {number|null|undefined} Hours, null to clear it, undefined if not given
+ */
+function parseEstimate(value) {
+	if (value === undefined) {
+		return undefined;
+	}
+	const text = value === null ? '' : String(value).trim().toLowerCase();
+	if (CLEAR_VALUES.includes(text)) {
+		return null;
+	}
+
+	const hours = Number(text.replace(/h$/, ''));
+	if (text === 'h' || !Number.isFinite(hours) || hours < 0) {
+		throw createError(
+			'INVALID_ESTIMATE',
+			`Invalid estimate "${value}". Use a number of work hours, e.g. 4 or 4h`
+		);
+	}
+	return hours;
+}
+
+/**
+ * Parses the due date and estimate given for a task or subtask
+ * @param {Object} input - Raw input
+ * @param {string} input.dueDate - Due date
+ * @param {string|number} input.estimate - Estimate in hours
+ * @returns {{dueDate: string|null|undefined, estimate: number|null|undefined}} Parsed values
+ */
+function resolveTaskSchedule({ dueDate, estimate } = {}) {
+	return {
+		dueDate: parseDueDate(dueDate),
+		estimate: parseEstimate(estimate)
+	};
+}
+
+/**
+ * Sets the due date and estimate of a task or subtask. Undefined values are
+ * left alone and null values are removed.
+ * @param {Object} item - Task or subtask to update
+ * @param {Object} schedule - Values from resolveTaskSchedule()
+ * @returns {boolean} True if anything changed
+ */
+function applyTaskSchedule(item, { dueDate, estimate } = {}) {
+	let changed = false;
+	Object.entries({ dueDate, estimate }).forEach(([field, value]) => {
+		if (value === undefined || item[field] === value) {
+			return;
+		}
+		if (value === null) {
+			if (field in item) {
+				delete item[field];
+				changed = true;
+			}
+			return;
+		}
+		item[field] = value;
+		changed = true;
+	});
+	return changed;
+}
+
+/**
+ * Sets the due date and/or estimate of tasks and subtasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string>} ids - Comma-separated task/subtask IDs, or a list of them
+ * @param {Object} values - Values to set ("none" or null clears a value)
+ * @param {string} values.dueDate - Due date as YYYY-MM-DD
+ * @param {string|number} values.estimate - Estimate in work hours
+ * @returns {Array<{id: string, dueDate: string|null, estimate: number|null, changed: boolean}>} Values of each task afterwards
+ */
+function setTaskSchedule(tasksPath, ids, values = {}) {
+	const idList = []
+		.concat(ids || [])
+		.flatMap((id) => String(id).split(','))
+		.map((id) => id.trim())
+		.filter(Boolean);
+	if (idList.length === 0) {
+		throw createError('MISSING_ARGUMENT', 'No task IDs given');
+	}
+
+	const schedule = resolveTaskSchedule(values);
+	if (schedule.dueDate === undefined && schedule.estimate === undefined) {
+		throw createError(
+			'MISSING_ARGUMENT',
+			'Give a due date, an estimate or both'
+		);
+	}
+
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		// Find every item first, so nothing changes when an ID is wrong
+		const items = idList.map((id) => {
+			const [taskId, subtaskId] = id
+				.split('.')
+				.map((part) => parseInt(part, 10));
+			const task = data.tasks.find((t) => t.id === taskId);
+			const item =
+				subtaskId === undefined
+					? task
+					: task?.subtasks?.find((st) => st.id === subtaskId);
+			if (!item) {
+				throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+			}
+			return { id, item };
+		});
+
+		const results = items.map(({ id, item }) => ({
+			id,
+			changed: applyTaskSchedule(item, schedule),
+			dueDate: item.dueDate ?? null,
+			estimate: item.estimate ?? null
+		}));
+
+		if (results.some((result) => result.changed)) {
+			writeTasks(tasksPath, data);
+			log('info', `Updated the schedule of tasks ${idList.join(', ')}`);
+		}
+		return results;
+	});
+}
+
+/**
+ * Checks whether a task or subtask is past its due date and not finished
+ * @param {Object} item - Task or subtask
+ * @param {Object} workflow - Workflow deciding which statuses are finished
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {boolean} True if the item is overdue
+ */
+function isOverdue(item, workflow = getWorkflow(), today = getToday()) {
+	return (
+		!!item.dueDate &&
+		item.dueDate < today &&
+		!isDoneStatus(workflow, item.status) &&
+		!isClosedStatus(workflow, item.status)
+	);
+}
+
+/**
+ * Finds the tasks and subtasks that are past their due date
+ * @param {Array<Object>} tasks - Tasks
+ * @param {Object} workflow - Workflow
+ * @param {string} today - Today as YYYY-MM-DD
+ * @returns {Array<{id: string, title: string, dueDate: string}>} Overdue items
+ */
+function findOverdueItems(tasks, workflow = getWorkflow(), today = getToday()) {
+	return tasks.flatMap((task) => [
+		...(isOverdue(task, workflow, today)
+			? [{ id: String(task.id), title: task.title, dueDate: task.dueDate }]
+			: []),
+		...(task.subtasks || [])
+			.filter((subtask) => isOverdue(subtask, workflow, today))
+			.map((subtask) => ({
+				id: `${task.id}.${subtask.id}`,
+				title: subtask.title,
+				dueDate: subtask.dueDate
+			}))
+	]);
+}
+
+/**
+ * Gets the team capacity, from the options, the project or the defaults
+ * @param {Object} meta - Meta data of the tasks file
+ * @param {Object} overrides - Values given for this forecast
+ * @returns {{people: number, hoursPerDay: number, workDays: Array<number>}} Team capacity
+ */
+function getScheduleSettings(meta, overrides = {}) {
+	const settings = { ...DEFAULT_SCHEDULE, ...(meta?.schedule || {}) };
+	['people', 'hoursPerDay'].forEach((name) => {
+		if (overrides[name] !== undefined && overrides[name] !== null) {
+			settings[name] = Number(overrides[name]);
+		}
+	});
+
+	if (!Number.isInteger(settings.people) || settings.people < 1) {
+		throw createError(
+			'INVALID_CAPACITY',
+			`Invalid number of people: ${settings.people}`
+		);
+	}
+	if (
+		!Array.isArray(settings.workDays) ||
+		settings.workDays.length === 0 ||
+		settings.workDays.some(
+			(day) => !Number.isInteger(day) || day < 0 || day > 6
+		)
+	) {
+		throw createError(
+			'INVALID_CAPACITY',
+			'Work days must be a list of days of the week, from 0 (Sunday) to 6'
+		);
+	}
+	if (
+		!Number.isFinite(settings.hoursPerDay) ||
+		settings.hoursPerDay <= 0 ||
+		settings.hoursPerDay > 24
+	) {
+		throw createError(
+			'INVALID_CAPACITY',
+			`Invalid hours per day: ${settings.hoursPerDay}`
+		);
+	}
+	return settings;
+}
+
+/**
+ * Gets the date of a work day, counting from a start date
+ * @param {string} startDate - First possible day as YYYY-MM-DD
+ * @param {number} index - Number of work days after the first work day
+ * @param {Array<number>} workDays - Days of the week people work on
+ * @returns {string} Date as YYYY-MM-DD
+ */
+function getWorkDay(startDate, index, workDays) {
+	let time = Date.parse(`${startDate}T00:00:00Z`);
+	let remaining = index;
+	while (!workDays.includes(new Date(time).getUTCDay()) || remaining-- > 0) {
+		time += DAY_MS;
+	}
+	return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Gets the hours of work left on a task
+ * @param {Object} task - Task
+ * @param {Object} workflow - Workflow
+ * @returns {number|null} Hours, or null if neither the task nor its open subtasks have an estimate
+ */
+function getRemainingEffort(task, workflow) {
+	if (typeof task.estimate === 'number') {
+		return task.estimate;
+	}
+
+	const openSubtasks = (task.subtasks || []).filter(
+		(subtask) =>
+			!isDoneStatus(workflow, subtask.status) &&
+			!isClosedStatus(workflow, subtask.status)
+	);
+	const estimates = openSubtasks
+		.map((subtask) => subtask.estimate)
+		.filter((estimate) => typeof estimate === 'number');
+	if (estimates.length === 0) {
+		return null;
+	}
+	return estimates.reduce((sum, estimate) => sum + estimate, 0);
+}
+
+/**
+ * Forecasts when the unfinished tasks will start and finish
+ * @param {Array<Object>} tasks - Tasks of the active tag
+ * @param {Object} options - Forecast options
+ * @param {Object} options.workflow - Workflow
+ * @param {Object} options.settings - Team capacity from getScheduleSettings()
+ * @param {string} options.startDate - First day of work as YYYY-MM-DD (default: today)
+ * @returns {Object} Scheduled tasks, late and unestimated items and the expected finish date
+ */
+function forecastSchedule(tasks, options = {}) {
+	const workflow = options.workflow || getWorkflow();
+	const settings = options.settings || DEFAULT_SCHEDULE;
+	const startDate = options.startDate || getToday();
+	const isOpen = (item) =>
+		!isDoneStatus(workflow, item.status) &&
+		!isClosedStatus(workflow, item.status);
+
+	// Hours of work, counted from the start, at which each task is finished
+	const finishedAt = new Map();
+	const freeAt = Array(settings.people).fill(0);
+	const scheduled = [];
+
+	sortTasksByDependencies(tasks)
+		.filter(isOpen)
+		.forEach((task) => {
+			const effort = getRemainingEffort(task, workflow);
+			const ready = Math.max(
+				0,
+				...[
+					...(task.dependencies || []),
+					...(task.subtasks || []).flatMap((subtask) =>
+						(subtask.dependencies || []).filter((depId) =>
+							String(depId).includes('.')
+						)
+					)
+				].map(
+					(depId) =>
+						finishedAt.get(parseInt(String(depId).split('.')[0], 10)) || 0
+				)
+			);
+
+			const person = freeAt.indexOf(Math.min(...freeAt));
+			const start = Math.max(freeAt[person], ready);
+			const finish = start + (effort || 0);
+			freeAt[person] = finish;
+			finishedAt.set(task.id, finish);
+
+			const startDay = Math.floor(start / settings.hoursPerDay);
+			const finishDay =
+				finish > start
+					? Math.ceil(finish / settings.hoursPerDay) - 1
+					: startDay;
+			scheduled.push({
+				id: task.id,
+				title: task.title,
+				status: task.status,
+				estimate: effort,
+				person: person + 1,
+				start: getWorkDay(startDate, startDay, settings.workDays),
+				finish: getWorkDay(startDate, finishDay, settings.workDays),
+				dueDate: task.dueDate || null
+			});
+		});
+
+	// Subtasks are expected to be finished when their task is
+	const late = scheduled.flatMap((entry) => {
+		const task = tasks.find((t) => t.id === entry.id);
+		return [
+			...(entry.dueDate && entry.finish > entry.dueDate
+				? [{ id: String(entry.id), dueDate: entry.dueDate }]
+				: []),
+			...(task.subtasks || [])
+				.filter(
+					(subtask) =>
+						isOpen(subtask) && subtask.dueDate && entry.finish > subtask.dueDate
+				)
+				.map((subtask) => ({
+					id: `${task.id}.${subtask.id}`,
+					dueDate: subtask.dueDate
+				}))
+		].map((item) => ({
+			...item,
+			finish: entry.finish,
+			daysLate: Math.round(
+				(Date.parse(entry.finish) - Date.parse(item.dueDate)) / DAY_MS
+			)
+		}));
+	});
+	const lateIds = new Set(late.map((item) => item.id));
+	scheduled.forEach((entry) => {
+		entry.late = lateIds.has(String(entry.id));
+	});
+
+	return {
+		startDate,
+		settings,
+		tasks: scheduled,
+		late,
+		unestimated: scheduled
+			.filter((entry) => entry.estimate === null)
+			.map((entry) => entry.id),
+		finish:
+			scheduled.length > 0
+				? scheduled.map((entry) => entry.finish).sort()[scheduled.length - 1]
+				: null
+	};
+}
+
+/**
+ * Forecasts the schedule of the tasks in a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} options - Forecast options
+ * @param {number} options.people - Number of people working on the tasks
+ * @param {number} options.hoursPerDay - Work hours per person per day
+ * @param {string} options.startDate - First day of work as YYYY-MM-DD (default: today)
+ * @param {boolean} options.save - Store the capacity as the project's default
+ * @returns {Object} Forecast from forecastSchedule()
+ */
+function forecastTasks(tasksPath, options = {}) {
+	const startDate =
+		options.startDate === undefined
+			? undefined
+			: coerceFieldValue('start', options.startDate, 'date');
+
+	const run = () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const settings = getScheduleSettings(data.meta, options);
+		if (options.save) {
+			data.meta = {
+				...data.meta,
+				schedule: {
+					...(data.meta?.schedule || {}),
+					people: settings.people,
+					hoursPerDay: settings.hoursPerDay
+				}
+			};
+			writeTasks(tasksPath, data);
+			log(
+				'info',
+				`Saved a team capacity of ${settings.people} people x ${settings.hoursPerDay}h per day`
+			);
+		}
+
+		// Dependencies on archived tasks are finished and need no scheduling
+		return forecastSchedule(data.tasks, {
+			workflow: getWorkflow(data.meta),
+			settings,
+			startDate
+		});
+	};
+
+	return options.save ? withTasksLock(tasksPath, run) : run();
+}
+
+export {
+	DEFAULT_SCHEDULE,
+	getToday,
+	parseDueDate,
+	parseEstimate,
+	resolveTaskSchedule,
+	applyTaskSchedule,
+	setTaskSchedule,
+	isOverdue,
+	findOverdueItems,
+	getScheduleSettings,
+	getRemainingEffort,
+	forecastSchedule,
+	forecastTasks
+};
@@ -0,0 +1,658 @@
+/**
+ * task-schema.js
+ * JSON Schema, validation and migrations for the tasks.json format
+ */
+
+// This module is loaded by utils.js (migrations run in readJSON), so it must
+// not import any of the other Task Master modules.
+import fs from 'fs';
+
+// Bump this and add an entry to MIGRATIONS whenever the file format changes
+const CURRENT_SCHEMA_VERSION = 2;
+
+// Statuses of the default workflow, projects can define their own in
+// meta.workflow (see task-workflow.js)
+const TASK_STATUSES = [
+	'pending',
+	'in-progress',
+	'review',
+	'done',
+	'completed',
+	'deferred',
+	'blocked',
+	'cancelled'
+];
+
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+const NOTE_KINDS = ['progress', 'decision', 'blocker', 'research'];
+
+// Dependencies are either a task ID or a subtask reference such as
+// "parentId.subtaskId" or, for nested subtasks, "4.2.1". Subtasks refer to
+// sibling subtasks by number, so they write task IDs as strings, e.g. "9".
+const DEPENDENCY_SCHEMA = {
+	anyOf: [
+		{ type: 'integer', minimum: 1 },
+		{ type: 'string', pattern: '^\\d+(\\.\\d+)*$' }
+	]
+};
+
+// Labels and typed custom fields, see task-fields.js
+const LABELS_SCHEMA = {
+	type: 'array',
+	items: { type: 'string', pattern: '^[a-z0-9][a-z0-9._/-]*$' }
+};
+
+// Due date and estimate (work hours), see task-schedule.js
+const DUE_DATE_SCHEMA = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const ESTIMATE_SCHEMA = { type: 'number', minimum: 0 };
+
+// Owner and lease of a claim on a task, see task-claims.js
+const CLAIM_SCHEMA = {
+	type: 'object',
+	required: ['owner', 'expiresAt'],
+	properties: {
+		owner: { type: 'string', minLength: 1 },
+		claimedAt: { type: 'string' },
+		expiresAt: { type: 'string' }
+	}
+};
+
+// Activity log entries of a task or subtask, see task-notes.js
+const NOTES_SCHEMA = {
+	type: 'array',
+	items: {
+		type: 'object',
+		required: ['timestamp', 'kind', 'body'],
+		properties: {
+			timestamp: { type: 'string' },
+			author: { type: 'string' },
+			source: { type: 'string' },
+			kind: { type: 'string', enum: NOTE_KINDS },
+			body: { type: 'string' }
+		}
+	}
+};
+
+// Epic a task belongs to, and the epics themselves, see task-epics.js
+const EPIC_ID_SCHEMA = { type: 'string', pattern: '^[a-z0-9][a-z0-9-]*$' };
+const EPIC_SCHEMA = {
+	type: 'object',
+	required: ['id', 'title'],
+	properties: {
+		id: EPIC_ID_SCHEMA,
+		title: { type: 'string', minLength: 1 },
+		goal: { type: 'string' },
+		targetDate: DUE_DATE_SCHEMA
+	}
+};
+
+const FIELDS_SCHEMA = {
+	type: 'object',
+	additionalProperties: {
+		anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }]
+	}
+};
+
+// Status changes of a task or subtask, see task-timeline.js
+const STATUS_HISTORY_SCHEMA = {
+	type: 'array',
+	items: {
+		type: 'object',
+		required: ['status', 'at'],
+		properties: {
+			status: { type: 'string' },
+			from: { type: 'string' },
+			at: { type: 'string' },
+			source: { type: 'string' }
+		}
+	}
+};
+
+// Custom status workflow, see task-workflow.js
+const WORKFLOW_SCHEMA = {
+	type: 'object',
+	required: ['statuses'],
+	properties: {
+		statuses: {
+			type: 'array',
+			items: {
+				type: 'object',
+				required: ['name'],
+				properties: {
+					name: { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+					category: {
+						type: 'string',
+						enum: ['todo', 'active', 'waiting', 'done', 'closed']
+					},
+					color: { type: 'string' },
+					icon: { type: 'string' },
+					tableIcon: { type: 'string' }
+				}
+			}
+		},
+		initial: { type: 'string' },
+		transitions: {
+			type: 'object',
+			additionalProperties: { type: 'array', items: { type: 'string' } }
+		}
+	}
+};
+
+const SUBTASK_SCHEMA = {
+	type: 'object',
+	required: ['id', 'title', 'status', 'dependencies'],
+	properties: {
+		id: { type: 'integer', minimum: 1 },
+		title: { type: 'string', minLength: 1 },
+		description: { type: 'string' },
+		status: { type: 'string', enum: TASK_STATUSES },
+		dependencies: { type: 'array', items: DEPENDENCY_SCHEMA },
+		details: { type: 'string' },
+		testStrategy: { type: 'string' },
+		parentTaskId: { type: 'integer', minimum: 1 },
+		labels: LABELS_SCHEMA,
+		fields: FIELDS_SCHEMA,
+		dueDate: DUE_DATE_SCHEMA,
+		estimate: ESTIMATE_SCHEMA,
+		statusHistory: STATUS_HISTORY_SCHEMA,
+		claim: CLAIM_SCHEMA,
+		notes: NOTES_SCHEMA
+	}
+};
+// Subtasks can be broken down further, to any depth
+SUBTASK_SCHEMA.properties.subtasks = { type: 'array', items: SUBTASK_SCHEMA };
+
+const TASK_SCHEMA = {
+	type: 'object',
+	required: ['id', 'title', 'status', 'dependencies'],
+	properties: {
+		id: { type: 'integer', minimum: 1 },
+		title: { type: 'string', minLength: 1 },
+		description: { type: 'string' },
+		status: { type: 'string', enum: TASK_STATUSES },
+		dependencies: { type: 'array', items: DEPENDENCY_SCHEMA },
+		priority: { type: 'string', enum: TASK_PRIORITIES },
+		details: { type: 'string' },
+		testStrategy: { type: 'string' },
+		subtasks: { type: 'array', items: SUBTASK_SCHEMA },
+		labels: LABELS_SCHEMA,
+		fields: FIELDS_SCHEMA,
+		dueDate: DUE_DATE_SCHEMA,
+		estimate: ESTIMATE_SCHEMA,
+		statusHistory: STATUS_HISTORY_SCHEMA,
+		claim: CLAIM_SCHEMA,
+		notes: NOTES_SCHEMA,
+		epic: EPIC_ID_SCHEMA,
+		completedAt: { type: 'string' },
+		archivedAt: { type: 'string' }
+	}
+};
+
+const META_SCHEMA = {
+	type: 'object',
+	properties: {
+		projectName: { type: 'string' },
+		projectVersion: { type: 'string' },
+		createdAt: { type: 'string' },
+		updatedAt: { type: 'string' },
+		revision: { type: 'integer', minimum: 0 },
+		schemaVersion: { type: 'integer', minimum: 0 },
+		workflow: WORKFLOW_SCHEMA,
+		schedule: {
+			type: 'object',
+			properties: {
+				people: { type: 'integer', minimum: 1 },
+				hoursPerDay: { type: 'number', minimum: 0 },
+				workDays: {
+					type: 'array',
+					items: { type: 'integer', minimum: 0, maximum: 6 }
+				}
+			}
+		},
+		scoring: {
+			type: 'object',
+			properties: {
+				weights: {
+					type: 'object',
+					additionalProperties: { type: 'number' }
+				},
+				labels: {
+					type: 'object',
+					additionalProperties: { type: 'number' }
+				},
+				dueWithinDays: { type: 'number', minimum: 0 },
+				maxAgeDays: { type: 'number', minimum: 0 }
+			}
+		},
+		customFields: {
+			type: 'object',
+			additionalProperties: {
+				type: 'string',
+				enum: ['string', 'number', 'boolean', 'date']
+			}
+		},
+		epics: { type: 'array', items: EPIC_SCHEMA }
+	}
+};
+
+// Named task lists besides the default one in the top-level `tasks` array
+const TAGS_SCHEMA = {
+	type: 'object',
+	additionalProperties: {
+		type: 'object',
+		required: ['tasks'],
+		properties: {
+			description: { type: 'string' },
+			createdAt: { type: 'string' },
+			tasks: { type: 'array', items: TASK_SCHEMA }
+		}
+	}
+};
+
+// JSON Schema (draft-07) for the whole tasks.json file
+const TASKS_FILE_SCHEMA = {
+	$schema: 'http://json-schema.org/draft-07/schema#',
+	title: 'Task Master tasks file',
+	type: 'object',
+	required: ['tasks'],
+	properties: {
+		meta: META_SCHEMA,
+		tasks: { type: 'array', items: TASK_SCHEMA },
+		tags: TAGS_SCHEMA
+	}
+};
+
+/**
+ * Builds the tasks.json schema for a custom workflow, which allows the
+ * statuses of that workflow instead of the default ones
+ * @param {Array<string>} statuses - Status names
+ * @returns {Object} JSON Schema
+ */
+function buildTasksFileSchema(statuses) {
+	const status = { type: 'string', enum: statuses };
+	const subtaskSchema = {
+		...SUBTASK_SCHEMA,
+		properties: { ...SUBTASK_SCHEMA.properties, status }
+	};
+	subtaskSchema.properties.subtasks = { type: 'array', items: subtaskSchema };
+	const tasksSchema = {
+		type: 'array',
+		items: {
+			...TASK_SCHEMA,
+			properties: {
+				...TASK_SCHEMA.properties,
+				status,
+				subtasks: { type: 'array', items: subtaskSchema }
+			}
+		}
+	};
+
+	return {
+		...TASKS_FILE_SCHEMA,
+		properties: {
+			...TASKS_FILE_SCHEMA.properties,
+			tasks: tasksSchema,
+			tags: {
+				type: 'object',
+				additionalProperties: {
+					...TAGS_SCHEMA.additionalProperties,
+					properties: {
+						...TAGS_SCHEMA.additionalProperties.properties,
+						tasks: tasksSchema
+					}
+				}
+			}
+		}
+	};
+}
+
+/**
+ * Gets the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type
+ */
+function getJsonType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+/**
+ * Validates a value against the subset of JSON Schema used by TASKS_FILE_SCHEMA
+ * (type, required, properties, additionalProperties, items, enum, pattern,
+ * minimum, minLength, anyOf)
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} jsonPath - JSON path of the value, used in error messages
+ * @returns {Array<{path: string, message: string}>} List of violations
+ */
+function validateAgainstSchema(value, schema, jsonPath = '$') {
+	const errors = [];
+
+	if (schema.anyOf) {
+		const matches = schema.anyOf.some(
+			(option) => validateAgainstSchema(value, option, jsonPath).length === 0
+		);
+		if (!matches) {
+			const expected = schema.anyOf
+				.map((option) =>
+					option.pattern
+						? `${option.type} matching ${option.pattern}`
+						: option.type
+				)
+				.join(' or ');
+			errors.push({
+				path: jsonPath,
+				message: `Expected ${expected}, got ${JSON.stringify(value)}`
+			});
+		}
+		return errors;
+	}
+
+	if (schema.type) {
+		const actualType = getJsonType(value);
+		const typeMatches =
+			actualType === schema.type ||
+			(schema.type === 'number' && actualType === 'integer');
+		if (!typeMatches) {
+			errors.push({
+				path: jsonPath,
+				message: `Expected ${schema.type}, got ${actualType}`
+			});
+			return errors;
+		}
+	}
+
+	if (schema.enum && !schema.enum.includes(value)) {
+		errors.push({
+			path: jsonPath,
+			message: `Expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}`
+		});
+	}
+
+	if (typeof value === 'string') {
+		if (schema.minLength !== undefined && value.length < schema.minLength) {
+			errors.push({ path: jsonPath, message: 'Must not be empty' });
+		}
+		if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+			errors.push({
+				path: jsonPath,
+				message: `Must match ${schema.pattern}, got ${JSON.stringify(value)}`
+			});
+		}
+	}
+
+	if (
+		typeof value === 'number' &&
+		schema.minimum !== undefined &&
+		value < schema.minimum
+	) {
+		errors.push({
+			path: jsonPath,
+			message: `Must be at least ${schema.minimum}, got ${value}`
+		});
+	}
+
+	if (Array.isArray(value) && schema.items) {
+		value.forEach((item, index) => {
+			errors.push(
+				...validateAgainstSchema(item, schema.items, `${jsonPath}[${index}]`)
+			);
+		});
+	}
+
+	if (getJsonType(value) === 'object') {
+		(schema.required || []).forEach((key) => {
+			if (value[key] === undefined) {
+				errors.push({
+					path: `${jsonPath}.${key}`,
+					message: 'Required property is missing'
+				});
+			}
+		});
+
+		Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+			if (value[key] !== undefined) {
+				errors.push(
+					...validateAgainstSchema(value[key], propSchema, `${jsonPath}.${key}`)
+				);
+			}
+		});
+
+		if (schema.additionalProperties) {
+			Object.keys(value)
+				.filter((key) => !schema.properties?.[key])
+				.forEach((key) => {
+					errors.push(
+						...validateAgainstSchema(
+							value[key],
+							schema.additionalProperties,
+							`${jsonPath}.${key}`
+						)
+					);
+				});
+		}
+	}
+
+	return errors;
+}
+
+/**
+ * Validates tasks data against the tasks.json schema
+ * @param {Object} data - Parsed tasks.json contents
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>}}
+ */
+function validateTasksSchema(data) {
+	const workflowStatuses = data?.meta?.workflow?.statuses;
+	const schema = Array.isArray(workflowStatuses)
+		? buildTasksFileSchema(workflowStatuses.map((status) => status?.name))
+		: TASKS_FILE_SCHEMA;
+	const errors = validateAgainstSchema(data, schema);
+	return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Gets the schema version of tasks data
+ * @param {Object} data - Parsed tasks.json contents
+ * @returns {number} Schema version (0 for files that predate versioning)
+ */
+function getSchemaVersion(data) {
+	return data?.meta?.schemaVersion ?? 0;
+}
+
+/**
+ * Converts an ID stored as a numeric string ("3") to a number
+ * @param {*} id - ID to normalize
+ * @returns {*} Number for numeric strings, the original value otherwise
+ */
+function normalizeNumericId(id) {
+	return typeof id === 'string' && /^\d+$/.test(id.trim())
+		? parseInt(id, 10)
+		: id;
+}
+
+// Blocks update-subtask used to append to details, see extractInfoBlocks()
+const INFO_BLOCK_PATTERN =
+	/\s*<info added on ([^>]+)>\n?([\s\S]*?)\n?<\/info added on \1>/g;
+
+/**
+ * Takes the timestamped <info added on ...> blocks out of details, as the
+ * progress notes they were
+ * @param {string} details - Details of a task or subtask
+ * @returns {{details: string, notes: Array<Object>}} Details without the blocks, and one note per block
+ */
+function extractInfoBlocks(details) {
+	if (typeof details !== 'string' || !details.includes('<info added on ')) {
+		return { details, notes: [] };
+	}
+
+	const notes = [];
+	const rest = details.replace(INFO_BLOCK_PATTERN, (block, timestamp, body) => {
+		notes.push({
+			timestamp: timestamp.trim(),
+			source: 'update-subtask',
+			kind: 'progress',
+			body: body.trim()
+		});
+		return '';
+	});
+	return { details: rest.trim(), notes };
+}
+
+/**
+ * Ordered list of migrations. Each one upgrades data from `version - 1` to
+ * `version` in place.
+ */
+const MIGRATIONS = [
+	{
+		version: 1,
+		description:
+			'Normalize numeric string IDs, add missing dependency arrays and drop previousStatus leftovers',
+		migrate(data) {
+			const normalizeItem = (item) => {
+				if (!item || typeof item !== 'object') {
+					return;
+				}
+				item.id = normalizeNumericId(item.id);
+				item.dependencies = Array.isArray(item.dependencies)
+					? item.dependencies.map(normalizeNumericId)
+					: [];
+				delete item.previousStatus;
+			};
+
+			data.tasks.forEach((task) => {
+				normalizeItem(task);
+				if (Array.isArray(task?.subtasks)) {
+					task.subtasks.forEach((subtask) => {
+						normalizeItem(subtask);
+						if (subtask?.parentTaskId !== undefined) {
+							subtask.parentTaskId = normalizeNumericId(subtask.parentTaskId);
+						}
+					});
+				}
+			});
+		}
+	},
+	{
+		version: 2,
+		description:
+			'Move the <info added on ...> blocks in details to the notes of tasks and subtasks',
+		migrate(data) {
+			const migrateItem = (item) => {
+				if (!item || typeof item !== 'object') {
+					return;
+				}
+				const { details, notes } = extractInfoBlocks(item.details);
+				if (notes.length > 0) {
+					item.details = details;
+					item.notes = [...(item.notes || []), ...notes];
+				}
+				(item.subtasks || []).forEach(migrateItem);
+			};
+
+			// The task lists of all tags
+			[
+				data.tasks,
+				...Object.values(data.tags || {}).map((tag) => tag?.tasks)
+			].forEach((tasks) => (tasks || []).forEach(migrateItem));
+		}
+	}
+];
+
+/**
+ * Gets the migrations that still have to run for the given data
+ * @param {Object} data - Parsed tasks.json contents
+ * @returns {Array} Pending migrations in the order they will run
+ */
+function getPendingMigrations(data) {
+	const version = getSchemaVersion(data);
+	return MIGRATIONS.filter((migration) => migration.version > version);
+}
+
+/**
+ * Upgrades tasks data to the current schema version in place
+ * @param {Object} data - Parsed tasks.json contents
+ * @returns {{data: Object, applied: Array<string>}} The data and the descriptions of the migrations that ran
+ */
+function migrateTasksData(data) {
+	if (!data || !Array.isArray(data.tasks)) {
+		return { data, applied: [] };
+	}
+
+	const pending = getPendingMigrations(data);
+	if (pending.length === 0) {
+		return { data, applied: [] };
+	}
+
+	pending.forEach((migration) => migration.migrate(data));
+
+	if (!data.meta) {
+		data.meta = {};
+	}
+	data.meta.schemaVersion = CURRENT_SCHEMA_VERSION;
+
+	return { data, applied: pending.map((migration) => migration.description) };
+}
+
+/**
+ * Validates a tasks file as it is stored on disk, without running migrations
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Object} Validation result with schema versions, errors and pending migrations
+ */
+function validateTasksFile(tasksPath) {
+	if (!fs.existsSync(tasksPath)) {
+		throw new Error(`Tasks file not found at ${tasksPath}`);
+	}
+
+	let data;
+	try {
+		data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+	} catch (error) {
+		return {
+			valid: false,
+			schemaVersion: null,
+			currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+			errors: [{ path: '$', message: `Invalid JSON: ${error.message}` }],
+			pendingMigrations: []
+		};
+	}
+
+	return validateTasksData(data);
+}
+
+/**
+ * Validates stored tasks data, without running migrations
+ * @param {Object} data - Tasks data as stored
+ * @returns {Object} Validation result with schema versions, errors and pending migrations
+ */
+function validateTasksData(data) {
+	const { valid, errors } = validateTasksSchema(data);
+	return {
+		valid,
+		schemaVersion: getSchemaVersion(data),
+		currentSchemaVersion: CURRENT_SCHEMA_VERSION,
+		errors,
+		pendingMigrations: getPendingMigrations(data).map(
+			(migration) => migration.description
+		)
+	};
+}
+
+export {
+	CURRENT_SCHEMA_VERSION,
+	TASK_STATUSES,
+	TASK_PRIORITIES,
+	NOTE_KINDS,
+	TASKS_FILE_SCHEMA,
+	MIGRATIONS,
+	extractInfoBlocks,
+	validateAgainstSchema,
+	validateTasksSchema,
+	validateTasksFile,
+	validateTasksData,
+	getSchemaVersion,
+	getPendingMigrations,
+	migrateTasksData
+};
@@ -0,0 +1,362 @@
+/**
+ * task-scoring.js
+ * Ranking of the tasks `next` can suggest
+ *
+ * Every task that can be started gets a score: for each factor below, a value
+ * between 0 and 1 times the factor's weight, plus the weights of its labels.
+ * The highest score comes first, ties go to the lowest ID. Negative weights
+ * turn a factor around, e.g. a negative `complexity` weight prefers simple
+ * tasks. A project sets its weights in `meta.scoring`; the default weights
+ * order tasks by priority, then by their number of dependencies.
+ */
+
+import {
+	log,
+	createError,
+	readComplexityReport,
+	findTaskInComplexityReport
+} from './utils.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { parseLabels } from './task-fields.js';
+import { isDoneStatus, isClosedStatus } from './task-workflow.js';
+import { getToday } from './task-schedule.js';
+import { getItemTimes } from './task-timeline.js';
+import { analyzeImpact } from './task-impact.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Factors every candidate is scored on, each worth 0 to 1 before weighing
+const SCORING_FACTORS = {
+	priority: 'Priority: high 1, medium 0.5, low 0',
+	dependencies: 'Number of dependencies, relative to the other candidates',
+	complexity: 'Complexity score from the complexity report, divided by 10',
+	unblocks: 'Open tasks waiting for it, relative to the other candidates',
+	dueDate: 'Closeness of its due date, 1 when due today or overdue',
+	age: 'Time since it was created, 1 once it is maxAgeDays old'
+};
+
+const DEFAULT_SCORING = {
+	weights: {
+		priority: 1,
+		dependencies: -0.1,
+		complexity: 0,
+		unblocks: 0,
+		dueDate: 0,
+		age: 0
+	},
+	// Points added for each label a task has, e.g. { "urgent": 2 }
+	labels: {},
+	// Due dates further away than this don't count
+	dueWithinDays: 14,
+	maxAgeDays: 30
+};
+
+const PRIORITY_VALUES = { high: 1, medium: 0.5, low: 0 };
+
+// Rounds away floating point noise, so equal scores stay equal
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Gets the scoring settings of a project
+ * @param {Object} meta - Meta data of the tasks file
+ * @returns {{weights: Object, labels: Object, dueWithinDays: number, maxAgeDays: number}} Settings, with the defaults filled in
+ */
+function getScoringSettings(meta) {
+	const scoring = meta?.scoring || {};
+	const settings = {
+		...DEFAULT_SCORING,
+		...scoring,
+		weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) },
+		labels: { ...(scoring.labels || {}) }
+	};
+
+	Object.entries(settings.weights).forEach(([factor, weight]) => {
+		if (!SCORING_FACTORS[factor]) {
+			throw createError(
+				'INVALID_SCORING',
+				`Unknown scoring factor "${factor}" (use ${Object.keys(SCORING_FACTORS).join(', ')})`
+			);
+		}
+		if (!Number.isFinite(weight)) {
+			throw createError(
+				'INVALID_SCORING',
+				`The weight of "${factor}" must be a number`
+			);
+		}
+	});
+	Object.entries(settings.labels).forEach(([label, weight]) => {
+		if (!Number.isFinite(weight)) {
+			throw createError(
+				'INVALID_SCORING',
+				`The weight of label "${label}" must be a number`
+			);
+		}
+	});
+	['dueWithinDays', 'maxAgeDays'].forEach((name) => {
+		if (!Number.isFinite(settings[name]) || settings[name] <= 0) {
+			throw createError(
+				'INVALID_SCORING',
+				`"${name}" must be a positive number of days`
+			);
+		}
+	});
+	return settings;
+}
+
+/**
+ * Gets what rankTasks() needs to score the tasks of a project
+ * @param {Object} meta - Meta data of the tasks file
+ * @param {string} complexityReportPath - Path to the complexity report (default: scripts/task-complexity-report.json)
+ * @returns {{settings: Object, complexityReport: Object|null}} Settings and, when complexity is weighed, the complexity report
+ */
+function getScoringOptions(meta, complexityReportPath = null) {
+	const settings = getScoringSettings(meta);
+	return {
+		settings,
+		complexityReport:
+			settings.weights.complexity !== 0
+				? readComplexityReport(complexityReportPath)
+				: null
+	};
+}
+
+/**
+ * Parses a weight given on the command line or through MCP
+ * @param {string} name - Factor or label the weight is for
+ * @param {string|number} value - Weight
+ * @returns {number} The weight
+ */
+function parseWeight(name, value) {
+	const weight = typeof value === 'number' ? value : Number(value);
+	if (value === '' || value === null || !Number.isFinite(weight)) {
+		throw createError(
+			'INVALID_SCORING',
+			`Invalid weight for "${name}": ${value}`
+		);
+	}
+	return weight;
+}
+
+/**
+ * Parses weights given as "name=value"
+ * @param {string|Array<string>|Object} input - Assignments, or weights by name (e.g. from MCP)
+ * @returns {Object} Weights by name, still as given
+ */
+function parseWeightAssignments(input) {
+	if (!input) {
+		return {};
+	}
+	if (typeof input === 'object' && !Array.isArray(input)) {
+		return { ...input };
+	}
+
+	const weights = {};
+	[].concat(input).forEach((assignment) => {
+		const separator = assignment.indexOf('=');
+		if (separator === -1) {
+			throw createError(
+				'INVALID_SCORING',
+				`Invalid weight "${assignment}". Use name=value`
+			);
+		}
+		weights[assignment.slice(0, separator).trim()] = assignment
+			.slice(separator + 1)
+			.trim();
+	});
+	return weights;
+}
+
+/**
+ * Changes the scoring settings of a project
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object|null} changes - Changes, or null to go back to the default settings
+ * @param {Object|Array<string>} changes.weights - Factor weights to change, by name or as "factor=weight"
+ * @param {Object|Array<string>} changes.labels - Label weights to change, by label or as "label=weight"; null or "none" removes a label
+ * @param {number} changes.dueWithinDays - Days before the due date it starts to count
+ * @param {number} changes.maxAgeDays - Age at which a task gets the full age score
+ * @returns {Object} The settings now in use
+ */
+function setScoringSettings(tasksPath, changes) {
+	return withTasksLock(tasksPath, () => {
+		const data = readTasks(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const { scoring, ...meta } = data.meta || {};
+		if (changes) {
+			const weights = { ...(scoring?.weights || {}) };
+			Object.entries(parseWeightAssignments(changes.weights)).forEach(
+				([factor, value]) => {
+					weights[factor] = parseWeight(factor, value);
+				}
+			);
+
+			const labels = { ...(scoring?.labels || {}) };
+			Object.entries(parseWeightAssignments(changes.labels)).forEach(
+				([name, value]) => {
+					const [label] = parseLabels(name);
+					if (!label) {
+						throw createError('INVALID_SCORING', 'Empty label name');
+					}
+					if (value === null || value === 'none') {
+						delete labels[label];
+					} else {
+						labels[label] = parseWeight(label, value);
+					}
+				}
+			);
+
+			const updated = {
+				...(scoring || {}),
+				weights,
+				labels
+			};
+			['dueWithinDays', 'maxAgeDays'].forEach((name) => {
+				if (changes[name] !== undefined && changes[name] !== null) {
+					updated[name] = Number(changes[name]);
+				}
+			});
+
+			// Validate before anything is written
+			getScoringSettings({ scoring: updated });
+			meta.scoring = updated;
+		}
+
+		data.meta = meta;
+		writeTasks(tasksPath, data);
+		log(
+			'info',
+			changes
+				? 'Updated the scoring settings'
+				: 'Scoring reset to the default settings'
+		);
+		return getScoringSettings(data.meta);
+	});
+}
+
+/**
+ * Gets the earliest due date of a task and its open subtasks
+ * @param {Object} task - Task
+ * @param {Object} workflow - Workflow deciding which subtasks are open
+ * @returns {string|null} Due date as YYYY-MM-DD
+ */
+function getEarliestDueDate(task, workflow) {
+	const dueDates = [task, ...(task.subtasks || [])]
+		.filter(
+			(item) =>
+				item === task ||
+				(!isDoneStatus(workflow, item.status) &&
+					!isClosedStatus(workflow, item.status))
+		)
+		.map((item) => item.dueDate)
+		.filter(Boolean)
+		.sort();
+	return dueDates[0] || null;
+}
+
+/**
+ * Scores and ranks the tasks that can be worked on next
+ * @param {Array} candidates - Tasks that can be started
+ * @param {Array} tasks - All tasks of the active tag, to find the tasks waiting for the candidates
+ * @param {Object} options - Scoring options
+ * @param {Object} options.workflow - Workflow deciding which tasks are open
+ * @param {Object} options.settings - Settings from getScoringSettings() (default: the default settings)
+ * @param {Object} options.complexityReport - Complexity report, for the complexity factor
+ * @param {string} options.today - Today as YYYY-MM-DD
+ * @param {number} options.now - Current time in ms, for the age factor
+ * @returns {Array<{task: Object, score: number, factors: Object, labels: Object}>} Candidates, best first, with the value, weight and points of each factor and the points of each label
+ */
+function rankTasks(candidates, tasks, options = {}) {
+	const { workflow } = options;
+	const settings = options.settings || getScoringSettings();
+	const today = options.today || getToday();
+	const now = options.now || Date.now();
+	const weights = settings.weights;
+
+	const countOpenDependents = (task) =>
+		analyzeImpact(tasks, [String(task.id)], { workflow }).dependents.filter(
+			(dependent) =>
+				!isDoneStatus(workflow, dependent.status) &&
+				!isClosedStatus(workflow, dependent.status)
+		).length;
+
+	// Counts that only mean something next to the other candidates
+	const raw = candidates.map((task) => ({
+		dependencies: (task.dependencies || []).length,
+		unblocks: weights.unblocks !== 0 ? countOpenDependents(task) : 0
+	}));
+	const maxOf = (name) => Math.max(0, ...raw.map((counts) => counts[name]));
+	const relative = (value, max) => (max > 0 ? value / max : 0);
+	const maxDependencies = maxOf('dependencies');
+	const maxUnblocks = maxOf('unblocks');
+
+	const ranked = candidates.map((task, index) => {
+		const complexityScore = findTaskInComplexityReport(
+			options.complexityReport,
+			task.id
+		)?.complexityScore;
+		const dueDate = getEarliestDueDate(task, workflow);
+		const daysLeft = dueDate
+			? Math.round((Date.parse(dueDate) - Date.parse(today)) / DAY_MS)
+			: null;
+		const { createdAt } = getItemTimes(task, workflow);
+
+		const values = {
+			priority: PRIORITY_VALUES[task.priority || 'medium'] ?? 0.5,
+			dependencies: relative(raw[index].dependencies, maxDependencies),
+			complexity: Number.isFinite(complexityScore)
+				? Math.min(complexityScore, 10) / 10
+				: 0,
+			unblocks: relative(raw[index].unblocks, maxUnblocks),
+			dueDate:
+				daysLeft === null
+					? 0
+					: Math.max(0, 1 - Math.max(daysLeft, 0) / settings.dueWithinDays),
+			age: createdAt
+				? Math.min(
+						Math.max(now - Date.parse(createdAt), 0) /
+							(settings.maxAgeDays * DAY_MS),
+						1
+					)
+				: 0
+		};
+
+		const factors = {};
+		Object.entries(values).forEach(([factor, value]) => {
+			factors[factor] = {
+				value,
+				weight: weights[factor],
+				points: round(value * weights[factor])
+			};
+		});
+		const labels = {};
+		(task.labels || []).forEach((label) => {
+			if (settings.labels[label] !== undefined) {
+				labels[label] = settings.labels[label];
+			}
+		});
+
+		const score = round(
+			[
+				...Object.values(factors).map((factor) => factor.points),
+				...Object.values(labels)
+			].reduce((sum, points) => sum + points, 0)
+		);
+		return { task, score, factors, labels };
+	});
+
+	return ranked.sort((a, b) => b.score - a.score || a.task.id - b.task.id);
+}
+
+export {
+	SCORING_FACTORS,
+	DEFAULT_SCORING,
+	getScoringSettings,
+	getScoringOptions,
+	setScoringSettings,
+	rankTasks
+};
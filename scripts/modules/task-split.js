@@ -0,0 +1,660 @@
+/**
+ * task-split.js
+ * Splitting a task into several tasks, and merging tasks into one
+ *
+ * Both work from a proposal: the titles, descriptions and details of the
+ * resulting tasks, and for a split which subtasks go where. Claude can draft
+ * the proposal, or it is given by hand. Applying it takes care of the rest.
+ * A split task keeps its ID as the first of the new tasks and the others
+ * are added after the last task; everything that depended on it waits for
+ * all of them. Merged tasks go into the first one, which takes over their
+ * subtasks, dependencies and dependents.
+ */
+
+import {
+	CONFIG,
+	log,
+	createError,
+	isSilentMode,
+	parseTaskIdPath,
+	resolveDependencyId
+} from './utils.js';
+import {
+	getConfiguredAnthropicClient,
+	_handleAnthropicStream,
+	parseTasksFromCompletion,
+	parseTaskJsonResponse
+} from './ai-services.js';
+import { readTasks, writeTasks, withTasksLock } from './task-store.js';
+import { readArchivedTasks } from './task-archive.js';
+import { TASK_PRIORITIES } from './task-schema.js';
+import { getWorkflow, isDoneStatus } from './task-workflow.js';
+import { isCircularDependency } from './dependency-manager.js';
+import {
+	listItems,
+	encodeDependencyId,
+	rewriteIds,
+	removeStaleTaskFiles
+} from './task-move.js';
+
+// More than this is a job for parse-prd or expand
+const MAX_SPLIT_TASKS = 10;
+
+// Fields the new tasks of a split copy from the task they were split from
+const INHERITED_FIELDS = ['priority', 'epic', 'labels', 'fields', 'dueDate'];
+
+const TEXT_FIELDS = ['description', 'details', 'testStrategy'];
+
+/**
+ * Validates the ID of a task to split or merge; subtasks can't be
+ * @param {string|number} id - Task ID
+ * @returns {number} Task ID
+ */
+function parseTaskId(id) {
+	const ids = parseTaskIdPath(id);
+	if (!ids || ids.length !== 1) {
+		throw createError(
+			'INVALID_TASK_ID',
+			`Invalid task ID: ${id}. Only top-level tasks can be split or merged`
+		);
+	}
+	return ids[0];
+}
+
+/**
+ * Validates the IDs of the tasks to merge
+ * @param {string|Array<string|number>} ids - Comma-separated or array of task IDs
+ * @returns {Array<number>} Distinct task IDs, in the given order
+ */
+function parseMergeIds(ids) {
+	const list = Array.isArray(ids) ? ids : String(ids || '').split(',');
+	const taskIds = [
+		...new Set(list.filter((id) => String(id).trim() !== '').map(parseTaskId))
+	];
+	if (taskIds.length < 2) {
+		throw createError(
+			'INVALID_MERGE',
+			'Give at least two different task IDs to merge'
+		);
+	}
+	return taskIds;
+}
+
+/**
+ * Validates the number of tasks a split should produce
+ * @param {string|number} value - Number of tasks, or nothing to let the AI decide
+ * @returns {number|null} Number of tasks
+ */
+function parseSplitCount(value) {
+	if (value === undefined || value === null || value === '') {
+		return null;
+	}
+	const count = Number(value);
+	if (!Number.isInteger(count) || count < 2 || count > MAX_SPLIT_TASKS) {
+		throw createError(
+			'INVALID_SPLIT',
+			`Invalid number of tasks: ${value}. Split into 2 to ${MAX_SPLIT_TASKS} tasks`
+		);
+	}
+	return count;
+}
+
+/**
+ * Trims a text field of a proposal
+ * @param {*} value - Value from the proposal
+ * @returns {string|undefined} The text, undefined when there is none
+ */
+function parseText(value) {
+	return typeof value === 'string' && value.trim() ? value.trim() : undefined;
+}
+
+/**
+ * Validates the tasks a task is split into
+ * @param {Array<Object>} parts - New tasks, each with a title and optionally a description, details, test strategy and the IDs of the subtasks it takes
+ * @param {Object} task - Task to split
+ * @returns {Array<{title: string, description?: string, details?: string, testStrategy?: string, subtasks: Array<number>}>} The new tasks
+ */
+function parseSplitParts(parts, task) {
+	if (!Array.isArray(parts) || parts.length < 2) {
+		throw createError(
+			'INVALID_SPLIT',
+			'A task has to be split into at least 2 tasks'
+		);
+	}
+	if (parts.length > MAX_SPLIT_TASKS) {
+		throw createError(
+			'INVALID_SPLIT',
+			`A task can be split into at most ${MAX_SPLIT_TASKS} tasks`
+		);
+	}
+
+	const subtaskIds = new Set((task.subtasks || []).map((st) => st.id));
+	const takenIds = new Set();
+	return parts.map((part, index) => {
+		const title = parseText(part?.title);
+		if (!title) {
+			throw createError(
+				'INVALID_SPLIT',
+				`New task ${index + 1} of the split has no title`
+			);
+		}
+
+		// Subtasks may be given by their full ID, e.g. "7.2"
+		const subtasks = (part.subtasks || []).map((id) =>
+			Number(String(id).split('.').pop())
+		);
+		subtasks.forEach((id) => {
+			if (!subtaskIds.has(id)) {
+				throw createError(
+					'INVALID_SPLIT',
+					`Task ${task.id} has no subtask ${id}`
+				);
+			}
+			if (takenIds.has(id)) {
+				throw createError(
+					'INVALID_SPLIT',
+					`Subtask ${task.id}.${id} can only go to one of the new tasks`
+				);
+			}
+			takenIds.add(id);
+		});
+
+		const result = { title, subtasks };
+		TEXT_FIELDS.forEach((field) => {
+			const value = parseText(part[field]);
+			if (value !== undefined) {
+				result[field] = value;
+			}
+		});
+		return result;
+	});
+}
+
+/**
+ * Reads the tasks file for a split or merge
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Tasks data
+ */
+function readSplitTasks(tasksPath) {
+	const data = readTasks(tasksPath);
+	if (!data || !data.tasks) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+	return data;
+}
+
+/**
+ * Finds a top-level task
+ * @param {Object} data - Tasks data
+ * @param {number} id - Task ID
+ * @returns {Object} The task
+ */
+function findSplitTask(data, id) {
+	const task = data.tasks.find((t) => t.id === id);
+	if (!task) {
+		throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+	}
+	return task;
+}
+
+/**
+ * Describes a task and its subtasks for a prompt
+ * @param {Object} task - Task
+ * @returns {string} Task description
+ */
+function describeTask(task) {
+	const subtasks = (task.subtasks || []).map(
+		(st) => `- Subtask ${st.id}: ${st.title} (${st.status})`
+	);
+	return `Task ${task.id}: ${task.title}
+Description: ${task.description || 'None'}
+Details: ${task.details || 'None'}
+Test strategy: ${task.testStrategy || 'None'}
+Subtasks:
+${subtasks.length > 0 ? subtasks.join('\n') : 'None'}`;
+}
+
+/**
+ * Asks Claude to draft a proposal
+ * @param {string} system - System prompt
+ * @param {string} prompt - User prompt
+ * @param {Object} options - Options
+ * @param {Object} options.session - Session object from MCP
+ * @param {Object} options.mcpLog - MCP logger
+ * @param {Function} options.reportProgress - MCP progress callback
+ * @returns {Promise<string>} Response text
+ */
+async function requestProposal(
+	system,
+	prompt,
+	{ session, mcpLog, reportProgress } = {}
+) {
+	const client = getConfiguredAnthropicClient(session);
+	return _handleAnthropicStream(
+		client,
+		{
+			model: session?.env?.ANTHROPIC_MODEL || CONFIG.model,
+			max_tokens: session?.env?.MAX_TOKENS || CONFIG.maxTokens,
+			temperature: session?.env?.TEMPERATURE || CONFIG.temperature,
+			system,
+			messages: [{ role: 'user', content: prompt }]
+		},
+		{ reportProgress, mcpLog, silentMode: isSilentMode() },
+		!isSilentMode()
+	);
+}
+
+const SYSTEM_PROMPT =
+	'You are an AI assistant helping to restructure the tasks of a software development project, so that each task is a piece of work of the right size.';
+
+/**
+ * Builds the prompt asking Claude how to split a task
+ * @param {Object} task - Task to split
+ * @param {number|null} count - Number of tasks, null to let Claude decide
+ * @param {string} [instructions] - Additional instructions from the user
+ * @returns {string} Prompt
+ */
+function buildSplitPrompt(task, count, instructions) {
+	return `Split this task into ${count || '2 to 5'} separate tasks, each one a piece of work that can be finished and verified on its own. Together they must cover everything the task covers.
+
+${describeTask(task)}
+${instructions ? `\nAdditional instructions: ${instructions}\n` : ''}
+Return a JSON array with one object per new task, in the order they should be worked on:
+[
+  {
+    "title": "Task title",
+    "description": "A concise one or two sentence description",
+    "details": "Implementation details",
+    "testStrategy": "How to verify the task is done",
+    "subtasks": [1, 2]
+  }
+]
+
+"subtasks" lists the IDs of the existing subtasks that belong to that task, each subtask in at most one task. Use an empty array if none do.
+
+IMPORTANT: Return ONLY the JSON array, nothing else.`;
+}
+
+/**
+ * Builds the prompt asking Claude to combine tasks
+ * @param {Array<Object>} tasks - Tasks to merge
+ * @param {string} [instructions] - Additional instructions from the user
+ * @returns {string} Prompt
+ */
+function buildMergePrompt(tasks, instructions) {
+	return `Merge these ${tasks.length} tasks into a single task that covers everything they cover, without repeating itself.
+
+${tasks.map(describeTask).join('\n\n')}
+${instructions ? `\nAdditional instructions: ${instructions}\n` : ''}
+Return a single JSON object with the following structure:
+{
+  "title": "Task title",
+  "description": "A concise one or two sentence description",
+  "details": "Implementation details, combining those of the tasks",
+  "testStrategy": "How to verify the task is done"
+}
+
+The subtasks and dependencies of the tasks are combined automatically, don't include them.
+
+IMPORTANT: Return ONLY the JSON object, nothing else.`;
+}
+
+/**
+ * Reads the proposal for a split from Claude's response
+ * @param {string} responseText - Response text
+ * @param {Object} task - Task to split
+ * @returns {Array<Object>} The new tasks, see parseSplitParts()
+ */
+function parseSplitProposal(responseText, task) {
+	let parts;
+	try {
+		parts = parseTasksFromCompletion(responseText);
+	} catch (error) {
+		throw createError('INVALID_PROPOSAL', error.message);
+	}
+	try {
+		return parseSplitParts(parts, task);
+	} catch (error) {
+		throw createError(
+			'INVALID_PROPOSAL',
+			`The proposed split isn't usable: ${error.message}`
+		);
+	}
+}
+
+/**
+ * Has Claude draft how to split a task, without changing anything
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task to split
+ * @param {Object} options - Draft options
+ * @param {number} options.count - Number of tasks (default: Claude decides)
+ * @param {string} options.prompt - Additional instructions
+ * @param {Object} options.session - Session object from MCP
+ * @param {Object} options.mcpLog - MCP logger
+ * @param {Function} options.reportProgress - MCP progress callback
+ * @returns {Promise<{id: number, title: string, parts: Array<Object>}>} The proposal, which splitTask() applies
+ */
+async function draftSplit(tasksPath, taskId, options = {}) {
+	const id = parseTaskId(taskId);
+	const count = parseSplitCount(options.count);
+	const task = findSplitTask(readSplitTasks(tasksPath), id);
+
+	log('info', `Asking Claude how to split task ${id}...`);
+	const responseText = await requestProposal(
+		SYSTEM_PROMPT,
+		buildSplitPrompt(task, count, options.prompt),
+		options
+	);
+	return {
+		id,
+		title: task.title,
+		parts: parseSplitProposal(responseText, task)
+	};
+}
+
+/**
+ * Has Claude draft the title, description, details and test strategy of
+ * merged tasks, without changing anything
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string|number>} ids - Tasks to merge, the first one taking in the others
+ * @param {Object} options - Draft options
+ * @param {string} options.prompt - Additional instructions
+ * @param {Object} options.session - Session object from MCP
+ * @param {Object} options.mcpLog - MCP logger
+ * @param {Function} options.reportProgress - MCP progress callback
+ * @returns {Promise<{ids: Array<number>, task: Object}>} The proposal, which mergeTasks() applies
+ */
+async function draftMerge(tasksPath, ids, options = {}) {
+	const taskIds = parseMergeIds(ids);
+	const data = readSplitTasks(tasksPath);
+	const tasks = taskIds.map((id) => findSplitTask(data, id));
+
+	log('info', `Asking Claude how to merge tasks ${taskIds.join(', ')}...`);
+	const responseText = await requestProposal(
+		SYSTEM_PROMPT,
+		buildMergePrompt(tasks, options.prompt),
+		options
+	);
+
+	let draft;
+	try {
+		draft = parseTaskJsonResponse(responseText);
+	} catch (error) {
+		throw createError('INVALID_PROPOSAL', error.message);
+	}
+	const task = { title: parseText(draft.title) };
+	TEXT_FIELDS.forEach((field) => {
+		task[field] = parseText(draft[field]) || '';
+	});
+	return { ids: taskIds, task };
+}
+
+/**
+ * Checks that the given tasks don't end up waiting for each other
+ * @param {Object} data - Tasks data
+ * @param {Array<number>} ids - IDs of the tasks that changed
+ * @param {string} message - Error message
+ */
+function checkCircularDependencies(data, ids, message) {
+	if (ids.some((id) => isCircularDependency(data.tasks, id))) {
+		throw createError('CIRCULAR_DEPENDENCY', message);
+	}
+}
+
+/**
+ * Splits a task into several top-level tasks. The task keeps its ID and
+ * becomes the first new task, keeping the subtasks no other new task takes.
+ * The others copy its dependencies, priority, epic, labels, fields and due
+ * date. Tasks and subtasks that depended on it depend on all of them.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task to split
+ * @param {Array<Object>} parts - New tasks, see parseSplitParts()
+ * @returns {{id: number, tasks: Array<{id: number, title: string}>, mapping: Array<{from: string, to: string}>}} The new tasks and the old and new IDs of the subtasks that moved
+ */
+function splitTask(tasksPath, taskId, parts) {
+	const id = parseTaskId(taskId);
+
+	return withTasksLock(tasksPath, () => {
+		const data = readSplitTasks(tasksPath);
+		const task = findSplitTask(data, id);
+		const [first, ...others] = parseSplitParts(parts, task);
+		const oldIds = new Map(
+			listItems(data.tasks).map((entry) => [entry.item, entry.id])
+		);
+
+		const highestId = Math.max(
+			0,
+			...[...data.tasks, ...readArchivedTasks(tasksPath)].map((t) => t.id)
+		);
+		const workflow = getWorkflow(data.meta);
+
+		// The task keeps the subtasks no other new task takes
+		const subtasks = task.subtasks || [];
+		const movedIds = new Set(others.flatMap((part) => part.subtasks));
+		const [kept, ...taken] = [
+			subtasks.filter((st) => !movedIds.has(st.id)),
+			...others.map((part) =>
+				subtasks.filter((st) => part.subtasks.includes(st.id))
+			)
+		];
+		// Subtasks move as they are, so rewriteIds() can follow them, and are
+		// numbered from 1 in the task they end up in
+		[kept, ...taken].forEach((group) =>
+			group.forEach((st, index) => {
+				st.id = index + 1;
+			})
+		);
+
+		const newTasks = others.map((part, index) => {
+			const newTask = {
+				id: highestId + index + 1,
+				title: part.title,
+				description: part.description || `Split from task ${id}: ${task.title}`,
+				details: part.details || '',
+				testStrategy: part.testStrategy || '',
+				status: workflow.initial,
+				dependencies: [...(task.dependencies || [])]
+			};
+			INHERITED_FIELDS.forEach((field) => {
+				if (task[field] !== undefined) {
+					newTask[field] = structuredClone(task[field]);
+				}
+			});
+			if (taken[index].length > 0) {
+				newTask.subtasks = taken[index];
+			}
+			return newTask;
+		});
+
+		task.title = first.title;
+		TEXT_FIELDS.forEach((field) => {
+			if (first[field] !== undefined) {
+				task[field] = first[field];
+			}
+		});
+		if (kept.length > 0) {
+			task.subtasks = kept;
+		} else {
+			delete task.subtasks;
+		}
+
+		data.tasks.push(...newTasks);
+		const mapping = rewriteIds(data, oldIds);
+
+		// Whatever waited for the task waits for all of its parts
+		const newTaskIds = newTasks.map((t) => t.id);
+		const partIds = [id, ...newTaskIds];
+		listItems(data.tasks)
+			.filter(({ id: itemId }) => !partIds.includes(parseInt(itemId, 10)))
+			.forEach(({ item, id: itemId }) => {
+				const waitsForTask = (item.dependencies || []).some(
+					(depId) => String(resolveDependencyId(itemId, depId)) === String(id)
+				);
+				if (waitsForTask) {
+					item.dependencies.push(
+						...newTaskIds.map((newId) =>
+							encodeDependencyId(itemId, String(newId))
+						)
+					);
+				}
+			});
+
+		checkCircularDependencies(
+			data,
+			partIds,
+			`Splitting task ${id} would make tasks wait for each other`
+		);
+
+		writeTasks(tasksPath, data);
+		log('info', `Split task ${id} into tasks ${partIds.join(', ')}`);
+		return {
+			id,
+			tasks: [task, ...newTasks].map((t) => ({ id: t.id, title: t.title })),
+			mapping
+		};
+	});
+}
+
+/**
+ * Combines a text field of tasks, noting which task each part came from
+ * @param {Array<Object>} tasks - Tasks to merge
+ * @param {string} field - Text field
+ * @returns {string} Combined text
+ */
+function combineText(tasks, field) {
+	const values = tasks.filter((task) => parseText(task[field]));
+	if (values.length <= 1) {
+		return values[0]?.[field] || '';
+	}
+	return values
+		.map((task) => `From task ${task.id} (${task.title}):\n${task[field]}`)
+		.join('\n\n');
+}
+
+/**
+ * Merges tasks into the first of them, which takes over the subtasks,
+ * dependencies and dependents of the others. Without a drafted title and
+ * text, the first task's title is kept and the texts are combined.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|Array<string|number>} ids - Tasks to merge, the first one taking in the others
+ * @param {Object} draft - Title, description, details and test strategy of the merged task (optional)
+ * @returns {{id: number, title: string, merged: Array<number>, mapping: Array<{from: string, to: string}>}} The merged task, the IDs merged into it and the old and new IDs of everything that moved
+ */
+function mergeTasks(tasksPath, ids, draft = {}) {
+	const taskIds = parseMergeIds(ids);
+
+	return withTasksLock(tasksPath, () => {
+		const data = readSplitTasks(tasksPath);
+		const tasks = taskIds.map((id) => findSplitTask(data, id));
+		const [target, ...others] = tasks;
+		const oldIds = new Map(
+			listItems(data.tasks).map((entry) => [entry.item, entry.id])
+		);
+		const workflow = getWorkflow(data.meta);
+
+		target.title = parseText(draft.title) || target.title;
+		target.description =
+			parseText(draft.description) ??
+			tasks
+				.map((task) => parseText(task.description))
+				.filter(Boolean)
+				.join(' ');
+		['details', 'testStrategy'].forEach((field) => {
+			target[field] = parseText(draft[field]) ?? combineText(tasks, field);
+		});
+
+		// The merged task is only done when all of them are
+		const openTask = tasks.find((task) => !isDoneStatus(workflow, task.status));
+		if (openTask) {
+			target.status = openTask.status;
+			delete target.completedAt;
+		}
+
+		const priorities = tasks
+			.map((task) => TASK_PRIORITIES.indexOf(task.priority))
+			.filter((index) => index !== -1);
+		if (priorities.length > 0) {
+			target.priority = TASK_PRIORITIES[Math.min(...priorities)];
+		}
+		target.epic = target.epic || others.find((task) => task.epic)?.epic;
+		if (!target.epic) {
+			delete target.epic;
+		}
+		const labels = [...new Set(tasks.flatMap((task) => task.labels || []))];
+		if (labels.length > 0) {
+			target.labels = labels;
+		}
+		const fields = Object.assign(
+			{},
+			...[...tasks].reverse().map((task) => task.fields || {})
+		);
+		if (Object.keys(fields).length > 0) {
+			target.fields = fields;
+		}
+		const dueDates = tasks
+			.map((task) => task.dueDate)
+			.filter(Boolean)
+			.sort();
+		if (dueDates.length > 0) {
+			target.dueDate = dueDates[0];
+		}
+		const estimates = tasks
+			.map((task) => task.estimate)
+			.filter((estimate) => typeof estimate === 'number');
+		if (estimates.length > 0) {
+			target.estimate = estimates.reduce((sum, value) => sum + value, 0);
+		}
+
+		target.dependencies = tasks.flatMap((task) => task.dependencies || []);
+		const subtasks = tasks.flatMap((task) => task.subtasks || []);
+		subtasks.forEach((st, index) => {
+			st.id = index + 1;
+		});
+		if (subtasks.length > 0) {
+			target.subtasks = subtasks;
+		}
+
+		data.tasks = data.tasks.filter((task) => !others.includes(task));
+		const mapping = rewriteIds(
+			data,
+			oldIds,
+			new Map(others.map((task) => [String(task.id), String(target.id)]))
+		);
+
+		checkCircularDependencies(
+			data,
+			[target.id],
+			`Merging tasks ${taskIds.join(', ')} would make tasks wait for each other`
+		);
+
+		writeTasks(tasksPath, data);
+		removeStaleTaskFiles(tasksPath, data, mapping);
+		log(
+			'info',
+			`Merged tasks ${others.map((task) => task.id).join(', ')} into task ${target.id}`
+		);
+		return {
+			id: target.id,
+			title: target.title,
+			merged: others.map((task) => task.id),
+			mapping
+		};
+	});
+}
+
+export {
+	MAX_SPLIT_TASKS,
+	parseMergeIds,
+	parseSplitCount,
+	parseSplitParts,
+	buildSplitPrompt,
+	buildMergePrompt,
+	parseSplitProposal,
+	draftSplit,
+	draftMerge,
+	splitTask,
+	mergeTasks
+};
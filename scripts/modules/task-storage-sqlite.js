@@ -0,0 +1,293 @@
+/**
+ * task-storage-sqlite.js
+ * SQLite storage backend for tasks data
+ *
+ * Each task is stored as its own row (as JSON, so fields added by later schema
+ * versions round-trip untouched) with indexed id and status columns. Saving
+ * only rewrites the rows that changed, so large projects don't pay for a full
+ * rewrite on every status change.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { createError } from './utils.js';
+
+const require = createRequire(import.meta.url);
+
+// Bump this and extend createTables() when the table layout changes
+const STORAGE_VERSION = 1;
+
+let Database = null;
+
+/**
+ * Loads the optional better-sqlite3 driver
+ * @returns {Function} The Database constructor
+ */
+function loadDriver() {
+	if (!Database) {
+		try {
+			Database = require('better-sqlite3');
+		} catch (error) {
+			throw createError(
+				'SQLITE_UNAVAILABLE',
+				`SQLite storage requires the optional "better-sqlite3" package (${error.message}). Install it with: npm install better-sqlite3`
+			);
+		}
+	}
+	return Database;
+}
+
+/**
+ * Creates the tables if the database is new
+ * @param {Object} db - Open database connection
+ */
+function createTables(db) {
+	const version = db.pragma('user_version', { simple: true });
+	if (version >= STORAGE_VERSION) {
+		return;
+	}
+
+	db.exec(`
+		CREATE TABLE IF NOT EXISTS document (
+			key TEXT PRIMARY KEY,
+			position INTEGER NOT NULL,
+			value TEXT
+		);
+		CREATE TABLE IF NOT EXISTS tasks (
+			id TEXT PRIMARY KEY,
+			position INTEGER NOT NULL,
+			status TEXT,
+			data TEXT NOT NULL
+		);
+		CREATE INDEX IF NOT EXISTS tasks_status ON tasks (status);
+	`);
+	db.pragma(`user_version = ${STORAGE_VERSION}`);
+}
+
+/**
+ * Creates the backend that stores tasks in an SQLite database
+ * @param {string} dbPath - Path to the database file
+ * @returns {Object} Storage backend
+ */
+function createSqliteBackend(dbPath) {
+	// Connection shared by everything running inside transaction()
+	let activeDb = null;
+
+	/**
+	 * Runs a function with an open connection, reusing the transaction's one
+	 * @param {Function} fn - Function receiving the connection
+	 * @returns {*} Whatever fn returns
+	 */
+	const withDatabase = (fn) => {
+		if (activeDb) {
+			return fn(activeDb);
+		}
+
+		const dir = path.dirname(dbPath);
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+		}
+
+		const DatabaseDriver = loadDriver();
+		const db = new DatabaseDriver(dbPath);
+		try {
+			createTables(db);
+			return fn(db);
+		} finally {
+			db.close();
+		}
+	};
+
+	const parseRows = (rows) => rows.map((row) => JSON.parse(row.data));
+
+	const backend = {
+		type: 'sqlite',
+		path: dbPath,
+
+		exists() {
+			return fs.existsSync(dbPath);
+		},
+
+		load() {
+			if (!activeDb && !fs.existsSync(dbPath)) {
+				return null;
+			}
+
+			return withDatabase((db) => {
+				const entries = db
+					.prepare('SELECT key, value FROM document ORDER BY position')
+					.all();
+				if (entries.length === 0) {
+					return null;
+				}
+
+				// Rebuild the document with its keys in their original order
+				const data = {};
+				entries.forEach(({ key, value }) => {
+					data[key] =
+						key === 'tasks'
+							? parseRows(
+									db.prepare('SELECT data FROM tasks ORDER BY position').all()
+								)
+							: JSON.parse(value);
+				});
+				return data;
+			});
+		},
+
+		loadTask(id) {
+			if (!activeDb && !fs.existsSync(dbPath)) {
+				return null;
+			}
+
+			return withDatabase((db) => {
+				const row = db
+					.prepare('SELECT data FROM tasks WHERE id = ?')
+					.get(String(id));
+				return row ? JSON.parse(row.data) : null;
+			});
+		},
+
+		loadMeta() {
+			if (!activeDb && !fs.existsSync(dbPath)) {
+				return null;
+			}
+
+			return withDatabase((db) => {
+				const row = db
+					.prepare("SELECT value FROM document WHERE key = 'meta'")
+					.get();
+				return row ? JSON.parse(row.value) : null;
+			});
+		},
+
+		queryTasks(filter = {}) {
+			if (!activeDb && !fs.existsSync(dbPath)) {
+				return [];
+			}
+
+			const conditions = [];
+			const params = [];
+			if (filter.status !== undefined) {
+				const statuses = [].concat(filter.status);
+				conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+				params.push(...statuses);
+			}
+			if (filter.ids) {
+				if (filter.ids.length === 0) {
+					return [];
+				}
+				conditions.push(`id IN (${filter.ids.map(() => '?').join(', ')})`);
+				params.push(...filter.ids.map(String));
+			}
+
+			const where =
+				conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+			return withDatabase((db) =>
+				parseRows(
+					db
+						.prepare(`SELECT data FROM tasks${where} ORDER BY position`)
+						.all(...params)
+				)
+			);
+		},
+
+		save(data, previous) {
+			backend.transaction(() =>
+				withDatabase((db) => {
+					// Top-level keys are few and small, rewrite them every time
+					db.prepare('DELETE FROM document').run();
+					const insertEntry = db.prepare(
+						'INSERT INTO document (key, position, value) VALUES (?, ?, ?)'
+					);
+					Object.entries(data).forEach(([key, value], position) => {
+						insertEntry.run(
+							key,
+							position,
+							key === 'tasks' ? null : JSON.stringify(value)
+						);
+					});
+
+					const previousRows = new Map(
+						(previous?.tasks || []).map((task, position) => [
+							String(task.id),
+							{ json: JSON.stringify(task), position }
+						])
+					);
+					const upsertTask = db.prepare(`
+						INSERT INTO tasks (id, position, status, data) VALUES (?, ?, ?, ?)
+						ON CONFLICT (id) DO UPDATE SET
+							position = excluded.position,
+							status = excluded.status,
+							data = excluded.data
+					`);
+
+					const ids = new Set();
+					(data.tasks || []).forEach((task, position) => {
+						const id = String(task.id);
+						const json = JSON.stringify(task);
+						const before = previousRows.get(id);
+						ids.add(id);
+
+						if (
+							!before ||
+							before.json !== json ||
+							before.position !== position
+						) {
+							upsertTask.run(id, position, task.status ?? null, json);
+						}
+					});
+
+					if (!previous) {
+						// Without the previous contents we can't tell what was removed
+						db.prepare('SELECT id FROM tasks')
+							.all()
+							.forEach((row) => previousRows.set(row.id, null));
+					}
+					const deleteTask = db.prepare('DELETE FROM tasks WHERE id = ?');
+					previousRows.forEach((row, id) => {
+						if (!ids.has(id)) {
+							deleteTask.run(id);
+						}
+					});
+				})
+			);
+		},
+
+		saveTask(task, meta) {
+			backend.transaction(() =>
+				withDatabase((db) => {
+					db.prepare('UPDATE tasks SET status = ?, data = ? WHERE id = ?').run(
+						task.status ?? null,
+						JSON.stringify(task),
+						String(task.id)
+					);
+					db.prepare("UPDATE document SET value = ? WHERE key = 'meta'").run(
+						JSON.stringify(meta)
+					);
+				})
+			);
+		},
+
+		transaction(fn) {
+			if (activeDb) {
+				return fn(backend);
+			}
+
+			return withDatabase((db) => {
+				activeDb = db;
+				try {
+					// IMMEDIATE takes the write lock up front, so readers inside the
+					// transaction see the data that will be overwritten
+					return db.transaction(() => fn(backend)).immediate();
+				} finally {
+					activeDb = null;
+				}
+			});
+		}
+	};
+	return backend;
+}
+
+export { STORAGE_VERSION, createSqliteBackend };
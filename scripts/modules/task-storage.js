@@ -0,0 +1,141 @@
+/**
+ * task-storage.js
+ * Storage backends for tasks data
+ *
+ * The tasks path doubles as the storage location: `tasks/tasks.json` is read
+ * and written as a JSON document, while a path ending in `.db`, `.sqlite` or
+ * `.sqlite3` is stored in an embedded SQLite database with one row per task.
+ * Backends only move data in and out; locking, revisions and the undo journal
+ * are handled on top of them by task-store.js. load() returns the document as
+ * stored, while loadTask() and queryTasks() return tasks in the current schema.
+ * saveTask() replaces one existing task of a document in the current schema.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { writeFileAtomic } from './utils.js';
+import { migrateTasksData } from './task-schema.js';
+import { createSqliteBackend } from './task-storage-sqlite.js';
+
+const SQLITE_EXTENSIONS = ['.db', '.sqlite', '.sqlite3'];
+
+/**
+ * Gets the storage type used for a tasks path
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} 'sqlite' or 'json'
+ */
+function getStorageType(tasksPath) {
+	return SQLITE_EXTENSIONS.includes(path.extname(tasksPath).toLowerCase())
+		? 'sqlite'
+		: 'json';
+}
+
+/**
+ * Finds a task in a list by its top-level ID
+ * @param {Array} tasks - Tasks to search
+ * @param {number|string} id - Task ID
+ * @returns {Object|null} The task, or null if not found
+ */
+function findTopLevelTask(tasks, id) {
+	return tasks.find((task) => String(task.id) === String(id)) || null;
+}
+
+/**
+ * Filters tasks by the criteria supported by every backend
+ * @param {Array} tasks - Tasks to filter
+ * @param {Object} filter - Query filter
+ * @param {string|Array<string>} filter.status - Only tasks with this status (or one of these statuses)
+ * @param {Array<number|string>} filter.ids - Only tasks with these IDs
+ * @returns {Array} Matching tasks in file order
+ */
+function filterTasks(tasks, filter = {}) {
+	const statuses =
+		filter.status !== undefined ? [].concat(filter.status) : null;
+	const ids = filter.ids ? new Set(filter.ids.map(String)) : null;
+
+	return tasks.filter(
+		(task) =>
+			(!statuses || statuses.includes(task.status)) &&
+			(!ids || ids.has(String(task.id)))
+	);
+}
+
+/**
+ * Creates the backend that stores tasks in a single JSON file
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Object} Storage backend
+ */
+function createJsonBackend(filePath) {
+	const backend = {
+		type: 'json',
+		path: filePath,
+
+		exists() {
+			return fs.existsSync(filePath);
+		},
+
+		load() {
+			if (!fs.existsSync(filePath)) {
+				return null;
+			}
+			return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		},
+
+		loadTask(id) {
+			const data = backend.load();
+			if (!data) {
+				return null;
+			}
+			migrateTasksData(data);
+			return findTopLevelTask(data.tasks || [], id);
+		},
+
+		loadMeta() {
+			return backend.load()?.meta || null;
+		},
+
+		queryTasks(filter) {
+			const data = backend.load();
+			if (!data) {
+				return [];
+			}
+			migrateTasksData(data);
+			return filterTasks(data.tasks || [], filter);
+		},
+
+		// The whole document is rewritten, so the previous contents aren't needed
+		save(data) {
+			writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+		},
+
+		// The file holds every task, so it's rewritten with the one task replaced
+		saveTask(task, meta) {
+			const data = backend.load();
+			const index = data.tasks.findIndex(
+				(existing) => String(existing.id) === String(task.id)
+			);
+			data.tasks[index] = task;
+			data.meta = meta;
+			backend.save(data);
+		},
+
+		// A single atomic rename is already all-or-nothing
+		transaction(fn) {
+			return fn(backend);
+		}
+	};
+	return backend;
+}
+
+/**
+ * Gets the storage backend for a tasks path
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Storage backend with exists(), load(), loadTask(), loadMeta(), queryTasks(), save(), saveTask() and transaction()
+ */
+function getStorageBackend(tasksPath) {
+	return getStorageType(tasksPath) === 'sqlite'
+		? createSqliteBackend(tasksPath)
+		: createJsonBackend(tasksPath);
+}
+
+export { getStorageType, getStorageBackend, filterTasks };
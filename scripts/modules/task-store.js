@@ -0,0 +1,747 @@
+/**
+ * task-store.js
+ * Safe persistence for tasks data shared by the CLI and the MCP server.
+ *
+ * Data is read and written through the storage backend for the tasks path
+ * (see task-storage.js), so a crash never leaves a half-written file behind.
+ * Read-modify-write cycles are guarded by a cross-process advisory lock file,
+ * and `meta.revision` is bumped on every save so that a writer holding an
+ * outdated copy of the data is rejected instead of silently overwriting
+ * somebody else's changes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { log, createError, findTaskById, findTaskPath } from './utils.js';
+import {
+	CURRENT_SCHEMA_VERSION,
+	migrateTasksData,
+	validateTasksFile,
+	validateTasksData
+} from './task-schema.js';
+import {
+	recordTaskChange,
+	recordTaskUpdate,
+	getCurrentOperation
+} from './task-history.js';
+import {
+	getStorageBackend,
+	getStorageType,
+	filterTasks
+} from './task-storage.js';
+import {
+	DEFAULT_TAG,
+	getActiveTag,
+	hasTag,
+	extractTagView,
+	mergeTagView,
+	getTagNames,
+	getTagTasks
+} from './task-tags.js';
+
+// How long to wait for another process to release the lock
+const LOCK_TIMEOUT_MS = parseInt(
+	process.env.TASKMASTER_LOCK_TIMEOUT || '10000'
+);
+// Locks older than this are considered abandoned even if the owner looks alive
+const LOCK_STALE_MS = 30000;
+// How often a held lock is touched so that it doesn't look abandoned
+const LOCK_REFRESH_MS = LOCK_STALE_MS / 3;
+const LOCK_RETRY_MS = 50;
+
+// Locks held by this process, keyed by lock path. Each lock belongs to the
+// operation that took it (see getCurrentOperation()), so concurrent MCP tool
+// calls in one server don't share a lock, and counts how often its owner
+// re-entered it. The token written to the lock file tells whether the file
+// still belongs to us after another process broke it as stale.
+const heldLocks = new Map();
+
+// Buffer used to sleep synchronously while waiting for a lock
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Blocks the current thread for the given number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ */
+function sleepSync(ms) {
+	Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+/**
+ * Gets the path of the lock file guarding a tasks file
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {string} Path to the lock file
+ */
+function getLockPath(tasksPath) {
+	return `${tasksPath}.lock`;
+}
+
+/**
+ * Checks whether a process with the given PID is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		// EPERM means the process exists but belongs to someone else
+		return error.code === 'EPERM';
+	}
+}
+
+/**
+ * Checks whether an existing lock file was abandoned by its owner
+ * @param {string} lockPath - Path to the lock file
+ * @returns {boolean} True if the lock can safely be broken
+ */
+function isLockStale(lockPath) {
+	try {
+		const stats = fs.statSync(lockPath);
+		if (Date.now() - stats.mtimeMs > LOCK_STALE_MS) {
+			return true;
+		}
+
+		const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+		return (
+			typeof owner.pid === 'number' &&
+			owner.pid !== process.pid &&
+			!isProcessAlive(owner.pid)
+		);
+	} catch (error) {
+		// The lock disappeared or is being written right now, try again later
+		return false;
+	}
+}
+
+/**
+ * Checks whether the lock file still carries the token of our lock
+ * @param {string} lockPath - Path to the lock file
+ * @param {string} token - Token written when the lock was taken
+ * @returns {boolean} True if the lock file is ours
+ */
+function ownsLockFile(lockPath, token) {
+	try {
+		return JSON.parse(fs.readFileSync(lockPath, 'utf8')).token === token;
+	} catch (error) {
+		// The lock file is gone or was replaced by one being written right now
+		return false;
+	}
+}
+
+/**
+ * Updates the modification time of a held lock file, so that other processes
+ * don't break the lock of a long operation as abandoned
+ * @param {string} lockPath - Path to the lock file
+ */
+function refreshLock(lockPath) {
+	const held = heldLocks.get(lockPath);
+	if (!held || !ownsLockFile(lockPath, held.token)) {
+		return;
+	}
+	try {
+		const now = new Date();
+		fs.utimesSync(lockPath, now, now);
+	} catch (error) {
+		// The next refresh tries again
+	}
+}
+
+/**
+ * Re-enters a lock the current operation already holds
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Object|null} Lock handle, or null if the operation doesn't hold the lock
+ */
+function reenterLock(lockPath) {
+	const held = heldLocks.get(lockPath);
+	if (!held || held.owner !== getCurrentOperation()) {
+		return null;
+	}
+	held.depth += 1;
+	// Synchronous code blocks the refresh timer, so refresh when re-entering too
+	refreshLock(lockPath);
+	return createLockHandle(lockPath);
+}
+
+/**
+ * Tries once to take the lock file, breaking it if its owner abandoned it
+ * @param {string} lockPath - Path to the lock file
+ * @returns {boolean} True if the current operation holds the lock now
+ */
+function tryCreateLockFile(lockPath) {
+	// The tasks directory may not exist yet when creating a new tasks file
+	const lockDir = path.dirname(lockPath);
+	if (!fs.existsSync(lockDir)) {
+		fs.mkdirSync(lockDir, { recursive: true });
+	}
+
+	for (let attempt = 0; attempt < 2; attempt++) {
+		try {
+			const token = randomUUID();
+			const fd = fs.openSync(lockPath, 'wx');
+			fs.writeSync(
+				fd,
+				JSON.stringify({
+					pid: process.pid,
+					token,
+					acquiredAt: new Date().toISOString()
+				})
+			);
+			fs.closeSync(fd);
+
+			// Keep touching the lock while an async operation holds it
+			const refreshTimer = setInterval(
+				() => refreshLock(lockPath),
+				LOCK_REFRESH_MS
+			);
+			refreshTimer.unref();
+			heldLocks.set(lockPath, {
+				owner: getCurrentOperation(),
+				depth: 1,
+				token,
+				refreshTimer
+			});
+			return true;
+		} catch (error) {
+			if (error.code !== 'EEXIST') {
+				throw error;
+			}
+		}
+
+		if (!isLockStale(lockPath)) {
+			return false;
+		}
+		log('warn', `Removing stale lock file ${lockPath}`);
+		try {
+			fs.unlinkSync(lockPath);
+		} catch (error) {
+			// Another process may have broken the lock first
+		}
+	}
+	return false;
+}
+
+/**
+ * Creates the error thrown when waiting for a lock took too long
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @returns {Error} The error
+ */
+function createLockTimeoutError(tasksPath) {
+	return createError(
+		'TASKS_LOCK_TIMEOUT',
+		`Timed out waiting for lock on ${tasksPath}. Another Task Master process is modifying it. If no other process is running, delete ${getLockPath(tasksPath)} and try again.`
+	);
+}
+
+/**
+ * Acquires the advisory lock for a tasks file. The lock is re-entrant within
+ * an operation, so nested calls (e.g. a mutator that regenerates task files
+ * which in turn fixes dependencies) don't deadlock.
+ *
+ * Waiting blocks the thread, which is what the CLI wants. Code that must keep
+ * the event loop running, like the MCP server, takes the lock with
+ * acquireTasksLockAsync() first; a lock held by another operation of this
+ * process can't be waited for here, as that operation would never get to
+ * release it.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Milliseconds to wait before giving up
+ * @returns {Object} Lock handle with a release() method
+ */
+function acquireTasksLock(tasksPath, options = {}) {
+	const lockPath = getLockPath(tasksPath);
+	const timeout = options.timeout ?? LOCK_TIMEOUT_MS;
+
+	const reentered = reenterLock(lockPath);
+	if (reentered) {
+		return reentered;
+	}
+	if (heldLocks.has(lockPath)) {
+		throw createError(
+			'TASKS_LOCK_BUSY',
+			`${tasksPath} is being modified by another operation of this process, please try again`
+		);
+	}
+
+	const startTime = Date.now();
+	while (!tryCreateLockFile(lockPath)) {
+		if (Date.now() - startTime >= timeout) {
+			throw createLockTimeoutError(tasksPath);
+		}
+		sleepSync(LOCK_RETRY_MS);
+	}
+	return createLockHandle(lockPath);
+}
+
+/**
+ * Acquires the advisory lock for a tasks file without blocking the event
+ * loop, waiting for other operations of this process as well as for other
+ * processes
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Lock options
+ * @param {number} options.timeout - Milliseconds to wait before giving up
+ * @returns {Promise<Object>} Lock handle with a release() method
+ */
+async function acquireTasksLockAsync(tasksPath, options = {}) {
+	const lockPath = getLockPath(tasksPath);
+	const timeout = options.timeout ?? LOCK_TIMEOUT_MS;
+
+	const reentered = reenterLock(lockPath);
+	if (reentered) {
+		return reentered;
+	}
+
+	const startTime = Date.now();
+	while (heldLocks.has(lockPath) || !tryCreateLockFile(lockPath)) {
+		if (Date.now() - startTime >= timeout) {
+			throw createLockTimeoutError(tasksPath);
+		}
+		await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_MS));
+	}
+	return createLockHandle(lockPath);
+}
+
+/**
+ * Creates a handle that releases one level of a held lock
+ * @param {string} lockPath - Path to the lock file
+ * @returns {Object} Lock handle with a release() method
+ */
+function createLockHandle(lockPath) {
+	let released = false;
+	return {
+		release() {
+			if (released) {
+				return;
+			}
+			released = true;
+
+			const held = heldLocks.get(lockPath);
+			if (held && held.depth > 1) {
+				held.depth -= 1;
+				return;
+			}
+
+			heldLocks.delete(lockPath);
+			if (!held) {
+				return;
+			}
+			clearInterval(held.refreshTimer);
+
+			// Another process broke our lock as stale and took it over
+			if (!ownsLockFile(lockPath, held.token)) {
+				log(
+					'warn',
+					`Lock file ${lockPath} was taken over by another process, leaving it in place`
+				);
+				return;
+			}
+			try {
+				fs.unlinkSync(lockPath);
+			} catch (error) {
+				log('warn', `Could not remove lock file ${lockPath}: ${error.message}`);
+			}
+		}
+	};
+}
+
+/**
+ * Runs a function while holding the lock for a tasks file. If the function
+ * returns a promise the lock is held until it settles.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Function} fn - Function to run while the lock is held
+ * @returns {*} Whatever fn returns
+ */
+function withTasksLock(tasksPath, fn) {
+	const lock = acquireTasksLock(tasksPath);
+	let result;
+	try {
+		result = fn();
+	} catch (error) {
+		lock.release();
+		throw error;
+	}
+
+	if (result && typeof result.then === 'function') {
+		return result.finally(() => lock.release());
+	}
+
+	lock.release();
+	return result;
+}
+
+/**
+ * Runs a function while holding the lock for a tasks file, waiting for the
+ * lock without blocking the event loop (see acquireTasksLockAsync())
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Function} fn - Function to run while the lock is held
+ * @returns {Promise<*>} Whatever fn returns
+ */
+async function withTasksLockAsync(tasksPath, fn) {
+	const lock = await acquireTasksLockAsync(tasksPath);
+	try {
+		return await fn();
+	} finally {
+		lock.release();
+	}
+}
+
+/**
+ * Gets the revision of a tasks data object
+ * @param {Object} data - Tasks data
+ * @returns {number} Revision number (0 for files that predate revisions)
+ */
+function getTasksRevision(data) {
+	return data?.meta?.revision ?? 0;
+}
+
+/**
+ * Reads the tasks data currently stored, as it is stored
+ * @param {Object} backend - Storage backend
+ * @returns {Object|null} Stored data, or null if it is missing or unreadable
+ */
+function readStoredTasks(backend) {
+	try {
+		return backend.load();
+	} catch (error) {
+		// A corrupt JSON file is treated like a missing one and gets replaced
+		if (error instanceof SyntaxError) {
+			return null;
+		}
+		throw error;
+	}
+}
+
+/**
+ * Reads the whole stored tasks document, with the lists of all tags, upgraded
+ * to the current schema
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object|null} Tasks document, or null if there is none
+ */
+function readTasksDocument(tasksPath) {
+	const data = getStorageBackend(tasksPath).load();
+	if (!data) {
+		return null;
+	}
+
+	const { applied } = migrateTasksData(data);
+	applied.forEach((description) =>
+		log(
+			'debug',
+			`Migrated ${tasksPath} to schema v${CURRENT_SCHEMA_VERSION}: ${description}`
+		)
+	);
+	return data;
+}
+
+/**
+ * Reads the tasks of the active tag, upgrading them to the current schema.
+ * The upgrade is saved with the next write.
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object|null} Tasks data (`{ meta, tasks }`), or null if it can't be read
+ */
+function readTasks(tasksPath) {
+	try {
+		const data = readTasksDocument(tasksPath);
+		if (!data) {
+			log('error', `Tasks file not found at ${tasksPath}`);
+			return null;
+		}
+
+		const tag = getActiveTag(tasksPath);
+		if (!hasTag(data, tag)) {
+			log('error', `Tag "${tag}" does not exist in ${tasksPath}`);
+			return null;
+		}
+		return extractTagView(data, tag);
+	} catch (error) {
+		log('error', `Error reading tasks from ${tasksPath}:`, error.message);
+		return null;
+	}
+}
+
+/**
+ * Reads a single task or subtask without loading every task when the
+ * storage backend supports it
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task ID, or "parentId.subtaskId" for a subtask
+ * @returns {Object|null} The task (subtasks get a parentTask reference), or null if not found
+ */
+function readTask(tasksPath, taskId) {
+	if (getActiveTag(tasksPath) !== DEFAULT_TAG) {
+		// Backends only index the default list
+		return findTaskById(readTasks(tasksPath)?.tasks || [], taskId);
+	}
+
+	const parentId = String(taskId).split('.')[0];
+	const task = getStorageBackend(tasksPath).loadTask(parentId);
+	return task ? findTaskById([task], taskId) : null;
+}
+
+/**
+ * Reads the meta data shared by all tags (project name, workflow, custom
+ * field types, ...) without loading the tasks when the storage backend
+ * supports it
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object|null} Meta data, or null if there is none
+ */
+function readTasksMeta(tasksPath) {
+	return getStorageBackend(tasksPath).loadMeta();
+}
+
+/**
+ * Reads the tasks matching a filter
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} filter - Query filter
+ * @param {string|Array<string>} filter.status - Only tasks with this status (or one of these statuses)
+ * @param {Array<number|string>} filter.ids - Only tasks with these IDs
+ * @returns {Array} Matching tasks in file order
+ */
+function queryTasks(tasksPath, filter = {}) {
+	if (getActiveTag(tasksPath) !== DEFAULT_TAG) {
+		return filterTasks(readTasks(tasksPath)?.tasks || [], filter);
+	}
+	return getStorageBackend(tasksPath).queryTasks(filter);
+}
+
+/**
+ * Saves tasks data, bumping `meta.revision`. The write is rejected if the
+ * stored data has moved past the revision the data was read at.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} data - Tasks of the active tag as returned by readTasks(), or the whole document with the document option (its meta.revision is updated in place)
+ * @param {Object} options - Write options
+ * @param {boolean} options.force - Skip the stale-write check (e.g. when replacing the file)
+ * @param {boolean} options.journal - Set to false to keep the write out of the undo history
+ * @param {boolean} options.document - Data is the whole document with all tags, not the active tag's tasks
+ */
+function writeTasks(tasksPath, data, options = {}) {
+	const backend = getStorageBackend(tasksPath);
+	const lock = acquireTasksLock(tasksPath);
+	try {
+		const { stored, document } = backend.transaction(() => {
+			const stored = readStoredTasks(backend);
+			const diskRevision = stored ? getTasksRevision(stored) : null;
+			const baseRevision = getTasksRevision(data);
+
+			if (
+				!options.force &&
+				diskRevision !== null &&
+				diskRevision !== baseRevision
+			) {
+				throw createError(
+					'STALE_TASKS_WRITE',
+					`${tasksPath} was modified by another process (revision ${diskRevision}, expected ${baseRevision}). Your changes were not saved, please run the command again.`
+				);
+			}
+
+			if (!data.meta) {
+				data.meta = {};
+			}
+
+			// The lists of the other tags are kept as they are stored
+			const document = options.document
+				? data
+				: mergeTagView(stored, data, getActiveTag(tasksPath));
+
+			// Make sure we never write data in an outdated schema
+			migrateTasksData(document);
+
+			document.meta.revision = Math.max(diskRevision ?? 0, baseRevision) + 1;
+			data.meta.revision = document.meta.revision;
+
+			backend.save(document, stored);
+			return { stored, document };
+		});
+
+		if (options.journal !== false) {
+			try {
+				recordTaskChange(tasksPath, stored, document);
+			} catch (error) {
+				// The write itself succeeded, a broken journal shouldn't undo that
+				log('warn', `Could not record change in history: ${error.message}`);
+			}
+		}
+	} finally {
+		lock.release();
+	}
+}
+
+/**
+ * Finds the task or subtask to update and the task holding it
+ * @param {Array} tasks - Tasks to search
+ * @param {string|number} taskId - Task ID, or "parentId.subtaskId" for a subtask at any depth
+ * @returns {{task: Object, item: Object}} The top-level task and the task or subtask itself
+ */
+function findTaskToUpdate(tasks, taskId) {
+	const found = findTaskPath(tasks, taskId);
+	if (!found) {
+		throw createError('TASK_NOT_FOUND', `Task ${taskId} not found`);
+	}
+	return { task: found.ancestors[0] || found.item, item: found.item };
+}
+
+/**
+ * Changes a single task or subtask under the tasks lock. When the project is
+ * in the current schema and the default tag is active, only the row of the
+ * task is read and written and only that task is journaled; otherwise the
+ * change goes through writeTasks(). Nothing is written if the update leaves
+ * the task as it was.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task ID, or "parentId.subtaskId" for a subtask at any depth
+ * @param {Function} update - Receives the task or subtask and changes it in place
+ * @returns {*} Whatever update returns
+ */
+function updateTask(tasksPath, taskId, update) {
+	return withTasksLock(tasksPath, () => {
+		const backend = getStorageBackend(tasksPath);
+		const meta = backend.loadMeta();
+
+		if (
+			getActiveTag(tasksPath) !== DEFAULT_TAG ||
+			meta?.schemaVersion !== CURRENT_SCHEMA_VERSION
+		) {
+			// Other tags aren't indexed by the backends, and older files have
+			// to be migrated as a whole
+			const data = readTasks(tasksPath);
+			if (!data || !data.tasks) {
+				throw createError(
+					'TASKS_FILE_NOT_FOUND',
+					`No valid tasks found in ${tasksPath}`
+				);
+			}
+			const { task, item } = findTaskToUpdate(data.tasks, taskId);
+			const before = JSON.stringify(task);
+			const result = update(item);
+			if (JSON.stringify(task) !== before) {
+				writeTasks(tasksPath, data);
+			}
+			return result;
+		}
+
+		const stored = backend.transaction(() => {
+			const parentId = String(taskId).split('.')[0];
+			const { task, item } = findTaskToUpdate(
+				[backend.loadTask(parentId)].filter(Boolean),
+				taskId
+			);
+			const before = JSON.parse(JSON.stringify(task));
+			const result = update(item);
+			if (JSON.stringify(task) === JSON.stringify(before)) {
+				return { result };
+			}
+
+			const revision = getTasksRevision({ meta });
+			backend.saveTask(task, { ...meta, revision: revision + 1 });
+			return { result, before, after: task, revision };
+		});
+
+		if (stored.before) {
+			try {
+				recordTaskUpdate(tasksPath, stored.before, stored.after, {
+					before: stored.revision,
+					after: stored.revision + 1
+				});
+			} catch (error) {
+				// The write itself succeeded, a broken journal shouldn't undo that
+				log('warn', `Could not record change in history: ${error.message}`);
+			}
+		}
+		return stored.result;
+	});
+}
+
+/**
+ * Validates the stored tasks data against the schema, without running
+ * migrations
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} Validation result with schema versions, errors and pending migrations
+ */
+function validateStoredTasks(tasksPath) {
+	if (getStorageType(tasksPath) === 'json') {
+		// Also reports files that aren't valid JSON
+		return validateTasksFile(tasksPath);
+	}
+
+	const data = getStorageBackend(tasksPath).load();
+	if (!data) {
+		throw new Error(`Tasks file not found at ${tasksPath}`);
+	}
+	return validateTasksData(data);
+}
+
+/**
+ * Copies all tasks data, with the lists of all tags, to another storage
+ * location, e.g. to move a project from tasks.json to an SQLite database. The backend of each side is picked
+ * from its file extension.
+ * @param {string} sourcePath - Tasks file to copy from
+ * @param {string} targetPath - Tasks file to copy to
+ * @param {Object} options - Copy options
+ * @param {boolean} options.force - Replace the target if it already holds tasks
+ * @returns {{taskCount: number, sourceType: string, targetType: string}} What was copied
+ */
+function copyTasksStorage(sourcePath, targetPath, options = {}) {
+	if (path.resolve(sourcePath) === path.resolve(targetPath)) {
+		throw new Error('Source and target must be different files');
+	}
+
+	const data = withTasksLock(sourcePath, () => readTasksDocument(sourcePath));
+	if (!data) {
+		throw createError(
+			'STORAGE_SOURCE_NOT_FOUND',
+			`No valid tasks found in ${sourcePath}`
+		);
+	}
+
+	if (!options.force && getStorageBackend(targetPath).exists()) {
+		throw createError(
+			'STORAGE_TARGET_EXISTS',
+			`${targetPath} already exists. Use --force to replace it.`
+		);
+	}
+
+	// The copy's creation can't be undone, so it isn't journaled
+	writeTasks(targetPath, data, { force: true, journal: false, document: true });
+
+	return {
+		taskCount: getTagNames(data).reduce(
+			(count, tag) => count + getTagTasks(data, tag).length,
+			0
+		),
+		sourceType: getStorageType(sourcePath),
+		targetType: getStorageType(targetPath)
+	};
+}
+
+// Don't leave lock files behind when a command exits early (e.g. process.exit)
+process.on('exit', () => {
+	for (const [lockPath, held] of heldLocks) {
+		if (!ownsLockFile(lockPath, held.token)) {
+			continue;
+		}
+		try {
+			fs.unlinkSync(lockPath);
+		} catch (error) {
+			// Nothing more we can do while exiting
+		}
+	}
+	heldLocks.clear();
+});
+
+export {
+	acquireTasksLock,
+	acquireTasksLockAsync,
+	withTasksLock,
+	withTasksLockAsync,
+	readTasksDocument,
+	readTasks,
+	readTask,
+	readTasksMeta,
+	queryTasks,
+	writeTasks,
+	updateTask,
+	validateStoredTasks,
+	copyTasksStorage,
+	getTasksRevision,
+	getLockPath
+};
@@ -0,0 +1,414 @@
+/**
+ * task-tags.js
+ * Named task lists ("tags") inside one tasks file
+ *
+ * The default list keeps living in the top-level `tasks` array, so existing
+ * files and tools keep working, and every other list is stored under
+ * `tags.<name>.tasks` with its own ID sequence. Commands work on a view of a
+ * single list (`{ meta, tasks }`) that readTasks()/writeTasks() in
+ * task-store.js extract from and merge back into the stored document.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+import { log, createError, writeFileAtomic } from './utils.js';
+import {
+	acquireTasksLock,
+	readTasksDocument,
+	writeTasks
+} from './task-store.js';
+import { getWorkflow, isDoneStatus } from './task-workflow.js';
+
+const DEFAULT_TAG = 'master';
+
+// Tag names end up in task file names, so keep them file system friendly
+const TAG_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+// Per-project state that shouldn't be part of the tasks file (e.g. in git)
+const STATE_FILE = '.state.json';
+
+// Tag for code running inside runWithTag(), e.g. an MCP tool call
+const tagStorage = new AsyncLocalStorage();
+
+// Tag selected for the whole process, e.g. with --tag on the command line
+let processTag = null;
+
+/**
+ * Runs a function with a tag selected. All task reads and writes made while
+ * it runs (including after awaits) use that tag's list.
+ * @param {string} tag - Tag to select
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function runWithTag(tag, fn) {
+	return tagStorage.run({ tag }, fn);
+}
+
+/**
+ * Selects a tag for everything the current process does
+ * @param {string|null} tag - Tag to select, or null to use the current tag
+ */
+function setProcessTag(tag) {
+	processTag = tag || null;
+}
+
+/**
+ * Gets the path of the state file for a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Path to the state file
+ */
+function getStatePath(tasksPath) {
+	return path.join(path.dirname(tasksPath), STATE_FILE);
+}
+
+/**
+ * Reads the project state stored next to a tasks file
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Object} State (empty if there is none yet)
+ */
+function readState(tasksPath) {
+	try {
+		return JSON.parse(fs.readFileSync(getStatePath(tasksPath), 'utf8'));
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * Gets the persisted current tag of a project
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Current tag
+ */
+function getCurrentTag(tasksPath) {
+	return readState(tasksPath).currentTag || DEFAULT_TAG;
+}
+
+/**
+ * Persists the current tag of a project
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} tag - Tag to make current
+ */
+function setCurrentTag(tasksPath, tag) {
+	writeFileAtomic(
+		getStatePath(tasksPath),
+		JSON.stringify({ ...readState(tasksPath), currentTag: tag }, null, 2)
+	);
+}
+
+/**
+ * Gets the tag whose list task reads and writes use: the tag selected with
+ * runWithTag() or setProcessTag(), or else the persisted current tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {string} Active tag
+ */
+function getActiveTag(tasksPath) {
+	return tagStorage.getStore()?.tag || processTag || getCurrentTag(tasksPath);
+}
+
+/**
+ * Checks that a tag name can be used
+ * @param {string} name - Tag name
+ */
+function validateTagName(name) {
+	if (!name || !TAG_NAME_PATTERN.test(name)) {
+		throw createError(
+			'INVALID_TAG_NAME',
+			`Invalid tag name "${name}". Use letters, numbers, dashes and underscores.`
+		);
+	}
+}
+
+/**
+ * Checks whether a tasks document contains a tag
+ * @param {Object} data - Stored tasks document
+ * @param {string} tag - Tag name
+ * @returns {boolean} True if the tag exists
+ */
+function hasTag(data, tag) {
+	return tag === DEFAULT_TAG || !!data?.tags?.[tag];
+}
+
+/**
+ * Gets the names of all tags in a tasks document
+ * @param {Object} data - Stored tasks document
+ * @returns {Array<string>} Tag names, the default tag first
+ */
+function getTagNames(data) {
+	return [DEFAULT_TAG, ...Object.keys(data?.tags || {})];
+}
+
+/**
+ * Gets the task list of a tag
+ * @param {Object} data - Stored tasks document
+ * @param {string} tag - Tag name
+ * @returns {Array} Tasks of the tag (empty if the tag doesn't exist)
+ */
+function getTagTasks(data, tag) {
+	if (tag === DEFAULT_TAG) {
+		return data?.tasks || [];
+	}
+	return data?.tags?.[tag]?.tasks || [];
+}
+
+/**
+ * Extracts the view of a single tag from a tasks document
+ * @param {Object} data - Stored tasks document
+ * @param {string} tag - Tag name
+ * @returns {Object} View with the tag's tasks and the shared meta
+ */
+function extractTagView(data, tag) {
+	if (!hasTag(data, tag)) {
+		throw createError('TAG_NOT_FOUND', `Tag "${tag}" does not exist`);
+	}
+
+	if (tag === DEFAULT_TAG) {
+		const { tags, ...view } = data;
+		return view;
+	}
+	return { meta: data.meta, tasks: data.tags[tag].tasks };
+}
+
+/**
+ * Merges the view of a single tag back into a tasks document. Missing tags
+ * are created.
+ * @param {Object|null} data - Stored tasks document (null if there is none yet)
+ * @param {Object} view - View of the tag, as returned by extractTagView()
+ * @param {string} tag - Tag name
+ * @returns {Object} The updated document
+ */
+function mergeTagView(data, view, tag) {
+	const tags = data?.tags;
+
+	if (tag === DEFAULT_TAG) {
+		const { tags: ignored, ...rest } = view;
+		return tags ? { ...rest, tags } : rest;
+	}
+
+	return {
+		...(data || {}),
+		meta: view.meta,
+		tasks: data?.tasks || [],
+		tags: {
+			...tags,
+			[tag]: {
+				createdAt: new Date().toISOString(),
+				...tags?.[tag],
+				tasks: view.tasks
+			}
+		}
+	};
+}
+
+/**
+ * Gets the name of the generated file for a task
+ * @param {number|string} taskId - Task ID
+ * @param {string} tag - Tag the task belongs to
+ * @returns {string} File name, e.g. task_001.txt or task_001_feature-x.txt
+ */
+function getTaskFileName(taskId, tag = DEFAULT_TAG) {
+	const suffix = tag && tag !== DEFAULT_TAG ? `_${tag}` : '';
+	return `task_${taskId.toString().padStart(3, '0')}${suffix}.txt`;
+}
+
+/**
+ * Reads the tasks document and runs a change on it, under the tasks lock
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Function} fn - Function receiving the document, returns the result
+ * @returns {*} Whatever fn returns
+ */
+function updateTagsDocument(tasksPath, fn) {
+	const lock = acquireTasksLock(tasksPath);
+	try {
+		const data = readTasksDocument(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const result = fn(data);
+		writeTasks(tasksPath, data, { document: true });
+		return result;
+	} finally {
+		lock.release();
+	}
+}
+
+/**
+ * Lists the tags of a project
+ * @param {string} tasksPath - Path to the tasks file
+ * @returns {Array<Object>} Tags with their task counts, the current one flagged
+ */
+function listTags(tasksPath) {
+	const data = readTasksDocument(tasksPath);
+	if (!data) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	const currentTag = getActiveTag(tasksPath);
+	const workflow = getWorkflow(data.meta);
+	return getTagNames(data).map((name) => {
+		const tasks = getTagTasks(data, name);
+		return {
+			name,
+			current: name === currentTag,
+			taskCount: tasks.length,
+			completedCount: tasks.filter((task) =>
+				isDoneStatus(workflow, task.status)
+			).length,
+			description: data.tags?.[name]?.description || '',
+			createdAt: data.tags?.[name]?.createdAt || null
+		};
+	});
+}
+
+/**
+ * Creates a new, empty tag or a copy of an existing one
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} name - Name of the new tag
+ * @param {Object} options - Options
+ * @param {string} options.description - Description of the tag
+ * @param {string} options.copyFrom - Tag whose tasks are copied into the new tag
+ * @returns {Object} The new tag with its task count
+ */
+function addTag(tasksPath, name, options = {}) {
+	validateTagName(name);
+
+	return updateTagsDocument(tasksPath, (data) => {
+		if (hasTag(data, name)) {
+			throw createError('TAG_EXISTS', `Tag "${name}" already exists`);
+		}
+		if (options.copyFrom && !hasTag(data, options.copyFrom)) {
+			throw createError(
+				'TAG_NOT_FOUND',
+				`Tag "${options.copyFrom}" does not exist`
+			);
+		}
+
+		const tasks = options.copyFrom
+			? JSON.parse(JSON.stringify(getTagTasks(data, options.copyFrom)))
+			: [];
+
+		data.tags = {
+			...data.tags,
+			[name]: {
+				description: options.description || '',
+				createdAt: new Date().toISOString(),
+				tasks
+			}
+		};
+
+		log('info', `Created tag "${name}" with ${tasks.length} tasks`);
+		return { name, taskCount: tasks.length, copiedFrom: options.copyFrom };
+	});
+}
+
+/**
+ * Copies a tag, including all of its tasks, to a new tag
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} source - Tag to copy
+ * @param {string} target - Name of the new tag
+ * @param {Object} options - Options (description)
+ * @returns {Object} The new tag with its task count
+ */
+function copyTag(tasksPath, source, target, options = {}) {
+	return addTag(tasksPath, target, {
+		description: options.description || `Copy of "${source}"`,
+		copyFrom: source
+	});
+}
+
+/**
+ * Deletes a tag with all of its tasks and generated task files. If the tag
+ * was the current one, the default tag becomes current.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} name - Tag to delete
+ * @returns {Object} The deleted tag with its task count
+ */
+function deleteTag(tasksPath, name) {
+	if (name === DEFAULT_TAG) {
+		throw createError(
+			'CANNOT_DELETE_DEFAULT_TAG',
+			`The "${DEFAULT_TAG}" tag can't be deleted`
+		);
+	}
+
+	const deleted = updateTagsDocument(tasksPath, (data) => {
+		if (!hasTag(data, name)) {
+			throw createError('TAG_NOT_FOUND', `Tag "${name}" does not exist`);
+		}
+
+		const tasks = data.tags[name].tasks;
+		delete data.tags[name];
+		if (Object.keys(data.tags).length === 0) {
+			delete data.tags;
+		}
+		return { name, taskCount: tasks.length, taskIds: tasks.map((t) => t.id) };
+	});
+
+	deleted.taskIds.forEach((taskId) => {
+		const taskFile = path.join(
+			path.dirname(tasksPath),
+			getTaskFileName(taskId, name)
+		);
+		if (fs.existsSync(taskFile)) {
+			fs.unlinkSync(taskFile);
+		}
+	});
+
+	if (getCurrentTag(tasksPath) === name) {
+		setCurrentTag(tasksPath, DEFAULT_TAG);
+	}
+
+	log('info', `Deleted tag "${name}" with ${deleted.taskCount} tasks`);
+	return { name, taskCount: deleted.taskCount };
+}
+
+/**
+ * Makes a tag the current one for the project
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string} name - Tag to switch to
+ * @returns {Object} The tag with its task count
+ */
+function useTag(tasksPath, name) {
+	const data = readTasksDocument(tasksPath);
+	if (!data) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+	if (!hasTag(data, name)) {
+		throw createError('TAG_NOT_FOUND', `Tag "${name}" does not exist`);
+	}
+
+	setCurrentTag(tasksPath, name);
+	return { name, taskCount: getTagTasks(data, name).length };
+}
+
+export {
+	DEFAULT_TAG,
+	runWithTag,
+	setProcessTag,
+	getCurrentTag,
+	setCurrentTag,
+	getActiveTag,
+	validateTagName,
+	hasTag,
+	getTagNames,
+	getTagTasks,
+	extractTagView,
+	mergeTagView,
+	getTaskFileName,
+	listTags,
+	addTag,
+	copyTag,
+	deleteTag,
+	useTag
+};
@@ -0,0 +1,231 @@
+/**
+ * task-timeline.js
+ * Status history of tasks and subtasks, and the times derived from it
+ *
+ * Every status change is appended to the item's `statusHistory` as
+ * `{ status, from, at, source }`, where `source` says whether the change came
+ * from the CLI or the MCP server. The first entry of an item created by Task
+ * Master has no `from`. Lead time runs from that first entry to the moment
+ * the item reached a done status, cycle time from the first move into an
+ * active status (e.g. in-progress) to that same moment.
+ */
+
+import fs from 'fs';
+import { createError } from './utils.js';
+import { readTask, readTasksMeta } from './task-store.js';
+import { getCurrentOperation } from './task-history.js';
+import { findArchivedTask } from './task-archive.js';
+import {
+	getWorkflow,
+	getStatusCategory,
+	isDoneStatus
+} from './task-workflow.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Records a status change in the history of a task or subtask
+ * @param {Object} item - Task or subtask, after its status was changed
+ * @param {string|null} fromStatus - Previous status (null when the item is new)
+ * @param {string} toStatus - New status
+ * @param {Object} options - Options
+ * @param {string} options.at - Time of the change (default: now)
+ * @param {string} options.source - 'cli' or 'mcp' (default: the current operation's)
+ * @returns {boolean} False if the status didn't actually change
+ */
+function recordStatusChange(item, fromStatus, toStatus, options = {}) {
+	if (fromStatus === toStatus) {
+		return false;
+	}
+
+	if (!Array.isArray(item.statusHistory)) {
+		item.statusHistory = [];
+	}
+	item.statusHistory.push({
+		status: toStatus,
+		...(fromStatus ? { from: fromStatus } : {}),
+		at: options.at || new Date().toISOString(),
+		source: options.source || getCurrentOperation().source
+	});
+	return true;
+}
+
+/**
+ * Splits the history of an item into the periods it spent in each status
+ * @param {Object} item - Task or subtask
+ * @param {number} now - End of the current period (ms, default: now)
+ * @returns {Array<{status: string, start: string, end: string|null, duration: number}>} Periods, oldest first; the current one has no end
+ */
+function getStatusPeriods(item, now = Date.now()) {
+	const history = item.statusHistory || [];
+	return history.map((entry, index) => {
+		const next = history[index + 1];
+		const end = next ? Date.parse(next.at) : now;
+		return {
+			status: entry.status,
+			start: entry.at,
+			end: next ? next.at : null,
+			duration: Math.max(0, end - Date.parse(entry.at))
+		};
+	});
+}
+
+/**
+ * Gets the lead and cycle time of an item that is done
+ * @param {Object} item - Task or subtask
+ * @param {Object} workflow - Workflow deciding which statuses are active and done
+ * @returns {{createdAt: string|null, startedAt: string|null, doneAt: string|null, leadTime: number|null, cycleTime: number|null}} Times in ms, null when unknown
+ */
+function getItemTimes(item, workflow = getWorkflow()) {
+	const history = item.statusHistory || [];
+	const createdAt =
+		history.length > 0 && !history[0].from ? history[0].at : null;
+
+	let startedAt = null;
+	let doneAt = null;
+	history.forEach((entry) => {
+		if (!startedAt && getStatusCategory(workflow, entry.status) === 'active') {
+			startedAt = entry.at;
+		}
+		if (!isDoneStatus(workflow, entry.status)) {
+			doneAt = null;
+		} else if (!doneAt) {
+			doneAt = entry.at;
+		}
+	});
+	if (!isDoneStatus(workflow, item.status)) {
+		doneAt = null;
+	}
+
+	const between = (start, end) =>
+		start && end && Date.parse(end) >= Date.parse(start)
+			? Date.parse(end) - Date.parse(start)
+			: null;
+
+	return {
+		createdAt,
+		startedAt,
+		doneAt,
+		leadTime: between(createdAt, doneAt),
+		cycleTime: between(startedAt, doneAt)
+	};
+}
+
+/**
+ * Gets count, average and median of a list of durations
+ * @param {Array<number>} durations - Durations in ms
+ * @returns {{count: number, average: number|null, median: number|null}} Statistics
+ */
+function describeDurations(durations) {
+	if (durations.length === 0) {
+		return { count: 0, average: null, median: null };
+	}
+
+	const sorted = [...durations].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return {
+		count: sorted.length,
+		average: Math.round(
+			sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length
+		),
+		median:
+			sorted.length % 2 === 1
+				? sorted[middle]
+				: Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+	};
+}
+
+/**
+ * Summarizes the lead and cycle times of finished tasks. Tasks finished
+ * before their history was recorded are left out.
+ * @param {Array<Object>} tasks - Tasks
+ * @param {Object} workflow - Workflow
+ * @returns {{leadTime: Object, cycleTime: Object}} Count, average and median (ms) of each
+ */
+function summarizeTaskTimes(tasks, workflow = getWorkflow()) {
+	const times = tasks.map((task) => getItemTimes(task, workflow));
+	return {
+		leadTime: describeDurations(
+			times.map((time) => time.leadTime).filter((time) => time !== null)
+		),
+		cycleTime: describeDurations(
+			times.map((time) => time.cycleTime).filter((time) => time !== null)
+		)
+	};
+}
+
+/**
+ * Formats a duration for display, e.g. "2d 4h", "3h 15m" or "<1m"
+ * @param {number|null} duration - Duration in ms
+ * @returns {string} Formatted duration ("-" when unknown)
+ */
+function formatDuration(duration) {
+	if (duration === null || duration === undefined) {
+		return '-';
+	}
+	if (duration < MINUTE_MS) {
+		return '<1m';
+	}
+
+	const days = Math.floor(duration / DAY_MS);
+	const hours = Math.floor((duration % DAY_MS) / HOUR_MS);
+	const minutes = Math.floor((duration % HOUR_MS) / MINUTE_MS);
+	if (days > 0) {
+		return hours > 0 ? `${days}d ${hours}h` : `${days}d`;
+	}
+	if (hours > 0) {
+		return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+	}
+	return `${minutes}m`;
+}
+
+/**
+ * Gets the status timeline of a task or subtask, including archived tasks
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {string|number} taskId - Task or subtask ID (e.g. "3" or "3.2")
+ * @returns {Object} ID, title, current status, history entries, periods and times
+ */
+function getTaskTimeline(tasksPath, taskId) {
+	const id = String(taskId || '').trim();
+	if (!/^\d+(\.\d+)?$/.test(id)) {
+		throw createError(
+			'INVALID_TASK_ID',
+			`Invalid task ID: ${taskId || '(none)'}`
+		);
+	}
+
+	if (!fs.existsSync(tasksPath)) {
+		throw createError(
+			'TASKS_FILE_NOT_FOUND',
+			`No valid tasks found in ${tasksPath}`
+		);
+	}
+
+	// Only the task itself is loaded, archived tasks can still be looked up
+	const item =
+		readTask(tasksPath, id) || findArchivedTask(tasksPath, id) || null;
+	if (!item) {
+		throw createError('TASK_NOT_FOUND', `Task ${id} not found`);
+	}
+
+	const workflow = getWorkflow(readTasksMeta(tasksPath));
+	return {
+		id,
+		title: item.title,
+		status: item.status,
+		history: item.statusHistory || [],
+		periods: getStatusPeriods(item),
+		...getItemTimes(item, workflow)
+	};
+}
+
+export {
+	recordStatusChange,
+	getStatusPeriods,
+	getItemTimes,
+	summarizeTaskTimes,
+	formatDuration,
+	getTaskTimeline
+};
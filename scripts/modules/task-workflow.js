@@ -0,0 +1,503 @@
+/**
+ * task-workflow.js
+ * Status workflow: the statuses tasks can have and how they move between them
+ *
+ * A project can define its own workflow in `meta.workflow` of the tasks file,
+ * shared by all tags. Each status has a category that tells the rest of Task
+ * Master what it means: `todo` and `active` tasks can be picked up by `next`,
+ * `waiting` tasks are stuck (e.g. in review), `done` tasks satisfy
+ * dependencies and count as completed, and `closed` tasks (deferred,
+ * cancelled) are out of the way without being done. `transitions` lists the
+ * statuses each status may move to; statuses without an entry may move to
+ * any status. Without a workflow the default one below is used, which allows
+ * every transition.
+ */
+
+import { log, createError } from './utils.js';
+import { readTasksDocument, withTasksLock, writeTasks } from './task-store.js';
+import { DEFAULT_TAG, getTagNames, getTagTasks } from './task-tags.js';
+
+const STATUS_CATEGORIES = ['todo', 'active', 'waiting', 'done', 'closed'];
+
+// Statuses are typed on the command line and used in task files
+const STATUS_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Colors chalk knows by name, anything else has to be a hex color
+const COLOR_NAMES = [
+	'black',
+	'red',
+	'green',
+	'yellow',
+	'blue',
+	'magenta',
+	'cyan',
+	'white',
+	'gray',
+	'grey',
+	'redBright',
+	'greenBright',
+	'yellowBright',
+	'blueBright',
+	'magentaBright',
+	'cyanBright',
+	'whiteBright'
+];
+
+const DEFAULT_WORKFLOW = {
+	statuses: [
+		{
+			name: 'pending',
+			category: 'todo',
+			color: 'yellow',
+			icon: '⏱️',
+			tableIcon: '○'
+		},
+		{
+			name: 'in-progress',
+			category: 'active',
+			color: '#FFA500',
+			icon: '🔄',
+			tableIcon: '►'
+		},
+		{
+			name: 'review',
+			category: 'waiting',
+			color: 'magenta',
+			icon: '👀',
+			tableIcon: '?'
+		},
+		{
+			name: 'done',
+			category: 'done',
+			color: 'green',
+			icon: '✅',
+			tableIcon: '✓'
+		},
+		{
+			name: 'completed',
+			category: 'done',
+			color: 'green',
+			icon: '✅',
+			tableIcon: '✓'
+		},
+		{
+			name: 'deferred',
+			category: 'closed',
+			color: 'gray',
+			icon: '⏱️',
+			tableIcon: 'x'
+		},
+		{
+			name: 'blocked',
+			category: 'waiting',
+			color: 'red',
+			icon: '❌',
+			tableIcon: '!'
+		},
+		{
+			name: 'cancelled',
+			category: 'closed',
+			color: 'gray',
+			icon: '❌',
+			tableIcon: 'x'
+		}
+	],
+	initial: 'pending'
+};
+
+/**
+ * Validates a workflow definition and fills in the defaults
+ * @param {Object} definition - Workflow definition, as stored in meta.workflow
+ * @returns {Object} Workflow with statuses, initial status and transitions
+ */
+function normalizeWorkflow(definition) {
+	const invalid = (message) =>
+		createError('INVALID_WORKFLOW', `Invalid workflow: ${message}`);
+
+	if (
+		!definition ||
+		!Array.isArray(definition.statuses) ||
+		definition.statuses.length === 0
+	) {
+		throw invalid('"statuses" must be a non-empty list');
+	}
+
+	const statuses = definition.statuses.map((status) => {
+		const name = status?.name;
+		if (typeof name !== 'string' || !STATUS_NAME_PATTERN.test(name)) {
+			throw invalid(
+				`status name ${JSON.stringify(name)} must be lowercase letters, numbers and "-", starting with a letter`
+			);
+		}
+
+		const category = status.category || 'todo';
+		if (!STATUS_CATEGORIES.includes(category)) {
+			throw invalid(
+				`status "${name}" has an unknown category "${category}" (use ${STATUS_CATEGORIES.join(', ')})`
+			);
+		}
+
+		const color = status.color || 'white';
+		if (!COLOR_NAMES.includes(color) && !HEX_COLOR_PATTERN.test(color)) {
+			throw invalid(
+				`status "${name}" has an unknown color "${color}" (use a color name or #rrggbb)`
+			);
+		}
+
+		return {
+			name,
+			category,
+			color,
+			icon: status.icon || '•',
+			tableIcon: status.tableIcon || status.icon || '-'
+		};
+	});
+
+	const names = statuses.map((status) => status.name);
+	const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+	if (duplicate) {
+		throw invalid(`status "${duplicate}" is defined twice`);
+	}
+	if (!statuses.some((status) => status.category === 'done')) {
+		throw invalid('at least one status needs the "done" category');
+	}
+
+	const initial =
+		definition.initial ||
+		(statuses.find((status) => status.category === 'todo') || statuses[0]).name;
+	if (!names.includes(initial)) {
+		throw invalid(`initial status "${initial}" is not one of the statuses`);
+	}
+
+	const transitions = {};
+	Object.entries(definition.transitions || {}).forEach(([from, targets]) => {
+		if (!names.includes(from)) {
+			throw invalid(`transitions are defined for unknown status "${from}"`);
+		}
+		if (!Array.isArray(targets)) {
+			throw invalid(`transitions of "${from}" must be a list of statuses`);
+		}
+		const unknown = targets.find((target) => !names.includes(target));
+		if (unknown) {
+			throw invalid(
+				`"${from}" has a transition to unknown status "${unknown}"`
+			);
+		}
+		transitions[from] = [...new Set(targets)];
+	});
+
+	return { statuses, initial, transitions };
+}
+
+/**
+ * Gets the workflow of a project
+ * @param {Object} meta - Meta data of the tasks file
+ * @returns {Object} The project's workflow, or the default one
+ */
+function getWorkflow(meta) {
+	const workflow = normalizeWorkflow(meta?.workflow || DEFAULT_WORKFLOW);
+	return { ...workflow, custom: !!meta?.workflow };
+}
+
+/**
+ * Gets the definition of a status
+ * @param {Object} workflow - Workflow (see getWorkflow)
+ * @param {string} status - Status name
+ * @returns {Object|null} Status definition, or null for unknown statuses
+ */
+function getStatusDefinition(workflow, status) {
+	if (!status) {
+		return null;
+	}
+	const name = String(status).trim().toLowerCase();
+	return (
+		workflow.statuses.find((definition) => definition.name === name) || null
+	);
+}
+
+/**
+ * Gets the category of a status
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status name
+ * @returns {string|null} Category, or null for unknown statuses
+ */
+function getStatusCategory(workflow, status) {
+	return getStatusDefinition(workflow, status)?.category || null;
+}
+
+/**
+ * Checks whether a status counts as done, i.e. satisfies dependencies
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status name
+ * @returns {boolean} True for statuses in the "done" category
+ */
+function isDoneStatus(workflow, status) {
+	return getStatusCategory(workflow, status) === 'done';
+}
+
+/**
+ * Checks whether a status is closed without being done (e.g. cancelled)
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status name
+ * @returns {boolean} True for statuses in the "closed" category
+ */
+function isClosedStatus(workflow, status) {
+	return getStatusCategory(workflow, status) === 'closed';
+}
+
+/**
+ * Checks whether a status finishes a task, either done or closed
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status name
+ * @returns {boolean} True for statuses in the "done" and "closed" categories
+ */
+function isFinishedStatus(workflow, status) {
+	return ['done', 'closed'].includes(getStatusCategory(workflow, status));
+}
+
+/**
+ * Checks whether tasks with a status can be worked on
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status name
+ * @returns {boolean} True for statuses in the "todo" and "active" categories
+ */
+function isWorkableStatus(workflow, status) {
+	return ['todo', 'active'].includes(getStatusCategory(workflow, status));
+}
+
+/**
+ * Gets the statuses that count as done
+ * @param {Object} workflow - Workflow
+ * @returns {Array<string>} Status names
+ */
+function getDoneStatuses(workflow) {
+	return workflow.statuses
+		.filter((status) => status.category === 'done')
+		.map((status) => status.name);
+}
+
+/**
+ * Gets the statuses that finish a task, either done or closed
+ * @param {Object} workflow - Workflow
+ * @returns {Array<string>} Status names
+ */
+function getFinishedStatuses(workflow) {
+	return workflow.statuses
+		.filter((status) => isFinishedStatus(workflow, status.name))
+		.map((status) => status.name);
+}
+
+/**
+ * Simplifies a status for comparing it with the known ones, so that
+ * "In_Progress" matches "in-progress"
+ * @param {string} status - Status
+ * @returns {string} Letters and digits of the status in lowercase
+ */
+function simplifyStatus(status) {
+	return String(status)
+		.toLowerCase()
+		.replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Resolves a status given by the user to a status of the workflow
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Status as typed
+ * @returns {string} Status name
+ */
+function resolveStatus(workflow, status) {
+	const definition = getStatusDefinition(workflow, status);
+	if (definition) {
+		return definition.name;
+	}
+
+	const names = workflow.statuses.map((item) => item.name);
+	const suggestion = status
+		? names.find((name) => simplifyStatus(name) === simplifyStatus(status))
+		: null;
+	throw createError(
+		'INVALID_STATUS',
+		`Unknown status "${status}".${suggestion ? ` Did you mean "${suggestion}"?` : ''} Valid statuses: ${names.join(', ')}`
+	);
+}
+
+/**
+ * Gets the statuses a status may move to
+ * @param {Object} workflow - Workflow
+ * @param {string} status - Current status
+ * @returns {Array<string>} Status names
+ */
+function getAllowedTransitions(workflow, status) {
+	const definition = getStatusDefinition(workflow, status);
+	if (definition && workflow.transitions[definition.name]) {
+		return workflow.transitions[definition.name];
+	}
+	return workflow.statuses.map((item) => item.name);
+}
+
+/**
+ * Checks that a task may move from one status to another. Tasks keep their
+ * status and tasks with a status the workflow doesn't know may move anywhere.
+ * @param {Object} workflow - Workflow
+ * @param {string} from - Current status
+ * @param {string} to - New status (a status of the workflow)
+ * @param {string} itemName - Name of the task for the error, e.g. "task 3"
+ */
+function checkStatusTransition(workflow, from, to, itemName) {
+	const current = getStatusDefinition(workflow, from);
+	if (!current || current.name === to) {
+		return;
+	}
+
+	const allowed = getAllowedTransitions(workflow, current.name);
+	if (!allowed.includes(to)) {
+		throw createError(
+			'INVALID_STATUS_TRANSITION',
+			`Cannot move ${itemName} from "${current.name}" to "${to}". Allowed: ${allowed.join(', ') || 'none'}`
+		);
+	}
+}
+
+/**
+ * Counts the tasks with each status of the workflow
+ * @param {Array} items - Tasks or subtasks
+ * @param {Object} workflow - Workflow
+ * @returns {Object} Number of items per status, in workflow order
+ */
+function countStatuses(items, workflow) {
+	const counts = {};
+	workflow.statuses.forEach(({ name }) => {
+		counts[name] = items.filter(
+			(item) => (item.status || workflow.initial) === name
+		).length;
+	});
+	return counts;
+}
+
+/**
+ * Breaks a list of tasks down by status, for the progress bars
+ * @param {Array} items - Tasks or subtasks
+ * @param {Object} workflow - Workflow
+ * @returns {Object} Percentage of the items per status that isn't done
+ */
+function getStatusBreakdown(items, workflow) {
+	const breakdown = {};
+	if (items.length === 0) {
+		return breakdown;
+	}
+
+	const counts = countStatuses(items, workflow);
+	workflow.statuses
+		.filter((status) => status.category !== 'done')
+		.forEach(({ name }) => {
+			breakdown[name] = (counts[name] / items.length) * 100;
+		});
+	return breakdown;
+}
+
+/**
+ * Finds tasks and subtasks in any tag with a status the workflow doesn't know
+ * @param {Object} data - Stored tasks document
+ * @param {Object} workflow - Workflow
+ * @returns {Array<{tag: string, id: string, status: string}>} Tasks with unknown statuses
+ */
+function findUnknownStatuses(data, workflow) {
+	const unknown = [];
+	getTagNames(data).forEach((tag) => {
+		getTagTasks(data, tag).forEach((task) => {
+			[task, ...(task.subtasks || [])].forEach((item) => {
+				if (item.status && !getStatusDefinition(workflow, item.status)) {
+					unknown.push({
+						tag,
+						id: item === task ? String(task.id) : `${task.id}.${item.id}`,
+						status: item.status
+					});
+				}
+			});
+		});
+	});
+	return unknown;
+}
+
+/**
+ * Sets or removes the workflow of a project. Refuses workflows that don't
+ * know the status of an existing task.
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object|null} definition - Workflow definition, null for the default workflow
+ * @returns {Object} The workflow now in use
+ */
+function setWorkflow(tasksPath, definition) {
+	const workflow = definition
+		? normalizeWorkflow(definition)
+		: normalizeWorkflow(DEFAULT_WORKFLOW);
+
+	return withTasksLock(tasksPath, () => {
+		const data = readTasksDocument(tasksPath);
+		if (!data) {
+			throw createError(
+				'TASKS_FILE_NOT_FOUND',
+				`No valid tasks found in ${tasksPath}`
+			);
+		}
+
+		const unknown = findUnknownStatuses(data, workflow);
+		if (unknown.length > 0) {
+			const list = unknown
+				.slice(0, 5)
+				.map(
+					({ tag, id, status }) =>
+						`${id} (${status}${tag === DEFAULT_TAG ? '' : `, tag ${tag}`})`
+				)
+				.join(', ');
+			throw createError(
+				'UNKNOWN_STATUSES',
+				`${unknown.length} task(s) have a status the workflow doesn't define: ${list}${unknown.length > 5 ? ', ...' : ''}. Change their status first.`
+			);
+		}
+
+		data.meta = data.meta || {};
+		if (definition) {
+			data.meta.workflow = {
+				statuses: workflow.statuses,
+				initial: workflow.initial,
+				...(Object.keys(workflow.transitions).length > 0 && {
+					transitions: workflow.transitions
+				})
+			};
+		} else {
+			delete data.meta.workflow;
+		}
+		writeTasks(tasksPath, data, { document: true });
+
+		log(
+			'info',
+			definition
+				? `Workflow set with ${workflow.statuses.length} statuses`
+				: 'Workflow reset to the default statuses'
+		);
+		return getWorkflow(data.meta);
+	});
+}
+
+export {
+	STATUS_CATEGORIES,
+	DEFAULT_WORKFLOW,
+	normalizeWorkflow,
+	getWorkflow,
+	getStatusDefinition,
+	getStatusCategory,
+	isDoneStatus,
+	isClosedStatus,
+	isFinishedStatus,
+	isWorkableStatus,
+	getDoneStatuses,
+	getFinishedStatuses,
+	resolveStatus,
+	getAllowedTransitions,
+	checkStatusTransition,
+	countStatuses,
+	getStatusBreakdown,
+	findUnknownStatuses,
+	setWorkflow
+};
@@ -13,13 +13,49 @@ import {
 	CONFIG,
 	log,
 	findTaskById,
-	readJSON,
+	findTaskPath,
+	flattenSubtasks,
 	readComplexityReport,
 	truncate
 } from './utils.js';
+import {
+	readTasks,
+	readTask,
+	readTasksMeta,
+	queryTasks
+} from './task-store.js';
+import {
+	readArchivedTasks,
+	findArchivedTask,
+	getArchivePath
+} from './task-archive.js';
 import path from 'path';
 import fs from 'fs';
-import { findNextTask, analyzeTaskComplexity } from './task-manager.js';
+import {
+	rankNextTasks,
+	findNextSubtask,
+	analyzeTaskComplexity
+} from './task-manager.js';
+import {
+	parseTaskFilters,
+	hasTaskFilters,
+	describeTaskFilters
+} from './task-fields.js';
+import {
+	getWorkflow,
+	getStatusDefinition,
+	getStatusCategory,
+	isDoneStatus,
+	isClosedStatus,
+	countStatuses,
+	getStatusBreakdown,
+	getAllowedTransitions
+} from './task-workflow.js';
+import { formatDuration } from './task-timeline.js';
+import { isOverdue } from './task-schedule.js';
+import { SCORING_FACTORS, getScoringOptions } from './task-scoring.js';
+import { getActiveClaim, listClaims } from './task-claims.js';
+import { getEpics } from './task-epics.js';
 
 // Create a color gradient for the banner
 const coolGradient = gradient(['#00b4d8', '#0077b6', '#03045e']);
@@ -99,16 +135,22 @@ function stopLoadingIndicator(spinner) {
  * @param {number} percent - The completion percentage
  * @param {number} length - The total length of the progress bar in characters
  * @param {Object} statusBreakdown - Optional breakdown of non-complete statuses (e.g., {pending: 20, 'in-progress': 10})
+ * @param {Object} workflow - Workflow that defines the status colors and which statuses are closed
  * @returns {string} The formatted progress bar
  */
-function createProgressBar(percent, length = 30, statusBreakdown = null) {
-	// Adjust the percent to treat deferred and cancelled as complete
+function createProgressBar(
+	percent,
+	length = 30,
+	statusBreakdown = null,
+	workflow = getWorkflow()
+) {
+	// Adjust the percent to treat closed statuses (deferred, cancelled) as complete
 	const effectivePercent = statusBreakdown
 		? Math.min(
 				100,
-				percent +
-					(statusBreakdown.deferred || 0) +
-					(statusBreakdown.cancelled || 0)
+				Object.entries(statusBreakdown)
+					.filter(([status]) => isClosedStatus(workflow, status))
+					.reduce((sum, [, value]) => sum + value, percent)
 			)
 		: percent;
 
@@ -153,21 +195,13 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 	let remainingSection = '';
 
 	if (statusBreakdown && empty > 0) {
-		// Status colors (matching the statusConfig colors in getStatusWithColor)
-		const statusColors = {
-			pending: chalk.yellow,
-			'in-progress': chalk.hex('#FFA500'), // Orange
-			blocked: chalk.red,
-			review: chalk.magenta
-			// Deferred and cancelled are treated as part of the completed section
-		};
+		// Done and closed statuses are part of the completed sections
+		const isRemaining = (status) =>
+			!isDoneStatus(workflow, status) && !isClosedStatus(workflow, status);
 
 		// Calculate proportions for each status
 		const totalRemaining = Object.entries(statusBreakdown)
-			.filter(
-				([status]) =>
-					!['deferred', 'cancelled', 'done', 'completed'].includes(status)
-			)
+			.filter(([status]) => isRemaining(status))
 			.reduce((sum, [_, val]) => sum + val, 0);
 
 		// If no remaining tasks with tracked statuses, just use gray
@@ -180,8 +214,7 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 			// Add each status section proportionally
 			for (const [status, percentage] of Object.entries(statusBreakdown)) {
 				// Skip statuses that are considered complete
-				if (['deferred', 'cancelled', 'done', 'completed'].includes(status))
-					continue;
+				if (!isRemaining(status)) continue;
 
 				// Calculate how many characters this status should fill
 				const statusChars = Math.round((percentage / totalRemaining) * empty);
@@ -190,7 +223,9 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 				const actualChars = Math.min(statusChars, empty - addedChars);
 
 				// Add colored section for this status
-				const colorFn = statusColors[status] || chalk.gray;
+				const colorFn = getStatusDefinition(workflow, status)
+					? getStatusColor(status, workflow)
+					: chalk.gray;
 				remainingSection += colorFn('░'.repeat(actualChars));
 
 				addedChars += actualChars;
@@ -218,51 +253,69 @@ function createProgressBar(percent, length = 30, statusBreakdown = null) {
 	return `${completedSection}${deferredCancelledSection}${remainingSection} ${percentTextColor(`${effectivePercent.toFixed(0)}%`)}`;
 }
 
+/**
+ * Get the chalk color function of a status
+ * @param {string} status - Task status
+ * @param {Object} workflow - Workflow that defines the status colors
+ * @returns {Function} Chalk color function (red for unknown statuses)
+ */
+function getStatusColor(status, workflow = getWorkflow()) {
+	const definition = getStatusDefinition(workflow, status);
+	if (!definition) {
+		return chalk.red;
+	}
+	return definition.color.startsWith('#')
+		? chalk.hex(definition.color)
+		: chalk[definition.color];
+}
+
 /**
  * Get a colored status string based on the status value
  * @param {string} status - Task status (e.g., "done", "pending", "in-progress")
  * @param {boolean} forTable - Whether the status is being displayed in a table
+ * @param {Object} workflow - Workflow that defines the status colors and icons
  * @returns {string} Colored status string
  */
-function getStatusWithColor(status, forTable = false) {
+function getStatusWithColor(
+	status,
+	forTable = false,
+	workflow = getWorkflow()
+) {
 	if (!status) {
 		return chalk.gray('❓ unknown');
 	}
 
-	const statusConfig = {
-		done: { color: chalk.green, icon: '✅', tableIcon: '✓' },
-		completed: { color: chalk.green, icon: '✅', tableIcon: '✓' },
-		pending: { color: chalk.yellow, icon: '⏱️', tableIcon: '⏱' },
-		'in-progress': { color: chalk.hex('#FFA500'), icon: '🔄', tableIcon: '►' },
-		deferred: { color: chalk.gray, icon: '⏱️', tableIcon: '⏱' },
-		blocked: { color: chalk.red, icon: '❌', tableIcon: '✗' },
-		review: { color: chalk.magenta, icon: '👀', tableIcon: '👁' },
-		cancelled: { color: chalk.gray, icon: '❌', tableIcon: '✗' }
-	};
+	const definition = getStatusDefinition(workflow, status);
+	if (!definition) {
+		return chalk.red(`${forTable ? 'x' : '❌'} ${status}`);
+	}
 
-	const config = statusConfig[status.toLowerCase()] || {
-		color: chalk.red,
-		icon: '❌',
-		tableIcon: '✗'
-	};
+	// Tables use the simpler icons to prevent border issues
+	const icon = forTable ? definition.tableIcon : definition.icon;
+	return getStatusColor(status, workflow)(`${icon} ${status}`);
+}
+
+/**
+ * Format how many tasks have each status of a workflow
+ * @param {Array} items - Tasks or subtasks
+ * @param {Object} workflow - Workflow
+ * @returns {string} Colored counts of the statuses in use, three per line
+ */
+function formatStatusCounts(items, workflow) {
+	const statusCounts = countStatuses(items, workflow);
+	const counts = workflow.statuses
+		.map((definition) => ({ definition, count: statusCounts[definition.name] }))
+		.filter(({ count }) => count > 0)
+		.map(
+			({ definition, count }) =>
+				`${getStatusColor(definition.name, workflow)(`${definition.tableIcon} ${definition.name}:`)} ${count}`
+		);
 
-	// Use simpler icons for table display to prevent border issues
-	if (forTable) {
-		// Use ASCII characters instead of Unicode for completely stable display
-		const simpleIcons = {
-			done: '✓',
-			completed: '✓',
-			pending: '○',
-			'in-progress': '►',
-			deferred: 'x',
-			blocked: '!', // Using plain x character for better compatibility
-			review: '?' // Using circled dot symbol
-		};
-		const simpleIcon = simpleIcons[status.toLowerCase()] || 'x';
-		return config.color(`${simpleIcon} ${status}`);
-	}
-
-	return config.color(`${config.icon} ${status}`);
+	const lines = [];
+	for (let i = 0; i < counts.length; i += 3) {
+		lines.push(counts.slice(i, i + 3).join('  '));
+	}
+	return lines.join('\n');
 }
 
 /**
@@ -270,12 +323,17 @@ function getStatusWithColor(status, forTable = false) {
  * @param {Array} dependencies - Array of dependency IDs
  * @param {Array} allTasks - Array of all tasks
  * @param {boolean} forConsole - Whether the output is for console display
+ * @param {Object} workflow - Workflow that defines which statuses are done
+ * @param {number|string} parentId - For the dependencies of a subtask, the ID
+ *   of its parent task or subtask: numeric IDs then refer to sibling subtasks
  * @returns {string} Formatted dependencies string
  */
 function formatDependenciesWithStatus(
 	dependencies,
 	allTasks,
-	forConsole = false
+	forConsole = false,
+	workflow = getWorkflow(),
+	parentId = null
 ) {
 	if (
 		!dependencies ||
@@ -286,24 +344,16 @@ function formatDependenciesWithStatus(
 	}
 
 	const formattedDeps = dependencies.map((depId) => {
-		const depIdStr = depId.toString(); // Ensure string format for display
-
-		// Check if it's already a fully qualified subtask ID (like "22.1")
+		// Sibling subtasks are shown with their full ID (e.g. "22.1")
+		const depIdStr =
+			parentId !== null && typeof depId === 'number' && depId < 100
+				? `${parentId}.${depId}`
+				: depId.toString();
+
+		// Check if it's already a fully qualified subtask ID (like "22.1" or
+		// "22.1.3")
 		if (depIdStr.includes('.')) {
-			const [parentId, subtaskId] = depIdStr
-				.split('.')
-				.map((id) => parseInt(id, 10));
-
-			// Find the parent task
-			const parentTask = allTasks.find((t) => t.id === parentId);
-			if (!parentTask || !parentTask.subtasks) {
-				return forConsole
-					? chalk.red(`${depIdStr} (Not found)`)
-					: `${depIdStr} (Not found)`;
-			}
-
-			// Find the subtask
-			const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
+			const subtask = findTaskPath(allTasks, depIdStr)?.item;
 			if (!subtask) {
 				return forConsole
 					? chalk.red(`${depIdStr} (Not found)`)
@@ -311,10 +361,9 @@ function formatDependenciesWithStatus(
 			}
 
 			// Format with status
-			const status = subtask.status || 'pending';
-			const isDone =
-				status.toLowerCase() === 'done' || status.toLowerCase() === 'completed';
-			const isInProgress = status.toLowerCase() === 'in-progress';
+			const status = subtask.status || workflow.initial;
+			const isDone = isDoneStatus(workflow, status);
+			const isInProgress = getStatusCategory(workflow, status) === 'active';
 
 			if (forConsole) {
 				if (isDone) {
@@ -348,10 +397,9 @@ function formatDependenciesWithStatus(
 		}
 
 		// Format with status
-		const status = depTask.status || 'pending';
-		const isDone =
-			status.toLowerCase() === 'done' || status.toLowerCase() === 'completed';
-		const isInProgress = status.toLowerCase() === 'in-progress';
+		const status = depTask.status || workflow.initial;
+		const isDone = isDoneStatus(workflow, status);
+		const isInProgress = getStatusCategory(workflow, status) === 'active';
 
 		if (forConsole) {
 			if (isDone) {
@@ -393,13 +441,28 @@ function displayHelp() {
 			commands: [
 				{
 					name: 'parse-prd',
-					args: '--input=<file.txt> [--tasks=10]',
+					args: '--input=<file.txt> [--tasks=10] [--epics]',
 					desc: 'Generate tasks from a PRD document'
 				},
 				{
 					name: 'generate',
-					args: '',
+					args: '[--force]',
 					desc: 'Create individual task files from tasks.json'
+				},
+				{
+					name: 'import',
+					args: '<file> [--format=<csv|markdown|github>] [--map=<field=column>] [--dry-run]',
+					desc: 'Import tasks from CSV, Markdown checklists or GitHub issues'
+				},
+				{
+					name: 'export',
+					args: '[--format=<markdown|csv|html|json>] [--output=<file>] [--status=<status>] [--epic=<id>]',
+					desc: 'Export tasks as a report for reading outside the terminal'
+				},
+				{
+					name: 'sync-files',
+					args: '[--prefer=<file|tasks>] [--dry-run]',
+					desc: 'Merge edits in task files back into tasks.json'
 				}
 			]
 		},
@@ -409,12 +472,12 @@ function displayHelp() {
 			commands: [
 				{
 					name: 'list',
-					args: '[--status=<status>] [--with-subtasks]',
+					args: '[--status=<status>] [--with-subtasks] [--include-archived] [--label=<labels>] [--field=<name=value>] [--epic=<id>] [--by-epic]',
 					desc: 'List all tasks with their status'
 				},
 				{
 					name: 'set-status',
-					args: '--id=<id> --status=<status>',
+					args: '--id=<id> --status=<status> [--force]',
 					desc: 'Update task status (done, pending, etc.)'
 				},
 				{
@@ -424,7 +487,7 @@ function displayHelp() {
 				},
 				{
 					name: 'add-task',
-					args: '--prompt="<text>" [--dependencies=<ids>] [--priority=<priority>]',
+					args: '--prompt="<text>" [--dependencies=<ids>] [--priority=<priority>] [--label=<labels>] [--field=<name=value>] [--due=<date>] [--estimate=<hours>] [--epic=<id>]',
 					desc: 'Add a new task using AI'
 				},
 				{
@@ -436,6 +499,101 @@ function displayHelp() {
 					name: 'remove-dependency',
 					args: '--id=<id> --depends-on=<id>',
 					desc: 'Remove a dependency from a task'
+				},
+				{
+					name: 'archive',
+					args: '[--older-than=<days>] [--status=<status>] [--dry-run]',
+					desc: 'Move completed tasks out of tasks.json into the archive'
+				},
+				{
+					name: 'move',
+					args: '--from=<id> --to=<id>',
+					desc: 'Move a task or subtask to a new ID, rewriting dependencies'
+				},
+				{
+					name: 'renumber',
+					args: '',
+					desc: 'Renumber tasks and subtasks from 1, closing the gaps'
+				},
+				{
+					name: 'split',
+					args: '--id=<id> [--title=<title>...] [--count=<number>] [--prompt="<text>"]',
+					desc: 'Split a task into several tasks, drafted by AI or given by title'
+				},
+				{
+					name: 'merge',
+					args: '--ids=<ids> [--title=<title>] [--manual] [--prompt="<text>"]',
+					desc: 'Merge tasks with their details and subtasks into the first one'
+				},
+				{
+					name: 'label',
+					args: '',
+					desc: 'List the labels in use and how many tasks have each'
+				},
+				{
+					name: 'label add',
+					args: '--id=<ids> --label=<labels>',
+					desc: 'Add labels to tasks and subtasks'
+				},
+				{
+					name: 'label remove',
+					args: '--id=<ids> --label=<labels>',
+					desc: 'Remove labels from tasks and subtasks'
+				},
+				{
+					name: 'epic',
+					args: '',
+					desc: 'List the epics and milestones with their progress'
+				},
+				{
+					name: 'epic add',
+					args: '--title="<title>" [--goal="<goal>"] [--target-date=<date>]',
+					desc: 'Add an epic, or a milestone with a target date'
+				},
+				{
+					name: 'epic update',
+					args: '--id=<id> [--title="<title>"] [--goal="<goal>"] [--target-date=<date>]',
+					desc: 'Change the title, goal or target date of an epic'
+				},
+				{
+					name: 'epic remove',
+					args: '--id=<id> [-y]',
+					desc: 'Remove an epic, keeping its tasks'
+				},
+				{
+					name: 'epic assign',
+					args: '--id=<id|none> --tasks=<ids>',
+					desc: 'Move tasks into an epic, or out of their epic'
+				},
+				{
+					name: 'set-schedule',
+					args: '--id=<ids> [--due=<date>] [--estimate=<hours>]',
+					desc: 'Set the due date and estimate of tasks and subtasks'
+				},
+				{
+					name: 'forecast',
+					args: '[--people=<n>] [--hours-per-day=<h>] [--start=<date>] [--save]',
+					desc: 'Forecast finish dates and flag tasks that will miss their due date'
+				},
+				{
+					name: 'timeline',
+					args: '--id=<id>',
+					desc: 'Show the status history of a task, with its lead and cycle time'
+				},
+				{
+					name: 'workflow',
+					args: '[--json]',
+					desc: 'Show the statuses and allowed status changes'
+				},
+				{
+					name: 'workflow set',
+					args: '--from=<file>',
+					desc: 'Use a custom status workflow from a JSON file'
+				},
+				{
+					name: 'workflow reset',
+					args: '',
+					desc: 'Go back to the default status workflow'
 				}
 			]
 		},
@@ -476,13 +634,33 @@ function displayHelp() {
 			commands: [
 				{
 					name: 'next',
-					args: '',
+					args: '[--label=<labels>] [--field=<name=value>] [--epic=<id>] [--owner=<owner>] [--explain]',
 					desc: 'Show the next task to work on based on dependencies'
 				},
+				{
+					name: 'claim',
+					args: '--id=<id>|--next [--owner=<owner>] [--lease=<minutes>]',
+					desc: 'Reserve a task so other agents skip it'
+				},
+				{
+					name: 'release',
+					args: '--id=<id> [--owner=<owner>]',
+					desc: 'Release a claimed task'
+				},
+				{
+					name: 'scoring',
+					args: '[--weight=<factor=n>] [--label-weight=<label=n>] [--reset]',
+					desc: 'Show or change how next ranks the tasks'
+				},
 				{
 					name: 'show',
 					args: '<id>',
 					desc: 'Display detailed information about a specific task'
+				},
+				{
+					name: 'log',
+					args: '--id=<id> [--kind=<kind>] [--note="<text>"] [--author=<name>]',
+					desc: 'Show the notes of a task and its subtasks, or add one'
 				}
 			]
 		},
@@ -499,6 +677,93 @@ function displayHelp() {
 					name: 'fix-dependencies',
 					args: '',
 					desc: 'Fix invalid dependencies automatically'
+				},
+				{
+					name: 'critical-path',
+					args: '[--by=<complexity|estimate|count>] [--json]',
+					desc: 'Show the critical path and the tasks that can run in parallel'
+				},
+				{
+					name: 'graph',
+					args: '[--format=<mermaid|dot|ascii>] [--subtasks] [--focus=<id>]',
+					desc: 'Draw the dependency graph, colored by status'
+				},
+				{
+					name: 'impact',
+					args: '--id=<ids> [--status=<status>]',
+					desc: 'Show what removing a task or changing its status affects'
+				}
+			]
+		},
+		{
+			title: 'Task Lists',
+			color: 'green',
+			commands: [
+				{
+					name: 'tags',
+					args: '',
+					desc: 'List the task lists (tags) and show the current one'
+				},
+				{
+					name: 'tags add',
+					args: '<name> [--copy-from=<tag>]',
+					desc: 'Create a new, empty task list or a copy of one'
+				},
+				{
+					name: 'tags use',
+					args: '<name>',
+					desc: 'Switch the current task list'
+				},
+				{
+					name: 'tags copy',
+					args: '<source> <target>',
+					desc: 'Copy a task list with all of its tasks'
+				},
+				{
+					name: 'tags delete',
+					args: '<name> [--yes]',
+					desc: 'Delete a task list with all of its tasks'
+				},
+				{
+					name: '--tag',
+					args: '<name>',
+					desc: 'Run any command against another task list'
+				}
+			]
+		},
+		{
+			title: 'Data Management',
+			color: 'magenta',
+			commands: [
+				{
+					name: 'validate-schema',
+					args: '[--migrate]',
+					desc: 'Check tasks.json against the schema and report every violation'
+				},
+				{
+					name: 'history',
+					args: '[--limit=<n>]',
+					desc: 'Show the operations recorded in the undo history'
+				},
+				{
+					name: 'undo',
+					args: '[--force]',
+					desc: 'Revert the latest change made to tasks.json'
+				},
+				{
+					name: 'redo',
+					args: '[--force]',
+					desc: 'Re-apply the most recently undone change'
+				},
+				{
+					name: 'storage-export',
+					args: '--output=<file> [--force]',
+					desc: 'Copy all tasks to another file (.db for SQLite)'
+				},
+				{
+					name: 'storage-import',
+					args: '--input=<file> [--force]',
+					desc: 'Replace the tasks with the contents of another file'
 				}
 			]
 		}
@@ -666,28 +931,191 @@ function truncateString(str, maxLength) {
 	return str.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Formats who holds a task and for how long
+ * @param {Object} claim - Active claim (see getActiveClaim)
+ * @returns {string} Owner and time left on the lease
+ */
+function formatClaim(claim) {
+	return `${chalk.cyan(claim.owner)} ${chalk.gray(`(lease ends in ${formatDuration(Date.parse(claim.expiresAt) - Date.now())})`)}`;
+}
+
+/**
+ * Formats the epic, claim, due date, estimate, labels and custom fields of a
+ * task or subtask as rows for the task details tables
+ * @param {Object} task - Task or subtask
+ * @param {Object} workflow - Workflow, to tell whether the task is overdue
+ * @param {Array} epics - Epics of the project, for the title of the task's epic
+ * @returns {Array<Array<string>>} Table rows (none when there are no such values)
+ */
+function formatMetadataRows(task, workflow = getWorkflow(), epics = []) {
+	const rows = [];
+	if (task.epic) {
+		const epic = epics.find((e) => e.id === task.epic);
+		rows.push([
+			chalk.cyan.bold('Epic:'),
+			epic
+				? `${chalk.magenta(epic.title)} ${chalk.gray(`(${epic.id})`)}`
+				: chalk.magenta(task.epic)
+		]);
+	}
+	const claim = getActiveClaim(task);
+	if (claim) {
+		rows.push([chalk.cyan.bold('Claimed by:'), formatClaim(claim)]);
+	}
+	if (task.dueDate) {
+		rows.push([
+			chalk.cyan.bold('Due date:'),
+			isOverdue(task, workflow)
+				? chalk.red.bold(`${task.dueDate} (overdue)`)
+				: task.dueDate
+		]);
+	}
+	if (typeof task.estimate === 'number') {
+		rows.push([chalk.cyan.bold('Estimate:'), `${task.estimate}h`]);
+	}
+	if (task.labels && task.labels.length > 0) {
+		rows.push([
+			chalk.cyan.bold('Labels:'),
+			task.labels.map((label) => chalk.magenta(label)).join(', ')
+		]);
+	}
+	if (task.fields && Object.keys(task.fields).length > 0) {
+		rows.push([
+			chalk.cyan.bold('Fields:'),
+			Object.entries(task.fields)
+				.map(([name, value]) => `${chalk.white(name)}: ${value}`)
+				.join('\n')
+		]);
+	}
+	return rows;
+}
+
+/**
+ * Formats the points a factor or label adds to a score
+ * @param {number} points - Points
+ * @returns {string} Signed points, in gray when they are 0
+ */
+function formatScorePoints(points) {
+	const text = `${points < 0 ? '-' : '+'}${Math.abs(points).toFixed(2)}`;
+	return points === 0 ? chalk.gray(text) : text;
+}
+
+/**
+ * Display how the candidates for the next task were scored
+ * @param {Array} ranked - Candidates from rankNextTasks, best first
+ * @param {Object} settings - Scoring settings the candidates were scored with
+ * @param {number} limit - Number of candidates to show
+ */
+function displayTaskRanking(ranked, settings, limit) {
+	// Factors without weight add nothing and only take up room
+	const factors = Object.keys(SCORING_FACTORS).filter(
+		(factor) => settings.weights[factor] !== 0
+	);
+	const hasLabels = Object.keys(settings.labels).length > 0;
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('#'),
+			chalk.cyan.bold('ID'),
+			chalk.cyan.bold('Title'),
+			chalk.cyan.bold('Score'),
+			...factors.map((factor) => chalk.cyan.bold(factor)),
+			...(hasLabels ? [chalk.cyan.bold('labels')] : [])
+		],
+		wordWrap: true
+	});
+	ranked.slice(0, limit).forEach((candidate, index) => {
+		const labelPoints = Object.values(candidate.labels).reduce(
+			(sum, points) => sum + points,
+			0
+		);
+		table.push([
+			index + 1,
+			candidate.task.id,
+			truncate(candidate.task.title, 40),
+			chalk.white.bold(candidate.score.toFixed(2)),
+			...factors.map((factor) =>
+				formatScorePoints(candidate.factors[factor].points)
+			),
+			...(hasLabels ? [formatScorePoints(labelPoints)] : [])
+		]);
+	});
+
+	console.log(
+		boxen(chalk.white.bold('Candidate Ranking'), {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor: 'cyan',
+			borderStyle: 'round',
+			margin: { top: 1, bottom: 0 }
+		})
+	);
+	console.log(table.toString());
+	console.log(
+		chalk.gray(
+			`${ranked.length} task(s) can be started${ranked.length > limit ? `, showing the first ${limit}` : ''}. ` +
+				`Each column is the factor's value times its weight, see ${chalk.yellow('task-master scoring')}.`
+		)
+	);
+}
+
 /**
  * Display the next task to work on
  * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} filters - Only consider tasks with these labels and custom field values
+ * @param {string|Array<string>} filters.labels - Labels
+ * @param {string|Array<string>} filters.fields - Field values, e.g. ["owner=alice"]
+ * @param {Object} options - Display options
+ * @param {boolean} options.explain - Show the score of each candidate
+ * @param {number} options.limit - Number of candidates to explain (default: 10)
+ * @param {string} options.owner - Owner asking; tasks claimed by anyone else are skipped
  */
-async function displayNextTask(tasksPath) {
+async function displayNextTask(tasksPath, filters = {}, options = {}) {
 	displayBanner();
 
 	// Read the tasks file
-	const data = readJSON(tasksPath);
+	const data = readTasks(tasksPath);
 	if (!data || !data.tasks) {
 		log('error', 'No valid tasks found.');
 		process.exit(1);
 	}
 
-	// Find the next task
-	const nextTask = findNextTask(data.tasks);
+	// Find the next task (done archived tasks satisfy dependencies)
+	const archivedTasks = readArchivedTasks(tasksPath);
+	const taskFilters = parseTaskFilters(filters, data.meta);
+	const workflow = getWorkflow(data.meta);
+	const scoring = getScoringOptions(data.meta);
+	const ranked = rankNextTasks(
+		data.tasks,
+		archivedTasks,
+		taskFilters,
+		workflow,
+		{
+			...scoring,
+			owner: options.owner
+		}
+	);
+	const nextTask = ranked.length > 0 ? ranked[0].task : null;
+	// The subtask of the next task to work on, if it has any
+	const nextSubtask = findNextSubtask(
+		nextTask,
+		data.tasks,
+		archivedTasks,
+		taskFilters,
+		workflow,
+		{ owner: options.owner }
+	);
 
 	if (!nextTask) {
 		console.log(
 			boxen(
 				chalk.yellow('No eligible tasks found!\n\n') +
-					'All pending tasks have unsatisfied dependencies, or all tasks are completed.',
+					(hasTaskFilters(taskFilters)
+						? `No pending task with ${describeTaskFilters(taskFilters)} has all of its dependencies satisfied.`
+						: 'All pending tasks have unsatisfied dependencies, or all tasks are completed.') +
+					(listClaims(data.tasks).some((claim) => claim.owner !== options.owner)
+						? `\n\nTasks claimed by someone else are skipped, run ${chalk.cyan('task-master list')} to see who holds what.`
+						: ''),
 				{
 					padding: { top: 0, bottom: 0, left: 1, right: 1 },
 					borderColor: 'yellow',
@@ -699,9 +1127,16 @@ async function displayNextTask(tasksPath) {
 		return;
 	}
 
-	// Display the task in a nice format
+	if (options.explain) {
+		displayTaskRanking(ranked, scoring.settings, options.limit || 10);
+	}
+
+	// Display the task in a nice format, in red when it is past its due date
+	const titleColor = isOverdue(nextTask, workflow)
+		? chalk.red.bold
+		: chalk.white.bold;
 	console.log(
-		boxen(chalk.white.bold(`Next Task: #${nextTask.id} - ${nextTask.title}`), {
+		boxen(titleColor(`Next Task: #${nextTask.id} - ${nextTask.title}`), {
 			padding: { top: 0, bottom: 0, left: 1, right: 1 },
 			borderColor: 'blue',
 			borderStyle: 'round',
@@ -747,8 +1182,13 @@ async function displayNextTask(tasksPath) {
 		],
 		[
 			chalk.cyan.bold('Dependencies:'),
-			formatDependenciesWithStatus(nextTask.dependencies, data.tasks, true)
+			formatDependenciesWithStatus(
+				nextTask.dependencies,
+				[...data.tasks, ...archivedTasks],
+				true
+			)
 		],
+		...formatMetadataRows(nextTask, workflow, getEpics(data.meta)),
 		[chalk.cyan.bold('Description:'), nextTask.description]
 	);
 
@@ -822,59 +1262,49 @@ async function displayNextTask(tasksPath) {
 
 		// Add subtasks to table
 		nextTask.subtasks.forEach((st) => {
-			const statusColor =
-				{
-					done: chalk.green,
-					completed: chalk.green,
-					pending: chalk.yellow,
-					'in-progress': chalk.blue
-				}[st.status || 'pending'] || chalk.white;
-
-			// Format subtask dependencies
-			let subtaskDeps = 'None';
-			if (st.dependencies && st.dependencies.length > 0) {
-				// Format dependencies with correct notation
-				const formattedDeps = st.dependencies.map((depId) => {
-					if (typeof depId === 'number' && depId < 100) {
-						const foundSubtask = nextTask.subtasks.find(
-							(st) => st.id === depId
-						);
-						if (foundSubtask) {
-							const isDone =
-								foundSubtask.status === 'done' ||
-								foundSubtask.status === 'completed';
-							const isInProgress = foundSubtask.status === 'in-progress';
-
-							// Use consistent color formatting instead of emojis
-							if (isDone) {
-								return chalk.green.bold(`${nextTask.id}.${depId}`);
-							} else if (isInProgress) {
-								return chalk.hex('#FFA500').bold(`${nextTask.id}.${depId}`);
-							} else {
-								return chalk.red.bold(`${nextTask.id}.${depId}`);
-							}
-						}
-						return chalk.red(`${nextTask.id}.${depId} (Not found)`);
-					}
-					return depId;
-				});
-
-				// Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-				subtaskDeps =
-					formattedDeps.length === 1
-						? formattedDeps[0]
-						: formattedDeps.join(chalk.white(', '));
-			}
+			const statusColor = getStatusColor(
+				st.status || workflow.initial,
+				workflow
+			);
+
+			// Format subtask dependencies, which may be on subtasks of other tasks
+			const subtaskDeps = formatDependenciesWithStatus(
+				st.dependencies,
+				[...data.tasks, ...archivedTasks],
+				true,
+				workflow,
+				nextTask.id
+			);
 
 			subtaskTable.push([
 				`${nextTask.id}.${st.id}`,
-				statusColor(st.status || 'pending'),
+				statusColor(st.status || workflow.initial),
 				st.title,
 				subtaskDeps
 			]);
 		});
 
 		console.log(subtaskTable.toString());
+
+		if (nextSubtask) {
+			console.log(
+				boxen(
+					chalk.white.bold(
+						`Next Subtask: #${nextSubtask.parentTask.id}.${nextSubtask.id} - ${nextSubtask.title}`
+					) +
+						(nextSubtask.description ? `\n\n${nextSubtask.description}` : '') +
+						(nextSubtask.details
+							? `\n\n${chalk.white.bold('Details:')} ${nextSubtask.details}`
+							: ''),
+					{
+						padding: { top: 0, bottom: 0, left: 1, right: 1 },
+						borderColor: 'magenta',
+						borderStyle: 'round',
+						margin: { top: 1, bottom: 0 }
+					}
+				)
+			);
+		}
 	} else {
 		// Suggest expanding if no subtasks
 		console.log(
@@ -894,7 +1324,27 @@ async function displayNextTask(tasksPath) {
 		);
 	}
 
-	// Show action suggestions
+	// Show action suggestions, for the next subtask if there is one
+	if (nextSubtask) {
+		const subtaskId = `${nextSubtask.parentTask.id}.${nextSubtask.id}`;
+		console.log(
+			boxen(
+				chalk.white.bold('Suggested Actions:') +
+					'\n' +
+					`${chalk.cyan('1.')} Start the subtask: ${chalk.yellow(`task-master set-status --id=${subtaskId} --status=in-progress`)}\n` +
+					`${chalk.cyan('2.')} Mark it as done when completed: ${chalk.yellow(`task-master set-status --id=${subtaskId} --status=done`)}\n` +
+					`${chalk.cyan('3.')} View the subtask: ${chalk.yellow(`task-master show ${subtaskId}`)}`,
+				{
+					padding: { top: 0, bottom: 0, left: 1, right: 1 },
+					borderColor: 'green',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+		return;
+	}
+
 	console.log(
 		boxen(
 			chalk.white.bold('Suggested Actions:') +
@@ -915,50 +1365,230 @@ async function displayNextTask(tasksPath) {
 }
 
 /**
- * Display a specific task by ID
- * @param {string} tasksPath - Path to the tasks.json file
- * @param {string|number} taskId - The ID of the task to display
+ * Loads the tasks referenced by a list of dependencies
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Array} dependencies - Task IDs or "parentId.subtaskId" references
+ * @returns {Array} The referenced tasks (parents for subtask references), archived ones included
  */
-async function displayTaskById(tasksPath, taskId) {
-	displayBanner();
-
-	// Read the tasks file
-	const data = readJSON(tasksPath);
-	if (!data || !data.tasks) {
-		log('error', 'No valid tasks found.');
-		process.exit(1);
+function readDependencyTasks(tasksPath, dependencies) {
+	if (!dependencies || dependencies.length === 0) {
+		return [];
 	}
-
-	// Find the task by ID
-	const task = findTaskById(data.tasks, taskId);
-
-	if (!task) {
-		console.log(
-			boxen(chalk.yellow(`Task with ID ${taskId} not found!`), {
-				padding: { top: 0, bottom: 0, left: 1, right: 1 },
-				borderColor: 'yellow',
-				borderStyle: 'round',
-				margin: { top: 1 }
-			})
-		);
-		return;
+	const ids = [
+		...new Set(dependencies.map((dep) => String(dep).split('.')[0]))
+	];
+	const tasks = queryTasks(tasksPath, { ids });
+	if (tasks.length === ids.length) {
+		return tasks;
 	}
 
-	// Handle subtask display specially
-	if (task.isSubtask || task.parentTask) {
-		console.log(
-			boxen(
-				chalk.white.bold(
-					`Subtask: #${task.parentTask.id}.${task.id} - ${task.title}`
-				),
-				{
-					padding: { top: 0, bottom: 0, left: 1, right: 1 },
-					borderColor: 'magenta',
-					borderStyle: 'round',
-					margin: { top: 1, bottom: 0 }
-				}
-			)
-		);
+	const foundIds = new Set(tasks.map((task) => String(task.id)));
+	return [
+		...tasks,
+		...readArchivedTasks(tasksPath).filter(
+			(task) => ids.includes(String(task.id)) && !foundIds.has(String(task.id))
+		)
+	];
+}
+
+/**
+ * Creates the table listing the subtasks of a task or subtask, nested
+ * subtasks indented below their parent
+ * @param {string} tasksPath - Path to the tasks file
+ * @param {Object} item - Task or subtask
+ * @param {string|number} itemId - Full ID of the task or subtask
+ * @param {Object} workflow - Workflow of the project
+ * @returns {Table} The subtask table
+ */
+function createSubtaskTable(tasksPath, item, itemId, workflow) {
+	const subtasks = flattenSubtasks(item, itemId);
+	const taskId = String(itemId).split('.')[0];
+
+	// The task itself and the tasks whose subtasks the subtasks depend on
+	const subtaskDependencyTasks = readDependencyTasks(tasksPath, [
+		taskId,
+		...subtasks.flatMap(({ subtask }) =>
+			(subtask.dependencies || []).filter(
+				(depId) => typeof depId === 'string' && depId.split('.')[0] !== taskId
+			)
+		)
+	]);
+
+	// Calculate available width for the subtask table
+	const availableWidth = process.stdout.columns - 10 || 100; // Default to 100 if can't detect
+
+	// Define percentage-based column widths
+	const idWidthPct = 10;
+	const statusWidthPct = 15;
+	const depsWidthPct = 25;
+	const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
+
+	// Calculate actual column widths
+	const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
+	const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
+	const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
+	const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
+
+	// Create a table for subtasks with improved handling
+	const subtaskTable = new Table({
+		head: [
+			chalk.magenta.bold('ID'),
+			chalk.magenta.bold('Status'),
+			chalk.magenta.bold('Title'),
+			chalk.magenta.bold('Deps')
+		],
+		colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
+		style: {
+			head: [],
+			border: [],
+			'padding-top': 0,
+			'padding-bottom': 0,
+			compact: true
+		},
+		chars: {
+			mid: '',
+			'left-mid': '',
+			'mid-mid': '',
+			'right-mid': ''
+		},
+		wordWrap: true
+	});
+
+	// Add subtasks to table
+	const topDepth = subtasks.length > 0 ? subtasks[0].depth : 0;
+	subtasks.forEach(({ subtask: st, id, parentId, depth }) => {
+		const statusColor = getStatusColor(st.status || workflow.initial, workflow);
+
+		// Format subtask dependencies, which may be on subtasks of other tasks
+		const subtaskDeps = formatDependenciesWithStatus(
+			st.dependencies,
+			subtaskDependencyTasks,
+			true,
+			workflow,
+			parentId
+		);
+
+		subtaskTable.push([
+			id,
+			statusColor(st.status || workflow.initial),
+			'  '.repeat(depth - topDepth) + st.title,
+			subtaskDeps
+		]);
+	});
+
+	return subtaskTable;
+}
+
+/**
+ * Get the kind of a note with its color
+ * @param {string} kind - progress, decision, blocker or research
+ * @returns {string} Colored kind
+ */
+function getNoteKindWithColor(kind) {
+	const colors = {
+		progress: chalk.blue,
+		decision: chalk.green,
+		blocker: chalk.red,
+		research: chalk.magenta
+	};
+	return (colors[kind] || chalk.white)(kind);
+}
+
+/**
+ * Display the latest note of a task or subtask, pointing to the full log
+ * @param {Object} item - Task or subtask
+ * @param {string|number} id - Full ID of the task or subtask
+ */
+function displayLatestNote(item, id) {
+	const notes = item.notes || [];
+	if (notes.length === 0) {
+		return;
+	}
+	const note = notes[notes.length - 1];
+	const count = notes.length === 1 ? '1 note' : `${notes.length} notes`;
+
+	console.log(
+		boxen(
+			chalk.white.bold('Latest Note:') +
+				` ${getNoteKindWithColor(note.kind)} ${chalk.gray(`${new Date(note.timestamp).toLocaleString()}, ${note.author || note.source || 'unknown'}`)}` +
+				'\n\n' +
+				note.body +
+				'\n\n' +
+				chalk.gray(`${count} - task-master log --id=${id}`),
+			{
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor: 'cyan',
+				borderStyle: 'round',
+				margin: { top: 1, bottom: 0 }
+			}
+		)
+	);
+}
+
+/**
+ * Display a specific task by ID
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - The ID of the task to display
+ */
+async function displayTaskById(tasksPath, taskId) {
+	displayBanner();
+
+	if (!fs.existsSync(tasksPath)) {
+		log('error', 'No valid tasks found.');
+		process.exit(1);
+	}
+
+	// Only load the task itself, large projects may hold thousands of tasks.
+	// Archived tasks can still be looked up.
+	const activeTask = readTask(tasksPath, taskId);
+	const task = activeTask || findArchivedTask(tasksPath, taskId);
+	const archived = !activeTask && !!task;
+	const meta = readTasksMeta(tasksPath);
+	const workflow = getWorkflow(meta);
+
+	if (!task) {
+		console.log(
+			boxen(chalk.yellow(`Task with ID ${taskId} not found!`), {
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor: 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			})
+		);
+		return;
+	}
+
+	if (archived) {
+		console.log(
+			boxen(
+				chalk.gray(
+					`Task ${taskId} is archived in ${getArchivePath(tasksPath)} and can't be changed`
+				),
+				{
+					padding: { top: 0, bottom: 0, left: 1, right: 1 },
+					borderColor: 'gray',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+	}
+
+	// Handle subtask display specially
+	if (task.isSubtask || task.parentTask) {
+		console.log(
+			boxen(
+				chalk.white.bold(
+					`Subtask: #${task.parentTask.id}.${task.id} - ${task.title}`
+				),
+				{
+					padding: { top: 0, bottom: 0, left: 1, right: 1 },
+					borderColor: 'magenta',
+					borderStyle: 'round',
+					margin: { top: 1, bottom: 0 }
+				}
+			)
+		);
 
 		// Create a table with subtask details
 		const taskTable = new Table({
@@ -989,8 +1619,25 @@ async function displayTaskById(tasksPath, taskId) {
 			[chalk.cyan.bold('Title:'), task.title],
 			[
 				chalk.cyan.bold('Status:'),
-				getStatusWithColor(task.status || 'pending', true)
+				getStatusWithColor(task.status || workflow.initial, true, workflow)
+			],
+			[
+				chalk.cyan.bold('Dependencies:'),
+				formatDependenciesWithStatus(
+					task.dependencies,
+					// Numeric dependencies are siblings, found in the parent task
+					readDependencyTasks(tasksPath, [
+						task.parentTask.id,
+						...(task.dependencies || []).filter(
+							(depId) => typeof depId === 'string'
+						)
+					]),
+					true,
+					workflow,
+					task.parentTask.id
+				)
 			],
+			...formatMetadataRows(task, workflow),
 			[
 				chalk.cyan.bold('Description:'),
 				task.description || 'No description provided.'
@@ -1014,55 +1661,48 @@ async function displayTaskById(tasksPath, taskId) {
 			);
 		}
 
+		displayLatestNote(task, taskId);
+
 		// Show action suggestions for subtask
-		console.log(
-			boxen(
-				chalk.white.bold('Suggested Actions:') +
-					'\n' +
-					`${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=in-progress`)}\n` +
-					`${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=done`)}\n` +
-					`${chalk.cyan('3.')} View parent task: ${chalk.yellow(`task-master show --id=${task.parentTask.id}`)}`,
-				{
-					padding: { top: 0, bottom: 0, left: 1, right: 1 },
-					borderColor: 'green',
-					borderStyle: 'round',
-					margin: { top: 1 }
-				}
-			)
-		);
+		if (!archived) {
+			console.log(
+				boxen(
+					chalk.white.bold('Suggested Actions:') +
+						'\n' +
+						`${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=in-progress`)}\n` +
+						`${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.parentTask.id}.${task.id} --status=done`)}\n` +
+						`${chalk.cyan('3.')} View parent task: ${chalk.yellow(`task-master show --id=${task.parentTask.id}`)}`,
+					{
+						padding: { top: 0, bottom: 0, left: 1, right: 1 },
+						borderColor: 'green',
+						borderStyle: 'round',
+						margin: { top: 1 }
+					}
+				)
+			);
+		}
+
+		// Subtasks can have subtasks of their own
+		if (task.subtasks && task.subtasks.length > 0) {
+			console.log(
+				createSubtaskTable(
+					tasksPath,
+					task,
+					`${task.parentTask.id}.${task.id}`,
+					workflow
+				).toString()
+			);
+		}
 
 		// Calculate and display subtask completion progress
 		if (task.subtasks && task.subtasks.length > 0) {
 			const totalSubtasks = task.subtasks.length;
-			const completedSubtasks = task.subtasks.filter(
-				(st) => st.status === 'done' || st.status === 'completed'
-			).length;
-
-			// Count other statuses for the subtasks
-			const inProgressSubtasks = task.subtasks.filter(
-				(st) => st.status === 'in-progress'
-			).length;
-			const pendingSubtasks = task.subtasks.filter(
-				(st) => st.status === 'pending'
-			).length;
-			const blockedSubtasks = task.subtasks.filter(
-				(st) => st.status === 'blocked'
-			).length;
-			const deferredSubtasks = task.subtasks.filter(
-				(st) => st.status === 'deferred'
-			).length;
-			const cancelledSubtasks = task.subtasks.filter(
-				(st) => st.status === 'cancelled'
+			const completedSubtasks = task.subtasks.filter((st) =>
+				isDoneStatus(workflow, st.status)
 			).length;
 
 			// Calculate status breakdown as percentages
-			const statusBreakdown = {
-				'in-progress': (inProgressSubtasks / totalSubtasks) * 100,
-				pending: (pendingSubtasks / totalSubtasks) * 100,
-				blocked: (blockedSubtasks / totalSubtasks) * 100,
-				deferred: (deferredSubtasks / totalSubtasks) * 100,
-				cancelled: (cancelledSubtasks / totalSubtasks) * 100
-			};
+			const statusBreakdown = getStatusBreakdown(task.subtasks, workflow);
 
 			const completionPercentage = (completedSubtasks / totalSubtasks) * 100;
 
@@ -1082,9 +1722,7 @@ async function displayTaskById(tasksPath, taskId) {
 			); // Min 20, Max 60
 
 			// Status counts for display
-			const statusCounts =
-				`${chalk.green('✓ Done:')} ${completedSubtasks}  ${chalk.hex('#FFA500')('► In Progress:')} ${inProgressSubtasks}  ${chalk.yellow('○ Pending:')} ${pendingSubtasks}\n` +
-				`${chalk.red('! Blocked:')} ${blockedSubtasks}  ${chalk.gray('⏱ Deferred:')} ${deferredSubtasks}  ${chalk.gray('✗ Cancelled:')} ${cancelledSubtasks}`;
+			const statusCounts = formatStatusCounts(task.subtasks, workflow);
 
 			console.log(
 				boxen(
@@ -1092,7 +1730,7 @@ async function displayTaskById(tasksPath, taskId) {
 						'\n\n' +
 						`${chalk.cyan('Completed:')} ${completedSubtasks}/${totalSubtasks} (${completionPercentage.toFixed(1)}%)\n` +
 						`${statusCounts}\n` +
-						`${chalk.cyan('Progress:')} ${createProgressBar(completionPercentage, progressBarLength, statusBreakdown)}`,
+						`${chalk.cyan('Progress:')} ${createProgressBar(completionPercentage, progressBarLength, statusBreakdown, workflow)}`,
 					{
 						padding: { top: 0, bottom: 0, left: 1, right: 1 },
 						borderColor: 'blue',
@@ -1152,13 +1790,19 @@ async function displayTaskById(tasksPath, taskId) {
 		[chalk.cyan.bold('Title:'), task.title],
 		[
 			chalk.cyan.bold('Status:'),
-			getStatusWithColor(task.status || 'pending', true)
+			getStatusWithColor(task.status || workflow.initial, true, workflow)
 		],
 		[chalk.cyan.bold('Priority:'), priorityColor(task.priority || 'medium')],
 		[
 			chalk.cyan.bold('Dependencies:'),
-			formatDependenciesWithStatus(task.dependencies, data.tasks, true)
+			formatDependenciesWithStatus(
+				task.dependencies,
+				readDependencyTasks(tasksPath, task.dependencies),
+				true,
+				workflow
+			)
 		],
+		...formatMetadataRows(task, workflow, getEpics(meta)),
 		[chalk.cyan.bold('Description:'), task.description]
 	);
 
@@ -1179,6 +1823,8 @@ async function displayTaskById(tasksPath, taskId) {
 		);
 	}
 
+	displayLatestNote(task, taskId);
+
 	// Show test strategy if available
 	if (task.testStrategy && task.testStrategy.trim().length > 0) {
 		console.log(
@@ -1202,132 +1848,19 @@ async function displayTaskById(tasksPath, taskId) {
 			})
 		);
 
-		// Calculate available width for the subtask table
-		const availableWidth = process.stdout.columns - 10 || 100; // Default to 100 if can't detect
-
-		// Define percentage-based column widths
-		const idWidthPct = 10;
-		const statusWidthPct = 15;
-		const depsWidthPct = 25;
-		const titleWidthPct = 100 - idWidthPct - statusWidthPct - depsWidthPct;
-
-		// Calculate actual column widths
-		const idWidth = Math.floor(availableWidth * (idWidthPct / 100));
-		const statusWidth = Math.floor(availableWidth * (statusWidthPct / 100));
-		const depsWidth = Math.floor(availableWidth * (depsWidthPct / 100));
-		const titleWidth = Math.floor(availableWidth * (titleWidthPct / 100));
-
-		// Create a table for subtasks with improved handling
-		const subtaskTable = new Table({
-			head: [
-				chalk.magenta.bold('ID'),
-				chalk.magenta.bold('Status'),
-				chalk.magenta.bold('Title'),
-				chalk.magenta.bold('Deps')
-			],
-			colWidths: [idWidth, statusWidth, titleWidth, depsWidth],
-			style: {
-				head: [],
-				border: [],
-				'padding-top': 0,
-				'padding-bottom': 0,
-				compact: true
-			},
-			chars: {
-				mid: '',
-				'left-mid': '',
-				'mid-mid': '',
-				'right-mid': ''
-			},
-			wordWrap: true
-		});
-
-		// Add subtasks to table
-		task.subtasks.forEach((st) => {
-			const statusColor =
-				{
-					done: chalk.green,
-					completed: chalk.green,
-					pending: chalk.yellow,
-					'in-progress': chalk.blue
-				}[st.status || 'pending'] || chalk.white;
-
-			// Format subtask dependencies
-			let subtaskDeps = 'None';
-			if (st.dependencies && st.dependencies.length > 0) {
-				// Format dependencies with correct notation
-				const formattedDeps = st.dependencies.map((depId) => {
-					if (typeof depId === 'number' && depId < 100) {
-						const foundSubtask = task.subtasks.find((st) => st.id === depId);
-						if (foundSubtask) {
-							const isDone =
-								foundSubtask.status === 'done' ||
-								foundSubtask.status === 'completed';
-							const isInProgress = foundSubtask.status === 'in-progress';
-
-							// Use consistent color formatting instead of emojis
-							if (isDone) {
-								return chalk.green.bold(`${task.id}.${depId}`);
-							} else if (isInProgress) {
-								return chalk.hex('#FFA500').bold(`${task.id}.${depId}`);
-							} else {
-								return chalk.red.bold(`${task.id}.${depId}`);
-							}
-						}
-						return chalk.red(`${task.id}.${depId} (Not found)`);
-					}
-					return depId;
-				});
-
-				// Join the formatted dependencies directly instead of passing to formatDependenciesWithStatus again
-				subtaskDeps =
-					formattedDeps.length === 1
-						? formattedDeps[0]
-						: formattedDeps.join(chalk.white(', '));
-			}
-
-			subtaskTable.push([
-				`${task.id}.${st.id}`,
-				statusColor(st.status || 'pending'),
-				st.title,
-				subtaskDeps
-			]);
-		});
-
-		console.log(subtaskTable.toString());
+		console.log(
+			createSubtaskTable(tasksPath, task, task.id, workflow).toString()
+		);
 
 		// Calculate and display subtask completion progress
 		if (task.subtasks && task.subtasks.length > 0) {
 			const totalSubtasks = task.subtasks.length;
-			const completedSubtasks = task.subtasks.filter(
-				(st) => st.status === 'done' || st.status === 'completed'
-			).length;
-
-			// Count other statuses for the subtasks
-			const inProgressSubtasks = task.subtasks.filter(
-				(st) => st.status === 'in-progress'
-			).length;
-			const pendingSubtasks = task.subtasks.filter(
-				(st) => st.status === 'pending'
-			).length;
-			const blockedSubtasks = task.subtasks.filter(
-				(st) => st.status === 'blocked'
-			).length;
-			const deferredSubtasks = task.subtasks.filter(
-				(st) => st.status === 'deferred'
-			).length;
-			const cancelledSubtasks = task.subtasks.filter(
-				(st) => st.status === 'cancelled'
+			const completedSubtasks = task.subtasks.filter((st) =>
+				isDoneStatus(workflow, st.status)
 			).length;
 
 			// Calculate status breakdown as percentages
-			const statusBreakdown = {
-				'in-progress': (inProgressSubtasks / totalSubtasks) * 100,
-				pending: (pendingSubtasks / totalSubtasks) * 100,
-				blocked: (blockedSubtasks / totalSubtasks) * 100,
-				deferred: (deferredSubtasks / totalSubtasks) * 100,
-				cancelled: (cancelledSubtasks / totalSubtasks) * 100
-			};
+			const statusBreakdown = getStatusBreakdown(task.subtasks, workflow);
 
 			const completionPercentage = (completedSubtasks / totalSubtasks) * 100;
 
@@ -1347,9 +1880,7 @@ async function displayTaskById(tasksPath, taskId) {
 			); // Min 20, Max 60
 
 			// Status counts for display
-			const statusCounts =
-				`${chalk.green('✓ Done:')} ${completedSubtasks}  ${chalk.hex('#FFA500')('► In Progress:')} ${inProgressSubtasks}  ${chalk.yellow('○ Pending:')} ${pendingSubtasks}\n` +
-				`${chalk.red('! Blocked:')} ${blockedSubtasks}  ${chalk.gray('⏱ Deferred:')} ${deferredSubtasks}  ${chalk.gray('✗ Cancelled:')} ${cancelledSubtasks}`;
+			const statusCounts = formatStatusCounts(task.subtasks, workflow);
 
 			console.log(
 				boxen(
@@ -1357,7 +1888,7 @@ async function displayTaskById(tasksPath, taskId) {
 						'\n\n' +
 						`${chalk.cyan('Completed:')} ${completedSubtasks}/${totalSubtasks} (${completionPercentage.toFixed(1)}%)\n` +
 						`${statusCounts}\n` +
-						`${chalk.cyan('Progress:')} ${createProgressBar(completionPercentage, progressBarLength, statusBreakdown)}`,
+						`${chalk.cyan('Progress:')} ${createProgressBar(completionPercentage, progressBarLength, statusBreakdown, workflow)}`,
 					{
 						padding: { top: 0, bottom: 0, left: 1, right: 1 },
 						borderColor: 'blue',
@@ -1389,23 +1920,25 @@ async function displayTaskById(tasksPath, taskId) {
 	}
 
 	// Show action suggestions
-	console.log(
-		boxen(
-			chalk.white.bold('Suggested Actions:') +
-				'\n' +
-				`${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.id} --status=in-progress`)}\n` +
-				`${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.id} --status=done`)}\n` +
-				(task.subtasks && task.subtasks.length > 0
-					? `${chalk.cyan('3.')} Update subtask status: ${chalk.yellow(`task-master set-status --id=${task.id}.1 --status=done`)}`
-					: `${chalk.cyan('3.')} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${task.id}`)}`),
-			{
-				padding: { top: 0, bottom: 0, left: 1, right: 1 },
-				borderColor: 'green',
-				borderStyle: 'round',
-				margin: { top: 1 }
-			}
-		)
-	);
+	if (!archived) {
+		console.log(
+			boxen(
+				chalk.white.bold('Suggested Actions:') +
+					'\n' +
+					`${chalk.cyan('1.')} Mark as in-progress: ${chalk.yellow(`task-master set-status --id=${task.id} --status=in-progress`)}\n` +
+					`${chalk.cyan('2.')} Mark as done when completed: ${chalk.yellow(`task-master set-status --id=${task.id} --status=done`)}\n` +
+					(task.subtasks && task.subtasks.length > 0
+						? `${chalk.cyan('3.')} Update subtask status: ${chalk.yellow(`task-master set-status --id=${task.id}.1 --status=done`)}`
+						: `${chalk.cyan('3.')} Break down into subtasks: ${chalk.yellow(`task-master expand --id=${task.id}`)}`),
+				{
+					padding: { top: 0, bottom: 0, left: 1, right: 1 },
+					borderColor: 'green',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+	}
 }
 
 /**
@@ -1693,12 +2226,1450 @@ async function confirmTaskOverwrite(tasksPath) {
 	return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
 }
 
+/**
+ * Display the result of validating tasks.json against the schema
+ * @param {Object} result - Result from validateStoredTasks
+ * @param {string} tasksPath - Path to the tasks.json file
+ */
+function displaySchemaValidation(result, tasksPath) {
+	displayBanner();
+
+	if (result.valid) {
+		console.log(
+			boxen(
+				chalk.green(`${tasksPath} Matches the Schema\n\n`) +
+					`${chalk.cyan('File schema version:')} ${result.schemaVersion}\n` +
+					`${chalk.cyan('Current schema version:')} ${result.currentSchemaVersion}`,
+				{
+					padding: 1,
+					borderColor: 'green',
+					borderStyle: 'round',
+					margin: { top: 1, bottom: 1 }
+				}
+			)
+		);
+	} else {
+		console.log(
+			boxen(
+				chalk.red.bold(
+					`Found ${result.errors.length} schema violation${result.errors.length === 1 ? '' : 's'} in ${tasksPath}`
+				),
+				{
+					padding: { left: 2, right: 2, top: 0, bottom: 0 },
+					margin: { top: 1, bottom: 0 },
+					borderColor: 'red',
+					borderStyle: 'round'
+				}
+			)
+		);
+
+		const table = new Table({
+			head: [chalk.cyan.bold('Path'), chalk.cyan.bold('Problem')],
+			colWidths: [40, 60],
+			wordWrap: true
+		});
+		result.errors.forEach((error) => table.push([error.path, error.message]));
+		console.log(table.toString());
+	}
+
+	if (result.pendingMigrations.length > 0) {
+		console.log(
+			boxen(
+				chalk.yellow.bold(
+					`File uses schema v${result.schemaVersion}, pending migrations:\n\n`
+				) +
+					result.pendingMigrations
+						.map((description) => `- ${description}`)
+						.join('\n') +
+					'\n\nMigrations run automatically when the file is loaded and are saved on the next change.\n' +
+					`Run ${chalk.yellow('task-master validate-schema --migrate')} to apply them now.`,
+				{
+					padding: 1,
+					borderColor: 'yellow',
+					borderStyle: 'round',
+					margin: { top: 1, bottom: 1 }
+				}
+			)
+		);
+	}
+}
+
+/**
+ * Format the task changes recorded for a history entry
+ * @param {Object} changes - Changes with added, removed and modified task IDs
+ * @returns {string} Short description (e.g. "+2 ~1 -0")
+ */
+function formatHistoryChanges(changes) {
+	if (!changes) {
+		return '';
+	}
+
+	const parts = [];
+	if (changes.added.length > 0) {
+		parts.push(chalk.green(`added ${changes.added.join(', ')}`));
+	}
+	if (changes.modified.length > 0) {
+		parts.push(chalk.yellow(`changed ${changes.modified.join(', ')}`));
+	}
+	if (changes.removed.length > 0) {
+		parts.push(chalk.red(`removed ${changes.removed.join(', ')}`));
+	}
+	return parts.length > 0 ? parts.join('; ') : chalk.gray('no task changes');
+}
+
+/**
+ * Display the undo/redo history of a tasks file
+ * @param {Array} entries - History entries, newest first (from getHistory)
+ * @param {string} tasksPath - Path to the tasks.json file
+ */
+function displayHistory(entries, tasksPath) {
+	displayBanner();
+
+	if (entries.length === 0) {
+		console.log(
+			boxen(chalk.yellow(`No history recorded yet for ${tasksPath}`), {
+				padding: 1,
+				borderColor: 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			})
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('#'),
+			chalk.cyan.bold('When'),
+			chalk.cyan.bold('Source'),
+			chalk.cyan.bold('Operation'),
+			chalk.cyan.bold('Tasks')
+		],
+		colWidths: [6, 22, 8, 40, 40],
+		wordWrap: true
+	});
+
+	entries.forEach((entry) => {
+		const label = entry.undone
+			? chalk.gray(`${entry.label} (undone)`)
+			: entry.label;
+		table.push([
+			entry.id.toString(),
+			new Date(entry.timestamp).toLocaleString(),
+			entry.source,
+			label,
+			formatHistoryChanges(entry.changes)
+		]);
+	});
+
+	console.log(table.toString());
+
+	console.log(
+		boxen(
+			chalk.white.bold('Next Steps:') +
+				'\n\n' +
+				`${chalk.cyan('1.')} Run ${chalk.yellow('task-master undo')} to revert the latest operation\n` +
+				`${chalk.cyan('2.')} Run ${chalk.yellow('task-master redo')} to re-apply an undone operation`,
+			{
+				padding: 1,
+				borderColor: 'cyan',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the result of an undo or redo
+ * @param {string} verb - What happened ('Undid' or 'Redid')
+ * @param {Object} entry - The history entry that was undone or redone
+ */
+function displayHistoryStep(verb, entry) {
+	console.log(
+		boxen(
+			chalk.green(`${verb} operation #${entry.id}\n\n`) +
+				`${chalk.cyan('Operation:')} ${entry.label}\n` +
+				`${chalk.cyan('Recorded:')} ${new Date(entry.timestamp).toLocaleString()} (${entry.source})\n` +
+				`${chalk.cyan('Tasks:')} ${formatHistoryChanges(entry.changes)}`,
+			{
+				padding: 1,
+				borderColor: 'green',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the result of copying tasks between storage files
+ * @param {Object} result - Result from copyTasksStorage
+ * @param {string} sourcePath - File the tasks were copied from
+ * @param {string} targetPath - File the tasks were copied to
+ */
+function displayStorageCopy(result, sourcePath, targetPath) {
+	console.log(
+		boxen(
+			chalk.green(`Copied ${result.taskCount} tasks\n\n`) +
+				`${chalk.cyan('From:')} ${sourcePath} (${result.sourceType})\n` +
+				`${chalk.cyan('To:')} ${targetPath} (${result.targetType})`,
+			{
+				padding: 1,
+				borderColor: 'green',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+
+	if (result.targetType === 'sqlite') {
+		console.log(
+			chalk.white(
+				`\nCommands use ${chalk.yellow('tasks/tasks.db')} automatically when tasks/tasks.json doesn't exist. For other locations pass ${chalk.yellow(`--file ${targetPath}`)}.`
+			)
+		);
+	}
+}
+
+/**
+ * Display the task lists (tags) of a project
+ * @param {Array<Object>} tags - Tags from listTags
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayTags(tags, tasksPath) {
+	displayBanner();
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Tag'),
+			chalk.cyan.bold('Tasks'),
+			chalk.cyan.bold('Done'),
+			chalk.cyan.bold('Description')
+		],
+		colWidths: [28, 8, 8, 56],
+		wordWrap: true
+	});
+
+	tags.forEach((tag) => {
+		table.push([
+			tag.current ? chalk.green.bold(`* ${tag.name}`) : `  ${tag.name}`,
+			tag.taskCount.toString(),
+			tag.completedCount.toString(),
+			tag.description || chalk.gray('-')
+		]);
+	});
+
+	console.log(`\nTask lists in ${tasksPath}:`);
+	console.log(table.toString());
+
+	console.log(
+		boxen(
+			chalk.white.bold('Next Steps:') +
+				'\n\n' +
+				`${chalk.cyan('1.')} Run ${chalk.yellow('task-master tags add <name>')} to create a new task list\n` +
+				`${chalk.cyan('2.')} Run ${chalk.yellow('task-master tags use <name>')} to switch the current task list\n` +
+				`${chalk.cyan('3.')} Add ${chalk.yellow('--tag <name>')} to any command to work on another list once`,
+			{
+				padding: 1,
+				borderColor: 'cyan',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the result of a change to the task lists (tags)
+ * @param {string} message - What happened
+ * @param {Object} tag - The tag that was changed, with its task count
+ */
+function displayTagChange(message, tag) {
+	console.log(
+		boxen(
+			chalk.green(`${message}\n\n`) +
+				`${chalk.cyan('Tag:')} ${tag.name}\n` +
+				`${chalk.cyan('Tasks:')} ${tag.taskCount}`,
+			{
+				padding: 1,
+				borderColor: 'green',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the result of archiving tasks
+ * @param {Object} result - Result from archiveTasks
+ */
+function displayArchiveResult(result) {
+	if (result.archived.length === 0) {
+		console.log(
+			boxen(chalk.yellow('No completed tasks match the archive filters'), {
+				padding: 1,
+				borderColor: 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			})
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('ID'),
+			chalk.cyan.bold('Title'),
+			chalk.cyan.bold('Status'),
+			chalk.cyan.bold('Completed')
+		],
+		colWidths: [8, 50, 14, 24],
+		wordWrap: true
+	});
+
+	result.archived.forEach((task) => {
+		table.push([
+			task.id.toString(),
+			truncateString(task.title, 47),
+			getStatusWithColor(task.status, true),
+			task.completedAt
+				? new Date(task.completedAt).toLocaleString()
+				: chalk.gray('unknown')
+		]);
+	});
+
+	console.log(table.toString());
+
+	const summary = result.dryRun
+		? chalk.yellow(
+				`Dry run: ${result.archived.length} tasks would be moved to ${result.archivePath}`
+			)
+		: chalk.green(
+				`Archived ${result.archived.length} tasks to ${result.archivePath}`
+			);
+
+	console.log(
+		boxen(
+			summary +
+				'\n\n' +
+				`${chalk.cyan('Tasks left:')} ${result.remainingCount}\n\n` +
+				`Archived tasks stay valid dependencies. Use ${chalk.yellow('task-master show <id>')} or ${chalk.yellow('task-master list --include-archived')} to look them up.`,
+			{
+				padding: 1,
+				borderColor: result.dryRun ? 'yellow' : 'green',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the result of syncing task files with tasks.json
+ * @param {Object} result - Result of syncTaskFiles
+ */
+function displaySyncResult(result) {
+	const changes = [
+		...result.fromFiles.map((change) => ({ ...change, direction: 'file' })),
+		...result.toFiles.map((change) => ({ ...change, direction: 'tasks' }))
+	].sort((a, b) => a.id - b.id);
+
+	if (changes.length > 0) {
+		const table = new Table({
+			head: [
+				chalk.cyan.bold('ID'),
+				chalk.cyan.bold('File'),
+				chalk.cyan.bold('Direction'),
+				chalk.cyan.bold('Fields')
+			],
+			colWidths: [8, 26, 22, 40],
+			wordWrap: true
+		});
+
+		changes.forEach((change) => {
+			table.push([
+				change.id.toString(),
+				change.file,
+				change.direction === 'file'
+					? chalk.green('file → tasks.json')
+					: chalk.blue('tasks.json → file'),
+				change.fields.join(', ')
+			]);
+		});
+
+		console.log(table.toString());
+	}
+
+	result.conflicts.forEach((conflict) => {
+		const fields = conflict.fields
+			.map(
+				({ field, fileValue, taskValue }) =>
+					`${chalk.white.bold(field)}\n` +
+					`  ${chalk.cyan('file:')}       ${truncateString(JSON.stringify(fileValue ?? null), 60)}\n` +
+					`  ${chalk.cyan('tasks.json:')} ${truncateString(JSON.stringify(taskValue ?? null), 60)}`
+			)
+			.join('\n\n');
+
+		console.log(
+			boxen(
+				chalk.red.bold(`Conflict in ${conflict.file} (task ${conflict.id})`) +
+					'\n\n' +
+					fields,
+				{
+					padding: 1,
+					borderColor: 'red',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+	});
+
+	result.errors.forEach((error) => {
+		console.log(chalk.red(`Could not read ${error.file}: ${error.message}`));
+	});
+
+	let summary;
+	if (changes.length === 0 && result.conflicts.length === 0) {
+		summary = chalk.green('Task files and tasks.json are already in sync');
+	} else if (result.dryRun) {
+		summary = chalk.yellow(
+			`Dry run: ${result.fromFiles.length} tasks would be updated from their files, ${result.toFiles.length} files from tasks.json`
+		);
+	} else {
+		summary = chalk.green(
+			`Updated ${result.fromFiles.length} tasks from their files and ${result.toFiles.length} files from tasks.json`
+		);
+	}
+
+	if (result.conflicts.length > 0) {
+		summary +=
+			'\n\n' +
+			chalk.red(
+				`${result.conflicts.length} task files changed on both sides and were left alone.`
+			) +
+			`\nEdit them to match, or run ${chalk.yellow('task-master sync-files --prefer=file')} or ${chalk.yellow('--prefer=tasks')} to pick a side.`;
+	}
+
+	console.log(
+		boxen(summary, {
+			padding: 1,
+			borderColor:
+				result.conflicts.length > 0
+					? 'red'
+					: result.dryRun
+						? 'yellow'
+						: 'green',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the tasks created by an import
+ * @param {Object} result - Result of importTasks
+ * @param {string} sourcePath - Imported file
+ */
+function displayImportResult(result, sourcePath) {
+	result.warnings.forEach((warning) => {
+		console.log(chalk.yellow(`Warning: ${warning}`));
+	});
+
+	if (result.tasks.length === 0) {
+		console.log(
+			boxen(chalk.yellow(`No tasks found in ${sourcePath}`), {
+				padding: 1,
+				borderColor: 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			})
+		);
+		return;
+	}
+
+	// Show where each task came from
+	const sourceIds = Object.fromEntries(
+		Object.entries(result.idMap).map(([sourceId, id]) => [id, sourceId])
+	);
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('ID'),
+			chalk.cyan.bold('Source'),
+			chalk.cyan.bold('Title'),
+			chalk.cyan.bold('Status'),
+			chalk.cyan.bold('Priority'),
+			chalk.cyan.bold('Dependencies')
+		],
+		colWidths: [8, 12, 38, 16, 10, 16],
+		wordWrap: true
+	});
+
+	result.tasks.forEach((task) => {
+		table.push([
+			task.id.toString(),
+			sourceIds[task.id],
+			truncateString(task.title, 37),
+			getStatusWithColor(task.status, true),
+			task.priority,
+			task.dependencies.length > 0
+				? task.dependencies.join(', ')
+				: chalk.gray('None')
+		]);
+		(task.subtasks || []).forEach((subtask) => {
+			const subtaskId = `${task.id}.${subtask.id}`;
+			table.push([
+				chalk.dim(subtaskId),
+				sourceIds[subtaskId],
+				chalk.dim(`└─ ${truncateString(subtask.title, 34)}`),
+				getStatusWithColor(subtask.status, true),
+				'',
+				subtask.dependencies.length > 0
+					? subtask.dependencies.join(', ')
+					: chalk.gray('None')
+			]);
+		});
+	});
+
+	console.log(table.toString());
+
+	const summary = result.dryRun
+		? chalk.yellow(
+				`Dry run: ${result.tasks.length} tasks would be imported from ${sourcePath}`
+			)
+		: chalk.green(`Imported ${result.tasks.length} tasks from ${sourcePath}`) +
+			'\n\n' +
+			`Run ${chalk.yellow('task-master list')} to see all tasks or ${chalk.yellow('task-master validate-dependencies')} to check the dependencies.`;
+
+	console.log(
+		boxen(summary, {
+			padding: 1,
+			borderColor: result.dryRun ? 'yellow' : 'green',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the labels used in the tasks file
+ * @param {Array<{label: string, count: number}>} labels - Labels with their usage counts
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayLabels(labels, tasksPath) {
+	displayBanner();
+
+	if (labels.length === 0) {
+		console.log(
+			boxen(
+				chalk.yellow(`No labels in ${tasksPath}`) +
+					'\n\n' +
+					`Run ${chalk.yellow('task-master label add --id=<id> --label=<label>')} to label a task.`,
+				{ padding: 1, borderColor: 'yellow', borderStyle: 'round' }
+			)
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [chalk.cyan.bold('Label'), chalk.cyan.bold('Tasks')],
+		colWidths: [40, 10]
+	});
+	labels.forEach(({ label, count }) => {
+		table.push([chalk.magenta(label), count.toString()]);
+	});
+
+	console.log(`\nLabels in ${tasksPath}:`);
+	console.log(table.toString());
+	console.log(
+		chalk.white(
+			`\nRun ${chalk.yellow('task-master list --label=<label>')} to list the tasks with a label.`
+		)
+	);
+}
+
+/**
+ * Display the labels of tasks after adding or removing labels
+ * @param {Array<{id: string, labels: Array<string>, changed: boolean}>} results - Result from addTaskLabels/removeTaskLabels
+ * @param {boolean} removed - Whether labels were removed
+ */
+function displayLabelChange(results, removed) {
+	const changed = results.filter((result) => result.changed).length;
+	const lines = results.map(
+		({ id, labels }) =>
+			`${chalk.cyan(id.padEnd(8))} ${labels.length > 0 ? labels.map((label) => chalk.magenta(label)).join(', ') : chalk.gray('No labels')}`
+	);
+
+	console.log(
+		boxen(
+			(changed > 0
+				? chalk.green(
+						`${removed ? 'Removed labels from' : 'Added labels to'} ${changed} task(s)`
+					)
+				: chalk.yellow('No labels changed')) +
+				'\n\n' +
+				lines.join('\n'),
+			{
+				padding: 1,
+				borderColor: changed > 0 ? 'green' : 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Formats the progress of an epic's tasks as a progress bar
+ * @param {Object} progress - Progress from getEpicProgress
+ * @param {Object} workflow - Workflow, for the colors of the open statuses
+ * @param {number} length - Length of the bar in characters
+ * @returns {string} Progress bar with the percentage, and the task counts
+ */
+function formatEpicProgress(progress, workflow = getWorkflow(), length = 20) {
+	const breakdown = {};
+	Object.entries(progress.byStatus).forEach(([status, count]) => {
+		if (!isDoneStatus(workflow, status) && progress.total > 0) {
+			breakdown[status] = (count / progress.total) * 100;
+		}
+	});
+	// The bar ends with the percentage
+	return `${createProgressBar(progress.percentage, length, breakdown, workflow)} ${chalk.gray(`(${progress.done}/${progress.total} done)`)}`;
+}
+
+/**
+ * Formats the target date of an epic, in red when the epic is late
+ * @param {Object} epic - Epic from listEpics
+ * @returns {string} Target date, or a dash without one
+ */
+function formatEpicTarget(epic) {
+	if (!epic.targetDate) {
+		return chalk.gray('-');
+	}
+	return epic.late
+		? chalk.red.bold(`${epic.targetDate} (late)`)
+		: epic.targetDate;
+}
+
+/**
+ * Formats the heading of an epic's group of tasks in `list --by-epic`
+ * @param {Object|null} epic - Epic from listEpics, null for the tasks without an epic
+ * @param {Object} progress - Progress of the group's tasks
+ * @param {Object} workflow - Workflow
+ * @returns {string} Heading line
+ */
+function formatEpicHeading(epic, progress, workflow) {
+	const title = epic
+		? `${chalk.magenta.bold(epic.title)} ${chalk.gray(`(${epic.id})`)}`
+		: chalk.gray.bold('No epic');
+	const target = epic?.targetDate ? `  Target: ${formatEpicTarget(epic)}` : '';
+	return `${title}  ${formatEpicProgress(progress, workflow)}${target}`;
+}
+
+/**
+ * Display the epics of a project with their progress
+ * @param {Object} summary - Epics and unassigned tasks from listEpics
+ * @param {Object} workflow - Workflow
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayEpics(summary, workflow, tasksPath) {
+	displayBanner();
+
+	if (summary.epics.length === 0) {
+		console.log(
+			boxen(
+				chalk.yellow(`No epics in ${tasksPath}`) +
+					'\n\n' +
+					`Run ${chalk.yellow('task-master epic add --title="<title>" --goal="<goal>"')} to add one.`,
+				{ padding: 1, borderColor: 'yellow', borderStyle: 'round' }
+			)
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Epic'),
+			chalk.cyan.bold('Progress'),
+			chalk.cyan.bold('Target')
+		],
+		colWidths: [44, 42, 20],
+		wordWrap: true
+	});
+	summary.epics.forEach((epic) => {
+		table.push([
+			`${chalk.magenta.bold(epic.title)} ${chalk.gray(`(${epic.id})`)}` +
+				(epic.goal ? `\n${chalk.dim(epic.goal)}` : ''),
+			formatEpicProgress(epic.progress, workflow, 16),
+			formatEpicTarget(epic)
+		]);
+	});
+
+	console.log(`\nEpics in ${tasksPath}:`);
+	console.log(table.toString());
+	if (summary.unassigned.taskIds.length > 0) {
+		console.log(
+			chalk.gray(
+				`${summary.unassigned.taskIds.length} task(s) without an epic: ${summary.unassigned.taskIds.join(', ')}`
+			)
+		);
+	}
+	console.log(
+		chalk.white(
+			`\nRun ${chalk.yellow('task-master list --by-epic')} to list the tasks of each epic, or ${chalk.yellow('task-master epic assign --id=<epic> --tasks=<ids>')} to move tasks into an epic.`
+		)
+	);
+}
+
+/**
+ * Display an epic after adding or changing it
+ * @param {string} message - What happened
+ * @param {Object} epic - The epic
+ */
+function displayEpicChange(message, epic) {
+	const lines = [
+		`${chalk.white.bold('ID:')} ${epic.id}`,
+		`${chalk.white.bold('Title:')} ${epic.title}`,
+		...(epic.goal ? [`${chalk.white.bold('Goal:')} ${epic.goal}`] : []),
+		...(epic.targetDate
+			? [`${chalk.white.bold('Target date:')} ${epic.targetDate}`]
+			: [])
+	];
+	console.log(
+		boxen(chalk.green(message) + '\n\n' + lines.join('\n'), {
+			padding: 1,
+			borderColor: 'green',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the epic of tasks after moving them into or out of an epic
+ * @param {Array<{id: number, title: string, previousEpic: string|null, epic: string|null, changed: boolean}>} results - Result from assignEpic
+ */
+function displayEpicAssignment(results) {
+	const changed = results.filter((result) => result.changed).length;
+	const lines = results.map(
+		({ id, title, previousEpic, epic }) =>
+			`${chalk.cyan(String(id).padEnd(6))} ${truncate(title, 40).padEnd(42)} ${previousEpic !== epic ? `${chalk.gray(previousEpic || 'none')} → ` : ''}${epic ? chalk.magenta(epic) : chalk.gray('none')}`
+	);
+
+	console.log(
+		boxen(
+			(changed > 0
+				? chalk.green(`Moved ${changed} task(s)`)
+				: chalk.yellow('No tasks moved')) +
+				'\n\n' +
+				lines.join('\n'),
+			{
+				padding: 1,
+				borderColor: changed > 0 ? 'green' : 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the old and new IDs after moving or renumbering tasks
+ * @param {{id?: string, title?: string, mapping: Array<{from: string, to: string}>}} result - Result of moveTask or renumberTasks
+ */
+function displayIdMapping(result) {
+	const { mapping } = result;
+	let heading;
+	if (result.id) {
+		heading =
+			mapping.length > 0
+				? chalk.green(`Moved task ${result.id}: ${truncate(result.title, 50)}`)
+				: chalk.yellow(`Task ${result.id} is already there`);
+	} else {
+		heading =
+			mapping.length > 0
+				? chalk.green(`Renumbered ${mapping.length} task(s) and subtask(s)`)
+				: chalk.yellow('The tasks are numbered in order already');
+	}
+	const lines = mapping.map(
+		({ from, to }) => `${chalk.gray(from.padEnd(10))} → ${chalk.cyan(to)}`
+	);
+
+	console.log(
+		boxen(heading + (lines.length > 0 ? '\n\n' + lines.join('\n') : ''), {
+			padding: 1,
+			borderColor: mapping.length > 0 ? 'green' : 'yellow',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display a proposed split or merge before it is applied
+ * @param {Object} proposal - Result of draftSplit or draftMerge
+ * @param {string} action - 'split' or 'merge'
+ */
+function displaySplitProposal(proposal, action) {
+	let content;
+	if (action === 'split') {
+		content =
+			chalk.white.bold(
+				`Proposed split of task ${proposal.id}: ${proposal.title}`
+			) +
+			proposal.parts
+				.map((part, index) => {
+					const subtasks =
+						part.subtasks.length > 0
+							? `\n   ${chalk.gray(`Subtasks: ${part.subtasks.map((id) => `${proposal.id}.${id}`).join(', ')}`)}`
+							: '';
+					return (
+						`\n\n${chalk.cyan(`${index + 1}.`)} ${part.title}` +
+						(index === 0 ? chalk.gray(` (keeps ID ${proposal.id})`) : '') +
+						(part.description ? `\n   ${truncate(part.description, 80)}` : '') +
+						subtasks
+					);
+				})
+				.join('');
+	} else {
+		const { task } = proposal;
+		content =
+			chalk.white.bold(
+				`Proposed merge of tasks ${proposal.ids.join(', ')} into task ${proposal.ids[0]}`
+			) +
+			`\n\n${chalk.cyan('Title:')} ${task.title}` +
+			`\n${chalk.cyan('Description:')} ${task.description}` +
+			(task.details
+				? `\n\n${chalk.cyan('Details:')}\n${truncate(task.details, 500)}`
+				: '') +
+			(task.testStrategy
+				? `\n\n${chalk.cyan('Test strategy:')}\n${truncate(task.testStrategy, 300)}`
+				: '');
+	}
+
+	console.log(
+		boxen(content, {
+			padding: 1,
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the tasks a split or merge produced
+ * @param {Object} result - Result of splitTask or mergeTasks
+ * @param {string} action - 'split' or 'merge'
+ */
+function displaySplitResult(result, action) {
+	const heading =
+		action === 'split'
+			? chalk.green(`Split task ${result.id} into ${result.tasks.length} tasks`)
+			: chalk.green(
+					`Merged task(s) ${result.merged.join(', ')} into task ${result.id}: ${truncate(result.title, 50)}`
+				);
+	const tasks =
+		action === 'split'
+			? '\n\n' +
+				result.tasks
+					.map(
+						({ id, title }) => `${chalk.cyan(String(id).padEnd(4))} ${title}`
+					)
+					.join('\n')
+			: '';
+	const moved =
+		result.mapping.length > 0
+			? `\n\n${chalk.white.bold('Moved:')}\n` +
+				result.mapping
+					.map(
+						({ from, to }) =>
+							`${chalk.gray(from.padEnd(10))} → ${chalk.cyan(to)}`
+					)
+					.join('\n')
+			: '';
+
+	console.log(
+		boxen(heading + tasks + moved, {
+			padding: 1,
+			borderColor: 'green',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the status workflow of a project
+ * @param {Object} workflow - Workflow (see task-workflow.js)
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayWorkflow(workflow, tasksPath) {
+	displayBanner();
+
+	const categoryDescriptions = {
+		todo: 'to do',
+		active: 'in progress',
+		waiting: 'waiting',
+		done: 'done, satisfies dependencies',
+		closed: 'closed without being done'
+	};
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Status'),
+			chalk.cyan.bold('Category'),
+			chalk.cyan.bold('Can move to')
+		],
+		colWidths: [20, 32, 40],
+		wordWrap: true
+	});
+	workflow.statuses.forEach((status) => {
+		const targets = workflow.transitions[status.name]
+			? getAllowedTransitions(workflow, status.name).join(', ') ||
+				chalk.gray('none')
+			: chalk.gray('any status');
+		table.push([
+			getStatusWithColor(status.name, true, workflow),
+			categoryDescriptions[status.category],
+			targets
+		]);
+	});
+
+	console.log(
+		`\n${workflow.custom ? 'Custom' : 'Default'} workflow of ${tasksPath}:`
+	);
+	console.log(table.toString());
+	console.log(
+		chalk.white(
+			`\nNew tasks start as ${chalk.yellow(workflow.initial)}. ` +
+				`Run ${chalk.yellow('task-master workflow show --json > workflow.json')} to edit the workflow, ` +
+				`then ${chalk.yellow('task-master workflow set --from=workflow.json')}.`
+		)
+	);
+}
+
+/**
+ * Display the result of claiming or releasing a task
+ * @param {Object} result - Result of claimTask, releaseTask or claimNextTask
+ * @param {string} action - 'claim', 'release' or 'claim-next'
+ */
+function displayClaimResult(result, action) {
+	const box = (text, borderColor) =>
+		console.log(
+			boxen(text, {
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor,
+				borderStyle: 'round',
+				margin: { top: 1 }
+			})
+		);
+
+	if (action === 'release') {
+		box(
+			result.released
+				? chalk.green(
+						`Released the claim of ${chalk.cyan(result.previousOwner)} on task ${result.id}`
+					)
+				: chalk.yellow(`Task ${result.id} wasn't claimed`),
+			result.released ? 'green' : 'yellow'
+		);
+		return;
+	}
+
+	const claim = action === 'claim-next' ? result.claim : result;
+	if (!claim) {
+		box(
+			chalk.yellow(
+				'No task to claim: all open tasks are waiting for dependencies or claimed by someone else.'
+			),
+			'yellow'
+		);
+		return;
+	}
+
+	box(
+		chalk.white.bold(
+			`${claim.renewed ? 'Renewed the claim on' : 'Claimed'} task ${claim.id}: ${claim.title}`
+		) +
+			'\n\n' +
+			`Owner: ${formatClaim(claim)}\n` +
+			`Lease ends: ${claim.expiresAt}` +
+			(claim.previousOwner
+				? `\n${chalk.yellow(`Taken over from ${claim.previousOwner}`)}`
+				: '') +
+			`\n\nClaim it again to extend the lease, and release it with ${chalk.yellow(`task-master release --id=${claim.id} --owner=${claim.owner}`)}`,
+		'green'
+	);
+}
+
+/**
+ * Display how next ranks the tasks of a project
+ * @param {Object} settings - Scoring settings from getScoringSettings
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayScoring(settings, tasksPath) {
+	displayBanner();
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Factor'),
+			chalk.cyan.bold('Weight'),
+			chalk.cyan.bold('Value (0 to 1)')
+		],
+		colWidths: [16, 10, 66],
+		wordWrap: true
+	});
+	Object.entries(SCORING_FACTORS).forEach(([factor, description]) => {
+		const weight = settings.weights[factor];
+		table.push([
+			factor,
+			weight === 0 ? chalk.gray('0') : chalk.white.bold(weight),
+			description
+		]);
+	});
+
+	console.log(`\nScoring of ${tasksPath}:`);
+	console.log(table.toString());
+
+	const labels = Object.entries(settings.labels);
+	console.log(
+		labels.length > 0
+			? `Label weights: ${labels.map(([label, weight]) => `${chalk.cyan(label)} ${formatScorePoints(weight)}`).join(', ')}`
+			: chalk.gray('No label weights')
+	);
+	console.log(
+		chalk.white(
+			`Due dates count from ${settings.dueWithinDays} day(s) before, tasks get the full age value after ${settings.maxAgeDays} day(s).\n\n` +
+				`Change a weight with ${chalk.yellow('task-master scoring --weight=unblocks=0.5 --label-weight=urgent=2')}, ` +
+				`and see the scores with ${chalk.yellow('task-master next --explain')}.`
+		)
+	);
+}
+
+/**
+ * Display the status history of a task or subtask
+ * @param {Object} timeline - Timeline from getTaskTimeline
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayTimeline(timeline, tasksPath) {
+	displayBanner();
+
+	const workflow = getWorkflow(readTasksMeta(tasksPath));
+	const header = boxen(
+		chalk.white.bold(`Timeline of task ${timeline.id}: ${timeline.title}`) +
+			'\n' +
+			`Status: ${getStatusWithColor(timeline.status, false, workflow)}`,
+		{
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1, bottom: 0 }
+		}
+	);
+	console.log(header);
+
+	if (timeline.history.length === 0) {
+		console.log(
+			chalk.yellow(
+				'\nNo status changes recorded yet. They are recorded from now on, whenever the status changes.'
+			)
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('When'),
+			chalk.cyan.bold('Status change'),
+			chalk.cyan.bold('Source'),
+			chalk.cyan.bold('Time in status')
+		],
+		colWidths: [24, 36, 8, 16],
+		wordWrap: true
+	});
+	timeline.history.forEach((entry, index) => {
+		const change = entry.from
+			? `${getStatusColor(entry.from, workflow)(entry.from)} → ${getStatusColor(entry.status, workflow)(entry.status)}`
+			: `created as ${getStatusColor(entry.status, workflow)(entry.status)}`;
+		const period = timeline.periods[index];
+		table.push([
+			new Date(entry.at).toLocaleString(),
+			change,
+			entry.source || '-',
+			period.end
+				? formatDuration(period.duration)
+				: chalk.gray(`${formatDuration(period.duration)} so far`)
+		]);
+	});
+	console.log(table.toString());
+
+	// Total time spent in each status, in the order of the workflow
+	const totals = {};
+	timeline.periods.forEach((period) => {
+		totals[period.status] = (totals[period.status] || 0) + period.duration;
+	});
+	const totalsLine = Object.entries(totals)
+		.map(
+			([status, duration]) =>
+				`${getStatusColor(status, workflow)(status)}: ${formatDuration(duration)}`
+		)
+		.join('  ');
+
+	console.log(
+		boxen(
+			`${chalk.white.bold('Time in status:')} ${totalsLine}\n` +
+				`${chalk.white.bold('Lead time:')} ${formatDuration(timeline.leadTime)}  ` +
+				`${chalk.white.bold('Cycle time:')} ${formatDuration(timeline.cycleTime)}` +
+				(timeline.doneAt
+					? ''
+					: chalk.gray(
+							'\nLead and cycle time are known once the task is done.'
+						)),
+			{
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor: 'cyan',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display the due dates and estimates after set-schedule
+ * @param {Array<{id: string, dueDate: string|null, estimate: number|null, changed: boolean}>} results - Result of setTaskSchedule
+ */
+function displayScheduleChange(results) {
+	const changed = results.filter((result) => result.changed).length;
+	const lines = results.map(
+		({ id, dueDate, estimate }) =>
+			`${chalk.cyan(id.padEnd(8))} Due: ${dueDate || chalk.gray('none')}  Estimate: ${estimate !== null ? `${estimate}h` : chalk.gray('none')}`
+	);
+
+	console.log(
+		boxen(
+			(changed > 0
+				? chalk.green(`Updated the schedule of ${changed} task(s)`)
+				: chalk.yellow('Nothing changed')) +
+				'\n\n' +
+				lines.join('\n'),
+			{
+				padding: 1,
+				borderColor: changed > 0 ? 'green' : 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1 }
+			}
+		)
+	);
+}
+
+/**
+ * Display a schedule forecast
+ * @param {Object} forecast - Forecast from forecastTasks
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayForecast(forecast, tasksPath) {
+	displayBanner();
+
+	const { settings } = forecast;
+	console.log(
+		`\nForecast for ${tasksPath}, starting ${forecast.startDate} with ${settings.people} ${settings.people === 1 ? 'person' : 'people'} working ${settings.hoursPerDay}h per day:`
+	);
+
+	if (forecast.tasks.length === 0) {
+		console.log(chalk.green('\nAll tasks are finished.'));
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('ID'),
+			chalk.cyan.bold('Title'),
+			chalk.cyan.bold('Estimate'),
+			chalk.cyan.bold('Start'),
+			chalk.cyan.bold('Finish'),
+			chalk.cyan.bold('Due')
+		],
+		colWidths: [6, 36, 10, 12, 12, 12],
+		wordWrap: true
+	});
+	forecast.tasks.forEach((task) => {
+		const color = task.late ? chalk.red : chalk.white;
+		table.push([
+			task.id.toString(),
+			color(truncate(task.title, 33)),
+			task.estimate === null ? chalk.yellow('?') : `${task.estimate}h`,
+			task.start,
+			color(task.finish),
+			task.dueDate ? color(task.dueDate) : chalk.gray('-')
+		]);
+	});
+	console.log(table.toString());
+
+	const summary = [
+		`${chalk.white.bold('Expected finish:')} ${forecast.finish}`,
+		forecast.late.length > 0
+			? chalk.red(
+					`${forecast.late.length} task(s) will miss their due date: ` +
+						forecast.late
+							.map((item) => `${item.id} (${item.daysLate}d late)`)
+							.join(', ')
+				)
+			: chalk.green('All due dates will be met.'),
+		...(forecast.unestimated.length > 0
+			? [
+					chalk.yellow(
+						`No estimate for ${forecast.unestimated.join(', ')}, counted as 0h. ` +
+							`Set one with task-master set-schedule --id=<id> --estimate=<hours>`
+					)
+				]
+			: [])
+	];
+	console.log(
+		boxen(summary.join('\n'), {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor: forecast.late.length > 0 ? 'red' : 'green',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
+/**
+ * Display the critical path and the waves of tasks that can run in parallel
+ * @param {Object} analysis - Result of analyzeCriticalPath()
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayCriticalPath(analysis, tasksPath) {
+	displayBanner();
+
+	const weightNames = {
+		complexity: 'complexity score',
+		estimate: 'estimate',
+		count: 'number of tasks'
+	};
+	const formatWeight = (weight) =>
+		analysis.weightBy === 'estimate' ? `${weight}h` : `${weight}`;
+	console.log(
+		`\nDependency analysis of ${tasksPath}, weighted by ${weightNames[analysis.weightBy]}:`
+	);
+
+	if (analysis.order.length === 0) {
+		console.log(chalk.green('\nAll tasks are finished.'));
+		return;
+	}
+
+	const { criticalPath } = analysis;
+	const criticalIds = new Set(criticalPath.tasks.map((task) => task.id));
+	console.log(
+		boxen(
+			chalk.white.bold(
+				`Critical path (${formatWeight(criticalPath.length)}): `
+			) +
+				chalk.yellow(criticalPath.tasks.map((task) => task.id).join(' → ')) +
+				'\n\n' +
+				criticalPath.tasks
+					.map(
+						(task) =>
+							`${chalk.cyan(task.id.toString().padStart(3))}  ${truncate(task.title, 60)} ${chalk.gray(`(${formatWeight(task.weight)})`)}`
+					)
+					.join('\n'),
+			{
+				padding: { top: 0, bottom: 0, left: 1, right: 1 },
+				borderColor: 'yellow',
+				borderStyle: 'round',
+				margin: { top: 1, bottom: 1 }
+			}
+		)
+	);
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Wave'),
+			chalk.cyan.bold('Tasks that can run in parallel')
+		],
+		colWidths: [7, 74],
+		wordWrap: true
+	});
+	analysis.waves.forEach((wave, index) => {
+		table.push([
+			(index + 1).toString(),
+			wave
+				.map((task) => {
+					const line = `${task.id}: ${truncate(task.title, 50)} (${formatWeight(task.weight)})`;
+					return criticalIds.has(task.id) ? chalk.yellow(line) : line;
+				})
+				.join('\n')
+		]);
+	});
+	console.log(table.toString());
+
+	const hints = [
+		`${analysis.waves[0].length} task(s) can be started right away; tasks on the critical path are ${chalk.yellow('yellow')}.`
+	];
+	if (analysis.unweighted.length > 0) {
+		hints.push(
+			chalk.yellow(
+				analysis.weightBy === 'complexity'
+					? `No complexity score for ${analysis.unweighted.join(', ')}, counted as 0. Run task-master analyze-complexity to score them.`
+					: `No estimate for ${analysis.unweighted.join(', ')}, counted as 0h. Set one with task-master set-schedule --id=<id> --estimate=<hours>`
+			)
+		);
+	}
+	console.log(`\n${hints.join('\n')}`);
+}
+
+/**
+ * Display the impact of removing tasks or changing their status
+ * @param {Object} impact - Result of getTaskImpact()
+ * @param {string} tasksPath - Path to the tasks file
+ */
+function displayImpact(impact, tasksPath) {
+	const workflow = getWorkflow(readTasksMeta(tasksPath));
+	const targetIds = impact.targets.map((target) => target.id).join(', ');
+	const describe = (item) =>
+		`${chalk.cyan(item.id)} ${truncate(item.title, 60)}`;
+
+	const lines = [
+		chalk.white.bold(
+			impact.action === 'remove'
+				? `Impact of removing ${targetIds}`
+				: `Impact of setting ${targetIds} to ${impact.status}`
+		)
+	];
+
+	if (impact.dependents.length === 0) {
+		lines.push(chalk.green('No other tasks depend on it.'));
+	} else {
+		const direct = impact.dependents.filter((item) => item.direct);
+		lines.push(
+			'',
+			`${impact.dependents.length} task(s) depend on it, ${direct.length} directly:`,
+			...impact.dependents.map(
+				(item) =>
+					`  ${describe(item)} ${getStatusWithColor(item.status, false, workflow)}${item.direct ? '' : chalk.gray(' (indirect)')}`
+			)
+		);
+		if (impact.action === 'remove' && direct.length > 0) {
+			lines.push(
+				chalk.gray('Their dependencies on the removed tasks will be dropped.')
+			);
+		}
+	}
+
+	if (impact.referencingSubtasks.length > 0) {
+		lines.push(
+			'',
+			chalk.yellow('Subtasks of other tasks referencing it:'),
+			...impact.referencingSubtasks.map(
+				(item) =>
+					`  ${describe(item)} ${chalk.gray(`→ ${item.references.join(', ')}`)}`
+			)
+		);
+	}
+	if (impact.unblocked.length > 0) {
+		lines.push(
+			'',
+			chalk.green('Can start afterwards:'),
+			...impact.unblocked.map((item) => `  ${describe(item)}`)
+		);
+	}
+	if (impact.permanentlyBlocked.length > 0) {
+		lines.push(
+			'',
+			chalk.red(`Can never start while ${targetIds} is ${impact.status}:`),
+			...impact.permanentlyBlocked.map((item) => `  ${describe(item)}`)
+		);
+	}
+
+	let borderColor = 'green';
+	if (impact.permanentlyBlocked.length > 0) {
+		borderColor = 'red';
+	} else if (impact.dependents.length > 0) {
+		borderColor = 'yellow';
+	}
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor,
+			borderStyle: 'round',
+			margin: { top: 1, bottom: 1 }
+		})
+	);
+}
+
+/**
+ * Display the notes of a task and its subtasks
+ * @param {{id: string, title: string, notes: Array<Object>}} result - Result of getTaskLog()
+ * @param {string} kind - Kind the notes were filtered by, if any
+ */
+function displayTaskLog(result, kind) {
+	const heading = chalk.white.bold(`Log of task ${result.id}: ${result.title}`);
+
+	if (result.notes.length === 0) {
+		console.log(
+			boxen(
+				heading +
+					'\n\n' +
+					chalk.yellow(kind ? `No ${kind} notes yet` : 'No notes yet') +
+					'\n\n' +
+					`Add one with ${chalk.yellow(`task-master log --id=${result.id} --note="<text>"`)}`,
+				{
+					padding: 1,
+					borderColor: 'yellow',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+		return;
+	}
+
+	console.log(
+		boxen(heading, {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor: 'blue',
+			borderStyle: 'round',
+			margin: { top: 1, bottom: 0 }
+		})
+	);
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('When'),
+			chalk.cyan.bold('ID'),
+			chalk.cyan.bold('Kind'),
+			chalk.cyan.bold('By'),
+			chalk.cyan.bold('Note')
+		],
+		colWidths: [24, 8, 10, 16, 58],
+		wordWrap: true
+	});
+
+	result.notes.forEach((note) => {
+		table.push([
+			new Date(note.timestamp).toLocaleString(),
+			note.id,
+			getNoteKindWithColor(note.kind),
+			note.author || chalk.gray(note.source || ''),
+			note.body
+		]);
+	});
+
+	console.log(table.toString());
+}
+
 // Export UI functions
 export {
 	displayBanner,
 	startLoadingIndicator,
 	stopLoadingIndicator,
 	createProgressBar,
+	getStatusColor,
 	getStatusWithColor,
 	formatDependenciesWithStatus,
 	displayHelp,
@@ -1706,5 +3677,33 @@ export {
 	displayNextTask,
 	displayTaskById,
 	displayComplexityReport,
-	confirmTaskOverwrite
+	confirmTaskOverwrite,
+	displaySchemaValidation,
+	formatHistoryChanges,
+	displayHistory,
+	displayHistoryStep,
+	displayStorageCopy,
+	displayArchiveResult,
+	displayTags,
+	displayTagChange,
+	displaySyncResult,
+	displayImportResult,
+	displayLabels,
+	displayLabelChange,
+	formatEpicHeading,
+	displayEpics,
+	displayEpicChange,
+	displayEpicAssignment,
+	displayIdMapping,
+	displaySplitProposal,
+	displaySplitResult,
+	displayWorkflow,
+	displayScoring,
+	displayClaimResult,
+	displayTimeline,
+	displayScheduleChange,
+	displayForecast,
+	displayCriticalPath,
+	displayImpact,
+	displayTaskLog
 };
@@ -6,6 +6,7 @@
 import fs from 'fs';
 import path from 'path';
 import chalk from 'chalk';
+import { CURRENT_SCHEMA_VERSION, migrateTasksData } from './task-schema.js';
 
 // Global silent mode flag
 let silentMode = false;
@@ -100,6 +101,18 @@ function log(level, ...args) {
 	}
 }
 
+/**
+ * Creates an error with a code the CLI and MCP tools can report
+ * @param {string} code - Error code (e.g. 'TASK_NOT_FOUND')
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function createError(code, message) {
+	const error = new Error(message);
+	error.code = code;
+	return error;
+}
+
 /**
  * Reads and parses a JSON file
  * @param {string} filepath - Path to the JSON file
@@ -108,7 +121,18 @@ function log(level, ...args) {
 function readJSON(filepath) {
 	try {
 		const rawData = fs.readFileSync(filepath, 'utf8');
-		return JSON.parse(rawData);
+		const data = JSON.parse(rawData);
+
+		// Upgrade older tasks files on load, the result is saved on the next write
+		const { applied } = migrateTasksData(data);
+		applied.forEach((description) =>
+			log(
+				'debug',
+				`Migrated ${filepath} to schema v${CURRENT_SCHEMA_VERSION}: ${description}`
+			)
+		);
+
+		return data;
 	} catch (error) {
 		log('error', `Error reading JSON file ${filepath}:`, error.message);
 		if (CONFIG.debug) {
@@ -119,6 +143,46 @@ function readJSON(filepath) {
 	}
 }
 
+/**
+ * Writes a file atomically by writing to a temporary file in the same
+ * directory and renaming it over the target. A crash mid-write leaves the
+ * original file untouched instead of a truncated one.
+ * @param {string} filepath - Path to the file
+ * @param {string} content - Content to write
+ */
+function writeFileAtomic(filepath, content) {
+	const dir = path.dirname(filepath);
+	if (!fs.existsSync(dir)) {
+		fs.mkdirSync(dir, { recursive: true });
+	}
+
+	const tempPath = path.join(
+		dir,
+		`.${path.basename(filepath)}.${process.pid}.${Date.now()}.tmp`
+	);
+
+	try {
+		const fd = fs.openSync(tempPath, 'w');
+		try {
+			fs.writeFileSync(fd, content, 'utf8');
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		fs.renameSync(tempPath, filepath);
+	} catch (error) {
+		// Don't leave partial temp files lying around
+		if (fs.existsSync(tempPath)) {
+			try {
+				fs.unlinkSync(tempPath);
+			} catch (cleanupError) {
+				// Ignore cleanup errors, the original error is more useful
+			}
+		}
+		throw error;
+	}
+}
+
 /**
  * Writes data to a JSON file
  * @param {string} filepath - Path to the JSON file
@@ -126,11 +190,7 @@ function readJSON(filepath) {
  */
 function writeJSON(filepath, data) {
 	try {
-		const dir = path.dirname(filepath);
-		if (!fs.existsSync(dir)) {
-			fs.mkdirSync(dir, { recursive: true });
-		}
-		fs.writeFileSync(filepath, JSON.stringify(data, null, 2), 'utf8');
+		writeFileAtomic(filepath, JSON.stringify(data, null, 2));
 	} catch (error) {
 		log('error', `Error writing JSON file ${filepath}:`, error.message);
 		if (CONFIG.debug) {
@@ -190,10 +250,105 @@ function findTaskInComplexityReport(report, taskId) {
 	return report.complexityAnalysis.find((task) => task.taskId === taskId);
 }
 
+/**
+ * Parses a task ID into the IDs along its path. Subtasks can have subtasks of
+ * their own, so "4.2.1" is subtask 1 of subtask 2 of task 4.
+ * @param {string|number} taskId - Task ID, e.g. 4, "4.2" or "4.2.1"
+ * @returns {Array<number>|null} IDs from the task down, or null if the ID is invalid
+ */
+function parseTaskIdPath(taskId) {
+	if (taskId === undefined || taskId === null) {
+		return null;
+	}
+	const parts = String(taskId).trim().split('.');
+	if (!parts.every((part) => /^\d+$/.test(part))) {
+		return null;
+	}
+	const ids = parts.map((part) => parseInt(part, 10));
+	return ids.every((id) => id > 0) ? ids : null;
+}
+
+/**
+ * Finds a task or a subtask at any depth, without changing it
+ * @param {Array} tasks - The tasks array
+ * @param {string|number} taskId - Task ID, e.g. 4, "4.2" or "4.2.1"
+ * @returns {{item: Object, parent: Object|null, ancestors: Array<Object>, path: Array<number>}|null} The task or subtask, the task or subtask holding it (null for a task), everything above it from the task down, and the IDs along its path
+ */
+function findTaskPath(tasks, taskId) {
+	const ids = parseTaskIdPath(taskId);
+	if (!ids || !Array.isArray(tasks)) {
+		return null;
+	}
+
+	const ancestors = [];
+	let candidates = tasks;
+	let item = null;
+	for (const id of ids) {
+		if (item) {
+			ancestors.push(item);
+		}
+		item = (candidates || []).find((candidate) => candidate.id === id);
+		if (!item) {
+			return null;
+		}
+		candidates = item.subtasks;
+	}
+
+	return {
+		item,
+		parent: ancestors[ancestors.length - 1] || null,
+		ancestors,
+		path: ids
+	};
+}
+
+/**
+ * Gets the ID of the task or subtask holding a subtask
+ * @param {string|number} taskId - Subtask ID, e.g. "4.2.1"
+ * @returns {string|null} Parent ID, e.g. "4.2", or null for a task
+ */
+function getParentTaskId(taskId) {
+	const ids = parseTaskIdPath(taskId);
+	return ids && ids.length > 1 ? ids.slice(0, -1).join('.') : null;
+}
+
+/**
+ * Resolves a dependency of a task or subtask to a full ID. Subtasks refer to
+ * their sibling subtasks by number, so dependency 1 of subtask "4.2.3" is
+ * "4.2.1"; other dependencies are full IDs already.
+ * @param {string|number} itemId - Full ID of the task or subtask
+ * @param {string|number} depId - Dependency as stored
+ * @returns {string|number} Full dependency ID
+ */
+function resolveDependencyId(itemId, depId) {
+	const parentId = getParentTaskId(itemId);
+	return parentId !== null && typeof depId === 'number' && depId < 100
+		? `${parentId}.${depId}`
+		: depId;
+}
+
+/**
+ * Lists the subtasks of a task or subtask at every depth, each one followed by
+ * its own subtasks
+ * @param {Object} item - Task or subtask
+ * @param {string|number} itemId - Full ID of the task or subtask
+ * @returns {Array<{subtask: Object, id: string, parentId: string, depth: number}>} Subtasks with their full IDs, depth 1 being the direct subtasks
+ */
+function flattenSubtasks(item, itemId = item.id) {
+	const parentId = String(itemId);
+	return (item.subtasks || []).flatMap((subtask) => {
+		const id = `${parentId}.${subtask.id}`;
+		return [
+			{ subtask, id, parentId, depth: parentId.split('.').length },
+			...flattenSubtasks(subtask, id)
+		];
+	});
+}
+
 /**
  * Checks if a task exists in the tasks array
  * @param {Array} tasks - The tasks array
- * @param {string|number} taskId - The task ID to check
+ * @param {string|number} taskId - The task ID to check, subtasks at any depth included (e.g. "1.2.1")
  * @returns {boolean} True if the task exists, false otherwise
  */
 function taskExists(tasks, taskId) {
@@ -201,22 +356,7 @@ function taskExists(tasks, taskId) {
 		return false;
 	}
 
-	// Handle both regular task IDs and subtask IDs (e.g., "1.2")
-	if (typeof taskId === 'string' && taskId.includes('.')) {
-		const [parentId, subtaskId] = taskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = tasks.find((t) => t.id === parentId);
-
-		if (!parentTask || !parentTask.subtasks) {
-			return false;
-		}
-
-		return parentTask.subtasks.some((st) => st.id === subtaskId);
-	}
-
-	const id = parseInt(taskId, 10);
-	return tasks.some((t) => t.id === id);
+	return !!findTaskPath(tasks, taskId);
 }
 
 /**
@@ -239,7 +379,7 @@ function formatTaskId(id) {
 /**
  * Finds a task by ID in the tasks array
  * @param {Array} tasks - The tasks array
- * @param {string|number} taskId - The task ID to find
+ * @param {string|number} taskId - The task ID to find, subtasks at any depth included (e.g. "1.2.1")
  * @returns {Object|null} The task object or null if not found
  */
 function findTaskById(tasks, taskId) {
@@ -247,33 +387,25 @@ function findTaskById(tasks, taskId) {
 		return null;
 	}
 
-	// Check if it's a subtask ID (e.g., "1.2")
-	if (typeof taskId === 'string' && taskId.includes('.')) {
-		const [parentId, subtaskId] = taskId
-			.split('.')
-			.map((id) => parseInt(id, 10));
-		const parentTask = tasks.find((t) => t.id === parentId);
-
-		if (!parentTask || !parentTask.subtasks) {
-			return null;
-		}
-
-		const subtask = parentTask.subtasks.find((st) => st.id === subtaskId);
-		if (subtask) {
-			// Add reference to parent task for context
-			subtask.parentTask = {
-				id: parentTask.id,
-				title: parentTask.title,
-				status: parentTask.status
-			};
-			subtask.isSubtask = true;
-		}
+	const found = findTaskPath(tasks, taskId);
+	if (!found) {
+		return null;
+	}
 
-		return subtask || null;
+	// Check if it's a subtask ID (e.g., "1.2" or "1.2.1")
+	const { item, parent, path } = found;
+	if (parent) {
+		// Add reference to parent task for context. Its ID is the full ID of
+		// the parent, so "parentTask.id.id" is the full ID of the subtask.
+		item.parentTask = {
+			id: path.length > 2 ? path.slice(0, -1).join('.') : parent.id,
+			title: parent.title,
+			status: parent.status
+		};
+		item.isSubtask = true;
 	}
 
-	const id = parseInt(taskId, 10);
-	return tasks.find((t) => t.id === id) || null;
+	return item;
 }
 
 /**
@@ -402,11 +534,18 @@ export {
 	CONFIG,
 	LOG_LEVELS,
 	log,
+	createError,
 	readJSON,
 	writeJSON,
+	writeFileAtomic,
 	sanitizePrompt,
 	readComplexityReport,
 	findTaskInComplexityReport,
+	parseTaskIdPath,
+	findTaskPath,
+	getParentTaskId,
+	resolveDependencyId,
+	flattenSubtasks,
 	taskExists,
 	formatTaskId,
 	findTaskById,
@@ -0,0 +1,35 @@
+/**
+ * Temporary project directories for tests that read and write a tasks file
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { sampleTasks } from './sample-tasks.js';
+
+/**
+ * Creates a temporary project directory with a tasks.json
+ * @param {string} name - Start of the directory name, e.g. the module under test
+ * @param {Object|Array|null} data - Contents of tasks.json, or only its tasks to go with the sample meta data (default: the sample tasks, null for no tasks file)
+ * @returns {{tempDir: string, tasksPath: string}} The project directory and its tasks file
+ */
+export function createTempProject(name, data = sampleTasks) {
+	const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-`));
+	const tasksPath = path.join(tempDir, 'tasks.json');
+	if (data) {
+		const content = Array.isArray(data)
+			? { meta: sampleTasks.meta, tasks: data }
+			: data;
+		fs.writeFileSync(tasksPath, JSON.stringify(content, null, 2));
+	}
+	return { tempDir, tasksPath };
+}
+
+/**
+ * Removes a temporary project directory
+ * @param {string} tempDir - Directory from createTempProject()
+ */
+export function removeTempProject(tempDir) {
+	fs.rmSync(tempDir, { recursive: true, force: true });
+}
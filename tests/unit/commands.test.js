@@ -169,6 +169,29 @@ describe('Commands Module', () => {
 			expect(mockReadFileSync).toHaveBeenCalled();
 			expect(version).toBe('1.5.0');
 		});
+
+		// bin/task-master.js passes every default on to dev.js as --name=value,
+		// which turns an empty array into an empty value
+		test.each([
+			['list', '--field'],
+			['next', '--field'],
+			['add-task', '--field'],
+			['add-subtask', '--field'],
+			['scoring', '--weight'],
+			['scoring', '--label-weight'],
+			['split', '--title']
+		])(
+			'should not give the repeatable %s %s option a default',
+			(commandName, flag) => {
+				const command = setupCLI().commands.find(
+					(cmd) => cmd.name() === commandName
+				);
+				const option = command.options.find((opt) => opt.long === flag);
+
+				expect(option.defaultValue).toBeUndefined();
+				expect(option.parseArg('a=1', option.defaultValue)).toEqual(['a=1']);
+			}
+		);
 	});
 
 	describe('Kebab Case Validation', () => {
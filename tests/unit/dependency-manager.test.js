@@ -3,16 +3,23 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
 import {
 	validateTaskDependencies,
 	isCircularDependency,
 	removeDuplicateDependencies,
 	cleanupSubtaskDependencies,
 	ensureAtLeastOneIndependentSubtask,
-	validateAndFixDependencies
+	validateAndFixDependencies,
+	analyzeDependencyGraph,
+	analyzeCriticalPath
 } from '../../scripts/modules/dependency-manager.js';
 import * as utils from '../../scripts/modules/utils.js';
-import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
 
 // Mock dependencies
 jest.mock('path');
@@ -55,8 +62,13 @@ jest.mock('../../scripts/modules/task-manager.js', () => ({
 	generateTaskFiles: jest.fn()
 }));
 
-// Create a path for test files
-const TEST_TASKS_PATH = 'tests/fixture/test-tasks.json';
+// Create a path for test files. Saves bump meta.revision, so use a scratch
+// copy instead of rewriting the checked-in fixture on every run.
+const TEST_TASKS_PATH = path.join(
+	createTempProject('dependency-manager', null).tempDir,
+	'test-tasks.json'
+);
+fs.copyFileSync('tests/fixture/test-tasks.json', TEST_TASKS_PATH);
 
 describe('Dependency Manager Module', () => {
 	beforeEach(() => {
@@ -254,6 +266,55 @@ describe('Dependency Manager Module', () => {
 			const result = isCircularDependency(tasks, '1.2', ['1.1']);
 			expect(result).toBe(true);
 		});
+
+		test('should follow dependencies between subtasks of different tasks', () => {
+			const tasks = [
+				{
+					id: 4,
+					dependencies: [],
+					subtasks: [
+						{ id: 1, dependencies: [] },
+						{ id: 2, dependencies: [1, '7.1'] }
+					]
+				},
+				{
+					id: 7,
+					dependencies: [],
+					subtasks: [{ id: 1, dependencies: [] }]
+				}
+			];
+
+			// 7.1 -> 4.2 -> 7.1
+			expect(isCircularDependency(tasks, '4.2', ['7.1'])).toBe(true);
+			// Numeric subtask dependencies are siblings: 4.1 -> 4.2 -> 4.1
+			expect(isCircularDependency(tasks, '4.2', ['4.1'])).toBe(true);
+			expect(isCircularDependency(tasks, '4.2', [1])).toBe(false);
+			expect(isCircularDependency(tasks, '7.1', ['4.1'])).toBe(false);
+		});
+
+		test('should detect cycles through the parents of subtasks', () => {
+			const tasks = [
+				{
+					id: 4,
+					dependencies: [],
+					subtasks: [{ id: 2, dependencies: ['7.1'] }]
+				},
+				{
+					id: 7,
+					dependencies: [],
+					subtasks: [{ id: 1, dependencies: ['4.1'] }]
+				}
+			];
+
+			// 4.1 -> 7.1 -> 4.2 is fine
+			expect(isCircularDependency(tasks, 4)).toBe(false);
+			expect(isCircularDependency(tasks, 7)).toBe(false);
+
+			// Task 7 waiting for task 4 means 7.1 does too, but task 4 isn't done
+			// before 4.2 is, which waits for 7.1
+			tasks[1].dependencies = [4];
+			expect(isCircularDependency(tasks, 7)).toBe(true);
+		});
 	});
 
 	describe('validateTaskDependencies function', () => {
@@ -456,6 +517,36 @@ describe('Dependency Manager Module', () => {
 			expect(result.valid).toBe(true);
 			expect(result.issues.length).toBe(0);
 		});
+
+		test('should accept dependencies on subtasks of other tasks', () => {
+			const tasks = [
+				{
+					id: 4,
+					dependencies: [],
+					subtasks: [
+						{ id: 1, dependencies: [] },
+						{ id: 2, dependencies: [1, '7.1'] },
+						{ id: 3, dependencies: [2, '7.2'] }
+					]
+				},
+				{
+					id: 7,
+					dependencies: [],
+					subtasks: [{ id: 1, dependencies: [] }]
+				}
+			];
+
+			const result = validateTaskDependencies(tasks);
+
+			// Numeric 2 is the sibling 4.2, task 7 has no subtask 2
+			expect(result.issues).toEqual([
+				expect.objectContaining({
+					type: 'missing',
+					taskId: '4.3',
+					dependencyId: '7.2'
+				})
+			]);
+		});
 	});
 
 	describe('removeDuplicateDependencies function', () => {
@@ -548,6 +639,32 @@ describe('Dependency Manager Module', () => {
 			// Should return the original data unchanged
 			expect(result).toEqual(tasksData);
 		});
+
+		test('should keep dependencies on subtasks of other tasks', () => {
+			const tasksData = {
+				tasks: [
+					{ id: 1, dependencies: [] },
+					{
+						id: 4,
+						dependencies: [],
+						subtasks: [
+							{ id: 1, dependencies: [] },
+							// 1 is the sibling 4.1, 5 would be 4.5
+							{ id: 2, dependencies: [1, 5, '7.1', '7.9'] }
+						]
+					},
+					{
+						id: 7,
+						dependencies: [],
+						subtasks: [{ id: 1, dependencies: [] }]
+					}
+				]
+			};
+
+			const result = cleanupSubtaskDependencies(tasksData);
+
+			expect(result.tasks[1].subtasks[1].dependencies).toEqual([1, '7.1']);
+		});
 	});
 
 	describe('ensureAtLeastOneIndependentSubtask function', () => {
@@ -591,6 +708,34 @@ describe('Dependency Manager Module', () => {
 			expect(tasksData.tasks[0].subtasks[1].dependencies).toEqual([1]);
 		});
 
+		test('should only count dependencies on sibling subtasks', () => {
+			const tasksData = {
+				tasks: [
+					{
+						id: 4,
+						subtasks: [
+							{ id: 1, dependencies: ['7.1'] },
+							{ id: 2, dependencies: [1] }
+						]
+					},
+					{
+						id: 5,
+						subtasks: [
+							{ id: 1, dependencies: ['5.2', '7.1'] },
+							{ id: 2, dependencies: [1] }
+						]
+					}
+				]
+			};
+
+			const result = ensureAtLeastOneIndependentSubtask(tasksData);
+
+			expect(result).toBe(true);
+			// 4.1 only waits for another task, so task 4 is left alone
+			expect(tasksData.tasks[0].subtasks[0].dependencies).toEqual(['7.1']);
+			expect(tasksData.tasks[1].subtasks[0].dependencies).toEqual(['7.1']);
+		});
+
 		test('should handle tasks without subtasks', () => {
 			const tasksData = {
 				tasks: [{ id: 1 }, { id: 2, dependencies: [1] }]
@@ -810,4 +955,127 @@ describe('Dependency Manager Module', () => {
 			);
 		});
 	});
+
+	describe('analyzeDependencyGraph function', () => {
+		const graphTasks = () => [
+			{ id: 1, status: 'done', dependencies: [] },
+			{ id: 2, status: 'pending', dependencies: [1], weight: 3 },
+			{ id: 3, status: 'pending', dependencies: [2], weight: 2 },
+			{ id: 4, status: 'pending', dependencies: [], weight: 4 },
+			{
+				id: 5,
+				status: 'pending',
+				dependencies: [4],
+				weight: 2,
+				// Waits for task 3 through one of its subtasks
+				subtasks: [{ id: 1, status: 'pending', dependencies: ['3.1'] }]
+			},
+			{ id: 6, status: 'cancelled', dependencies: [] },
+			{ id: 7, status: 'pending', dependencies: [6] }
+		];
+
+		test('should group open tasks in waves', () => {
+			const analysis = analyzeDependencyGraph(graphTasks());
+
+			expect(analysis.order).toEqual([2, 3, 4, 5, 7]);
+			expect(analysis.waves.map((wave) => wave.map((task) => task.id))).toEqual(
+				[[2, 4, 7], [3], [5]]
+			);
+			expect(analysis.unweighted).toEqual([]);
+		});
+
+		test('should follow the heaviest chain', () => {
+			const analysis = analyzeDependencyGraph(graphTasks(), {
+				getWeight: (task) => task.weight ?? null
+			});
+
+			expect(analysis.criticalPath.length).toBe(7);
+			expect(analysis.criticalPath.tasks.map((task) => task.id)).toEqual([
+				2, 3, 5
+			]);
+			expect(analysis.unweighted).toEqual([7]);
+
+			// A heavier independent task becomes the critical path
+			const tasks = graphTasks();
+			tasks[3].weight = 9;
+			expect(
+				analyzeDependencyGraph(tasks, {
+					getWeight: (task) => task.weight ?? null
+				}).criticalPath.tasks.map((task) => task.id)
+			).toEqual([4, 5]);
+		});
+
+		test('should report no path when everything is finished', () => {
+			const analysis = analyzeDependencyGraph([
+				{ id: 1, status: 'done', dependencies: [] }
+			]);
+
+			expect(analysis).toEqual({
+				order: [],
+				waves: [],
+				criticalPath: { length: 0, tasks: [] },
+				unweighted: []
+			});
+		});
+	});
+
+	describe('analyzeCriticalPath function', () => {
+		let tempDir;
+		let tasksPath;
+		let reportPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('critical-path'));
+			reportPath = path.join(tempDir, 'task-complexity-report.json');
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should pick the weight from the complexity report or estimates', () => {
+			expect(
+				analyzeCriticalPath(tasksPath, { complexityReportPath: reportPath })
+					.weightBy
+			).toBe('count');
+
+			const data = JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+			data.tasks[2].estimate = 5;
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+			const byEstimate = analyzeCriticalPath(tasksPath, {
+				complexityReportPath: reportPath
+			});
+			expect(byEstimate.weightBy).toBe('estimate');
+			// Task 2 has no estimate of its own, nor open subtasks with one
+			expect(byEstimate.unweighted).toEqual([2]);
+			expect(byEstimate.criticalPath).toEqual({
+				length: 5,
+				tasks: [
+					expect.objectContaining({ id: 2, weight: 0 }),
+					expect.objectContaining({ id: 3, weight: 5 })
+				]
+			});
+
+			fs.writeFileSync(
+				reportPath,
+				JSON.stringify({
+					complexityAnalysis: [
+						{ taskId: 2, complexityScore: 7 },
+						{ taskId: 3, complexityScore: 4 }
+					]
+				})
+			);
+			const byComplexity = analyzeCriticalPath(tasksPath, {
+				complexityReportPath: reportPath
+			});
+			expect(byComplexity.weightBy).toBe('complexity');
+			expect(byComplexity.criticalPath.length).toBe(11);
+		});
+
+		test('should reject unknown weights', () => {
+			expect(() =>
+				analyzeCriticalPath(tasksPath, { weightBy: 'hours' })
+			).toThrow(expect.objectContaining({ code: 'INVALID_WEIGHT' }));
+		});
+	});
 });
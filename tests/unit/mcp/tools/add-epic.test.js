@@ -0,0 +1,199 @@
+/**
+ * Tests for the add-epic MCP tool
+ *
+ * Note: addEpicDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to addEpicDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockAddEpicDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		addEpicDirect: mockAddEpicDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerAddEpicTool } = await import(
+	'../../../../mcp-server/src/tools/add-epic.js'
+);
+
+describe('MCP Tool: add-epic', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		title: 'Accounts',
+		id: 'accounts',
+		goal: 'Users can sign up',
+		targetDate: '2025-06-01',
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			message: 'Added epic "Accounts" with ID accounts',
+			epic: { id: 'accounts', title: 'Accounts' }
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'EPIC_EXISTS',
+			message: 'Epic "accounts" already exists'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockAddEpicDirect.mockResolvedValue(successResponse);
+
+		registerAddEpicTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'add_epic',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({ projectRoot: '/mock/project/root' })
+				.success
+		).toBe(false);
+		expect(
+			toolConfig.parameters.safeParse({
+				title: 'Accounts',
+				targetDate: 20250601,
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockAddEpicDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				id: 'accounts',
+				title: 'Accounts',
+				goal: 'Users can sign up',
+				targetDate: '2025-06-01'
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error adding epic'
+		);
+	});
+
+	test('should handle errors from addEpicDirect', async () => {
+		mockAddEpicDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to add epic: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error adding epic'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockAddEpicDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockAddEpicDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in addEpic tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
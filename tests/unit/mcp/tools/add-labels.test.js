@@ -0,0 +1,201 @@
+/**
+ * Tests for the add-labels MCP tool
+ *
+ * Note: addLabelsDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to addLabelsDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockAddLabelsDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		addLabelsDirect: mockAddLabelsDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerAddLabelsTool } = await import(
+	'../../../../mcp-server/src/tools/add-labels.js'
+);
+
+describe('MCP Tool: add-labels', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		id: '2,3.1',
+		labels: 'backend,security',
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			message: 'Added labels backend,security on 2 tasks',
+			tasks: [
+				{ id: '2', changed: true },
+				{ id: '3.1', changed: true }
+			]
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'INVALID_LABEL',
+			message:
+				'Invalid label "back end". Use letters, numbers, ".", "_", "-" and "/", starting with a letter or number'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockAddLabelsDirect.mockResolvedValue(successResponse);
+
+		registerAddLabelsTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'add_labels',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({
+				labels: 'backend',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+		expect(
+			toolConfig.parameters.safeParse({
+				id: '2',
+				labels: ['backend'],
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockAddLabelsDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				id: '2,3.1',
+				labels: 'backend,security'
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error adding labels'
+		);
+	});
+
+	test('should handle errors from addLabelsDirect', async () => {
+		mockAddLabelsDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to add labels: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error adding labels'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockAddLabelsDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockAddLabelsDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in addLabels tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
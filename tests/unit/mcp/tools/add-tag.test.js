@@ -0,0 +1,194 @@
+/**
+ * Tests for the add-tag MCP tool
+ *
+ * Note: addTagDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to addTagDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockAddTagDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		addTagDirect: mockAddTagDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerAddTagTool } = await import(
+	'../../../../mcp-server/src/tools/add-tag.js'
+);
+
+describe('MCP Tool: add-tag', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		name: 'feature-x',
+		description: 'Work on feature X',
+		copyFrom: 'master',
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			name: 'feature-x',
+			taskCount: 3,
+			message: 'Created tag "feature-x" with 3 tasks'
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'TAG_EXISTS',
+			message: 'Tag "feature-x" already exists'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockAddTagDirect.mockResolvedValue(successResponse);
+
+		registerAddTagTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'add_tag',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({ projectRoot: '/mock/project/root' })
+				.success
+		).toBe(false);
+		expect(toolConfig.parameters.safeParse({ name: 'feature-x' }).success).toBe(
+			false
+		);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockAddTagDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				name: 'feature-x',
+				description: 'Work on feature X',
+				copyFrom: 'master'
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error creating tag'
+		);
+	});
+
+	test('should handle errors from addTagDirect', async () => {
+		mockAddTagDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to create tag: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error creating tag'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockAddTagDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockAddTagDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in add-tag tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
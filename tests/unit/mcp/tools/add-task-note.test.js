@@ -0,0 +1,203 @@
+/**
+ * Tests for the add-task-note MCP tool
+ *
+ * Note: addTaskNoteDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to addTaskNoteDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockAddTaskNoteDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		addTaskNoteDirect: mockAddTaskNoteDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerAddTaskNoteTool } = await import(
+	'../../../../mcp-server/src/tools/add-task-note.js'
+);
+
+describe('MCP Tool: add-task-note', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		id: '2.1',
+		note: 'Chose SQLite over LevelDB',
+		kind: 'decision',
+		author: 'agent-1',
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			message: 'Added a decision note to task 2.1',
+			id: '2.1',
+			note: { kind: 'decision', text: 'Chose SQLite over LevelDB' }
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'INVALID_AUTHOR',
+			message: 'Authors are one line of at most 100 characters'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockAddTaskNoteDirect.mockResolvedValue(successResponse);
+
+		registerAddTaskNoteTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'add_task_note',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({
+				id: '2.1',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+		expect(
+			toolConfig.parameters.safeParse({
+				id: '2.1',
+				note: 'Done',
+				kind: 'todo',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockAddTaskNoteDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				id: '2.1',
+				note: 'Chose SQLite over LevelDB',
+				kind: 'decision',
+				author: 'agent-1'
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error adding task note'
+		);
+	});
+
+	test('should handle errors from addTaskNoteDirect', async () => {
+		mockAddTaskNoteDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to add task note: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error adding task note'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockAddTaskNoteDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockAddTaskNoteDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in addTaskNote tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
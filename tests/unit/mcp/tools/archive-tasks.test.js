@@ -0,0 +1,199 @@
+/**
+ * Tests for the archive-tasks MCP tool
+ *
+ * Note: archiveTasksDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to archiveTasksDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockArchiveTasksDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		archiveTasksDirect: mockArchiveTasksDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerArchiveTasksTool } = await import(
+	'../../../../mcp-server/src/tools/archive-tasks.js'
+);
+
+describe('MCP Tool: archive-tasks', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		olderThan: 30,
+		status: 'done',
+		ids: '1,2',
+		dryRun: true,
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			archived: [1],
+			remainingCount: 2,
+			message: '1 tasks would be archived'
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'INVALID_ARCHIVE_STATUS',
+			message:
+				'Tasks with status "pending" can\'t be archived. Use one of: done, cancelled'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockArchiveTasksDirect.mockResolvedValue(successResponse);
+
+		registerArchiveTasksTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'archive_tasks',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({
+				olderThan: '30',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+		expect(toolConfig.parameters.safeParse({ dryRun: true }).success).toBe(
+			false
+		);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockArchiveTasksDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				olderThan: 30,
+				status: 'done',
+				ids: '1,2',
+				dryRun: true
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error archiving tasks'
+		);
+	});
+
+	test('should handle errors from archiveTasksDirect', async () => {
+		mockArchiveTasksDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to archive tasks: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error archiving tasks'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockArchiveTasksDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockArchiveTasksDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in archive-tasks tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests for the export-tasks MCP tool
+ *
+ * Note: exportTasksDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to exportTasksDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockExportTasksDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		exportTasksDirect: mockExportTasksDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerExportTasksTool } = await import(
+	'../../../../mcp-server/src/tools/export-tasks.js'
+);
+
+describe('MCP Tool: export-tasks', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	const tasksJsonPath = '/mock/project/root/tasks/tasks.json';
+
+	// Test data
+	const validArgs = {
+		format: 'csv',
+		status: 'pending',
+		epic: 'accounts',
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			format: 'csv',
+			taskCount: 2,
+			content: 'ID,Title\n1,Initialize Project\n',
+			message: 'Exported 2 tasks as csv'
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'INVALID_EPIC',
+			message:
+				'Invalid epic ID "Accounts!". Use up to 40 letters, numbers and "-", other than "none"'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockExportTasksDirect.mockResolvedValue(successResponse);
+
+		registerExportTasksTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'export_tasks',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({
+				format: 'pdf',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+		expect(toolConfig.parameters.safeParse({ format: 'csv' }).success).toBe(
+			false
+		);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root', file: undefined },
+			mockLogger
+		);
+		expect(mockExportTasksDirect).toHaveBeenCalledWith(
+			{
+				tasksJsonPath,
+				format: 'csv',
+				status: 'pending',
+				epic: 'accounts',
+				reportPath: '/mock/project/root/scripts/task-complexity-report.json',
+				outputPath: undefined
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error exporting tasks'
+		);
+	});
+
+	test('should resolve the output and report paths against the project root', async () => {
+		await toolConfig.execute(
+			{
+				...validArgs,
+				output: 'reports/tasks.csv',
+				complexityReport: 'reports/complexity.json'
+			},
+			mockContext
+		);
+
+		expect(mockExportTasksDirect).toHaveBeenCalledWith(
+			expect.objectContaining({
+				reportPath: '/mock/project/root/reports/complexity.json',
+				outputPath: '/mock/project/root/reports/tasks.csv'
+			}),
+			mockLogger
+		);
+	});
+
+	test('should handle errors from exportTasksDirect', async () => {
+		mockExportTasksDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to export tasks: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error exporting tasks'
+		);
+	});
+
+	test('should report a missing tasks file', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockExportTasksDirect).not.toHaveBeenCalled();
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith(
+			'Failed to find tasks.json: No tasks.json found'
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockExportTasksDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in export-tasks tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
@@ -0,0 +1,216 @@
+/**
+ * Tests for the storage-import MCP tool
+ *
+ * Note: copyStorageDirect and the response helpers are mocked. These tests check
+ * that:
+ * 1. The tool is registered with parameters that validate its arguments
+ * 2. Arguments are passed correctly to copyStorageDirect
+ * 3. Errors of the direct function are handed to handleApiResult
+ */
+
+import { jest } from '@jest/globals';
+
+const mockCopyStorageDirect = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/task-master-core.js',
+	() => ({
+		copyStorageDirect: mockCopyStorageDirect
+	})
+);
+
+const mockFindTasksJsonPath = jest.fn();
+jest.unstable_mockModule(
+	'../../../../mcp-server/src/core/utils/path-utils.js',
+	() => ({
+		findTasksJsonPath: mockFindTasksJsonPath
+	})
+);
+
+const mockHandleApiResult = jest.fn((result) => result);
+const mockGetProjectRootFromSession = jest.fn(() => '/mock/project/root');
+const mockCreateErrorResponse = jest.fn((msg) => ({
+	success: false,
+	error: { code: 'ERROR', message: msg }
+}));
+
+jest.unstable_mockModule('../../../../mcp-server/src/tools/utils.js', () => ({
+	getProjectRootFromSession: mockGetProjectRootFromSession,
+	handleApiResult: mockHandleApiResult,
+	createErrorResponse: mockCreateErrorResponse,
+	createContentResponse: jest.fn((content) => ({
+		success: true,
+		data: content
+	})),
+	executeTaskMasterCommand: jest.fn()
+}));
+
+// Import the tool after its dependencies are mocked
+const { registerStorageImportTool } = await import(
+	'../../../../mcp-server/src/tools/storage-import.js'
+);
+
+describe('MCP Tool: storage-import', () => {
+	let mockServer;
+	let toolConfig;
+
+	const mockLogger = {
+		debug: jest.fn(),
+		info: jest.fn(),
+		warn: jest.fn(),
+		error: jest.fn()
+	};
+
+	const mockContext = {
+		log: mockLogger,
+		session: { workingDirectory: '/mock/dir' }
+	};
+
+	// Found in the project root, unlike the default for new projects
+	const tasksJsonPath = '/mock/project/root/tasks.json';
+
+	// Test data
+	const validArgs = {
+		input: 'tasks/tasks.db',
+		force: true,
+		projectRoot: '/mock/project/root'
+	};
+
+	// Standard responses
+	const successResponse = {
+		success: true,
+		data: {
+			taskCount: 3,
+			sourceType: 'sqlite',
+			targetType: 'json',
+			message: 'Copied 3 tasks from sqlite to json storage'
+		}
+	};
+
+	const errorResponse = {
+		success: false,
+		error: {
+			code: 'STORAGE_SOURCE_NOT_FOUND',
+			message: 'No valid tasks found in /mock/project/root/tasks/tasks.db'
+		}
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+
+		mockServer = {
+			addTool: jest.fn((config) => {
+				toolConfig = config;
+			})
+		};
+
+		mockFindTasksJsonPath.mockReturnValue(tasksJsonPath);
+		mockCopyStorageDirect.mockResolvedValue(successResponse);
+
+		registerStorageImportTool(mockServer);
+	});
+
+	test('should register the tool correctly', () => {
+		expect(mockServer.addTool).toHaveBeenCalledWith(
+			expect.objectContaining({
+				name: 'storage_import',
+				description: expect.any(String),
+				parameters: expect.any(Object),
+				execute: expect.any(Function)
+			})
+		);
+	});
+
+	test('should validate its parameters', () => {
+		expect(toolConfig.parameters.safeParse(validArgs).success).toBe(true);
+		expect(
+			toolConfig.parameters.safeParse({ projectRoot: '/mock/project/root' })
+				.success
+		).toBe(false);
+		expect(
+			toolConfig.parameters.safeParse({
+				input: 'tasks/tasks.db',
+				force: 'yes',
+				projectRoot: '/mock/project/root'
+			}).success
+		).toBe(false);
+	});
+
+	test('should execute the tool with valid parameters', async () => {
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockFindTasksJsonPath).toHaveBeenCalledWith(
+			{ projectRoot: '/mock/project/root' },
+			mockLogger
+		);
+		expect(mockCopyStorageDirect).toHaveBeenCalledWith(
+			{
+				sourcePath: '/mock/project/root/tasks/tasks.db',
+				targetPath: tasksJsonPath,
+				force: true,
+				generateFiles: true
+			},
+			mockLogger
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			successResponse,
+			mockLogger,
+			'Error importing tasks'
+		);
+	});
+
+	test('should handle errors from copyStorageDirect', async () => {
+		mockCopyStorageDirect.mockResolvedValueOnce(errorResponse);
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			`Failed to import tasks: ${errorResponse.error.message}`
+		);
+		expect(mockHandleApiResult).toHaveBeenCalledWith(
+			errorResponse,
+			mockLogger,
+			'Error importing tasks'
+		);
+	});
+
+	test('should create tasks/tasks.json when there is no tasks file yet', async () => {
+		mockFindTasksJsonPath.mockImplementationOnce(() => {
+			throw new Error('No tasks.json found');
+		});
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockCopyStorageDirect).toHaveBeenCalledWith(
+			expect.objectContaining({
+				targetPath: '/mock/project/root/tasks/tasks.json'
+			}),
+			mockLogger
+		);
+	});
+
+	test('should resolve the tasks file against the project root', async () => {
+		await toolConfig.execute(
+			{ ...validArgs, file: 'other/tasks.json' },
+			mockContext
+		);
+
+		expect(mockFindTasksJsonPath).not.toHaveBeenCalled();
+		expect(mockCopyStorageDirect).toHaveBeenCalledWith(
+			expect.objectContaining({
+				targetPath: '/mock/project/root/other/tasks.json'
+			}),
+			mockLogger
+		);
+	});
+
+	test('should handle unexpected errors', async () => {
+		mockCopyStorageDirect.mockRejectedValueOnce(new Error('Unexpected error'));
+
+		await toolConfig.execute(validArgs, mockContext);
+
+		expect(mockLogger.error).toHaveBeenCalledWith(
+			'Error in storage-import tool: Unexpected error'
+		);
+		expect(mockCreateErrorResponse).toHaveBeenCalledWith('Unexpected error');
+	});
+});
@@ -0,0 +1,253 @@
+/**
+ * Nested subtasks tests
+ */
+
+import {
+	addSubtask,
+	removeSubtask,
+	setTaskStatus,
+	findNextTask,
+	findNextSubtask
+} from '../../scripts/modules/task-manager.js';
+import {
+	isCircularDependency,
+	validateTaskDependencies
+} from '../../scripts/modules/dependency-manager.js';
+import {
+	formatTaskFile,
+	parseTaskFile
+} from '../../scripts/modules/task-files.js';
+import { formatDependenciesWithStatus } from '../../scripts/modules/ui.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const createNestedTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		dependencies: [1],
+		subtasks: [
+			{
+				id: 1,
+				title: 'Routes',
+				status: 'pending',
+				dependencies: [],
+				parentTaskId: 2,
+				subtasks: [
+					{ id: 1, title: 'Users route', status: 'pending', dependencies: [] },
+					{
+						id: 2,
+						title: 'Orders route',
+						status: 'pending',
+						dependencies: [1]
+					}
+				]
+			},
+			{
+				id: 2,
+				title: 'Docs',
+				status: 'pending',
+				dependencies: ['2.1.2'],
+				parentTaskId: 2
+			}
+		]
+	}
+];
+
+describe('Nested Subtasks', () => {
+	describe('dependencies', () => {
+		test('should validate dependencies of subtasks at any depth', () => {
+			const tasks = createNestedTasks();
+			expect(validateTaskDependencies(tasks).valid).toBe(true);
+
+			tasks[1].subtasks[0].subtasks[1].dependencies.push('2.1.9');
+			const { issues } = validateTaskDependencies(tasks);
+			expect(issues).toEqual([
+				expect.objectContaining({
+					type: 'missing',
+					taskId: '2.1.2',
+					dependencyId: '2.1.9'
+				})
+			]);
+		});
+
+		test('should detect cycles through nested subtasks', () => {
+			const tasks = createNestedTasks();
+			expect(isCircularDependency(tasks, '2.2')).toBe(false);
+
+			// 2.1.1 waits for 2.2, which waits for 2.1.2, which waits for 2.1.1
+			tasks[1].subtasks[0].subtasks[0].dependencies.push('2.2');
+			expect(isCircularDependency(tasks, '2.2')).toBe(true);
+		});
+
+		test('should show the status of nested dependencies', () => {
+			const tasks = createNestedTasks();
+
+			expect(
+				formatDependenciesWithStatus(
+					[1, '2.1.2', '2.1.7'],
+					tasks,
+					false,
+					undefined,
+					'2.1'
+				)
+			).toBe('2.1.1, 2.1.2, 2.1.7 (Not found)');
+		});
+	});
+
+	describe('next task', () => {
+		test('should pick a subtask without subtasks of its own', () => {
+			const tasks = createNestedTasks();
+
+			expect(findNextSubtask(tasks[1], tasks)).toMatchObject({
+				id: 1,
+				title: 'Users route',
+				parentTask: { id: '2.1', title: 'Routes' }
+			});
+
+			tasks[1].subtasks[0].subtasks[0].status = 'done';
+			expect(findNextSubtask(tasks[1], tasks)).toMatchObject({
+				id: 2,
+				parentTask: { id: '2.1' }
+			});
+
+			// 2.2 waits for 2.1.2
+			tasks[1].subtasks[0].subtasks[1].status = 'done';
+			expect(findNextSubtask(tasks[1], tasks)).toMatchObject({
+				id: 2,
+				title: 'Docs',
+				parentTask: { id: 2 }
+			});
+		});
+
+		test('should count nested subtasks as done dependencies', () => {
+			const tasks = [
+				...createNestedTasks(),
+				{
+					id: 3,
+					title: 'Client',
+					status: 'pending',
+					dependencies: ['2.1.2']
+				}
+			];
+			tasks[1].status = 'done';
+			expect(findNextTask(tasks)).toBeNull();
+
+			tasks[1].subtasks[0].subtasks[1].status = 'done';
+			expect(findNextTask(tasks)).toMatchObject({ id: 3 });
+		});
+
+		test('should hold back the subtasks of a subtask that waits', () => {
+			const tasks = createNestedTasks();
+			tasks[1].subtasks[0].dependencies = ['2.2'];
+			tasks[1].subtasks[1].dependencies = [];
+
+			expect(findNextSubtask(tasks[1], tasks)).toMatchObject({
+				title: 'Docs'
+			});
+		});
+	});
+
+	describe('task files', () => {
+		test('should write nested subtasks below their parent and read them back', () => {
+			const task = createNestedTasks()[1];
+			const content = formatTaskFile(task, createNestedTasks());
+
+			expect(content).toContain('## 1.2. Orders route [pending]');
+			expect(content).toContain('### Dependencies: 2.1.1');
+
+			const parsed = parseTaskFile(content);
+			expect(parsed.subtasks.map((st) => st.id)).toEqual([1, 2]);
+			expect(parsed.subtasks[0].subtasks.map((st) => st.title)).toEqual([
+				'Users route',
+				'Orders route'
+			]);
+			expect(parsed.subtasks[0].subtasks[1].dependencies).toEqual([1]);
+			expect(parsed.subtasks[1].dependencies).toEqual(['2.1.2']);
+		});
+
+		test('should reject a nested subtask without its parent', () => {
+			const content = [
+				'# Task ID: 2',
+				'# Title: API',
+				'# Subtasks:',
+				'## 3.1. Orphan [pending]'
+			].join('\n');
+
+			expect(() => parseTaskFile(content)).toThrow(
+				expect.objectContaining({ code: 'INVALID_TASK_FILE' })
+			);
+		});
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+		const mcpLog = { info: () => {}, warn: () => {}, error: () => {} };
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject(
+				'nested-subtasks',
+				createNestedTasks()
+			));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should add a subtask to a subtask', async () => {
+			const subtask = await addSubtask(
+				tasksPath,
+				'2.1.2',
+				null,
+				{ title: 'Pagination' },
+				false
+			);
+
+			expect(subtask.id).toBe(1);
+			// Only direct subtasks of a task record their parent
+			expect(subtask.parentTaskId).toBeUndefined();
+			expect(
+				readTasks(tasksPath).tasks[1].subtasks[0].subtasks[1].subtasks
+			).toEqual([expect.objectContaining({ title: 'Pagination' })]);
+
+			await expect(
+				addSubtask(tasksPath, '2.1.9', null, { title: 'Lost' }, false)
+			).rejects.toThrow('Parent task with ID 2.1.9 not found');
+		});
+
+		test('should convert a nested subtask to a task', async () => {
+			const task = await removeSubtask(tasksPath, '2.1.2', true, false);
+
+			// Its sibling dependency and its former parent become full IDs
+			expect(task).toMatchObject({
+				id: 3,
+				title: 'Orders route',
+				dependencies: ['2.1.1', '2.1']
+			});
+			expect(
+				readTasks(tasksPath).tasks[1].subtasks[0].subtasks.map((st) => st.id)
+			).toEqual([1]);
+		});
+
+		test('should keep every level of parents in step', async () => {
+			const started = await setTaskStatus(tasksPath, '2.1.1', 'in-progress', {
+				mcpLog
+			});
+			expect(started.advancedParents.map((parent) => parent.id)).toEqual([
+				'2.1',
+				'2'
+			]);
+
+			await setTaskStatus(tasksPath, '2.1', 'done', { mcpLog });
+			const routes = readTasks(tasksPath).tasks[1].subtasks[0];
+			expect(routes.subtasks.map((st) => st.status)).toEqual(['done', 'done']);
+		});
+	});
+});
@@ -0,0 +1,147 @@
+/**
+ * Task archive tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	getArchivePath,
+	readArchivedTasks,
+	findArchivedTask,
+	archiveTasks
+} from '../../scripts/modules/task-archive.js';
+import { readTasks, writeTasks } from '../../scripts/modules/task-store.js';
+import { runWithTag, addTag } from '../../scripts/modules/task-tags.js';
+import { findNextTask } from '../../scripts/modules/task-manager.js';
+import { validateTaskDependencies } from '../../scripts/modules/dependency-manager.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Task Archive Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		// Task 2 was finished yesterday and depends on task 1
+		const data = JSON.parse(JSON.stringify(sampleTasks));
+		data.tasks[1].status = 'done';
+		data.tasks[1].completedAt = new Date(Date.now() - DAY_MS).toISOString();
+		({ tempDir, tasksPath } = createTempProject('task-archive', data));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	test('should keep the archive next to the tasks file', () => {
+		expect(getArchivePath(tasksPath)).toBe(path.join(tempDir, 'archive.json'));
+		expect(getArchivePath(path.join(tempDir, 'tasks.db'))).toBe(
+			path.join(tempDir, 'archive.db')
+		);
+	});
+
+	test('should move completed tasks to the archive', () => {
+		fs.writeFileSync(path.join(tempDir, 'task_001.txt'), 'generated');
+
+		const result = archiveTasks(tasksPath);
+
+		expect(result.archived.map((task) => task.id)).toEqual([1, 2]);
+		expect(result.remainingCount).toBe(1);
+		expect(readTasks(tasksPath).tasks.map((task) => task.id)).toEqual([3]);
+		expect(readArchivedTasks(tasksPath).map((task) => task.id)).toEqual([1, 2]);
+		expect(readArchivedTasks(tasksPath)[0].archivedAt).toEqual(
+			expect.any(String)
+		);
+		expect(fs.existsSync(path.join(tempDir, 'task_001.txt'))).toBe(false);
+	});
+
+	test('should only archive tasks matching the filters', () => {
+		// Task 1 has no completion date, so it counts as old
+		expect(
+			archiveTasks(tasksPath, { olderThan: 2, dryRun: true }).archived.map(
+				(task) => task.id
+			)
+		).toEqual([1]);
+		expect(
+			archiveTasks(tasksPath, { ids: ['2'], dryRun: true }).archived.map(
+				(task) => task.id
+			)
+		).toEqual([2]);
+		expect(
+			archiveTasks(tasksPath, { status: 'cancelled' }).archived
+		).toHaveLength(0);
+
+		// Dry runs don't change anything
+		expect(readTasks(tasksPath).tasks).toHaveLength(3);
+		expect(fs.existsSync(getArchivePath(tasksPath))).toBe(false);
+	});
+
+	test('should reject statuses of unfinished tasks', () => {
+		expect(() => archiveTasks(tasksPath, { status: 'pending' })).toThrow(
+			expect.objectContaining({ code: 'INVALID_ARCHIVE_STATUS' })
+		);
+		expect(() => archiveTasks(tasksPath, { ids: ['9'] })).toThrow(
+			expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+		);
+	});
+
+	test('should keep dependencies on archived tasks valid', () => {
+		archiveTasks(tasksPath);
+
+		const data = readTasks(tasksPath);
+		const archivedTasks = readArchivedTasks(tasksPath);
+
+		expect(data.tasks[0].dependencies).toEqual([2]);
+		expect(validateTaskDependencies(data.tasks).valid).toBe(false);
+		expect(validateTaskDependencies(data.tasks, archivedTasks).valid).toBe(
+			true
+		);
+		expect(findNextTask(data.tasks)).toBeNull();
+		expect(findNextTask(data.tasks, archivedTasks).id).toBe(3);
+	});
+
+	test('should find archived tasks and subtasks', () => {
+		archiveTasks(tasksPath);
+
+		expect(findArchivedTask(tasksPath, 2).title).toBe(
+			'Create Core Functionality'
+		);
+		expect(findArchivedTask(tasksPath, '2.1').parentTask.id).toBe(2);
+		expect(findArchivedTask(tasksPath, 3)).toBeNull();
+	});
+
+	test('should replace archived copies of tasks archived again', () => {
+		archiveTasks(tasksPath, { ids: ['1'] });
+
+		// Simulate an undo that brought task 1 back
+		const data = readTasks(tasksPath);
+		data.tasks.unshift({ ...sampleTasks.tasks[0], title: 'Restored' });
+		writeTasks(tasksPath, data);
+
+		archiveTasks(tasksPath, { ids: ['1'] });
+
+		expect(readArchivedTasks(tasksPath)).toEqual([
+			expect.objectContaining({ id: 1, title: 'Restored' })
+		]);
+	});
+
+	test('should archive each tag separately', () => {
+		addTag(tasksPath, 'feature-x', { copyFrom: 'master' });
+
+		runWithTag('feature-x', () => archiveTasks(tasksPath, { ids: ['1'] }));
+
+		expect(readTasks(tasksPath).tasks).toHaveLength(3);
+		expect(readArchivedTasks(tasksPath)).toEqual([]);
+		expect(
+			runWithTag('feature-x', () =>
+				readArchivedTasks(tasksPath).map((task) => task.id)
+			)
+		).toEqual([1]);
+	});
+});
@@ -0,0 +1,234 @@
+/**
+ * Task claims tests
+ */
+
+import fs from 'fs';
+
+import {
+	getActiveClaim,
+	isClaimedByOther,
+	listClaims,
+	claimTask,
+	releaseTask
+} from '../../scripts/modules/task-claims.js';
+import {
+	findNextTask,
+	findNextSubtask,
+	claimNextTask
+} from '../../scripts/modules/task-manager.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const NOW = Date.parse('2025-06-01T12:00:00.000Z');
+
+const claim = (owner, minutes) => ({
+	owner,
+	claimedAt: new Date(NOW - 60 * 1000).toISOString(),
+	expiresAt: new Date(NOW + minutes * 60 * 1000).toISOString()
+});
+
+const createClaimTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1],
+		subtasks: [
+			{ id: 1, title: 'Routes', status: 'pending', dependencies: [] },
+			{ id: 2, title: 'Auth', status: 'pending', dependencies: [] }
+		]
+	},
+	{
+		id: 3,
+		title: 'Docs',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: []
+	}
+];
+
+describe('Task Claims Module', () => {
+	describe('claim checks', () => {
+		test('should ignore claims whose lease has expired', () => {
+			const task = { id: 1, claim: claim('agent-a', 10) };
+
+			expect(getActiveClaim(task, NOW).owner).toBe('agent-a');
+			expect(getActiveClaim(task, NOW + 11 * 60 * 1000)).toBeNull();
+			expect(isClaimedByOther(task, 'agent-a', NOW)).toBe(false);
+			expect(isClaimedByOther(task, 'agent-b', NOW)).toBe(true);
+			// Nobody in particular asking
+			expect(isClaimedByOther(task, null, NOW)).toBe(true);
+		});
+
+		test('should list the active claims of tasks and subtasks', () => {
+			const tasks = createClaimTasks();
+			tasks[1].subtasks[1].claim = claim('agent-a', 10);
+			tasks[2].claim = claim('agent-b', -1);
+
+			expect(listClaims(tasks, NOW)).toEqual([
+				expect.objectContaining({ id: '2.2', title: 'Auth', owner: 'agent-a' })
+			]);
+		});
+	});
+
+	describe('next task selection', () => {
+		test('should skip tasks and subtasks claimed by other owners', () => {
+			const tasks = createClaimTasks();
+			tasks[1].claim = claim('agent-a', 10);
+
+			expect(findNextTask(tasks, [], null, undefined, { now: NOW }).id).toBe(3);
+			expect(
+				findNextTask(tasks, [], null, undefined, {
+					owner: 'agent-a',
+					now: NOW
+				}).id
+			).toBe(2);
+
+			// Task 2 stays available while one of its subtasks is free
+			delete tasks[1].claim;
+			tasks[1].subtasks[0].claim = claim('agent-a', 10);
+			const options = { owner: 'agent-b', now: NOW };
+			expect(findNextTask(tasks, [], null, undefined, options).id).toBe(2);
+			expect(
+				findNextSubtask(tasks[1], tasks, [], null, undefined, options).id
+			).toBe(2);
+
+			tasks[1].subtasks[1].claim = claim('agent-c', 10);
+			expect(findNextTask(tasks, [], null, undefined, options).id).toBe(3);
+		});
+
+		test('should prefer the subtask the owner already holds', () => {
+			const tasks = createClaimTasks();
+			tasks[1].subtasks[1].claim = claim('agent-a', 10);
+
+			expect(
+				findNextSubtask(tasks[1], tasks, [], null, undefined, {
+					owner: 'agent-a',
+					now: NOW
+				}).id
+			).toBe(2);
+		});
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject(
+				'task-claims',
+				createClaimTasks()
+			));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should claim a task and renew the lease of its owner', () => {
+			const first = claimTask(tasksPath, '3', 'agent-a', { leaseMinutes: 5 });
+			const renewed = claimTask(tasksPath, 3, ' agent-a ', {
+				leaseMinutes: 60
+			});
+
+			expect(first).toMatchObject({
+				id: '3',
+				owner: 'agent-a',
+				renewed: false
+			});
+			expect(renewed.renewed).toBe(true);
+			expect(renewed.claimedAt).toBe(first.claimedAt);
+			expect(Date.parse(renewed.expiresAt)).toBeGreaterThan(
+				Date.parse(first.expiresAt)
+			);
+			expect(readTasks(tasksPath).tasks[2].claim).toEqual({
+				owner: 'agent-a',
+				claimedAt: first.claimedAt,
+				expiresAt: renewed.expiresAt
+			});
+		});
+
+		test('should only let other owners take over with force', () => {
+			claimTask(tasksPath, '2.1', 'agent-a');
+
+			expect(() => claimTask(tasksPath, '2.1', 'agent-b')).toThrow(
+				expect.objectContaining({ code: 'TASK_CLAIMED' })
+			);
+			expect(
+				claimTask(tasksPath, '2.1', 'agent-b', { force: true }).previousOwner
+			).toBe('agent-a');
+
+			expect(() => claimTask(tasksPath, '2.9', 'agent-b')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => claimTask(tasksPath, '3', ' ')).toThrow(
+				expect.objectContaining({ code: 'MISSING_ARGUMENT' })
+			);
+			expect(() =>
+				claimTask(tasksPath, '3', 'agent-b', { leaseMinutes: 0 })
+			).toThrow(expect.objectContaining({ code: 'INVALID_LEASE' }));
+		});
+
+		test('should let a new owner claim a task whose lease expired', () => {
+			const data = readTasks(tasksPath);
+			data.tasks[2].claim = {
+				owner: 'agent-a',
+				claimedAt: '2025-06-01T10:00:00.000Z',
+				expiresAt: '2025-06-01T10:30:00.000Z'
+			};
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+			const result = claimTask(tasksPath, '3', 'agent-b');
+			expect(result.previousOwner).toBeNull();
+			expect(result.owner).toBe('agent-b');
+		});
+
+		test('should release claims of the owner, or any with force', () => {
+			claimTask(tasksPath, '3', 'agent-a');
+
+			expect(() => releaseTask(tasksPath, '3', 'agent-b')).toThrow(
+				expect.objectContaining({ code: 'TASK_CLAIMED' })
+			);
+			expect(releaseTask(tasksPath, '3', 'agent-a')).toEqual({
+				id: '3',
+				released: true,
+				previousOwner: 'agent-a'
+			});
+			expect(readTasks(tasksPath).tasks[2].claim).toBeUndefined();
+			expect(releaseTask(tasksPath, '3', 'agent-a').released).toBe(false);
+
+			claimTask(tasksPath, '3', 'agent-a');
+			expect(releaseTask(tasksPath, '3', null, { force: true }).released).toBe(
+				true
+			);
+		});
+
+		test('should hand different tasks to owners claiming the next task', () => {
+			const first = claimNextTask(tasksPath, 'agent-a');
+			const second = claimNextTask(tasksPath, 'agent-b');
+			const third = claimNextTask(tasksPath, 'agent-c');
+			const fourth = claimNextTask(tasksPath, 'agent-d');
+
+			expect(first.claim.id).toBe('2.1');
+			expect(first.nextSubtask.id).toBe(1);
+			expect(second.claim.id).toBe('2.2');
+			expect(third.claim.id).toBe('3');
+			expect(fourth).toEqual({
+				nextTask: null,
+				nextSubtask: null,
+				claim: null
+			});
+
+			// Asking again returns the task the owner already holds
+			expect(claimNextTask(tasksPath, 'agent-a').claim).toMatchObject({
+				id: '2.1',
+				renewed: true
+			});
+		});
+	});
+});
@@ -0,0 +1,268 @@
+/**
+ * Epics and milestones tests
+ */
+
+import {
+	parseEpicId,
+	createEpicId,
+	listEpics,
+	addEpic,
+	updateEpic,
+	removeEpic,
+	assignEpic,
+	mergeGeneratedEpics
+} from '../../scripts/modules/task-epics.js';
+import { findNextTask } from '../../scripts/modules/task-manager.js';
+import { parseTaskFilters } from '../../scripts/modules/task-fields.js';
+import { buildExportData } from '../../scripts/modules/task-export.js';
+import { addTag, runWithTag } from '../../scripts/modules/task-tags.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const meta = {
+	epics: [
+		{ id: 'accounts', title: 'Accounts', targetDate: '2025-06-01' },
+		{ id: 'reports', title: 'Reports' }
+	]
+};
+
+const createEpicTasks = () => [
+	{
+		id: 1,
+		title: 'Sign up',
+		status: 'done',
+		dependencies: [],
+		epic: 'accounts'
+	},
+	{
+		id: 2,
+		title: 'Log in',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1],
+		epic: 'accounts'
+	},
+	{
+		id: 3,
+		title: 'Charts',
+		status: 'pending',
+		priority: 'low',
+		dependencies: [],
+		epic: 'reports'
+	},
+	{ id: 4, title: 'Setup', status: 'deferred', dependencies: [] }
+];
+
+describe('Task Epics Module', () => {
+	describe('epic IDs', () => {
+		test('should validate IDs and derive free ones from titles', () => {
+			expect(parseEpicId(' Checkout ')).toBe('checkout');
+			expect(() => parseEpicId('none')).toThrow(
+				expect.objectContaining({ code: 'INVALID_EPIC' })
+			);
+			expect(() => parseEpicId('two words')).toThrow(
+				expect.objectContaining({ code: 'INVALID_EPIC' })
+			);
+
+			expect(createEpicId('User Accounts & Billing')).toBe(
+				'user-accounts-billing'
+			);
+			expect(createEpicId('Reports', ['reports', 'reports-2'])).toBe(
+				'reports-3'
+			);
+			expect(createEpicId('None')).toBe('epic');
+		});
+	});
+
+	describe('listEpics function', () => {
+		test('should compute the progress of each epic and flag late ones', () => {
+			const summary = listEpics(createEpicTasks(), meta, {
+				today: '2025-06-02'
+			});
+
+			expect(summary.epics[0]).toMatchObject({
+				id: 'accounts',
+				taskIds: [1, 2],
+				late: true,
+				progress: { total: 2, done: 1, percentage: 50 }
+			});
+			expect(summary.epics[1]).toMatchObject({
+				id: 'reports',
+				taskIds: [3],
+				late: false
+			});
+			expect(summary.unassigned.taskIds).toEqual([4]);
+			expect(summary.unassigned.progress.closed).toBe(1);
+
+			// Not late before the target date
+			expect(
+				listEpics(createEpicTasks(), meta, { today: '2025-06-01' }).epics[0]
+					.late
+			).toBe(false);
+		});
+	});
+
+	describe('epic filter', () => {
+		test('should limit the next task to an epic', () => {
+			const tasks = createEpicTasks();
+			const next = (epic) =>
+				findNextTask(tasks, [], parseTaskFilters({ epic }, meta))?.id;
+
+			expect(next()).toBe(2);
+			expect(next('reports')).toBe(3);
+			expect(next('none')).toBeUndefined();
+			expect(() => parseTaskFilters({ epic: 'billing' }, meta)).toThrow(
+				expect.objectContaining({ code: 'EPIC_NOT_FOUND' })
+			);
+		});
+	});
+
+	describe('mergeGeneratedEpics function', () => {
+		test('should add new epics and link the generated tasks', () => {
+			const generated = {
+				tasks: [
+					{ id: 1, title: 'A', epic: 'Reports' },
+					{ id: 2, title: 'B', epic: 'billing' },
+					{ id: 3, title: 'C', epic: 'unknown' }
+				],
+				epics: [
+					{ id: 'Reports', title: 'Reporting' },
+					{ id: 'billing', title: 'Billing', goal: ' Take payments ' },
+					{ title: '' }
+				]
+			};
+
+			const epics = mergeGeneratedEpics(generated, meta.epics);
+
+			expect(epics.map((epic) => epic.id)).toEqual([
+				'accounts',
+				'reports',
+				'billing'
+			]);
+			// An existing epic keeps its title
+			expect(epics[1].title).toBe('Reports');
+			expect(epics[2].goal).toBe('Take payments');
+			expect(generated.tasks.map((task) => task.epic)).toEqual([
+				'reports',
+				'billing',
+				undefined
+			]);
+			expect(generated.epics).toBeUndefined();
+		});
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-epics', {
+				meta,
+				tasks: createEpicTasks()
+			}));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should add and update epics', () => {
+			const epic = addEpic(tasksPath, {
+				title: 'Billing',
+				goal: 'Take payments',
+				targetDate: '2025-07-01'
+			});
+
+			expect(epic).toEqual({
+				id: 'billing',
+				title: 'Billing',
+				goal: 'Take payments',
+				targetDate: '2025-07-01'
+			});
+			expect(() => addEpic(tasksPath, { id: 'billing', title: 'X' })).toThrow(
+				expect.objectContaining({ code: 'EPIC_EXISTS' })
+			);
+
+			expect(
+				updateEpic(tasksPath, 'billing', { goal: '', targetDate: 'none' })
+			).toEqual({ id: 'billing', title: 'Billing' });
+			expect(() =>
+				updateEpic(tasksPath, 'billing', { targetDate: 'soon' })
+			).toThrow();
+			expect(readTasks(tasksPath).meta.epics).toHaveLength(3);
+		});
+
+		test('should move tasks between epics', () => {
+			const results = assignEpic(tasksPath, '3,4', 'accounts');
+
+			expect(results).toEqual([
+				{
+					id: 3,
+					title: 'Charts',
+					previousEpic: 'reports',
+					epic: 'accounts',
+					changed: true
+				},
+				{
+					id: 4,
+					title: 'Setup',
+					previousEpic: null,
+					epic: 'accounts',
+					changed: true
+				}
+			]);
+			expect(assignEpic(tasksPath, [4], 'none')[0].epic).toBeNull();
+			expect(readTasks(tasksPath).tasks[3].epic).toBeUndefined();
+
+			expect(() => assignEpic(tasksPath, '2.1', 'accounts')).toThrow(
+				expect.objectContaining({ code: 'INVALID_TASK_ID' })
+			);
+			expect(() => assignEpic(tasksPath, '9', 'accounts')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => assignEpic(tasksPath, '3', 'billing')).toThrow(
+				expect.objectContaining({ code: 'EPIC_NOT_FOUND' })
+			);
+		});
+
+		test('should unassign the tasks of a removed epic in every tag', () => {
+			addTag(tasksPath, 'feature-x', { copyFrom: 'master' });
+
+			const { epic, unassigned } = removeEpic(tasksPath, 'accounts');
+
+			expect(epic.id).toBe('accounts');
+			expect(unassigned).toBe(4);
+			expect(readTasks(tasksPath).meta.epics.map((e) => e.id)).toEqual([
+				'reports'
+			]);
+			runWithTag('feature-x', () => {
+				expect(
+					readTasks(tasksPath).tasks.filter((task) => task.epic)
+				).toHaveLength(1);
+			});
+		});
+
+		test('should export the tasks and progress of one epic', () => {
+			const data = buildExportData(tasksPath, { epic: 'accounts' });
+
+			expect(data.epic).toEqual({
+				id: 'accounts',
+				title: 'Accounts',
+				goal: '',
+				targetDate: '2025-06-01'
+			});
+			expect(data.tasks.map((task) => task.id)).toEqual(['1', '2']);
+			expect(data.progress.tasks.total).toBe(2);
+
+			expect(
+				buildExportData(tasksPath, { epic: 'none' }).tasks.map(
+					(task) => task.id
+				)
+			).toEqual(['4']);
+			expect(buildExportData(tasksPath).epic).toBeNull();
+		});
+	});
+});
@@ -0,0 +1,184 @@
+/**
+ * Task export tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	resolveExportFormat,
+	buildExportData,
+	exportTasks
+} from '../../scripts/modules/task-export.js';
+import { runWithTag, addTag } from '../../scripts/modules/task-tags.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task Export Module', () => {
+	let tempDir;
+	let tasksPath;
+	let reportPath;
+
+	beforeEach(() => {
+		const data = JSON.parse(JSON.stringify(sampleTasks));
+		data.tasks[2].title = 'Implement <UI> | "Components", part 1';
+		({ tempDir, tasksPath } = createTempProject('task-export', data));
+		reportPath = path.join(tempDir, 'task-complexity-report.json');
+		fs.writeFileSync(
+			reportPath,
+			JSON.stringify({
+				complexityAnalysis: [{ taskId: 2, complexityScore: 8 }]
+			})
+		);
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	test('should accept format aliases and reject unknown formats', () => {
+		expect(resolveExportFormat()).toBe('markdown');
+		expect(resolveExportFormat('MD')).toBe('markdown');
+		expect(resolveExportFormat('html')).toBe('html');
+		expect(() => resolveExportFormat('pdf')).toThrow(
+			expect.objectContaining({ code: 'INVALID_EXPORT_FORMAT' })
+		);
+	});
+
+	test('should collect tasks, dependencies, complexity and progress', () => {
+		const data = buildExportData(tasksPath, {
+			complexityReportPath: reportPath
+		});
+
+		expect(data.project).toBe('Test Project');
+		expect(data.filter).toBe('all');
+		expect(data.tasks[1]).toEqual(
+			expect.objectContaining({
+				id: '2',
+				complexityScore: 8,
+				dependencies: [{ id: '1', status: 'done' }]
+			})
+		);
+		expect(data.tasks[1].subtasks[1]).toEqual(
+			expect.objectContaining({
+				id: '2.2',
+				dependencies: [{ id: '2.1', status: 'done' }]
+			})
+		);
+		expect(data.progress.tasks).toEqual({
+			total: 3,
+			done: 1,
+			completionPercentage: 33,
+			byStatus: [
+				{ status: 'done', count: 1 },
+				{ status: 'in-progress', count: 1 },
+				{ status: 'pending', count: 1 }
+			]
+		});
+		expect(data.progress.subtasks.total).toBe(4);
+	});
+
+	test('should export nested subtasks with their dependencies', () => {
+		const data = JSON.parse(JSON.stringify(sampleTasks));
+		data.tasks[1].subtasks[1].subtasks = [
+			{ id: 1, title: 'Schema', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Migrations', status: 'pending', dependencies: [1] }
+		];
+		data.tasks[2].subtasks[0].dependencies = ['2.2.2'];
+		fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+		const exported = buildExportData(tasksPath);
+		const subtasks = exported.tasks[1].subtasks;
+		expect(subtasks.map((subtask) => subtask.id)).toEqual([
+			'2.1',
+			'2.2',
+			'2.2.1',
+			'2.2.2'
+		]);
+		expect(subtasks[3].dependencies).toEqual([{ id: '2.2.1', status: 'done' }]);
+		expect(exported.tasks[2].subtasks[0].dependencies).toEqual([
+			{ id: '2.2.2', status: 'pending' }
+		]);
+		expect(exported.progress.subtasks.total).toBe(6);
+
+		const { content } = exportTasks(tasksPath, { format: 'csv' });
+		expect(content).toMatch(/^2\.2\.2,2\.2,Migrations,pending,,2\.2\.1,/m);
+	});
+
+	test('should filter tasks by status like list does', () => {
+		const data = buildExportData(tasksPath, { status: 'Pending' });
+
+		expect(data.filter).toBe('pending');
+		expect(data.tasks.map((task) => task.id)).toEqual(['3']);
+		// Progress still covers the whole list
+		expect(data.progress.tasks.total).toBe(3);
+		expect(buildExportData(tasksPath, { status: 'all' }).tasks).toHaveLength(3);
+	});
+
+	test('should render Markdown with escaped table cells', () => {
+		const { content } = exportTasks(tasksPath, {
+			complexityReportPath: reportPath
+		});
+
+		expect(content).toContain('# Test Project Tasks');
+		expect(content).toContain('- **Tasks:** 1/3 done (33%)');
+		expect(content).toContain(
+			'| 2 | Create Core Functionality | in-progress | high | 1 (done) | 8 |'
+		);
+		expect(content).toContain('Implement <UI> \\| "Components", part 1');
+		expect(content).toContain('- [x] 2.1 Implement Authentication (done)');
+		expect(content).toContain(
+			'- [ ] 2.2 Set Up Database (pending) · depends on 2.1 (done)'
+		);
+	});
+
+	test('should render CSV with a row per task and subtask', () => {
+		const { content } = exportTasks(tasksPath, { format: 'csv' });
+		const lines = content.trim().split('\n');
+
+		expect(lines[0]).toBe(
+			'ID,Parent ID,Title,Status,Priority,Dependencies,Complexity,Description,Details,Test Strategy'
+		);
+		expect(lines).toHaveLength(1 + 3 + 4);
+		expect(lines[3]).toMatch(/^2\.1,2,Implement Authentication,done,/);
+		expect(content).toContain('"Implement <UI> | ""Components"", part 1"');
+	});
+
+	test('should render HTML with escaped text', () => {
+		const { content } = exportTasks(tasksPath, { format: 'html' });
+
+		expect(content).toMatch(/^<!DOCTYPE html>/);
+		expect(content).toContain(
+			'Implement &lt;UI&gt; | &quot;Components&quot;, part 1'
+		);
+		expect(content).toContain('style="display: block; width: 33%"');
+		expect(content).not.toContain('<UI>');
+	});
+
+	test('should write the export to a file', () => {
+		const output = path.join(tempDir, 'reports', 'tasks.json');
+
+		const result = exportTasks(tasksPath, { format: 'json', output });
+
+		expect(result).toEqual(
+			expect.objectContaining({
+				format: 'json',
+				taskCount: 3,
+				outputPath: output
+			})
+		);
+		expect(JSON.parse(fs.readFileSync(output, 'utf8')).tasks).toHaveLength(3);
+	});
+
+	test('should export the active tag', () => {
+		addTag(tasksPath, 'feature-x');
+
+		const { content } = runWithTag('feature-x', () => exportTasks(tasksPath));
+
+		expect(content).toContain('tag: feature-x');
+		expect(content).toContain('No tasks to export.');
+	});
+});
@@ -0,0 +1,244 @@
+/**
+ * Labels and custom fields tests
+ */
+
+import {
+	parseLabels,
+	parseFieldAssignments,
+	resolveTaskMetadata,
+	addTaskLabels,
+	removeTaskLabels,
+	countLabels,
+	parseTaskFilters,
+	filterTasksByMetadata
+} from '../../scripts/modules/task-fields.js';
+import {
+	addSubtask,
+	findNextTask,
+	listTasks
+} from '../../scripts/modules/task-manager.js';
+import { readTasks, writeTasks } from '../../scripts/modules/task-store.js';
+import { validateTasksSchema } from '../../scripts/modules/task-schema.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task Fields Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-fields'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('parsing', () => {
+		test('should normalize labels and reject invalid ones', () => {
+			expect(parseLabels('Frontend, infra,frontend')).toEqual([
+				'frontend',
+				'infra'
+			]);
+			expect(parseLabels(['a', 'team/web'])).toEqual(['a', 'team/web']);
+			expect(parseLabels(undefined)).toEqual([]);
+			expect(() => parseLabels('needs review')).toThrow(
+				expect.objectContaining({ code: 'INVALID_LABEL' })
+			);
+		});
+
+		test('should parse field assignments with optional types', () => {
+			expect(
+				parseFieldAssignments(['estimate=3', 'due:date=2025-06-01', 'note=a=b'])
+			).toEqual([
+				{ name: 'estimate', type: undefined, value: '3' },
+				{ name: 'due', type: 'date', value: '2025-06-01' },
+				{ name: 'note', type: undefined, value: 'a=b' }
+			]);
+			expect(parseFieldAssignments({ 'done:boolean': true })).toEqual([
+				{ name: 'done', type: 'boolean', value: true }
+			]);
+			expect(() => parseFieldAssignments('estimate')).toThrow(
+				expect.objectContaining({ code: 'INVALID_FIELD' })
+			);
+			expect(() => parseFieldAssignments('size:huge=1')).toThrow(
+				expect.objectContaining({ code: 'INVALID_FIELD' })
+			);
+		});
+
+		test('should type new fields and keep the type of known ones', () => {
+			const meta = {};
+
+			const first = resolveTaskMetadata(
+				{
+					labels: 'ui',
+					fields: [
+						'estimate=3',
+						'owner=alice',
+						'urgent=true',
+						'due=2025-06-01',
+						'code:string=007'
+					]
+				},
+				meta
+			);
+
+			expect(first).toEqual({
+				labels: ['ui'],
+				fields: {
+					estimate: 3,
+					owner: 'alice',
+					urgent: true,
+					due: '2025-06-01',
+					code: '007'
+				}
+			});
+			expect(meta.customFields).toEqual({
+				estimate: 'number',
+				owner: 'string',
+				urgent: 'boolean',
+				due: 'date',
+				code: 'string'
+			});
+
+			// Known fields keep their type, whatever the value looks like
+			expect(resolveTaskMetadata({ fields: 'owner=42' }, meta).fields).toEqual({
+				owner: '42'
+			});
+			expect(() =>
+				resolveTaskMetadata({ fields: 'estimate=big' }, meta)
+			).toThrow(expect.objectContaining({ code: 'INVALID_FIELD_VALUE' }));
+			expect(() =>
+				resolveTaskMetadata({ fields: 'due=2025-02-30' }, meta)
+			).toThrow(expect.objectContaining({ code: 'INVALID_FIELD_VALUE' }));
+			expect(() =>
+				resolveTaskMetadata({ fields: 'estimate:string=3' }, meta)
+			).toThrow(expect.objectContaining({ code: 'FIELD_TYPE_MISMATCH' }));
+		});
+	});
+
+	describe('labels', () => {
+		test('should add and remove labels on tasks and subtasks', () => {
+			expect(addTaskLabels(tasksPath, '1,2.1', 'backend,API')).toEqual([
+				{ id: '1', labels: ['backend', 'api'], changed: true },
+				{ id: '2.1', labels: ['backend', 'api'], changed: true }
+			]);
+			expect(addTaskLabels(tasksPath, ['1'], 'backend')[0].changed).toBe(false);
+
+			removeTaskLabels(tasksPath, '1', 'backend,api');
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks[0].labels).toBeUndefined();
+			expect(tasks[1].subtasks[0].labels).toEqual(['backend', 'api']);
+			expect(countLabels(tasks)).toEqual([
+				{ label: 'api', count: 1 },
+				{ label: 'backend', count: 1 }
+			]);
+		});
+
+		test('should reject unknown tasks without changing anything', () => {
+			expect(() => addTaskLabels(tasksPath, '1,9', 'backend')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => addTaskLabels(tasksPath, '', 'backend')).toThrow(
+				expect.objectContaining({ code: 'MISSING_ARGUMENT' })
+			);
+			expect(readTasks(tasksPath).tasks[0].labels).toBeUndefined();
+		});
+	});
+
+	describe('filtering', () => {
+		beforeEach(() => {
+			const data = readTasks(tasksPath);
+			data.meta.customFields = { estimate: 'number', owner: 'string' };
+			data.tasks[1].labels = ['backend'];
+			data.tasks[1].fields = { estimate: 5 };
+			data.tasks[2].subtasks[1].labels = ['backend'];
+			data.tasks[2].subtasks[1].fields = { owner: 'alice' };
+			writeTasks(tasksPath, data);
+		});
+
+		test('should match tasks directly or through their subtasks', () => {
+			const { meta, tasks } = readTasks(tasksPath);
+
+			const backend = filterTasksByMetadata(
+				tasks,
+				parseTaskFilters({ labels: 'backend' }, meta)
+			);
+			expect(backend.map((task) => task.id)).toEqual([2, 3]);
+			// Tasks matching through subtasks only keep the matching ones
+			expect(backend[0].subtasks).toHaveLength(2);
+			expect(backend[1].subtasks.map((subtask) => subtask.id)).toEqual([2]);
+
+			// Values are compared with the type of the field
+			const estimated = filterTasksByMetadata(
+				tasks,
+				parseTaskFilters({ fields: ['estimate=5.0'] }, meta)
+			);
+			expect(estimated.map((task) => task.id)).toEqual([2]);
+			expect(
+				filterTasksByMetadata(
+					tasks,
+					parseTaskFilters({ labels: 'backend', fields: 'owner=bob' }, meta)
+				)
+			).toEqual([]);
+		});
+
+		test('should filter list and next', () => {
+			const result = listTasks(tasksPath, 'pending', false, 'json', false, {
+				fields: { owner: 'alice' }
+			});
+			expect(result.tasks.map((task) => task.id)).toEqual([3]);
+			expect(result.metadataFilter).toEqual({
+				labels: [],
+				fields: { owner: 'alice' }
+			});
+			// Stats still cover the whole list
+			expect(result.stats.total).toBe(3);
+
+			const { meta, tasks } = readTasks(tasksPath);
+			tasks[2].dependencies = [];
+			expect(findNextTask(tasks).id).toBe(2);
+			expect(
+				findNextTask(
+					tasks,
+					[],
+					parseTaskFilters({ fields: 'owner=alice' }, meta)
+				).id
+			).toBe(3);
+			expect(
+				findNextTask(tasks, [], parseTaskFilters({ labels: 'docs' }, meta))
+			).toBeNull();
+		});
+	});
+
+	test('should store labels and fields of new subtasks', async () => {
+		const subtask = await addSubtask(
+			tasksPath,
+			1,
+			null,
+			{ title: 'Write docs', labels: 'docs', fields: ['pages=4'] },
+			false
+		);
+
+		expect(subtask).toEqual(
+			expect.objectContaining({ labels: ['docs'], fields: { pages: 4 } })
+		);
+		const data = readTasks(tasksPath);
+		expect(data.meta.customFields).toEqual({ pages: 'number' });
+		expect(validateTasksSchema(data).valid).toBe(true);
+
+		await expect(
+			addSubtask(
+				tasksPath,
+				1,
+				null,
+				{ title: 'Bad', fields: ['pages=many'] },
+				false
+			)
+		).rejects.toThrow('Invalid value "many" for number field "pages"');
+		expect(readTasks(tasksPath).tasks[0].subtasks).toHaveLength(1);
+	});
+});
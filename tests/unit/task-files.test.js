@@ -0,0 +1,478 @@
+/**
+ * Task file parsing and syncing tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	formatTaskFile,
+	parseTaskFile,
+	readTaskFilesManifest,
+	recordTaskFiles,
+	syncTaskFiles
+} from '../../scripts/modules/task-files.js';
+import { generateTaskFiles } from '../../scripts/modules/task-manager.js';
+import { readTasks, writeTasks } from '../../scripts/modules/task-store.js';
+import { runWithTag, addTag } from '../../scripts/modules/task-tags.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task Files Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	// Writes the task files like generateTaskFiles does
+	const generateFiles = (tag) => {
+		const { tasks } = readTasks(tasksPath);
+		const files = {};
+		tasks.forEach((task) => {
+			const fileName = tag
+				? `task_${task.id.toString().padStart(3, '0')}_${tag}.txt`
+				: `task_${task.id.toString().padStart(3, '0')}.txt`;
+			files[fileName] = formatTaskFile(task, tasks);
+			fs.writeFileSync(path.join(tempDir, fileName), files[fileName]);
+		});
+		recordTaskFiles(tempDir, files);
+	};
+
+	const taskFile = (id) =>
+		path.join(tempDir, `task_${id.toString().padStart(3, '0')}.txt`);
+
+	const editTaskFile = (id, search, replace) => {
+		const content = fs.readFileSync(taskFile(id), 'utf8');
+		fs.writeFileSync(taskFile(id), content.replace(search, replace));
+	};
+
+	const editTask = (id, changes) => {
+		const data = readTasks(tasksPath);
+		Object.assign(
+			data.tasks.find((task) => task.id === id),
+			changes
+		);
+		writeTasks(tasksPath, data);
+	};
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-files'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('parseTaskFile function', () => {
+		test('should read back the fields of a generated file', () => {
+			const task = sampleTasks.tasks[2];
+			const parsed = parseTaskFile(formatTaskFile(task, sampleTasks.tasks));
+
+			expect(parsed).toEqual({
+				id: 3,
+				title: task.title,
+				status: task.status,
+				dependencies: [2],
+				priority: task.priority,
+				labels: [],
+				fields: {},
+				description: task.description,
+				details: task.details,
+				testStrategy: task.testStrategy,
+				subtasks: [
+					expect.objectContaining({
+						id: 1,
+						title: task.subtasks[0].title,
+						status: task.subtasks[0].status,
+						dependencies: []
+					}),
+					expect.objectContaining({ id: 2, title: task.subtasks[1].title })
+				]
+			});
+		});
+
+		test('should parse multi-line sections and subtask dependencies', () => {
+			const parsed = parseTaskFile(
+				[
+					'# Task ID: 4',
+					'# Title: Multi-line task',
+					'# Status: pending',
+					'# Dependencies: 1, 2 (Not found), 3.1',
+					'# Priority: high',
+					'# Description: Short',
+					'# Details:',
+					'First line',
+					'',
+					'- bullet',
+					'',
+					'# Test Strategy:',
+					'Run it',
+					'',
+					'# Subtasks:',
+					'## 1. First [done]',
+					'### Dependencies: None',
+					'### Description: One',
+					'### Details:',
+					'',
+					'## 2. Second [pending]',
+					'### Dependencies: 4.1, 3.1',
+					'### Description: Two',
+					'### Details:',
+					'Some details',
+					''
+				].join('\n')
+			);
+
+			expect(parsed.dependencies).toEqual([1, 2, '3.1']);
+			expect(parsed.details).toBe('First line\n\n- bullet');
+			expect(parsed.testStrategy).toBe('Run it');
+			expect(parsed.subtasks.map((subtask) => subtask.title)).toEqual([
+				'First',
+				'Second'
+			]);
+			expect(parsed.subtasks[1].dependencies).toEqual([1, '3.1']);
+			expect(parsed.subtasks[1].details).toBe('Some details');
+		});
+
+		test('should read back labels and custom fields', () => {
+			const task = {
+				...sampleTasks.tasks[2],
+				labels: ['frontend', 'ui'],
+				fields: { estimate: 3, owner: 'alice' }
+			};
+			task.subtasks = [{ ...task.subtasks[0], labels: ['css'] }];
+
+			const content = formatTaskFile(task, sampleTasks.tasks);
+			const parsed = parseTaskFile(content);
+
+			expect(content).toContain('# Labels: frontend, ui\n');
+			expect(content).toContain('# Fields: estimate=3; owner=alice\n');
+			expect(parsed.labels).toEqual(['frontend', 'ui']);
+			expect(parsed.fields).toEqual({ estimate: '3', owner: 'alice' });
+			expect(parsed.description).toBe(task.description);
+			expect(parsed.subtasks[0].labels).toEqual(['css']);
+			expect(parsed.subtasks[0].fields).toEqual({});
+		});
+
+		test('should reject files without a task ID', () => {
+			expect(() => parseTaskFile('# Title: No ID')).toThrow(
+				expect.objectContaining({ code: 'INVALID_TASK_FILE' })
+			);
+		});
+	});
+
+	describe('generateTaskFiles function', () => {
+		const mcpLog = { info: () => {}, warn: () => {}, error: () => {} };
+
+		beforeEach(() => {
+			generateTaskFiles(tasksPath, tempDir, { mcpLog });
+		});
+
+		test('should not overwrite files with edits that were not synced', () => {
+			editTaskFile(2, '# Title: Create Core Functionality', '# Title: Edited');
+			editTask(1, { title: 'Renamed' });
+			editTask(2, { priority: 'low' });
+
+			const result = generateTaskFiles(tasksPath, tempDir, { mcpLog });
+
+			expect(result.skippedFiles).toEqual(['task_002.txt']);
+			expect(result.count).toBe(2);
+			expect(fs.readFileSync(taskFile(1), 'utf8')).toContain(
+				'# Title: Renamed'
+			);
+			expect(fs.readFileSync(taskFile(2), 'utf8')).toContain('# Title: Edited');
+			// The snapshot still tells sync-files which side changed
+			expect(readTaskFilesManifest(tempDir)['task_002.txt'].title).toBe(
+				'Create Core Functionality'
+			);
+			expect(syncTaskFiles(tasksPath, tempDir).fromFiles).toEqual([
+				{ id: 2, file: 'task_002.txt', fields: ['title'] }
+			]);
+		});
+
+		test('should overwrite edited files when forced', () => {
+			editTaskFile(2, '# Title: Create Core Functionality', '# Title: Edited');
+
+			const result = generateTaskFiles(tasksPath, tempDir, {
+				mcpLog,
+				force: true
+			});
+
+			expect(result.skippedFiles).toEqual([]);
+			expect(fs.readFileSync(taskFile(2), 'utf8')).toContain(
+				'# Title: Create Core Functionality'
+			);
+		});
+	});
+
+	describe('syncTaskFiles function', () => {
+		beforeEach(() => {
+			generateFiles();
+		});
+
+		test('should record what was generated', () => {
+			expect(readTaskFilesManifest(tempDir)['task_001.txt'].title).toBe(
+				'Initialize Project'
+			);
+		});
+
+		test('should do nothing when both sides are unchanged', () => {
+			expect(syncTaskFiles(tasksPath, tempDir)).toEqual({
+				fromFiles: [],
+				toFiles: [],
+				conflicts: [],
+				errors: [],
+				dryRun: false
+			});
+		});
+
+		test('should merge file edits into tasks.json', () => {
+			editTaskFile(2, '# Title: Create Core Functionality', '# Title: Edited');
+			editTaskFile(2, '# Status: in-progress', '# Status: done');
+
+			const result = syncTaskFiles(tasksPath, tempDir);
+
+			expect(result.fromFiles).toEqual([
+				{ id: 2, file: 'task_002.txt', fields: ['title', 'status'] }
+			]);
+			const task = readTasks(tasksPath).tasks[1];
+			expect(task.title).toBe('Edited');
+			expect(task.status).toBe('done');
+			expect(task.completedAt).toEqual(expect.any(String));
+		});
+
+		test('should merge subtask edits into tasks.json', () => {
+			editTaskFile(
+				3,
+				'## 1. Create Header Component [pending]',
+				'## 1. Header [in-progress]'
+			);
+			fs.appendFileSync(
+				taskFile(3),
+				'## 3. Docs [pending]\n### Dependencies: 3.1\n### Description: Document the components\n### Details:\n\n'
+			);
+
+			syncTaskFiles(tasksPath, tempDir);
+
+			const { subtasks } = readTasks(tasksPath).tasks[2];
+			expect(subtasks).toEqual([
+				expect.objectContaining({
+					id: 1,
+					title: 'Header',
+					status: 'in-progress'
+				}),
+				sampleTasks.tasks[2].subtasks[1],
+				expect.objectContaining({
+					id: 3,
+					title: 'Docs',
+					description: 'Document the components',
+					dependencies: [1]
+				})
+			]);
+		});
+
+		test('should keep the completion date of subtasks up to date', () => {
+			editTaskFile(
+				3,
+				'## 1. Create Header Component [pending]',
+				'## 1. Create Header Component [done]'
+			);
+
+			syncTaskFiles(tasksPath, tempDir);
+
+			const [subtask] = readTasks(tasksPath).tasks[2].subtasks;
+			expect(subtask.completedAt).toEqual(expect.any(String));
+			expect(subtask.statusHistory).toEqual([
+				expect.objectContaining({ status: 'done', from: 'pending' })
+			]);
+		});
+
+		test('should only accept statuses of the workflow', () => {
+			editTaskFile(2, '# Status: in-progress', '# Status: complete');
+			editTaskFile(
+				3,
+				'## 1. Create Header Component [pending]',
+				'## 1. Create Header Component [finished]'
+			);
+
+			const { errors } = syncTaskFiles(tasksPath, tempDir);
+
+			expect(errors).toEqual([
+				expect.objectContaining({
+					id: 2,
+					message: expect.stringContaining('Unknown status "complete"')
+				}),
+				expect.objectContaining({
+					id: 3,
+					message: expect.stringContaining('Unknown status "finished"')
+				})
+			]);
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks[1].status).toBe('in-progress');
+			expect(tasks[2].subtasks[0].status).toBe('pending');
+		});
+
+		test('should write tasks.json changes to the files', () => {
+			editTask(2, { priority: 'low' });
+
+			const result = syncTaskFiles(tasksPath, tempDir);
+
+			expect(result.toFiles).toEqual([
+				{ id: 2, file: 'task_002.txt', fields: ['priority'] }
+			]);
+			expect(fs.readFileSync(taskFile(2), 'utf8')).toContain('# Priority: low');
+		});
+
+		test('should report fields changed on both sides as conflicts', () => {
+			editTaskFile(2, /# Description: .*/, '# Description: From the file');
+			editTaskFile(2, '# Priority: high', '# Priority: medium');
+			editTask(2, { description: 'From tasks.json' });
+
+			const result = syncTaskFiles(tasksPath, tempDir);
+
+			expect(result.conflicts).toEqual([
+				{
+					id: 2,
+					file: 'task_002.txt',
+					fields: [
+						{
+							field: 'description',
+							fileValue: 'From the file',
+							taskValue: 'From tasks.json'
+						}
+					]
+				}
+			]);
+
+			// Other edits are merged, but the file is left alone
+			expect(readTasks(tasksPath).tasks[1]).toEqual(
+				expect.objectContaining({
+					description: 'From tasks.json',
+					priority: 'medium'
+				})
+			);
+			expect(fs.readFileSync(taskFile(2), 'utf8')).toContain(
+				'# Description: From the file'
+			);
+			expect(syncTaskFiles(tasksPath, tempDir).conflicts).toHaveLength(1);
+		});
+
+		test('should resolve conflicts with the preferred side', () => {
+			editTaskFile(2, /# Description: .*/, '# Description: From the file');
+			editTask(2, { description: 'From tasks.json' });
+
+			syncTaskFiles(tasksPath, tempDir, { prefer: 'tasks' });
+			expect(fs.readFileSync(taskFile(2), 'utf8')).toContain(
+				'# Description: From tasks.json'
+			);
+
+			editTaskFile(2, /# Description: .*/, '# Description: From the file');
+			editTask(2, { description: 'Changed again' });
+
+			syncTaskFiles(tasksPath, tempDir, { prefer: 'file' });
+			expect(readTasks(tasksPath).tasks[1].description).toBe('From the file');
+			expect(syncTaskFiles(tasksPath, tempDir).conflicts).toEqual([]);
+
+			expect(() =>
+				syncTaskFiles(tasksPath, tempDir, { prefer: 'both' })
+			).toThrow(expect.objectContaining({ code: 'INVALID_SYNC_PREFERENCE' }));
+		});
+
+		test('should treat differences in files without a snapshot as conflicts', () => {
+			fs.rmSync(path.join(tempDir, '.task-files.json'));
+			editTaskFile(1, '# Priority: high', '# Priority: low');
+
+			const result = syncTaskFiles(tasksPath, tempDir);
+
+			expect(result.conflicts[0].fields).toEqual([
+				{ field: 'priority', fileValue: 'low', taskValue: 'high' }
+			]);
+			// Files that match are recorded for the next sync
+			expect(Object.keys(readTaskFilesManifest(tempDir))).toEqual([
+				'task_002.txt',
+				'task_003.txt'
+			]);
+		});
+
+		test('should not change anything in a dry run', () => {
+			editTaskFile(2, '# Title: Create Core Functionality', '# Title: Edited');
+			editTask(3, { priority: 'low' });
+
+			const result = syncTaskFiles(tasksPath, tempDir, { dryRun: true });
+
+			expect(result.fromFiles).toHaveLength(1);
+			expect(result.toFiles).toHaveLength(1);
+			expect(readTasks(tasksPath).tasks[1].title).toBe(
+				'Create Core Functionality'
+			);
+			expect(fs.readFileSync(taskFile(3), 'utf8')).not.toContain(
+				'# Priority: low'
+			);
+		});
+
+		test('should merge label and custom field edits with their types', () => {
+			editTask(1, {
+				labels: ['infra'],
+				fields: { estimate: 2 }
+			});
+			const data = readTasks(tasksPath);
+			data.meta.customFields = { estimate: 'number' };
+			writeTasks(tasksPath, data);
+			syncTaskFiles(tasksPath, tempDir);
+			expect(fs.readFileSync(taskFile(1), 'utf8')).toContain(
+				'# Fields: estimate=2\n'
+			);
+
+			editTaskFile(1, '# Labels: infra', '# Labels: infra, CI');
+			editTaskFile(1, '# Fields: estimate=2', '# Fields: estimate=5; ok=yes');
+
+			const result = syncTaskFiles(tasksPath, tempDir);
+
+			expect(result.fromFiles).toEqual([
+				{ id: 1, file: 'task_001.txt', fields: ['labels', 'fields'] }
+			]);
+			const { meta, tasks } = readTasks(tasksPath);
+			expect(tasks[0].labels).toEqual(['infra', 'ci']);
+			expect(tasks[0].fields).toEqual({ estimate: 5, ok: 'yes' });
+			expect(meta.customFields).toEqual({ estimate: 'number', ok: 'string' });
+
+			editTaskFile(1, '# Fields: estimate=5', '# Fields: estimate=soon');
+			expect(syncTaskFiles(tasksPath, tempDir).errors).toEqual([
+				expect.objectContaining({
+					id: 1,
+					message: 'Invalid value "soon" for number field "estimate"'
+				})
+			]);
+		});
+
+		test('should report unreadable files', () => {
+			fs.writeFileSync(taskFile(1), 'not a task file');
+
+			expect(syncTaskFiles(tasksPath, tempDir).errors).toEqual([
+				expect.objectContaining({ id: 1, file: 'task_001.txt' })
+			]);
+		});
+
+		test('should sync the files of the active tag', () => {
+			addTag(tasksPath, 'feature-x', { copyFrom: 'master' });
+			runWithTag('feature-x', () => generateFiles('feature-x'));
+
+			const featureFile = path.join(tempDir, 'task_002_feature-x.txt');
+			fs.writeFileSync(
+				featureFile,
+				fs
+					.readFileSync(featureFile, 'utf8')
+					.replace('# Priority: high', '# Priority: low')
+			);
+
+			expect(syncTaskFiles(tasksPath, tempDir).fromFiles).toEqual([]);
+			runWithTag('feature-x', () => syncTaskFiles(tasksPath, tempDir));
+
+			expect(readTasks(tasksPath).tasks[1].priority).toBe('high');
+			expect(
+				runWithTag('feature-x', () => readTasks(tasksPath).tasks[1].priority)
+			).toBe('low');
+		});
+	});
+});
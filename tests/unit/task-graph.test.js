@@ -0,0 +1,232 @@
+/**
+ * Dependency graph tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	buildDependencyGraph,
+	formatMermaid,
+	formatDot,
+	formatAscii,
+	renderTaskGraph
+} from '../../scripts/modules/task-graph.js';
+import { getWorkflow } from '../../scripts/modules/task-workflow.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const graphTasks = [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'Core "engine"',
+		status: 'in-progress',
+		dependencies: [1],
+		subtasks: [
+			{ id: 1, title: 'Parser', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Runner', status: 'pending', dependencies: [1] }
+		]
+	},
+	{
+		id: 3,
+		title: 'UI',
+		status: 'pending',
+		dependencies: [2],
+		subtasks: [
+			{ id: 1, title: 'Views', status: 'pending', dependencies: ['2.2'] }
+		]
+	},
+	{ id: 4, title: 'Docs', status: 'pending', dependencies: [1, 99] }
+];
+
+const edgesOf = (graph) => graph.edges.map((edge) => `${edge.from}>${edge.to}`);
+
+describe('Task Graph Module', () => {
+	describe('buildDependencyGraph function', () => {
+		test('should link tasks and drop unknown dependencies', () => {
+			const graph = buildDependencyGraph(graphTasks);
+
+			expect(graph.nodes.map((node) => node.id)).toEqual(['1', '2', '3', '4']);
+			// 3.1 waiting for 2.2 becomes 3 waiting for 2, which is already there
+			expect(edgesOf(graph)).toEqual(['1>2', '2>3', '1>4']);
+		});
+
+		test('should include subtasks with an edge to their parent', () => {
+			const graph = buildDependencyGraph(graphTasks, { subtasks: true });
+
+			expect(graph.nodes).toHaveLength(7);
+			expect(graph.nodes[2]).toEqual(
+				expect.objectContaining({ id: '2.1', parentId: '2' })
+			);
+			expect(edgesOf(graph)).toEqual([
+				'1>2',
+				'2.1>2',
+				'2.1>2.2',
+				'2.2>2',
+				'2>3',
+				'2.2>3.1',
+				'3.1>3',
+				'1>4'
+			]);
+			expect(graph.edges[1].type).toBe('subtask');
+		});
+
+		test('should include nested subtasks with an edge to their parent subtask', () => {
+			const tasks = [
+				{
+					id: 1,
+					title: 'API',
+					status: 'pending',
+					dependencies: [],
+					subtasks: [
+						{
+							id: 1,
+							title: 'Routes',
+							status: 'pending',
+							dependencies: [],
+							subtasks: [
+								{ id: 1, title: 'GET', status: 'done', dependencies: [] },
+								{ id: 2, title: 'POST', status: 'pending', dependencies: [1] }
+							]
+						}
+					]
+				},
+				{ id: 2, title: 'Client', status: 'pending', dependencies: ['1.1.2'] }
+			];
+
+			const graph = buildDependencyGraph(tasks, { subtasks: true });
+			expect(graph.nodes.map((node) => [node.id, node.parentId])).toEqual([
+				['1', null],
+				['1.1', '1'],
+				['1.1.1', '1.1'],
+				['1.1.2', '1.1'],
+				['2', null]
+			]);
+			expect(edgesOf(graph)).toEqual([
+				'1.1>1',
+				'1.1.1>1.1',
+				'1.1.1>1.1.2',
+				'1.1.2>1.1',
+				'1.1.2>2'
+			]);
+			// Without subtasks the dependency points at the task
+			expect(edgesOf(buildDependencyGraph(tasks))).toEqual(['1>2']);
+
+			const mermaid = formatMermaid(graph, getWorkflow());
+			expect(mermaid).toContain('t1_1_1 --> t1_1_2');
+			expect(mermaid).toContain('t1_1_2 -.-> t1_1');
+			expect(mermaid).toContain('t1_1_2 --> t2');
+		});
+
+		test('should focus on the ancestors or descendants of a task', () => {
+			const ids = (options) =>
+				buildDependencyGraph(graphTasks, options).nodes.map((node) => node.id);
+
+			expect(ids({ focus: 2, direction: 'ancestors' })).toEqual(['1', '2']);
+			expect(ids({ focus: '2', direction: 'descendants' })).toEqual(['2', '3']);
+			expect(ids({ focus: '1' })).toEqual(['1', '2', '3', '4']);
+			// Focusing on a subtask brings in the subtasks
+			expect(ids({ focus: '2.2', direction: 'ancestors' })).toEqual([
+				'2.1',
+				'2.2'
+			]);
+
+			expect(() => buildDependencyGraph(graphTasks, { focus: '9' })).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() =>
+				buildDependencyGraph(graphTasks, { focus: '2', direction: 'up' })
+			).toThrow(expect.objectContaining({ code: 'INVALID_DIRECTION' }));
+		});
+	});
+
+	describe('formats', () => {
+		const workflow = getWorkflow();
+		const graph = buildDependencyGraph(graphTasks, {
+			subtasks: true,
+			focus: '2'
+		});
+
+		test('should render a Mermaid flowchart with status classes', () => {
+			const mermaid = formatMermaid(graph, workflow);
+
+			expect(mermaid.startsWith('flowchart TD\n')).toBe(true);
+			expect(mermaid).toContain('t2["2: Core #quot;engine#quot;"]');
+			expect(mermaid).toContain('t2_1 --> t2_2');
+			expect(mermaid).toContain('t2_2 -.-> t2');
+			expect(mermaid).toContain(
+				'classDef status_in_progress fill:#ffa500,stroke:#333333,color:#000000'
+			);
+			expect(mermaid).toContain('class t1,t2_1 status_done');
+		});
+
+		test('should render Graphviz DOT', () => {
+			const dot = formatDot(graph, workflow);
+
+			expect(dot.startsWith('digraph tasks {\n')).toBe(true);
+			expect(dot).toContain(
+				'"2" [label="2: Core \\"engine\\"\\n(in-progress)", fillcolor="#ffa500", fontcolor="#000000"];'
+			);
+			expect(dot).toContain('"2.2" -> "2" [style=dashed];');
+			expect(dot.trimEnd().endsWith('}')).toBe(true);
+		});
+
+		test('should render a text tree', () => {
+			const ascii = formatAscii(
+				buildDependencyGraph(graphTasks),
+				workflow,
+				(text, status) => (status === 'done' ? `*${text}*` : text)
+			);
+
+			expect(ascii).toBe(
+				[
+					'*[1] Setup (done)*',
+					'├─> [2] Core "engine" (in-progress)',
+					'│   └─> [3] UI (pending)',
+					'└─> [4] Docs (pending)',
+					''
+				].join('\n')
+			);
+		});
+	});
+
+	describe('renderTaskGraph function', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-graph'));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should render the tasks file and write it to a file', () => {
+			const outputPath = path.join(tempDir, 'graphs', 'tasks.dot');
+			const result = renderTaskGraph(tasksPath, {
+				format: 'DOT',
+				output: outputPath
+			});
+
+			expect(result).toEqual(
+				expect.objectContaining({
+					format: 'dot',
+					nodeCount: 3,
+					edgeCount: 2,
+					outputPath
+				})
+			);
+			expect(fs.readFileSync(outputPath, 'utf8')).toBe(result.content);
+		});
+
+		test('should reject unknown formats', () => {
+			expect(() => renderTaskGraph(tasksPath, { format: 'svg' })).toThrow(
+				expect.objectContaining({ code: 'INVALID_GRAPH_FORMAT' })
+			);
+		});
+	});
+});
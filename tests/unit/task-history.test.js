@@ -0,0 +1,278 @@
+/**
+ * Task history module tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	runWithOperation,
+	getHistoryDir,
+	summarizeChanges,
+	undoOperation,
+	redoOperation,
+	getHistory
+} from '../../scripts/modules/task-history.js';
+import { writeTasks, updateTask } from '../../scripts/modules/task-store.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task History Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-history'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	const readTasksFile = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+
+	// Saves a change to the first task's title as its own operation
+	const renameFirstTask = (title) =>
+		runWithOperation({ label: `rename ${title}`, source: 'cli' }, () => {
+			const data = readTasksFile();
+			data.tasks[0].title = title;
+			writeTasks(tasksPath, data);
+		});
+
+	describe('recording changes', () => {
+		test('should record one entry per operation', () => {
+			renameFirstTask('First');
+			renameFirstTask('Second');
+
+			const history = getHistory(tasksPath);
+			expect(history.map((entry) => entry.label)).toEqual([
+				'rename Second',
+				'rename First'
+			]);
+			expect(history[0].changes).toEqual({
+				added: [],
+				removed: [],
+				modified: [1]
+			});
+			expect(history[0].undone).toBe(false);
+		});
+
+		test('should group all writes of an operation into one entry', async () => {
+			await runWithOperation({ label: 'batch', source: 'mcp' }, async () => {
+				const data = readTasksFile();
+				data.tasks[0].title = 'Changed';
+				writeTasks(tasksPath, data);
+
+				await Promise.resolve();
+
+				data.tasks.pop();
+				writeTasks(tasksPath, data);
+			});
+
+			const history = getHistory(tasksPath);
+			expect(history).toHaveLength(1);
+			expect(history[0].source).toBe('mcp');
+			expect(history[0].changes.modified).toEqual([1]);
+			expect(history[0].changes.removed).toEqual([3]);
+		});
+
+		test('should store only the tasks an operation changed', () => {
+			renameFirstTask('First');
+
+			const entry = JSON.parse(
+				fs.readFileSync(
+					path.join(getHistoryDir(tasksPath), '000001.json'),
+					'utf8'
+				)
+			);
+			expect(entry).not.toHaveProperty('before');
+			expect(entry).not.toHaveProperty('after');
+			expect(Object.keys(entry.patch.lists.master.tasks)).toEqual(['1']);
+			expect(entry.patch.lists.master.tasks['1']).toMatchObject({
+				before: { title: sampleTasks.tasks[0].title },
+				after: { title: 'First' }
+			});
+			expect(entry.patch.lists.master).not.toHaveProperty('order');
+		});
+
+		test('should record single-task updates as a change to that task', () => {
+			runWithOperation({ label: 'note' }, () => {
+				writeTasks(tasksPath, readTasksFile());
+				updateTask(tasksPath, '3.1', (subtask) => {
+					subtask.status = 'done';
+				});
+			});
+
+			const [entry] = getHistory(tasksPath);
+			expect(entry.changes).toEqual({ added: [], removed: [], modified: [3] });
+
+			undoOperation(tasksPath);
+			expect(readTasksFile().tasks[2]).toEqual(sampleTasks.tasks[2]);
+		});
+
+		test('should not record writes that change nothing', () => {
+			runWithOperation({ label: 'set-status' }, () => {
+				writeTasks(tasksPath, readTasksFile());
+			});
+
+			expect(getHistory(tasksPath)).toEqual([]);
+		});
+
+		test('should not record operations with journaling disabled', () => {
+			runWithOperation({ label: 'quiet', journal: false }, () => {
+				writeTasks(tasksPath, readTasksFile());
+			});
+
+			expect(getHistory(tasksPath)).toEqual([]);
+		});
+	});
+
+	describe('undo and redo', () => {
+		test('should restore the state before and after an operation', () => {
+			renameFirstTask('First');
+			renameFirstTask('Second');
+
+			const undone = undoOperation(tasksPath);
+			expect(undone.label).toBe('rename Second');
+			expect(readTasksFile().tasks[0].title).toBe('First');
+
+			undoOperation(tasksPath);
+			expect(readTasksFile().tasks[0].title).toBe(sampleTasks.tasks[0].title);
+
+			redoOperation(tasksPath);
+			expect(readTasksFile().tasks[0].title).toBe('First');
+			expect(getHistory(tasksPath).map((entry) => entry.undone)).toEqual([
+				true,
+				false
+			]);
+		});
+
+		test('should give restored files a new revision', () => {
+			renameFirstTask('First');
+			const revision = readTasksFile().meta.revision;
+
+			undoOperation(tasksPath);
+
+			expect(readTasksFile().meta.revision).toBe(revision + 1);
+		});
+
+		test('should throw when there is nothing to undo or redo', () => {
+			expect(() => undoOperation(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'NOTHING_TO_UNDO' })
+			);
+			expect(() => redoOperation(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'NOTHING_TO_REDO' })
+			);
+		});
+
+		test('should drop undone entries when a new operation is recorded', () => {
+			renameFirstTask('First');
+			renameFirstTask('Second');
+			undoOperation(tasksPath);
+
+			renameFirstTask('Third');
+
+			expect(getHistory(tasksPath).map((entry) => entry.label)).toEqual([
+				'rename Third',
+				'rename First'
+			]);
+			expect(fs.readdirSync(getHistoryDir(tasksPath)).sort()).toEqual([
+				'000001.json',
+				'000003.json',
+				'index.json'
+			]);
+			expect(() => redoOperation(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'NOTHING_TO_REDO' })
+			);
+		});
+
+		test('should refuse to undo over changes made outside the journal', () => {
+			renameFirstTask('First');
+
+			const data = readTasksFile();
+			data.tasks[0].title = 'Edited by hand';
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+			expect(() => undoOperation(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'HISTORY_CONFLICT' })
+			);
+			expect(readTasksFile().tasks[0].title).toBe('Edited by hand');
+
+			undoOperation(tasksPath, { force: true });
+			expect(readTasksFile().tasks[0].title).toBe(sampleTasks.tasks[0].title);
+		});
+
+		test('should keep changes to tasks the operation did not touch', () => {
+			renameFirstTask('First');
+
+			const data = readTasksFile();
+			data.tasks[1].title = 'Edited by hand';
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+			undoOperation(tasksPath);
+
+			const { tasks } = readTasksFile();
+			expect(tasks[0].title).toBe(sampleTasks.tasks[0].title);
+			expect(tasks[1].title).toBe('Edited by hand');
+		});
+
+		test('should restore the order of added and removed tasks', () => {
+			runWithOperation({ label: 'reorder' }, () => {
+				const data = readTasksFile();
+				const [first] = data.tasks.splice(0, 1);
+				data.tasks.push({ ...first, id: 9 });
+				writeTasks(tasksPath, data);
+			});
+			const reordered = readTasksFile().tasks.map((task) => task.id);
+
+			undoOperation(tasksPath);
+			expect(readTasksFile().tasks.map((task) => task.id)).toEqual(
+				sampleTasks.tasks.map((task) => task.id)
+			);
+
+			redoOperation(tasksPath);
+			expect(readTasksFile().tasks.map((task) => task.id)).toEqual(reordered);
+		});
+
+		test('should not undo the creation of the tasks file', () => {
+			fs.unlinkSync(tasksPath);
+			runWithOperation({ label: 'create' }, () => {
+				writeTasks(tasksPath, { tasks: [] });
+			});
+
+			expect(() => undoOperation(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'HISTORY_CANNOT_RESTORE' })
+			);
+		});
+	});
+
+	describe('getHistory function', () => {
+		test('should limit the number of entries', () => {
+			renameFirstTask('First');
+			renameFirstTask('Second');
+			renameFirstTask('Third');
+
+			const history = getHistory(tasksPath, { limit: 2 });
+			expect(history.map((entry) => entry.label)).toEqual([
+				'rename Third',
+				'rename Second'
+			]);
+		});
+	});
+
+	describe('summarizeChanges function', () => {
+		test('should report added, removed and modified tasks', () => {
+			const before = { tasks: [{ id: 1 }, { id: 2, title: 'a' }] };
+			const after = { tasks: [{ id: 2, title: 'b' }, { id: 3 }] };
+
+			expect(summarizeChanges(before, after)).toEqual({
+				added: [3],
+				removed: [1],
+				modified: [2]
+			});
+		});
+	});
+});
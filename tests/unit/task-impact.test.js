@@ -0,0 +1,172 @@
+/**
+ * Impact analysis tests
+ */
+
+import {
+	analyzeImpact,
+	getTaskImpact
+} from '../../scripts/modules/task-impact.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const impactTasks = [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'Core',
+		status: 'in-progress',
+		dependencies: [1],
+		subtasks: [
+			{ id: 1, title: 'Parser', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Runner', status: 'pending', dependencies: [1] }
+		]
+	},
+	{
+		id: 3,
+		title: 'UI',
+		status: 'pending',
+		dependencies: [2],
+		subtasks: [
+			{ id: 1, title: 'Views', status: 'pending', dependencies: ['2.2'] }
+		]
+	},
+	{ id: 4, title: 'Docs', status: 'pending', dependencies: [3] },
+	{ id: 5, title: 'Release', status: 'pending', dependencies: [2, 4] },
+	{ id: 6, title: 'Old idea', status: 'cancelled', dependencies: [2] }
+];
+
+const ids = (items) => items.map((item) => item.id);
+
+describe('Task Impact Module', () => {
+	describe('analyzeImpact function', () => {
+		test('should find transitive dependents, direct ones first', () => {
+			const impact = analyzeImpact(impactTasks, ['3'], { status: 'done' });
+
+			expect(impact.action).toBe('status');
+			expect(impact.targets).toEqual([
+				{ id: '3', title: 'UI', status: 'pending' }
+			]);
+			expect(impact.dependents).toEqual([
+				{ id: '4', title: 'Docs', status: 'pending', direct: true },
+				{ id: '5', title: 'Release', status: 'pending', direct: false }
+			]);
+			expect(ids(impact.unblocked)).toEqual(['4']);
+			expect(impact.permanentlyBlocked).toEqual([]);
+		});
+
+		test('should include the subtasks of removed tasks', () => {
+			const impact = analyzeImpact(impactTasks, ['2']);
+
+			expect(impact.action).toBe('remove');
+			// 3.1 waits for 2.2, which goes away with task 2
+			expect(ids(impact.dependents)).toEqual(['3', '5', '6', '3.1', '4']);
+			expect(impact.referencingSubtasks).toEqual([
+				{ id: '3.1', title: 'Views', references: ['2.2'] }
+			]);
+			// Task 5 still waits for task 4
+			expect(ids(impact.unblocked)).toEqual(['3', '3.1']);
+		});
+
+		test('should follow dependencies between subtasks', () => {
+			const impact = analyzeImpact(impactTasks, ['2.1'], { status: 'pending' });
+
+			// A parent task doesn't wait for its subtasks
+			expect(ids(impact.dependents)).toEqual(['2.2', '3.1']);
+			expect(impact.unblocked).toEqual([]);
+		});
+
+		test('should follow nested subtasks', () => {
+			const tasks = [
+				{
+					id: 1,
+					title: 'API',
+					status: 'pending',
+					dependencies: [],
+					subtasks: [
+						{
+							id: 1,
+							title: 'Routes',
+							status: 'pending',
+							dependencies: [],
+							subtasks: [
+								{ id: 1, title: 'Users', status: 'pending', dependencies: [] },
+								{ id: 2, title: 'Orders', status: 'pending', dependencies: [1] }
+							]
+						}
+					]
+				},
+				{
+					id: 2,
+					title: 'Client',
+					status: 'pending',
+					dependencies: [],
+					subtasks: [
+						{
+							id: 1,
+							title: 'Calls',
+							status: 'pending',
+							dependencies: ['1.1.2']
+						}
+					]
+				}
+			];
+
+			const done = analyzeImpact(tasks, ['1.1.1'], { status: 'done' });
+			expect(done.targets).toEqual([
+				{ id: '1.1.1', title: 'Users', status: 'pending' }
+			]);
+			expect(ids(done.dependents)).toEqual(['1.1.2', '2.1']);
+			expect(ids(done.unblocked)).toEqual(['1.1.2']);
+
+			// Removing task 1 removes 1.1.2 with it
+			const removed = analyzeImpact(tasks, ['1']);
+			expect(ids(removed.dependents)).toEqual(['2.1']);
+			expect(removed.referencingSubtasks).toEqual([
+				{ id: '2.1', title: 'Calls', references: ['1.1.2'] }
+			]);
+		});
+
+		test('should report open dependents of cancelled tasks', () => {
+			const impact = analyzeImpact(impactTasks, ['2'], { status: 'cancelled' });
+
+			// Task 6 is already cancelled and subtasks stay with their parent
+			expect(ids(impact.permanentlyBlocked)).toEqual(['3', '5', '4']);
+			expect(impact.unblocked).toEqual([]);
+			expect(impact.referencingSubtasks).toEqual([]);
+		});
+	});
+
+	describe('getTaskImpact function', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-impact'));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should analyze comma-separated IDs from the tasks file', () => {
+			const impact = getTaskImpact(tasksPath, '1, 2');
+
+			expect(ids(impact.targets)).toEqual(['1', '2']);
+			expect(ids(impact.dependents)).toEqual(['3']);
+		});
+
+		test('should reject unknown tasks and statuses', () => {
+			expect(() => getTaskImpact(tasksPath, '2,9')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => getTaskImpact(tasksPath, '')).toThrow(
+				expect.objectContaining({ code: 'MISSING_ARGUMENT' })
+			);
+			expect(() =>
+				getTaskImpact(tasksPath, '2', { status: 'someday' })
+			).toThrow(expect.objectContaining({ code: 'INVALID_STATUS' }));
+		});
+	});
+});
@@ -0,0 +1,278 @@
+/**
+ * Task import tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	resolveImportFormat,
+	parseFieldMapping,
+	parseCsv,
+	importTasks
+} from '../../scripts/modules/task-import.js';
+import { exportTasks } from '../../scripts/modules/task-export.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task Import Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	const writeSource = (name, content) => {
+		const sourcePath = path.join(tempDir, name);
+		fs.writeFileSync(sourcePath, content);
+		return sourcePath;
+	};
+
+	beforeEach(() => {
+		({ tempDir } = createTempProject('task-import', null));
+		tasksPath = path.join(tempDir, 'tasks', 'tasks.json');
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('helpers', () => {
+		test('should pick the format from the file extension', () => {
+			expect(resolveImportFormat('backlog.csv')).toBe('csv');
+			expect(resolveImportFormat('TODO.md')).toBe('markdown');
+			expect(resolveImportFormat('issues.json')).toBe('github');
+			expect(resolveImportFormat('issues.txt', 'github')).toBe('github');
+			expect(() => resolveImportFormat('backlog.xlsx')).toThrow(
+				expect.objectContaining({ code: 'INVALID_IMPORT_FORMAT' })
+			);
+		});
+
+		test('should parse field mappings', () => {
+			expect(parseFieldMapping('title=Summary, details = Notes')).toEqual({
+				title: 'Summary',
+				details: 'Notes'
+			});
+			expect(() => parseFieldMapping('owner=Assignee')).toThrow(
+				expect.objectContaining({ code: 'INVALID_FIELD_MAPPING' })
+			);
+		});
+
+		test('should parse quoted CSV fields', () => {
+			expect(parseCsv('a,b\r\n"x, ""y""","multi\nline"\n\n')).toEqual([
+				['a', 'b'],
+				['x, "y"', 'multi\nline']
+			]);
+		});
+	});
+
+	describe('importTasks function', () => {
+		test('should import CSV rows and remap their IDs and dependencies', () => {
+			fs.mkdirSync(path.dirname(tasksPath));
+			fs.writeFileSync(tasksPath, JSON.stringify(sampleTasks, null, 2));
+			const sourcePath = writeSource(
+				'backlog.csv',
+				[
+					'Key,Summary,State,Priority,Depends On,Parent',
+					'A-1,Set up repo,Done,P1,,',
+					'A-2,"Build API, v1",In Progress,high,A-1,',
+					'A-3,Endpoint tests,todo,,A-2 A-4,A-2',
+					'A-4,Write docs,To Do,whatever,A-2 X-9,'
+				].join('\n')
+			);
+
+			const result = importTasks(tasksPath, sourcePath);
+
+			expect(result.idMap).toEqual({
+				'A-1': '4',
+				'A-2': '5',
+				'A-3': '5.1',
+				'A-4': '6'
+			});
+			expect(result.warnings).toEqual([
+				'Item A-4 has an unknown priority "whatever", using medium',
+				"Dropped dependency of item A-4 on X-9: it isn't part of the import"
+			]);
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks.map((task) => task.id)).toEqual([1, 2, 3, 4, 5, 6]);
+			expect(tasks[3]).toEqual(
+				expect.objectContaining({
+					title: 'Set up repo',
+					status: 'done',
+					priority: 'high'
+				})
+			);
+			expect(tasks[4].dependencies).toEqual([4]);
+			// The dependency on the parent is implied
+			expect(tasks[4].subtasks).toEqual([
+				expect.objectContaining({
+					id: 1,
+					title: 'Endpoint tests',
+					status: 'pending',
+					dependencies: [6]
+				})
+			]);
+			expect(tasks[5]).toEqual(
+				expect.objectContaining({
+					status: 'pending',
+					priority: 'medium',
+					dependencies: [5]
+				})
+			);
+		});
+
+		test('should map CSV columns with other names', () => {
+			const sourcePath = writeSource(
+				'backlog.csv',
+				'Ticket,Headline,Notes\nT1,First,Some notes\n'
+			);
+
+			expect(() => importTasks(tasksPath, sourcePath)).toThrow(
+				expect.objectContaining({ code: 'INVALID_IMPORT_SOURCE' })
+			);
+
+			const result = importTasks(tasksPath, sourcePath, {
+				mapping: 'id=Ticket,title=Headline'
+			});
+			expect(result.tasks).toEqual([
+				expect.objectContaining({
+					id: 1,
+					title: 'First',
+					details: 'Some notes'
+				})
+			]);
+			expect(result.idMap).toEqual({ T1: '1' });
+		});
+
+		test('should read back its own CSV exports', () => {
+			const exportDir = path.join(tempDir, 'export');
+			fs.mkdirSync(exportDir);
+			const exportedPath = path.join(exportDir, 'tasks.json');
+			fs.writeFileSync(exportedPath, JSON.stringify(sampleTasks, null, 2));
+			const { content } = exportTasks(exportedPath, { format: 'csv' });
+
+			const result = importTasks(tasksPath, writeSource('tasks.csv', content));
+
+			expect(result.warnings).toEqual([]);
+			expect(
+				result.tasks.map(({ id, dependencies }) => [id, dependencies])
+			).toEqual([
+				[1, []],
+				[2, [1]],
+				[3, [2]]
+			]);
+			expect(result.tasks[1].subtasks[1]).toEqual(
+				expect.objectContaining({
+					title: 'Set Up Database',
+					dependencies: [1]
+				})
+			);
+		});
+
+		test('should import Markdown checklists with nested subtasks', () => {
+			const sourcePath = writeSource(
+				'TODO.md',
+				[
+					'# Backlog',
+					'',
+					'- [ ] Design schema',
+					'  Use Postgres',
+					'  - [x] Draft ERD',
+					'  - [ ] Review ERD',
+					'- [x] Pick framework',
+					'',
+					'Some text that is not a task',
+					'* [ ] Deploy'
+				].join('\n')
+			);
+
+			const { tasks } = importTasks(tasksPath, sourcePath);
+
+			expect(tasks).toEqual([
+				expect.objectContaining({
+					id: 1,
+					title: 'Design schema',
+					details: 'Use Postgres',
+					subtasks: [
+						expect.objectContaining({
+							id: 1,
+							title: 'Draft ERD',
+							status: 'done'
+						}),
+						expect.objectContaining({ id: 2, title: 'Review ERD' })
+					]
+				}),
+				expect.objectContaining({
+					id: 2,
+					title: 'Pick framework',
+					status: 'done'
+				}),
+				expect.objectContaining({ id: 3, title: 'Deploy', status: 'pending' })
+			]);
+		});
+
+		test('should import GitHub issues with their dependencies', () => {
+			const sourcePath = writeSource(
+				'issues.json',
+				JSON.stringify([
+					{
+						number: 12,
+						title: 'Login page',
+						body: 'Create the login page.\n\nDepends on #10 and #11',
+						state: 'OPEN',
+						labels: [{ name: 'priority: high' }]
+					},
+					{ number: 10, title: 'Auth API', body: null, state: 'CLOSED' },
+					{
+						number: 11,
+						title: 'Old idea',
+						state: 'closed',
+						state_reason: 'not_planned',
+						labels: ['p3']
+					},
+					{ number: 13, title: 'A pull request', pull_request: {} }
+				])
+			);
+
+			const result = importTasks(tasksPath, sourcePath);
+
+			expect(result.idMap).toEqual({ 12: '1', 10: '2', 11: '3' });
+			expect(result.tasks).toEqual([
+				expect.objectContaining({
+					title: 'Login page',
+					description: 'Create the login page.',
+					priority: 'high',
+					dependencies: [2, 3]
+				}),
+				expect.objectContaining({ title: 'Auth API', status: 'done' }),
+				expect.objectContaining({
+					title: 'Old idea',
+					status: 'cancelled',
+					priority: 'low'
+				})
+			]);
+		});
+
+		test('should not write anything in a dry run', () => {
+			const sourcePath = writeSource('TODO.md', '- [ ] Only task\n');
+
+			const result = importTasks(tasksPath, sourcePath, { dryRun: true });
+
+			expect(result.tasks).toHaveLength(1);
+			expect(fs.existsSync(tasksPath)).toBe(false);
+		});
+
+		test('should reject missing sources and mappings for Markdown', () => {
+			expect(() =>
+				importTasks(tasksPath, path.join(tempDir, 'missing.csv'))
+			).toThrow(expect.objectContaining({ code: 'IMPORT_SOURCE_NOT_FOUND' }));
+			expect(() =>
+				importTasks(tasksPath, writeSource('TODO.md', '- [ ] Task'), {
+					mapping: 'title=Name'
+				})
+			).toThrow(expect.objectContaining({ code: 'INVALID_FIELD_MAPPING' }));
+		});
+	});
+});
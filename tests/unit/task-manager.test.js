@@ -479,6 +479,139 @@ describe('Task Manager Module', () => {
 
 			expect(nextTask).toBeNull();
 		});
+
+		test('should check dependencies on subtasks of other tasks', () => {
+			const tasks = [
+				{
+					id: 1,
+					title: 'Backend',
+					status: 'in-progress',
+					dependencies: [],
+					priority: 'medium',
+					subtasks: [
+						{ id: 1, title: 'Schema', status: 'done', dependencies: [] },
+						{ id: 2, title: 'API', status: 'pending', dependencies: [1] }
+					]
+				},
+				{
+					id: 2,
+					title: 'Frontend',
+					status: 'pending',
+					dependencies: [],
+					priority: 'high',
+					subtasks: [
+						{
+							id: 1,
+							title: 'Client',
+							status: 'pending',
+							dependencies: ['1.2']
+						},
+						{ id: 2, title: 'Views', status: 'pending', dependencies: [1] }
+					]
+				},
+				{
+					id: 3,
+					title: 'Docs',
+					status: 'pending',
+					dependencies: ['1.1'],
+					priority: 'low'
+				}
+			];
+
+			// Every subtask of task 2 waits for 1.2
+			expect(findNextTask(tasks).id).toBe(1);
+
+			tasks[0].subtasks[1].status = 'done';
+			expect(findNextTask(tasks).id).toBe(2);
+
+			tasks[0].status = 'done';
+			tasks[1].status = 'done';
+			// Task 3 waits for subtask 1.1, which is done
+			expect(findNextTask(tasks).id).toBe(3);
+		});
+	});
+
+	describe('findNextSubtask function', () => {
+		const task = {
+			id: 2,
+			title: 'Frontend',
+			status: 'in-progress',
+			dependencies: [],
+			subtasks: [
+				{ id: 1, title: 'Client', status: 'done', dependencies: [] },
+				{ id: 2, title: 'Views', status: 'pending', dependencies: [1, '1.2'] },
+				{ id: 3, title: 'Styles', status: 'pending', dependencies: [1] },
+				{
+					id: 4,
+					title: 'Forms',
+					status: 'pending',
+					dependencies: [],
+					labels: ['forms']
+				}
+			]
+		};
+		const tasks = [
+			{
+				id: 1,
+				title: 'Backend',
+				status: 'in-progress',
+				dependencies: [],
+				subtasks: [
+					{ id: 1, title: 'Schema', status: 'done', dependencies: [] },
+					{ id: 2, title: 'API', status: 'pending', dependencies: [1] }
+				]
+			},
+			task
+		];
+
+		test('should return the first subtask whose dependencies are done', () => {
+			const nextSubtask = taskManager.findNextSubtask(task, tasks);
+
+			// 2.2 still waits for 1.2
+			expect(nextSubtask.id).toBe(3);
+			expect(nextSubtask.isSubtask).toBe(true);
+			expect(nextSubtask.parentTask).toEqual({
+				id: 2,
+				title: 'Frontend',
+				status: 'in-progress'
+			});
+		});
+
+		test('should prefer a subtask that is already in progress', () => {
+			const busyTask = {
+				...task,
+				subtasks: task.subtasks.map((subtask) =>
+					subtask.id === 4 ? { ...subtask, status: 'in-progress' } : subtask
+				)
+			};
+
+			expect(taskManager.findNextSubtask(busyTask, tasks).id).toBe(4);
+		});
+
+		test('should apply the label filters to the subtasks', () => {
+			expect(
+				taskManager.findNextSubtask(task, tasks, [], { labels: ['forms'] }).id
+			).toBe(4);
+			expect(
+				taskManager.findNextSubtask(task, tasks, [], { labels: ['other'] })
+			).toBeNull();
+		});
+
+		test('should return null without open subtasks', () => {
+			expect(taskManager.findNextSubtask(tasks[0], tasks).id).toBe(2);
+			expect(
+				taskManager.findNextSubtask({ ...tasks[0], subtasks: [] }, tasks)
+			).toBeNull();
+			expect(
+				taskManager.findNextSubtask(
+					{
+						...tasks[0],
+						subtasks: [{ id: 1, status: 'done', dependencies: [] }]
+					},
+					tasks
+				)
+			).toBeNull();
+		});
 	});
 
 	describe('analyzeTaskComplexity function', () => {
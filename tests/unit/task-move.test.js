@@ -0,0 +1,245 @@
+/**
+ * Moving and renumbering tasks tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	parseMoveId,
+	moveTask,
+	renumberTasks
+} from '../../scripts/modules/task-move.js';
+import { validateTaskDependencies } from '../../scripts/modules/dependency-manager.js';
+import {
+	formatTaskFile,
+	parseTaskFile
+} from '../../scripts/modules/task-files.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const createMoveTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1],
+		epic: 'backend',
+		subtasks: [
+			{
+				id: 1,
+				title: 'Routes',
+				status: 'pending',
+				dependencies: [],
+				parentTaskId: 2
+			},
+			{
+				id: 2,
+				title: 'Auth',
+				status: 'pending',
+				dependencies: [1],
+				parentTaskId: 2,
+				subtasks: [
+					{ id: 1, title: 'Tokens', status: 'pending', dependencies: [] }
+				]
+			}
+		]
+	},
+	{
+		id: 4,
+		title: 'Docs',
+		status: 'pending',
+		dependencies: [2, '2.2'],
+		epic: 'docs'
+	},
+	{ id: 5, title: 'Release', status: 'pending', dependencies: [4] },
+	{ id: 7, title: 'Cleanup', status: 'pending', dependencies: [] }
+];
+
+describe('Task Move Module', () => {
+	test('should validate task IDs', () => {
+		expect(parseMoveId(' 5.02 ')).toBe('5.2');
+		expect(() => parseMoveId('5.x')).toThrow(
+			expect.objectContaining({ code: 'INVALID_TASK_ID' })
+		);
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject(
+				'task-move',
+				createMoveTasks()
+			));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should promote a subtask and rewrite the dependencies on it', () => {
+			fs.writeFileSync(path.join(tempDir, 'task_002.txt'), 'Task 2');
+
+			const result = moveTask(tasksPath, '2.2', '9');
+
+			expect(result).toEqual({
+				id: '9',
+				title: 'Auth',
+				mapping: [
+					{ from: '2.2', to: '9' },
+					{ from: '2.2.1', to: '9.1' }
+				]
+			});
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks.map((task) => task.id)).toEqual([1, 2, 4, 5, 7, 9]);
+			// Its sibling dependency becomes a full ID, and it stays in the epic
+			expect(tasks[5]).toMatchObject({
+				dependencies: ['2.1'],
+				epic: 'backend',
+				priority: 'high'
+			});
+			expect(tasks[5].parentTaskId).toBeUndefined();
+			expect(tasks[5].subtasks[0].id).toBe(1);
+			expect(tasks[2].dependencies).toEqual([2, 9]);
+			// Task 2 still exists, so its file stays
+			expect(fs.existsSync(path.join(tempDir, 'task_002.txt'))).toBe(true);
+		});
+
+		test('should move a task under another one', () => {
+			fs.writeFileSync(path.join(tempDir, 'task_007.txt'), 'Task 7');
+
+			const result = moveTask(tasksPath, 7, '2.1');
+
+			// The subtasks from 2.1 on shift up to make room
+			expect(result.mapping).toEqual([
+				{ from: '2.1', to: '2.2' },
+				{ from: '2.2', to: '2.3' },
+				{ from: '2.2.1', to: '2.3.1' },
+				{ from: '7', to: '2.1' }
+			]);
+
+			const { tasks } = readTasks(tasksPath);
+			const api = tasks[1];
+			expect(api.subtasks.map((st) => [st.id, st.title])).toEqual([
+				[1, 'Cleanup'],
+				[2, 'Routes'],
+				[3, 'Auth']
+			]);
+			expect(api.subtasks[0].parentTaskId).toBe(2);
+			// Sibling dependencies follow the shifted subtasks
+			expect(api.subtasks[2].dependencies).toEqual([2]);
+			expect(tasks[2].dependencies).toEqual([2, '2.3']);
+			expect(fs.existsSync(path.join(tempDir, 'task_007.txt'))).toBe(false);
+		});
+
+		test('should write task dependencies of subtasks as strings', () => {
+			fs.writeFileSync(
+				tasksPath,
+				JSON.stringify({
+					tasks: [
+						{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+						{ id: 2, title: 'API', status: 'pending', dependencies: [1] },
+						{ id: 3, title: 'UI', status: 'pending', dependencies: [1] }
+					]
+				})
+			);
+
+			moveTask(tasksPath, '2', '3.1');
+
+			const { tasks } = readTasks(tasksPath);
+			// A number would point at subtask 3.1 itself
+			expect(tasks[1].subtasks[0].dependencies).toEqual(['1']);
+			expect(validateTaskDependencies(tasks).valid).toBe(true);
+			expect(
+				parseTaskFile(formatTaskFile(tasks[1], tasks)).subtasks[0].dependencies
+			).toEqual(['1']);
+
+			// Part of the task it waited for now
+			moveTask(tasksPath, '3', '1.1');
+			expect(readTasks(tasksPath).tasks[0].subtasks[0].dependencies).toEqual(
+				[]
+			);
+		});
+
+		test('should shift the tasks at the new ID', () => {
+			const { mapping } = moveTask(tasksPath, '5', '2');
+
+			expect(mapping.map(({ from, to }) => `${from}>${to}`)).toEqual([
+				'2>3',
+				'2.1>3.1',
+				'2.2>3.2',
+				'2.2.1>3.2.1',
+				'5>2'
+			]);
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks.map((task) => [task.id, task.title])).toEqual([
+				[1, 'Setup'],
+				[2, 'Release'],
+				[3, 'API'],
+				[4, 'Docs'],
+				[7, 'Cleanup']
+			]);
+			expect(tasks[3].dependencies).toEqual([3, '3.2']);
+			expect(tasks[2].subtasks[0].parentTaskId).toBe(3);
+		});
+
+		test('should refuse moves that make no sense', () => {
+			expect(() => moveTask(tasksPath, '2', '2.2.3')).toThrow(
+				expect.objectContaining({ code: 'INVALID_MOVE' })
+			);
+			expect(() => moveTask(tasksPath, '6', '8')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => moveTask(tasksPath, '5', '6.1')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			// Task 2 would wait for its new subtask 2.3, which waits for task 4,
+			// which waits for task 2
+			expect(() => moveTask(tasksPath, '5', '2.3')).toThrow(
+				expect.objectContaining({ code: 'CIRCULAR_DEPENDENCY' })
+			);
+			expect(moveTask(tasksPath, '4', '4').mapping).toEqual([]);
+			expect(readTasks(tasksPath).tasks).toEqual(createMoveTasks());
+		});
+
+		test('should renumber tasks around archived IDs', () => {
+			fs.writeFileSync(
+				path.join(tempDir, 'archive.json'),
+				JSON.stringify({ tasks: [{ id: 3, title: 'Old', status: 'done' }] })
+			);
+			moveTask(tasksPath, '2.1', '2.5');
+			moveTask(tasksPath, '5', '8');
+			moveTask(tasksPath, '4', '6');
+
+			const { mapping } = renumberTasks(tasksPath);
+
+			expect(mapping).toEqual([
+				{ from: '2.2', to: '2.1' },
+				{ from: '2.2.1', to: '2.1.1' },
+				{ from: '2.5', to: '2.2' },
+				{ from: '6', to: '4' },
+				{ from: '7', to: '5' },
+				{ from: '8', to: '6' }
+			]);
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks.map((task) => task.id)).toEqual([1, 2, 4, 5, 6]);
+			expect(
+				tasks[1].subtasks.map((st) => [st.title, st.dependencies])
+			).toEqual([
+				['Auth', [2]],
+				['Routes', []]
+			]);
+			expect(tasks[2].dependencies).toEqual([2, '2.1']);
+			expect(tasks[4].dependencies).toEqual([4]);
+			expect(renumberTasks(tasksPath).mapping).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,205 @@
+/**
+ * Task notes tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	parseNoteKind,
+	addNote,
+	restoreNotes,
+	listNotes,
+	getTaskLog,
+	addTaskNote
+} from '../../scripts/modules/task-notes.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const createNoteTasks = () => [
+	{
+		id: 1,
+		title: 'API',
+		status: 'in-progress',
+		dependencies: [],
+		notes: [
+			{
+				timestamp: '2025-04-02T09:00:00.000Z',
+				kind: 'decision',
+				author: 'alice',
+				body: 'Use REST'
+			}
+		],
+		subtasks: [
+			{
+				id: 1,
+				title: 'Routes',
+				status: 'pending',
+				dependencies: [],
+				notes: [
+					{
+						timestamp: '2025-04-01T10:00:00.000Z',
+						kind: 'progress',
+						source: 'update-subtask',
+						body: 'Tried A'
+					},
+					{
+						timestamp: '2025-04-03T08:00:00.000Z',
+						kind: 'blocker',
+						source: 'log',
+						body: 'Waiting for keys'
+					}
+				]
+			}
+		]
+	},
+	{ id: 2, title: 'UI', status: 'pending', dependencies: [1] }
+];
+
+describe('Task Notes Module', () => {
+	test('should validate note kinds', () => {
+		expect(parseNoteKind(' Decision ')).toBe('decision');
+		expect(parseNoteKind(undefined)).toBe('progress');
+		expect(parseNoteKind('', 'research')).toBe('research');
+		expect(() => parseNoteKind('idea')).toThrow(
+			expect.objectContaining({ code: 'INVALID_NOTE_KIND' })
+		);
+	});
+
+	test('should append notes with their timestamp and author', () => {
+		const subtask = { id: 1, title: 'Routes' };
+		const now = new Date('2025-04-05T12:00:00.000Z');
+
+		const note = addNote(subtask, ' Found a bug ', {
+			kind: 'blocker',
+			author: ' bob ',
+			source: 'update-subtask',
+			now
+		});
+		addNote(subtask, 'Fixed it', { now });
+
+		expect(note).toEqual({
+			timestamp: '2025-04-05T12:00:00.000Z',
+			kind: 'blocker',
+			author: 'bob',
+			source: 'update-subtask',
+			body: 'Found a bug'
+		});
+		expect(subtask.notes.map((entry) => entry.kind)).toEqual([
+			'blocker',
+			'progress'
+		]);
+		expect(() => addNote(subtask, '  ')).toThrow(
+			expect.objectContaining({ code: 'MISSING_ARGUMENT' })
+		);
+		expect(() => addNote(subtask, 'Hi', { author: 'a\nb' })).toThrow(
+			expect.objectContaining({ code: 'INVALID_AUTHOR' })
+		);
+	});
+
+	test('should keep the stored notes when a task is rewritten', () => {
+		const [task] = createNoteTasks();
+		const rewritten = {
+			id: 1,
+			title: 'API v2',
+			notes: [{ timestamp: 'now', kind: 'progress', body: 'Made up' }],
+			subtasks: [
+				{ id: 1, title: 'Routes' },
+				{ id: 2, title: 'New', notes: [] }
+			]
+		};
+
+		restoreNotes(rewritten, task);
+
+		expect(rewritten.notes).toEqual(task.notes);
+		expect(rewritten.subtasks[0].notes).toEqual(task.subtasks[0].notes);
+		expect(rewritten.subtasks[1]).not.toHaveProperty('notes');
+	});
+
+	test('should list the notes of a task and its subtasks, oldest first', () => {
+		const [task] = createNoteTasks();
+
+		expect(listNotes(task, '1').map((note) => [note.id, note.body])).toEqual([
+			['1.1', 'Tried A'],
+			['1', 'Use REST'],
+			['1.1', 'Waiting for keys']
+		]);
+		expect(listNotes(task, '1', { kind: 'blocker' })).toHaveLength(1);
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-notes', {
+				meta: { schemaVersion: 2 },
+				tasks: createNoteTasks()
+			}));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should add a note to a subtask', () => {
+			const result = addTaskNote(tasksPath, '1.1', 'Keys arrived', {
+				kind: 'progress',
+				author: 'carol'
+			});
+
+			expect(result).toMatchObject({
+				id: '1.1',
+				title: 'Routes',
+				note: { kind: 'progress', author: 'carol', source: 'log' }
+			});
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks[0].subtasks[0].notes[2].body).toBe('Keys arrived');
+			expect(tasks[0].notes).toHaveLength(1);
+		});
+
+		test('should get the log of a task, archived ones included', () => {
+			fs.writeFileSync(
+				path.join(tempDir, 'archive.json'),
+				JSON.stringify({
+					meta: { schemaVersion: 2 },
+					tasks: [
+						{
+							id: 3,
+							title: 'Old',
+							status: 'done',
+							dependencies: [],
+							notes: [
+								{
+									timestamp: '2025-01-01T00:00:00.000Z',
+									kind: 'research',
+									body: 'Compared libs'
+								}
+							]
+						}
+					]
+				})
+			);
+
+			expect(getTaskLog(tasksPath, '2')).toEqual({
+				id: '2',
+				title: 'UI',
+				notes: []
+			});
+			expect(getTaskLog(tasksPath, 3).notes[0]).toMatchObject({
+				id: '3',
+				body: 'Compared libs'
+			});
+			expect(() => getTaskLog(tasksPath, '9')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			// Archived tasks are read-only
+			expect(() => addTaskNote(tasksPath, '3', 'More')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+		});
+	});
+});
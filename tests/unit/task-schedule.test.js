@@ -0,0 +1,279 @@
+/**
+ * Due date, estimate and forecast tests
+ */
+
+import {
+	parseDueDate,
+	parseEstimate,
+	setTaskSchedule,
+	isOverdue,
+	findOverdueItems,
+	getScheduleSettings,
+	forecastSchedule,
+	forecastTasks
+} from '../../scripts/modules/task-schedule.js';
+import { addSubtask, listTasks } from '../../scripts/modules/task-manager.js';
+import { sortTasksByDependencies } from '../../scripts/modules/dependency-manager.js';
+import { getWorkflow } from '../../scripts/modules/task-workflow.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import { validateTasksSchema } from '../../scripts/modules/task-schema.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+// 2025-01-03 is a Friday
+const START = '2025-01-03';
+
+const planTasks = () => [
+	{
+		id: 1,
+		title: 'Schema',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [],
+		estimate: 6
+	},
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1],
+		estimate: 9,
+		dueDate: '2025-01-06'
+	},
+	{
+		id: 3,
+		title: 'Docs',
+		status: 'pending',
+		priority: 'low',
+		dependencies: [],
+		subtasks: [
+			{ id: 1, title: 'Guide', status: 'pending', estimate: 2 },
+			{
+				id: 2,
+				title: 'Reference',
+				status: 'pending',
+				estimate: 1,
+				dueDate: '2025-01-03'
+			},
+			{ id: 3, title: 'Old notes', status: 'done', estimate: 5 }
+		]
+	},
+	{ id: 4, title: 'Spike', status: 'pending', dependencies: [] },
+	{ id: 5, title: 'Setup', status: 'done', dependencies: [], estimate: 4 }
+];
+
+describe('Task Schedule Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-schedule'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('values', () => {
+		test('should parse due dates and estimates', () => {
+			expect(parseDueDate('2025-06-01')).toBe('2025-06-01');
+			expect(parseDueDate('none')).toBeNull();
+			expect(parseDueDate(undefined)).toBeUndefined();
+			expect(() => parseDueDate('June 1st')).toThrow();
+
+			expect(parseEstimate('4')).toBe(4);
+			expect(parseEstimate('2.5h')).toBe(2.5);
+			expect(parseEstimate(3)).toBe(3);
+			expect(parseEstimate('')).toBeNull();
+			['-1', 'h', 'soon'].forEach((value) => {
+				expect(() => parseEstimate(value)).toThrow(
+					expect.objectContaining({ code: 'INVALID_ESTIMATE' })
+				);
+			});
+		});
+
+		test('should set and clear the schedule of tasks and subtasks', () => {
+			const results = setTaskSchedule(tasksPath, '3,2.2', {
+				dueDate: '2025-06-01',
+				estimate: '5h'
+			});
+			expect(results).toEqual([
+				{ id: '3', changed: true, dueDate: '2025-06-01', estimate: 5 },
+				{ id: '2.2', changed: true, dueDate: '2025-06-01', estimate: 5 }
+			]);
+
+			const data = readTasks(tasksPath);
+			expect(data.tasks[1].subtasks[1].estimate).toBe(5);
+			expect(validateTasksSchema(data).valid).toBe(true);
+
+			expect(
+				setTaskSchedule(tasksPath, ['3'], { estimate: 5 })[0].changed
+			).toBe(false);
+			setTaskSchedule(tasksPath, '3', { dueDate: 'none' });
+			expect(readTasks(tasksPath).tasks[2]).not.toHaveProperty('dueDate');
+			expect(readTasks(tasksPath).tasks[2].estimate).toBe(5);
+		});
+
+		test('should leave the file alone when a task is unknown', () => {
+			expect(() => setTaskSchedule(tasksPath, '3,9', { estimate: 2 })).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(readTasks(tasksPath).tasks[2]).not.toHaveProperty('estimate');
+
+			expect(() => setTaskSchedule(tasksPath, '3', {})).toThrow(
+				expect.objectContaining({ code: 'MISSING_ARGUMENT' })
+			);
+		});
+
+		test('should set the schedule of new subtasks', async () => {
+			await addSubtask(
+				tasksPath,
+				3,
+				null,
+				{ title: 'Write tests', dueDate: '2025-06-01', estimate: '3h' },
+				false
+			);
+
+			const subtask = readTasks(tasksPath).tasks[2].subtasks[2];
+			expect(subtask).toEqual(
+				expect.objectContaining({ dueDate: '2025-06-01', estimate: 3 })
+			);
+		});
+	});
+
+	describe('overdue items', () => {
+		test('should find unfinished items past their due date', () => {
+			const workflow = getWorkflow();
+			const tasks = planTasks();
+
+			expect(isOverdue(tasks[1], workflow, '2025-01-06')).toBe(false);
+			expect(isOverdue(tasks[1], workflow, '2025-01-07')).toBe(true);
+			expect(
+				isOverdue({ ...tasks[1], status: 'done' }, workflow, '2025-01-07')
+			).toBe(false);
+			expect(
+				isOverdue({ ...tasks[1], status: 'cancelled' }, workflow, '2025-01-07')
+			).toBe(false);
+
+			expect(findOverdueItems(tasks, workflow, '2025-01-07')).toEqual([
+				{ id: '2', title: 'API', dueDate: '2025-01-06' },
+				{ id: '3.2', title: 'Reference', dueDate: '2025-01-03' }
+			]);
+		});
+
+		test('should report overdue items in the list stats', () => {
+			setTaskSchedule(tasksPath, '3.1', { dueDate: '2020-01-01' });
+			setTaskSchedule(tasksPath, '1', { dueDate: '2020-01-01' });
+
+			const { stats } = listTasks(tasksPath, null, false, 'json');
+			// Task 1 is done, so it isn't overdue
+			expect(stats.overdue).toEqual([
+				expect.objectContaining({ id: '3.1', dueDate: '2020-01-01' })
+			]);
+		});
+	});
+
+	describe('forecast', () => {
+		test('should order tasks by dependencies, then priority', () => {
+			const tasks = [
+				{ id: 1, priority: 'low', dependencies: [] },
+				{ id: 2, priority: 'medium', dependencies: [3] },
+				{ id: 3, priority: 'low', dependencies: [] },
+				{
+					id: 4,
+					priority: 'high',
+					dependencies: [],
+					subtasks: [{ id: 1, dependencies: ['2.1'] }]
+				}
+			];
+
+			expect(sortTasksByDependencies(tasks).map((task) => task.id)).toEqual([
+				1, 3, 2, 4
+			]);
+
+			tasks[2].dependencies = [2];
+			expect(() => sortTasksByDependencies(tasks)).toThrow(
+				expect.objectContaining({ code: 'CIRCULAR_DEPENDENCY' })
+			);
+		});
+
+		test('should schedule one person across work days', () => {
+			const forecast = forecastSchedule(planTasks(), {
+				settings: getScheduleSettings({}),
+				startDate: START
+			});
+
+			expect(
+				forecast.tasks.map(({ id, start, finish, estimate }) => [
+					id,
+					start,
+					finish,
+					estimate
+				])
+			).toEqual([
+				[1, '2025-01-03', '2025-01-03', 6],
+				// Monday and Tuesday, after the weekend
+				[2, '2025-01-06', '2025-01-07', 9],
+				[4, '2025-01-07', '2025-01-07', null],
+				// Only the estimates of the open subtasks count
+				[3, '2025-01-07', '2025-01-07', 3]
+			]);
+			expect(forecast.finish).toBe('2025-01-07');
+			expect(forecast.unestimated).toEqual([4]);
+			expect(forecast.late).toEqual([
+				{ id: '2', dueDate: '2025-01-06', finish: '2025-01-07', daysLate: 1 },
+				{
+					id: '3.2',
+					dueDate: '2025-01-03',
+					finish: '2025-01-07',
+					daysLate: 4
+				}
+			]);
+			expect(forecast.tasks.filter((task) => task.late)).toHaveLength(1);
+		});
+
+		test('should share the work between people', () => {
+			const forecast = forecastSchedule(planTasks(), {
+				settings: getScheduleSettings({}, { people: 2, hoursPerDay: 8 }),
+				startDate: START
+			});
+
+			const byId = Object.fromEntries(
+				forecast.tasks.map((task) => [task.id, task])
+			);
+			// Task 2 still waits for task 1
+			expect(byId[2]).toEqual(
+				expect.objectContaining({ start: '2025-01-03', finish: '2025-01-06' })
+			);
+			expect(byId[1].person).not.toBe(byId[2].person);
+			expect(forecast.finish).toBe('2025-01-06');
+			// With a second person task 2 makes its due date
+			expect(forecast.late.map((item) => item.id)).toEqual(['3.2']);
+		});
+
+		test('should validate and save the team capacity', () => {
+			expect(() => getScheduleSettings({}, { people: 0 })).toThrow(
+				expect.objectContaining({ code: 'INVALID_CAPACITY' })
+			);
+			expect(() =>
+				getScheduleSettings({ schedule: { workDays: [7] } })
+			).toThrow(expect.objectContaining({ code: 'INVALID_CAPACITY' }));
+
+			const forecast = forecastTasks(tasksPath, {
+				people: 3,
+				startDate: START,
+				save: true
+			});
+			expect(forecast.settings.people).toBe(3);
+			expect(readTasks(tasksPath).meta.schedule).toEqual({
+				people: 3,
+				hoursPerDay: 6
+			});
+			expect(validateTasksSchema(readTasks(tasksPath)).valid).toBe(true);
+			expect(forecastTasks(tasksPath).settings.people).toBe(3);
+		});
+	});
+});
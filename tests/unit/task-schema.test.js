@@ -0,0 +1,237 @@
+/**
+ * Task schema module tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	CURRENT_SCHEMA_VERSION,
+	validateTasksSchema,
+	validateTasksFile,
+	getPendingMigrations,
+	migrateTasksData
+} from '../../scripts/modules/task-schema.js';
+import { readJSON } from '../../scripts/modules/utils.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('Task Schema Module', () => {
+	describe('validateTasksSchema function', () => {
+		test('should accept the sample tasks', () => {
+			const result = validateTasksSchema(sampleTasks);
+
+			expect(result.valid).toBe(true);
+			expect(result.errors).toEqual([]);
+		});
+
+		test('should require a tasks array', () => {
+			const result = validateTasksSchema({ meta: {} });
+
+			expect(result.valid).toBe(false);
+			expect(result.errors).toContainEqual({
+				path: '$.tasks',
+				message: 'Required property is missing'
+			});
+		});
+
+		test('should report every violation with its JSON path', () => {
+			const data = clone(sampleTasks);
+			data.tasks[0].id = '1';
+			delete data.tasks[1].dependencies;
+			data.tasks[2].priority = 'urgent';
+			data.tasks[2].subtasks[1].status = 'almost-done';
+
+			const { errors } = validateTasksSchema(data);
+			const paths = errors.map((error) => error.path);
+
+			expect(paths).toEqual([
+				'$.tasks[0].id',
+				'$.tasks[1].dependencies',
+				'$.tasks[2].priority',
+				'$.tasks[2].subtasks[1].status'
+			]);
+			expect(errors[0].message).toBe('Expected integer, got string');
+		});
+
+		test('should accept numeric and dotted dependency references', () => {
+			const data = clone(sampleTasks);
+			data.tasks[2].dependencies = [1, '2.1'];
+
+			expect(validateTasksSchema(data).valid).toBe(true);
+
+			data.tasks[2].dependencies = ['two'];
+			expect(validateTasksSchema(data).errors[0].path).toBe(
+				'$.tasks[2].dependencies[0]'
+			);
+		});
+	});
+
+	describe('migrateTasksData function', () => {
+		test('should upgrade unversioned data to the current schema', () => {
+			const data = {
+				tasks: [
+					{
+						id: '1',
+						title: 'Task',
+						status: 'pending',
+						previousStatus: 'in-progress',
+						dependencies: ['2', '2.1'],
+						subtasks: [{ id: '1', title: 'Subtask', status: 'pending' }]
+					}
+				]
+			};
+
+			const { applied } = migrateTasksData(data);
+
+			expect(applied).toHaveLength(2);
+			expect(data.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+			expect(data.tasks[0].id).toBe(1);
+			expect(data.tasks[0].dependencies).toEqual([2, '2.1']);
+			expect(data.tasks[0]).not.toHaveProperty('previousStatus');
+			expect(data.tasks[0].subtasks[0].id).toBe(1);
+			expect(data.tasks[0].subtasks[0].dependencies).toEqual([]);
+		});
+
+		test('should move info blocks in details to notes', () => {
+			const data = {
+				meta: { schemaVersion: 1 },
+				tasks: [
+					{
+						id: 1,
+						title: 'Task',
+						status: 'pending',
+						dependencies: [],
+						details: 'Use REST',
+						subtasks: [
+							{
+								id: 1,
+								title: 'Subtask',
+								status: 'pending',
+								dependencies: [],
+								details:
+									'Plan\n\n<info added on 2025-04-01T10:00:00.000Z>\nTried A\n</info added on 2025-04-01T10:00:00.000Z>\n\n<info added on 2025-04-02T09:30:00.000Z>\nA works\n</info added on 2025-04-02T09:30:00.000Z>'
+							}
+						]
+					}
+				],
+				tags: {
+					later: {
+						tasks: [
+							{
+								id: 1,
+								title: 'Other',
+								status: 'pending',
+								dependencies: [],
+								details:
+									'<info added on 2025-04-03T08:00:00.000Z>\nNotes\n</info added on 2025-04-03T08:00:00.000Z>'
+							}
+						]
+					}
+				}
+			};
+
+			const { applied } = migrateTasksData(data);
+
+			expect(applied).toHaveLength(1);
+			expect(data.tasks[0].details).toBe('Use REST');
+			expect(data.tasks[0]).not.toHaveProperty('notes');
+			expect(data.tasks[0].subtasks[0].details).toBe('Plan');
+			expect(data.tasks[0].subtasks[0].notes).toEqual([
+				{
+					timestamp: '2025-04-01T10:00:00.000Z',
+					source: 'update-subtask',
+					kind: 'progress',
+					body: 'Tried A'
+				},
+				{
+					timestamp: '2025-04-02T09:30:00.000Z',
+					source: 'update-subtask',
+					kind: 'progress',
+					body: 'A works'
+				}
+			]);
+			expect(data.tags.later.tasks[0].details).toBe('');
+			expect(data.tags.later.tasks[0].notes[0].body).toBe('Notes');
+			expect(validateTasksSchema(data).valid).toBe(true);
+		});
+
+		test('should not touch data that is already current', () => {
+			const data = clone(sampleTasks);
+			data.meta.schemaVersion = CURRENT_SCHEMA_VERSION;
+			data.tasks[0].id = '1';
+
+			const { applied } = migrateTasksData(data);
+
+			expect(applied).toEqual([]);
+			expect(data.tasks[0].id).toBe('1');
+		});
+
+		test('should ignore data that is not a tasks file', () => {
+			const report = { complexityAnalysis: [] };
+
+			expect(migrateTasksData(report).applied).toEqual([]);
+			expect(report).toEqual({ complexityAnalysis: [] });
+		});
+	});
+
+	describe('loading and validating files', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-schema', null));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('readJSON should migrate tasks files on load', () => {
+			const data = clone(sampleTasks);
+			data.tasks[0].id = '1';
+			fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+			const loaded = readJSON(tasksPath);
+
+			expect(loaded.tasks[0].id).toBe(1);
+			expect(loaded.meta.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+		});
+
+		test('validateTasksFile should validate the file as stored on disk', () => {
+			const data = clone(sampleTasks);
+			data.tasks[0].id = '1';
+			fs.writeFileSync(tasksPath, JSON.stringify(data));
+
+			const result = validateTasksFile(tasksPath);
+
+			expect(result.valid).toBe(false);
+			expect(result.schemaVersion).toBe(0);
+			expect(result.errors[0].path).toBe('$.tasks[0].id');
+			expect(result.pendingMigrations).toEqual(
+				getPendingMigrations(data).map((migration) => migration.description)
+			);
+		});
+
+		test('validateTasksFile should report invalid JSON', () => {
+			fs.writeFileSync(tasksPath, '{ "tasks": [');
+
+			const result = validateTasksFile(tasksPath);
+
+			expect(result.valid).toBe(false);
+			expect(result.errors[0].path).toBe('$');
+			expect(result.errors[0].message).toMatch(/^Invalid JSON/);
+		});
+
+		test('validateTasksFile should throw for missing files', () => {
+			expect(() => validateTasksFile(tasksPath)).toThrow(
+				'Tasks file not found'
+			);
+		});
+	});
+});
@@ -0,0 +1,186 @@
+/**
+ * Next task scoring tests
+ */
+
+import {
+	DEFAULT_SCORING,
+	getScoringSettings,
+	setScoringSettings,
+	rankTasks
+} from '../../scripts/modules/task-scoring.js';
+import {
+	findNextTask,
+	rankNextTasks
+} from '../../scripts/modules/task-manager.js';
+import { getWorkflow } from '../../scripts/modules/task-workflow.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const workflow = getWorkflow();
+
+const scoringTasks = [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [1],
+		dueDate: '2025-06-10'
+	},
+	{
+		id: 3,
+		title: 'Logging',
+		status: 'pending',
+		priority: 'medium',
+		dependencies: [],
+		labels: ['urgent'],
+		statusHistory: [{ status: 'pending', at: '2025-05-01T00:00:00.000Z' }]
+	},
+	{
+		id: 4,
+		title: 'Client',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [1]
+	},
+	{ id: 5, title: 'Views', status: 'pending', dependencies: [2] },
+	{ id: 6, title: 'Docs', status: 'pending', dependencies: [5] }
+];
+
+const candidates = scoringTasks.filter((task) => [2, 3, 4].includes(task.id));
+
+const rank = (scoring = {}, options = {}) =>
+	rankTasks(candidates, scoringTasks, {
+		workflow,
+		settings: getScoringSettings({ scoring }),
+		today: '2025-06-01',
+		now: Date.parse('2025-06-01T00:00:00.000Z'),
+		...options
+	});
+
+const ids = (ranked) => ranked.map((candidate) => candidate.task.id);
+
+describe('Task Scoring Module', () => {
+	describe('rankTasks function', () => {
+		test('should rank by priority, then dependency count by default', () => {
+			const ranked = rank();
+
+			expect(ids(ranked)).toEqual([4, 3, 2]);
+			expect(ranked[2].score).toBe(0.4);
+			expect(ranked[2].factors.dependencies).toEqual({
+				value: 1,
+				weight: -0.1,
+				points: -0.1
+			});
+		});
+
+		test('should weigh unblocked tasks, due dates, age and labels', () => {
+			// Task 2 holds up tasks 5 and 6
+			expect(ids(rank({ weights: { unblocks: 2 } }))).toEqual([2, 4, 3]);
+
+			// Due in 9 of 10 days
+			const dueSoon = rank({ weights: { dueDate: 20 }, dueWithinDays: 10 });
+			expect(dueSoon[0].task.id).toBe(2);
+			expect(dueSoon[0].factors.dueDate.value).toBeCloseTo(0.1);
+			expect(rank({ weights: { dueDate: 20 } })[0].task.id).toBe(2);
+
+			// A month old
+			expect(rank({ weights: { age: 1 } })[0].factors.age.value).toBe(1);
+
+			const labeled = rank({ labels: { urgent: 1 } });
+			expect(ids(labeled)).toEqual([3, 4, 2]);
+			expect(labeled[0].labels).toEqual({ urgent: 1 });
+		});
+
+		test('should weigh complexity from the complexity report', () => {
+			const complexityReport = {
+				complexityAnalysis: [
+					{ taskId: 2, complexityScore: 2 },
+					{ taskId: 4, complexityScore: 9 }
+				]
+			};
+
+			// A negative weight prefers simple tasks, unanalyzed tasks count as 0
+			const ranked = rank(
+				{ weights: { priority: 0, dependencies: 0, complexity: -1 } },
+				{ complexityReport }
+			);
+			expect(ids(ranked)).toEqual([3, 2, 4]);
+			expect(ranked[2].score).toBe(-0.9);
+		});
+	});
+
+	describe('getScoringSettings function', () => {
+		test('should fill in the defaults and reject invalid settings', () => {
+			expect(getScoringSettings()).toEqual(DEFAULT_SCORING);
+			expect(
+				getScoringSettings({ scoring: { weights: { age: 0.5 } } }).weights
+			).toEqual({ ...DEFAULT_SCORING.weights, age: 0.5 });
+
+			expect(() =>
+				getScoringSettings({ scoring: { weights: { speed: 1 } } })
+			).toThrow(expect.objectContaining({ code: 'INVALID_SCORING' }));
+			expect(() => getScoringSettings({ scoring: { maxAgeDays: 0 } })).toThrow(
+				expect.objectContaining({ code: 'INVALID_SCORING' })
+			);
+		});
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-scoring'));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should store the scoring settings in the tasks file', () => {
+			setScoringSettings(tasksPath, {
+				weights: ['unblocks=0.5'],
+				labels: { Urgent: '2', later: -1 }
+			});
+			const settings = setScoringSettings(tasksPath, {
+				labels: ['later=none'],
+				dueWithinDays: '7'
+			});
+
+			expect(settings.weights.unblocks).toBe(0.5);
+			expect(settings.labels).toEqual({ urgent: 2 });
+			expect(readTasks(tasksPath).meta.scoring).toEqual({
+				weights: { unblocks: 0.5 },
+				labels: { urgent: 2 },
+				dueWithinDays: 7
+			});
+
+			expect(() =>
+				setScoringSettings(tasksPath, { weights: ['age=soon'] })
+			).toThrow(expect.objectContaining({ code: 'INVALID_SCORING' }));
+
+			setScoringSettings(tasksPath, null);
+			expect(readTasks(tasksPath).meta.scoring).toBeUndefined();
+		});
+
+		test('should pick the next task by the project scoring', () => {
+			const tasks = scoringTasks.map((task) => ({ ...task }));
+			const scoring = {
+				settings: getScoringSettings({ scoring: { weights: { unblocks: 2 } } })
+			};
+
+			expect(findNextTask(tasks).id).toBe(4);
+			expect(findNextTask(tasks, [], null, workflow, scoring).id).toBe(2);
+			expect(
+				rankNextTasks(tasks, [], null, workflow, scoring).map(
+					(candidate) => candidate.task.id
+				)
+			).toEqual([2, 4, 3]);
+		});
+	});
+});
@@ -0,0 +1,281 @@
+/**
+ * Splitting and merging tasks tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	parseMergeIds,
+	parseSplitParts,
+	parseSplitProposal,
+	splitTask,
+	mergeTasks
+} from '../../scripts/modules/task-split.js';
+import { validateTaskDependencies } from '../../scripts/modules/dependency-manager.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const createSplitTasks = () => [
+	{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+	{
+		id: 2,
+		title: 'API',
+		description: 'Build the API',
+		status: 'in-progress',
+		priority: 'medium',
+		dependencies: [1],
+		epic: 'backend',
+		labels: ['api'],
+		subtasks: [
+			{ id: 1, title: 'Routes', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Auth', status: 'pending', dependencies: [1] },
+			{ id: 3, title: 'Docs', status: 'pending', dependencies: [2] }
+		]
+	},
+	{ id: 3, title: 'UI', status: 'pending', dependencies: [2, '2.3'] },
+	{
+		id: 4,
+		title: 'Release',
+		status: 'pending',
+		dependencies: [3],
+		subtasks: [
+			{ id: 1, title: 'Checklist', status: 'pending', dependencies: ['2'] }
+		]
+	},
+	{
+		id: 5,
+		title: 'Login page',
+		description: 'Add a login page.',
+		details: 'Form',
+		status: 'pending',
+		priority: 'low',
+		dependencies: [1],
+		labels: ['ui'],
+		subtasks: [{ id: 1, title: 'Form', status: 'pending', dependencies: [] }]
+	},
+	{
+		id: 6,
+		title: 'Login API',
+		description: 'Add a login endpoint.',
+		details: 'Endpoint',
+		status: 'pending',
+		priority: 'high',
+		dependencies: [2],
+		labels: ['api'],
+		subtasks: [
+			{ id: 1, title: 'Endpoint', status: 'pending', dependencies: [] },
+			{ id: 2, title: 'Tests', status: 'pending', dependencies: [1] }
+		]
+	},
+	{ id: 7, title: 'Polish', status: 'pending', dependencies: [5, 6] }
+];
+
+describe('Task Split Module', () => {
+	test('should validate the tasks of a split', () => {
+		const task = createSplitTasks()[1];
+
+		expect(
+			parseSplitParts(
+				[
+					{ title: ' Routes ', description: '', subtasks: ['2.1'] },
+					{ title: 'Auth', details: 'Tokens', subtasks: [2, 3] }
+				],
+				task
+			)
+		).toEqual([
+			{ title: 'Routes', subtasks: [1] },
+			{ title: 'Auth', details: 'Tokens', subtasks: [2, 3] }
+		]);
+		expect(() => parseSplitParts([{ title: 'Routes' }], task)).toThrow(
+			expect.objectContaining({ code: 'INVALID_SPLIT' })
+		);
+		expect(() =>
+			parseSplitParts([{ title: 'Routes' }, { title: '' }], task)
+		).toThrow('New task 2 of the split has no title');
+		expect(() =>
+			parseSplitParts(
+				[
+					{ title: 'Routes', subtasks: [1] },
+					{ title: 'Auth', subtasks: [1, 4] }
+				],
+				task
+			)
+		).toThrow('Subtask 2.1 can only go to one of the new tasks');
+	});
+
+	test('should validate the tasks to merge', () => {
+		expect(parseMergeIds('8, 9,8')).toEqual([8, 9]);
+		expect(parseMergeIds([3, '1'])).toEqual([3, 1]);
+		expect(() => parseMergeIds('8')).toThrow(
+			expect.objectContaining({ code: 'INVALID_MERGE' })
+		);
+		expect(() => parseMergeIds('8,9.1')).toThrow(
+			expect.objectContaining({ code: 'INVALID_TASK_ID' })
+		);
+	});
+
+	test('should read a drafted split', () => {
+		const task = createSplitTasks()[1];
+		const response = `Here is the split:
+\`\`\`json
+[
+  { "title": "Routes", "description": "Public routes", "subtasks": [1] },
+  { "title": "Auth", "description": "Login", "subtasks": [2, 3] }
+]
+\`\`\``;
+
+		expect(parseSplitProposal(response, task)).toEqual([
+			{ title: 'Routes', description: 'Public routes', subtasks: [1] },
+			{ title: 'Auth', description: 'Login', subtasks: [2, 3] }
+		]);
+		expect(() =>
+			parseSplitProposal(
+				'[{"title": "Routes", "subtasks": [7]}, {"title": "Auth"}]',
+				task
+			)
+		).toThrow(expect.objectContaining({ code: 'INVALID_PROPOSAL' }));
+	});
+
+	describe('tasks file', () => {
+		let tempDir;
+		let tasksPath;
+
+		beforeEach(() => {
+			({ tempDir, tasksPath } = createTempProject('task-split', {
+				meta: { schemaVersion: 1 },
+				tasks: createSplitTasks()
+			}));
+		});
+
+		afterEach(() => {
+			removeTempProject(tempDir);
+		});
+
+		test('should split a task and re-point its dependents', () => {
+			const result = splitTask(tasksPath, '2', [
+				{ title: 'API routes', subtasks: [1] },
+				{ title: 'API auth', description: 'Login and tokens', subtasks: [2, 3] }
+			]);
+
+			expect(result).toEqual({
+				id: 2,
+				tasks: [
+					{ id: 2, title: 'API routes' },
+					{ id: 8, title: 'API auth' }
+				],
+				mapping: [
+					{ from: '2.2', to: '8.1' },
+					{ from: '2.3', to: '8.2' }
+				]
+			});
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks[1]).toMatchObject({
+				id: 2,
+				title: 'API routes',
+				description: 'Build the API',
+				status: 'in-progress',
+				subtasks: [{ id: 1, title: 'Routes' }]
+			});
+			expect(tasks[7]).toMatchObject({
+				id: 8,
+				title: 'API auth',
+				description: 'Login and tokens',
+				status: 'pending',
+				priority: 'medium',
+				dependencies: [1],
+				epic: 'backend',
+				labels: ['api']
+			});
+			// Moved subtasks keep waiting for the same subtasks
+			expect(
+				tasks[7].subtasks.map((st) => [st.id, st.title, st.dependencies])
+			).toEqual([
+				[1, 'Auth', ['2.1']],
+				[2, 'Docs', [1]]
+			]);
+			expect(tasks[7].subtasks[0].parentTaskId).toBe(8);
+			// Whatever waited for task 2 waits for both parts
+			expect(tasks[2].dependencies).toEqual([2, '8.2', 8]);
+			expect(tasks[3].subtasks[0].dependencies).toEqual(['2', '8']);
+			expect(tasks[5].dependencies).toEqual([2, 8]);
+			expect(validateTaskDependencies(tasks).valid).toBe(true);
+		});
+
+		test('should merge tasks with their details and subtasks', () => {
+			fs.writeFileSync(path.join(tempDir, 'task_006.txt'), 'Task 6');
+
+			const result = mergeTasks(tasksPath, '5,6');
+
+			expect(result).toEqual({
+				id: 5,
+				title: 'Login page',
+				merged: [6],
+				mapping: [
+					{ from: '6', to: '5' },
+					{ from: '6.1', to: '5.2' },
+					{ from: '6.2', to: '5.3' }
+				]
+			});
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks.map((task) => task.id)).toEqual([1, 2, 3, 4, 5, 7]);
+			expect(tasks[4]).toMatchObject({
+				description: 'Add a login page. Add a login endpoint.',
+				details:
+					'From task 5 (Login page):\nForm\n\nFrom task 6 (Login API):\nEndpoint',
+				priority: 'high',
+				dependencies: [1, 2],
+				labels: ['ui', 'api']
+			});
+			expect(
+				tasks[4].subtasks.map((st) => [st.id, st.title, st.dependencies])
+			).toEqual([
+				[1, 'Form', []],
+				[2, 'Endpoint', []],
+				[3, 'Tests', [2]]
+			]);
+			expect(tasks[5].dependencies).toEqual([5]);
+			expect(fs.existsSync(path.join(tempDir, 'task_006.txt'))).toBe(false);
+		});
+
+		test('should use a drafted title and text for the merged task', () => {
+			mergeTasks(tasksPath, [3, 4], {
+				title: 'UI release',
+				description: 'Ship the UI',
+				details: 'Build, then release'
+			});
+
+			const { tasks } = readTasks(tasksPath);
+			expect(tasks[2]).toMatchObject({
+				id: 3,
+				title: 'UI release',
+				description: 'Ship the UI',
+				details: 'Build, then release',
+				testStrategy: '',
+				// Task 4 waited for task 3, which it is part of now
+				dependencies: [2, '2.3'],
+				subtasks: [{ id: 1, title: 'Checklist', dependencies: ['2'] }]
+			});
+		});
+
+		test('should refuse splits and merges that make no sense', () => {
+			expect(() =>
+				splitTask(tasksPath, '2.1', [{ title: 'A' }, { title: 'B' }])
+			).toThrow(expect.objectContaining({ code: 'INVALID_TASK_ID' }));
+			expect(() =>
+				splitTask(tasksPath, '9', [{ title: 'A' }, { title: 'B' }])
+			).toThrow(expect.objectContaining({ code: 'TASK_NOT_FOUND' }));
+			// Task 1 would take over the dependency of task 3 on task 2, which
+			// waits for task 1
+			expect(() => mergeTasks(tasksPath, '1,3')).toThrow(
+				expect.objectContaining({ code: 'CIRCULAR_DEPENDENCY' })
+			);
+			expect(readTasks(tasksPath).tasks).toEqual(createSplitTasks());
+		});
+	});
+});
@@ -0,0 +1,239 @@
+/**
+ * Task storage backend tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	getStorageType,
+	getStorageBackend
+} from '../../scripts/modules/task-storage.js';
+import {
+	readTasks,
+	readTask,
+	queryTasks,
+	writeTasks,
+	updateTask,
+	validateStoredTasks,
+	copyTasksStorage
+} from '../../scripts/modules/task-store.js';
+import {
+	runWithOperation,
+	undoOperation,
+	getHistory
+} from '../../scripts/modules/task-history.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe('Task Storage Module', () => {
+	let tempDir;
+
+	beforeEach(() => {
+		({ tempDir } = createTempProject('task-storage', null));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('getStorageType function', () => {
+		test('should pick the backend from the file extension', () => {
+			expect(getStorageType('tasks/tasks.json')).toBe('json');
+			expect(getStorageType('tasks/tasks.db')).toBe('sqlite');
+			expect(getStorageType('tasks/tasks.SQLITE')).toBe('sqlite');
+			expect(getStorageType('tasks/tasks.sqlite3')).toBe('sqlite');
+		});
+	});
+
+	describe.each(['tasks.json', 'tasks.db'])('%s backend', (fileName) => {
+		let tasksPath;
+
+		beforeEach(() => {
+			tasksPath = path.join(tempDir, fileName);
+			writeTasks(tasksPath, clone(sampleTasks));
+		});
+
+		test('should round-trip the whole document', () => {
+			const data = readTasks(tasksPath);
+
+			expect(Object.keys(data)).toEqual(Object.keys(sampleTasks));
+			expect(data.tasks).toEqual(sampleTasks.tasks);
+			expect(data.meta.revision).toBe(1);
+		});
+
+		test('should report whether data is stored', () => {
+			expect(getStorageBackend(tasksPath).exists()).toBe(true);
+			expect(
+				getStorageBackend(path.join(tempDir, `missing-${fileName}`)).load()
+			).toBeNull();
+		});
+
+		test('should load single tasks and subtasks', () => {
+			expect(readTask(tasksPath, 2).title).toBe('Create Core Functionality');
+
+			const subtask = readTask(tasksPath, '3.2');
+			expect(subtask.title).toBe(sampleTasks.tasks[2].subtasks[1].title);
+			expect(subtask.parentTask).toEqual({
+				id: 3,
+				title: 'Implement UI Components',
+				status: 'pending'
+			});
+
+			expect(readTask(tasksPath, 99)).toBeNull();
+		});
+
+		test('should query tasks by status and ID in file order', () => {
+			expect(
+				queryTasks(tasksPath, { status: 'pending' }).map((task) => task.id)
+			).toEqual([3]);
+			expect(
+				queryTasks(tasksPath, { status: ['done', 'pending'] }).map(
+					(task) => task.id
+				)
+			).toEqual([1, 3]);
+			expect(
+				queryTasks(tasksPath, { ids: [3, '1'] }).map((task) => task.id)
+			).toEqual([1, 3]);
+			expect(queryTasks(tasksPath, { ids: [] })).toEqual([]);
+		});
+
+		test('should save added, changed, moved and removed tasks', () => {
+			const data = readTasks(tasksPath);
+			data.tasks.reverse();
+			data.tasks[0].status = 'done';
+			data.tasks.splice(1, 1);
+			data.tasks.push({
+				id: 4,
+				title: 'New task',
+				status: 'pending',
+				dependencies: []
+			});
+
+			writeTasks(tasksPath, data);
+
+			expect(readTasks(tasksPath).tasks).toEqual(data.tasks);
+			expect(
+				queryTasks(tasksPath, { status: 'done' }).map((task) => task.id)
+			).toEqual([3, 1]);
+		});
+
+		test('should update a single task or subtask', () => {
+			const title = updateTask(tasksPath, '3.2', (subtask) => {
+				subtask.status = 'in-progress';
+				return subtask.title;
+			});
+			updateTask(tasksPath, 3, (task) => {
+				task.status = 'in-progress';
+			});
+
+			const data = readTasks(tasksPath);
+			expect(title).toBe(sampleTasks.tasks[2].subtasks[1].title);
+			expect(data.tasks[2].status).toBe('in-progress');
+			expect(data.tasks[2].subtasks[1].status).toBe('in-progress');
+			expect(data.tasks.slice(0, 2)).toEqual(sampleTasks.tasks.slice(0, 2));
+			expect(data.meta.revision).toBe(3);
+			expect(
+				queryTasks(tasksPath, { status: 'in-progress' }).map((task) => task.id)
+			).toEqual([2, 3]);
+		});
+
+		test('should not write updates that change nothing', () => {
+			updateTask(tasksPath, 1, (task) => task.title);
+
+			expect(readTasks(tasksPath).meta.revision).toBe(1);
+			expect(() => updateTask(tasksPath, '3.9', () => {})).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+		});
+
+		test('should reject stale writes', () => {
+			const first = readTasks(tasksPath);
+			const second = readTasks(tasksPath);
+			writeTasks(tasksPath, first);
+
+			expect(() => writeTasks(tasksPath, second)).toThrow(
+				expect.objectContaining({ code: 'STALE_TASKS_WRITE' })
+			);
+		});
+
+		test('should validate the stored data', () => {
+			const result = validateStoredTasks(tasksPath);
+
+			expect(result.valid).toBe(true);
+			expect(result.pendingMigrations).toEqual([]);
+		});
+	});
+
+	describe('copyTasksStorage function', () => {
+		let jsonPath;
+		let dbPath;
+
+		beforeEach(() => {
+			jsonPath = path.join(tempDir, 'tasks.json');
+			dbPath = path.join(tempDir, 'tasks.db');
+			fs.writeFileSync(jsonPath, JSON.stringify(sampleTasks, null, 2));
+		});
+
+		test('should move a project between backends', () => {
+			const exported = copyTasksStorage(jsonPath, dbPath);
+			expect(exported).toEqual({
+				taskCount: 3,
+				sourceType: 'json',
+				targetType: 'sqlite'
+			});
+
+			const backPath = path.join(tempDir, 'back.json');
+			copyTasksStorage(dbPath, backPath);
+
+			expect(readTasks(backPath).tasks).toEqual(sampleTasks.tasks);
+		});
+
+		test('should not replace existing data unless forced', () => {
+			copyTasksStorage(jsonPath, dbPath);
+
+			expect(() => copyTasksStorage(jsonPath, dbPath)).toThrow(
+				expect.objectContaining({ code: 'STORAGE_TARGET_EXISTS' })
+			);
+
+			const data = readTasks(jsonPath);
+			data.tasks.pop();
+			writeTasks(jsonPath, data);
+			copyTasksStorage(jsonPath, dbPath, { force: true });
+
+			expect(readTasks(dbPath).tasks).toHaveLength(2);
+		});
+
+		test('should keep the history of each file to itself', () => {
+			const removeLastTask = (tasksPath) => {
+				const data = readTasks(tasksPath);
+				data.tasks.pop();
+				writeTasks(tasksPath, data);
+			};
+			runWithOperation({ label: 'remove-task' }, () =>
+				removeLastTask(jsonPath)
+			);
+			runWithOperation({ label: 'storage-export' }, () =>
+				copyTasksStorage(jsonPath, dbPath)
+			);
+			runWithOperation({ label: 'remove-task' }, () => removeLastTask(dbPath));
+
+			// The copy itself can't be undone, so it isn't recorded
+			expect(getHistory(dbPath)).toHaveLength(1);
+			expect(undoOperation(jsonPath).label).toBe('remove-task');
+			expect(readTasks(jsonPath).tasks).toHaveLength(3);
+			expect(readTasks(dbPath).tasks).toHaveLength(1);
+		});
+
+		test('should fail when the source has no tasks', () => {
+			expect(() =>
+				copyTasksStorage(path.join(tempDir, 'missing.db'), jsonPath)
+			).toThrow(expect.objectContaining({ code: 'STORAGE_SOURCE_NOT_FOUND' }));
+		});
+	});
+});
@@ -0,0 +1,284 @@
+/**
+ * Task store module tests
+ */
+
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+import {
+	acquireTasksLock,
+	acquireTasksLockAsync,
+	withTasksLock,
+	withTasksLockAsync,
+	writeTasks,
+	getTasksRevision,
+	getLockPath
+} from '../../scripts/modules/task-store.js';
+import { runWithOperation } from '../../scripts/modules/task-history.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+describe('Task Store Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-store'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	const readTasksFile = () => JSON.parse(fs.readFileSync(tasksPath, 'utf8'));
+
+	describe('writeTasks function', () => {
+		test('should write the data and bump meta.revision', () => {
+			const data = readTasksFile();
+			data.tasks[0].title = 'Changed';
+
+			writeTasks(tasksPath, data);
+
+			const saved = readTasksFile();
+			expect(saved.tasks[0].title).toBe('Changed');
+			expect(saved.meta.revision).toBe(1);
+			expect(data.meta.revision).toBe(1);
+		});
+
+		test('should allow consecutive writes of the same data object', () => {
+			const data = readTasksFile();
+
+			writeTasks(tasksPath, data);
+			writeTasks(tasksPath, data);
+
+			expect(readTasksFile().meta.revision).toBe(2);
+		});
+
+		test('should reject writes based on an outdated revision', () => {
+			const first = readTasksFile();
+			const second = readTasksFile();
+
+			first.tasks[0].title = 'First writer';
+			writeTasks(tasksPath, first);
+
+			second.tasks[0].title = 'Second writer';
+			expect(() => writeTasks(tasksPath, second)).toThrow(
+				expect.objectContaining({ code: 'STALE_TASKS_WRITE' })
+			);
+			expect(readTasksFile().tasks[0].title).toBe('First writer');
+		});
+
+		test('should skip the stale check when forced', () => {
+			const first = readTasksFile();
+			writeTasks(tasksPath, first);
+
+			writeTasks(tasksPath, { tasks: [] }, { force: true });
+
+			const saved = readTasksFile();
+			expect(saved.tasks).toEqual([]);
+			expect(saved.meta.revision).toBe(2);
+		});
+
+		test('should create the file if it does not exist', () => {
+			const newPath = path.join(tempDir, 'nested', 'tasks.json');
+
+			writeTasks(newPath, { tasks: [] });
+
+			expect(JSON.parse(fs.readFileSync(newPath, 'utf8')).meta.revision).toBe(
+				1
+			);
+		});
+
+		test('should not leave temp or lock files behind', () => {
+			const data = readTasksFile();
+			data.tasks.pop();
+			writeTasks(tasksPath, data);
+
+			expect(fs.readdirSync(tempDir).sort()).toEqual([
+				'.history',
+				'tasks.json'
+			]);
+		});
+
+		test('should only journal writes when asked to', () => {
+			const data = readTasksFile();
+			data.tasks.pop();
+			writeTasks(tasksPath, data, { journal: false });
+
+			expect(fs.existsSync(path.join(tempDir, '.history'))).toBe(false);
+		});
+	});
+
+	describe('acquireTasksLock function', () => {
+		test('should create and remove the lock file', () => {
+			const lock = acquireTasksLock(tasksPath);
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(true);
+
+			lock.release();
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+
+		test('should be re-entrant within a process', () => {
+			const outer = acquireTasksLock(tasksPath);
+			const inner = acquireTasksLock(tasksPath);
+
+			inner.release();
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(true);
+
+			outer.release();
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+
+		test('should time out when another live process holds the lock', () => {
+			fs.writeFileSync(
+				getLockPath(tasksPath),
+				JSON.stringify({ pid: process.ppid })
+			);
+
+			expect(() => acquireTasksLock(tasksPath, { timeout: 100 })).toThrow(
+				expect.objectContaining({ code: 'TASKS_LOCK_TIMEOUT' })
+			);
+		});
+
+		test('should break a lock left behind by a dead process', () => {
+			// Use the PID of a process that has already exited
+			const { pid } = spawnSync(process.execPath, ['-e', '']);
+			fs.writeFileSync(getLockPath(tasksPath), JSON.stringify({ pid }));
+
+			const lock = acquireTasksLock(tasksPath, { timeout: 100 });
+			const owner = JSON.parse(fs.readFileSync(getLockPath(tasksPath), 'utf8'));
+			expect(owner.pid).toBe(process.pid);
+
+			lock.release();
+		});
+
+		test('should not remove a lock another process took over', () => {
+			const lock = acquireTasksLock(tasksPath);
+			// Another process broke the lock as stale and took it
+			fs.writeFileSync(
+				getLockPath(tasksPath),
+				JSON.stringify({ pid: process.ppid, token: 'other' })
+			);
+
+			lock.release();
+			const owner = JSON.parse(fs.readFileSync(getLockPath(tasksPath), 'utf8'));
+			expect(owner.token).toBe('other');
+		});
+
+		test('should keep a held lock from going stale', () => {
+			jest.useFakeTimers();
+			try {
+				const lock = acquireTasksLock(tasksPath);
+				const lastMinute = new Date(Date.now() - 60000);
+				fs.utimesSync(getLockPath(tasksPath), lastMinute, lastMinute);
+
+				jest.advanceTimersByTime(10000);
+				expect(fs.statSync(getLockPath(tasksPath)).mtimeMs).toBeGreaterThan(
+					Date.now() - 30000
+				);
+
+				lock.release();
+			} finally {
+				jest.useRealTimers();
+			}
+		});
+	});
+
+	describe('locks of concurrent operations', () => {
+		// Like two MCP tool calls running at the same time in one server
+		const runInOperation = (fn) => runWithOperation({ label: 'test' }, fn);
+
+		test('should not let another operation re-enter a held lock', () => {
+			const lock = runInOperation(() => acquireTasksLock(tasksPath));
+
+			expect(() => runInOperation(() => acquireTasksLock(tasksPath))).toThrow(
+				expect.objectContaining({ code: 'TASKS_LOCK_BUSY' })
+			);
+			// Nor can code running outside of any operation
+			expect(() => acquireTasksLock(tasksPath)).toThrow(
+				expect.objectContaining({ code: 'TASKS_LOCK_BUSY' })
+			);
+
+			lock.release();
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+
+		test('should wait for another operation without blocking', async () => {
+			const order = [];
+			let releaseFirst;
+			const first = runInOperation(() =>
+				withTasksLockAsync(tasksPath, async () => {
+					order.push('first');
+					await new Promise((resolve) => (releaseFirst = resolve));
+					// Nested locks of the same operation re-enter
+					withTasksLock(tasksPath, () => order.push('nested'));
+				})
+			);
+			const second = runInOperation(async () => {
+				const lock = await acquireTasksLockAsync(tasksPath);
+				order.push('second');
+				lock.release();
+			});
+
+			// Timers still run while the second operation waits
+			await new Promise((resolve) => setTimeout(resolve, 120));
+			expect(order).toEqual(['first']);
+
+			releaseFirst();
+			await Promise.all([first, second]);
+			expect(order).toEqual(['first', 'nested', 'second']);
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+
+		test('should time out waiting for another process', async () => {
+			fs.writeFileSync(
+				getLockPath(tasksPath),
+				JSON.stringify({ pid: process.ppid })
+			);
+
+			await expect(
+				acquireTasksLockAsync(tasksPath, { timeout: 100 })
+			).rejects.toEqual(
+				expect.objectContaining({ code: 'TASKS_LOCK_TIMEOUT' })
+			);
+		});
+	});
+
+	describe('withTasksLock function', () => {
+		test('should hold the lock until an async function settles', async () => {
+			let release;
+			const pending = withTasksLock(
+				tasksPath,
+				() => new Promise((resolve) => (release = resolve))
+			);
+
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(true);
+
+			release('done');
+			await expect(pending).resolves.toBe('done');
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+
+		test('should release the lock when the function throws', () => {
+			expect(() =>
+				withTasksLock(tasksPath, () => {
+					throw new Error('boom');
+				})
+			).toThrow('boom');
+			expect(fs.existsSync(getLockPath(tasksPath))).toBe(false);
+		});
+	});
+
+	describe('getTasksRevision function', () => {
+		test('should default to 0 for files without a revision', () => {
+			expect(getTasksRevision(sampleTasks)).toBe(0);
+			expect(getTasksRevision({ tasks: [] })).toBe(0);
+			expect(getTasksRevision({ meta: { revision: 7 } })).toBe(7);
+		});
+	});
+});
@@ -0,0 +1,214 @@
+/**
+ * Task tags (named task lists) tests
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import {
+	DEFAULT_TAG,
+	runWithTag,
+	setProcessTag,
+	getActiveTag,
+	getTaskFileName,
+	listTags,
+	addTag,
+	copyTag,
+	deleteTag,
+	useTag
+} from '../../scripts/modules/task-tags.js';
+import {
+	readTasks,
+	readTask,
+	readTasksDocument,
+	writeTasks
+} from '../../scripts/modules/task-store.js';
+import { validateTasksData } from '../../scripts/modules/task-schema.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const newTask = (id, title) => ({
+	id,
+	title,
+	status: 'pending',
+	dependencies: []
+});
+
+describe('Task Tags Module', () => {
+	let tempDir;
+	let tasksPath;
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-tags'));
+	});
+
+	afterEach(() => {
+		setProcessTag(null);
+		removeTempProject(tempDir);
+	});
+
+	describe('getTaskFileName function', () => {
+		test('should only suffix file names of non-default tags', () => {
+			expect(getTaskFileName(1)).toBe('task_001.txt');
+			expect(getTaskFileName(12, DEFAULT_TAG)).toBe('task_012.txt');
+			expect(getTaskFileName(3, 'feature-x')).toBe('task_003_feature-x.txt');
+		});
+	});
+
+	describe('addTag function', () => {
+		test('should create an empty tag that leaves the default list alone', () => {
+			addTag(tasksPath, 'feature-x', { description: 'Feature X' });
+
+			expect(runWithTag('feature-x', () => readTasks(tasksPath).tasks)).toEqual(
+				[]
+			);
+			expect(readTasks(tasksPath).tasks).toEqual(sampleTasks.tasks);
+			expect(listTags(tasksPath)).toEqual([
+				expect.objectContaining({
+					name: DEFAULT_TAG,
+					current: true,
+					taskCount: 3,
+					completedCount: 1
+				}),
+				expect.objectContaining({
+					name: 'feature-x',
+					current: false,
+					taskCount: 0,
+					description: 'Feature X'
+				})
+			]);
+		});
+
+		test('should copy the tasks of another tag', () => {
+			const tag = addTag(tasksPath, 'feature-x', { copyFrom: DEFAULT_TAG });
+
+			expect(tag.taskCount).toBe(3);
+			expect(runWithTag('feature-x', () => readTasks(tasksPath).tasks)).toEqual(
+				sampleTasks.tasks
+			);
+		});
+
+		test('should reject existing and invalid names', () => {
+			addTag(tasksPath, 'feature-x');
+
+			expect(() => addTag(tasksPath, 'feature-x')).toThrow(
+				expect.objectContaining({ code: 'TAG_EXISTS' })
+			);
+			expect(() => addTag(tasksPath, DEFAULT_TAG)).toThrow(
+				expect.objectContaining({ code: 'TAG_EXISTS' })
+			);
+			expect(() => addTag(tasksPath, 'bad name')).toThrow(
+				expect.objectContaining({ code: 'INVALID_TAG_NAME' })
+			);
+			expect(() =>
+				addTag(tasksPath, 'feature-y', { copyFrom: 'missing' })
+			).toThrow(expect.objectContaining({ code: 'TAG_NOT_FOUND' }));
+		});
+	});
+
+	describe('reading and writing tagged lists', () => {
+		beforeEach(() => {
+			addTag(tasksPath, 'feature-x');
+		});
+
+		test('should write a tag without touching the other lists', () => {
+			runWithTag('feature-x', () => {
+				const data = readTasks(tasksPath);
+				data.tasks.push(newTask(1, 'Feature task'));
+				writeTasks(tasksPath, data);
+			});
+
+			const document = readTasksDocument(tasksPath);
+			expect(document.tasks).toEqual(sampleTasks.tasks);
+			expect(document.tags['feature-x'].tasks).toEqual([
+				newTask(1, 'Feature task')
+			]);
+			expect(validateTasksData(document).valid).toBe(true);
+
+			// Writing the default list keeps the other tags
+			const data = readTasks(tasksPath);
+			expect(data.tags).toBeUndefined();
+			data.tasks.pop();
+			writeTasks(tasksPath, data);
+
+			expect(readTasksDocument(tasksPath).tags['feature-x'].tasks).toHaveLength(
+				1
+			);
+		});
+
+		test('should look up tasks in the active tag', () => {
+			runWithTag('feature-x', () => {
+				const data = readTasks(tasksPath);
+				data.tasks.push(newTask(1, 'Feature task'));
+				writeTasks(tasksPath, data);
+			});
+
+			expect(readTask(tasksPath, 1).title).toBe('Initialize Project');
+			expect(runWithTag('feature-x', () => readTask(tasksPath, 1).title)).toBe(
+				'Feature task'
+			);
+		});
+
+		test('should prefer runWithTag over the process and current tags', () => {
+			expect(getActiveTag(tasksPath)).toBe(DEFAULT_TAG);
+
+			useTag(tasksPath, 'feature-x');
+			expect(getActiveTag(tasksPath)).toBe('feature-x');
+
+			setProcessTag(DEFAULT_TAG);
+			expect(getActiveTag(tasksPath)).toBe(DEFAULT_TAG);
+			expect(runWithTag('other', () => getActiveTag(tasksPath))).toBe('other');
+		});
+
+		test('should return null when the active tag does not exist', () => {
+			expect(runWithTag('missing', () => readTasks(tasksPath))).toBeNull();
+		});
+	});
+
+	describe('useTag function', () => {
+		test('should persist the current tag next to the tasks file', () => {
+			addTag(tasksPath, 'feature-x');
+			useTag(tasksPath, 'feature-x');
+
+			expect(
+				JSON.parse(fs.readFileSync(path.join(tempDir, '.state.json'), 'utf8'))
+			).toEqual({ currentTag: 'feature-x' });
+			expect(listTags(tasksPath).find((tag) => tag.current).name).toBe(
+				'feature-x'
+			);
+		});
+
+		test('should reject unknown tags', () => {
+			expect(() => useTag(tasksPath, 'missing')).toThrow(
+				expect.objectContaining({ code: 'TAG_NOT_FOUND' })
+			);
+		});
+	});
+
+	describe('copyTag and deleteTag functions', () => {
+		test('should copy a tag and delete it with its task files', () => {
+			copyTag(tasksPath, DEFAULT_TAG, 'feature-x');
+			useTag(tasksPath, 'feature-x');
+
+			const taskFile = path.join(tempDir, getTaskFileName(1, 'feature-x'));
+			fs.writeFileSync(taskFile, 'generated');
+
+			expect(deleteTag(tasksPath, 'feature-x')).toEqual({
+				name: 'feature-x',
+				taskCount: 3
+			});
+			expect(fs.existsSync(taskFile)).toBe(false);
+			expect(readTasksDocument(tasksPath).tags).toBeUndefined();
+			expect(getActiveTag(tasksPath)).toBe(DEFAULT_TAG);
+		});
+
+		test('should not delete the default tag', () => {
+			expect(() => deleteTag(tasksPath, DEFAULT_TAG)).toThrow(
+				expect.objectContaining({ code: 'CANNOT_DELETE_DEFAULT_TAG' })
+			);
+		});
+	});
+});
@@ -0,0 +1,222 @@
+/**
+ * Status history and timeline tests
+ */
+
+import fs from 'fs';
+
+import {
+	recordStatusChange,
+	getStatusPeriods,
+	getItemTimes,
+	summarizeTaskTimes,
+	formatDuration,
+	getTaskTimeline
+} from '../../scripts/modules/task-timeline.js';
+import {
+	addSubtask,
+	listTasks,
+	setTaskStatus
+} from '../../scripts/modules/task-manager.js';
+import { runWithOperation } from '../../scripts/modules/task-history.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import { validateTasksSchema } from '../../scripts/modules/task-schema.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Builds a history from [status, hours since the start] pairs
+const historyOf = (...changes) =>
+	changes.map(([status, hours], index) => ({
+		status,
+		...(index > 0 ? { from: changes[index - 1][0] } : {}),
+		at: new Date(Date.UTC(2025, 0, 1) + hours * HOUR_MS).toISOString(),
+		source: 'cli'
+	}));
+
+describe('Task Timeline Module', () => {
+	let tempDir;
+	let tasksPath;
+	const mcpLog = { info: () => {}, warn: () => {}, error: () => {} };
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-timeline'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('history', () => {
+		test('should only record actual changes', () => {
+			const task = { status: 'pending' };
+
+			expect(recordStatusChange(task, null, 'pending', { at: 'a' })).toBe(true);
+			expect(recordStatusChange(task, 'pending', 'pending')).toBe(false);
+			recordStatusChange(task, 'pending', 'done', {
+				at: 'b',
+				source: 'mcp'
+			});
+
+			expect(task.statusHistory).toEqual([
+				{ status: 'pending', at: 'a', source: 'cli' },
+				{ status: 'done', from: 'pending', at: 'b', source: 'mcp' }
+			]);
+		});
+
+		test('should compute periods, lead time and cycle time', () => {
+			const task = {
+				status: 'done',
+				statusHistory: historyOf(
+					['pending', 0],
+					['in-progress', 2],
+					['review', 5],
+					['in-progress', 6],
+					['done', 10]
+				)
+			};
+
+			expect(
+				getStatusPeriods(task).map((period) => period.duration / HOUR_MS)
+			).toEqual([2, 3, 1, 4, expect.any(Number)]);
+			expect(getStatusPeriods(task)[4].end).toBeNull();
+			expect(getItemTimes(task)).toEqual(
+				expect.objectContaining({
+					leadTime: 10 * HOUR_MS,
+					cycleTime: 8 * HOUR_MS
+				})
+			);
+
+			// Reopened tasks aren't done anymore
+			expect(getItemTimes({ ...task, status: 'pending' }).leadTime).toBeNull();
+			// Without a creation entry the lead time is unknown
+			expect(
+				getItemTimes({ ...task, statusHistory: task.statusHistory.slice(1) })
+			).toEqual(
+				expect.objectContaining({ leadTime: null, cycleTime: 8 * HOUR_MS })
+			);
+		});
+
+		test('should summarize finished tasks', () => {
+			const tasks = [
+				{
+					status: 'done',
+					statusHistory: historyOf(['pending', 0], ['done', 2])
+				},
+				{
+					status: 'done',
+					statusHistory: historyOf(
+						['pending', 0],
+						['in-progress', 1],
+						['done', 5]
+					)
+				},
+				{ status: 'done' },
+				{
+					status: 'in-progress',
+					statusHistory: historyOf(['pending', 0], ['in-progress', 1])
+				}
+			];
+
+			expect(summarizeTaskTimes(tasks)).toEqual({
+				leadTime: { count: 2, average: 3.5 * HOUR_MS, median: 3.5 * HOUR_MS },
+				cycleTime: { count: 1, average: 4 * HOUR_MS, median: 4 * HOUR_MS }
+			});
+		});
+
+		test('should format durations', () => {
+			expect(formatDuration(null)).toBe('-');
+			expect(formatDuration(30 * 1000)).toBe('<1m');
+			expect(formatDuration(HOUR_MS + 15 * 60 * 1000)).toBe('1h 15m');
+			expect(formatDuration(50 * HOUR_MS)).toBe('2d 2h');
+			expect(formatDuration(48 * HOUR_MS)).toBe('2d');
+		});
+	});
+
+	describe('status changes', () => {
+		test('should record set-status changes with their source', async () => {
+			await setTaskStatus(tasksPath, '3', 'in-progress', { mcpLog });
+			await runWithOperation({ label: 'set_task_status', source: 'mcp' }, () =>
+				setTaskStatus(tasksPath, '3', 'done', { mcpLog })
+			);
+
+			const data = readTasks(tasksPath);
+			const task = data.tasks[2];
+			expect(
+				task.statusHistory.map(({ from, status, source }) => [
+					from,
+					status,
+					source
+				])
+			).toEqual([
+				['pending', 'in-progress', 'cli'],
+				['in-progress', 'done', 'mcp']
+			]);
+			// Subtasks marked done along with their parent are recorded too
+			expect(task.subtasks[0].statusHistory).toEqual([
+				expect.objectContaining({ from: 'pending', status: 'done' })
+			]);
+			expect(validateTasksSchema(data).valid).toBe(true);
+		});
+
+		test('should record the creation of subtasks', async () => {
+			await addSubtask(tasksPath, 1, null, { title: 'New one' }, false);
+
+			const subtask = readTasks(tasksPath).tasks[0].subtasks[0];
+			expect(subtask.statusHistory).toEqual([
+				expect.objectContaining({ status: 'pending', source: 'cli' })
+			]);
+			expect(subtask.statusHistory[0].from).toBeUndefined();
+		});
+
+		test('should report times in the list stats', () => {
+			const data = readTasks(tasksPath);
+			data.tasks[0].statusHistory = historyOf(
+				['pending', 0],
+				['in-progress', 1],
+				['done', 3]
+			);
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+			const { stats } = listTasks(tasksPath, null, false, 'json');
+			expect(stats.leadTime).toEqual({
+				count: 1,
+				average: 3 * HOUR_MS,
+				median: 3 * HOUR_MS
+			});
+			expect(stats.cycleTime.average).toBe(2 * HOUR_MS);
+		});
+	});
+
+	describe('getTaskTimeline function', () => {
+		test('should return the timeline of tasks and subtasks', async () => {
+			await setTaskStatus(tasksPath, '2.2', 'done', { mcpLog });
+
+			const timeline = getTaskTimeline(tasksPath, '2.2');
+			expect(timeline).toEqual(
+				expect.objectContaining({
+					id: '2.2',
+					title: sampleTasks.tasks[1].subtasks[1].title,
+					status: 'done',
+					history: [expect.objectContaining({ from: 'pending' })],
+					// The subtask was created before its history was recorded
+					leadTime: null
+				})
+			);
+			expect(timeline.periods).toHaveLength(1);
+			expect(getTaskTimeline(tasksPath, 1).history).toEqual([]);
+		});
+
+		test('should reject unknown tasks', () => {
+			expect(() => getTaskTimeline(tasksPath, '9')).toThrow(
+				expect.objectContaining({ code: 'TASK_NOT_FOUND' })
+			);
+			expect(() => getTaskTimeline(tasksPath, 'abc')).toThrow(
+				expect.objectContaining({ code: 'INVALID_TASK_ID' })
+			);
+		});
+	});
+});
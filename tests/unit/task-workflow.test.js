@@ -0,0 +1,305 @@
+/**
+ * Status workflow tests
+ */
+
+import fs from 'fs';
+
+import {
+	DEFAULT_WORKFLOW,
+	normalizeWorkflow,
+	getWorkflow,
+	resolveStatus,
+	checkStatusTransition,
+	countStatuses,
+	setWorkflow
+} from '../../scripts/modules/task-workflow.js';
+import {
+	findNextTask,
+	setTaskStatus
+} from '../../scripts/modules/task-manager.js';
+import { validateTaskDependencies } from '../../scripts/modules/dependency-manager.js';
+import { archiveTasks } from '../../scripts/modules/task-archive.js';
+import { buildExportData } from '../../scripts/modules/task-export.js';
+import { readTasks } from '../../scripts/modules/task-store.js';
+import {
+	TASK_STATUSES,
+	validateTasksSchema
+} from '../../scripts/modules/task-schema.js';
+import { sampleTasks } from '../fixtures/sample-tasks.js';
+import {
+	createTempProject,
+	removeTempProject
+} from '../fixtures/temp-project.js';
+
+const reviewWorkflow = {
+	statuses: [
+		{ name: 'pending' },
+		{ name: 'in-progress', category: 'active' },
+		{ name: 'review', category: 'waiting' },
+		{ name: 'done', category: 'done' },
+		{ name: 'icebox', category: 'closed' }
+	],
+	transitions: {
+		pending: ['in-progress', 'icebox'],
+		'in-progress': ['review', 'pending'],
+		review: ['done', 'in-progress']
+	}
+};
+
+describe('Task Workflow Module', () => {
+	let tempDir;
+	let tasksPath;
+	const mcpLog = { info: () => {}, warn: () => {}, error: () => {} };
+
+	beforeEach(() => {
+		({ tempDir, tasksPath } = createTempProject('task-workflow'));
+	});
+
+	afterEach(() => {
+		removeTempProject(tempDir);
+	});
+
+	describe('definitions', () => {
+		test('should default to the built-in statuses', () => {
+			const workflow = getWorkflow({});
+
+			expect(workflow.custom).toBe(false);
+			expect(workflow.initial).toBe('pending');
+			expect(workflow.statuses.map((status) => status.name)).toEqual(
+				TASK_STATUSES
+			);
+			expect(DEFAULT_WORKFLOW.transitions).toBeUndefined();
+		});
+
+		test('should fill in defaults and reject invalid definitions', () => {
+			const workflow = normalizeWorkflow(reviewWorkflow);
+
+			expect(workflow.initial).toBe('pending');
+			expect(workflow.statuses[0]).toEqual(
+				expect.objectContaining({ category: 'todo', color: 'white' })
+			);
+
+			const invalid = [
+				{ statuses: [] },
+				{ statuses: [{ name: 'open' }] },
+				{ statuses: [{ name: 'In Progress', category: 'done' }] },
+				{
+					statuses: [{ name: 'done', category: 'finished' }]
+				},
+				{
+					statuses: [{ name: 'done', category: 'done' }, { name: 'done' }]
+				},
+				{ ...reviewWorkflow, initial: 'backlog' },
+				{ ...reviewWorkflow, transitions: { review: ['merged'] } }
+			];
+			invalid.forEach((definition) => {
+				expect(() => normalizeWorkflow(definition)).toThrow(
+					expect.objectContaining({ code: 'INVALID_WORKFLOW' })
+				);
+			});
+		});
+
+		test('should suggest the closest status for typos', () => {
+			const workflow = getWorkflow();
+
+			expect(resolveStatus(workflow, ' Done ')).toBe('done');
+			expect(() => resolveStatus(workflow, 'in_progress')).toThrow(
+				'Unknown status "in_progress". Did you mean "in-progress"?'
+			);
+			expect(() => resolveStatus(workflow, 'complete')).toThrow(
+				expect.objectContaining({ code: 'INVALID_STATUS' })
+			);
+		});
+
+		test('should only allow the listed transitions', () => {
+			const workflow = normalizeWorkflow(reviewWorkflow);
+
+			expect(() =>
+				checkStatusTransition(workflow, 'review', 'done', 'task 1')
+			).not.toThrow();
+			// Statuses without an entry may move anywhere
+			expect(() =>
+				checkStatusTransition(workflow, 'done', 'pending', 'task 1')
+			).not.toThrow();
+			expect(() =>
+				checkStatusTransition(workflow, 'in-progress', 'done', 'task 1')
+			).toThrow(
+				'Cannot move task 1 from "in-progress" to "done". Allowed: review, pending'
+			);
+		});
+	});
+
+	describe('tasks file', () => {
+		test('should store a custom workflow and accept its statuses', () => {
+			setWorkflow(tasksPath, reviewWorkflow);
+
+			const data = readTasks(tasksPath);
+			expect(data.meta.workflow.transitions).toEqual(
+				reviewWorkflow.transitions
+			);
+			expect(getWorkflow(data.meta).custom).toBe(true);
+
+			data.tasks[2].status = 'icebox';
+			expect(validateTasksSchema(data).valid).toBe(true);
+			data.tasks[2].status = 'blocked';
+			expect(validateTasksSchema(data).valid).toBe(false);
+
+			setWorkflow(tasksPath, null);
+			expect(readTasks(tasksPath).meta.workflow).toBeUndefined();
+		});
+
+		test('should refuse workflows missing statuses in use', () => {
+			expect(() =>
+				setWorkflow(tasksPath, {
+					statuses: [{ name: 'pending' }, { name: 'done', category: 'done' }]
+				})
+			).toThrow(expect.objectContaining({ code: 'UNKNOWN_STATUSES' }));
+			expect(readTasks(tasksPath).meta.workflow).toBeUndefined();
+		});
+
+		test('should enforce the workflow when setting statuses', async () => {
+			setWorkflow(tasksPath, reviewWorkflow);
+
+			await expect(
+				setTaskStatus(tasksPath, '3', 'in_progress', { mcpLog })
+			).rejects.toThrow(expect.objectContaining({ code: 'INVALID_STATUS' }));
+			await expect(
+				setTaskStatus(tasksPath, '2', 'done', { mcpLog })
+			).rejects.toThrow(
+				expect.objectContaining({ code: 'INVALID_STATUS_TRANSITION' })
+			);
+			expect(readTasks(tasksPath).tasks[1].status).toBe('in-progress');
+
+			const result = await setTaskStatus(tasksPath, '2', 'Review', {
+				mcpLog
+			});
+			expect(result.updatedTasks).toEqual([
+				{ id: '2', status: 'review', previousStatus: 'in-progress' }
+			]);
+
+			await setTaskStatus(tasksPath, '3', 'done', { mcpLog, force: true });
+			expect(readTasks(tasksPath).tasks[2].status).toBe('done');
+		});
+
+		test('should move parent tasks along with their subtasks', async () => {
+			const started = await setTaskStatus(tasksPath, '3.1', 'in-progress', {
+				mcpLog
+			});
+			expect(started.advancedParents).toEqual([
+				{ id: '3', status: 'in-progress', previousStatus: 'pending' }
+			]);
+			const parent = readTasks(tasksPath).tasks[2];
+			expect(parent.status).toBe('in-progress');
+			expect(parent.statusHistory).toHaveLength(1);
+
+			await setTaskStatus(tasksPath, '3.1', 'done', { mcpLog });
+			const finished = await setTaskStatus(tasksPath, '3.2', 'done', {
+				mcpLog
+			});
+			expect(finished.completableParents).toEqual([
+				{ id: '3', title: 'Implement UI Components', status: 'in-progress' }
+			]);
+			// The parent task is only suggested, not marked as done
+			expect(readTasks(tasksPath).tasks[2].status).toBe('in-progress');
+		});
+
+		test('should leave parent tasks alone when the workflow disallows it', async () => {
+			setWorkflow(tasksPath, {
+				statuses: [{ name: 'backlog' }, ...reviewWorkflow.statuses],
+				transitions: { ...reviewWorkflow.transitions, backlog: ['pending'] }
+			});
+			await setTaskStatus(tasksPath, '3', 'backlog', { mcpLog, force: true });
+
+			const result = await setTaskStatus(tasksPath, '3.1', 'in-progress', {
+				mcpLog
+			});
+			expect(result.advancedParents).toEqual([]);
+			expect(readTasks(tasksPath).tasks[2].status).toBe('backlog');
+		});
+	});
+
+	describe('other commands', () => {
+		test('should pick the next task by status category', () => {
+			const workflow = normalizeWorkflow({
+				statuses: [
+					{ name: 'backlog' },
+					{ name: 'doing', category: 'active' },
+					{ name: 'shipped', category: 'done' }
+				]
+			});
+			const tasks = [
+				{ id: 1, status: 'shipped', dependencies: [], priority: 'high' },
+				{ id: 2, status: 'done', dependencies: [], priority: 'high' },
+				{ id: 3, status: 'backlog', dependencies: [2], priority: 'high' },
+				{ id: 4, status: 'backlog', dependencies: [1], priority: 'low' }
+			];
+
+			// "done" isn't part of this workflow, so it doesn't satisfy task 3
+			expect(findNextTask(tasks, [], null, workflow).id).toBe(4);
+			expect(countStatuses(tasks, workflow)).toEqual({
+				backlog: 2,
+				doing: 0,
+				shipped: 1
+			});
+		});
+
+		test('should report done tasks with unfinished dependencies', () => {
+			const workflow = getWorkflow();
+			const tasks = [
+				{ id: 1, status: 'cancelled', dependencies: [] },
+				{
+					id: 2,
+					status: 'done',
+					dependencies: [1],
+					subtasks: [
+						{ id: 1, status: 'pending', dependencies: [] },
+						{ id: 2, status: 'done', dependencies: [1] }
+					]
+				}
+			];
+
+			const { issues } = validateTaskDependencies(tasks, [], workflow);
+			expect(
+				issues.filter((issue) => issue.type === 'unsatisfied')
+			).toHaveLength(2);
+			// Without a workflow only the structure is checked
+			expect(validateTaskDependencies(tasks).valid).toBe(true);
+		});
+
+		test('should finish tasks with the done and closed statuses of the workflow', async () => {
+			const data = JSON.parse(
+				JSON.stringify(sampleTasks).replaceAll('"done"', '"shipped"')
+			);
+			data.meta.workflow = {
+				statuses: [
+					{ name: 'pending' },
+					{ name: 'in-progress', category: 'active' },
+					{ name: 'shipped', category: 'done' },
+					{ name: 'dropped', category: 'closed' }
+				]
+			};
+			fs.writeFileSync(tasksPath, JSON.stringify(data, null, 2));
+
+			await setTaskStatus(tasksPath, '2', 'shipped', { mcpLog });
+			await setTaskStatus(tasksPath, '3', 'dropped', { mcpLog });
+			const [, shipped, dropped] = readTasks(tasksPath).tasks;
+			expect(shipped.completedAt).toEqual(expect.any(String));
+			expect(dropped.completedAt).toEqual(expect.any(String));
+
+			const exportData = buildExportData(tasksPath);
+			expect(exportData.progress.tasks.done).toBe(2);
+			expect(exportData.progress.subtasks.done).toBe(2);
+			expect(exportData.tasks[1].subtasks[0].done).toBe(true);
+
+			expect(() => archiveTasks(tasksPath, { status: 'done' })).toThrow(
+				expect.objectContaining({ code: 'INVALID_ARCHIVE_STATUS' })
+			);
+			expect(
+				archiveTasks(tasksPath, { status: 'shipped' }).archived.map(
+					(task) => task.id
+				)
+			).toEqual([1, 2]);
+			expect(readTasks(tasksPath).tasks.map((task) => task.id)).toEqual([3]);
+		});
+	});
+});
@@ -175,6 +175,22 @@ describe('UI Module', () => {
 			const result = formatDependenciesWithStatus(dependencies, allTasks);
 			expect(result).toBe('1, 999 (Not found)');
 		});
+
+		test('should show sibling and other subtasks of a subtask by their full ID', () => {
+			const allTasks = [
+				{ id: 4, status: 'pending', subtasks: [{ id: 1, status: 'done' }] },
+				{ id: 7, status: 'pending', subtasks: [{ id: 1, status: 'pending' }] }
+			];
+
+			const result = formatDependenciesWithStatus(
+				[1, '7.1', '7.2'],
+				allTasks,
+				false,
+				undefined,
+				4
+			);
+			expect(result).toBe('4.1, 7.1, 7.2 (Not found)');
+		});
 	});
 
 	describe('createProgressBar function', () => {
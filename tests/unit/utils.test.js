@@ -11,6 +11,7 @@ import chalk from 'chalk';
 import {
 	truncate,
 	log,
+	createError,
 	readJSON,
 	writeJSON,
 	sanitizePrompt,
@@ -22,6 +23,10 @@ import {
 	CONFIG,
 	LOG_LEVELS,
 	findTaskById,
+	findTaskPath,
+	getParentTaskId,
+	resolveDependencyId,
+	flattenSubtasks,
 	toKebabCase
 } from '../../scripts/modules/utils.js';
 
@@ -213,6 +218,16 @@ describe('Utils Module', () => {
 		});
 	});
 
+	describe('createError function', () => {
+		test('should create an error carrying its code', () => {
+			const error = createError('TASK_NOT_FOUND', 'Task 7 not found');
+
+			expect(error).toBeInstanceOf(Error);
+			expect(error.code).toBe('TASK_NOT_FOUND');
+			expect(error.message).toBe('Task 7 not found');
+		});
+	});
+
 	describe('readJSON function', () => {
 		test('should read and parse a valid JSON file', () => {
 			const testData = { key: 'value', nested: { prop: true } };
@@ -260,16 +275,42 @@ describe('Utils Module', () => {
 	});
 
 	describe('writeJSON function', () => {
-		test('should write JSON data to a file', () => {
+		let fsOpenSyncSpy;
+		let fsFsyncSyncSpy;
+		let fsCloseSyncSpy;
+		let fsRenameSyncSpy;
+
+		beforeEach(() => {
+			fsOpenSyncSpy = jest.spyOn(fs, 'openSync').mockReturnValue(42);
+			fsFsyncSyncSpy = jest.spyOn(fs, 'fsyncSync').mockImplementation();
+			fsCloseSyncSpy = jest.spyOn(fs, 'closeSync').mockImplementation();
+			fsRenameSyncSpy = jest.spyOn(fs, 'renameSync').mockImplementation();
+			fsExistsSyncSpy.mockReturnValue(true);
+			pathJoinSpy.mockImplementation((...parts) => parts.join('/'));
+		});
+
+		afterEach(() => {
+			fsOpenSyncSpy.mockRestore();
+			fsFsyncSyncSpy.mockRestore();
+			fsCloseSyncSpy.mockRestore();
+			fsRenameSyncSpy.mockRestore();
+		});
+
+		test('should write JSON data to a temp file and rename it into place', () => {
 			const testData = { key: 'value', nested: { prop: true } };
 
 			writeJSON('output.json', testData);
 
+			const tempPath = fsOpenSyncSpy.mock.calls[0][0];
+			expect(tempPath).toMatch(/\.output\.json\.\d+\.\d+\.tmp$/);
 			expect(fsWriteFileSyncSpy).toHaveBeenCalledWith(
-				'output.json',
+				42,
 				JSON.stringify(testData, null, 2),
 				'utf8'
 			);
+			expect(fsFsyncSyncSpy).toHaveBeenCalledWith(42);
+			expect(fsCloseSyncSpy).toHaveBeenCalledWith(42);
+			expect(fsRenameSyncSpy).toHaveBeenCalledWith(tempPath, 'output.json');
 		});
 
 		test('should handle file write errors', () => {
@@ -449,6 +490,58 @@ describe('Utils Module', () => {
 		});
 	});
 
+	describe('nested subtask IDs', () => {
+		const nestedTasks = [
+			{
+				id: 4,
+				title: 'Task 4',
+				subtasks: [
+					{
+						id: 2,
+						title: 'Subtask 4.2',
+						subtasks: [{ id: 1, title: 'Subtask 4.2.1', dependencies: [2] }]
+					}
+				]
+			}
+		];
+
+		test('should find subtasks at any depth', () => {
+			const found = findTaskPath(nestedTasks, '4.2.1');
+
+			expect(found.item.title).toBe('Subtask 4.2.1');
+			expect(found.parent.title).toBe('Subtask 4.2');
+			expect(found.ancestors.map((item) => item.title)).toEqual([
+				'Task 4',
+				'Subtask 4.2'
+			]);
+			expect(found.path).toEqual([4, 2, 1]);
+			expect(findTaskPath(nestedTasks, '4.2.9')).toBeNull();
+			expect(findTaskPath(nestedTasks, '4..1')).toBeNull();
+			expect(taskExists(nestedTasks, '4.2.1')).toBe(true);
+
+			const task = findTaskById(nestedTasks, '4.2.1');
+			expect(task.isSubtask).toBe(true);
+			expect(task.parentTask.id).toBe('4.2');
+		});
+
+		test('should resolve parent and sibling IDs', () => {
+			expect(getParentTaskId('4.2.1')).toBe('4.2');
+			expect(getParentTaskId(4)).toBeNull();
+			expect(resolveDependencyId('4.2.1', 2)).toBe('4.2.2');
+			expect(resolveDependencyId('4.2.1', '3.1')).toBe('3.1');
+			expect(resolveDependencyId(4, 2)).toBe(2);
+		});
+
+		test('should list subtasks depth-first with their full IDs', () => {
+			expect(
+				flattenSubtasks(nestedTasks[0]).map(({ id, depth }) => [id, depth])
+			).toEqual([
+				['4.2', 1],
+				['4.2.1', 2]
+			]);
+		});
+	});
+
 	describe('formatTaskId function', () => {
 		test('should format numeric task IDs as strings', () => {
 			expect(formatTaskId(1)).toBe('1');